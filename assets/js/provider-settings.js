@@ -15,6 +15,8 @@
 	let reminderTemplate = '';
 	let $reminderList;
 	let $reminderIndex;
+	let emailPreviewTimer;
+	let emailPreviewRequest;
 
 	/**
 	 * Get HTML string from a template or script element (for HTML5 <template> or legacy script type="text/template").
@@ -167,6 +169,87 @@
 		frame.open();
 	}
 
+	function renderEmailPreview( $template, data ) {
+		const $preview = $template.find( '.vkbm-email-template__preview' );
+		const $text = $preview.find( '.vkbm-email-template__preview-text' );
+		const $html = $preview.find( '.vkbm-email-template__preview-html' );
+
+		$preview
+			.find( '.vkbm-email-template__preview-subject' )
+			.text( data.subject || '' );
+
+		if ( data.html ) {
+			$html.attr( 'srcdoc', data.body || '' ).prop( 'hidden', false );
+			$text.text( '' ).prop( 'hidden', true );
+		} else {
+			$text.text( data.body || '' ).prop( 'hidden', false );
+			$html.removeAttr( 'srcdoc' ).prop( 'hidden', true );
+		}
+
+		$preview.prop( 'hidden', false );
+	}
+
+	function renderEmailPreviewError( $template, message ) {
+		renderEmailPreview( $template, {
+			subject: message,
+			body: '',
+			html: false,
+		} );
+	}
+
+	function requestEmailPreview( $template ) {
+		if ( ! settings.ajaxUrl ) {
+			return;
+		}
+
+		const bookingId = $( '#vkbm-email-preview-booking' ).val();
+		if ( ! bookingId ) {
+			renderEmailPreviewError( $template, settings.previewEmpty );
+			return;
+		}
+
+		if ( emailPreviewRequest ) {
+			emailPreviewRequest.abort();
+		}
+
+		emailPreviewRequest = $.post( settings.ajaxUrl, {
+			action: settings.previewAction,
+			nonce: settings.previewNonce,
+			type: $template.data( 'type' ),
+			booking_id: bookingId,
+			subject: $template.find( '.vkbm-email-template__subject' ).val(),
+			body: $template.find( '.vkbm-email-template__body' ).val(),
+			html: $( '#vkbm-email-html-layout' ).is( ':checked' ) ? 1 : 0,
+		} )
+			.done( function ( response ) {
+				if ( response && response.success ) {
+					renderEmailPreview( $template, response.data );
+					return;
+				}
+
+				renderEmailPreviewError(
+					$template,
+					( response && response.data && response.data.message ) ||
+						settings.previewError
+				);
+			} )
+			.fail( function ( xhr, status ) {
+				if ( 'abort' === status ) {
+					return;
+				}
+
+				const message =
+					xhr.responseJSON &&
+					xhr.responseJSON.data &&
+					xhr.responseJSON.data.message;
+
+				renderEmailPreviewError(
+					$template,
+					message || settings.previewError
+				);
+			} );
+	}
+
 	function getNextHolidayIndex() {
 		let current = parseInt( $holidayIndex.val(), 10 );
 
@@ -489,6 +572,38 @@
 		}
 	);
 
+	$( document ).on(
+		'click',
+		'.vkbm-email-template__preview-button',
+		function ( event ) {
+			event.preventDefault();
+			requestEmailPreview( $( this ).closest( '.vkbm-email-template' ) );
+		}
+	);
+
+	// Refresh an open preview while the template is being edited.
+	// プレビュー表示中はテンプレートの編集に合わせて更新する.
+	$( document ).on(
+		'input',
+		'.vkbm-email-template__subject, .vkbm-email-template__body',
+		function () {
+			const $template = $( this ).closest( '.vkbm-email-template' );
+
+			if (
+				$template
+					.find( '.vkbm-email-template__preview' )
+					.prop( 'hidden' )
+			) {
+				return;
+			}
+
+			window.clearTimeout( emailPreviewTimer );
+			emailPreviewTimer = window.setTimeout( function () {
+				requestEmailPreview( $template );
+			}, 500 );
+		}
+	);
+
 	$( function () {
 		holidayTemplate =
 			getTemplateHtml( '#vkbm-regular-holiday-row-template' ) || '';
@@ -184,6 +184,37 @@
 		}
 	);
 
+	const $breaksContainer = $( '#vkbm-resource-schedule-breaks' );
+	let nextBreakIndex =
+		parseInt( $breaksContainer.data( 'next-index' ), 10 ) || 0;
+
+	$( document ).on(
+		'click',
+		'.vkbm-resource-schedule-add-break',
+		function () {
+			const template = $(
+				'#vkbm-resource-schedule-break-template'
+			).html();
+			if ( ! template ) {
+				return;
+			}
+
+			// Indexes only need to be unique, so removed rows leave gaps. / 削除で欠番が出ても一意であればよい.
+			$breaksContainer.append(
+				template.replace( /__INDEX__/g, String( nextBreakIndex ) )
+			);
+			nextBreakIndex++;
+		}
+	);
+
+	$( document ).on(
+		'click',
+		'.vkbm-resource-schedule-remove-break',
+		function () {
+			$( this ).closest( '.vkbm-resource-schedule-break' ).remove();
+		}
+	);
+
 	if ( $useProvider.length ) {
 		$useProvider.on( 'change', toggleDaysVisibility );
 		toggleDaysVisibility();
@@ -1,6 +1,8 @@
 ( function () {
 	'use strict';
 
+	const VIEWS = [ 'day', 'week', 'month' ];
+
 	function toArray( nodeList ) {
 		return Array.prototype.slice.call( nodeList );
 	}
@@ -51,6 +53,13 @@
 			return dayHeader ? dayHeader.getAttribute( 'data-vkbm-date' ) : '';
 		}
 
+		if ( view === 'week' ) {
+			const weekHeader = root.querySelector( '.vkbm-week-view__header' );
+			return weekHeader
+				? weekHeader.getAttribute( 'data-vkbm-week' )
+				: '';
+		}
+
 		if ( view === 'month' ) {
 			const monthHeader = root.querySelector(
 				'.vkbm-month-view__header'
@@ -188,6 +197,387 @@
 		} );
 	}
 
+	const UNDO_STORAGE_KEY = 'vkbmShiftDashboardUndo';
+	const DRAG_THRESHOLD_PX = 4;
+	const MINUTES_PER_DAY = 24 * 60;
+
+	function parseTime( value ) {
+		const parts = String( value || '' ).split( ':' );
+		if ( parts.length !== 2 ) {
+			return null;
+		}
+
+		return Number( parts[ 0 ] ) * 60 + Number( parts[ 1 ] );
+	}
+
+	function formatTime( minutes ) {
+		const hours = Math.floor( minutes / 60 );
+		const rest = minutes % 60;
+		return (
+			( hours < 10 ? '0' : '' ) +
+			hours +
+			':' +
+			( rest < 10 ? '0' : '' ) +
+			rest
+		);
+	}
+
+	function getHourHeight( lane ) {
+		const value = parseFloat(
+			window.getComputedStyle( lane ).getPropertyValue( '--hour-height' )
+		);
+		return value > 0 ? value : 56;
+	}
+
+	function postMove( settings, move, force ) {
+		const formData = new window.FormData();
+		formData.append( 'action', 'vkbm_move_booking' );
+		formData.append( 'nonce', settings.moveNonce || '' );
+		formData.append( 'booking_id', move.bookingId );
+		formData.append( 'resource_id', move.resourceId );
+		formData.append( 'date', move.date );
+		formData.append( 'start_time', move.start );
+		formData.append( 'end_time', move.end );
+		formData.append( 'notify', move.notify ? '1' : '' );
+		formData.append( 'force', force ? '1' : '' );
+
+		return window
+			.fetch( settings.ajaxUrl, {
+				method: 'POST',
+				credentials: 'same-origin',
+				body: formData,
+			} )
+			.then( function ( response ) {
+				return response.json();
+			} )
+			.then( function ( payload ) {
+				if ( payload && payload.success ) {
+					return payload.data;
+				}
+
+				const data = ( payload && payload.data ) || {};
+				const error = new Error(
+					data.message ||
+						( settings.i18n && settings.i18n.moveError ) ||
+						'error'
+				);
+				error.code = data.code || '';
+				throw error;
+			} );
+	}
+
+	// Resolves with null when staff decline to book outside the shift.
+	function moveBooking( settings, move ) {
+		return postMove( settings, move, false ).catch( function ( error ) {
+			if ( error.code !== 'outside_shift' ) {
+				throw error;
+			}
+
+			const question =
+				( settings.i18n && settings.i18n.outsideShift ) ||
+				error.message;
+			// eslint-disable-next-line no-alert
+			return window.confirm( question )
+				? postMove( settings, move, true )
+				: null;
+		} );
+	}
+
+	function storeUndo( previous ) {
+		try {
+			window.sessionStorage.setItem(
+				UNDO_STORAGE_KEY,
+				JSON.stringify( previous )
+			);
+		} catch ( error ) {
+			// Undo is unavailable without session storage.
+		}
+	}
+
+	function takeUndo() {
+		try {
+			const value = window.sessionStorage.getItem( UNDO_STORAGE_KEY );
+			window.sessionStorage.removeItem( UNDO_STORAGE_KEY );
+			return value ? JSON.parse( value ) : null;
+		} catch ( error ) {
+			return null;
+		}
+	}
+
+	function showUndoNotice( root, settings ) {
+		const previous = takeUndo();
+		const container = root.querySelector( '[data-vkbm-move-notice]' );
+		if ( ! previous || ! container ) {
+			return;
+		}
+
+		const i18n = settings.i18n || {};
+		const notice = document.createElement( 'div' );
+		notice.className = 'notice notice-success inline';
+
+		const message = document.createElement( 'p' );
+		message.textContent = ( i18n.moved || '' ) + ' ';
+
+		const undoButton = document.createElement( 'button' );
+		undoButton.type = 'button';
+		undoButton.className = 'button-link';
+		undoButton.textContent = i18n.undo || 'Undo';
+		undoButton.addEventListener( 'click', function () {
+			undoButton.disabled = true;
+			// The booking was at this time before, so skip the shift check.
+			postMove( settings, previous, true )
+				.then( function () {
+					window.location.reload();
+				} )
+				.catch( function ( error ) {
+					undoButton.disabled = false;
+					// eslint-disable-next-line no-alert
+					window.alert( error.message );
+				} );
+		} );
+
+		const dismissButton = document.createElement( 'button' );
+		dismissButton.type = 'button';
+		dismissButton.className = 'button-link vkbm-day-view__move-dismiss';
+		dismissButton.textContent = i18n.dismiss || '';
+		dismissButton.addEventListener( 'click', function () {
+			container.hidden = true;
+		} );
+
+		message.appendChild( undoButton );
+		message.appendChild( document.createTextNode( ' ' ) );
+		message.appendChild( dismissButton );
+		notice.appendChild( message );
+		container.appendChild( notice );
+		container.hidden = false;
+	}
+
+	function attachMoveHandlers( root ) {
+		if ( ! window.fetch || typeof window.FormData === 'undefined' ) {
+			return;
+		}
+
+		const settings = window.vkbmShiftDashboard || {};
+		if ( ! settings.ajaxUrl || ! settings.moveNonce ) {
+			return;
+		}
+
+		const content = root.querySelector( '.vkbm-day-view__content' );
+		if ( ! content ) {
+			return;
+		}
+
+		const date = content.getAttribute( 'data-vkbm-day' );
+		const lanes = toArray(
+			content.querySelectorAll( '.vkbm-resource-lane' )
+		);
+		const notifyToggle = root.querySelector( '.js-vkbm-move-notify' );
+		const snap = Number( settings.snapMinutes ) || 15;
+		let drag = null;
+
+		function laneAt( clientX ) {
+			return lanes.find( function ( lane ) {
+				const rect = lane.getBoundingClientRect();
+				return clientX >= rect.left && clientX < rect.right;
+			} );
+		}
+
+		function minutesAt( lane, clientY ) {
+			const rect = lane.getBoundingClientRect();
+			const timelineStart = Number(
+				lane.getAttribute( 'data-vkbm-timeline-start' )
+			);
+			return (
+				timelineStart * 60 +
+				( ( clientY - rect.top ) / getHourHeight( lane ) ) * 60
+			);
+		}
+
+		function snapMinutes( minutes ) {
+			return Math.round( minutes / snap ) * snap;
+		}
+
+		function placeGhost( ghost, lane, start, end ) {
+			if ( ghost.parentNode !== lane ) {
+				lane.appendChild( ghost );
+			}
+
+			const timelineStart = Number(
+				lane.getAttribute( 'data-vkbm-timeline-start' )
+			);
+			const hourHeight = getHourHeight( lane );
+			ghost.style.top =
+				( start / 60 - timelineStart ) * hourHeight + 'px';
+			ghost.style.height = ( ( end - start ) / 60 ) * hourHeight + 'px';
+			ghost.textContent = formatTime( start ) + ' - ' + formatTime( end );
+		}
+
+		function endDrag( current ) {
+			current.card.classList.remove( 'is-dragging' );
+			root.classList.remove( 'is-moving-booking' );
+		}
+
+		content.addEventListener( 'pointerdown', function ( event ) {
+			if ( event.button !== 0 ) {
+				return;
+			}
+
+			const card = event.target.closest(
+				'.vkbm-booking-card[data-vkbm-booking-id]'
+			);
+			const lane = card && card.closest( '.vkbm-resource-lane' );
+			if ( ! card || ! lane ) {
+				return;
+			}
+
+			const start = parseTime( card.getAttribute( 'data-vkbm-start' ) );
+			const end = parseTime( card.getAttribute( 'data-vkbm-end' ) );
+			if ( start === null || end === null || end <= start ) {
+				return;
+			}
+
+			drag = {
+				card,
+				lane,
+				start,
+				end,
+				mode: event.target.closest( '.vkbm-booking-card__resize' )
+					? 'resize'
+					: 'move',
+				originX: event.clientX,
+				originY: event.clientY,
+				grabOffset: minutesAt( lane, event.clientY ) - start,
+				ghost: null,
+				target: null,
+			};
+		} );
+
+		document.addEventListener( 'pointermove', function ( event ) {
+			if ( ! drag ) {
+				return;
+			}
+
+			if ( ! drag.ghost ) {
+				const distance =
+					Math.abs( event.clientX - drag.originX ) +
+					Math.abs( event.clientY - drag.originY );
+				if ( distance < DRAG_THRESHOLD_PX ) {
+					return;
+				}
+
+				drag.ghost = document.createElement( 'div' );
+				drag.ghost.className = 'vkbm-booking-ghost';
+				drag.card.classList.add( 'is-dragging' );
+				root.classList.add( 'is-moving-booking' );
+			}
+
+			event.preventDefault();
+
+			const duration = drag.end - drag.start;
+			let lane = drag.lane;
+			let start = drag.start;
+			let end = drag.end;
+
+			if ( drag.mode === 'resize' ) {
+				end = Math.max(
+					start + snap,
+					snapMinutes( minutesAt( lane, event.clientY ) )
+				);
+				end = Math.min( end, MINUTES_PER_DAY - 1 );
+			} else {
+				lane = laneAt( event.clientX ) || drag.lane;
+				start = snapMinutes(
+					minutesAt( lane, event.clientY ) - drag.grabOffset
+				);
+				start = Math.max(
+					0,
+					Math.min( start, MINUTES_PER_DAY - 1 - duration )
+				);
+				end = start + duration;
+			}
+
+			drag.target = { lane, start, end };
+			placeGhost( drag.ghost, lane, start, end );
+		} );
+
+		document.addEventListener( 'pointercancel', function () {
+			if ( drag && drag.ghost ) {
+				drag.ghost.remove();
+				endDrag( drag );
+			}
+			drag = null;
+		} );
+
+		document.addEventListener( 'pointerup', function () {
+			const current = drag;
+			drag = null;
+			if ( ! current || ! current.ghost ) {
+				return;
+			}
+
+			// Keep the card link from opening after a drag.
+			current.card.addEventListener(
+				'click',
+				function ( event ) {
+					event.preventDefault();
+				},
+				{ once: true }
+			);
+			endDrag( current );
+
+			const target = current.target;
+			if (
+				! target ||
+				( target.lane === current.lane &&
+					target.start === current.start &&
+					target.end === current.end )
+			) {
+				current.ghost.remove();
+				return;
+			}
+
+			const notify = Boolean( notifyToggle && notifyToggle.checked );
+			const bookingId = current.card.getAttribute(
+				'data-vkbm-booking-id'
+			);
+			const move = {
+				bookingId,
+				resourceId: target.lane.getAttribute( 'data-vkbm-resource-id' ),
+				date,
+				start: formatTime( target.start ),
+				end: formatTime( target.end ),
+				notify,
+			};
+			const previous = {
+				bookingId,
+				resourceId: current.lane.getAttribute(
+					'data-vkbm-resource-id'
+				),
+				date,
+				start: formatTime( current.start ),
+				end: formatTime( current.end ),
+				notify,
+			};
+
+			current.ghost.classList.add( 'is-saving' );
+			moveBooking( settings, move )
+				.then( function ( result ) {
+					if ( ! result ) {
+						current.ghost.remove();
+						return;
+					}
+
+					storeUndo( previous );
+					window.location.reload();
+				} )
+				.catch( function ( error ) {
+					current.ghost.remove();
+					// eslint-disable-next-line no-alert
+					window.alert( error.message );
+				} );
+		} );
+	}
+
 	function init() {
 		const root = document.querySelector( '.vkbm-shift-dashboard' );
 		if ( ! root ) {
@@ -219,7 +609,7 @@
 		} )();
 
 		function activateView( view, options ) {
-			if ( ! view || ( view !== 'day' && view !== 'month' ) ) {
+			if ( ! view || VIEWS.indexOf( view ) === -1 ) {
 				return;
 			}
 
@@ -259,6 +649,8 @@
 		} );
 
 		attachConfirmHandlers( root );
+		attachMoveHandlers( root );
+		showUndoNotice( root, window.vkbmShiftDashboard || {} );
 	}
 
 	if ( document.readyState === 'loading' ) {
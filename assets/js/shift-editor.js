@@ -61,6 +61,7 @@
 		);
 	}
 	const statusLabelText = config.strings?.statusLabel || 'operational status';
+	const breakLabelText = config.strings?.breakLabel || 'Break';
 	const closedMessage =
 		config.strings?.closedMessage ||
 		'You cannot set the time zone in this status.';
@@ -135,11 +136,41 @@
 				status,
 				slots: isClosedStatus( status ) ? [] : slots,
 			};
+
+			// Breaks come from the staff template and are kept as they are. / 休憩はテンプレート由来のため保持する.
+			const breaks = normalizeBreakList( entry && entry.breaks );
+			if ( breaks.length && ! isClosedStatus( status ) ) {
+				normalized[ dayKey ].breaks = breaks;
+			}
 		} );
 
 		return normalized;
 	}
 
+	function normalizeBreakList( breaks ) {
+		if ( ! Array.isArray( breaks ) ) {
+			return [];
+		}
+
+		return normalizeSlotList( breaks ).map( ( slot, index ) => ( {
+			...slot,
+			label: String( breaks[ index ]?.label || '' ),
+		} ) );
+	}
+
+	function formatBreaks( dayData ) {
+		if ( ! dayData || ! Array.isArray( dayData.breaks ) ) {
+			return '';
+		}
+
+		return dayData.breaks
+			.map( ( dayBreak ) => {
+				const label = dayBreak.label || breakLabelText;
+				return `${ label } ${ dayBreak.start }-${ dayBreak.end }`;
+			} )
+			.join( ' / ' );
+	}
+
 	function sanitizeTime( time ) {
 		if ( 'string' !== typeof time ) {
 			return '';
@@ -525,7 +556,7 @@
 				$addButton.prop( 'disabled', true ).addClass( 'is-disabled' );
 			} else {
 				$row.removeClass( 'is-status-closed' );
-				$message.text( '' );
+				$message.text( formatBreaks( workingDays[ dayKey ] ) );
 				$addButton
 					.prop( 'disabled', false )
 					.removeClass( 'is-disabled' );
@@ -652,6 +683,16 @@
 					status,
 					slots,
 				};
+
+				const previous = workingDays[ dayKey ];
+				if (
+					! isClosedStatus( status ) &&
+					previous &&
+					Array.isArray( previous.breaks ) &&
+					previous.breaks.length
+				) {
+					updated[ dayKey ].breaks = previous.breaks;
+				}
 			}
 		} );
 
@@ -728,6 +769,12 @@
 			workingDays = {};
 			renderDays();
 			syncHiddenField();
+
+			// Re-derive defaults so public holidays of the new month apply.
+			const resourceId = parseInt( $resourceSelect.val(), 10 );
+			if ( resourceId ) {
+				fetchTemplate( resourceId );
+			}
 		}
 	);
 
@@ -38,6 +38,10 @@ const BUNDLES = {
 		'admin-shift-editor.scss',
 		'admin-shift-bulk-create.scss',
 		'admin-shift-dashboard.scss',
+		'admin-new-reservation.scss',
+		'admin-reports.scss',
+		'admin-booking-import.scss',
+		'admin-holidays.scss',
 		'admin-service-menu-quick-edit.scss',
 		'admin-post-order.scss',
 		'admin-term-order.scss',
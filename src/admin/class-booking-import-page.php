@@ -0,0 +1,451 @@
+<?php
+
+/**
+ * Booking CSV import admin page.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Admin;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Bookings\Booking_Csv_Importer;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function add_submenu_page;
+use function admin_url;
+use function check_admin_referer;
+use function current_user_can;
+use function delete_transient;
+use function esc_attr;
+use function esc_html;
+use function esc_html__;
+use function esc_html_e;
+use function esc_url;
+use function get_current_user_id;
+use function get_transient;
+use function is_wp_error;
+use function number_format_i18n;
+use function sanitize_file_name;
+use function sanitize_key;
+use function selected;
+use function set_transient;
+use function size_format;
+use function wp_die;
+use function wp_nonce_field;
+use function wp_nonce_url;
+use function wp_safe_redirect;
+use function wp_unslash;
+
+/**
+ * Uploads a CSV, maps its columns and imports bookings with a dry-run report.
+ *
+ * The uploaded rows and the last report are kept in per-user transients between steps.
+ * アップロードした行と直近の結果は、手順の間ユーザーごとの一時データに保持します。
+ */
+class Booking_Import_Page {
+	private const MENU_SLUG       = 'vkbm-booking-import';
+	private const UPLOAD_ACTION   = 'vkbm_booking_import_upload';
+	private const IMPORT_ACTION   = 'vkbm_booking_import_run';
+	private const RESET_ACTION    = 'vkbm_booking_import_reset';
+	private const NONCE_NAME      = 'vkbm_booking_import_nonce';
+	private const UPLOAD_KEY      = 'vkbm_booking_import_upload_';
+	private const REPORT_KEY      = 'vkbm_booking_import_report_';
+	private const MAX_FILE_BYTES  = 5 * MB_IN_BYTES;
+	private const TRANSIENT_TTL   = HOUR_IN_SECONDS;
+	private const REQUIRED_FIELDS = array( 'start', 'end' );
+
+	/**
+	 * Capability required to access the page.
+	 *
+	 * @var string
+	 */
+	private $capability;
+
+	/**
+	 * CSV importer.
+	 *
+	 * @var Booking_Csv_Importer
+	 */
+	private $importer;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string                    $capability Capability required to access the page.
+	 * @param Booking_Csv_Importer|null $importer   CSV importer.
+	 */
+	public function __construct( string $capability = 'manage_options', ?Booking_Csv_Importer $importer = null ) {
+		$this->capability = $capability;
+		$this->importer   = $importer ?? new Booking_Csv_Importer();
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'admin_menu', array( $this, 'register_menu' ) );
+		add_action( 'admin_post_' . self::UPLOAD_ACTION, array( $this, 'handle_upload' ) );
+		add_action( 'admin_post_' . self::IMPORT_ACTION, array( $this, 'handle_import' ) );
+		add_action( 'admin_post_' . self::RESET_ACTION, array( $this, 'handle_reset' ) );
+	}
+
+	/**
+	 * Register the submenu under the reservation post type.
+	 */
+	public function register_menu(): void {
+		add_submenu_page(
+			'edit.php?post_type=' . Booking_Post_Type::POST_TYPE,
+			__( 'Import reservations', 'vk-booking-manager' ),
+			__( 'Import', 'vk-booking-manager' ),
+			$this->capability,
+			self::MENU_SLUG,
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Read the uploaded CSV and keep its rows for the mapping step.
+	 */
+	public function handle_upload(): void {
+		$this->verify_request( self::UPLOAD_ACTION );
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Only the temporary path and size are used.
+		$file = isset( $_FILES['vkbm_import_file'] ) && is_array( $_FILES['vkbm_import_file'] ) ? $_FILES['vkbm_import_file'] : array();
+		if ( empty( $file['tmp_name'] ) || UPLOAD_ERR_OK !== (int) ( $file['error'] ?? UPLOAD_ERR_NO_FILE ) || ! is_uploaded_file( (string) $file['tmp_name'] ) ) {
+			$this->redirect( array( 'error' => 'no_file' ) );
+		}
+
+		if ( (int) $file['size'] > self::MAX_FILE_BYTES ) {
+			$this->redirect( array( 'error' => 'too_large' ) );
+		}
+
+		$parsed = $this->importer->parse( (string) file_get_contents( (string) $file['tmp_name'] ) ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local upload.
+		if ( is_wp_error( $parsed ) ) {
+			$this->redirect( array( 'error' => $parsed->get_error_code() ) );
+		}
+
+		delete_transient( self::REPORT_KEY . get_current_user_id() );
+		set_transient(
+			self::UPLOAD_KEY . get_current_user_id(),
+			array(
+				'file_name' => sanitize_file_name( (string) wp_unslash( $file['name'] ?? '' ) ),
+				'headers'   => $parsed['headers'],
+				'rows'      => $parsed['rows'],
+				'mapping'   => $this->importer->guess_mapping( $parsed['headers'] ),
+			),
+			self::TRANSIENT_TTL
+		);
+
+		$this->redirect( array() );
+	}
+
+	/**
+	 * Validate (dry run) or import the uploaded rows with the submitted mapping.
+	 */
+	public function handle_import(): void {
+		$this->verify_request( self::IMPORT_ACTION );
+
+		$upload = get_transient( self::UPLOAD_KEY . get_current_user_id() );
+		if ( ! is_array( $upload ) ) {
+			$this->redirect( array( 'error' => 'expired' ) );
+		}
+
+		$mapping = array();
+		$raw_map = isset( $_POST['vkbm_import_map'] ) && is_array( $_POST['vkbm_import_map'] ) ? wp_unslash( $_POST['vkbm_import_map'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Cast to column indexes below.
+		foreach ( Booking_Csv_Importer::get_fields() as $field => $label ) {
+			$index = isset( $raw_map[ $field ] ) ? (string) $raw_map[ $field ] : '';
+			if ( '' !== $index && isset( $upload['headers'][ (int) $index ] ) ) {
+				$mapping[ $field ] = (int) $index;
+			}
+		}
+
+		$upload['mapping'] = $mapping;
+		if ( array() !== array_diff( self::REQUIRED_FIELDS, array_keys( $mapping ) ) ) {
+			set_transient( self::UPLOAD_KEY . get_current_user_id(), $upload, self::TRANSIENT_TTL );
+			$this->redirect( array( 'error' => 'missing_mapping' ) );
+		}
+
+		$dry_run = ! isset( $_POST['vkbm_import_mode'] ) || 'import' !== sanitize_key( (string) wp_unslash( $_POST['vkbm_import_mode'] ) );
+		$report  = $this->importer->import( $upload['rows'], $mapping, $dry_run );
+
+		set_transient( self::REPORT_KEY . get_current_user_id(), $report, self::TRANSIENT_TTL );
+		if ( $dry_run ) {
+			set_transient( self::UPLOAD_KEY . get_current_user_id(), $upload, self::TRANSIENT_TTL );
+		} else {
+			// Start over after a real import so the file is not imported twice by accident. / 誤って二重に取り込まないよう破棄する.
+			delete_transient( self::UPLOAD_KEY . get_current_user_id() );
+		}
+
+		$this->redirect( array() );
+	}
+
+	/**
+	 * Discard the uploaded file and report.
+	 */
+	public function handle_reset(): void {
+		$this->verify_request( self::RESET_ACTION );
+
+		delete_transient( self::UPLOAD_KEY . get_current_user_id() );
+		delete_transient( self::REPORT_KEY . get_current_user_id() );
+
+		$this->redirect( array() );
+	}
+
+	/**
+	 * Render the page.
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		$upload = get_transient( self::UPLOAD_KEY . get_current_user_id() );
+		$report = get_transient( self::REPORT_KEY . get_current_user_id() );
+		$error  = $this->get_error_message();
+		?>
+		<div class="wrap vkbm-booking-import">
+			<h1><?php esc_html_e( 'Import reservations', 'vk-booking-manager' ); ?></h1>
+
+			<?php if ( '' !== $error ) : ?>
+				<div class="notice notice-error is-dismissible"><p><?php echo esc_html( $error ); ?></p></div>
+			<?php endif; ?>
+
+			<?php if ( is_array( $report ) ) : ?>
+				<?php $this->render_report( $report ); ?>
+			<?php endif; ?>
+
+			<?php if ( is_array( $upload ) ) : ?>
+				<?php $this->render_mapping_form( $upload ); ?>
+			<?php else : ?>
+				<?php $this->render_upload_form(); ?>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Step 1: file upload.
+	 */
+	private function render_upload_form(): void {
+		?>
+		<p>
+			<?php esc_html_e( 'Upload a CSV file with a header row (UTF-8 or Shift_JIS). Files exported from the reservation list can be imported as they are.', 'vk-booking-manager' ); ?>
+			<?php esc_html_e( 'Rows with an external ID update the reservation imported with the same ID, so importing the same file again does not create duplicates. Rows without an external ID are always added as new reservations.', 'vk-booking-manager' ); ?>
+			<?php esc_html_e( 'Customers are not notified of imported reservations.', 'vk-booking-manager' ); ?>
+		</p>
+		<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" enctype="multipart/form-data">
+			<?php wp_nonce_field( self::UPLOAD_ACTION, self::NONCE_NAME ); ?>
+			<input type="hidden" name="action" value="<?php echo esc_attr( self::UPLOAD_ACTION ); ?>" />
+			<p>
+				<label for="vkbm-import-file"><?php esc_html_e( 'CSV file', 'vk-booking-manager' ); ?></label>
+				<input type="file" id="vkbm-import-file" name="vkbm_import_file" accept=".csv,text/csv" required />
+				<span class="description">
+					<?php
+					echo esc_html(
+						sprintf(
+							/* translators: 1: maximum file size, 2: maximum number of rows. */
+							__( 'Up to %1$s and %2$s rows.', 'vk-booking-manager' ),
+							size_format( self::MAX_FILE_BYTES ),
+							number_format_i18n( Booking_Csv_Importer::MAX_ROWS )
+						)
+					);
+					?>
+				</span>
+			</p>
+			<p class="submit">
+				<button type="submit" class="button button-primary"><?php esc_html_e( 'Upload', 'vk-booking-manager' ); ?></button>
+			</p>
+		</form>
+		<?php
+	}
+
+	/**
+	 * Step 2: column mapping with dry run and import buttons.
+	 *
+	 * @param array<string, mixed> $upload Uploaded file data.
+	 */
+	private function render_mapping_form( array $upload ): void {
+		?>
+		<h2><?php esc_html_e( 'Column mapping', 'vk-booking-manager' ); ?></h2>
+		<p>
+			<?php
+			echo esc_html(
+				sprintf(
+					/* translators: 1: file name, 2: number of rows. */
+					__( '%1$s: %2$s rows', 'vk-booking-manager' ),
+					(string) $upload['file_name'],
+					number_format_i18n( count( $upload['rows'] ) )
+				)
+			);
+			?>
+			<a href="<?php echo esc_url( $this->get_reset_url() ); ?>"><?php esc_html_e( 'Choose another file', 'vk-booking-manager' ); ?></a>
+		</p>
+		<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+			<?php wp_nonce_field( self::IMPORT_ACTION, self::NONCE_NAME ); ?>
+			<input type="hidden" name="action" value="<?php echo esc_attr( self::IMPORT_ACTION ); ?>" />
+			<table class="form-table" role="presentation">
+				<?php foreach ( Booking_Csv_Importer::get_fields() as $field => $label ) : ?>
+					<?php $selected_index = isset( $upload['mapping'][ $field ] ) ? (string) $upload['mapping'][ $field ] : ''; ?>
+					<tr>
+						<th scope="row">
+							<label for="vkbm-import-map-<?php echo esc_attr( $field ); ?>"><?php echo esc_html( $label ); ?></label>
+							<?php if ( in_array( $field, self::REQUIRED_FIELDS, true ) ) : ?>
+								<span class="required">*</span>
+							<?php endif; ?>
+						</th>
+						<td>
+							<select id="vkbm-import-map-<?php echo esc_attr( $field ); ?>" name="vkbm_import_map[<?php echo esc_attr( $field ); ?>]">
+								<option value=""><?php esc_html_e( '— Do not import —', 'vk-booking-manager' ); ?></option>
+								<?php foreach ( $upload['headers'] as $index => $header ) : ?>
+									<option value="<?php echo esc_attr( (string) $index ); ?>" <?php selected( $selected_index, (string) $index ); ?>><?php echo esc_html( '' !== $header ? $header : '#' . ( $index + 1 ) ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+					</tr>
+				<?php endforeach; ?>
+			</table>
+			<p class="description">
+				<?php esc_html_e( 'Dates use the YYYY-MM-DD HH:MM format; the end may also be a time only. Staff and menus can be given by name or ID, and statuses by key or label. When updating, columns that are not imported keep their current values.', 'vk-booking-manager' ); ?>
+			</p>
+			<p class="submit">
+				<button type="submit" class="button" name="vkbm_import_mode" value="dry_run"><?php esc_html_e( 'Validate (dry run)', 'vk-booking-manager' ); ?></button>
+				<button type="submit" class="button button-primary" name="vkbm_import_mode" value="import"><?php esc_html_e( 'Import', 'vk-booking-manager' ); ?></button>
+			</p>
+		</form>
+		<?php
+	}
+
+	/**
+	 * Result summary and per-row messages.
+	 *
+	 * @param array<string, mixed> $report Importer report.
+	 */
+	private function render_report( array $report ): void {
+		$labels = array(
+			'create' => $report['dry_run'] ? __( 'Will be added', 'vk-booking-manager' ) : __( 'Added', 'vk-booking-manager' ),
+			'update' => $report['dry_run'] ? __( 'Will be updated', 'vk-booking-manager' ) : __( 'Updated', 'vk-booking-manager' ),
+			'skip'   => $report['dry_run'] ? __( 'Will be skipped', 'vk-booking-manager' ) : __( 'Skipped', 'vk-booking-manager' ),
+		);
+		$rows   = array_filter(
+			$report['results'],
+			static function ( array $result ): bool {
+				return array() !== $result['errors'] || array() !== $result['warnings'];
+			}
+		);
+		?>
+		<div class="vkbm-booking-import__report">
+			<h2>
+				<?php echo $report['dry_run'] ? esc_html__( 'Validation result (nothing has been saved)', 'vk-booking-manager' ) : esc_html__( 'Import result', 'vk-booking-manager' ); ?>
+			</h2>
+			<ul class="vkbm-booking-import__summary">
+				<?php foreach ( $labels as $action => $label ) : ?>
+					<li><?php echo esc_html( $label . ': ' . number_format_i18n( (int) ( $report['summary'][ $action ] ?? 0 ) ) ); ?></li>
+				<?php endforeach; ?>
+			</ul>
+			<?php if ( array() !== $rows ) : ?>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th style="width: 80px;"><?php esc_html_e( 'Row', 'vk-booking-manager' ); ?></th>
+							<th style="width: 140px;"><?php esc_html_e( 'Result', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Messages', 'vk-booking-manager' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $rows as $result ) : ?>
+							<tr>
+								<td><?php echo esc_html( (string) $result['line'] ); ?></td>
+								<td><?php echo esc_html( $labels[ $result['action'] ] ?? $result['action'] ); ?></td>
+								<td>
+									<?php foreach ( $result['errors'] as $message ) : ?>
+										<span class="vkbm-booking-import__error"><?php echo esc_html( $message ); ?></span><br />
+									<?php endforeach; ?>
+									<?php foreach ( $result['warnings'] as $message ) : ?>
+										<span class="vkbm-booking-import__warning"><?php echo esc_html( $message ); ?></span><br />
+									<?php endforeach; ?>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Check the capability and nonce of an admin-post request.
+	 *
+	 * @param string $action Nonce action.
+	 */
+	private function verify_request( string $action ): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( $action, self::NONCE_NAME );
+	}
+
+	/**
+	 * Signed URL that discards the uploaded file.
+	 *
+	 * @return string
+	 */
+	private function get_reset_url(): string {
+		return wp_nonce_url(
+			add_query_arg( 'action', self::RESET_ACTION, admin_url( 'admin-post.php' ) ),
+			self::RESET_ACTION,
+			self::NONCE_NAME
+		);
+	}
+
+	/**
+	 * Message for the error code in the query string.
+	 *
+	 * @return string
+	 */
+	private function get_error_message(): string {
+		$error = isset( $_GET['error'] ) ? sanitize_key( (string) wp_unslash( $_GET['error'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Display only.
+
+		$messages = array(
+			'no_file'         => __( 'Please choose a CSV file.', 'vk-booking-manager' ),
+			'too_large'       => __( 'The file is too large.', 'vk-booking-manager' ),
+			'invalid_csv'     => __( 'The file does not have a header row.', 'vk-booking-manager' ),
+			/* translators: %d: maximum number of rows. */
+			'too_many_rows'   => sprintf( __( 'Up to %d rows can be imported at once. Please split the file.', 'vk-booking-manager' ), Booking_Csv_Importer::MAX_ROWS ),
+			'expired'         => __( 'The uploaded file has expired. Please upload it again.', 'vk-booking-manager' ),
+			'missing_mapping' => __( 'Please choose the columns for the start and end date and time.', 'vk-booking-manager' ),
+		);
+
+		return $messages[ $error ] ?? '';
+	}
+
+	/**
+	 * Redirect back to the page.
+	 *
+	 * @param array<string, string> $args Query args.
+	 */
+	private function redirect( array $args ): void {
+		$url = add_query_arg(
+			array_merge(
+				array(
+					'post_type' => Booking_Post_Type::POST_TYPE,
+					'page'      => self::MENU_SLUG,
+				),
+				$args
+			),
+			admin_url( 'edit.php' )
+		);
+
+		wp_safe_redirect( $url );
+		exit;
+	}
+}
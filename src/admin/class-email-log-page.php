@@ -181,6 +181,7 @@ class Email_Log_Page {
 					<thead>
 						<tr>
 							<th style="width: 180px;"><?php echo esc_html__( 'Date/Time', 'vk-booking-manager' ); ?></th>
+							<th style="width: 80px;"><?php echo esc_html__( 'Channel', 'vk-booking-manager' ); ?></th>
 							<th style="width: 250px;"><?php echo esc_html__( 'Recipient', 'vk-booking-manager' ); ?></th>
 							<th><?php echo esc_html__( 'Subject', 'vk-booking-manager' ); ?></th>
 							<th style="width: 100px;"><?php echo esc_html__( 'Status', 'vk-booking-manager' ); ?></th>
@@ -201,6 +202,7 @@ class Email_Log_Page {
 									}
 									?>
 								</td>
+								<td><?php echo esc_html( $this->get_channel_label( (string) ( $log['channel'] ?? 'email' ) ) ); ?></td>
 								<td><?php echo esc_html( $log['email'] ?? '' ); ?></td>
 								<td><?php echo esc_html( $log['subject'] ?? '' ); ?></td>
 								<td>
@@ -226,6 +228,21 @@ class Email_Log_Page {
 		<?php
 	}
 
+	/**
+	 * Label for the channel a log entry was sent on. Entries logged before channels existed are emails.
+	 *
+	 * @param string $channel Channel ID.
+	 * @return string
+	 */
+	private function get_channel_label( string $channel ): string {
+		$labels = array(
+			'email' => __( 'Email', 'vk-booking-manager' ),
+			'sms'   => __( 'SMS', 'vk-booking-manager' ),
+		);
+
+		return $labels[ $channel ] ?? $channel;
+	}
+
 	/**
 	 * Whether email logging is enabled in provider settings.
 	 */
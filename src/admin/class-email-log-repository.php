@@ -78,9 +78,10 @@ class Email_Log_Repository {
 	 * @param string $subject    Email subject.
 	 * @param bool   $success    Whether the email was sent successfully.
 	 * @param string $error_info Error information if failed.
+	 * @param string $channel    Notification channel ID (email, sms, ...).
 	 * @return void
 	 */
-	public function add_log( string $email, string $subject, bool $success, string $error_info = '' ): void {
+	public function add_log( string $email, string $subject, bool $success, string $error_info = '', string $channel = 'email' ): void {
 		$logs = $this->get_logs();
 
 		$log_entry = array(
@@ -90,6 +91,7 @@ class Email_Log_Repository {
 			'subject'   => $subject,
 			'success'   => $success,
 			'error'     => $error_info,
+			'channel'   => $channel,
 		);
 
 		array_unshift( $logs, $log_entry );
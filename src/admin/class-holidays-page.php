@@ -0,0 +1,463 @@
+<?php
+
+/**
+ * Holiday calendar admin page.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Admin;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Holidays\Holiday_Calendar;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function add_submenu_page;
+use function admin_url;
+use function check_admin_referer;
+use function checked;
+use function current_time;
+use function current_user_can;
+use function esc_attr;
+use function esc_attr_e;
+use function esc_html;
+use function esc_html__;
+use function esc_html_e;
+use function esc_js;
+use function esc_url;
+use function number_format_i18n;
+use function sanitize_key;
+use function sanitize_text_field;
+use function selected;
+use function wp_date;
+use function wp_die;
+use function wp_nonce_field;
+use function wp_nonce_url;
+use function wp_safe_redirect;
+use function wp_unslash;
+
+/**
+ * Lets the provider pick a country holiday dataset and manage custom holidays and closures.
+ */
+class Holidays_Page {
+	private const MENU_SLUG      = 'vkbm-holidays';
+	private const SAVE_ACTION    = 'vkbm_save_holidays';
+	private const MANAGE_ACTION  = 'vkbm_manage_holiday';
+	private const NONCE_NAME     = 'vkbm_holidays_nonce';
+	private const MAX_FILE_BYTES = MB_IN_BYTES;
+
+	/**
+	 * Parent admin menu slug.
+	 *
+	 * @var string
+	 */
+	private $parent_slug;
+
+	/**
+	 * Capability required to access the page.
+	 *
+	 * @var string
+	 */
+	private $capability;
+
+	/**
+	 * Holiday calendar.
+	 *
+	 * @var Holiday_Calendar
+	 */
+	private $calendar;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string                $parent_slug Parent admin menu slug.
+	 * @param string                $capability  Capability required to access the page.
+	 * @param Holiday_Calendar|null $calendar    Holiday calendar.
+	 */
+	public function __construct( string $parent_slug = 'vkbm-provider-settings', string $capability = Capabilities::MANAGE_PROVIDER_SETTINGS, ?Holiday_Calendar $calendar = null ) {
+		$this->parent_slug = $parent_slug;
+		$this->capability  = $capability;
+		$this->calendar    = $calendar ?? new Holiday_Calendar();
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 */
+	public function register(): void {
+		add_action( 'admin_menu', array( $this, 'register_menu' ), 11 );
+		add_action( 'admin_post_' . self::SAVE_ACTION, array( $this, 'handle_save' ) );
+		add_action( 'admin_post_' . self::MANAGE_ACTION, array( $this, 'handle_manage' ) );
+	}
+
+	/**
+	 * Register the submenu page.
+	 */
+	public function register_menu(): void {
+		add_submenu_page(
+			$this->parent_slug,
+			__( 'Holiday calendar', 'vk-booking-manager' ),
+			__( 'Holiday calendar', 'vk-booking-manager' ),
+			$this->capability,
+			self::MENU_SLUG,
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Handle the settings, add day and .ics import forms.
+	 */
+	public function handle_save(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::SAVE_ACTION, self::NONCE_NAME );
+
+		$task = isset( $_POST['vkbm_holiday_task'] ) ? sanitize_key( (string) wp_unslash( $_POST['vkbm_holiday_task'] ) ) : '';
+		$type = isset( $_POST['vkbm_holiday_type'] ) ? sanitize_key( (string) wp_unslash( $_POST['vkbm_holiday_type'] ) ) : Holiday_Calendar::TYPE_HOLIDAY;
+
+		switch ( $task ) {
+			case 'options':
+				$country = isset( $_POST['vkbm_holiday_country'] ) ? sanitize_key( (string) wp_unslash( $_POST['vkbm_holiday_country'] ) ) : '';
+				$this->calendar->update_options( $country, ! empty( $_POST['vkbm_holiday_close'] ) );
+				$this->redirect( array( 'updated' => 'saved' ) );
+				break;
+			case 'add':
+				$date  = isset( $_POST['vkbm_holiday_date'] ) ? sanitize_text_field( (string) wp_unslash( $_POST['vkbm_holiday_date'] ) ) : '';
+				$name  = isset( $_POST['vkbm_holiday_name'] ) ? sanitize_text_field( (string) wp_unslash( $_POST['vkbm_holiday_name'] ) ) : '';
+				$added = $this->calendar->add_days(
+					array(
+						array(
+							'date' => $date,
+							'name' => $name,
+							'type' => $type,
+						),
+					)
+				);
+				$this->redirect( $added > 0 ? array( 'updated' => 'added' ) : array( 'error' => 'invalid_date' ) );
+				break;
+			case 'import':
+				// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Only the temporary path and size are used.
+				$file = isset( $_FILES['vkbm_holiday_file'] ) && is_array( $_FILES['vkbm_holiday_file'] ) ? $_FILES['vkbm_holiday_file'] : array();
+				if ( empty( $file['tmp_name'] ) || UPLOAD_ERR_OK !== (int) ( $file['error'] ?? UPLOAD_ERR_NO_FILE ) || ! is_uploaded_file( (string) $file['tmp_name'] ) || (int) $file['size'] > self::MAX_FILE_BYTES ) {
+					$this->redirect( array( 'error' => 'no_file' ) );
+				}
+
+				$days = $this->calendar->read_ics_days( (string) file_get_contents( (string) $file['tmp_name'] ), $type ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local upload.
+				if ( array() === $days ) {
+					$this->redirect( array( 'error' => 'no_events' ) );
+				}
+
+				$this->redirect(
+					array(
+						'updated'  => 'imported',
+						'imported' => (string) $this->calendar->add_days( $days ),
+					)
+				);
+				break;
+		}
+
+		$this->redirect( array() );
+	}
+
+	/**
+	 * Handle the delete links.
+	 */
+	public function handle_manage(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::MANAGE_ACTION, self::NONCE_NAME );
+
+		$task = isset( $_GET['task'] ) ? sanitize_key( (string) wp_unslash( $_GET['task'] ) ) : '';
+		$date = isset( $_GET['date'] ) ? sanitize_text_field( (string) wp_unslash( $_GET['date'] ) ) : '';
+
+		if ( 'delete' === $task ) {
+			$this->calendar->delete_days( array( $date ) );
+			$this->redirect( array( 'updated' => 'deleted' ) );
+		}
+
+		if ( 'delete_past' === $task ) {
+			$today = wp_date( 'Y-m-d' );
+			$this->calendar->delete_days(
+				array_filter(
+					array_keys( $this->calendar->get_settings()['days'] ),
+					static function ( string $day ) use ( $today ): bool {
+						return $day < $today;
+					}
+				)
+			);
+			$this->redirect( array( 'updated' => 'deleted' ) );
+		}
+
+		$this->redirect( array() );
+	}
+
+	/**
+	 * Render the page.
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		$settings     = $this->calendar->get_settings();
+		$type_labels  = Holiday_Calendar::get_type_labels();
+		$notice       = $this->get_notice();
+		$current_year = (int) current_time( 'Y' );
+		$year         = isset( $_GET['year'] ) ? (int) $_GET['year'] : $current_year; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Display only.
+		$year         = max( $current_year - 5, min( $current_year + 5, $year ) );
+		$holidays     = $this->calendar->get_holidays( $year );
+		?>
+		<div class="wrap vkbm-holidays">
+			<h1><?php esc_html_e( 'Holiday calendar', 'vk-booking-manager' ); ?></h1>
+
+			<?php if ( null !== $notice ) : ?>
+				<div class="notice notice-<?php echo esc_attr( $notice['type'] ); ?> is-dismissible">
+					<p><?php echo esc_html( $notice['message'] ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<p>
+				<?php esc_html_e( 'Public holidays use the "Holiday" business hours, and the day before a holiday uses "The day before a public holiday" hours. When those hours are not set, the hours of the weekday apply. Closed days are created as temporary closures.', 'vk-booking-manager' ); ?>
+				<?php esc_html_e( 'Changes apply to shifts created afterwards; existing shifts are not changed.', 'vk-booking-manager' ); ?>
+			</p>
+
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<?php wp_nonce_field( self::SAVE_ACTION, self::NONCE_NAME ); ?>
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::SAVE_ACTION ); ?>" />
+				<input type="hidden" name="vkbm_holiday_task" value="options" />
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><label for="vkbm-holiday-country"><?php esc_html_e( 'Public holidays', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<select id="vkbm-holiday-country" name="vkbm_holiday_country">
+								<?php foreach ( Holiday_Calendar::get_countries() as $code => $label ) : ?>
+									<option value="<?php echo esc_attr( $code ); ?>" <?php selected( $settings['country'], $code ); ?>><?php echo esc_html( $label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Closed on holidays', 'vk-booking-manager' ); ?></th>
+						<td>
+							<label>
+								<input type="checkbox" name="vkbm_holiday_close" value="1" <?php checked( $settings['close_on_holidays'] ); ?> />
+								<?php esc_html_e( 'Do not accept reservations on public holidays', 'vk-booking-manager' ); ?>
+							</label>
+						</td>
+					</tr>
+				</table>
+				<p class="submit">
+					<button type="submit" class="button button-primary"><?php esc_html_e( 'Save Changes', 'vk-booking-manager' ); ?></button>
+				</p>
+			</form>
+
+			<h2><?php esc_html_e( 'Custom holidays and closures', 'vk-booking-manager' ); ?></h2>
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="vkbm-holidays__inline-form">
+				<?php wp_nonce_field( self::SAVE_ACTION, self::NONCE_NAME ); ?>
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::SAVE_ACTION ); ?>" />
+				<input type="hidden" name="vkbm_holiday_task" value="add" />
+				<label>
+					<?php esc_html_e( 'Date', 'vk-booking-manager' ); ?>
+					<input type="date" name="vkbm_holiday_date" required />
+				</label>
+				<label>
+					<?php esc_html_e( 'Name', 'vk-booking-manager' ); ?>
+					<input type="text" name="vkbm_holiday_name" class="regular-text" />
+				</label>
+				<?php $this->render_type_select(); ?>
+				<button type="submit" class="button"><?php esc_html_e( 'Add', 'vk-booking-manager' ); ?></button>
+			</form>
+
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" enctype="multipart/form-data" class="vkbm-holidays__inline-form">
+				<?php wp_nonce_field( self::SAVE_ACTION, self::NONCE_NAME ); ?>
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::SAVE_ACTION ); ?>" />
+				<input type="hidden" name="vkbm_holiday_task" value="import" />
+				<label>
+					<?php esc_html_e( 'iCalendar file (.ics)', 'vk-booking-manager' ); ?>
+					<input type="file" name="vkbm_holiday_file" accept=".ics,text/calendar" required />
+				</label>
+				<?php $this->render_type_select(); ?>
+				<button type="submit" class="button"><?php esc_html_e( 'Import', 'vk-booking-manager' ); ?></button>
+			</form>
+
+			<?php if ( array() === $settings['days'] ) : ?>
+				<p><?php esc_html_e( 'No custom days registered yet.', 'vk-booking-manager' ); ?></p>
+			<?php else : ?>
+				<p>
+					<a class="button" href="<?php echo esc_url( $this->get_manage_url( 'delete_past' ) ); ?>" onclick="return confirm('<?php echo esc_js( __( 'Delete all past days?', 'vk-booking-manager' ) ); ?>');">
+						<?php esc_html_e( 'Delete past days', 'vk-booking-manager' ); ?>
+					</a>
+				</p>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th style="width: 140px;"><?php esc_html_e( 'Date', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Name', 'vk-booking-manager' ); ?></th>
+							<th style="width: 120px;"><?php esc_html_e( 'Type', 'vk-booking-manager' ); ?></th>
+							<th style="width: 100px;"></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $settings['days'] as $day ) : ?>
+							<tr>
+								<td><?php echo esc_html( $day['date'] ); ?></td>
+								<td><?php echo esc_html( $day['name'] ); ?></td>
+								<td><?php echo esc_html( $type_labels[ $day['type'] ] ?? $day['type'] ); ?></td>
+								<td>
+									<a class="button button-small button-link-delete" href="<?php echo esc_url( $this->get_manage_url( 'delete', $day['date'] ) ); ?>">
+										<?php esc_html_e( 'Delete', 'vk-booking-manager' ); ?>
+									</a>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+
+			<h2>
+				<?php
+				/* translators: %d: year. */
+				echo esc_html( sprintf( __( 'Holidays in %d', 'vk-booking-manager' ), $year ) );
+				?>
+			</h2>
+			<p>
+				<a href="<?php echo esc_url( $this->get_year_url( $year - 1 ) ); ?>">&laquo; <?php echo esc_html( (string) ( $year - 1 ) ); ?></a>
+				|
+				<a href="<?php echo esc_url( $this->get_year_url( $year + 1 ) ); ?>"><?php echo esc_html( (string) ( $year + 1 ) ); ?> &raquo;</a>
+			</p>
+			<?php if ( array() === $holidays ) : ?>
+				<p><?php esc_html_e( 'No holidays.', 'vk-booking-manager' ); ?></p>
+			<?php else : ?>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th style="width: 180px;"><?php esc_html_e( 'Date', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Name', 'vk-booking-manager' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $holidays as $date => $name ) : ?>
+							<tr>
+								<td><?php echo esc_html( wp_date( __( 'M j (D)', 'vk-booking-manager' ), (int) strtotime( $date . ' 12:00:00' ) ) ); ?></td>
+								<td><?php echo esc_html( $name ); ?></td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Select for the custom day type.
+	 */
+	private function render_type_select(): void {
+		?>
+		<select name="vkbm_holiday_type" aria-label="<?php esc_attr_e( 'Type', 'vk-booking-manager' ); ?>">
+			<?php foreach ( Holiday_Calendar::get_type_labels() as $type => $label ) : ?>
+				<option value="<?php echo esc_attr( $type ); ?>"><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<?php
+	}
+
+	/**
+	 * Page URL for another year, without the previous notice.
+	 *
+	 * @param int $year Year.
+	 * @return string
+	 */
+	private function get_year_url( int $year ): string {
+		return add_query_arg(
+			array(
+				'page' => self::MENU_SLUG,
+				'year' => $year,
+			),
+			admin_url( 'admin.php' )
+		);
+	}
+
+	/**
+	 * Signed admin-post URL for a row action.
+	 *
+	 * @param string $task Task name.
+	 * @param string $date Custom day date.
+	 * @return string
+	 */
+	private function get_manage_url( string $task, string $date = '' ): string {
+		return wp_nonce_url(
+			add_query_arg(
+				array(
+					'action' => self::MANAGE_ACTION,
+					'task'   => $task,
+					'date'   => $date,
+				),
+				admin_url( 'admin-post.php' )
+			),
+			self::MANAGE_ACTION,
+			self::NONCE_NAME
+		);
+	}
+
+	/**
+	 * Notice for the result of the last action.
+	 *
+	 * @return array{type:string,message:string}|null
+	 */
+	private function get_notice(): ?array {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Display only.
+		$updated  = isset( $_GET['updated'] ) ? sanitize_key( (string) wp_unslash( $_GET['updated'] ) ) : '';
+		$error    = isset( $_GET['error'] ) ? sanitize_key( (string) wp_unslash( $_GET['error'] ) ) : '';
+		$imported = isset( $_GET['imported'] ) ? (int) $_GET['imported'] : 0;
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$errors = array(
+			'invalid_date' => __( 'Please enter a valid date.', 'vk-booking-manager' ),
+			'no_file'      => __( 'Please choose an .ics file of 1 MB or less.', 'vk-booking-manager' ),
+			'no_events'    => __( 'No events were found in the file.', 'vk-booking-manager' ),
+		);
+		if ( isset( $errors[ $error ] ) ) {
+			return array(
+				'type'    => 'error',
+				'message' => $errors[ $error ],
+			);
+		}
+
+		$messages = array(
+			'saved'    => __( 'Settings saved.', 'vk-booking-manager' ),
+			'added'    => __( 'Day added.', 'vk-booking-manager' ),
+			'deleted'  => __( 'Day deleted.', 'vk-booking-manager' ),
+			/* translators: %s: number of days. */
+			'imported' => sprintf( __( '%s days imported.', 'vk-booking-manager' ), number_format_i18n( $imported ) ),
+		);
+		if ( isset( $messages[ $updated ] ) ) {
+			return array(
+				'type'    => 'success',
+				'message' => $messages[ $updated ],
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Redirect back to the page and stop.
+	 *
+	 * @param array<string, string> $args Query args.
+	 */
+	private function redirect( array $args ): void {
+		wp_safe_redirect( add_query_arg( array_merge( array( 'page' => self::MENU_SLUG ), $args ), admin_url( 'admin.php' ) ) );
+		exit;
+	}
+}
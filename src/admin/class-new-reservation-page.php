@@ -0,0 +1,210 @@
+<?php
+
+/**
+ * Front-desk "New reservation" admin page.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Admin;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Assets\Common_Styles;
+use VKBookingManager\Bookings\Booking_Admin;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use VKBookingManager\Staff\Staff_Editor;
+use WP_Post;
+use function __;
+use function add_action;
+use function add_submenu_page;
+use function admin_url;
+use function esc_html__;
+use function get_locale;
+use function get_posts;
+use function wp_add_inline_script;
+use function wp_enqueue_script;
+use function wp_enqueue_style;
+use function wp_json_encode;
+use function wp_set_script_translations;
+use function wp_style_is;
+
+/**
+ * Lets front-desk staff enter phone and walk-in bookings.
+ *
+ * The screen is a React app built from src/admin/new-reservation and reuses the
+ * reservation block's calendar and slot list with the admin REST endpoints.
+ * 予約ブロックのカレンダー・空き枠一覧を再利用した受付用の予約入力画面です。
+ */
+class New_Reservation_Page {
+	private const MENU_SLUG     = 'vkbm-new-reservation';
+	private const SCRIPT_HANDLE = 'vkbm-new-reservation';
+	private const SCRIPT_PATH   = 'build/admin/new-reservation.js';
+	private const ASSET_PATH    = 'build/admin/new-reservation.asset.php';
+	private const BLOCK_STYLE   = 'vk-booking-manager-reservation-style';
+
+	/**
+	 * Capability required to access the page.
+	 *
+	 * @var string
+	 */
+	private $capability;
+
+	/**
+	 * Booking admin (status labels).
+	 *
+	 * @var Booking_Admin
+	 */
+	private $booking_admin;
+
+	/**
+	 * Page hook for the admin page.
+	 *
+	 * @var string
+	 */
+	private $page_hook = '';
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Booking_Admin $booking_admin Booking admin.
+	 * @param string        $capability    Capability required to access the page.
+	 */
+	public function __construct( Booking_Admin $booking_admin, string $capability = 'manage_options' ) {
+		$this->booking_admin = $booking_admin;
+		$this->capability    = $capability;
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'admin_menu', array( $this, 'register_menu' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+	}
+
+	/**
+	 * Register the submenu under the reservation post type.
+	 */
+	public function register_menu(): void {
+		$hook = add_submenu_page(
+			'edit.php?post_type=' . Booking_Post_Type::POST_TYPE,
+			__( 'New reservation (front desk)', 'vk-booking-manager' ),
+			__( 'Front desk', 'vk-booking-manager' ),
+			$this->capability,
+			self::MENU_SLUG,
+			array( $this, 'render_page' )
+		);
+
+		$this->page_hook = (string) $hook;
+	}
+
+	/**
+	 * Enqueue the app on the page.
+	 *
+	 * @param string $hook_suffix Current admin page hook.
+	 */
+	public function enqueue_assets( string $hook_suffix ): void {
+		if ( '' === $this->page_hook || $hook_suffix !== $this->page_hook ) {
+			return;
+		}
+
+		$asset_file = VKBM_PLUGIN_DIR_PATH . self::ASSET_PATH;
+		$asset      = file_exists( $asset_file )
+			? require $asset_file
+			: array(
+				'dependencies' => array( 'wp-api-fetch', 'wp-dom-ready', 'wp-element', 'wp-i18n' ),
+				'version'      => VKBM_VERSION,
+			);
+
+		wp_enqueue_style( Common_Styles::ADMIN_HANDLE );
+		// Calendar and slot list styles come from the reservation block. / カレンダーと空き枠のスタイルは予約ブロックのものを使う.
+		if ( wp_style_is( self::BLOCK_STYLE, 'registered' ) ) {
+			wp_enqueue_style( self::BLOCK_STYLE );
+		}
+
+		wp_enqueue_script(
+			self::SCRIPT_HANDLE,
+			VKBM_PLUGIN_DIR_URL . self::SCRIPT_PATH,
+			$asset['dependencies'] ?? array(),
+			$asset['version'] ?? VKBM_VERSION,
+			true
+		);
+		wp_set_script_translations( self::SCRIPT_HANDLE, 'vk-booking-manager', VKBM_PLUGIN_DIR_PATH . 'languages' );
+		wp_add_inline_script(
+			self::SCRIPT_HANDLE,
+			'window.vkbmNewReservation = ' . wp_json_encode( $this->get_bootstrap() ) . ';',
+			'before'
+		);
+	}
+
+	/**
+	 * Render the page container.
+	 */
+	public function render_page(): void {
+		?>
+		<div class="wrap vkbm-new-reservation">
+			<h1><?php echo esc_html__( 'New reservation (front desk)', 'vk-booking-manager' ); ?></h1>
+			<div id="vkbm-new-reservation-root"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Data the app needs on first render.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_bootstrap(): array {
+		$settings = ( new Settings_Repository() )->get_settings();
+
+		return array(
+			'menus'        => $this->get_post_options( Service_Menu_Post_Type::POST_TYPE ),
+			'staff'        => Staff_Editor::is_enabled() ? $this->get_post_options( Resource_Post_Type::POST_TYPE ) : array(),
+			'staffEnabled' => Staff_Editor::is_enabled(),
+			'statuses'     => $this->booking_admin->get_status_options(),
+			'allowOverlap' => ! empty( $settings['provider_allow_staff_overlap_admin'] ),
+			'editUrl'      => admin_url( 'post.php?action=edit&post=' ),
+			'locale'       => get_locale(),
+		);
+	}
+
+	/**
+	 * ID and title pairs for a post type, including private menus.
+	 *
+	 * @param string $post_type Post type.
+	 * @return array<int, array{id:int,title:string}>
+	 */
+	private function get_post_options( string $post_type ): array {
+		$posts = get_posts(
+			array(
+				'post_type'      => $post_type,
+				'post_status'    => array( 'publish', 'private' ),
+				'posts_per_page' => -1,
+				'orderby'        => array(
+					'menu_order' => 'ASC',
+					'title'      => 'ASC',
+				),
+			)
+		);
+
+		$options = array();
+		foreach ( $posts as $post ) {
+			if ( $post instanceof WP_Post ) {
+				$options[] = array(
+					'id'    => (int) $post->ID,
+					'title' => (string) $post->post_title,
+				);
+			}
+		}
+
+		return $options;
+	}
+}
@@ -14,16 +14,25 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use VKBookingManager\Assets\Common_Styles;
+use VKBookingManager\Availability\Staff_Assignment_Strategy;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Notifications\Email_Templates;
+use VKBookingManager\Notifications\Sms_Providers;
+use VKBookingManager\Notifications\Sms_Templates;
+use VKBookingManager\Payments\Payment_Gateways;
+use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Service;
+use VKBookingManager\Shifts\Shift_Auto_Generator;
 use VKBookingManager\Staff\Staff_Editor;
 
 /**
  * Handles the provider settings admin page.
  */
 class Provider_Settings_Page {
-	private const MENU_SLUG    = 'vkbm-provider-settings';
-	private const NONCE_ACTION = 'vkbm_provider_settings_save';
-	private const NONCE_NAME   = 'vkbm_provider_settings_nonce';
+	private const MENU_SLUG      = 'vkbm-provider-settings';
+	private const NONCE_ACTION   = 'vkbm_provider_settings_save';
+	private const NONCE_NAME     = 'vkbm_provider_settings_nonce';
+	private const PREVIEW_ACTION = 'vkbm_preview_email_template';
 
 	/**
 	 * Parent admin menu slug.
@@ -53,17 +62,26 @@ class Provider_Settings_Page {
 	 */
 	private $page_hook = '';
 
+	/**
+	 * Notification service used for email template previews.
+	 *
+	 * @var Booking_Notification_Service|null
+	 */
+	private $notification_service;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param Settings_Service $settings_service Provider settings service.
-	 * @param string           $capability       Capability required to access the page.
-	 * @param string           $parent_slug      Parent admin menu slug.
+	 * @param Settings_Service                  $settings_service     Provider settings service.
+	 * @param string                            $capability           Capability required to access the page.
+	 * @param string                            $parent_slug          Parent admin menu slug.
+	 * @param Booking_Notification_Service|null $notification_service Notification service for email template previews.
 	 */
-	public function __construct( Settings_Service $settings_service, string $capability = 'manage_options', string $parent_slug = 'vkbm-shift-dashboard' ) {
-		$this->settings_service = $settings_service;
-		$this->capability       = $capability;
-		$this->parent_slug      = $parent_slug;
+	public function __construct( Settings_Service $settings_service, string $capability = 'manage_options', string $parent_slug = 'vkbm-shift-dashboard', ?Booking_Notification_Service $notification_service = null ) {
+		$this->settings_service     = $settings_service;
+		$this->capability           = $capability;
+		$this->parent_slug          = $parent_slug;
+		$this->notification_service = $notification_service;
 	}
 
 	/**
@@ -73,6 +91,7 @@ class Provider_Settings_Page {
 		add_action( 'admin_menu', array( $this, 'register_menu' ) );
 		add_action( 'admin_init', array( $this, 'handle_form_submission' ) );
 		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+		add_action( 'wp_ajax_' . self::PREVIEW_ACTION, array( $this, 'ajax_preview_email_template' ) );
 	}
 
 	/**
@@ -190,7 +209,7 @@ class Provider_Settings_Page {
 		}
 
 		$active_tab = isset( $_GET['tab'] ) ? sanitize_key( wp_unslash( $_GET['tab'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Preserve UI state.
-		if ( ! in_array( $active_tab, array( 'store', 'system', 'registration', 'consent', 'design', 'advanced', 'faq' ), true ) ) {
+		if ( ! in_array( $active_tab, array( 'store', 'system', 'registration', 'consent', 'design', 'email', 'advanced', 'faq' ), true ) ) {
 			$active_tab = '';
 		}
 
@@ -241,6 +260,11 @@ class Provider_Settings_Page {
 			array(
 				'logoFrameTitle'  => __( 'Select logo image', 'vk-booking-manager' ),
 				'logoFrameButton' => __( 'Select', 'vk-booking-manager' ),
+				'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+				'previewAction'   => self::PREVIEW_ACTION,
+				'previewNonce'    => wp_create_nonce( self::PREVIEW_ACTION ),
+				'previewError'    => __( 'The preview could not be generated.', 'vk-booking-manager' ),
+				'previewEmpty'    => __( 'Select a reservation to preview.', 'vk-booking-manager' ),
 			)
 		);
 
@@ -335,6 +359,10 @@ class Provider_Settings_Page {
 		$email_log_enabled            = ! empty( $settings['email_log_enabled'] );
 		$email_log_retention_days     = isset( $settings['email_log_retention_days'] ) ? (int) $settings['email_log_retention_days'] : 1;
 		$email_log_retention_days     = max( 1, $email_log_retention_days );
+		$email_html_layout            = ! empty( $settings[ Email_Templates::HTML_LAYOUT_KEY ] );
+		$email_preview_bookings       = $this->get_email_preview_bookings();
+		$sms_enabled                  = ! empty( $settings['sms_enabled'] );
+		$sms_provider                 = isset( $settings['sms_provider'] ) ? (string) $settings['sms_provider'] : '';
 		$auth_rate_limit_register_max = isset( $settings['auth_rate_limit_register_max'] ) ? (int) $settings['auth_rate_limit_register_max'] : 5;
 		$auth_rate_limit_login_max    = isset( $settings['auth_rate_limit_login_max'] ) ? (int) $settings['auth_rate_limit_login_max'] : 10;
 		$wp_users_can_register        = (bool) get_option( 'users_can_register' );
@@ -354,6 +382,9 @@ class Provider_Settings_Page {
 		$slot_step_minutes                 = isset( $settings['provider_slot_step_minutes'] ) ? (int) $settings['provider_slot_step_minutes'] : 15;
 		$service_menu_buffer_after_minutes = isset( $settings['provider_service_menu_buffer_after_minutes'] ) ? (int) $settings['provider_service_menu_buffer_after_minutes'] : 0;
 		$booking_status_mode               = isset( $settings['provider_booking_status_mode'] ) ? (string) $settings['provider_booking_status_mode'] : 'confirmed';
+		$payment_gateway                   = isset( $settings['provider_payment_gateway'] ) ? (string) $settings['provider_payment_gateway'] : '';
+		$auto_assign_strategy              = Staff_Assignment_Strategy::sanitize_strategy( $settings['provider_auto_assign_strategy'] ?? '' );
+		$payment_timeout_minutes           = isset( $settings['provider_payment_timeout_minutes'] ) ? (int) $settings['provider_payment_timeout_minutes'] : 30;
 		$cancellation_policy               = isset( $settings['provider_cancellation_policy'] ) ? (string) $settings['provider_cancellation_policy'] : '';
 		$terms_of_service                  = isset( $settings['provider_terms_of_service'] ) ? (string) $settings['provider_terms_of_service'] : '';
 		$privacy_policy_mode               = isset( $settings['provider_privacy_policy_mode'] ) ? sanitize_key( (string) $settings['provider_privacy_policy_mode'] ) : 'none';
@@ -365,6 +396,7 @@ class Provider_Settings_Page {
 		}
 		$reservation_menu_list_display_mode = isset( $settings['reservation_menu_list_display_mode'] ) ? sanitize_key( (string) $settings['reservation_menu_list_display_mode'] ) : 'card';
 		$shift_alert_months                 = isset( $settings['shift_alert_months'] ) ? (int) $settings['shift_alert_months'] : 1;
+		$shift_auto_generate_months         = isset( $settings['shift_auto_generate_months'] ) ? (int) $settings['shift_auto_generate_months'] : 0;
 		$booking_reminder_hours             = $settings['booking_reminder_hours'] ?? array();
 		if ( ! is_array( $booking_reminder_hours ) ) {
 			$booking_reminder_hours = array();
@@ -398,7 +430,7 @@ class Provider_Settings_Page {
 			$reservation_menu_list_display_mode = 'card';
 		}
 		$active_tab = isset( $_GET['tab'] ) ? sanitize_key( wp_unslash( $_GET['tab'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- UI state.
-		if ( ! in_array( $active_tab, array( 'store', 'system', 'registration', 'consent', 'design', 'advanced', 'faq' ), true ) ) {
+		if ( ! in_array( $active_tab, array( 'store', 'system', 'registration', 'consent', 'design', 'email', 'advanced', 'faq' ), true ) ) {
 			$active_tab = 'store';
 		}
 
@@ -442,6 +474,12 @@ class Provider_Settings_Page {
 				>
 					<?php esc_html_e( 'design settings', 'vk-booking-manager' ); ?>
 				</a>
+				<a
+					href="<?php echo esc_url( add_query_arg( 'tab', 'email', $base_url ) ); ?>"
+					class="nav-tab<?php echo 'email' === $active_tab ? ' nav-tab-active' : ''; ?>"
+				>
+					<?php esc_html_e( 'Email and SMS', 'vk-booking-manager' ); ?>
+				</a>
 				<a
 					href="<?php echo esc_url( add_query_arg( 'tab', 'faq', $base_url ) ); ?>"
 					class="nav-tab<?php echo 'faq' === $active_tab ? ' nav-tab-active' : ''; ?>"
@@ -1053,6 +1091,85 @@ class Provider_Settings_Page {
 								</td>
 							</tr>
 
+							<tr class="vkbm-provider-settings__tab-system">
+								<th scope="row">
+									<label for="vkbm-provider-auto-assign-strategy"><?php esc_html_e( 'Automatic staff assignment', 'vk-booking-manager' ); ?></label>
+								</th>
+								<td>
+									<select
+										id="vkbm-provider-auto-assign-strategy"
+										name="vkbm_provider_settings[provider_auto_assign_strategy]"
+									>
+										<?php foreach ( Staff_Assignment_Strategy::get_strategy_labels() as $strategy_key => $strategy_label ) : ?>
+											<option value="<?php echo esc_attr( $strategy_key ); ?>" <?php selected( $auto_assign_strategy, $strategy_key ); ?>>
+												<?php echo esc_html( $strategy_label ); ?>
+											</option>
+										<?php endforeach; ?>
+									</select>
+									<p class="description">
+										<?php esc_html_e( 'How a staff member is chosen for "No preference" reservations. "Weighted priority" uses the weight set on each staff member.', 'vk-booking-manager' ); ?>
+									</p>
+								</td>
+							</tr>
+
+							<tr class="vkbm-provider-settings__tab-system">
+								<th scope="row"><?php esc_html_e( 'Guest reservations', 'vk-booking-manager' ); ?></th>
+								<td>
+									<label class="vkbm-inline-checkbox">
+										<input
+											type="checkbox"
+											id="vkbm-provider-allow-guest-booking"
+											name="vkbm_provider_settings[provider_allow_guest_booking]"
+											value="1"
+											<?php checked( ! empty( $settings['provider_allow_guest_booking'] ) ); ?>
+										/>
+										<?php esc_html_e( 'Allow reservations without logging in', 'vk-booking-manager' ); ?>
+									</label>
+									<p class="description">
+										<?php esc_html_e( 'Guests enter their name, email address and phone number instead of registering. The confirmation email contains a link to view or cancel the reservation. Menus that require online payment and recurring reservations still need an account.', 'vk-booking-manager' ); ?>
+									</p>
+								</td>
+							</tr>
+
+							<tr class="vkbm-provider-settings__tab-system">
+								<th scope="row">
+									<label for="vkbm-provider-payment-gateway"><?php esc_html_e( 'Online payment', 'vk-booking-manager' ); ?></label>
+								</th>
+								<td>
+									<select
+										id="vkbm-provider-payment-gateway"
+										name="vkbm_provider_settings[provider_payment_gateway]"
+									>
+										<option value="" <?php selected( $payment_gateway, '' ); ?>>
+											<?php esc_html_e( 'Do not use', 'vk-booking-manager' ); ?>
+										</option>
+										<?php foreach ( Payment_Gateways::get_labels() as $gateway_id => $gateway_label ) : ?>
+											<option value="<?php echo esc_attr( $gateway_id ); ?>" <?php selected( $payment_gateway, $gateway_id ); ?>>
+												<?php echo esc_html( $gateway_label ); ?>
+											</option>
+										<?php endforeach; ?>
+									</select>
+									<p>
+										<label for="vkbm-provider-payment-timeout">
+											<?php esc_html_e( 'Payment deadline', 'vk-booking-manager' ); ?>
+										</label>
+										<input
+											type="number"
+											class="small-text"
+											id="vkbm-provider-payment-timeout"
+											name="vkbm_provider_settings[provider_payment_timeout_minutes]"
+											min="1"
+											step="1"
+											value="<?php echo esc_attr( (string) $payment_timeout_minutes ); ?>"
+										/>
+										<?php esc_html_e( 'minutes after reserving', 'vk-booking-manager' ); ?>
+									</p>
+									<p class="description">
+										<?php esc_html_e( 'Menus set to full prepayment or deposit are paid online when reserving. Unpaid reservations are cancelled automatically after the deadline.', 'vk-booking-manager' ); ?>
+									</p>
+								</td>
+							</tr>
+
 
 
 							<tr class="vkbm-provider-settings__tab-store">
@@ -1334,6 +1451,25 @@ class Provider_Settings_Page {
 								<p class="description"><?php esc_html_e( 'Displayed if there is an unregistered month within the specified number of months including the current month.', 'vk-booking-manager' ); ?></p>
 							</td>
 						</tr>
+						<tr class="vkbm-provider-settings__tab-system">
+							<th scope="row">
+								<label for="vkbm-shift-auto-generate-months"><?php esc_html_e( 'Create shifts automatically', 'vk-booking-manager' ); ?></label>
+							</th>
+							<td>
+								<input
+									type="number"
+									class="small-text"
+									id="vkbm-shift-auto-generate-months"
+									name="vkbm_provider_settings[shift_auto_generate_months]"
+									min="0"
+									max="<?php echo esc_attr( (string) Shift_Auto_Generator::MAX_MONTHS ); ?>"
+									step="1"
+									value="<?php echo esc_attr( (string) $shift_auto_generate_months ); ?>"
+								/>
+								<?php esc_html_e( 'months ahead', 'vk-booking-manager' ); ?>
+								<p class="description"><?php esc_html_e( 'Once a day, missing shifts of the current month and the specified number of following months are created and published from each staff member\'s schedule template. Existing shifts are never changed. Set 0 to turn this off.', 'vk-booking-manager' ); ?></p>
+							</td>
+						</tr>
 						<tr class="vkbm-provider-settings__tab-system">
 							<th scope="row">
 								<label for="vkbm-booking-reminder-hours-0"><?php esc_html_e( 'Reservation reminder email', 'vk-booking-manager' ); ?></label>
@@ -1536,6 +1672,165 @@ class Provider_Settings_Page {
 								<p class="description"><?php esc_html_e( 'Applies to rounded corners (--vkbm--radius--md) in the main component.', 'vk-booking-manager' ); ?></p>
 							</td>
 						</tr>
+						<tr class="vkbm-provider-settings__tab-email">
+							<th scope="row"><?php esc_html_e( 'Email format', 'vk-booking-manager' ); ?></th>
+							<td>
+								<label class="vkbm-inline-checkbox">
+									<input
+										type="checkbox"
+										id="vkbm-email-html-layout"
+										name="vkbm_provider_settings[<?php echo esc_attr( Email_Templates::HTML_LAYOUT_KEY ); ?>]"
+										value="1"
+										<?php checked( $email_html_layout ); ?>
+									/>
+									<?php esc_html_e( 'Send emails as HTML with the store logo', 'vk-booking-manager' ); ?>
+								</label>
+								<p class="description">
+									<?php esc_html_e( 'The logo set in Store basic information is shown at the top. When disabled, emails are sent as plain text.', 'vk-booking-manager' ); ?>
+								</p>
+							</td>
+						</tr>
+						<tr class="vkbm-provider-settings__tab-email">
+							<th scope="row"><?php esc_html_e( 'Placeholders', 'vk-booking-manager' ); ?></th>
+							<td>
+								<p class="description">
+									<?php esc_html_e( 'Leave the subject or body empty to use the standard text. The following placeholders are replaced with the reservation details.', 'vk-booking-manager' ); ?>
+								</p>
+								<dl class="vkbm-email-template__tokens">
+									<?php foreach ( Email_Templates::get_token_labels() as $token => $token_label ) : ?>
+										<dt><code>{<?php echo esc_html( $token ); ?>}</code></dt>
+										<dd><?php echo esc_html( $token_label ); ?></dd>
+									<?php endforeach; ?>
+								</dl>
+							</td>
+						</tr>
+						<tr class="vkbm-provider-settings__tab-email">
+							<th scope="row">
+								<label for="vkbm-email-preview-booking"><?php esc_html_e( 'Preview reservation', 'vk-booking-manager' ); ?></label>
+							</th>
+							<td>
+								<select id="vkbm-email-preview-booking">
+									<?php if ( array() === $email_preview_bookings ) : ?>
+										<option value=""><?php esc_html_e( 'No reservations yet', 'vk-booking-manager' ); ?></option>
+									<?php endif; ?>
+									<?php foreach ( $email_preview_bookings as $preview_booking_id => $preview_booking_label ) : ?>
+										<option value="<?php echo esc_attr( (string) $preview_booking_id ); ?>"><?php echo esc_html( $preview_booking_label ); ?></option>
+									<?php endforeach; ?>
+								</select>
+								<p class="description">
+									<?php esc_html_e( 'Previews are rendered from this reservation. No email is sent.', 'vk-booking-manager' ); ?>
+								</p>
+							</td>
+						</tr>
+						<?php foreach ( Email_Templates::get_type_labels() as $template_type => $template_label ) : ?>
+							<?php
+							$email_template = Email_Templates::get_template( $settings, $template_type );
+							$template_name  = sprintf( 'vkbm_provider_settings[%s][%s]', Email_Templates::SETTING_KEY, $template_type );
+							?>
+							<tr class="vkbm-provider-settings__tab-email">
+								<th scope="row"><?php echo esc_html( $template_label ); ?></th>
+								<td class="vkbm-email-template" data-type="<?php echo esc_attr( $template_type ); ?>">
+									<label class="vkbm-inline-checkbox">
+										<input
+											type="checkbox"
+											name="<?php echo esc_attr( $template_name . '[enabled]' ); ?>"
+											value="1"
+											<?php checked( $email_template['enabled'] ); ?>
+										/>
+										<?php esc_html_e( 'Send this email', 'vk-booking-manager' ); ?>
+									</label>
+									<p>
+										<input
+											type="text"
+											class="large-text vkbm-email-template__subject"
+											name="<?php echo esc_attr( $template_name . '[subject]' ); ?>"
+											value="<?php echo esc_attr( $email_template['subject'] ); ?>"
+											placeholder="<?php esc_attr_e( 'Subject (standard text when empty)', 'vk-booking-manager' ); ?>"
+											aria-label="<?php esc_attr_e( 'Subject', 'vk-booking-manager' ); ?>"
+										/>
+									</p>
+									<textarea
+										class="large-text vkbm-email-template__body"
+										rows="8"
+										name="<?php echo esc_attr( $template_name . '[body]' ); ?>"
+										placeholder="<?php esc_attr_e( 'Body (standard text when empty)', 'vk-booking-manager' ); ?>"
+										aria-label="<?php esc_attr_e( 'Body', 'vk-booking-manager' ); ?>"
+									><?php echo esc_textarea( $email_template['body'] ); ?></textarea>
+									<p>
+										<button type="button" class="button vkbm-email-template__preview-button">
+											<?php esc_html_e( 'Preview', 'vk-booking-manager' ); ?>
+										</button>
+									</p>
+									<div class="vkbm-email-template__preview" hidden>
+										<p class="vkbm-email-template__preview-subject"></p>
+										<pre class="vkbm-email-template__preview-text"></pre>
+										<iframe class="vkbm-email-template__preview-html" title="<?php esc_attr_e( 'Email preview', 'vk-booking-manager' ); ?>" sandbox="" hidden></iframe>
+									</div>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+						<tr class="vkbm-provider-settings__tab-email">
+							<th scope="row"><?php esc_html_e( 'SMS notifications', 'vk-booking-manager' ); ?></th>
+							<td>
+								<label class="vkbm-inline-checkbox">
+									<input
+										type="checkbox"
+										name="vkbm_provider_settings[sms_enabled]"
+										value="1"
+										<?php checked( $sms_enabled ); ?>
+									/>
+									<?php esc_html_e( 'Send customer notifications by SMS', 'vk-booking-manager' ); ?>
+								</label>
+								<p class="description">
+									<?php esc_html_e( 'Messages are sent to the phone number of the reservation, only to customers who opted in on the booking form.', 'vk-booking-manager' ); ?>
+								</p>
+								<p>
+									<label for="vkbm-sms-provider"><?php esc_html_e( 'SMS service', 'vk-booking-manager' ); ?></label>
+									<select id="vkbm-sms-provider" name="vkbm_provider_settings[sms_provider]">
+										<?php foreach ( Sms_Providers::get_labels() as $sms_provider_id => $sms_provider_label ) : ?>
+											<option value="<?php echo esc_attr( $sms_provider_id ); ?>" <?php selected( $sms_provider, $sms_provider_id ); ?>>
+												<?php echo esc_html( $sms_provider_label ); ?>
+											</option>
+										<?php endforeach; ?>
+									</select>
+								</p>
+								<p class="description">
+									<?php esc_html_e( 'The log file service is available while WP_DEBUG is on and only writes messages to a protected file in the uploads folder, for testing. Other services can be added by extensions.', 'vk-booking-manager' ); ?>
+								</p>
+							</td>
+						</tr>
+						<?php foreach ( Sms_Templates::get_type_labels() as $template_type => $template_label ) : ?>
+							<?php
+							$sms_template  = Sms_Templates::get_template( $settings, $template_type );
+							$template_name = sprintf( 'vkbm_provider_settings[%s][%s]', Sms_Templates::SETTING_KEY, $template_type );
+							?>
+							<tr class="vkbm-provider-settings__tab-email">
+								<th scope="row">
+									<?php
+									/* translators: %s: notification type label */
+									echo esc_html( sprintf( __( 'SMS: %s', 'vk-booking-manager' ), $template_label ) );
+									?>
+								</th>
+								<td>
+									<label class="vkbm-inline-checkbox">
+										<input
+											type="checkbox"
+											name="<?php echo esc_attr( $template_name . '[enabled]' ); ?>"
+											value="1"
+											<?php checked( $sms_template['enabled'] ); ?>
+										/>
+										<?php esc_html_e( 'Send this SMS', 'vk-booking-manager' ); ?>
+									</label>
+									<textarea
+										class="large-text"
+										rows="3"
+										name="<?php echo esc_attr( $template_name . '[body]' ); ?>"
+										placeholder="<?php echo esc_attr( Sms_Templates::get_default_body( $template_type ) ); ?>"
+										aria-label="<?php esc_attr_e( 'Message', 'vk-booking-manager' ); ?>"
+									><?php echo esc_textarea( $sms_template['body'] ); ?></textarea>
+								</td>
+							</tr>
+						<?php endforeach; ?>
 						<tr class="vkbm-provider-settings__tab-advanced">
 							<th scope="row"><?php esc_html_e( 'Email debug', 'vk-booking-manager' ); ?></th>
 							<td>
@@ -1601,6 +1896,75 @@ class Provider_Settings_Page {
 		</div>
 		<?php
 	}
+
+	/**
+	 * Recent reservations offered in the email preview selector.
+	 *
+	 * @return array<int, string> Booking ID => label.
+	 */
+	private function get_email_preview_bookings(): array {
+		$booking_ids = get_posts(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => 'any',
+				'posts_per_page' => 20,
+				'orderby'        => 'date',
+				'order'          => 'DESC',
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+			)
+		);
+
+		$options = array();
+		foreach ( $booking_ids as $booking_id ) {
+			$customer_name = (string) get_post_meta( (int) $booking_id, '_vkbm_booking_customer_name', true );
+			$start_at      = (string) get_post_meta( (int) $booking_id, '_vkbm_booking_service_start', true );
+
+			$options[ (int) $booking_id ] = trim( sprintf( '#%d %s %s', (int) $booking_id, $start_at, $customer_name ) );
+		}
+
+		return $options;
+	}
+
+	/**
+	 * AJAX: render an email template with a real reservation.
+	 */
+	public function ajax_preview_email_template(): void {
+		check_ajax_referer( self::PREVIEW_ACTION, 'nonce' );
+
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_send_json_error(
+				array( 'message' => __( "You don't have permission.", 'vk-booking-manager' ) ),
+				403
+			);
+		}
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce checked above.
+		$type       = isset( $_POST['type'] ) ? sanitize_key( wp_unslash( $_POST['type'] ) ) : '';
+		$booking_id = isset( $_POST['booking_id'] ) ? absint( $_POST['booking_id'] ) : 0;
+		$subject    = isset( $_POST['subject'] ) ? sanitize_text_field( wp_unslash( $_POST['subject'] ) ) : '';
+		$body       = isset( $_POST['body'] ) ? trim( sanitize_textarea_field( wp_unslash( $_POST['body'] ) ) ) : '';
+		$html       = ! empty( $_POST['html'] );
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		if ( null === $this->notification_service || ! array_key_exists( $type, Email_Templates::get_type_labels() ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Unknown email type.', 'vk-booking-manager' ) ),
+				400
+			);
+		}
+
+		$preview = $this->notification_service->preview_message( $type, $booking_id, $subject, $body, $html );
+		if ( null === $preview ) {
+			wp_send_json_error(
+				array( 'message' => __( 'No reservations found.', 'vk-booking-manager' ) ),
+				404
+			);
+		}
+
+		wp_send_json_success( $preview );
+	}
+
 	/**
 	 * Returns options for regular holiday frequency select.
 	 *
@@ -1833,6 +2197,8 @@ class Provider_Settings_Page {
 			$output['provider_booking_status_mode']               = sanitize_key( (string) ( $input['provider_booking_status_mode'] ?? 'confirmed' ) );
 		$output['provider_booking_cancel_mode']                   = sanitize_key( (string) ( $input['provider_booking_cancel_mode'] ?? 'hours' ) );
 		$output['provider_booking_cancel_deadline_hours']         = absint( $input['provider_booking_cancel_deadline_hours'] ?? 24 );
+		$output['provider_payment_gateway']                       = sanitize_key( (string) ( $input['provider_payment_gateway'] ?? '' ) );
+		$output['provider_payment_timeout_minutes']               = absint( $input['provider_payment_timeout_minutes'] ?? 30 );
 		$output['provider_website_url']                           = sanitize_text_field( $input['provider_website_url'] ?? '' );
 		$output['reservation_page_url']                           = sanitize_text_field( $input['reservation_page_url'] ?? '' );
 		$output['reservation_show_menu_list']                     = ! empty( $input['reservation_show_menu_list'] );
@@ -1847,6 +2213,11 @@ class Provider_Settings_Page {
 		$output['membership_redirect_wp_login']                   = ! empty( $input['membership_redirect_wp_login'] );
 		$output['email_log_enabled']                              = ! empty( $input['email_log_enabled'] );
 		$output['email_log_retention_days']                       = max( 1, absint( $input['email_log_retention_days'] ?? 1 ) );
+		$output[ Email_Templates::SETTING_KEY ]                   = Email_Templates::sanitize( $input[ Email_Templates::SETTING_KEY ] ?? array() );
+		$output[ Email_Templates::HTML_LAYOUT_KEY ]               = ! empty( $input[ Email_Templates::HTML_LAYOUT_KEY ] );
+		$output['sms_enabled']                                    = ! empty( $input['sms_enabled'] );
+		$output['sms_provider']                                   = sanitize_key( (string) ( $input['sms_provider'] ?? 'log' ) );
+		$output[ Sms_Templates::SETTING_KEY ]                     = Sms_Templates::sanitize( $input[ Sms_Templates::SETTING_KEY ] ?? array() );
 		$output['booking_reminder_hours']                         = $this->sanitize_reminder_hours_input( $input['booking_reminder_hours'] ?? array() );
 		$output['provider_regular_holidays_disabled']             = ! empty( $input['provider_regular_holidays_disabled'] );
 		$output['provider_regular_holidays']                      = $output['provider_regular_holidays_disabled']
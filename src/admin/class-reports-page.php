@@ -0,0 +1,362 @@
+<?php
+
+/**
+ * Reports admin page.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Admin;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\Reports\Report_Service;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function add_submenu_page;
+use function admin_url;
+use function check_admin_referer;
+use function current_user_can;
+use function esc_attr;
+use function esc_html;
+use function esc_html__;
+use function esc_html_e;
+use function esc_url;
+use function nocache_headers;
+use function number_format_i18n;
+use function sanitize_key;
+use function sanitize_text_field;
+use function selected;
+use function wp_die;
+use function wp_nonce_url;
+use function wp_timezone;
+use function wp_unslash;
+
+/**
+ * Shows booking, revenue and utilization reports with CSV export.
+ */
+class Reports_Page {
+	private const MENU_SLUG     = 'vkbm-reports';
+	private const EXPORT_ACTION = 'vkbm_export_report';
+	private const NONCE_NAME    = 'vkbm_report_nonce';
+
+	/**
+	 * Parent admin menu slug.
+	 *
+	 * @var string
+	 */
+	private $parent_slug;
+
+	/**
+	 * Capability required to access the page.
+	 *
+	 * @var string
+	 */
+	private $capability;
+
+	/**
+	 * Report builder.
+	 *
+	 * @var Report_Service
+	 */
+	private $report_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string              $parent_slug    Parent admin menu slug.
+	 * @param string              $capability     Capability required to access the page.
+	 * @param Report_Service|null $report_service Report builder.
+	 */
+	public function __construct( string $parent_slug = 'vkbm-shift-dashboard', string $capability = Capabilities::MANAGE_PROVIDER_SETTINGS, ?Report_Service $report_service = null ) {
+		$this->parent_slug    = $parent_slug;
+		$this->capability     = $capability;
+		$this->report_service = $report_service ?? new Report_Service();
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 */
+	public function register(): void {
+		add_action( 'admin_menu', array( $this, 'register_menu' ), 11 );
+		add_action( 'admin_post_' . self::EXPORT_ACTION, array( $this, 'handle_export' ) );
+	}
+
+	/**
+	 * Register the submenu page.
+	 */
+	public function register_menu(): void {
+		add_submenu_page(
+			$this->parent_slug,
+			__( 'Reports', 'vk-booking-manager' ),
+			__( 'Reports', 'vk-booking-manager' ),
+			$this->capability,
+			self::MENU_SLUG,
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Stream one report table as a CSV download.
+	 */
+	public function handle_export(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::EXPORT_ACTION, self::NONCE_NAME );
+
+		$table_id = isset( $_GET['table'] ) ? sanitize_key( (string) wp_unslash( $_GET['table'] ) ) : '';
+		if ( ! in_array( $table_id, Report_Service::get_table_ids(), true ) ) {
+			wp_die( esc_html__( 'Unknown report.', 'vk-booking-manager' ) );
+		}
+
+		$filters = $this->get_filters();
+		$report  = $this->report_service->build_report( $filters['from'], $filters['to'], $filters['group'] );
+		$table   = $report[ $table_id ];
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=UTF-8' );
+		header(
+			sprintf(
+				'Content-Disposition: attachment; filename="vkbm-report-%s-%s-%s.csv"',
+				$table_id,
+				$filters['from']->format( 'Ymd' ),
+				$filters['to']->format( 'Ymd' )
+			)
+		);
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions -- Streaming to the response body.
+		$output = fopen( 'php://output', 'w' );
+		// BOM so spreadsheet apps detect UTF-8 (needed for Japanese labels). / Excel で文字化けしないよう BOM を付ける.
+		fwrite( $output, "\xEF\xBB\xBF" );
+		fputcsv( $output, array_column( $table['columns'], 'label' ) );
+		foreach ( $table['rows'] as $row ) {
+			$line = array();
+			foreach ( array_keys( $table['columns'] ) as $key ) {
+				$line[] = $row[ $key ] ?? '';
+			}
+			fputcsv( $output, $line );
+		}
+		fclose( $output );
+		// phpcs:enable WordPress.WP.AlternativeFunctions
+		exit;
+	}
+
+	/**
+	 * Render the page.
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		$filters = $this->get_filters();
+		$report  = $this->report_service->build_report( $filters['from'], $filters['to'], $filters['group'] );
+		?>
+		<div class="wrap vkbm-reports">
+			<h1><?php esc_html_e( 'Reports', 'vk-booking-manager' ); ?></h1>
+
+			<form method="get" class="vkbm-reports__filters">
+				<input type="hidden" name="page" value="<?php echo esc_attr( self::MENU_SLUG ); ?>" />
+				<label for="vkbm-report-from"><?php esc_html_e( 'From', 'vk-booking-manager' ); ?></label>
+				<input type="date" id="vkbm-report-from" name="vkbm_from" value="<?php echo esc_attr( $filters['from']->format( 'Y-m-d' ) ); ?>" />
+				<label for="vkbm-report-to"><?php esc_html_e( 'To', 'vk-booking-manager' ); ?></label>
+				<input type="date" id="vkbm-report-to" name="vkbm_to" value="<?php echo esc_attr( $filters['to']->format( 'Y-m-d' ) ); ?>" />
+				<label for="vkbm-report-group"><?php esc_html_e( 'Group by', 'vk-booking-manager' ); ?></label>
+				<select id="vkbm-report-group" name="vkbm_group">
+					<?php foreach ( Report_Service::get_group_labels() as $group => $group_label ) : ?>
+						<option value="<?php echo esc_attr( $group ); ?>" <?php selected( $filters['group'], $group ); ?>><?php echo esc_html( $group_label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<button type="submit" class="button"><?php esc_html_e( 'Apply', 'vk-booking-manager' ); ?></button>
+			</form>
+			<p class="description">
+				<?php esc_html_e( 'Bookings are counted by visit date. Revenue uses the billed total when it has been entered, otherwise the booked total, and excludes cancellations and no-shows. Reports cover up to one year.', 'vk-booking-manager' ); ?>
+			</p>
+
+			<?php $this->render_timeline_chart( $report['timeline'] ); ?>
+
+			<div class="vkbm-reports__grid">
+				<?php foreach ( Report_Service::get_table_ids() as $table_id ) : ?>
+					<?php $this->render_table( $table_id, $report[ $table_id ], $filters ); ?>
+				<?php endforeach; ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Revenue bar chart per period; each bar's tooltip also shows the booking count.
+	 *
+	 * @param array<string, mixed> $table Timeline table.
+	 */
+	private function render_timeline_chart( array $table ): void {
+		$max_revenue = max( array_merge( array( 1 ), array_column( $table['rows'], 'revenue' ) ) );
+		?>
+		<div class="vkbm-reports__chart" role="img" aria-label="<?php echo esc_attr( $table['title'] ); ?>">
+			<?php foreach ( $table['rows'] as $row ) : ?>
+				<?php $height = (int) round( $row['revenue'] / $max_revenue * 100 ); ?>
+				<div class="vkbm-reports__chart-bar" title="<?php echo esc_attr( sprintf( '%s: %s / %s', $row['period'], VKBM_Helper::format_currency( (int) $row['revenue'] ), $this->format_count( (int) $row['bookings'] ) ) ); ?>">
+					<span class="vkbm-reports__chart-fill" style="--vkbm-report-bar: <?php echo esc_attr( (string) $height ); ?>%;"></span>
+				</div>
+			<?php endforeach; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render one report table with its export link.
+	 *
+	 * @param string               $table_id Table ID.
+	 * @param array<string, mixed> $table    Table data.
+	 * @param array<string, mixed> $filters  Current filters.
+	 */
+	private function render_table( string $table_id, array $table, array $filters ): void {
+		$max_heat = 1;
+		foreach ( $table['rows'] as $row ) {
+			foreach ( $table['columns'] as $key => $column ) {
+				if ( 'heat' === $column['type'] ) {
+					$max_heat = max( $max_heat, (int) $row[ $key ] );
+				}
+			}
+		}
+		?>
+		<section class="vkbm-reports__section vkbm-reports__section--<?php echo esc_attr( str_replace( '_', '-', $table_id ) ); ?>">
+			<header class="vkbm-reports__section-header">
+				<h2><?php echo esc_html( $table['title'] ); ?></h2>
+				<a class="button button-small" href="<?php echo esc_url( $this->get_export_url( $table_id, $filters ) ); ?>">
+					<?php esc_html_e( 'Export CSV', 'vk-booking-manager' ); ?>
+				</a>
+			</header>
+			<?php if ( array() === $table['rows'] ) : ?>
+				<p><?php esc_html_e( 'No bookings in this period.', 'vk-booking-manager' ); ?></p>
+			<?php else : ?>
+				<table class="wp-list-table widefat striped vkbm-reports__table">
+					<thead>
+						<tr>
+							<?php foreach ( $table['columns'] as $column ) : ?>
+								<th scope="col"><?php echo esc_html( $column['label'] ); ?></th>
+							<?php endforeach; ?>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $table['rows'] as $row ) : ?>
+							<tr>
+								<?php foreach ( $table['columns'] as $key => $column ) : ?>
+									<?php if ( 'heat' === $column['type'] ) : ?>
+										<td class="vkbm-reports__heat" style="--vkbm-report-heat: <?php echo esc_attr( (string) round( (int) $row[ $key ] / $max_heat, 2 ) ); ?>;">
+											<?php echo esc_html( $this->format_count( (int) $row[ $key ] ) ); ?>
+										</td>
+									<?php else : ?>
+										<td><?php echo esc_html( $this->format_value( $row[ $key ] ?? null, $column['type'] ) ); ?></td>
+									<?php endif; ?>
+								<?php endforeach; ?>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		</section>
+		<?php
+	}
+
+	/**
+	 * Format a cell value for display.
+	 *
+	 * @param mixed  $value Raw value.
+	 * @param string $type  Column type.
+	 * @return string
+	 */
+	private function format_value( $value, string $type ): string {
+		switch ( $type ) {
+			case 'money':
+				return VKBM_Helper::format_currency( (int) $value );
+			case 'percent':
+				return null === $value ? '—' : number_format_i18n( (float) $value, 1 ) . '%';
+			case 'int':
+				return $this->format_count( (int) $value );
+		}
+
+		return (string) $value;
+	}
+
+	/**
+	 * Localized integer.
+	 *
+	 * @param int $value Value.
+	 * @return string
+	 */
+	private function format_count( int $value ): string {
+		return number_format_i18n( $value );
+	}
+
+	/**
+	 * Signed admin-post URL for a CSV export.
+	 *
+	 * @param string               $table_id Table ID.
+	 * @param array<string, mixed> $filters  Current filters.
+	 * @return string
+	 */
+	private function get_export_url( string $table_id, array $filters ): string {
+		return wp_nonce_url(
+			add_query_arg(
+				array(
+					'action'     => self::EXPORT_ACTION,
+					'table'      => $table_id,
+					'vkbm_from'  => $filters['from']->format( 'Y-m-d' ),
+					'vkbm_to'    => $filters['to']->format( 'Y-m-d' ),
+					'vkbm_group' => $filters['group'],
+				),
+				admin_url( 'admin-post.php' )
+			),
+			self::EXPORT_ACTION,
+			self::NONCE_NAME
+		);
+	}
+
+	/**
+	 * Read the date range and grouping from the query string.
+	 *
+	 * Defaults to the current month; ranges longer than a year are shortened.
+	 *
+	 * @return array{from: DateTimeImmutable, to: DateTimeImmutable, group: string}
+	 */
+	private function get_filters(): array {
+		$timezone = wp_timezone();
+		$today    = new DateTimeImmutable( 'today', $timezone );
+
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Read-only filters.
+		$from_raw  = isset( $_GET['vkbm_from'] ) ? sanitize_text_field( (string) wp_unslash( $_GET['vkbm_from'] ) ) : '';
+		$to_raw    = isset( $_GET['vkbm_to'] ) ? sanitize_text_field( (string) wp_unslash( $_GET['vkbm_to'] ) ) : '';
+		$group_raw = isset( $_GET['vkbm_group'] ) ? sanitize_key( (string) wp_unslash( $_GET['vkbm_group'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$from = DateTimeImmutable::createFromFormat( '!Y-m-d', $from_raw, $timezone );
+		$to   = DateTimeImmutable::createFromFormat( '!Y-m-d', $to_raw, $timezone );
+		$from = $from ? $from : $today->modify( 'first day of this month' );
+		$to   = $to ? $to : $today->modify( 'last day of this month' );
+
+		if ( $to < $from ) {
+			$to = $from;
+		}
+
+		if ( (int) $from->diff( $to )->format( '%a' ) >= Report_Service::MAX_RANGE_DAYS ) {
+			$to = $from->modify( sprintf( '+%d days', Report_Service::MAX_RANGE_DAYS - 1 ) );
+		}
+
+		return array(
+			'from'  => $from,
+			'to'    => $to,
+			'group' => array_key_exists( $group_raw, Report_Service::get_group_labels() ) ? $group_raw : Report_Service::GROUP_DAY,
+		);
+	}
+}
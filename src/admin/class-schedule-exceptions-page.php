@@ -0,0 +1,395 @@
+<?php
+
+/**
+ * Schedule exceptions admin page.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Admin;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Shifts\Schedule_Exception_Repository;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function add_submenu_page;
+use function admin_url;
+use function check_admin_referer;
+use function current_user_can;
+use function esc_attr;
+use function esc_attr_e;
+use function esc_html;
+use function esc_html__;
+use function esc_html_e;
+use function esc_js;
+use function esc_url;
+use function is_wp_error;
+use function number_format_i18n;
+use function sanitize_key;
+use function sanitize_text_field;
+use function wp_die;
+use function wp_nonce_field;
+use function wp_nonce_url;
+use function wp_safe_redirect;
+use function wp_unslash;
+
+/**
+ * Lets the provider register closures and special hours that override every staff shift.
+ */
+class Schedule_Exceptions_Page {
+	private const MENU_SLUG     = 'vkbm-schedule-exceptions';
+	private const SAVE_ACTION   = 'vkbm_save_schedule_exception';
+	private const MANAGE_ACTION = 'vkbm_manage_schedule_exception';
+	private const NONCE_NAME    = 'vkbm_schedule_exception_nonce';
+
+	/**
+	 * Parent admin menu slug.
+	 *
+	 * @var string
+	 */
+	private $parent_slug;
+
+	/**
+	 * Capability required to access the page.
+	 *
+	 * @var string
+	 */
+	private $capability;
+
+	/**
+	 * Exception storage.
+	 *
+	 * @var Schedule_Exception_Repository
+	 */
+	private $repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string                             $parent_slug Parent admin menu slug.
+	 * @param string                             $capability  Capability required to access the page.
+	 * @param Schedule_Exception_Repository|null $repository  Exception storage.
+	 */
+	public function __construct( string $parent_slug = 'vkbm-provider-settings', string $capability = Capabilities::MANAGE_PROVIDER_SETTINGS, ?Schedule_Exception_Repository $repository = null ) {
+		$this->parent_slug = $parent_slug;
+		$this->capability  = $capability;
+		$this->repository  = $repository ?? new Schedule_Exception_Repository();
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 */
+	public function register(): void {
+		add_action( 'admin_menu', array( $this, 'register_menu' ), 11 );
+		add_action( 'admin_post_' . self::SAVE_ACTION, array( $this, 'handle_save' ) );
+		add_action( 'admin_post_' . self::MANAGE_ACTION, array( $this, 'handle_manage' ) );
+	}
+
+	/**
+	 * Register the submenu page.
+	 */
+	public function register_menu(): void {
+		add_submenu_page(
+			$this->parent_slug,
+			__( 'Closures & special hours', 'vk-booking-manager' ),
+			__( 'Closures & special hours', 'vk-booking-manager' ),
+			$this->capability,
+			self::MENU_SLUG,
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Handle the add form.
+	 */
+	public function handle_save(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::SAVE_ACTION, self::NONCE_NAME );
+
+		$fields = array();
+		foreach ( array( 'start_date', 'end_date', 'type', 'start_time', 'end_time', 'note' ) as $field ) {
+			$key              = 'vkbm_exception_' . $field;
+			$fields[ $field ] = isset( $_POST[ $key ] ) ? sanitize_text_field( (string) wp_unslash( $_POST[ $key ] ) ) : '';
+		}
+
+		$exception = $this->repository->add_exception(
+			array(
+				'start_date' => $fields['start_date'],
+				'end_date'   => $fields['end_date'],
+				'type'       => $fields['type'],
+				'slots'      => array(
+					array(
+						'start' => $fields['start_time'],
+						'end'   => $fields['end_time'],
+					),
+				),
+				'note'       => $fields['note'],
+			)
+		);
+
+		if ( is_wp_error( $exception ) ) {
+			$this->redirect( array( 'error' => $exception->get_error_code() ) );
+		}
+
+		if ( ! empty( $_POST['vkbm_exception_apply'] ) ) {
+			$this->redirect(
+				array(
+					'updated' => 'applied',
+					'shifts'  => (string) $this->repository->apply_to_shift_posts( $exception['id'] ),
+				)
+			);
+		}
+
+		$this->redirect( array( 'updated' => 'added' ) );
+	}
+
+	/**
+	 * Handle the row actions.
+	 */
+	public function handle_manage(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::MANAGE_ACTION, self::NONCE_NAME );
+
+		$task = isset( $_GET['task'] ) ? sanitize_key( (string) wp_unslash( $_GET['task'] ) ) : '';
+		$id   = isset( $_GET['exception'] ) ? sanitize_text_field( (string) wp_unslash( $_GET['exception'] ) ) : '';
+
+		if ( 'apply' === $task ) {
+			$this->redirect(
+				array(
+					'updated' => 'applied',
+					'shifts'  => (string) $this->repository->apply_to_shift_posts( $id ),
+				)
+			);
+		}
+
+		if ( 'delete' === $task ) {
+			$this->repository->delete_exception( $id );
+			$this->redirect( array( 'updated' => 'deleted' ) );
+		}
+
+		$this->redirect( array() );
+	}
+
+	/**
+	 * Render the page.
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		$exceptions  = $this->repository->get_exceptions();
+		$type_labels = Schedule_Exception_Repository::get_type_labels();
+		$notice      = $this->get_notice();
+
+		uasort(
+			$exceptions,
+			static function ( array $a, array $b ): int {
+				return strcmp( $a['start_date'], $b['start_date'] );
+			}
+		);
+		?>
+		<div class="wrap vkbm-schedule-exceptions">
+			<h1><?php esc_html_e( 'Closures & special hours', 'vk-booking-manager' ); ?></h1>
+
+			<?php if ( null !== $notice ) : ?>
+				<div class="notice notice-<?php echo esc_attr( $notice['type'] ); ?> is-dismissible">
+					<p><?php echo esc_html( $notice['message'] ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<p>
+				<?php esc_html_e( 'Exceptions override the shifts of every staff member when reservations are accepted. Closed periods accept no reservations; special hours replace the hours of staff working that day.', 'vk-booking-manager' ); ?>
+				<?php esc_html_e( 'Shift posts are not changed unless you apply the exception to them.', 'vk-booking-manager' ); ?>
+			</p>
+
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<?php wp_nonce_field( self::SAVE_ACTION, self::NONCE_NAME ); ?>
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::SAVE_ACTION ); ?>" />
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><label for="vkbm-exception-start-date"><?php esc_html_e( 'Period', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<input type="date" id="vkbm-exception-start-date" name="vkbm_exception_start_date" required />
+							&ndash;
+							<input type="date" name="vkbm_exception_end_date" aria-label="<?php esc_attr_e( 'End date', 'vk-booking-manager' ); ?>" />
+							<p class="description"><?php esc_html_e( 'Leave the end date empty for a single day.', 'vk-booking-manager' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="vkbm-exception-type"><?php esc_html_e( 'Type', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<select id="vkbm-exception-type" name="vkbm_exception_type">
+								<?php foreach ( $type_labels as $type => $label ) : ?>
+									<option value="<?php echo esc_attr( $type ); ?>"><?php echo esc_html( $label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="vkbm-exception-start-time"><?php esc_html_e( 'Special hours', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<input type="time" id="vkbm-exception-start-time" name="vkbm_exception_start_time" />
+							&ndash;
+							<input type="time" name="vkbm_exception_end_time" aria-label="<?php esc_attr_e( 'End time', 'vk-booking-manager' ); ?>" />
+							<p class="description"><?php esc_html_e( 'Only used for special hours.', 'vk-booking-manager' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="vkbm-exception-note"><?php esc_html_e( 'Note', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<input type="text" id="vkbm-exception-note" name="vkbm_exception_note" class="regular-text" />
+							<p class="description"><?php esc_html_e( 'Shown on the reservation calendar.', 'vk-booking-manager' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Existing shifts', 'vk-booking-manager' ); ?></th>
+						<td>
+							<label>
+								<input type="checkbox" name="vkbm_exception_apply" value="1" />
+								<?php esc_html_e( 'Also write this exception into shifts that already exist', 'vk-booking-manager' ); ?>
+							</label>
+						</td>
+					</tr>
+				</table>
+				<p class="submit">
+					<button type="submit" class="button button-primary"><?php esc_html_e( 'Add', 'vk-booking-manager' ); ?></button>
+				</p>
+			</form>
+
+			<?php if ( array() === $exceptions ) : ?>
+				<p><?php esc_html_e( 'No exceptions registered yet.', 'vk-booking-manager' ); ?></p>
+			<?php else : ?>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th style="width: 220px;"><?php esc_html_e( 'Period', 'vk-booking-manager' ); ?></th>
+							<th style="width: 120px;"><?php esc_html_e( 'Type', 'vk-booking-manager' ); ?></th>
+							<th style="width: 140px;"><?php esc_html_e( 'Hours', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Note', 'vk-booking-manager' ); ?></th>
+							<th style="width: 240px;"></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $exceptions as $exception ) : ?>
+							<tr>
+								<td>
+									<?php
+									echo esc_html(
+										$exception['start_date'] === $exception['end_date']
+											? $exception['start_date']
+											: $exception['start_date'] . ' – ' . $exception['end_date']
+									);
+									?>
+								</td>
+								<td><?php echo esc_html( $type_labels[ $exception['type'] ] ?? $exception['type'] ); ?></td>
+								<td>
+									<?php foreach ( $exception['slots'] as $slot ) : ?>
+										<?php echo esc_html( $slot['start'] . ' – ' . $slot['end'] ); ?><br />
+									<?php endforeach; ?>
+								</td>
+								<td><?php echo esc_html( $exception['note'] ); ?></td>
+								<td>
+									<a class="button button-small" href="<?php echo esc_url( $this->get_manage_url( 'apply', $exception['id'] ) ); ?>" onclick="return confirm('<?php echo esc_js( __( 'Overwrite the days of existing shifts in this period?', 'vk-booking-manager' ) ); ?>');">
+										<?php esc_html_e( 'Apply to existing shifts', 'vk-booking-manager' ); ?>
+									</a>
+									<a class="button button-small button-link-delete" href="<?php echo esc_url( $this->get_manage_url( 'delete', $exception['id'] ) ); ?>">
+										<?php esc_html_e( 'Delete', 'vk-booking-manager' ); ?>
+									</a>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Signed admin-post URL for a row action.
+	 *
+	 * @param string $task Task name.
+	 * @param string $id   Exception ID.
+	 * @return string
+	 */
+	private function get_manage_url( string $task, string $id ): string {
+		return wp_nonce_url(
+			add_query_arg(
+				array(
+					'action'    => self::MANAGE_ACTION,
+					'task'      => $task,
+					'exception' => $id,
+				),
+				admin_url( 'admin-post.php' )
+			),
+			self::MANAGE_ACTION,
+			self::NONCE_NAME
+		);
+	}
+
+	/**
+	 * Notice for the result of the last action.
+	 *
+	 * @return array{type:string,message:string}|null
+	 */
+	private function get_notice(): ?array {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Display only.
+		$updated = isset( $_GET['updated'] ) ? sanitize_key( (string) wp_unslash( $_GET['updated'] ) ) : '';
+		$error   = isset( $_GET['error'] ) ? sanitize_key( (string) wp_unslash( $_GET['error'] ) ) : '';
+		$shifts  = isset( $_GET['shifts'] ) ? (int) $_GET['shifts'] : 0;
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$errors = array(
+			'invalid_period'  => __( 'Please enter a valid period.', 'vk-booking-manager' ),
+			/* translators: %d: maximum number of days. */
+			'period_too_long' => sprintf( __( 'A period can span at most %d days.', 'vk-booking-manager' ), Schedule_Exception_Repository::MAX_DAYS ),
+			'invalid_type'    => __( 'The exception type is invalid.', 'vk-booking-manager' ),
+			'invalid_hours'   => __( 'Please enter business hours with the end after the start.', 'vk-booking-manager' ),
+		);
+		if ( isset( $errors[ $error ] ) ) {
+			return array(
+				'type'    => 'error',
+				'message' => $errors[ $error ],
+			);
+		}
+
+		$messages = array(
+			'added'   => __( 'Exception added.', 'vk-booking-manager' ),
+			'deleted' => __( 'Exception deleted.', 'vk-booking-manager' ),
+			/* translators: %s: number of shifts. */
+			'applied' => sprintf( __( 'Exception applied to %s shifts.', 'vk-booking-manager' ), number_format_i18n( $shifts ) ),
+		);
+		if ( isset( $messages[ $updated ] ) ) {
+			return array(
+				'type'    => 'success',
+				'message' => $messages[ $updated ],
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Redirect back to the page and stop.
+	 *
+	 * @param array<string, string> $args Query args.
+	 */
+	private function redirect( array $args ): void {
+		wp_safe_redirect( add_query_arg( array_merge( array( 'page' => self::MENU_SLUG ), $args ), admin_url( 'admin.php' ) ) );
+		exit;
+	}
+}
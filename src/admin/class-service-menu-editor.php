@@ -14,8 +14,12 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
+use VKBookingManager\Availability\Slot_Capacity;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\Facilities\Facility_Availability;
+use VKBookingManager\Payments\Payment_Service;
+use VKBookingManager\PostTypes\Facility_Post_Type;
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\PostTypes\Service_Menu_Post_Type;
 use VKBookingManager\Staff\Staff_Editor;
@@ -72,6 +76,15 @@ class Service_Menu_Editor {
 			);
 		}
 
+		add_meta_box(
+			'vkbm_service_menu_facilities',
+			__( 'Required facilities', 'vk-booking-manager' ),
+			array( $this, 'render_facility_meta_box' ),
+			$post_type,
+			'side',
+			'default'
+		);
+
 		add_meta_box(
 			'vkbm_service_menu_publish',
 			__( 'Public settings', 'vk-booking-manager' ),
@@ -164,6 +177,8 @@ class Service_Menu_Editor {
 		$catch_copy             = get_post_meta( $post->ID, '_vkbm_catch_copy', true );
 		$base_price             = get_post_meta( $post->ID, '_vkbm_base_price', true );
 		$disable_nomination_fee = (string) get_post_meta( $post->ID, self::META_DISABLE_NOMINATION_FEE, true );
+		$prepayment_mode        = Payment_Service::get_menu_mode( $post->ID );
+		$deposit_amount         = get_post_meta( $post->ID, Payment_Service::MENU_META_DEPOSIT, true );
 		$tax_label              = VKBM_Helper::get_tax_included_label();
 		?>
 		<div class="vkbm-service-menu-field">
@@ -187,6 +202,17 @@ class Service_Menu_Editor {
 				<?php esc_html_e( 'This menu invalidates the nomination fee', 'vk-booking-manager' ); ?>
 			</label>
 		</div>
+		<div class="vkbm-service-menu-field">
+			<label for="vkbm_service_menu_prepayment_mode"><?php esc_html_e( 'Online payment', 'vk-booking-manager' ); ?></label>
+			<select id="vkbm_service_menu_prepayment_mode" name="vkbm_service_menu[prepayment_mode]">
+				<option value="" <?php selected( '', $prepayment_mode ); ?>><?php esc_html_e( 'Not required (pay at the store)', 'vk-booking-manager' ); ?></option>
+				<option value="<?php echo esc_attr( Payment_Service::MODE_FULL ); ?>" <?php selected( Payment_Service::MODE_FULL, $prepayment_mode ); ?>><?php esc_html_e( 'Full prepayment', 'vk-booking-manager' ); ?></option>
+				<option value="<?php echo esc_attr( Payment_Service::MODE_DEPOSIT ); ?>" <?php selected( Payment_Service::MODE_DEPOSIT, $prepayment_mode ); ?>><?php esc_html_e( 'Deposit', 'vk-booking-manager' ); ?></option>
+			</select>
+			<label for="vkbm_service_menu_deposit_amount"><?php esc_html_e( 'Deposit amount', 'vk-booking-manager' ); ?></label>
+			<input type="number" id="vkbm_service_menu_deposit_amount" name="vkbm_service_menu[deposit_amount]" class="small-text" min="0" step="1" value="<?php echo esc_attr( $deposit_amount ); ?>" />
+			<p class="description"><?php esc_html_e( 'Takes effect only when a payment service is selected in the basic settings. Reservations stay tentative until the payment is completed.', 'vk-booking-manager' ); ?></p>
+		</div>
 		<?php
 	}
 
@@ -202,6 +228,7 @@ class Service_Menu_Editor {
 		$reservation_day_type = (string) get_post_meta( $post->ID, self::META_RESERVATION_DAY_TYPE, true );
 		$other_conditions     = get_post_meta( $post->ID, self::META_OTHER_CONDITIONS, true );
 		$use_detail_page      = get_post_meta( $post->ID, self::META_USE_DETAIL_PAGE, true );
+		$capacity             = get_post_meta( $post->ID, Slot_Capacity::MENU_META_CAPACITY, true );
 		?>
 		<div class="vkbm-service-menu-field">
 			<label for="vkbm_service_menu_duration_minutes"><?php esc_html_e( 'Time required (minutes)', 'vk-booking-manager' ); ?></label>
@@ -212,6 +239,11 @@ class Service_Menu_Editor {
 			<input type="number" id="vkbm_service_menu_buffer_after" name="vkbm_service_menu[buffer_after_minutes]" class="small-text" min="0" step="1" value="<?php echo esc_attr( $buffer_after_minutes ); ?>" />
 			<p class="description"><?php esc_html_e( 'If it is left blank, the information entered on the basic settings screen will be reflected.', 'vk-booking-manager' ); ?></p>
 		</div>
+		<div class="vkbm-service-menu-field">
+			<label for="vkbm_service_menu_capacity"><?php esc_html_e( 'Capacity per slot', 'vk-booking-manager' ); ?></label>
+			<input type="number" id="vkbm_service_menu_capacity" name="vkbm_service_menu[capacity]" class="small-text" min="1" max="<?php echo esc_attr( (string) Slot_Capacity::MAX_CAPACITY ); ?>" step="1" value="<?php echo esc_attr( $capacity ); ?>" /> <?php esc_html_e( 'people', 'vk-booking-manager' ); ?>
+			<p class="description"><?php esc_html_e( 'For group lessons and workshops. A slot stays open until this many people have booked it. Leave blank for one customer per slot.', 'vk-booking-manager' ); ?></p>
+		</div>
 		<div class="vkbm-service-menu-field">
 			<label for="vkbm_service_menu_reservation_day_type"><?php esc_html_e( 'Reservation date', 'vk-booking-manager' ); ?></label>
 			<select id="vkbm_service_menu_reservation_day_type" name="vkbm_service_menu[reservation_day_type]">
@@ -288,6 +320,53 @@ class Service_Menu_Editor {
 		<?php
 	}
 
+	/**
+	 * Render the facility linkage meta box.
+	 *
+	 * @param WP_Post $post Current post object.
+	 */
+	public function render_facility_meta_box( WP_Post $post ): void {
+		$selected_facilities = Facility_Availability::get_menu_facility_ids( (int) $post->ID );
+
+		$facilities = get_posts(
+			array(
+				'post_type'      => Facility_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'orderby'        => array(
+					'menu_order' => 'ASC',
+					'title'      => 'ASC',
+				),
+				'posts_per_page' => -1,
+			)
+		);
+
+		?>
+		<p>
+			<?php esc_html_e( 'Rooms or equipment this menu needs. One free facility is assigned to each reservation.', 'vk-booking-manager' ); ?>
+		</p>
+		<?php if ( empty( $facilities ) ) : ?>
+			<p class="description"><?php esc_html_e( 'No facilities are registered.', 'vk-booking-manager' ); ?></p>
+		<?php else : ?>
+			<ul style="margin: 0;">
+				<?php foreach ( $facilities as $facility ) : ?>
+					<li style="margin: 0 0 4px;">
+						<label>
+							<input
+								type="checkbox"
+								name="vkbm_service_menu[facility_ids][]"
+								value="<?php echo esc_attr( (string) $facility->ID ); ?>"
+								<?php checked( in_array( (int) $facility->ID, $selected_facilities, true ) ); ?>
+							/>
+							<?php echo esc_html( get_the_title( $facility ) ); ?>
+						</label>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+			<p class="description"><?php esc_html_e( 'Leave all unchecked when the menu does not use a shared facility.', 'vk-booking-manager' ); ?></p>
+		<?php endif; ?>
+		<?php
+	}
+
 	/**
 	 * Render the publishing settings meta box.
 	 *
@@ -356,12 +435,16 @@ class Service_Menu_Editor {
 		$duration                       = $this->sanitize_numeric_value( $data, 'duration_minutes' );
 		$buffer_after                   = $this->sanitize_numeric_value( $data, 'buffer_after_minutes' );
 		$deadline                       = $this->sanitize_numeric_value( $data, 'reservation_deadline_hours' );
+		$capacity                       = $this->sanitize_numeric_value( $data, 'capacity' );
 		$reservation_day_type           = $this->sanitize_reservation_day_type( $data['reservation_day_type'] ?? '' );
 		$online_unavailable             = isset( $data['online_unavailable'] ) ? '1' : '';
 		$archive                        = isset( $data['is_archived'] ) ? '1' : '';
 		$use_detail_page                = isset( $data['use_detail_page'] ) ? '1' : '';
 		$disable_nomination_fee         = isset( $data['disable_nomination_fee'] ) ? '1' : '';
+		$prepayment_mode                = $this->sanitize_prepayment_mode( $data['prepayment_mode'] ?? '' );
+		$deposit_amount                 = $this->sanitize_numeric_value( $data, 'deposit_amount' );
 		$staff_ids                      = $this->sanitize_staff_ids( $data['staff_ids'] ?? array() );
+		$facility_ids                   = $this->sanitize_staff_ids( $data['facility_ids'] ?? array() );
 
 			$this->update_meta_value( $post_id, '_vkbm_catch_copy', $catch_copy );
 			$this->update_meta_value( $post_id, '_vkbm_internal_memo', $internal_memo );
@@ -370,15 +453,19 @@ class Service_Menu_Editor {
 			$this->update_meta_value( $post_id, '_vkbm_duration_minutes', $duration );
 			$this->update_meta_value( $post_id, '_vkbm_buffer_after_minutes', $buffer_after );
 				$this->update_meta_value( $post_id, '_vkbm_reservation_deadline_hours', $deadline );
+				$this->update_meta_value( $post_id, Slot_Capacity::MENU_META_CAPACITY, '' === $capacity ? '' : (string) Slot_Capacity::normalize_seats( $capacity ) );
 				$this->update_meta_value( $post_id, self::META_RESERVATION_DAY_TYPE, $reservation_day_type );
 				$this->update_meta_value( $post_id, '_vkbm_online_unavailable', $online_unavailable );
 				delete_post_meta( $post_id, '_vkbm_online_available' );
 				$this->update_meta_value( $post_id, '_vkbm_is_archived', $archive );
 				$this->update_meta_value( $post_id, self::META_USE_DETAIL_PAGE, $use_detail_page );
 				$this->update_meta_value( $post_id, self::META_DISABLE_NOMINATION_FEE, $disable_nomination_fee );
+				$this->update_meta_value( $post_id, Payment_Service::MENU_META_MODE, $prepayment_mode );
+				$this->update_meta_value( $post_id, Payment_Service::MENU_META_DEPOSIT, $deposit_amount );
 		if ( Staff_Editor::is_enabled() ) {
 			$this->update_meta_value( $post_id, '_vkbm_staff_ids', $staff_ids, true );
 		}
+		$this->update_meta_value( $post_id, Facility_Availability::MENU_META_FACILITY_IDS, $facility_ids, true );
 	}
 
 	/**
@@ -450,6 +537,18 @@ class Service_Menu_Editor {
 		return in_array( $value, $allowed, true ) ? $value : '';
 	}
 
+	/**
+	 * Sanitize prepayment mode.
+	 *
+	 * @param mixed $raw Raw value.
+	 * @return string
+	 */
+	private function sanitize_prepayment_mode( $raw ): string {
+		$value = sanitize_key( (string) $raw );
+
+		return in_array( $value, array( Payment_Service::MODE_FULL, Payment_Service::MODE_DEPOSIT ), true ) ? $value : '';
+	}
+
 	/**
 	 * Sanitize date value formatted as Y-m-d.
 	 *
@@ -458,7 +557,7 @@ class Service_Menu_Editor {
 	 * @return string
 	 */
 	/**
-	 * Sanitize staff ID array.
+	 * Sanitize a post ID array (staff or facilities).
 	 *
 	 * @param mixed $ids Raw IDs.
 	 * @return array<int>
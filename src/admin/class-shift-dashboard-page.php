@@ -16,11 +16,15 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use DateTimeImmutable;
 use VKBookingManager\Assets\Common_Styles;
+use VKBookingManager\Bookings\Booking_Admin;
+use VKBookingManager\Calendar\External_Calendar_Sync;
+use VKBookingManager\Facilities\Facility_Availability;
 use VKBookingManager\Notifications\Booking_Notification_Service;
 use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\PostTypes\Shift_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
 use WP_Post;
 use WP_Query;
 
@@ -69,6 +73,8 @@ class Shift_Dashboard_Page {
 	private const BOOKING_STATUS_CANCELLED = 'cancelled';
 	private const BOOKING_STATUS_NO_SHOW   = 'no_show';
 
+	private const MOVE_SNAP_MINUTES = 15;
+
 	/**
 	 * Capability required to access the page.
 	 *
@@ -83,13 +89,22 @@ class Shift_Dashboard_Page {
 	 */
 	private $page_hook = '';
 
+	/**
+	 * Booking admin used to move bookings.
+	 *
+	 * @var Booking_Admin|null
+	 */
+	private $booking_admin;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param string $capability Capability required to access the page.
+	 * @param string             $capability    Capability required to access the page.
+	 * @param Booking_Admin|null $booking_admin Booking admin (drag-and-drop moves).
 	 */
-	public function __construct( string $capability = 'manage_options' ) {
-		$this->capability = $capability;
+	public function __construct( string $capability = 'manage_options', ?Booking_Admin $booking_admin = null ) {
+		$this->capability    = $capability;
+		$this->booking_admin = $booking_admin ?? new Booking_Admin();
 	}
 
 	/**
@@ -99,6 +114,7 @@ class Shift_Dashboard_Page {
 		add_action( 'admin_menu', array( $this, 'register_menu' ) );
 		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
 		add_action( 'wp_ajax_vkbm_confirm_booking', array( $this, 'ajax_confirm_booking' ) );
+		add_action( 'wp_ajax_vkbm_move_booking', array( $this, 'ajax_move_booking' ) );
 	}
 
 	/**
@@ -142,10 +158,17 @@ class Shift_Dashboard_Page {
 			array(
 				'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
 				'confirmNonce' => wp_create_nonce( 'vkbm_confirm_booking' ),
+				'moveNonce'    => wp_create_nonce( 'vkbm_move_booking' ),
+				'snapMinutes'  => self::MOVE_SNAP_MINUTES,
 				'i18n'         => array(
-					'confirm'    => __( 'Confirmed', 'vk-booking-manager' ),
-					'confirming' => __( 'Confirmation processing in progress...', 'vk-booking-manager' ),
-					'error'      => __( 'Confirmation failed. Please try again later.', 'vk-booking-manager' ),
+					'confirm'      => __( 'Confirmed', 'vk-booking-manager' ),
+					'confirming'   => __( 'Confirmation processing in progress...', 'vk-booking-manager' ),
+					'error'        => __( 'Confirmation failed. Please try again later.', 'vk-booking-manager' ),
+					'moveError'    => __( 'The reservation could not be moved.', 'vk-booking-manager' ),
+					'outsideShift' => __( 'The new time is outside the staff shift. Move the reservation anyway?', 'vk-booking-manager' ),
+					'moved'        => __( 'The reservation has been moved.', 'vk-booking-manager' ),
+					'undo'         => __( 'Undo', 'vk-booking-manager' ),
+					'dismiss'      => __( 'Dismiss this notice.', 'vk-booking-manager' ),
 				),
 			)
 		);
@@ -191,6 +214,8 @@ class Shift_Dashboard_Page {
 		$pending_notifications = $this->get_pending_booking_notifications();
 
 		$day_view   = $this->build_day_view_data( $resources, $shift_map, $bookings_map, $selected_date );
+		$week_start = $this->get_week_start( $selected_date );
+		$week_view  = $this->build_week_view_data( $resources, $week_start );
 		$month_view = $this->build_month_view_data( $shift_map, $year, $month, count( $resources ), $resource_names, $month_bookings );
 
 		$prev_day_url   = $this->get_dashboard_url(
@@ -205,6 +230,24 @@ class Shift_Dashboard_Page {
 				'vkbm_view' => 'day',
 			)
 		);
+		$prev_week_url  = $this->get_dashboard_url(
+			array(
+				'vkbm_date' => $week_start->modify( '-7 days' )->format( 'Y-m-d' ),
+				'vkbm_view' => 'week',
+			)
+		);
+		$next_week_url  = $this->get_dashboard_url(
+			array(
+				'vkbm_date' => $week_start->modify( '+7 days' )->format( 'Y-m-d' ),
+				'vkbm_view' => 'week',
+			)
+		);
+		$week_label     = sprintf(
+			/* translators: 1: first day of the week, 2: last day of the week */
+			__( '%1$s - %2$s', 'vk-booking-manager' ),
+			wp_date( $date_format, $week_start->getTimestamp() ),
+			wp_date( $date_format, $week_start->modify( '+6 days' )->getTimestamp() )
+		);
 		$prev_month_url = $this->get_dashboard_url(
 			array(
 				'vkbm_date' => $selected_date->modify( 'first day of previous month' )->format( 'Y-m-d' ),
@@ -219,6 +262,7 @@ class Shift_Dashboard_Page {
 		);
 
 		$day_button_is_active   = ( 'day' === $selected_view );
+		$week_button_is_active  = ( 'week' === $selected_view );
 		$month_button_is_active = ( 'month' === $selected_view );
 
 		$resource_count = max( 1, count( $day_view['resource_cards'] ) );
@@ -262,26 +306,18 @@ class Shift_Dashboard_Page {
 									</a>
 								</div>
 							</div>
-							<div class="vkbm-calendar-header__views" role="tablist">
-								<button
-									type="button"
-									class="button button-secondary<?php echo $day_button_is_active ? ' is-active' : ''; ?>"
-									data-vkbm-view="day"
-									aria-pressed="<?php echo $day_button_is_active ? 'true' : 'false'; ?>"
-								>
-									<?php esc_html_e( 'Sun', 'vk-booking-manager' ); ?>
-								</button>
-								<button
-									type="button"
-									class="button button-secondary<?php echo $month_button_is_active ? ' is-active' : ''; ?>"
-									data-vkbm-view="month"
-									aria-pressed="<?php echo $month_button_is_active ? 'true' : 'false'; ?>"
-								>
-									<?php esc_html_e( 'Mon', 'vk-booking-manager' ); ?>
-								</button>
-							</div>
+							<?php $this->render_view_toggle( $selected_view ); ?>
 						</header>
 
+						<div class="vkbm-day-view__toolbar">
+							<p class="vkbm-day-view__hint"><?php esc_html_e( 'Drag a reservation to move it, or drag its bottom edge to change the length.', 'vk-booking-manager' ); ?></p>
+							<label class="vkbm-day-view__notify">
+								<input type="checkbox" class="js-vkbm-move-notify" />
+								<?php esc_html_e( 'Notify the customer when a reservation is moved', 'vk-booking-manager' ); ?>
+							</label>
+						</div>
+						<div class="vkbm-day-view__move-notice" data-vkbm-move-notice aria-live="polite" hidden></div>
+
 						<div
 							class="vkbm-day-view__content"
 							style="--vkbm-resource-columns: <?php echo esc_attr( (string) $resource_count ); ?>;"
@@ -322,7 +358,12 @@ class Shift_Dashboard_Page {
 													esc_attr( (string) $lane['timeline_end'] )
 												);
 												?>
-												<div class="vkbm-resource-lane" style="<?php echo esc_attr( $lane_style ); ?>">
+												<div
+													class="vkbm-resource-lane"
+													style="<?php echo esc_attr( $lane_style ); ?>"
+													data-vkbm-resource-id="<?php echo esc_attr( (string) $lane['resource_id'] ); ?>"
+													data-vkbm-timeline-start="<?php echo esc_attr( (string) $lane['timeline_start'] ); ?>"
+												>
 													<?php if ( empty( $lane['shifts'] ) ) : ?>
 														<div class="vkbm-lane-empty">
 															<?php
@@ -335,6 +376,34 @@ class Shift_Dashboard_Page {
 														</div>
 													<?php endif; ?>
 
+													<?php foreach ( $lane['busy_blocks'] as $busy_block ) : ?>
+														<?php
+														$busy_style = sprintf(
+															'--start:%s; --end:%s;',
+															esc_attr( (string) $busy_block['start'] ),
+															esc_attr( (string) $busy_block['end'] )
+														);
+														?>
+														<div class="vkbm-busy-block" style="<?php echo esc_attr( $busy_style ); ?>">
+															<span class="vkbm-busy-block__time"><?php echo esc_html( $busy_block['time'] ); ?></span>
+															<span class="vkbm-busy-block__label"><?php esc_html_e( 'External calendar', 'vk-booking-manager' ); ?></span>
+														</div>
+													<?php endforeach; ?>
+
+													<?php foreach ( $lane['break_blocks'] as $break_block ) : ?>
+														<?php
+														$break_style = sprintf(
+															'--start:%s; --end:%s;',
+															esc_attr( (string) $break_block['start'] ),
+															esc_attr( (string) $break_block['end'] )
+														);
+														?>
+														<div class="vkbm-break-block" style="<?php echo esc_attr( $break_style ); ?>">
+															<span class="vkbm-break-block__time"><?php echo esc_html( $break_block['time'] ); ?></span>
+															<span class="vkbm-break-block__label"><?php echo esc_html( $break_block['label'] ); ?></span>
+														</div>
+													<?php endforeach; ?>
+
 													<?php foreach ( $lane['shifts'] as $shift_index => $shift ) : ?>
 														<?php
 														$shift_classes = array( 'vkbm-shift-block' );
@@ -373,11 +442,23 @@ class Shift_Dashboard_Page {
 																			esc_attr( (string) $booking['start_decimal'] ),
 																			esc_attr( (string) $booking['end_decimal'] )
 																		);
+
+																		// Drag-and-drop reads the unclamped service time. / ドラッグ操作ではシフトで切り詰める前の時刻を使う.
+																		$booking_move_attrs = '';
+																		if ( $booking['movable'] ) {
+																			$booking_classes[]  = 'is-movable';
+																			$booking_move_attrs = sprintf(
+																				' draggable="false" data-vkbm-booking-id="%s" data-vkbm-start="%s" data-vkbm-end="%s"',
+																				esc_attr( (string) $booking['id'] ),
+																				esc_attr( $booking['start_label'] ),
+																				esc_attr( $booking['end_label'] )
+																			);
+																		}
 																		?>
 																		<?php if ( ! empty( $booking['url'] ) ) : ?>
-																			<a class="<?php echo esc_attr( implode( ' ', $booking_classes ) ); ?>" style="<?php echo esc_attr( $booking_style ); ?>" href="<?php echo esc_url( $booking['url'] ); ?>">
+																			<a class="<?php echo esc_attr( implode( ' ', $booking_classes ) ); ?>" style="<?php echo esc_attr( $booking_style ); ?>" href="<?php echo esc_url( $booking['url'] ); ?>"<?php echo $booking_move_attrs; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?>>
 																		<?php else : ?>
-																			<div class="<?php echo esc_attr( implode( ' ', $booking_classes ) ); ?>" style="<?php echo esc_attr( $booking_style ); ?>">
+																			<div class="<?php echo esc_attr( implode( ' ', $booking_classes ) ); ?>" style="<?php echo esc_attr( $booking_style ); ?>"<?php echo $booking_move_attrs; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?>>
 																		<?php endif; ?>
 																			<?php if ( ! empty( $booking['time'] ) || ! empty( $booking['customer'] ) ) : ?>
 																				<span class="vkbm-booking-card__summary">
@@ -396,6 +477,12 @@ class Shift_Dashboard_Page {
 																			<?php if ( ! empty( $booking['service'] ) ) : ?>
 																				<span class="vkbm-booking-card__service"><?php echo esc_html( $booking['service'] ); ?></span>
 																			<?php endif; ?>
+																			<?php if ( ! empty( $booking['facility'] ) ) : ?>
+																				<span class="vkbm-booking-card__facility"><?php echo esc_html( $booking['facility'] ); ?></span>
+																			<?php endif; ?>
+																			<?php if ( $booking['movable'] ) : ?>
+																				<span class="vkbm-booking-card__resize" aria-hidden="true"></span>
+																			<?php endif; ?>
 																		<?php if ( ! empty( $booking['url'] ) ) : ?>
 																			</a>
 																		<?php else : ?>
@@ -418,6 +505,74 @@ class Shift_Dashboard_Page {
 				</div>
 			</div>
 
+			<div class="vkbm-shift-dashboard__view<?php echo $week_button_is_active ? ' is-active' : ''; ?>" data-vkbm-view-panel="week">
+				<div class="vkbm-shift-dashboard__layout">
+					<section class="vkbm-week-view">
+						<header class="vkbm-calendar-header vkbm-week-view__header" data-vkbm-week="<?php echo esc_attr( $week_start->format( 'Y-m-d' ) ); ?>">
+							<div class="vkbm-calendar-header__nav">
+								<span class="vkbm-calendar-header__label"><?php echo esc_html( $week_label ); ?></span>
+								<div class="vkbm-calendar-header__actions">
+									<a class="button button-secondary" href="<?php echo esc_url( $prev_week_url ); ?>">
+										<?php esc_html_e( 'Previous week', 'vk-booking-manager' ); ?>
+									</a>
+									<a class="button button-secondary" href="<?php echo esc_url( $next_week_url ); ?>">
+										<?php esc_html_e( 'Next week', 'vk-booking-manager' ); ?>
+									</a>
+								</div>
+							</div>
+							<?php $this->render_view_toggle( $selected_view ); ?>
+						</header>
+
+						<div class="vkbm-week-view__content">
+							<table class="vkbm-week-table">
+								<thead>
+									<tr>
+										<th scope="col" class="vkbm-week-table__staff"><?php echo esc_html( vkbm_get_resource_label_singular() ); ?></th>
+										<?php foreach ( $week_view['days'] as $week_day ) : ?>
+											<th scope="col" class="vkbm-week-table__day<?php echo $week_day['is_today'] ? ' is-today' : ''; ?>">
+												<a href="<?php echo esc_url( $week_day['url'] ); ?>"><?php echo esc_html( $week_day['label'] ); ?></a>
+											</th>
+										<?php endforeach; ?>
+									</tr>
+								</thead>
+								<tbody>
+									<?php foreach ( $week_view['rows'] as $week_row ) : ?>
+										<tr>
+											<th scope="row" class="vkbm-week-table__staff"><?php echo esc_html( $week_row['name'] ); ?></th>
+											<?php foreach ( $week_row['cells'] as $week_cell ) : ?>
+												<td class="vkbm-week-table__cell<?php echo $week_cell['is_closed'] ? ' vkbm-week-table__cell--closed' : ''; ?>">
+													<?php if ( empty( $week_cell['windows'] ) ) : ?>
+														<span class="vkbm-week-table__status"><?php echo esc_html( $week_cell['status_label'] ); ?></span>
+													<?php else : ?>
+														<ul class="vkbm-week-table__windows">
+															<?php foreach ( $week_cell['windows'] as $window ) : ?>
+																<li><?php echo esc_html( $window ); ?></li>
+															<?php endforeach; ?>
+														</ul>
+													<?php endif; ?>
+													<?php $this->render_utilization( $week_cell ); ?>
+												</td>
+											<?php endforeach; ?>
+										</tr>
+									<?php endforeach; ?>
+								</tbody>
+								<tfoot>
+									<tr>
+										<th scope="row" class="vkbm-week-table__staff"><?php esc_html_e( 'Utilization', 'vk-booking-manager' ); ?></th>
+										<?php foreach ( $week_view['totals'] as $week_total ) : ?>
+											<td class="vkbm-week-table__cell">
+												<?php $this->render_utilization( $week_total ); ?>
+											</td>
+										<?php endforeach; ?>
+									</tr>
+								</tfoot>
+							</table>
+						</div>
+					</section>
+					<?php $this->render_pending_notifications_panel( $pending_notifications ); ?>
+				</div>
+			</div>
+
 			<div class="vkbm-shift-dashboard__view<?php echo $month_button_is_active ? ' is-active' : ''; ?>" data-vkbm-view-panel="month">
 				<div class="vkbm-shift-dashboard__layout">
 					<section class="vkbm-month-view">
@@ -448,24 +603,7 @@ class Shift_Dashboard_Page {
 									</a>
 								</div>
 							</div>
-							<div class="vkbm-calendar-header__views" role="tablist">
-								<button
-									type="button"
-									class="button button-secondary<?php echo $day_button_is_active ? ' is-active' : ''; ?>"
-									data-vkbm-view="day"
-									aria-pressed="<?php echo $day_button_is_active ? 'true' : 'false'; ?>"
-								>
-									<?php esc_html_e( 'Sun', 'vk-booking-manager' ); ?>
-								</button>
-								<button
-									type="button"
-									class="button button-secondary<?php echo $month_button_is_active ? ' is-active' : ''; ?>"
-									data-vkbm-view="month"
-									aria-pressed="<?php echo $month_button_is_active ? 'true' : 'false'; ?>"
-								>
-									<?php esc_html_e( 'Mon', 'vk-booking-manager' ); ?>
-								</button>
-							</div>
+							<?php $this->render_view_toggle( $selected_view ); ?>
 						</header>
 
 						<div class="vkbm-month-view__content">
@@ -539,7 +677,269 @@ class Shift_Dashboard_Page {
 	}
 
 	/**
-	 * Determine the currently selected view (day/month).
+	 * Render the day/week/month view switcher.
+	 *
+	 * @param string $selected_view Selected view.
+	 */
+	private function render_view_toggle( string $selected_view ): void {
+		$views = array(
+			'day'   => __( 'Sun', 'vk-booking-manager' ),
+			'week'  => __( 'Week', 'vk-booking-manager' ),
+			'month' => __( 'Mon', 'vk-booking-manager' ),
+		);
+		?>
+		<div class="vkbm-calendar-header__views" role="tablist">
+			<?php foreach ( $views as $view => $label ) : ?>
+				<button
+					type="button"
+					class="button button-secondary<?php echo $view === $selected_view ? ' is-active' : ''; ?>"
+					data-vkbm-view="<?php echo esc_attr( $view ); ?>"
+					aria-pressed="<?php echo $view === $selected_view ? 'true' : 'false'; ?>"
+				>
+					<?php echo esc_html( $label ); ?>
+				</button>
+			<?php endforeach; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render booked time against shift time with a utilization bar.
+	 *
+	 * @param array<string, mixed> $entry Entry with shift_minutes, booked_minutes and utilization.
+	 */
+	private function render_utilization( array $entry ): void {
+		if ( null === $entry['utilization'] && 0 === $entry['booked_minutes'] ) {
+			return;
+		}
+
+		$classes = array( 'vkbm-utilization' );
+		if ( null === $entry['utilization'] || $entry['utilization'] > 100 ) {
+			$classes[] = 'vkbm-utilization--over';
+		}
+		$width = null === $entry['utilization'] ? 100 : min( 100, $entry['utilization'] );
+		?>
+		<div class="<?php echo esc_attr( implode( ' ', $classes ) ); ?>" style="<?php echo esc_attr( sprintf( '--vkbm-utilization:%d%%;', $width ) ); ?>">
+			<span class="vkbm-utilization__bar" aria-hidden="true"></span>
+			<span class="vkbm-utilization__label">
+				<?php
+				echo esc_html(
+					sprintf(
+						/* translators: 1: booked time (h:mm), 2: shift time (h:mm) */
+						__( '%1$s / %2$s', 'vk-booking-manager' ),
+						$this->format_minutes( $entry['booked_minutes'] ),
+						$this->format_minutes( $entry['shift_minutes'] )
+					)
+				);
+				?>
+				<?php if ( null !== $entry['utilization'] ) : ?>
+					<strong><?php echo esc_html( $entry['utilization'] . '%' ); ?></strong>
+				<?php endif; ?>
+			</span>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Format minutes as h:mm.
+	 *
+	 * @param int $minutes Minutes.
+	 * @return string
+	 */
+	private function format_minutes( int $minutes ): string {
+		return sprintf( '%d:%02d', intdiv( $minutes, 60 ), $minutes % 60 );
+	}
+
+	/**
+	 * First day (Monday) of the week containing the date, matching the month calendar.
+	 *
+	 * @param DateTimeImmutable $date Date.
+	 * @return DateTimeImmutable
+	 */
+	private function get_week_start( DateTimeImmutable $date ): DateTimeImmutable {
+		$offset = ( (int) $date->format( 'N' ) ) - 1;
+
+		return $date->modify( sprintf( '-%d days', $offset ) )->setTime( 0, 0 );
+	}
+
+	/**
+	 * Assemble shift windows, booked time and utilization for a 7-day week.
+	 *
+	 * 週表示用に、スタッフごとのシフト時間・予約時間・稼働率を集計します。
+	 *
+	 * @param array<int, WP_Post> $resources  Resource posts.
+	 * @param DateTimeImmutable   $week_start First day of the week.
+	 * @return array{days: array<int, array<string, mixed>>, rows: array<int, array<string, mixed>>, totals: array<int, array<string, mixed>>}
+	 */
+	private function build_week_view_data( array $resources, DateTimeImmutable $week_start ): array {
+		$today      = ( new DateTimeImmutable( 'now', wp_timezone() ) )->format( 'Y-m-d' );
+		$dates      = array();
+		$shift_maps = array();
+		$days       = array();
+		$totals     = array();
+
+		for ( $offset = 0; $offset < 7; $offset++ ) {
+			$date     = $week_start->modify( sprintf( '+%d days', $offset ) );
+			$dates[]  = $date;
+			$month_id = $date->format( 'Y-n' );
+
+			// A week can span two months of shift posts. / 週が月をまたぐ場合は両月のシフトを読む.
+			if ( ! isset( $shift_maps[ $month_id ] ) ) {
+				$shift_maps[ $month_id ] = $this->get_shift_map( $resources, (int) $date->format( 'Y' ), (int) $date->format( 'n' ) );
+			}
+
+			$days[] = array(
+				'date'     => $date->format( 'Y-m-d' ),
+				'label'    => wp_date( _x( 'D n/j', 'week view column date', 'vk-booking-manager' ), $date->getTimestamp() ),
+				'is_today' => $date->format( 'Y-m-d' ) === $today,
+				'url'      => $this->get_dashboard_url(
+					array(
+						'vkbm_date' => $date->format( 'Y-m-d' ),
+						'vkbm_view' => 'day',
+					)
+				),
+			);
+
+			$totals[ $offset ] = array(
+				'shift_minutes'  => 0,
+				'booked_minutes' => 0,
+			);
+		}
+
+		$booked = $this->get_booked_minutes( $week_start, $week_start->modify( '+7 days' ) );
+		$rows   = array();
+
+		foreach ( $resources as $resource ) {
+			$resource_id = (int) $resource->ID;
+			$cells       = array();
+
+			foreach ( $dates as $offset => $date ) {
+				$day_entry = $shift_maps[ $date->format( 'Y-n' ) ][ $resource_id ]['days'][ (int) $date->format( 'j' ) ] ?? null;
+				$status    = is_array( $day_entry ) ? (string) $day_entry['status'] : self::STATUS_NOT_SET;
+				$is_closed = $this->is_closed_status( $status );
+				$windows   = array();
+				$shift     = 0;
+
+				if ( is_array( $day_entry ) && ! $is_closed ) {
+					$slots = $this->normalize_slots( $day_entry['slots'] );
+					foreach ( $slots as $slot ) {
+						$windows[] = $this->format_time_range( $slot['start'], $slot['end'] );
+						$shift    += (int) round( ( $this->time_to_decimal( $slot['end'] ) - $this->time_to_decimal( $slot['start'] ) ) * 60 );
+					}
+					$shift = max( 0, $shift - $this->calculate_break_minutes( $slots, $this->normalize_breaks( $day_entry['breaks'] ?? array() ) ) );
+				}
+
+				$booked_minutes = $booked[ $resource_id ][ $date->format( 'Y-m-d' ) ] ?? 0;
+
+				$totals[ $offset ]['shift_minutes']  += $shift;
+				$totals[ $offset ]['booked_minutes'] += $booked_minutes;
+
+				$cells[] = array(
+					'windows'        => $windows,
+					'is_closed'      => $is_closed,
+					'status_label'   => $is_closed ? $this->get_closed_status_label( $status ) : __( 'Shift not set.', 'vk-booking-manager' ),
+					'shift_minutes'  => $shift,
+					'booked_minutes' => $booked_minutes,
+					'utilization'    => $this->calculate_utilization( $booked_minutes, $shift ),
+				);
+			}
+
+			$rows[] = array(
+				'name'  => get_the_title( $resource ),
+				'cells' => $cells,
+			);
+		}
+
+		foreach ( $totals as $offset => $total ) {
+			$totals[ $offset ]['utilization'] = $this->calculate_utilization( $total['booked_minutes'], $total['shift_minutes'] );
+		}
+
+		return array(
+			'days'   => $days,
+			'rows'   => $rows,
+			'totals' => array_values( $totals ),
+		);
+	}
+
+	/**
+	 * Booked share of shift time as a whole percentage.
+	 *
+	 * @param int $booked_minutes Booked minutes.
+	 * @param int $shift_minutes  Shift minutes.
+	 * @return int|null Null when there is no shift time.
+	 */
+	private function calculate_utilization( int $booked_minutes, int $shift_minutes ): ?int {
+		if ( $shift_minutes <= 0 ) {
+			return null;
+		}
+
+		return (int) round( $booked_minutes / $shift_minutes * 100 );
+	}
+
+	/**
+	 * Sum booked service minutes per staff member and day.
+	 *
+	 * Cancelled and no-show bookings do not use staff time.
+	 *
+	 * @param DateTimeImmutable $from Range start (inclusive).
+	 * @param DateTimeImmutable $to   Range end (exclusive).
+	 * @return array<int, array<string, int>> Minutes keyed by resource ID and Y-m-d.
+	 */
+	private function get_booked_minutes( DateTimeImmutable $from, DateTimeImmutable $to ): array {
+		$timezone = wp_timezone();
+		$query    = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+				'fields'         => 'ids',
+				'meta_query'     => array(
+					'relation' => 'AND',
+					array(
+						'key'     => self::META_BOOKING_START,
+						'value'   => array(
+							$from->format( 'Y-m-d H:i:s' ),
+							$to->modify( '-1 second' )->format( 'Y-m-d H:i:s' ),
+						),
+						'compare' => 'BETWEEN',
+						'type'    => 'DATETIME',
+					),
+					array(
+						'relation' => 'OR',
+						array(
+							'key'     => self::META_BOOKING_STATUS,
+							'value'   => array( self::BOOKING_STATUS_CANCELLED, self::BOOKING_STATUS_NO_SHOW ),
+							'compare' => 'NOT IN',
+						),
+						array(
+							'key'     => self::META_BOOKING_STATUS,
+							'compare' => 'NOT EXISTS',
+						),
+					),
+				),
+			)
+		);
+
+		$map = array();
+		foreach ( $query->posts as $post_id ) {
+			$resource_id = (int) get_post_meta( (int) $post_id, self::META_BOOKING_RESOURCE, true );
+			$start       = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', (string) get_post_meta( (int) $post_id, self::META_BOOKING_START, true ), $timezone );
+			$end         = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', (string) get_post_meta( (int) $post_id, self::META_BOOKING_END, true ), $timezone );
+
+			if ( $resource_id <= 0 || ! $start || ! $end || $end <= $start ) {
+				continue;
+			}
+
+			$date                         = $start->format( 'Y-m-d' );
+			$map[ $resource_id ][ $date ] = ( $map[ $resource_id ][ $date ] ?? 0 ) + intdiv( $end->getTimestamp() - $start->getTimestamp(), MINUTE_IN_SECONDS );
+		}
+
+		return $map;
+	}
+
+	/**
+	 * Determine the currently selected view (day/week/month).
 	 *
 	 * @return string
 	 */
@@ -547,7 +947,7 @@ class Shift_Dashboard_Page {
 		if ( isset( $_GET['vkbm_view'] ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- read-only.
 			$view = sanitize_key( wp_unslash( $_GET['vkbm_view'] ) ); // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- read-only.
 
-			if ( in_array( $view, array( 'day', 'month' ), true ) ) {
+			if ( in_array( $view, array( 'day', 'week', 'month' ), true ) ) {
 				return $view;
 			}
 		}
@@ -694,6 +1094,10 @@ class Shift_Dashboard_Page {
 				'status' => $status,
 				'slots'  => $slots,
 			);
+
+			if ( is_array( $entry ) && ! empty( $entry['breaks'] ) && is_array( $entry['breaks'] ) ) {
+				$normalized[ $day_number ]['breaks'] = $entry['breaks'];
+			}
 		}
 
 		return $normalized;
@@ -726,10 +1130,15 @@ class Shift_Dashboard_Page {
 
 			$status_key = self::STATUS_NOT_SET;
 			$slots      = array();
+			$breaks     = array();
 
 			if ( is_array( $day_entry ) ) {
 				$status_key = (string) ( $day_entry['status'] ?? self::STATUS_OPEN );
 				$slots      = $this->normalize_slots( $day_entry['slots'] ?? array() );
+
+				if ( ! $this->is_closed_status( $status_key ) ) {
+					$breaks = $this->normalize_breaks( $day_entry['breaks'] ?? array() );
+				}
 			}
 
 			$shifts       = array();
@@ -779,11 +1188,34 @@ class Shift_Dashboard_Page {
 				$timeline_end   = $timeline_end ?? 18.0;
 			}
 
+			$break_blocks = array();
+			foreach ( $breaks as $break ) {
+				$start = (float) $this->time_to_decimal( $break['start'] );
+				$end   = (float) $this->time_to_decimal( $break['end'] );
+
+				$timeline_start = min( $timeline_start, $start );
+				$timeline_end   = max( $timeline_end, $end );
+
+				$break_blocks[] = array(
+					'start' => $start,
+					'end'   => $end,
+					'time'  => $this->format_time_range( $break['start'], $break['end'] ),
+					'label' => '' !== $break['label'] ? $break['label'] : __( 'Break', 'vk-booking-manager' ),
+				);
+			}
+			$total_hours = max( 0.0, $total_hours - $this->calculate_break_minutes( $slots, $breaks ) / 60 );
+
 			foreach ( $resource_bookings as $booking ) {
 				$timeline_start = min( $timeline_start, $booking['start_decimal'] );
 				$timeline_end   = max( $timeline_end, $booking['end_decimal'] );
 			}
 
+			$busy_blocks = $this->build_external_busy_blocks( $resource_id, $day_start );
+			foreach ( $busy_blocks as $busy_block ) {
+				$timeline_start = min( $timeline_start, $busy_block['start'] );
+				$timeline_end   = max( $timeline_end, $busy_block['end'] );
+			}
+
 			$status_info = $this->resolve_resource_status( $status_key, $slot_counter, $total_hours );
 
 			$resource_cards[] = array(
@@ -817,6 +1249,8 @@ class Shift_Dashboard_Page {
 			$lanes[] = array(
 				'resource_id'    => $resource_id,
 				'shifts'         => $shifts,
+				'busy_blocks'    => $busy_blocks,
+				'break_blocks'   => $break_blocks,
 				'status_label'   => $status_info['label'],
 				'is_closed'      => ( 'off' === $status_info['type'] ),
 				'timeline_start' => null,
@@ -851,6 +1285,33 @@ class Shift_Dashboard_Page {
 		);
 	}
 
+	/**
+	 * Build greyed-out blocks for time taken in a staff member's external calendars.
+	 *
+	 * 外部カレンダーの予定を日表示のブロックに変換します。
+	 *
+	 * @param int               $resource_id Resource ID.
+	 * @param DateTimeImmutable $day_start   Start of the selected day.
+	 * @return array<int, array{start: float, end: float, time: string}>
+	 */
+	private function build_external_busy_blocks( int $resource_id, DateTimeImmutable $day_start ): array {
+		$day_end = $day_start->modify( '+1 day' );
+		$blocks  = array();
+
+		foreach ( External_Calendar_Sync::get_busy_periods( $resource_id, $day_start, $day_end ) as $period ) {
+			$start = max( $period['start'], $day_start );
+			$end   = min( $period['end'], $day_end );
+
+			$blocks[] = array(
+				'start' => ( $start->getTimestamp() - $day_start->getTimestamp() ) / HOUR_IN_SECONDS,
+				'end'   => ( $end->getTimestamp() - $day_start->getTimestamp() ) / HOUR_IN_SECONDS,
+				'time'  => $this->format_time_range( $start->format( 'H:i' ), $end < $day_end ? $end->format( 'H:i' ) : '24:00' ),
+			);
+		}
+
+		return $blocks;
+	}
+
 	/**
 	 * Get bookings for a specific day.
 	 *
@@ -945,6 +1406,7 @@ class Shift_Dashboard_Page {
 					),
 					'customer'      => (string) get_post_meta( $post_id, self::META_BOOKING_CUSTOMER, true ),
 					'service'       => $service_title,
+					'facility'      => Facility_Availability::get_booking_facility_name( $post_id ),
 					'status'        => (string) get_post_meta( $post_id, self::META_BOOKING_STATUS, true ),
 					'note'          => (string) get_post_meta( $post_id, self::META_BOOKING_NOTE, true ),
 				);
@@ -1523,6 +1985,177 @@ class Shift_Dashboard_Page {
 		wp_send_json_success( array( 'status' => self::BOOKING_STATUS_CONFIRMED ) );
 	}
 
+	/**
+	 * AJAX handler: move or resize a booking from the day view.
+	 *
+	 * Times outside the staff shift, including the cleanup buffer the booking
+	 * keeps, need a second request with `force` so staff confirm the override;
+	 * staff overlaps follow Booking_Admin.
+	 * バッファ時間を含めてシフト外となる移動は force 付きの再送信で確定します。
+	 */
+	public function ajax_move_booking(): void {
+		check_ajax_referer( 'vkbm_move_booking', 'nonce' );
+
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_send_json_error(
+				array( 'message' => __( "You don't have permission.", 'vk-booking-manager' ) ),
+				403
+			);
+		}
+
+		$booking_id  = isset( $_POST['booking_id'] ) ? (int) $_POST['booking_id'] : 0;
+		$resource_id = isset( $_POST['resource_id'] ) ? (int) $_POST['resource_id'] : 0;
+		$date        = isset( $_POST['date'] ) ? sanitize_text_field( wp_unslash( $_POST['date'] ) ) : '';
+		$start_time  = isset( $_POST['start_time'] ) ? $this->sanitize_time_string( sanitize_text_field( wp_unslash( $_POST['start_time'] ) ) ) : '';
+		$end_time    = isset( $_POST['end_time'] ) ? $this->sanitize_time_string( sanitize_text_field( wp_unslash( $_POST['end_time'] ) ) ) : '';
+		$notify      = ! empty( $_POST['notify'] );
+		$force       = ! empty( $_POST['force'] );
+
+		$timezone = wp_timezone();
+		$start    = DateTimeImmutable::createFromFormat( 'Y-m-d H:i', $date . ' ' . $start_time, $timezone );
+		$end      = DateTimeImmutable::createFromFormat( 'Y-m-d H:i', $date . ' ' . $end_time, $timezone );
+
+		if ( $booking_id <= 0 || ! $start || ! $end || $end <= $start ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Please specify a valid date and time.', 'vk-booking-manager' ) ),
+				400
+			);
+		}
+
+		// The cleanup buffer kept by the move must fit in the shift too. / 移動後も残るバッファ時間もシフト内に収める.
+		$buffer_seconds = 0;
+		$previous_end   = (string) get_post_meta( $booking_id, self::META_BOOKING_END, true );
+		$previous_total = (string) get_post_meta( $booking_id, self::META_BOOKING_TOTAL_END, true );
+		if ( '' !== $previous_end && '' !== $previous_total ) {
+			$buffer_seconds = max( 0, (int) strtotime( $previous_total ) - (int) strtotime( $previous_end ) );
+		}
+		$buffered_end = $end->modify( sprintf( '+%d seconds', $buffer_seconds ) );
+
+		if ( ! $force && ! $this->is_within_shift( $resource_id, $start, $buffered_end ) ) {
+			wp_send_json_error(
+				array(
+					'code'    => 'outside_shift',
+					'message' => __( 'The new time is outside the staff shift.', 'vk-booking-manager' ),
+				),
+				409
+			);
+		}
+
+		$result = $this->booking_admin->move_booking(
+			$booking_id,
+			$start->format( 'Y-m-d H:i:s' ),
+			$end->format( 'Y-m-d H:i:s' ),
+			$resource_id,
+			$notify
+		);
+
+		if ( $result instanceof WP_Error ) {
+			$error_data = $result->get_error_data();
+			wp_send_json_error(
+				array(
+					'code'    => $result->get_error_code(),
+					'message' => $result->get_error_message(),
+				),
+				(int) ( $error_data['status'] ?? 400 )
+			);
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Whether a time range fits in one of the staff member's shift slots.
+	 *
+	 * @param int               $resource_id Resource ID.
+	 * @param DateTimeImmutable $start       Start.
+	 * @param DateTimeImmutable $end         End (same day).
+	 * @return bool
+	 */
+	private function is_within_shift( int $resource_id, DateTimeImmutable $start, DateTimeImmutable $end ): bool {
+		$resource = get_post( $resource_id );
+		if ( ! $resource instanceof WP_Post || $start->format( 'Y-m-d' ) !== $end->format( 'Y-m-d' ) ) {
+			return false;
+		}
+
+		$shift_map = $this->get_shift_map( array( $resource ), (int) $start->format( 'Y' ), (int) $start->format( 'n' ) );
+		$day_entry = $shift_map[ $resource_id ]['days'][ (int) $start->format( 'j' ) ] ?? null;
+		if ( ! is_array( $day_entry ) || $this->is_closed_status( (string) $day_entry['status'] ) ) {
+			return false;
+		}
+
+		$start_decimal = (float) $this->time_to_decimal( $start->format( 'H:i' ) );
+		$end_decimal   = (float) $this->time_to_decimal( $end->format( 'H:i' ) );
+
+		foreach ( $this->normalize_breaks( $day_entry['breaks'] ?? array() ) as $break ) {
+			if ( $start_decimal < $this->time_to_decimal( $break['end'] ) && $this->time_to_decimal( $break['start'] ) < $end_decimal ) {
+				return false;
+			}
+		}
+
+		foreach ( $this->normalize_slots( $day_entry['slots'] ) as $slot ) {
+			if ( $this->time_to_decimal( $slot['start'] ) <= $start_decimal && $end_decimal <= $this->time_to_decimal( $slot['end'] ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Normalize raw break data to start/end/label entries.
+	 *
+	 * 休憩の定義を開始・終了・名称に整えます。
+	 *
+	 * @param mixed $breaks Raw break definition.
+	 * @return array<int, array{start: string, end: string, label: string}>
+	 */
+	private function normalize_breaks( $breaks ): array {
+		if ( ! is_array( $breaks ) ) {
+			return array();
+		}
+
+		$normalized = array();
+
+		foreach ( $breaks as $break ) {
+			$slot = is_array( $break ) ? $this->normalize_slots( array( $break ) ) : array();
+			if ( array() === $slot ) {
+				continue;
+			}
+
+			$normalized[] = array(
+				'start' => $slot[0]['start'],
+				'end'   => $slot[0]['end'],
+				'label' => isset( $break['label'] ) ? sanitize_text_field( (string) $break['label'] ) : '',
+			);
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Minutes of the breaks that fall inside the slots.
+	 *
+	 * @param array<int, array<string, string>> $slots  Normalized slots.
+	 * @param array<int, array<string, string>> $breaks Normalized breaks.
+	 * @return int
+	 */
+	private function calculate_break_minutes( array $slots, array $breaks ): int {
+		$minutes = 0;
+
+		foreach ( $breaks as $break ) {
+			foreach ( $slots as $slot ) {
+				$overlap = min( $this->time_to_decimal( $slot['end'] ), $this->time_to_decimal( $break['end'] ) )
+					- max( $this->time_to_decimal( $slot['start'] ), $this->time_to_decimal( $break['start'] ) );
+
+				if ( $overlap > 0 ) {
+					$minutes += (int) round( $overlap * 60 );
+				}
+			}
+		}
+
+		return $minutes;
+	}
+
 	/**
 	 * Normalize raw slot data to start/end pairs.
 	 *
@@ -1725,10 +2358,15 @@ class Shift_Dashboard_Page {
 		}
 
 		return array(
+			'id'            => (int) ( $booking['post_id'] ?? 0 ),
+			'movable'       => ! empty( $booking['post_id'] ) && ! in_array( $status, array( self::BOOKING_STATUS_CANCELLED, self::BOOKING_STATUS_NO_SHOW ), true ),
+			'start_label'   => (string) ( $booking['start_label'] ?? '' ),
+			'end_label'     => (string) ( $booking['end_label'] ?? '' ),
 			'class'         => $class,
 			'time'          => $booking['time_range'] ?? '',
 			'customer'      => $booking['customer'] ?? '',
 			'service'       => $booking['service'] ?? '',
+			'facility'      => $booking['facility'] ?? '',
 			'badges'        => $badges,
 			'start_decimal' => $booking['start_decimal'] ?? 0,
 			'end_decimal'   => $booking['end_decimal'] ?? 0,
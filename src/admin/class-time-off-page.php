@@ -0,0 +1,696 @@
+<?php
+
+/**
+ * Staff time-off requests admin screens.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Admin;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\Shifts\Time_Off_Repository;
+use WP_User;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function add_users_page;
+use function admin_url;
+use function check_admin_referer;
+use function current_datetime;
+use function current_user_can;
+use function delete_user_meta;
+use function esc_attr;
+use function esc_attr_e;
+use function esc_html;
+use function esc_html__;
+use function esc_html_e;
+use function esc_url;
+use function get_current_user_id;
+use function get_edit_post_link;
+use function get_post_meta;
+use function get_post_type;
+use function get_posts;
+use function get_the_title;
+use function is_wp_error;
+use function number_format_i18n;
+use function sanitize_key;
+use function sanitize_text_field;
+use function selected;
+use function update_user_meta;
+use function wp_die;
+use function wp_nonce_field;
+use function wp_nonce_url;
+use function wp_safe_redirect;
+use function wp_unslash;
+
+/**
+ * Lets staff request time off and managers approve or reject the requests on the shift dashboard.
+ *
+ * Staff submit requests from "Users > Time off" once a manager has linked their user account
+ * to a staff member on the user profile screen.
+ * スタッフの休暇申請と、シフト管理画面での承認・却下を扱います。
+ */
+class Time_Off_Page {
+	private const MENU_SLUG      = 'vkbm-time-off';
+	private const DASHBOARD_SLUG = 'vkbm-shift-dashboard';
+	private const SUBMIT_ACTION  = 'vkbm_submit_time_off';
+	private const CANCEL_ACTION  = 'vkbm_cancel_time_off';
+	private const DECIDE_ACTION  = 'vkbm_decide_time_off';
+	private const NONCE_NAME     = 'vkbm_time_off_nonce';
+
+	private const META_BOOKING_START    = '_vkbm_booking_service_start';
+	private const META_BOOKING_CUSTOMER = '_vkbm_booking_customer_name';
+
+	/**
+	 * Time-off request storage.
+	 *
+	 * @var Time_Off_Repository
+	 */
+	private $repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Time_Off_Repository|null $repository Time-off request storage.
+	 */
+	public function __construct( ?Time_Off_Repository $repository = null ) {
+		$this->repository = $repository ?? new Time_Off_Repository();
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 */
+	public function register(): void {
+		add_action( 'admin_menu', array( $this, 'register_menu' ), 11 );
+		add_action( 'admin_post_' . self::SUBMIT_ACTION, array( $this, 'handle_submit' ) );
+		add_action( 'admin_post_' . self::CANCEL_ACTION, array( $this, 'handle_cancel' ) );
+		add_action( 'admin_post_' . self::DECIDE_ACTION, array( $this, 'handle_decide' ) );
+		add_action( 'vkbm_shift_dashboard_notices', array( $this, 'render_dashboard_panel' ) );
+		add_action( 'show_user_profile', array( $this, 'render_profile_fields' ) );
+		add_action( 'edit_user_profile', array( $this, 'render_profile_fields' ) );
+		add_action( 'personal_options_update', array( $this, 'save_profile_fields' ) );
+		add_action( 'edit_user_profile_update', array( $this, 'save_profile_fields' ) );
+	}
+
+	/**
+	 * Register the page under Users (or Profile for staff without user management).
+	 */
+	public function register_menu(): void {
+		add_users_page(
+			__( 'Time off', 'vk-booking-manager' ),
+			__( 'Time off', 'vk-booking-manager' ),
+			Capabilities::EDIT_OWN_STAFF_PROFILE,
+			self::MENU_SLUG,
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Handle a request submitted by staff.
+	 */
+	public function handle_submit(): void {
+		if ( ! current_user_can( Capabilities::EDIT_OWN_STAFF_PROFILE ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::SUBMIT_ACTION, self::NONCE_NAME );
+
+		$fields = array();
+		foreach ( array( 'start_date', 'end_date', 'start_time', 'end_time', 'reason' ) as $field ) {
+			$key              = 'vkbm_time_off_' . $field;
+			$fields[ $field ] = isset( $_POST[ $key ] ) ? sanitize_text_field( (string) wp_unslash( $_POST[ $key ] ) ) : '';
+		}
+
+		if ( empty( $_POST['vkbm_time_off_partial'] ) ) {
+			$fields['start_time'] = '';
+			$fields['end_time']   = '';
+		}
+
+		$user_id = get_current_user_id();
+		$request = $this->repository->add_request(
+			array_merge(
+				$fields,
+				array(
+					'resource_id' => $this->repository->get_resource_id_for_user( $user_id ),
+					'user_id'     => $user_id,
+				)
+			)
+		);
+
+		if ( is_wp_error( $request ) ) {
+			$this->redirect( array( 'error' => $request->get_error_code() ) );
+		}
+
+		$this->redirect( array( 'updated' => 'submitted' ) );
+	}
+
+	/**
+	 * Handle staff withdrawing their own pending request.
+	 */
+	public function handle_cancel(): void {
+		if ( ! current_user_can( Capabilities::EDIT_OWN_STAFF_PROFILE ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::CANCEL_ACTION, self::NONCE_NAME );
+
+		$id      = isset( $_GET['request'] ) ? sanitize_text_field( (string) wp_unslash( $_GET['request'] ) ) : '';
+		$user_id = get_current_user_id();
+		$request = $this->repository->get_request( $id );
+
+		if ( null === $request || (int) $request['resource_id'] !== $this->repository->get_resource_id_for_user( $user_id ) ) {
+			$this->redirect( array( 'error' => 'not_found' ) );
+		}
+
+		$result = $this->repository->cancel( $id, $user_id );
+		if ( is_wp_error( $result ) ) {
+			$this->redirect( array( 'error' => $result->get_error_code() ) );
+		}
+
+		$this->redirect( array( 'updated' => 'cancelled' ) );
+	}
+
+	/**
+	 * Handle a manager approving or rejecting a request from the shift dashboard.
+	 */
+	public function handle_decide(): void {
+		if ( ! current_user_can( Capabilities::MANAGE_STAFF ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::DECIDE_ACTION, self::NONCE_NAME );
+
+		$id       = isset( $_POST['request'] ) ? sanitize_text_field( (string) wp_unslash( $_POST['request'] ) ) : '';
+		$decision = isset( $_POST['decision'] ) ? sanitize_key( (string) wp_unslash( $_POST['decision'] ) ) : '';
+		$note     = isset( $_POST['vkbm_time_off_note'] ) ? sanitize_text_field( (string) wp_unslash( $_POST['vkbm_time_off_note'] ) ) : '';
+
+		if ( 'approve' === $decision ) {
+			$result = $this->repository->approve( $id, get_current_user_id() );
+		} elseif ( 'reject' === $decision ) {
+			$result = $this->repository->reject( $id, get_current_user_id(), $note );
+		} else {
+			$this->redirect_to_dashboard( array() );
+		}
+
+		if ( is_wp_error( $result ) ) {
+			$this->redirect_to_dashboard( array( 'vkbm_time_off_error' => $result->get_error_code() ) );
+		}
+
+		$this->redirect_to_dashboard(
+			array(
+				'vkbm_time_off'           => 'approve' === $decision ? 'approved' : 'rejected',
+				'vkbm_time_off_conflicts' => 'approve' === $decision ? (string) count( $this->repository->find_conflicting_bookings( $result ) ) : '0',
+			)
+		);
+	}
+
+	/**
+	 * Render the staff page.
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( Capabilities::EDIT_OWN_STAFF_PROFILE ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		$resource_id = $this->repository->get_resource_id_for_user( get_current_user_id() );
+		$requests    = $resource_id > 0 ? $this->repository->get_requests_for_resource( $resource_id ) : array();
+		$labels      = Time_Off_Repository::get_status_labels();
+		$notice      = $this->get_notice();
+		?>
+		<div class="wrap vkbm-time-off">
+			<h1><?php esc_html_e( 'Time off', 'vk-booking-manager' ); ?></h1>
+
+			<?php if ( null !== $notice ) : ?>
+				<div class="notice notice-<?php echo esc_attr( $notice['type'] ); ?> is-dismissible">
+					<p><?php echo esc_html( $notice['message'] ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<?php if ( $resource_id <= 0 ) : ?>
+				<div class="notice notice-warning inline">
+					<p><?php esc_html_e( 'Your account is not linked to a staff member. Please ask a manager to link it on your user profile.', 'vk-booking-manager' ); ?></p>
+				</div>
+			</div>
+				<?php
+				return;
+			endif;
+			?>
+
+			<p>
+				<?php
+				echo esc_html(
+					sprintf(
+						/* translators: %s: staff name. */
+						__( 'Request time off as %s. Approved days are closed in your shifts.', 'vk-booking-manager' ),
+						get_the_title( $resource_id )
+					)
+				);
+				?>
+			</p>
+
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<?php wp_nonce_field( self::SUBMIT_ACTION, self::NONCE_NAME ); ?>
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::SUBMIT_ACTION ); ?>" />
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><label for="vkbm-time-off-start-date"><?php esc_html_e( 'Period', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<input type="date" id="vkbm-time-off-start-date" name="vkbm_time_off_start_date" required />
+							&ndash;
+							<input type="date" name="vkbm_time_off_end_date" aria-label="<?php esc_attr_e( 'End date', 'vk-booking-manager' ); ?>" />
+							<p class="description"><?php esc_html_e( 'Leave the end date empty for a single day.', 'vk-booking-manager' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Partial day', 'vk-booking-manager' ); ?></th>
+						<td>
+							<label>
+								<input type="checkbox" name="vkbm_time_off_partial" value="1" />
+								<?php esc_html_e( 'Only part of the day', 'vk-booking-manager' ); ?>
+							</label>
+							<br />
+							<input type="time" name="vkbm_time_off_start_time" aria-label="<?php esc_attr_e( 'Start time', 'vk-booking-manager' ); ?>" />
+							&ndash;
+							<input type="time" name="vkbm_time_off_end_time" aria-label="<?php esc_attr_e( 'End time', 'vk-booking-manager' ); ?>" />
+							<p class="description"><?php esc_html_e( 'A partial day off covers a single day.', 'vk-booking-manager' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="vkbm-time-off-reason"><?php esc_html_e( 'Reason', 'vk-booking-manager' ); ?></label></th>
+						<td><input type="text" id="vkbm-time-off-reason" name="vkbm_time_off_reason" class="regular-text" /></td>
+					</tr>
+				</table>
+				<p class="submit">
+					<button type="submit" class="button button-primary"><?php esc_html_e( 'Submit request', 'vk-booking-manager' ); ?></button>
+				</p>
+			</form>
+
+			<h2><?php esc_html_e( 'Your requests', 'vk-booking-manager' ); ?></h2>
+			<?php if ( array() === $requests ) : ?>
+				<p><?php esc_html_e( 'No requests yet.', 'vk-booking-manager' ); ?></p>
+			<?php else : ?>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th style="width: 220px;"><?php esc_html_e( 'Period', 'vk-booking-manager' ); ?></th>
+							<th style="width: 140px;"><?php esc_html_e( 'Hours', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Reason', 'vk-booking-manager' ); ?></th>
+							<th style="width: 120px;"><?php esc_html_e( 'Status', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Comment', 'vk-booking-manager' ); ?></th>
+							<th style="width: 120px;"></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $requests as $request ) : ?>
+							<tr>
+								<td><?php echo esc_html( $this->format_period( $request ) ); ?></td>
+								<td><?php echo esc_html( $this->format_hours( $request ) ); ?></td>
+								<td><?php echo esc_html( (string) $request['reason'] ); ?></td>
+								<td><?php echo esc_html( $labels[ $request['status'] ] ?? (string) $request['status'] ); ?></td>
+								<td><?php echo esc_html( (string) $request['decision_note'] ); ?></td>
+								<td>
+									<?php if ( Time_Off_Repository::STATUS_PENDING === $request['status'] ) : ?>
+										<a class="button button-small" href="<?php echo esc_url( $this->get_cancel_url( (string) $request['id'] ) ); ?>">
+											<?php esc_html_e( 'Withdraw', 'vk-booking-manager' ); ?>
+										</a>
+									<?php endif; ?>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render pending requests and bookings that overlap approved time off on the shift dashboard.
+	 */
+	public function render_dashboard_panel(): void {
+		if ( ! current_user_can( Capabilities::MANAGE_STAFF ) ) {
+			return;
+		}
+
+		$pending   = $this->repository->get_requests_by_status( Time_Off_Repository::STATUS_PENDING );
+		$conflicts = $this->get_upcoming_conflicts();
+		$notice    = $this->get_dashboard_notice();
+
+		if ( null !== $notice ) :
+			?>
+			<div class="notice notice-<?php echo esc_attr( $notice['type'] ); ?> is-dismissible">
+				<p><?php echo esc_html( $notice['message'] ); ?></p>
+			</div>
+			<?php
+		endif;
+
+		if ( array() !== $pending ) :
+			?>
+			<div class="notice notice-warning vkbm-time-off-requests">
+				<p><strong><?php esc_html_e( 'Time-off requests awaiting approval', 'vk-booking-manager' ); ?></strong></p>
+				<table class="widefat striped">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Staff', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Period', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Hours', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Reason', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Conflicting bookings', 'vk-booking-manager' ); ?></th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $pending as $request ) : ?>
+							<tr>
+								<td><?php echo esc_html( get_the_title( (int) $request['resource_id'] ) ); ?></td>
+								<td><?php echo esc_html( $this->format_period( $request ) ); ?></td>
+								<td><?php echo esc_html( $this->format_hours( $request ) ); ?></td>
+								<td><?php echo esc_html( (string) $request['reason'] ); ?></td>
+								<td><?php echo esc_html( number_format_i18n( count( $this->repository->find_conflicting_bookings( $request ) ) ) ); ?></td>
+								<td>
+									<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+										<?php wp_nonce_field( self::DECIDE_ACTION, self::NONCE_NAME ); ?>
+										<input type="hidden" name="action" value="<?php echo esc_attr( self::DECIDE_ACTION ); ?>" />
+										<input type="hidden" name="request" value="<?php echo esc_attr( (string) $request['id'] ); ?>" />
+										<input type="text" name="vkbm_time_off_note" placeholder="<?php esc_attr_e( 'Comment (optional)', 'vk-booking-manager' ); ?>" />
+										<button type="submit" name="decision" value="approve" class="button button-primary button-small"><?php esc_html_e( 'Approve', 'vk-booking-manager' ); ?></button>
+										<button type="submit" name="decision" value="reject" class="button button-small"><?php esc_html_e( 'Reject', 'vk-booking-manager' ); ?></button>
+									</form>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			</div>
+			<?php
+		endif;
+
+		if ( array() !== $conflicts ) :
+			?>
+			<div class="notice notice-error vkbm-time-off-conflicts">
+				<p><strong><?php esc_html_e( 'These bookings overlap approved time off and need to be rescheduled:', 'vk-booking-manager' ); ?></strong></p>
+				<ul>
+					<?php foreach ( $conflicts as $conflict ) : ?>
+						<li>
+							<?php
+							$label = sprintf(
+								/* translators: 1: booking start, 2: customer name, 3: staff name. */
+								__( '%1$s %2$s (%3$s)', 'vk-booking-manager' ),
+								substr( (string) get_post_meta( $conflict['booking_id'], self::META_BOOKING_START, true ), 0, 16 ),
+								(string) get_post_meta( $conflict['booking_id'], self::META_BOOKING_CUSTOMER, true ),
+								get_the_title( $conflict['resource_id'] )
+							);
+							$edit_link = get_edit_post_link( $conflict['booking_id'] );
+							?>
+							<?php if ( $edit_link ) : ?>
+								<a href="<?php echo esc_url( $edit_link ); ?>"><?php echo esc_html( $label ); ?></a>
+							<?php else : ?>
+								<?php echo esc_html( $label ); ?>
+							<?php endif; ?>
+						</li>
+					<?php endforeach; ?>
+				</ul>
+			</div>
+			<?php
+		endif;
+	}
+
+	/**
+	 * Render the staff link on user profiles, and a link to the request page for linked staff.
+	 *
+	 * @param WP_User $user User object.
+	 */
+	public function render_profile_fields( WP_User $user ): void {
+		$resource_id = $this->repository->get_resource_id_for_user( $user->ID );
+
+		if ( current_user_can( Capabilities::MANAGE_STAFF ) ) {
+			$resources = get_posts(
+				array(
+					'post_type'      => Resource_Post_Type::POST_TYPE,
+					'post_status'    => array( 'publish', 'draft', 'private' ),
+					'posts_per_page' => -1,
+					'orderby'        => array(
+						'menu_order' => 'ASC',
+						'title'      => 'ASC',
+					),
+				)
+			);
+			?>
+			<h2><?php esc_html_e( 'Staff account', 'vk-booking-manager' ); ?></h2>
+			<table class="form-table" role="presentation">
+				<tr>
+					<th><label for="vkbm-staff-resource-id"><?php esc_html_e( 'Staff member', 'vk-booking-manager' ); ?></label></th>
+					<td>
+						<select id="vkbm-staff-resource-id" name="vkbm_staff_resource_id">
+							<option value="0"><?php esc_html_e( 'Not linked', 'vk-booking-manager' ); ?></option>
+							<?php foreach ( $resources as $resource ) : ?>
+								<option value="<?php echo esc_attr( (string) $resource->ID ); ?>" <?php selected( $resource_id, $resource->ID ); ?>><?php echo esc_html( get_the_title( $resource ) ); ?></option>
+							<?php endforeach; ?>
+						</select>
+						<p class="description"><?php esc_html_e( 'A linked user can request time off for this staff member.', 'vk-booking-manager' ); ?></p>
+					</td>
+				</tr>
+			</table>
+			<?php
+			return;
+		}
+
+		if ( $resource_id > 0 && get_current_user_id() === $user->ID && current_user_can( Capabilities::EDIT_OWN_STAFF_PROFILE ) ) :
+			?>
+			<h2><?php esc_html_e( 'Staff account', 'vk-booking-manager' ); ?></h2>
+			<p>
+				<?php
+				echo esc_html(
+					sprintf(
+						/* translators: %s: staff name. */
+						__( 'Linked to staff member %s.', 'vk-booking-manager' ),
+						get_the_title( $resource_id )
+					)
+				);
+				?>
+				<a href="<?php echo esc_url( $this->get_page_url() ); ?>"><?php esc_html_e( 'Request time off', 'vk-booking-manager' ); ?></a>
+			</p>
+			<?php
+		endif;
+	}
+
+	/**
+	 * Save the staff link of a user.
+	 *
+	 * @param int $user_id User ID.
+	 */
+	public function save_profile_fields( int $user_id ): void {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified by the core profile form.
+		if ( ! current_user_can( Capabilities::MANAGE_STAFF ) || ! current_user_can( 'edit_user', $user_id ) || ! isset( $_POST['vkbm_staff_resource_id'] ) ) {
+			return;
+		}
+
+		$resource_id = (int) $_POST['vkbm_staff_resource_id'];
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		if ( $resource_id > 0 && Resource_Post_Type::POST_TYPE === get_post_type( $resource_id ) ) {
+			update_user_meta( $user_id, Time_Off_Repository::USER_META_RESOURCE, $resource_id );
+			return;
+		}
+
+		delete_user_meta( $user_id, Time_Off_Repository::USER_META_RESOURCE );
+	}
+
+	/**
+	 * Bookings overlapping approved time off that has not ended yet.
+	 *
+	 * @return array<int, array{booking_id:int,resource_id:int}>
+	 */
+	private function get_upcoming_conflicts(): array {
+		$today     = current_datetime()->format( 'Y-m-d' );
+		$conflicts = array();
+
+		foreach ( $this->repository->get_requests_by_status( Time_Off_Repository::STATUS_APPROVED ) as $request ) {
+			if ( (string) $request['end_date'] < $today ) {
+				continue;
+			}
+
+			foreach ( $this->repository->find_conflicting_bookings( $request ) as $booking_id ) {
+				$conflicts[ $booking_id ] = array(
+					'booking_id'  => $booking_id,
+					'resource_id' => (int) $request['resource_id'],
+				);
+			}
+		}
+
+		return array_values( $conflicts );
+	}
+
+	/**
+	 * Period label of a request.
+	 *
+	 * @param array<string, mixed> $request Request.
+	 * @return string
+	 */
+	private function format_period( array $request ): string {
+		return $request['start_date'] === $request['end_date']
+			? (string) $request['start_date']
+			: $request['start_date'] . ' – ' . $request['end_date'];
+	}
+
+	/**
+	 * Hours label of a request.
+	 *
+	 * @param array<string, mixed> $request Request.
+	 * @return string
+	 */
+	private function format_hours( array $request ): string {
+		return '' === (string) $request['start_time']
+			? __( 'All day', 'vk-booking-manager' )
+			: $request['start_time'] . ' – ' . $request['end_time'];
+	}
+
+	/**
+	 * Signed admin-post URL to withdraw a request.
+	 *
+	 * @param string $id Request ID.
+	 * @return string
+	 */
+	private function get_cancel_url( string $id ): string {
+		return wp_nonce_url(
+			add_query_arg(
+				array(
+					'action'  => self::CANCEL_ACTION,
+					'request' => $id,
+				),
+				admin_url( 'admin-post.php' )
+			),
+			self::CANCEL_ACTION,
+			self::NONCE_NAME
+		);
+	}
+
+	/**
+	 * Error messages keyed by error code.
+	 *
+	 * @return array<string, string>
+	 */
+	private function get_error_messages(): array {
+		return array(
+			'invalid_staff'         => __( 'Your account is not linked to a staff member.', 'vk-booking-manager' ),
+			'invalid_period'        => __( 'Please enter a valid period.', 'vk-booking-manager' ),
+			/* translators: %d: maximum number of days. */
+			'period_too_long'       => sprintf( __( 'A request can span at most %d days.', 'vk-booking-manager' ), Time_Off_Repository::MAX_DAYS ),
+			'past_period'           => __( 'Time off cannot be requested for past days.', 'vk-booking-manager' ),
+			'invalid_hours'         => __( 'Please enter hours with the end after the start.', 'vk-booking-manager' ),
+			'partial_multiple_days' => __( 'A partial day off can only cover a single day.', 'vk-booking-manager' ),
+			'not_pending'           => __( 'This request has already been processed.', 'vk-booking-manager' ),
+			'not_found'             => __( 'The request was not found.', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Notice for the result of the last staff action.
+	 *
+	 * @return array{type:string,message:string}|null
+	 */
+	private function get_notice(): ?array {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Display only.
+		$updated = isset( $_GET['updated'] ) ? sanitize_key( (string) wp_unslash( $_GET['updated'] ) ) : '';
+		$error   = isset( $_GET['error'] ) ? sanitize_key( (string) wp_unslash( $_GET['error'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$errors = $this->get_error_messages();
+		if ( isset( $errors[ $error ] ) ) {
+			return array(
+				'type'    => 'error',
+				'message' => $errors[ $error ],
+			);
+		}
+
+		$messages = array(
+			'submitted' => __( 'Request submitted. You will see the result here once a manager has reviewed it.', 'vk-booking-manager' ),
+			'cancelled' => __( 'Request withdrawn.', 'vk-booking-manager' ),
+		);
+		if ( isset( $messages[ $updated ] ) ) {
+			return array(
+				'type'    => 'success',
+				'message' => $messages[ $updated ],
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Notice for the result of the last decision on the shift dashboard.
+	 *
+	 * @return array{type:string,message:string}|null
+	 */
+	private function get_dashboard_notice(): ?array {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Display only.
+		$updated   = isset( $_GET['vkbm_time_off'] ) ? sanitize_key( (string) wp_unslash( $_GET['vkbm_time_off'] ) ) : '';
+		$error     = isset( $_GET['vkbm_time_off_error'] ) ? sanitize_key( (string) wp_unslash( $_GET['vkbm_time_off_error'] ) ) : '';
+		$conflicts = isset( $_GET['vkbm_time_off_conflicts'] ) ? (int) $_GET['vkbm_time_off_conflicts'] : 0;
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$errors = $this->get_error_messages();
+		if ( isset( $errors[ $error ] ) ) {
+			return array(
+				'type'    => 'error',
+				'message' => $errors[ $error ],
+			);
+		}
+
+		if ( 'approved' === $updated ) {
+			return array(
+				'type'    => $conflicts > 0 ? 'warning' : 'success',
+				'message' => $conflicts > 0
+					/* translators: %s: number of bookings. */
+					? sprintf( __( 'Time off approved. %s bookings overlap it and need to be rescheduled.', 'vk-booking-manager' ), number_format_i18n( $conflicts ) )
+					: __( 'Time off approved and the shifts were updated.', 'vk-booking-manager' ),
+			);
+		}
+
+		if ( 'rejected' === $updated ) {
+			return array(
+				'type'    => 'success',
+				'message' => __( 'Time-off request rejected.', 'vk-booking-manager' ),
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * URL of the staff page.
+	 *
+	 * @return string
+	 */
+	private function get_page_url(): string {
+		return add_query_arg( 'page', self::MENU_SLUG, admin_url( current_user_can( 'list_users' ) ? 'users.php' : 'profile.php' ) );
+	}
+
+	/**
+	 * Redirect back to the staff page and stop.
+	 *
+	 * @param array<string, string> $args Query args.
+	 */
+	private function redirect( array $args ): void {
+		wp_safe_redirect( add_query_arg( $args, $this->get_page_url() ) );
+		exit;
+	}
+
+	/**
+	 * Redirect back to the shift dashboard and stop.
+	 *
+	 * @param array<string, string> $args Query args.
+	 */
+	private function redirect_to_dashboard( array $args ): void {
+		wp_safe_redirect( add_query_arg( array_merge( array( 'page' => self::DASHBOARD_SLUG ), $args ), admin_url( 'admin.php' ) ) );
+		exit;
+	}
+}
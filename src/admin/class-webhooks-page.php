@@ -0,0 +1,432 @@
+<?php
+
+/**
+ * Webhooks admin page.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Admin;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Webhooks\Webhook_Repository;
+use VKBookingManager\Webhooks\Webhook_Service;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function add_submenu_page;
+use function admin_url;
+use function check_admin_referer;
+use function current_user_can;
+use function esc_attr;
+use function esc_html;
+use function esc_html__;
+use function esc_html_e;
+use function esc_js;
+use function esc_url;
+use function esc_url_raw;
+use function get_option;
+use function is_wp_error;
+use function sanitize_key;
+use function sanitize_text_field;
+use function wp_die;
+use function wp_date;
+use function wp_http_validate_url;
+use function wp_nonce_field;
+use function wp_nonce_url;
+use function wp_safe_redirect;
+use function wp_timezone;
+use function wp_unslash;
+
+/**
+ * Lets the provider register webhook URLs per booking event and inspect deliveries.
+ */
+class Webhooks_Page {
+	private const MENU_SLUG     = 'vkbm-webhooks';
+	private const SAVE_ACTION   = 'vkbm_save_webhook';
+	private const MANAGE_ACTION = 'vkbm_manage_webhook';
+	private const NONCE_NAME    = 'vkbm_webhook_nonce';
+
+	/**
+	 * Parent admin menu slug.
+	 *
+	 * @var string
+	 */
+	private $parent_slug;
+
+	/**
+	 * Capability required to access the page.
+	 *
+	 * @var string
+	 */
+	private $capability;
+
+	/**
+	 * Endpoint and delivery store.
+	 *
+	 * @var Webhook_Repository
+	 */
+	private $repository;
+
+	/**
+	 * Webhook sender (used for redelivery).
+	 *
+	 * @var Webhook_Service
+	 */
+	private $webhook_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Webhook_Service         $webhook_service Webhook sender.
+	 * @param string                  $parent_slug     Parent admin menu slug.
+	 * @param string                  $capability      Capability required to access the page.
+	 * @param Webhook_Repository|null $repository      Endpoint and delivery store.
+	 */
+	public function __construct( Webhook_Service $webhook_service, string $parent_slug = 'vkbm-provider-settings', string $capability = Capabilities::MANAGE_PROVIDER_SETTINGS, ?Webhook_Repository $repository = null ) {
+		$this->webhook_service = $webhook_service;
+		$this->parent_slug     = $parent_slug;
+		$this->capability      = $capability;
+		$this->repository      = $repository ?? new Webhook_Repository();
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 */
+	public function register(): void {
+		add_action( 'admin_menu', array( $this, 'register_menu' ), 11 );
+		add_action( 'admin_post_' . self::SAVE_ACTION, array( $this, 'handle_save' ) );
+		add_action( 'admin_post_' . self::MANAGE_ACTION, array( $this, 'handle_manage' ) );
+	}
+
+	/**
+	 * Register the submenu page.
+	 */
+	public function register_menu(): void {
+		add_submenu_page(
+			$this->parent_slug,
+			__( 'Webhooks', 'vk-booking-manager' ),
+			__( 'Webhooks', 'vk-booking-manager' ),
+			$this->capability,
+			self::MENU_SLUG,
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Handle the "add webhook" form.
+	 */
+	public function handle_save(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::SAVE_ACTION, self::NONCE_NAME );
+
+		$url    = isset( $_POST['vkbm_webhook_url'] ) ? esc_url_raw( trim( (string) wp_unslash( $_POST['vkbm_webhook_url'] ) ), array( 'http', 'https' ) ) : '';
+		$events = isset( $_POST['vkbm_webhook_events'] ) && is_array( $_POST['vkbm_webhook_events'] )
+			? array_map( 'sanitize_text_field', wp_unslash( $_POST['vkbm_webhook_events'] ) )
+			: array();
+		$events = array_values( array_intersect( array_keys( Webhook_Service::get_event_labels() ), $events ) );
+
+		if ( '' === $url || false === wp_http_validate_url( $url ) ) {
+			$this->redirect( array( 'error' => 'invalid_url' ) );
+		}
+
+		if ( array() === $events ) {
+			$this->redirect( array( 'error' => 'no_events' ) );
+		}
+
+		$this->repository->add_webhook( $url, $events );
+		$this->redirect( array( 'updated' => 'added' ) );
+	}
+
+	/**
+	 * Handle the toggle, delete, redeliver and clear links.
+	 */
+	public function handle_manage(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::MANAGE_ACTION, self::NONCE_NAME );
+
+		$task = isset( $_GET['task'] ) ? sanitize_key( (string) wp_unslash( $_GET['task'] ) ) : '';
+		$id   = isset( $_GET['id'] ) ? sanitize_text_field( (string) wp_unslash( $_GET['id'] ) ) : '';
+
+		switch ( $task ) {
+			case 'toggle':
+				$webhook = $this->repository->get_webhook( $id );
+				if ( null !== $webhook ) {
+					$this->repository->update_webhook( $id, array( 'active' => ! $webhook['active'] ) );
+				}
+				$this->redirect( array( 'updated' => 'saved' ) );
+				break;
+			case 'delete':
+				$this->repository->delete_webhook( $id );
+				$this->redirect( array( 'updated' => 'deleted' ) );
+				break;
+			case 'redeliver':
+				$result = $this->webhook_service->redeliver( $id );
+				$this->redirect( is_wp_error( $result ) ? array( 'error' => 'redeliver_failed' ) : array( 'updated' => 'redelivered' ) );
+				break;
+			case 'clear':
+				$this->repository->clear_deliveries();
+				$this->redirect( array( 'updated' => 'cleared' ) );
+				break;
+		}
+
+		$this->redirect( array() );
+	}
+
+	/**
+	 * Render the page.
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( $this->capability ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		$webhooks     = $this->repository->get_webhooks();
+		$deliveries   = $this->repository->get_deliveries();
+		$event_labels = Webhook_Service::get_event_labels();
+		$notice       = $this->get_notice();
+		$date_format  = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		?>
+		<div class="wrap vkbm-webhooks">
+			<h1><?php esc_html_e( 'Webhooks', 'vk-booking-manager' ); ?></h1>
+
+			<?php if ( null !== $notice ) : ?>
+				<div class="notice notice-<?php echo esc_attr( $notice['type'] ); ?> is-dismissible">
+					<p><?php echo esc_html( $notice['message'] ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<p>
+				<?php esc_html_e( 'Reservation events are sent as JSON POST requests to the registered URLs. Each request carries an X-VKBM-Signature header with the HMAC-SHA256 of the body, signed with the webhook secret. Failed deliveries are retried up to 5 times with increasing intervals.', 'vk-booking-manager' ); ?>
+			</p>
+
+			<h2><?php esc_html_e( 'Add webhook', 'vk-booking-manager' ); ?></h2>
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<?php wp_nonce_field( self::SAVE_ACTION, self::NONCE_NAME ); ?>
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::SAVE_ACTION ); ?>" />
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><label for="vkbm-webhook-url"><?php esc_html_e( 'URL', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<input type="url" class="regular-text" id="vkbm-webhook-url" name="vkbm_webhook_url" placeholder="https://" required />
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Events', 'vk-booking-manager' ); ?></th>
+						<td>
+							<fieldset>
+								<?php foreach ( $event_labels as $event => $event_label ) : ?>
+									<label class="vkbm-inline-checkbox">
+										<input type="checkbox" name="vkbm_webhook_events[]" value="<?php echo esc_attr( $event ); ?>" />
+										<?php echo esc_html( $event_label ); ?> <code><?php echo esc_html( $event ); ?></code>
+									</label><br />
+								<?php endforeach; ?>
+							</fieldset>
+						</td>
+					</tr>
+				</table>
+				<p class="submit">
+					<button type="submit" class="button button-primary"><?php esc_html_e( 'Add webhook', 'vk-booking-manager' ); ?></button>
+				</p>
+			</form>
+
+			<h2><?php esc_html_e( 'Registered webhooks', 'vk-booking-manager' ); ?></h2>
+			<?php if ( array() === $webhooks ) : ?>
+				<p><?php esc_html_e( 'No webhooks registered yet.', 'vk-booking-manager' ); ?></p>
+			<?php else : ?>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'URL', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Events', 'vk-booking-manager' ); ?></th>
+							<th style="width: 280px;"><?php esc_html_e( 'Secret', 'vk-booking-manager' ); ?></th>
+							<th style="width: 180px;"><?php esc_html_e( 'Actions', 'vk-booking-manager' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $webhooks as $webhook ) : ?>
+							<tr>
+								<td>
+									<?php echo esc_html( $webhook['url'] ); ?>
+									<?php if ( ! $webhook['active'] ) : ?>
+										<br /><span style="color: #999;"><?php esc_html_e( 'Paused', 'vk-booking-manager' ); ?></span>
+									<?php endif; ?>
+								</td>
+								<td>
+									<?php
+									foreach ( $webhook['events'] as $event ) {
+										echo esc_html( $event_labels[ $event ] ?? $event ) . '<br />';
+									}
+									?>
+								</td>
+								<td><code><?php echo esc_html( $webhook['secret'] ); ?></code></td>
+								<td>
+									<a class="button button-small" href="<?php echo esc_url( $this->get_manage_url( 'toggle', $webhook['id'] ) ); ?>">
+										<?php echo $webhook['active'] ? esc_html__( 'Pause', 'vk-booking-manager' ) : esc_html__( 'Resume', 'vk-booking-manager' ); ?>
+									</a>
+									<a class="button button-small button-link-delete" href="<?php echo esc_url( $this->get_manage_url( 'delete', $webhook['id'] ) ); ?>" onclick="return confirm('<?php echo esc_js( __( 'Delete this webhook?', 'vk-booking-manager' ) ); ?>');">
+										<?php esc_html_e( 'Delete', 'vk-booking-manager' ); ?>
+									</a>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+
+			<h2><?php esc_html_e( 'Recent deliveries', 'vk-booking-manager' ); ?></h2>
+			<?php if ( array() === $deliveries ) : ?>
+				<p><?php esc_html_e( 'No deliveries yet.', 'vk-booking-manager' ); ?></p>
+			<?php else : ?>
+				<p>
+					<a class="button" href="<?php echo esc_url( $this->get_manage_url( 'clear' ) ); ?>" onclick="return confirm('<?php echo esc_js( __( 'Are you sure you want to clear all logs?', 'vk-booking-manager' ) ); ?>');">
+						<?php esc_html_e( 'Clear All Logs', 'vk-booking-manager' ); ?>
+					</a>
+				</p>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th style="width: 160px;"><?php esc_html_e( 'Date/Time', 'vk-booking-manager' ); ?></th>
+							<th style="width: 180px;"><?php esc_html_e( 'Event', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'URL', 'vk-booking-manager' ); ?></th>
+							<th style="width: 110px;"><?php esc_html_e( 'Status', 'vk-booking-manager' ); ?></th>
+							<th style="width: 70px;"><?php esc_html_e( 'Attempts', 'vk-booking-manager' ); ?></th>
+							<th><?php esc_html_e( 'Error', 'vk-booking-manager' ); ?></th>
+							<th style="width: 110px;"></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $deliveries as $delivery ) : ?>
+							<?php $delivery_webhook = $webhooks[ (string) ( $delivery['webhook_id'] ?? '' ) ] ?? null; ?>
+							<tr>
+								<td><?php echo esc_html( wp_date( $date_format, (int) ( $delivery['created_at'] ?? 0 ), wp_timezone() ) ); ?></td>
+								<td><?php echo esc_html( $event_labels[ (string) ( $delivery['event'] ?? '' ) ] ?? (string) ( $delivery['event'] ?? '' ) ); ?></td>
+								<td><?php echo null !== $delivery_webhook ? esc_html( $delivery_webhook['url'] ) : esc_html__( '(deleted)', 'vk-booking-manager' ); ?></td>
+								<td><?php echo esc_html( $this->get_status_label( (string) ( $delivery['status'] ?? '' ), (int) ( $delivery['response_code'] ?? 0 ) ) ); ?></td>
+								<td><?php echo esc_html( (string) (int) ( $delivery['attempts'] ?? 0 ) ); ?></td>
+								<td>
+									<?php if ( ! empty( $delivery['error'] ) ) : ?>
+										<code style="font-size: 11px; color: #d63638;"><?php echo esc_html( (string) $delivery['error'] ); ?></code>
+									<?php else : ?>
+										<span style="color: #999;">—</span>
+									<?php endif; ?>
+								</td>
+								<td>
+									<?php if ( null !== $delivery_webhook ) : ?>
+										<a class="button button-small" href="<?php echo esc_url( $this->get_manage_url( 'redeliver', (string) $delivery['id'] ) ); ?>">
+											<?php esc_html_e( 'Redeliver', 'vk-booking-manager' ); ?>
+										</a>
+									<?php endif; ?>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Signed admin-post URL for a row action.
+	 *
+	 * @param string $task Task name.
+	 * @param string $id   Webhook or delivery ID.
+	 * @return string
+	 */
+	private function get_manage_url( string $task, string $id = '' ): string {
+		return wp_nonce_url(
+			add_query_arg(
+				array(
+					'action' => self::MANAGE_ACTION,
+					'task'   => $task,
+					'id'     => $id,
+				),
+				admin_url( 'admin-post.php' )
+			),
+			self::MANAGE_ACTION,
+			self::NONCE_NAME
+		);
+	}
+
+	/**
+	 * Delivery status label.
+	 *
+	 * @param string $status        Delivery status.
+	 * @param int    $response_code Last HTTP status code.
+	 * @return string
+	 */
+	private function get_status_label( string $status, int $response_code ): string {
+		$labels = array(
+			'pending'   => __( 'Queued', 'vk-booking-manager' ),
+			'retrying'  => __( 'Retrying', 'vk-booking-manager' ),
+			'delivered' => __( 'Delivered', 'vk-booking-manager' ),
+			'failed'    => __( 'Failed', 'vk-booking-manager' ),
+		);
+		$label  = $labels[ $status ] ?? $status;
+
+		return $response_code > 0 ? $label . ' (' . $response_code . ')' : $label;
+	}
+
+	/**
+	 * Notice for the result of the last action.
+	 *
+	 * @return array{type:string,message:string}|null
+	 */
+	private function get_notice(): ?array {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Display only.
+		$updated = isset( $_GET['updated'] ) ? sanitize_key( (string) wp_unslash( $_GET['updated'] ) ) : '';
+		$error   = isset( $_GET['error'] ) ? sanitize_key( (string) wp_unslash( $_GET['error'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$errors = array(
+			'invalid_url'      => __( 'Please enter a valid http or https URL.', 'vk-booking-manager' ),
+			'no_events'        => __( 'Please select at least one event.', 'vk-booking-manager' ),
+			'redeliver_failed' => __( 'The delivery could not be sent again.', 'vk-booking-manager' ),
+		);
+		if ( isset( $errors[ $error ] ) ) {
+			return array(
+				'type'    => 'error',
+				'message' => $errors[ $error ],
+			);
+		}
+
+		$messages = array(
+			'added'       => __( 'Webhook added.', 'vk-booking-manager' ),
+			'saved'       => __( 'Webhook updated.', 'vk-booking-manager' ),
+			'deleted'     => __( 'Webhook deleted.', 'vk-booking-manager' ),
+			'redelivered' => __( 'The delivery has been queued again.', 'vk-booking-manager' ),
+			'cleared'     => __( 'Logs cleared successfully.', 'vk-booking-manager' ),
+		);
+		if ( isset( $messages[ $updated ] ) ) {
+			return array(
+				'type'    => 'success',
+				'message' => $messages[ $updated ],
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Redirect back to the page and stop.
+	 *
+	 * @param array<string, string> $args Query args.
+	 */
+	private function redirect( array $args ): void {
+		wp_safe_redirect( add_query_arg( array_merge( array( 'page' => self::MENU_SLUG ), $args ), admin_url( 'admin.php' ) ) );
+		exit;
+	}
+}
@@ -0,0 +1,554 @@
+import { __ } from '@wordpress/i18n';
+import { useCallback, useEffect, useMemo, useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import {
+	CalendarGrid,
+	DailySlotList,
+} from '../../blocks/reservation/booking-ui';
+import { CustomerPicker } from './customer-picker';
+
+const CONFLICT_CHECK_DELAY_MS = 300;
+
+const EMPTY_CUSTOMER = {
+	id: 0,
+	name: '',
+	phone: '',
+	email: '',
+};
+
+const buildApiPath = ( base, query ) => {
+	const searchParams = new URLSearchParams();
+	Object.entries( query ).forEach( ( [ key, value ] ) => {
+		if ( value !== undefined && value !== null && value !== '' ) {
+			searchParams.append( key, value );
+		}
+	} );
+	return `${ base }?${ searchParams.toString() }`;
+};
+
+const getCurrentMonth = () => {
+	const now = new Date();
+	return { year: now.getFullYear(), month: now.getMonth() + 1 };
+};
+
+/**
+ * Front-desk screen for phone and walk-in reservations.
+ *
+ * Slots come from the public availability endpoints (which already skip
+ * customer-only restrictions for staff). The manual time mode lets staff book
+ * outside the offered slots; the admin bookings endpoint still applies the
+ * staff conflict rules, and the conflict is shown before submitting.
+ *
+ * @param {Object} props
+ * @param {Object} props.bootstrap Data from New_Reservation_Page::get_bootstrap().
+ * @return {JSX.Element} App.
+ */
+export const NewReservationApp = ( { bootstrap } ) => {
+	const menus = bootstrap.menus || [];
+	const staffOptions = bootstrap.staff || [];
+	const statuses = bootstrap.statuses || {};
+
+	const [ menuId, setMenuId ] = useState( menus[ 0 ]?.id || 0 );
+	const [ staffId, setStaffId ] = useState( 0 );
+	const [ isManualTime, setIsManualTime ] = useState( false );
+	const [ monthCursor, setMonthCursor ] = useState( getCurrentMonth );
+	const [ calendarData, setCalendarData ] = useState( null );
+	const [ calendarLoading, setCalendarLoading ] = useState( false );
+	const [ selectedDate, setSelectedDate ] = useState( '' );
+	const [ slots, setSlots ] = useState( [] );
+	const [ slotLoading, setSlotLoading ] = useState( false );
+	const [ slotError, setSlotError ] = useState( null );
+	const [ selectedSlot, setSelectedSlot ] = useState( null );
+	const [ manualStart, setManualStart ] = useState( '' );
+	const [ manualEnd, setManualEnd ] = useState( '' );
+	const [ partySize, setPartySize ] = useState( 1 );
+	const [ customer, setCustomer ] = useState( EMPTY_CUSTOMER );
+	const [ createAccount, setCreateAccount ] = useState( false );
+	const [ sendInvite, setSendInvite ] = useState( false );
+	const [ status, setStatus ] = useState( 'confirmed' );
+	const [ note, setNote ] = useState( '' );
+	const [ internalNote, setInternalNote ] = useState( '' );
+	const [ conflict, setConflict ] = useState( null );
+	const [ isSubmitting, setIsSubmitting ] = useState( false );
+	const [ submitError, setSubmitError ] = useState( '' );
+	const [ createdBooking, setCreatedBooking ] = useState( null );
+
+	const dayMetaMap = useMemo( () => {
+		if ( ! calendarData?.days ) {
+			return {};
+		}
+
+		return calendarData.days.reduce( ( acc, day ) => {
+			acc[ day.date ] = day;
+			return acc;
+		}, {} );
+	}, [ calendarData ] );
+
+	useEffect( () => {
+		if ( ! menuId ) {
+			setCalendarData( null );
+			return;
+		}
+
+		setCalendarLoading( true );
+		apiFetch( {
+			path: buildApiPath( '/vkbm/v1/calendar-meta', {
+				menu_id: menuId,
+				resource_id: staffId || undefined,
+				year: monthCursor.year,
+				month: monthCursor.month,
+			} ),
+		} )
+			.then( ( response ) => setCalendarData( response ) )
+			.catch( () => setCalendarData( null ) )
+			.finally( () => setCalendarLoading( false ) );
+	}, [ menuId, staffId, monthCursor ] );
+
+	useEffect( () => {
+		setSelectedSlot( null );
+		if ( ! menuId || ! selectedDate ) {
+			setSlots( [] );
+			return;
+		}
+
+		setSlotLoading( true );
+		setSlotError( null );
+		apiFetch( {
+			path: buildApiPath( '/vkbm/v1/availabilities', {
+				menu_id: menuId,
+				resource_id: staffId || undefined,
+				date: selectedDate,
+			} ),
+		} )
+			.then( ( response ) =>
+				setSlots(
+					Array.isArray( response?.slots ) ? response.slots : []
+				)
+			)
+			.catch( ( error ) =>
+				setSlotError(
+					error?.message ||
+						__( 'Failed to load slots.', 'vk-booking-manager' )
+				)
+			)
+			.finally( () => setSlotLoading( false ) );
+	}, [ menuId, staffId, selectedDate ] );
+
+	// The booking as it will be submitted. / 送信する予約内容.
+	const plan = useMemo( () => {
+		if ( ! selectedDate ) {
+			return null;
+		}
+
+		if ( isManualTime ) {
+			if ( ! manualStart || ! manualEnd ) {
+				return null;
+			}
+
+			return {
+				date: selectedDate,
+				start_time: manualStart,
+				end_time: manualEnd,
+				resource_id: staffId,
+				facility_id: 0,
+			};
+		}
+
+		if ( ! selectedSlot ) {
+			return null;
+		}
+
+		return {
+			date: selectedSlot.start_at.slice( 0, 10 ),
+			start_time: selectedSlot.start_at.slice( 11, 16 ),
+			end_time: (
+				selectedSlot.service_end_at || selectedSlot.end_at
+			).slice( 11, 16 ),
+			resource_id: selectedSlot.staff?.id || staffId,
+			facility_id: selectedSlot.facility_ids?.[ 0 ] || 0,
+		};
+	}, [
+		selectedDate,
+		isManualTime,
+		manualStart,
+		manualEnd,
+		staffId,
+		selectedSlot,
+	] );
+
+	useEffect( () => {
+		setConflict( null );
+		if ( ! plan || ! plan.resource_id ) {
+			return undefined;
+		}
+
+		let isActive = true;
+		const timer = window.setTimeout( () => {
+			apiFetch( {
+				path: buildApiPath( '/vkbm/v1/admin/bookings/conflicts', {
+					...plan,
+					menu_id: menuId,
+					party_size: partySize,
+				} ),
+			} )
+				.then( ( response ) => {
+					if ( isActive ) {
+						setConflict( response );
+					}
+				} )
+				.catch( () => {} );
+		}, CONFLICT_CHECK_DELAY_MS );
+
+		return () => {
+			isActive = false;
+			window.clearTimeout( timer );
+		};
+	}, [ plan, menuId, partySize ] );
+
+	const handleMonthChange = useCallback( ( delta ) => {
+		setMonthCursor( ( current ) => {
+			const date = new Date( current.year, current.month - 1 + delta, 1 );
+			return { year: date.getFullYear(), month: date.getMonth() + 1 };
+		} );
+	}, [] );
+
+	const resetForm = () => {
+		setSelectedDate( '' );
+		setSelectedSlot( null );
+		setManualStart( '' );
+		setManualEnd( '' );
+		setPartySize( 1 );
+		setCustomer( EMPTY_CUSTOMER );
+		setCreateAccount( false );
+		setSendInvite( false );
+		setStatus( 'confirmed' );
+		setNote( '' );
+		setInternalNote( '' );
+		setSubmitError( '' );
+		setCreatedBooking( null );
+	};
+
+	const ensureCustomerAccount = () => {
+		if ( customer.id || ! createAccount ) {
+			return Promise.resolve( customer.id );
+		}
+
+		return apiFetch( {
+			path: '/vkbm/v1/admin/customers',
+			method: 'POST',
+			data: {
+				name: customer.name,
+				phone: customer.phone,
+				email: customer.email,
+				send_invite: sendInvite,
+			},
+		} ).then( ( created ) => {
+			setCustomer( { ...customer, id: created.id } );
+			return created.id;
+		} );
+	};
+
+	const handleSubmit = ( event ) => {
+		event.preventDefault();
+		if ( ! plan || isSubmitting ) {
+			return;
+		}
+
+		setIsSubmitting( true );
+		setSubmitError( '' );
+
+		ensureCustomerAccount()
+			.then( ( authorId ) =>
+				apiFetch( {
+					path: '/vkbm/v1/admin/bookings',
+					method: 'POST',
+					data: {
+						...plan,
+						menu_id: menuId,
+						is_staff_preferred: staffId > 0,
+						party_size: partySize,
+						customer_name: customer.name,
+						customer_tel: customer.phone,
+						customer_email: customer.email,
+						author_id: authorId || undefined,
+						status,
+						note,
+						internal_note: internalNote,
+					},
+				} )
+			)
+			.then( ( booking ) => setCreatedBooking( booking ) )
+			.catch( ( error ) =>
+				setSubmitError(
+					error?.message ||
+						__(
+							'The reservation could not be saved.',
+							'vk-booking-manager'
+						)
+				)
+			)
+			.finally( () => setIsSubmitting( false ) );
+	};
+
+	if ( createdBooking ) {
+		return (
+			<div className="vkbm-new-reservation__done">
+				<p className="vkbm-alert vkbm-alert__success" role="status">
+					{ __(
+						'The reservation has been saved.',
+						'vk-booking-manager'
+					) }
+				</p>
+				{ createdBooking.has_staff_conflict && (
+					<p className="vkbm-alert vkbm-alert__warning">
+						{ __(
+							'This reservation overlaps another reservation for the same staff member.',
+							'vk-booking-manager'
+						) }
+					</p>
+				) }
+				{ createdBooking.has_facility_conflict && (
+					<p className="vkbm-alert vkbm-alert__warning">
+						{ __(
+							'No free facility was available for this reservation, or the selected facility is already in use.',
+							'vk-booking-manager'
+						) }
+					</p>
+				) }
+				<p>
+					<a
+						className="button"
+						href={ `${ bootstrap.editUrl }${ createdBooking.id }` }
+					>
+						{ __( 'Open reservation', 'vk-booking-manager' ) }
+					</a>{ ' ' }
+					<button
+						type="button"
+						className="button button-primary"
+						onClick={ resetForm }
+					>
+						{ __( 'New reservation', 'vk-booking-manager' ) }
+					</button>
+				</p>
+			</div>
+		);
+	}
+
+	const isBlocked = Boolean( conflict?.blocked );
+	const canSubmit =
+		Boolean( plan ) &&
+		! isBlocked &&
+		! isSubmitting &&
+		( customer.name.trim() !== '' || customer.id > 0 );
+
+	return (
+		<form className="vkbm-new-reservation__form" onSubmit={ handleSubmit }>
+			<div className="vkbm-new-reservation__filters">
+				<label htmlFor="vkbm-new-reservation-menu">
+					{ __( 'Service menu', 'vk-booking-manager' ) }
+				</label>
+				<select
+					id="vkbm-new-reservation-menu"
+					value={ menuId }
+					onChange={ ( event ) =>
+						setMenuId( Number( event.target.value ) )
+					}
+				>
+					{ menus.map( ( menu ) => (
+						<option key={ menu.id } value={ menu.id }>
+							{ menu.title }
+						</option>
+					) ) }
+				</select>
+
+				{ bootstrap.staffEnabled && (
+					<>
+						<label htmlFor="vkbm-new-reservation-staff">
+							{ __( 'Staff', 'vk-booking-manager' ) }
+						</label>
+						<select
+							id="vkbm-new-reservation-staff"
+							value={ staffId }
+							onChange={ ( event ) =>
+								setStaffId( Number( event.target.value ) )
+							}
+						>
+							<option value={ 0 }>
+								{ __( 'No preference', 'vk-booking-manager' ) }
+							</option>
+							{ staffOptions.map( ( staff ) => (
+								<option key={ staff.id } value={ staff.id }>
+									{ staff.title }
+								</option>
+							) ) }
+						</select>
+					</>
+				) }
+
+				<label htmlFor="vkbm-new-reservation-party-size">
+					{ __( 'Number of people', 'vk-booking-manager' ) }
+				</label>
+				<input
+					id="vkbm-new-reservation-party-size"
+					type="number"
+					min={ 1 }
+					className="small-text"
+					value={ partySize }
+					onChange={ ( event ) =>
+						setPartySize(
+							Math.max( 1, Number( event.target.value ) || 1 )
+						)
+					}
+				/>
+			</div>
+
+			<div className="vkbm-new-reservation__schedule">
+				<CalendarGrid
+					year={ monthCursor.year }
+					month={ monthCursor.month }
+					dayMetaMap={ isManualTime ? {} : dayMetaMap }
+					selectedDate={ selectedDate }
+					onSelectDate={ setSelectedDate }
+					onMonthChange={ handleMonthChange }
+					isLoading={ calendarLoading }
+					locale={ bootstrap.locale }
+				/>
+
+				<div className="vkbm-new-reservation__time">
+					<label
+						className="vkbm-new-reservation__override"
+						htmlFor="vkbm-new-reservation-manual-time"
+					>
+						<input
+							id="vkbm-new-reservation-manual-time"
+							type="checkbox"
+							checked={ isManualTime }
+							onChange={ ( event ) =>
+								setIsManualTime( event.target.checked )
+							}
+						/>
+						{ __(
+							'Enter the time manually (ignore available slots)',
+							'vk-booking-manager'
+						) }
+					</label>
+
+					{ isManualTime ? (
+						<div className="vkbm-new-reservation__fields">
+							<label htmlFor="vkbm-new-reservation-start">
+								{ __( 'Start time', 'vk-booking-manager' ) }
+							</label>
+							<input
+								id="vkbm-new-reservation-start"
+								type="time"
+								value={ manualStart }
+								onChange={ ( event ) =>
+									setManualStart( event.target.value )
+								}
+							/>
+							<label htmlFor="vkbm-new-reservation-end">
+								{ __( 'End time', 'vk-booking-manager' ) }
+							</label>
+							<input
+								id="vkbm-new-reservation-end"
+								type="time"
+								value={ manualEnd }
+								onChange={ ( event ) =>
+									setManualEnd( event.target.value )
+								}
+							/>
+						</div>
+					) : (
+						<DailySlotList
+							slots={ slots }
+							selectedDate={ selectedDate }
+							onSelectSlot={ setSelectedSlot }
+							selectedSlotId={ selectedSlot?.slot_id }
+							isLoading={ slotLoading }
+							error={ slotError }
+							showStaffLabel={ bootstrap.staffEnabled }
+						/>
+					) }
+
+					{ conflict?.has_conflict && (
+						<p
+							className={ [
+								'vkbm-alert vkbm-alert--compact',
+								isBlocked
+									? 'vkbm-alert__danger'
+									: 'vkbm-alert__warning',
+							].join( ' ' ) }
+							role="alert"
+						>
+							{ conflict.message }
+						</p>
+					) }
+				</div>
+			</div>
+
+			<CustomerPicker
+				customer={ customer }
+				onChange={ setCustomer }
+				createAccount={ createAccount }
+				onCreateAccount={ setCreateAccount }
+				sendInvite={ sendInvite }
+				onSendInvite={ setSendInvite }
+			/>
+
+			<div className="vkbm-new-reservation__fields vkbm-new-reservation__details">
+				<label htmlFor="vkbm-new-reservation-status">
+					{ __( 'Status', 'vk-booking-manager' ) }
+				</label>
+				<select
+					id="vkbm-new-reservation-status"
+					value={ status }
+					onChange={ ( event ) => setStatus( event.target.value ) }
+				>
+					{ Object.entries( statuses ).map( ( [ key, label ] ) => (
+						<option key={ key } value={ key }>
+							{ label }
+						</option>
+					) ) }
+				</select>
+				<label htmlFor="vkbm-new-reservation-note">
+					{ __( 'Customer note', 'vk-booking-manager' ) }
+				</label>
+				<textarea
+					id="vkbm-new-reservation-note"
+					rows={ 3 }
+					value={ note }
+					onChange={ ( event ) => setNote( event.target.value ) }
+				/>
+				<label htmlFor="vkbm-new-reservation-internal-note">
+					{ __( 'Internal note', 'vk-booking-manager' ) }
+				</label>
+				<textarea
+					id="vkbm-new-reservation-internal-note"
+					rows={ 3 }
+					value={ internalNote }
+					onChange={ ( event ) =>
+						setInternalNote( event.target.value )
+					}
+				/>
+			</div>
+
+			{ submitError && (
+				<p className="vkbm-alert vkbm-alert__danger" role="alert">
+					{ submitError }
+				</p>
+			) }
+
+			<p className="submit">
+				<button
+					type="submit"
+					className="button button-primary"
+					disabled={ ! canSubmit }
+				>
+					{ isSubmitting
+						? __( 'Saving…', 'vk-booking-manager' )
+						: __( 'Save reservation', 'vk-booking-manager' ) }
+				</button>
+			</p>
+		</form>
+	);
+};
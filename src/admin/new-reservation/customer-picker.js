@@ -0,0 +1,234 @@
+import { __ } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+
+const SEARCH_DELAY_MS = 300;
+const MIN_SEARCH_LENGTH = 2;
+
+/**
+ * Customer search with autocomplete, plus manual entry for new customers.
+ *
+ * @param {Object}   props
+ * @param {Object}   props.customer        Customer fields ({ id, name, phone, email }).
+ * @param {Function} props.onChange        Called with the next customer fields.
+ * @param {boolean}  props.createAccount   Whether to register an account for a new customer.
+ * @param {Function} props.onCreateAccount Called with the checkbox state.
+ * @param {boolean}  props.sendInvite      Whether to email the new customer a password link.
+ * @param {Function} props.onSendInvite    Called with the checkbox state.
+ * @return {JSX.Element} Customer fields.
+ */
+export const CustomerPicker = ( {
+	customer,
+	onChange,
+	createAccount,
+	onCreateAccount,
+	sendInvite,
+	onSendInvite,
+} ) => {
+	const [ query, setQuery ] = useState( '' );
+	const [ results, setResults ] = useState( [] );
+	const [ isSearching, setIsSearching ] = useState( false );
+
+	useEffect( () => {
+		const search = query.trim();
+		if ( search.length < MIN_SEARCH_LENGTH ) {
+			setResults( [] );
+			return undefined;
+		}
+
+		let isActive = true;
+		const timer = window.setTimeout( () => {
+			setIsSearching( true );
+			apiFetch( {
+				path: `/vkbm/v1/admin/customers?search=${ encodeURIComponent(
+					search
+				) }`,
+			} )
+				.then( ( response ) => {
+					if ( isActive ) {
+						setResults( Array.isArray( response ) ? response : [] );
+					}
+				} )
+				.catch( () => {
+					if ( isActive ) {
+						setResults( [] );
+					}
+				} )
+				.finally( () => {
+					if ( isActive ) {
+						setIsSearching( false );
+					}
+				} );
+		}, SEARCH_DELAY_MS );
+
+		return () => {
+			isActive = false;
+			window.clearTimeout( timer );
+		};
+	}, [ query ] );
+
+	const selectCustomer = ( result ) => {
+		onChange( {
+			id: result.id,
+			name: result.name,
+			phone: result.phone,
+			email: result.email,
+		} );
+		onCreateAccount( false );
+		setQuery( '' );
+		setResults( [] );
+	};
+
+	const updateField = ( key, value ) => {
+		onChange( { ...customer, [ key ]: value } );
+	};
+
+	return (
+		<div className="vkbm-new-reservation__customer">
+			{ customer.id ? (
+				<div className="vkbm-new-reservation__customer-selected">
+					<span>
+						{ customer.name }
+						{ customer.phone && ` / ${ customer.phone }` }
+						{ customer.email && ` / ${ customer.email }` }
+					</span>
+					<button
+						type="button"
+						className="button-link"
+						onClick={ () =>
+							onChange( {
+								id: 0,
+								name: '',
+								phone: '',
+								email: '',
+							} )
+						}
+					>
+						{ __( 'Change customer', 'vk-booking-manager' ) }
+					</button>
+				</div>
+			) : (
+				<div className="vkbm-new-reservation__customer-search">
+					<label htmlFor="vkbm-new-reservation-customer-search">
+						{ __(
+							'Search by name, phone number or email',
+							'vk-booking-manager'
+						) }
+					</label>
+					<input
+						id="vkbm-new-reservation-customer-search"
+						type="search"
+						className="regular-text"
+						value={ query }
+						autoComplete="off"
+						onChange={ ( event ) => setQuery( event.target.value ) }
+					/>
+					{ isSearching && (
+						<span className="vkbm-new-reservation__hint">
+							{ __( 'Searching…', 'vk-booking-manager' ) }
+						</span>
+					) }
+					{ results.length > 0 && (
+						<ul
+							className="vkbm-new-reservation__customer-results"
+							role="listbox"
+						>
+							{ results.map( ( result ) => (
+								<li key={ result.id }>
+									<button
+										type="button"
+										onClick={ () =>
+											selectCustomer( result )
+										}
+									>
+										<strong>{ result.name }</strong>
+										<span>
+											{ [ result.phone, result.email ]
+												.filter( Boolean )
+												.join( ' / ' ) }
+										</span>
+									</button>
+								</li>
+							) ) }
+						</ul>
+					) }
+				</div>
+			) }
+
+			<div className="vkbm-new-reservation__fields">
+				<label htmlFor="vkbm-new-reservation-customer-name">
+					{ __( 'Customer name', 'vk-booking-manager' ) }
+				</label>
+				<input
+					id="vkbm-new-reservation-customer-name"
+					type="text"
+					className="regular-text"
+					value={ customer.name }
+					onChange={ ( event ) =>
+						updateField( 'name', event.target.value )
+					}
+				/>
+				<label htmlFor="vkbm-new-reservation-customer-phone">
+					{ __( 'Phone number', 'vk-booking-manager' ) }
+				</label>
+				<input
+					id="vkbm-new-reservation-customer-phone"
+					type="tel"
+					className="regular-text"
+					value={ customer.phone }
+					onChange={ ( event ) =>
+						updateField( 'phone', event.target.value )
+					}
+				/>
+				<label htmlFor="vkbm-new-reservation-customer-email">
+					{ __( 'Email', 'vk-booking-manager' ) }
+				</label>
+				<input
+					id="vkbm-new-reservation-customer-email"
+					type="email"
+					className="regular-text"
+					value={ customer.email }
+					onChange={ ( event ) =>
+						updateField( 'email', event.target.value )
+					}
+				/>
+			</div>
+
+			{ ! customer.id && (
+				<div className="vkbm-new-reservation__account">
+					<label htmlFor="vkbm-new-reservation-create-account">
+						<input
+							id="vkbm-new-reservation-create-account"
+							type="checkbox"
+							checked={ createAccount }
+							onChange={ ( event ) =>
+								onCreateAccount( event.target.checked )
+							}
+						/>
+						{ __(
+							'Create a customer account',
+							'vk-booking-manager'
+						) }
+					</label>
+					{ createAccount && (
+						<label htmlFor="vkbm-new-reservation-send-invite">
+							<input
+								id="vkbm-new-reservation-send-invite"
+								type="checkbox"
+								checked={ sendInvite }
+								disabled={ ! customer.email }
+								onChange={ ( event ) =>
+									onSendInvite( event.target.checked )
+								}
+							/>
+							{ __(
+								'Email the customer a link to set a password',
+								'vk-booking-manager'
+							) }
+						</label>
+					) }
+				</div>
+			) }
+		</div>
+	);
+};
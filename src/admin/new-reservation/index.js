@@ -0,0 +1,17 @@
+import domReady from '@wordpress/dom-ready';
+import { render } from '@wordpress/element';
+import { NewReservationApp } from './app';
+
+const bootstrap = () => {
+	const node = document.getElementById( 'vkbm-new-reservation-root' );
+	if ( ! node ) {
+		return;
+	}
+
+	render(
+		<NewReservationApp bootstrap={ window.vkbmNewReservation || {} } />,
+		node
+	);
+};
+
+domReady( bootstrap );
@@ -17,11 +17,16 @@ if ( ! defined( 'ABSPATH' ) ) {
 use DateTimeImmutable;
 use DateTimeZone;
 use Exception;
+use VKBookingManager\Bookings\Booking_Line_Items;
+use VKBookingManager\Calendar\External_Calendar_Sync;
+use VKBookingManager\Facilities\Facility_Availability;
+use VKBookingManager\Holidays\Holiday_Calendar;
 use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\PostTypes\Shift_Post_Type;
 use VKBookingManager\PostTypes\Service_Menu_Post_Type;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\ProviderSettings\Settings_Repository;
+use VKBookingManager\Shifts\Schedule_Exception_Repository;
 use VKBookingManager\Staff\Staff_Editor;
 use WP_Post;
 use WP_Query;
@@ -32,6 +37,7 @@ use function current_datetime;
 use function current_user_can;
 use function get_current_user_id;
 use function is_user_logged_in;
+use function user_can;
 
 /**
  * Provides calculated availability data for menus and staff resources.
@@ -68,6 +74,15 @@ class Availability_Service {
 		self::DAY_STATUS_UNAVAILABLE,
 	);
 
+	/**
+	 * Booking statuses that no longer occupy the staff's time.
+	 * スタッフの時間を占有しない予約ステータス.
+	 */
+	private const RELEASED_BOOKING_STATUSES = array(
+		'cancelled',
+		'no_show',
+	);
+
 	private const SLOT_STEP_MINUTES_DEFAULT = 10;
 
 	/**
@@ -91,13 +106,49 @@ class Availability_Service {
 	 */
 	private array $booking_cache = array();
 
+	/**
+	 * Facility free/busy lookups.
+	 *
+	 * @var Facility_Availability
+	 */
+	private Facility_Availability $facility_availability;
+
+	/**
+	 * Auto-assignment ordering.
+	 *
+	 * @var Staff_Assignment_Strategy
+	 */
+	private Staff_Assignment_Strategy $assignment_strategy;
+
+	/**
+	 * Public holiday calendar.
+	 *
+	 * @var Holiday_Calendar
+	 */
+	private Holiday_Calendar $holiday_calendar;
+
+	/**
+	 * Provider-wide closures and special hours.
+	 *
+	 * @var Schedule_Exception_Repository
+	 */
+	private Schedule_Exception_Repository $schedule_exceptions;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param Settings_Repository|null $settings_repository Provider settings repository.
+	 * @param Settings_Repository|null           $settings_repository   Provider settings repository.
+	 * @param Facility_Availability|null         $facility_availability Facility free/busy lookups.
+	 * @param Staff_Assignment_Strategy|null     $assignment_strategy   Auto-assignment ordering.
+	 * @param Holiday_Calendar|null              $holiday_calendar      Public holiday calendar.
+	 * @param Schedule_Exception_Repository|null $schedule_exceptions   Provider-wide closures and special hours.
 	 */
-	public function __construct( ?Settings_Repository $settings_repository = null ) {
-		$this->settings_repository = $settings_repository ?? new Settings_Repository();
+	public function __construct( ?Settings_Repository $settings_repository = null, ?Facility_Availability $facility_availability = null, ?Staff_Assignment_Strategy $assignment_strategy = null, ?Holiday_Calendar $holiday_calendar = null, ?Schedule_Exception_Repository $schedule_exceptions = null ) {
+		$this->settings_repository   = $settings_repository ?? new Settings_Repository();
+		$this->facility_availability = $facility_availability ?? new Facility_Availability();
+		$this->assignment_strategy   = $assignment_strategy ?? new Staff_Assignment_Strategy( $this->settings_repository );
+		$this->holiday_calendar      = $holiday_calendar ?? new Holiday_Calendar();
+		$this->schedule_exceptions   = $schedule_exceptions ?? new Schedule_Exception_Repository();
 	}
 
 	/**
@@ -124,9 +175,14 @@ class Availability_Service {
 			return $menu;
 		}
 
+		$extra_menus = $this->resolve_extra_menus( $menu, $args['menu_ids'] ?? array() );
+		if ( is_wp_error( $extra_menus ) ) {
+			return $extra_menus;
+		}
+
 		$preferred_staff_id = isset( $args['resource_id'] ) ? (int) $args['resource_id'] : 0;
 
-		$staff_ids = $this->resolve_staff_ids( $menu, $preferred_staff_id );
+		$staff_ids = $this->resolve_bundle_staff_ids( $menu, $extra_menus, $preferred_staff_id );
 		if ( is_wp_error( $staff_ids ) ) {
 			return $staff_ids;
 		}
@@ -146,7 +202,7 @@ class Availability_Service {
 
 		$cache_key = $this->build_cache_key(
 			'calendar',
-			$menu->ID,
+			$this->build_menu_key( $menu, $extra_menus ),
 			$staff_ids,
 			sprintf( '%04d-%02d', $year, $month ),
 			$timezone->getName()
@@ -162,7 +218,7 @@ class Availability_Service {
 
 		for ( $day = 1; $day <= $days_in_month; $day++ ) {
 			$date       = sprintf( '%04d-%02d-%02d', $year, $month, $day );
-			$slots      = $this->generate_slots_for_date( $menu, $staff_ids, $date, $timezone, $preferred_staff_id > 0 );
+			$slots      = $this->generate_slots_for_date( $menu, $staff_ids, $date, $timezone, $preferred_staff_id > 0, $extra_menus );
 			$status_key = $this->resolve_day_status( $staff_ids, $year, $month, $day );
 			$status     = $this->map_status_to_calendar_label( $status_key );
 			$is_holiday = in_array( $status, array( 'holiday', 'off', 'special_close' ), true );
@@ -173,8 +229,10 @@ class Availability_Service {
 				'first_start_at'  => $slots ? $slots[0]['start_at'] : null,
 				'shift_status'    => $status,
 				'is_holiday'      => $is_holiday,
+				'holiday_name'    => $this->holiday_calendar->get_holiday_name( $date ),
 				'is_disabled'     => empty( $slots ),
-				'notes'           => $this->build_day_notes( $status_key, $slots ),
+				'is_fully_booked' => empty( $slots ) && ! $is_holiday && $this->has_bookings_on_date( $staff_ids, $date, $timezone ),
+				'notes'           => $this->build_day_notes( $status_key, $slots, $date ),
 			);
 		}
 
@@ -184,6 +242,7 @@ class Availability_Service {
 			'days'  => $results,
 			'meta'  => array(
 				'menu_id'      => $menu->ID,
+				'menu_ids'     => $this->collect_menu_ids( $menu, $extra_menus ),
 				'resource_id'  => isset( $args['resource_id'] ) ? (int) $args['resource_id'] : null,
 				'timezone'     => $timezone->getName(),
 				'generated_at' => $this->current_timestamp_iso( $timezone ),
@@ -215,19 +274,30 @@ class Availability_Service {
 
 		$timezone = $this->resolve_timezone( (string) ( $args['timezone'] ?? '' ) );
 
+		$extra_menus = $this->resolve_extra_menus( $menu, $args['menu_ids'] ?? array() );
+		if ( is_wp_error( $extra_menus ) ) {
+			return $extra_menus;
+		}
+
 		$preferred_staff_id = isset( $args['resource_id'] ) ? (int) $args['resource_id'] : 0;
 
-		$staff_ids = $this->resolve_staff_ids( $menu, $preferred_staff_id );
+		$staff_ids = $this->resolve_bundle_staff_ids( $menu, $extra_menus, $preferred_staff_id );
 		if ( is_wp_error( $staff_ids ) ) {
 			return $staff_ids;
 		}
 
-		$current_user_id   = get_current_user_id();
-		$apply_user_filter = $current_user_id > 0 && ! current_user_can( Capabilities::MANAGE_RESERVATIONS );
-		if ( ! $apply_user_filter ) {
+		// Slots can be evaluated for another customer (e.g. waitlist offers).
+		// 空き待ち案内など、別の顧客視点で空き枠を判定できるようにする.
+		$current_user_id   = isset( $args['user_id'] ) ? max( 0, (int) $args['user_id'] ) : get_current_user_id();
+		$apply_user_filter = $current_user_id > 0 && ! user_can( $current_user_id, Capabilities::MANAGE_RESERVATIONS );
+
+		// Rescheduling ignores the booking being moved. / 日時変更時は変更対象の予約自身を除外して判定する.
+		$exclude_booking_id = isset( $args['exclude_booking_id'] ) ? max( 0, (int) $args['exclude_booking_id'] ) : 0;
+		$use_cache          = ! $apply_user_filter && 0 === $exclude_booking_id;
+		if ( $use_cache ) {
 			$cache_key = $this->build_cache_key(
 				'daily',
-				$menu->ID,
+				$this->build_menu_key( $menu, $extra_menus ),
 				$staff_ids,
 				$date->format( 'Y-m-d' ),
 				$timezone->getName()
@@ -244,11 +314,13 @@ class Availability_Service {
 			$staff_ids,
 			$date->format( 'Y-m-d' ),
 			$timezone,
-			$preferred_staff_id > 0
+			$preferred_staff_id > 0,
+			$extra_menus,
+			$exclude_booking_id
 		);
 
 		if ( $apply_user_filter && ! empty( $slots ) ) {
-			$user_bookings = $this->get_bookings_for_user_date( $current_user_id, $date->format( 'Y-m-d' ), $timezone );
+			$user_bookings = $this->get_bookings_for_user_date( $current_user_id, $date->format( 'Y-m-d' ), $timezone, $exclude_booking_id );
 			if ( ! empty( $user_bookings ) ) {
 				$slots = array_values(
 					array_filter(
@@ -275,11 +347,12 @@ class Availability_Service {
 			'meta'     => array(
 				'generated_at' => $this->current_timestamp_iso( $timezone ),
 				'menu_id'      => $menu->ID,
+				'menu_ids'     => $this->collect_menu_ids( $menu, $extra_menus ),
 				'resource_id'  => isset( $args['resource_id'] ) ? (int) $args['resource_id'] : null,
 			),
 		);
 
-		if ( ! $apply_user_filter ) {
+		if ( $use_cache ) {
 			set_transient( $cache_key, $payload, MINUTE_IN_SECONDS );
 		}
 
@@ -365,6 +438,89 @@ class Availability_Service {
 		return $staff_ids;
 	}
 
+	/**
+	 * Validate additional menus booked together with the primary menu.
+	 *
+	 * 主メニューと同時に予約する追加メニューを検証します。
+	 *
+	 * @param WP_Post $menu_post Primary menu post.
+	 * @param mixed   $raw_ids   Requested menu IDs (array or comma separated string).
+	 * @return array<int, WP_Post>|WP_Error
+	 */
+	private function resolve_extra_menus( WP_Post $menu_post, $raw_ids ) {
+		$menu_ids = Booking_Line_Items::normalize_menu_ids( $raw_ids, (int) $menu_post->ID );
+		$extra    = array();
+
+		foreach ( array_slice( $menu_ids, 1 ) as $menu_id ) {
+			$menu = $this->validate_menu( $menu_id );
+			if ( is_wp_error( $menu ) ) {
+				return $menu;
+			}
+			$extra[] = $menu;
+		}
+
+		return $extra;
+	}
+
+	/**
+	 * Resolve staff who can handle every menu in the bundle.
+	 *
+	 * セット内のすべてのメニューを担当できるスタッフに絞り込みます。
+	 *
+	 * @param WP_Post             $menu_post       Primary menu post.
+	 * @param array<int, WP_Post> $extra_menus     Additional menu posts.
+	 * @param int                 $preferred_staff Preferred staff ID.
+	 * @return array<int>|WP_Error
+	 */
+	private function resolve_bundle_staff_ids( WP_Post $menu_post, array $extra_menus, int $preferred_staff ) {
+		$staff_ids = $this->resolve_staff_ids( $menu_post, $preferred_staff );
+		if ( is_wp_error( $staff_ids ) || empty( $extra_menus ) ) {
+			return $staff_ids;
+		}
+
+		foreach ( $extra_menus as $extra_menu ) {
+			$extra_staff_ids = $this->resolve_staff_ids( $extra_menu, $preferred_staff );
+			if ( is_wp_error( $extra_staff_ids ) ) {
+				return $extra_staff_ids;
+			}
+
+			$staff_ids = array_values( array_intersect( $staff_ids, $extra_staff_ids ) );
+		}
+
+		if ( empty( $staff_ids ) ) {
+			return new WP_Error( 'bundle_staff_not_available', __( 'No staff member can handle all of the selected menus.', 'vk-booking-manager' ) );
+		}
+
+		return $staff_ids;
+	}
+
+	/**
+	 * Collect menu IDs in service order.
+	 *
+	 * @param WP_Post             $menu_post   Primary menu post.
+	 * @param array<int, WP_Post> $extra_menus Additional menu posts.
+	 * @return array<int>
+	 */
+	private function collect_menu_ids( WP_Post $menu_post, array $extra_menus ): array {
+		$ids = array( (int) $menu_post->ID );
+		foreach ( $extra_menus as $extra_menu ) {
+			$ids[] = (int) $extra_menu->ID;
+		}
+
+		return $ids;
+	}
+
+	/**
+	 * Build the menu part of a cache key.
+	 *
+	 * @param WP_Post             $menu_post   Primary menu post.
+	 * @param array<int, WP_Post> $extra_menus Additional menu posts.
+	 * @return string
+	 */
+	private function build_menu_key( WP_Post $menu_post, array $extra_menus ): string {
+		return implode( '-', $this->collect_menu_ids( $menu_post, $extra_menus ) );
+	}
+
 	/**
 	 * Resolve timezone.
 	 *
@@ -387,36 +543,43 @@ class Availability_Service {
 	 * Build cache key.
 	 *
 	 * @param string     $prefix   Prefix.
-	 * @param int        $menu_id  Menu ID.
+	 * @param string     $menu_key Menu ID (or hyphen-joined IDs for bundles).
 	 * @param array<int> $staff_ids Staff IDs.
 	 * @param string     $date_key Date key.
 	 * @param string     $timezone Timezone name.
 	 * @return string
 	 */
-	private function build_cache_key( string $prefix, int $menu_id, array $staff_ids, string $date_key, string $timezone ): string {
+	private function build_cache_key( string $prefix, string $menu_key, array $staff_ids, string $date_key, string $timezone ): string {
 		$staff_hash = md5( implode( '-', $staff_ids ) );
-		return sprintf( 'vkbm_%s_%d_%s_%s_%s', $prefix, $menu_id, $staff_hash, $date_key, md5( $timezone ) );
+		return sprintf( 'vkbm_%s_%s_%s_%s_%s', $prefix, $menu_key, $staff_hash, $date_key, md5( $timezone ) );
 	}
 
 	/**
 	 * Generate available slots for a single day.
 	 *
-	 * @param WP_Post      $menu_post         Menu post.
-	 * @param array<int>   $staff_ids         Staff IDs.
-	 * @param string       $date              Date string (Y-m-d).
-	 * @param DateTimeZone $timezone          Timezone.
-	 * @param bool         $is_staff_preferred Whether staff is preferred.
+	 * @param WP_Post             $menu_post          Menu post.
+	 * @param array<int>          $staff_ids          Staff IDs.
+	 * @param string              $date               Date string (Y-m-d).
+	 * @param DateTimeZone        $timezone           Timezone.
+	 * @param bool                $is_staff_preferred Whether staff is preferred.
+	 * @param array<int, WP_Post> $extra_menus        Additional menus served back-to-back.
 	 * @return array<int, array<string, mixed>>
 	 */
-	private function generate_slots_for_date( WP_Post $menu_post, array $staff_ids, string $date, DateTimeZone $timezone, bool $is_staff_preferred ): array {
-		$menu_settings = $this->get_menu_settings( $menu_post );
-		if ( ! $this->is_date_allowed_for_menu( (string) ( $menu_settings['reservation_day_type'] ?? '' ), $date, $timezone ) ) {
-			return array();
+	private function generate_slots_for_date( WP_Post $menu_post, array $staff_ids, string $date, DateTimeZone $timezone, bool $is_staff_preferred, array $extra_menus = array(), int $exclude_booking_id = 0 ): array {
+		$menu_settings = $this->get_bundle_settings( $menu_post, $extra_menus );
+		foreach ( $menu_settings['reservation_day_types'] as $reservation_day_type ) {
+			if ( ! $this->is_date_allowed_for_menu( (string) $reservation_day_type, $date, $timezone ) ) {
+				return array();
+			}
 		}
 		$slot_step_minutes = $this->get_slot_step_minutes();
 		$total_block_min   = max( $slot_step_minutes, $menu_settings['total_duration'] );
 		$service_minutes   = $menu_settings['duration'];
 		$deadline_cutoff   = null;
+		// Only single-menu bookings can be shared as a group session. / グループ枠の共有は単一メニュー予約のみ.
+		$capacity = empty( $extra_menus ) ? Slot_Capacity::get_menu_capacity( (int) $menu_post->ID ) : 1;
+		// Menus linked to facilities also need a free room/chair. / 施設が紐づくメニューは施設の空きも必要.
+		$facility_ids = Facility_Availability::get_required_facility_ids( $this->collect_menu_ids( $menu_post, $extra_menus ) );
 
 		if ( $menu_settings['deadline_hours'] > 0 ) {
 			// Use the site clock to avoid user-provided timezone drift, but compare in requested timezone.
@@ -444,7 +607,7 @@ class Availability_Service {
 				continue;
 			}
 
-			$bookings    = $this->get_bookings_for_staff_date( $staff_id, $date, $timezone );
+			$bookings    = $this->get_bookings_for_staff_date( $staff_id, $date, $timezone, $exclude_booking_id );
 			$staff_slots = $this->build_slots_from_entry(
 				$day_entry['slots'],
 				$date,
@@ -453,13 +616,23 @@ class Availability_Service {
 				$service_minutes,
 				$deadline_cutoff,
 				$bookings,
-				$slot_step_minutes
+				$slot_step_minutes,
+				(int) $menu_post->ID,
+				$capacity,
+				$day_entry['breaks'] ?? array()
 			);
 
 			if ( empty( $staff_slots ) ) {
 				continue;
 			}
 
+			if ( ! empty( $facility_ids ) ) {
+				$staff_slots = $this->filter_slots_by_facility( $staff_slots, $facility_ids, (int) $menu_post->ID, $capacity, $exclude_booking_id );
+				if ( empty( $staff_slots ) ) {
+					continue;
+				}
+			}
+
 			$last_index = count( $staff_slots ) - 1;
 			foreach ( $staff_slots as $index => $slot ) {
 				$all_slots[] = array(
@@ -469,11 +642,14 @@ class Availability_Service {
 					'service_end_at'   => $slot['service_end']->format( DATE_ATOM ),
 					'duration_minutes' => $service_minutes,
 					'staff'            => $staff_info[ $staff_id ],
-					'capacity'         => 1,
-					'remaining'        => 1,
+					'capacity'         => $capacity,
+					'remaining'        => $slot['remaining'],
+					'facility_ids'     => $slot['facility_ids'] ?? array(),
 					'flags'            => array(
 						'is_last_slot_of_day'   => ( $index === $last_index ),
 						'requires_confirmation' => false,
+						'is_group_session'      => $capacity > 1,
+						'requires_facility'     => ! empty( $facility_ids ),
 					),
 					'auto_assign'      => ! $is_staff_preferred,
 				);
@@ -521,11 +697,14 @@ class Availability_Service {
 					'staff'                => null,
 					'staff_label'          => __( 'No preference', 'vk-booking-manager' ),
 					'assignable_staff_ids' => array(),
-					'capacity'             => 1,
-					'remaining'            => 1,
+					'capacity'             => 0,
+					'remaining'            => 0,
+					'facility_ids'         => array(),
 					'flags'                => array(
 						'is_last_slot_of_day'   => ! empty( $slot['flags']['is_last_slot_of_day'] ),
 						'requires_confirmation' => ! empty( $slot['flags']['requires_confirmation'] ),
+						'is_group_session'      => ! empty( $slot['flags']['is_group_session'] ),
+						'requires_facility'     => ! empty( $slot['flags']['requires_facility'] ),
 					),
 					'auto_assign'          => true,
 				);
@@ -537,6 +716,13 @@ class Availability_Service {
 			$staff_id = isset( $slot['staff']['id'] ) ? (int) $slot['staff']['id'] : 0;
 			if ( $staff_id > 0 ) {
 				$grouped[ $key ]['assignable_staff_ids'][] = $staff_id;
+				// A party is seated with one staff member, so the best single staff decides. / 1 組は 1 人のスタッフが担当するため、最も空きのあるスタッフの席数を使う.
+				$grouped[ $key ]['capacity']  = max( $grouped[ $key ]['capacity'], (int) ( $slot['capacity'] ?? 1 ) );
+				$grouped[ $key ]['remaining'] = max( $grouped[ $key ]['remaining'], (int) ( $slot['remaining'] ?? 1 ) );
+			}
+
+			if ( ! empty( $slot['facility_ids'] ) ) {
+				$grouped[ $key ]['facility_ids'] = array_values( array_unique( array_merge( $grouped[ $key ]['facility_ids'], $slot['facility_ids'] ) ) );
 			}
 		}
 
@@ -555,11 +741,23 @@ class Availability_Service {
 					)
 				);
 
-				$grouped[ $key ]['assignable_staff_ids'] = $unique;
-				$grouped[ $key ]['capacity']             = max( 1, count( $unique ) );
-				$grouped[ $key ]['remaining']            = $grouped[ $key ]['capacity'];
+				// Candidates are listed in the order they would be assigned. / 割り当て順に並べる.
+				$grouped[ $key ]['assignable_staff_ids'] = $this->assignment_strategy->order_staff_ids(
+					$unique,
+					new DateTimeImmutable( $slot['start_at'] ),
+					new DateTimeImmutable( $slot['end_at'] )
+				);
+				$grouped[ $key ]['capacity']             = max( 1, $grouped[ $key ]['capacity'] );
+				$grouped[ $key ]['remaining']            = max( 1, $grouped[ $key ]['remaining'] );
+
+				// One-to-one bookings cannot outnumber the free facilities. / 個別予約は空き施設数を超えない.
+				if ( ! empty( $slot['flags']['requires_facility'] ) && empty( $slot['flags']['is_group_session'] ) ) {
+					$grouped[ $key ]['remaining'] = min( $grouped[ $key ]['remaining'], max( 1, count( $slot['facility_ids'] ) ) );
+				}
 			} else {
 				$grouped[ $key ]['assignable_staff_ids'] = array();
+				$grouped[ $key ]['capacity']             = 1;
+				$grouped[ $key ]['remaining']            = 1;
 			}
 		}
 
@@ -575,6 +773,32 @@ class Availability_Service {
 		return $result;
 	}
 
+	/**
+	 * Drop slots for which no linked facility is free.
+	 *
+	 * @param array<int, array<string, mixed>> $slots              Staff slots built from the shift.
+	 * @param array<int>                       $facility_ids       Facilities the menu can use.
+	 * @param int                              $menu_id            Menu being booked.
+	 * @param int                              $capacity           Seats per slot of the menu.
+	 * @param int                              $exclude_booking_id Booking to ignore (reschedule).
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function filter_slots_by_facility( array $slots, array $facility_ids, int $menu_id, int $capacity, int $exclude_booking_id ): array {
+		$result = array();
+
+		foreach ( $slots as $slot ) {
+			$free = $this->facility_availability->find_free_facility_ids( $facility_ids, $slot['start'], $slot['end'], $menu_id, $capacity, $exclude_booking_id );
+			if ( empty( $free ) ) {
+				continue;
+			}
+
+			$slot['facility_ids'] = $free;
+			$result[]             = $slot;
+		}
+
+		return $result;
+	}
+
 	/**
 	 * Build staff info snapshot.
 	 *
@@ -613,7 +837,10 @@ class Availability_Service {
 	 * @param DateTimeImmutable|null                       $deadline_cutoff Deadline cutoff.
 	 * @param array<int, array<string, DateTimeImmutable>> $bookings Existing bookings.
 	 * @param int                                          $slot_step_minutes Slot step in minutes.
-	 * @return array<int, array<string, DateTimeImmutable>>
+	 * @param int                                          $menu_id         Menu being booked.
+	 * @param int                                          $capacity        Seats per slot of the menu.
+	 * @param array<int, array<string, string>>            $breaks          Breaks of the day, excluded from the slots.
+	 * @return array<int, array<string, mixed>>
 	 */
 	private function build_slots_from_entry(
 		array $slots,
@@ -623,9 +850,22 @@ class Availability_Service {
 		int $service_minutes,
 		?DateTimeImmutable $deadline_cutoff,
 		array $bookings,
-		int $slot_step_minutes
+		int $slot_step_minutes,
+		int $menu_id = 0,
+		int $capacity = 1,
+		array $breaks = array()
 	): array {
-		$result = array();
+		$result       = array();
+		$break_ranges = array();
+
+		foreach ( $breaks as $day_break ) {
+			$break_start = $this->create_datetime_from_time( $date, (string) ( $day_break['start'] ?? '' ), $timezone, false );
+			$break_end   = $this->create_datetime_from_time( $date, (string) ( $day_break['end'] ?? '' ), $timezone, true );
+
+			if ( $break_start && $break_end ) {
+				$break_ranges[] = array( $break_start, $break_end );
+			}
+		}
 
 		foreach ( $slots as $slot ) {
 			if ( empty( $slot['start'] ) || empty( $slot['end'] ) ) {
@@ -652,7 +892,14 @@ class Availability_Service {
 					continue;
 				}
 
-				if ( $this->has_booking_conflict( $cursor, $end, $bookings ) ) {
+				// Breaks are never bookable, buffer included. / 休憩と重なる枠はバッファ込みで除外.
+				if ( $this->overlaps_any_range( $cursor, $end, $break_ranges ) ) {
+					$cursor = $cursor->modify( sprintf( '+%d minutes', $slot_step_minutes ) );
+					continue;
+				}
+
+				$remaining = Slot_Capacity::count_remaining_seats( $cursor, $end, $menu_id, $capacity, $bookings );
+				if ( $remaining < 1 ) {
 					$cursor = $cursor->modify( sprintf( '+%d minutes', $slot_step_minutes ) );
 					continue;
 				}
@@ -664,6 +911,7 @@ class Availability_Service {
 					'end'              => $end,
 					'service_end'      => $service_end,
 					'service_duration' => $service_minutes,
+					'remaining'        => $remaining,
 				);
 
 				$cursor = $cursor->modify( sprintf( '+%d minutes', $slot_step_minutes ) );
@@ -673,6 +921,24 @@ class Availability_Service {
 		return $result;
 	}
 
+	/**
+	 * Whether a period overlaps one of the given ranges.
+	 *
+	 * @param DateTimeImmutable                                          $start  Period start.
+	 * @param DateTimeImmutable                                          $end    Period end.
+	 * @param array<int, array{0:DateTimeImmutable,1:DateTimeImmutable}> $ranges Ranges.
+	 * @return bool
+	 */
+	private function overlaps_any_range( DateTimeImmutable $start, DateTimeImmutable $end, array $ranges ): bool {
+		foreach ( $ranges as $range ) {
+			if ( $start < $range[1] && $range[0] < $end ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
 	/**
 	 * Create DateTimeImmutable from date/time, allowing 24:00 as end-of-day.
 	 *
@@ -716,13 +982,14 @@ class Availability_Service {
 	/**
 	 * Get bookings for a staff member on a date.
 	 *
-	 * @param int          $staff_id Staff ID.
-	 * @param string       $date     Date (Y-m-d).
-	 * @param DateTimeZone $timezone Timezone.
-	 * @return array<int, array<string, DateTimeImmutable>>
+	 * @param int          $staff_id           Staff ID.
+	 * @param string       $date               Date (Y-m-d).
+	 * @param DateTimeZone $timezone           Timezone.
+	 * @param int          $exclude_booking_id Booking to ignore (0 = none).
+	 * @return array<int, array<string, mixed>>
 	 */
-	private function get_bookings_for_staff_date( int $staff_id, string $date, DateTimeZone $timezone ): array {
-		$cache_key = sprintf( '%d-%s', $staff_id, $date );
+	private function get_bookings_for_staff_date( int $staff_id, string $date, DateTimeZone $timezone, int $exclude_booking_id = 0 ): array {
+		$cache_key = sprintf( '%d-%s-%d', $staff_id, $date, $exclude_booking_id );
 
 		if ( isset( $this->booking_cache[ $cache_key ] ) ) {
 			return $this->booking_cache[ $cache_key ];
@@ -742,6 +1009,7 @@ class Availability_Service {
 				'posts_per_page' => -1,
 				'no_found_rows'  => true,
 				'fields'         => 'ids',
+				'post__not_in'   => $exclude_booking_id > 0 ? array( $exclude_booking_id ) : array(),
 				'meta_query'     => array(
 					'relation' => 'AND',
 					array(
@@ -778,7 +1046,7 @@ class Availability_Service {
 
 		foreach ( $query->posts as $post_id ) {
 			$status = (string) get_post_meta( (int) $post_id, self::BOOKING_META_STATUS, true );
-			if ( 'no_show' === $status ) {
+			if ( in_array( $status, self::RELEASED_BOOKING_STATUSES, true ) ) {
 				continue;
 			}
 
@@ -798,11 +1066,18 @@ class Availability_Service {
 			}
 
 			$bookings[] = array(
-				'start' => $start_dt,
-				'end'   => $end_dt,
+				'start'   => $start_dt,
+				'end'     => $end_dt,
+				'menu_id' => Slot_Capacity::get_shared_menu_id( (int) $post_id ),
+				'seats'   => Slot_Capacity::get_party_size( (int) $post_id ),
 			);
 		}
 
+		// Time taken in the staff's other calendars. / スタッフの外部カレンダーの予定.
+		foreach ( External_Calendar_Sync::get_busy_periods( $staff_id, $start_of_day, $end_of_day ) as $busy ) {
+			$bookings[] = $busy;
+		}
+
 		$this->booking_cache[ $cache_key ] = $bookings;
 
 		return $bookings;
@@ -811,13 +1086,14 @@ class Availability_Service {
 	/**
 	 * Get bookings for a user on a date.
 	 *
-	 * @param int          $user_id User ID.
-	 * @param string       $date    Date (Y-m-d).
-	 * @param DateTimeZone $timezone Timezone.
+	 * @param int          $user_id            User ID.
+	 * @param string       $date               Date (Y-m-d).
+	 * @param DateTimeZone $timezone           Timezone.
+	 * @param int          $exclude_booking_id Booking to ignore (0 = none).
 	 * @return array<int, array<string, DateTimeImmutable>>
 	 */
-	private function get_bookings_for_user_date( int $user_id, string $date, DateTimeZone $timezone ): array {
-		$cache_key = sprintf( 'user-%d-%s', $user_id, $date );
+	private function get_bookings_for_user_date( int $user_id, string $date, DateTimeZone $timezone, int $exclude_booking_id = 0 ): array {
+		$cache_key = sprintf( 'user-%d-%s-%d', $user_id, $date, $exclude_booking_id );
 
 		if ( isset( $this->booking_cache[ $cache_key ] ) ) {
 			return $this->booking_cache[ $cache_key ];
@@ -838,6 +1114,7 @@ class Availability_Service {
 				'posts_per_page' => -1,
 				'no_found_rows'  => true,
 				'fields'         => 'ids',
+				'post__not_in'   => $exclude_booking_id > 0 ? array( $exclude_booking_id ) : array(),
 				'meta_query'     => array(
 					array(
 						'key'     => self::BOOKING_META_START,
@@ -868,7 +1145,7 @@ class Availability_Service {
 
 		foreach ( $query->posts as $post_id ) {
 			$status = (string) get_post_meta( (int) $post_id, self::BOOKING_META_STATUS, true );
-			if ( 'no_show' === $status ) {
+			if ( in_array( $status, self::RELEASED_BOOKING_STATUSES, true ) ) {
 				continue;
 			}
 
@@ -973,11 +1250,15 @@ class Availability_Service {
 					$days[ $day_number ] = array(
 						'status' => (string) ( $entry['status'] ?? self::DAY_STATUS_OPEN ),
 						'slots'  => $this->sanitize_slots( $entry['slots'] ?? array() ),
+						'breaks' => $this->sanitize_slots( is_array( $entry['breaks'] ?? null ) ? $entry['breaks'] : array() ),
 					);
 				}
 			}
 		}
 
+		// Provider-wide exceptions override every staff shift. / 臨時休業・特別営業時間を全スタッフに適用.
+		$days = $this->schedule_exceptions->apply_to_month( $year, $month, $days );
+
 		$this->shift_cache[ $cache_key ] = $days;
 
 		return $days;
@@ -1069,12 +1350,49 @@ class Availability_Service {
 
 		return array(
 			'duration'             => $duration,
+			'buffer_after'         => max( 0, $buffer_after ),
 			'total_duration'       => $total_block,
 			'deadline_hours'       => max( 0, $deadline ),
 			'reservation_day_type' => $reservation_day_type,
 		);
 	}
 
+	/**
+	 * Get combined duration/buffer settings for menus served back-to-back.
+	 *
+	 * Service time is the sum of every menu. Menus follow each other without a gap,
+	 * so only one trailing buffer is applied: the longest one among the menus.
+	 * 施術時間は各メニューの合計とし、後片付け時間は最も長いものを最後に1回だけ確保します。
+	 *
+	 * @param WP_Post             $menu_post   Primary menu post.
+	 * @param array<int, WP_Post> $extra_menus Additional menu posts.
+	 * @return array<string, mixed>
+	 */
+	private function get_bundle_settings( WP_Post $menu_post, array $extra_menus ): array {
+		$duration  = 0;
+		$buffer    = 0;
+		$deadline  = 0;
+		$day_types = array();
+
+		foreach ( array_merge( array( $menu_post ), $extra_menus ) as $menu ) {
+			$settings  = $this->get_menu_settings( $menu );
+			$duration += $settings['duration'];
+			$buffer    = max( $buffer, $settings['buffer_after'] );
+			$deadline  = max( $deadline, $settings['deadline_hours'] );
+
+			if ( '' !== $settings['reservation_day_type'] ) {
+				$day_types[] = $settings['reservation_day_type'];
+			}
+		}
+
+		return array(
+			'duration'              => $duration,
+			'total_duration'        => max( $duration + $buffer, $this->get_slot_step_minutes() ),
+			'deadline_hours'        => $deadline,
+			'reservation_day_types' => array_values( array_unique( $day_types ) ),
+		);
+	}
+
 		/**
 		 * Determine if the given date is reservable for the menu day restriction.
 		 *
@@ -1139,6 +1457,27 @@ class Availability_Service {
 			: $statuses[0];
 	}
 
+	/**
+	 * Determine whether any staff already has bookings on the date.
+	 *
+	 * Used to tell fully booked days apart from days without shifts.
+	 * 満席の日とシフト未登録の日を区別するために使用します。
+	 *
+	 * @param array<int>   $staff_ids Staff IDs.
+	 * @param string       $date      Date string (Y-m-d).
+	 * @param DateTimeZone $timezone  Timezone.
+	 * @return bool
+	 */
+	private function has_bookings_on_date( array $staff_ids, string $date, DateTimeZone $timezone ): bool {
+		foreach ( $staff_ids as $staff_id ) {
+			if ( ! empty( $this->get_bookings_for_staff_date( (int) $staff_id, $date, $timezone ) ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
 	/**
 	 * Map shift status to calendar label.
 	 *
@@ -1165,9 +1504,15 @@ class Availability_Service {
 	 *
 	 * @param string $status Status key.
 	 * @param array  $slots  Slots.
+	 * @param string $date   Date string (Y-m-d).
 	 * @return array<int, string>
 	 */
-	private function build_day_notes( string $status, array $slots ): array {
+	private function build_day_notes( string $status, array $slots, string $date ): array {
+		$exception = $this->schedule_exceptions->get_exception_for_date( $date );
+		if ( null !== $exception && '' !== $exception['note'] ) {
+			return array( $exception['note'] );
+		}
+
 		if ( ! empty( $slots ) ) {
 			return array();
 		}
@@ -0,0 +1,166 @@
+<?php
+
+/**
+ * Seat counting for menus that accept several bookings per slot.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Availability;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Bookings\Booking_Line_Items;
+use function get_post_meta;
+
+/**
+ * Decides how many seats of a group session are still free.
+ *
+ * Bookings of the same menu that start at the same time share one session
+ * until the menu capacity is reached. Any other overlap still blocks the slot.
+ * 同じメニュー・同じ開始時刻の予約は定員まで同じ枠を共有し、それ以外の重複は従来どおり枠を塞ぎます。
+ */
+class Slot_Capacity {
+	public const MENU_META_CAPACITY      = '_vkbm_capacity';
+	public const BOOKING_META_PARTY_SIZE = '_vkbm_booking_party_size';
+	public const MAX_CAPACITY            = 999;
+
+	private const BOOKING_META_SERVICE_ID = '_vkbm_booking_service_id';
+	private const BOOKING_META_START      = '_vkbm_booking_service_start';
+
+	/**
+	 * Seats per slot of a menu (1 for regular one-to-one menus).
+	 *
+	 * @param int $menu_id Menu post ID.
+	 * @return int
+	 */
+	public static function get_menu_capacity( int $menu_id ): int {
+		if ( $menu_id <= 0 ) {
+			return 1;
+		}
+
+		return self::normalize_seats( get_post_meta( $menu_id, self::MENU_META_CAPACITY, true ) );
+	}
+
+	/**
+	 * Number of seats taken by a booking.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return int
+	 */
+	public static function get_party_size( int $booking_id ): int {
+		return self::normalize_seats( get_post_meta( $booking_id, self::BOOKING_META_PARTY_SIZE, true ) );
+	}
+
+	/**
+	 * Clamp a seat count to 1..MAX_CAPACITY.
+	 *
+	 * @param mixed $value Raw value.
+	 * @return int
+	 */
+	public static function normalize_seats( $value ): int {
+		if ( ! is_numeric( $value ) ) {
+			return 1;
+		}
+
+		return min( self::MAX_CAPACITY, max( 1, (int) $value ) );
+	}
+
+	/**
+	 * Menu whose session a booking can share; 0 when the booking never shares.
+	 *
+	 * Bundled bookings occupy the staff for several menus in a row, so they are
+	 * always treated as exclusive.
+	 * 複数メニューのセット予約は枠を共有しません。
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return int
+	 */
+	public static function get_shared_menu_id( int $booking_id ): int {
+		if ( count( Booking_Line_Items::get_for_booking( $booking_id ) ) > 1 ) {
+			return 0;
+		}
+
+		return (int) get_post_meta( $booking_id, self::BOOKING_META_SERVICE_ID, true );
+	}
+
+	/**
+	 * Count the free seats of a candidate slot.
+	 *
+	 * Booking entries carry start/end and optionally menu_id and seats. Entries
+	 * without a menu (e.g. external calendar events) always block.
+	 *
+	 * @param DateTimeImmutable                $start    Candidate start.
+	 * @param DateTimeImmutable                $end      Candidate end.
+	 * @param int                              $menu_id  Menu being booked.
+	 * @param int                              $capacity Menu capacity.
+	 * @param array<int, array<string, mixed>> $bookings Existing bookings of the staff.
+	 * @return int 0 when the slot is blocked or full.
+	 */
+	public static function count_remaining_seats( DateTimeImmutable $start, DateTimeImmutable $end, int $menu_id, int $capacity, array $bookings ): int {
+		$taken = 0;
+
+		foreach ( $bookings as $booking ) {
+			if ( ! ( $start < $booking['end'] && $end > $booking['start'] ) ) {
+				continue;
+			}
+
+			$booking_menu_id = (int) ( $booking['menu_id'] ?? 0 );
+			$is_same_session = $capacity > 1
+				&& $menu_id > 0
+				&& $booking_menu_id === $menu_id
+				&& $booking['start']->getTimestamp() === $start->getTimestamp();
+
+			if ( ! $is_same_session ) {
+				return 0;
+			}
+
+			$taken += self::normalize_seats( $booking['seats'] ?? 1 );
+		}
+
+		return max( 0, $capacity - $taken );
+	}
+
+	/**
+	 * Check whether overlapping bookings still leave room for a new party.
+	 *
+	 * Used by the admin and confirmation checks, which work with stored
+	 * site-local datetime strings.
+	 * 管理画面・予約確定時の重複チェック用です。
+	 *
+	 * @param array<int> $booking_ids Overlapping booking IDs of the same staff.
+	 * @param string     $start_at    Requested start (Y-m-d H:i:s).
+	 * @param int        $menu_id     Requested menu ID.
+	 * @param int        $seats       Requested party size.
+	 * @return bool
+	 */
+	public static function can_join( array $booking_ids, string $start_at, int $menu_id, int $seats ): bool {
+		if ( empty( $booking_ids ) ) {
+			return true;
+		}
+
+		$capacity = self::get_menu_capacity( $menu_id );
+		if ( $capacity <= 1 ) {
+			return false;
+		}
+
+		$taken = 0;
+		foreach ( $booking_ids as $booking_id ) {
+			$booking_id = (int) $booking_id;
+			if ( self::get_shared_menu_id( $booking_id ) !== $menu_id ) {
+				return false;
+			}
+			if ( (string) get_post_meta( $booking_id, self::BOOKING_META_START, true ) !== $start_at ) {
+				return false;
+			}
+			$taken += self::get_party_size( $booking_id );
+		}
+
+		return $taken + self::normalize_seats( $seats ) <= $capacity;
+	}
+}
@@ -0,0 +1,436 @@
+<?php
+
+/**
+ * Ordering of candidate staff for "no preference" bookings.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Availability;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Post;
+use WP_Query;
+use function __;
+use function add_action;
+use function add_meta_box;
+use function current_user_can;
+use function delete_post_meta;
+use function esc_attr;
+use function esc_html_e;
+use function get_option;
+use function get_post_meta;
+use function sanitize_key;
+use function sanitize_text_field;
+use function update_option;
+use function update_post_meta;
+use function wp_nonce_field;
+use function wp_timezone;
+use function wp_unslash;
+use function wp_verify_nonce;
+
+/**
+ * Decides which free staff member receives an auto-assigned booking.
+ *
+ * The same order is used when the slot list is collapsed and when the booking
+ * is confirmed, so the staff shown as first candidate is the one assigned.
+ * 空き枠の集約と予約確定で同じ順序を使い、表示と実際の割り当てを一致させます。
+ */
+class Staff_Assignment_Strategy {
+	public const SETTING_KEY = 'provider_auto_assign_strategy';
+
+	public const STRATEGY_LIST_ORDER  = 'list_order';
+	public const STRATEGY_ROUND_ROBIN = 'round_robin';
+	public const STRATEGY_LEAST_DAY   = 'least_booked_day';
+	public const STRATEGY_LEAST_WEEK  = 'least_booked_week';
+	public const STRATEGY_NEAREST     = 'nearest_booking';
+	public const STRATEGY_WEIGHTED    = 'weighted';
+
+	public const META_WEIGHT          = '_vkbm_assign_weight';
+	public const MAX_WEIGHT           = 10;
+	public const LAST_ASSIGNED_OPTION = 'vkbm_auto_assign_last_staff_id';
+
+	private const NONCE_ACTION = 'vkbm_assign_weight_meta';
+	private const NONCE_NAME   = '_vkbm_assign_weight_nonce';
+
+	private const BOOKING_META_START     = '_vkbm_booking_service_start';
+	private const BOOKING_META_END       = '_vkbm_booking_service_end';
+	private const BOOKING_META_TOTAL_END = '_vkbm_booking_total_end';
+	private const BOOKING_META_RESOURCE  = '_vkbm_booking_resource_id';
+	private const BOOKING_META_STATUS    = '_vkbm_booking_status';
+	private const RELEASED_STATUSES      = array( 'cancelled', 'no_show' );
+
+	/**
+	 * Settings repository.
+	 *
+	 * @var Settings_Repository
+	 */
+	private Settings_Repository $settings_repository;
+
+	/**
+	 * Staff bookings cache keyed by staff ID and range.
+	 *
+	 * @var array<string, array<int, array{start: DateTimeImmutable, end: DateTimeImmutable}>>
+	 */
+	private array $booking_cache = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Settings_Repository|null $settings_repository Provider settings repository.
+	 */
+	public function __construct( ?Settings_Repository $settings_repository = null ) {
+		$this->settings_repository = $settings_repository ?? new Settings_Repository();
+	}
+
+	/**
+	 * Register hooks for the staff weight field.
+	 */
+	public function register(): void {
+		add_action( 'add_meta_boxes', array( $this, 'add_meta_box' ) );
+		add_action( 'save_post_' . Resource_Post_Type::POST_TYPE, array( $this, 'save_post' ), 10, 2 );
+	}
+
+	/**
+	 * Selectable strategies.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_strategy_labels(): array {
+		return array(
+			self::STRATEGY_LIST_ORDER  => __( 'Display order (first available staff)', 'vk-booking-manager' ),
+			self::STRATEGY_ROUND_ROBIN => __( 'Round-robin', 'vk-booking-manager' ),
+			self::STRATEGY_LEAST_DAY   => __( 'Fewest reservations that day', 'vk-booking-manager' ),
+			self::STRATEGY_LEAST_WEEK  => __( 'Fewest reservations that week', 'vk-booking-manager' ),
+			self::STRATEGY_NEAREST     => __( 'Closest to another reservation (fewer gaps)', 'vk-booking-manager' ),
+			self::STRATEGY_WEIGHTED    => __( 'Weighted priority', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Normalize a strategy key.
+	 *
+	 * @param mixed $value Raw value.
+	 * @return string
+	 */
+	public static function sanitize_strategy( $value ): string {
+		$value = sanitize_key( (string) $value );
+
+		return array_key_exists( $value, self::get_strategy_labels() ) ? $value : self::STRATEGY_LIST_ORDER;
+	}
+
+	/**
+	 * Assignment weight of a staff member (1..MAX_WEIGHT).
+	 *
+	 * @param int $staff_id Staff post ID.
+	 * @return int
+	 */
+	public static function get_weight( int $staff_id ): int {
+		$weight = get_post_meta( $staff_id, self::META_WEIGHT, true );
+		if ( ! is_numeric( $weight ) ) {
+			return 1;
+		}
+
+		return min( self::MAX_WEIGHT, max( 1, (int) $weight ) );
+	}
+
+	/**
+	 * Strategy selected in provider settings.
+	 *
+	 * @return string
+	 */
+	public function get_strategy(): string {
+		$settings = $this->settings_repository->get_settings();
+
+		return self::sanitize_strategy( $settings[ self::SETTING_KEY ] ?? self::STRATEGY_LIST_ORDER );
+	}
+
+	/**
+	 * Sort candidate staff so that the preferred one comes first.
+	 *
+	 * Ties keep the given (display) order.
+	 * 同順位の場合は表示順を維持します。
+	 *
+	 * @param array<int>        $staff_ids Candidate staff IDs in display order.
+	 * @param DateTimeImmutable $start     Slot start.
+	 * @param DateTimeImmutable $end       Slot end.
+	 * @return array<int>
+	 */
+	public function order_staff_ids( array $staff_ids, DateTimeImmutable $start, DateTimeImmutable $end ): array {
+		$staff_ids = array_values( array_map( 'intval', $staff_ids ) );
+		if ( count( $staff_ids ) < 2 ) {
+			return $staff_ids;
+		}
+
+		$strategy = $this->get_strategy();
+		if ( self::STRATEGY_LIST_ORDER === $strategy ) {
+			return $staff_ids;
+		}
+
+		if ( self::STRATEGY_ROUND_ROBIN === $strategy ) {
+			return $this->rotate_after( $staff_ids, (int) get_option( self::LAST_ASSIGNED_OPTION, 0 ) );
+		}
+
+		$scores = array();
+		foreach ( $staff_ids as $staff_id ) {
+			$scores[ $staff_id ] = $this->score( $strategy, $staff_id, $start, $end );
+		}
+
+		$positions = array_flip( $staff_ids );
+		usort(
+			$staff_ids,
+			static function ( int $a, int $b ) use ( $scores, $positions ): int {
+				$compare = $scores[ $a ] <=> $scores[ $b ];
+
+				return 0 !== $compare ? $compare : $positions[ $a ] <=> $positions[ $b ];
+			}
+		);
+
+		return $staff_ids;
+	}
+
+	/**
+	 * Record the staff member that received an auto-assigned booking.
+	 *
+	 * @param int $staff_id Staff post ID.
+	 */
+	public function remember_assignment( int $staff_id ): void {
+		if ( $staff_id <= 0 || self::STRATEGY_ROUND_ROBIN !== $this->get_strategy() ) {
+			return;
+		}
+
+		update_option( self::LAST_ASSIGNED_OPTION, $staff_id, false );
+	}
+
+	/**
+	 * Add the weight box to the staff edit screen.
+	 */
+	public function add_meta_box(): void {
+		add_meta_box(
+			'vkbm-assign-weight',
+			__( 'Automatic assignment', 'vk-booking-manager' ),
+			array( $this, 'render_meta_box' ),
+			Resource_Post_Type::POST_TYPE,
+			'side',
+			'default'
+		);
+	}
+
+	/**
+	 * Render the weight box.
+	 *
+	 * @param WP_Post $post Staff post.
+	 */
+	public function render_meta_box( WP_Post $post ): void {
+		wp_nonce_field( self::NONCE_ACTION, self::NONCE_NAME );
+		?>
+		<p>
+			<label for="vkbm-assign-weight"><?php esc_html_e( 'Weight', 'vk-booking-manager' ); ?></label>
+			<input type="number" id="vkbm-assign-weight" name="vkbm_assign_weight" class="small-text" min="1" max="<?php echo esc_attr( (string) self::MAX_WEIGHT ); ?>" step="1" value="<?php echo esc_attr( (string) self::get_weight( $post->ID ) ); ?>" />
+		</p>
+		<p class="description">
+			<?php esc_html_e( 'Used by the "Weighted priority" assignment. A weight of 2 receives about twice as many "no preference" reservations per week as a weight of 1.', 'vk-booking-manager' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Save handler.
+	 *
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 */
+	public function save_post( int $post_id, WP_Post $post ): void {
+		if ( ! isset( $_POST[ self::NONCE_NAME ] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST[ self::NONCE_NAME ] ) ), self::NONCE_ACTION ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Missing -- verified above.
+			return;
+		}
+
+		if ( defined( 'DOING_AUTOSAVE' ) && DOING_AUTOSAVE ) {
+			return;
+		}
+
+		if ( Resource_Post_Type::POST_TYPE !== $post->post_type ) {
+			return;
+		}
+
+		if ( ! current_user_can( Capabilities::MANAGE_STAFF, $post_id ) && ! current_user_can( 'edit_post', $post_id ) ) {
+			return;
+		}
+
+		$weight = isset( $_POST['vkbm_assign_weight'] ) ? (int) $_POST['vkbm_assign_weight'] : 1;
+		$weight = min( self::MAX_WEIGHT, max( 1, $weight ) );
+
+		if ( 1 === $weight ) {
+			delete_post_meta( $post_id, self::META_WEIGHT );
+			return;
+		}
+
+		update_post_meta( $post_id, self::META_WEIGHT, $weight );
+	}
+
+	/**
+	 * Move the staff after the last assigned one to the front.
+	 *
+	 * @param array<int> $staff_ids Staff IDs in display order.
+	 * @param int        $last_id   Last assigned staff ID.
+	 * @return array<int>
+	 */
+	private function rotate_after( array $staff_ids, int $last_id ): array {
+		$position = array_search( $last_id, $staff_ids, true );
+		if ( false === $position ) {
+			return $staff_ids;
+		}
+
+		return array_merge( array_slice( $staff_ids, $position + 1 ), array_slice( $staff_ids, 0, $position + 1 ) );
+	}
+
+	/**
+	 * Lower scores are assigned first.
+	 *
+	 * @param string            $strategy Strategy key.
+	 * @param int               $staff_id Staff post ID.
+	 * @param DateTimeImmutable $start    Slot start.
+	 * @param DateTimeImmutable $end      Slot end.
+	 * @return float
+	 */
+	private function score( string $strategy, int $staff_id, DateTimeImmutable $start, DateTimeImmutable $end ): float {
+		$local_start = $start->setTimezone( wp_timezone() );
+
+		switch ( $strategy ) {
+			case self::STRATEGY_LEAST_DAY:
+				$from = $local_start->setTime( 0, 0, 0 );
+				return (float) count( $this->get_bookings( $staff_id, $from, $from->modify( '+1 day' ) ) );
+
+			case self::STRATEGY_LEAST_WEEK:
+				$from = $this->get_week_start( $local_start );
+				return (float) count( $this->get_bookings( $staff_id, $from, $from->modify( '+7 days' ) ) );
+
+			case self::STRATEGY_WEIGHTED:
+				$from = $this->get_week_start( $local_start );
+				return count( $this->get_bookings( $staff_id, $from, $from->modify( '+7 days' ) ) ) / self::get_weight( $staff_id );
+
+			case self::STRATEGY_NEAREST:
+				$from = $local_start->setTime( 0, 0, 0 );
+				return $this->get_gap_seconds( $this->get_bookings( $staff_id, $from, $from->modify( '+1 day' ) ), $start, $end );
+		}
+
+		return 0.0;
+	}
+
+	/**
+	 * Seconds between the slot and the closest booking of the day.
+	 *
+	 * Staff without any booking that day come last so the day stays compact.
+	 * その日に予約がないスタッフは最後に回し、予約を寄せて空き時間を減らします。
+	 *
+	 * @param array<int, array{start: DateTimeImmutable, end: DateTimeImmutable}> $bookings Staff bookings of the day.
+	 * @param DateTimeImmutable                                                   $start    Slot start.
+	 * @param DateTimeImmutable                                                   $end      Slot end.
+	 * @return float
+	 */
+	private function get_gap_seconds( array $bookings, DateTimeImmutable $start, DateTimeImmutable $end ): float {
+		$gap = (float) PHP_INT_MAX;
+
+		foreach ( $bookings as $booking ) {
+			if ( $booking['end'] <= $start ) {
+				$gap = min( $gap, (float) ( $start->getTimestamp() - $booking['end']->getTimestamp() ) );
+			} elseif ( $booking['start'] >= $end ) {
+				$gap = min( $gap, (float) ( $booking['start']->getTimestamp() - $end->getTimestamp() ) );
+			}
+		}
+
+		return $gap;
+	}
+
+	/**
+	 * First day of the week containing a date (site "Week Starts On" setting).
+	 *
+	 * @param DateTimeImmutable $date Local date.
+	 * @return DateTimeImmutable
+	 */
+	private function get_week_start( DateTimeImmutable $date ): DateTimeImmutable {
+		$start_of_week = (int) get_option( 'start_of_week', 1 );
+		$offset        = ( (int) $date->format( 'w' ) - $start_of_week + 7 ) % 7;
+
+		return $date->setTime( 0, 0, 0 )->modify( sprintf( '-%d days', $offset ) );
+	}
+
+	/**
+	 * Active bookings of a staff member starting within a range.
+	 *
+	 * @param int               $staff_id Staff post ID.
+	 * @param DateTimeImmutable $from     Range start (inclusive).
+	 * @param DateTimeImmutable $to       Range end (exclusive).
+	 * @return array<int, array{start: DateTimeImmutable, end: DateTimeImmutable}>
+	 */
+	private function get_bookings( int $staff_id, DateTimeImmutable $from, DateTimeImmutable $to ): array {
+		$cache_key = sprintf( '%d-%s-%s', $staff_id, $from->format( 'YmdHis' ), $to->format( 'YmdHis' ) );
+		if ( isset( $this->booking_cache[ $cache_key ] ) ) {
+			return $this->booking_cache[ $cache_key ];
+		}
+
+		$query = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+				'fields'         => 'ids',
+				'meta_query'     => array(
+					'relation' => 'AND',
+					array(
+						'key'     => self::BOOKING_META_RESOURCE,
+						'value'   => $staff_id,
+						'compare' => '=',
+					),
+					array(
+						'key'     => self::BOOKING_META_START,
+						'value'   => array( $from->format( 'Y-m-d H:i:s' ), $to->modify( '-1 second' )->format( 'Y-m-d H:i:s' ) ),
+						'compare' => 'BETWEEN',
+						'type'    => 'DATETIME',
+					),
+				),
+			)
+		);
+
+		$timezone = wp_timezone();
+		$bookings = array();
+		foreach ( $query->posts as $post_id ) {
+			$post_id = (int) $post_id;
+			if ( in_array( (string) get_post_meta( $post_id, self::BOOKING_META_STATUS, true ), self::RELEASED_STATUSES, true ) ) {
+				continue;
+			}
+
+			$start_raw = (string) get_post_meta( $post_id, self::BOOKING_META_START, true );
+			$end_raw   = (string) get_post_meta( $post_id, self::BOOKING_META_TOTAL_END, true );
+			if ( '' === $end_raw ) {
+				$end_raw = (string) get_post_meta( $post_id, self::BOOKING_META_END, true );
+			}
+
+			$booking_start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start_raw, $timezone );
+			$booking_end   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $end_raw, $timezone );
+			if ( ! $booking_start || ! $booking_end ) {
+				continue;
+			}
+
+			$bookings[] = array(
+				'start' => $booking_start,
+				'end'   => $booking_end,
+			);
+		}
+
+		$this->booking_cache[ $cache_key ] = $bookings;
+
+		return $bookings;
+	}
+}
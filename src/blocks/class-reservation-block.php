@@ -15,11 +15,14 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Notifications\Sms_Channel;
 use WP_Post;
 use function admin_url;
 use function current_user_can;
 use function esc_url_raw;
 use function generate_block_asset_handle;
+use function get_current_user_id;
+use function get_user_meta;
 use function home_url;
 use function is_user_logged_in;
 use function sanitize_key;
@@ -143,6 +146,7 @@ class Reservation_Block {
 			'canViewPrivateMenus'   => $is_logged_in && current_user_can( Capabilities::VIEW_SERVICE_MENUS ),
 			'shiftDashboardUrl'     => $is_logged_in ? admin_url( 'admin.php?page=vkbm-shift-dashboard' ) : '',
 			'logoutUrl'             => $is_logged_in ? wp_logout_url( $redirect ) : '',
+			'smsOptIn'              => $is_logged_in && '1' === (string) get_user_meta( get_current_user_id(), Sms_Channel::USER_META_OPT_IN, true ),
 			'locale'                => $locale,
 		);
 
@@ -16,7 +16,9 @@ import {
 } from '../shared/pricing';
 import { resolveLoginState } from '../shared/auth';
 import { BookingConfirmApp } from './booking-confirm-app';
+import { BookingRescheduleForm } from './components/booking-reschedule-form';
 import { BookingSummaryItems } from './components/booking-summary-items';
+import { GuestBookingManage } from './components/guest-booking-manage';
 import { ReservationHeader } from './components/reservation-header';
 import { sanitizeDraftToken } from '../shared/draft-token';
 const parseQueryParams = () => {
@@ -32,6 +34,14 @@ const parseQueryParams = () => {
 			date: params.get( 'date' ) || '',
 			auth: params.get( 'vkbm_auth' ) || '',
 			draft: sanitizeDraftToken( params.get( 'draft' ) || '' ),
+			waitlist: ( params.get( 'vkbm_waitlist' ) || '' ).replace(
+				/[^A-Za-z0-9]/g,
+				''
+			),
+			manage: ( params.get( 'vkbm_manage' ) || '' ).replace(
+				/[^0-9a-f.]/g,
+				''
+			),
 		};
 	} catch ( error ) {
 		return {};
@@ -50,6 +60,40 @@ const buildApiPath = ( base, query ) => {
 
 const DRAFT_COOKIE = 'vkbm_draft_token';
 
+// Keep in sync with Booking_Line_Items::MAX_MENUS.
+const MAX_BUNDLE_MENUS = 5;
+
+const extractMenuStaffIds = ( menu ) => {
+	const meta = menu?.meta;
+	if ( ! meta ) {
+		return [];
+	}
+
+	const rawIds =
+		Array.isArray( meta._vkbm_staff_ids ) && meta._vkbm_staff_ids.length
+			? meta._vkbm_staff_ids
+			: Array.isArray( meta.vkbm_staff_ids ) && meta.vkbm_staff_ids.length
+			? meta.vkbm_staff_ids
+			: [];
+
+	const normalized = rawIds
+		.map( ( value ) => {
+			if ( typeof value === 'number' ) {
+				return value;
+			}
+			if ( typeof value === 'string' ) {
+				return Number( value ) || 0;
+			}
+			return 0;
+		} )
+		.filter( ( id ) => id > 0 );
+
+	return Array.from( new Set( normalized ) );
+};
+
+const getMenuTitle = ( menu ) =>
+	menu?.title?.rendered ?? menu?.title ?? menu?.name ?? '';
+
 const getDraftTokenFromCookie = () => {
 	if ( typeof document === 'undefined' ) {
 		return '';
@@ -205,6 +249,7 @@ export const ReservationApp = ( {
 	const initialMonthDate = initialDate ? new Date( initialDate ) : new Date();
 
 	const [ menuId, setMenuId ] = useState( initialMenuId );
+	const [ addonMenuIds, setAddonMenuIds ] = useState( [] );
 	const [ staffId, setStaffId ] = useState( initialStaffId );
 	const [ selectedDate, setSelectedDate ] = useState( initialDate );
 	const [ selectedSlot, setSelectedSlot ] = useState( null );
@@ -253,6 +298,9 @@ export const ReservationApp = ( {
 	const [ bookingsError, setBookingsError ] = useState( '' );
 	const [ bookings, setBookings ] = useState( [] );
 	const [ cancellingBookingId, setCancellingBookingId ] = useState( 0 );
+	const [ reschedulingBookingId, setReschedulingBookingId ] = useState( 0 );
+	const [ bookingsNotice, setBookingsNotice ] = useState( '' );
+	const [ bookingsReloadKey, setBookingsReloadKey ] = useState( 0 );
 	const isLoggedIn = resolveLoginState( { userBootstrap, isEditor } );
 	const confirmDraftToken = queryDefaults.draft || '';
 	const handleAuthLink = ( mode ) => {
@@ -282,6 +330,11 @@ export const ReservationApp = ( {
 	const [ slotError, setSlotError ] = useState( null );
 	const [ isSubmitting, setIsSubmitting ] = useState( false );
 	const [ submitError, setSubmitError ] = useState( '' );
+	const [ waitlistState, setWaitlistState ] = useState( {
+		key: '',
+		status: '',
+		message: '',
+	} );
 	const [ menuPreview, setMenuPreview ] = useState( {
 		html: '',
 		isLoading: false,
@@ -694,7 +747,15 @@ export const ReservationApp = ( {
 		return () => {
 			isMounted = false;
 		};
-	}, [ authMode, isLoggedIn ] );
+	}, [ authMode, isLoggedIn, bookingsReloadKey ] );
+
+	const handleRescheduled = useCallback( () => {
+		setReschedulingBookingId( 0 );
+		setBookingsNotice(
+			__( 'Your reservation has been changed.', 'vk-booking-manager' )
+		);
+		setBookingsReloadKey( ( current ) => current + 1 );
+	}, [] );
 	const currentMenu = useMemo(
 		() => menus.find( ( menu ) => menu.id === menuId ),
 		[ menus, menuId ]
@@ -704,34 +765,42 @@ export const ReservationApp = ( {
 		[ staffOptions, staffId ]
 	);
 
-	const assignableStaffIds = useMemo( () => {
-		const meta = currentMenu?.meta;
-		if ( ! meta ) {
+	// Menus booked together in one visit, primary menu first.
+	// 同じ来店でまとめて予約するメニュー（先頭が主メニュー）.
+	const bundleMenuIds = useMemo( () => {
+		if ( ! menuId ) {
 			return [];
 		}
 
-		const rawIds =
-			Array.isArray( meta._vkbm_staff_ids ) && meta._vkbm_staff_ids.length
-				? meta._vkbm_staff_ids
-				: Array.isArray( meta.vkbm_staff_ids ) &&
-				  meta.vkbm_staff_ids.length
-				? meta.vkbm_staff_ids
-				: [];
-
-		const normalized = rawIds
-			.map( ( value ) => {
-				if ( typeof value === 'number' ) {
-					return value;
-				}
-				if ( typeof value === 'string' ) {
-					return Number( value ) || 0;
-				}
-				return 0;
-			} )
-			.filter( ( id ) => id > 0 );
+		return [
+			menuId,
+			...addonMenuIds.filter( ( id ) => id !== menuId ),
+		].slice( 0, MAX_BUNDLE_MENUS );
+	}, [ menuId, addonMenuIds ] );
+	const bundleMenus = useMemo(
+		() =>
+			bundleMenuIds
+				.map( ( id ) => menus.find( ( menu ) => menu.id === id ) )
+				.filter( Boolean ),
+		[ bundleMenuIds, menus ]
+	);
+	const isBundle = bundleMenuIds.length > 1;
+	const bundleMenuIdsParam = isBundle ? bundleMenuIds.join( ',' ) : '';
 
-		return Array.from( new Set( normalized ) );
-	}, [ currentMenu ] );
+	const assignableStaffIds = useMemo( () => {
+		// Only staff who handle every menu in the bundle can be assigned.
+		// セット予約ではすべてのメニューを担当できるスタッフのみ対象にする.
+		return bundleMenus.reduce( ( acc, menu, index ) => {
+			const ids = extractMenuStaffIds( menu );
+			if ( index === 0 ) {
+				return ids;
+			}
+			if ( ids.length === 0 ) {
+				return acc;
+			}
+			return acc.filter( ( id ) => ids.includes( id ) );
+		}, [] );
+	}, [ bundleMenus ] );
 
 	const availableStaffOptions = useMemo( () => {
 		// 無料版では選択可能スタッフの制限を解除
@@ -814,10 +883,19 @@ export const ReservationApp = ( {
 		[ providerSettings ]
 	);
 
-	const basePriceRaw = useMemo(
-		() => extractMenuBasePrice( currentMenu ),
-		[ currentMenu ]
-	);
+	const basePriceRaw = useMemo( () => {
+		const primaryPrice = extractMenuBasePrice( currentMenu );
+		if ( primaryPrice === null || ! isBundle ) {
+			return primaryPrice;
+		}
+
+		return bundleMenus
+			.slice( 1 )
+			.reduce(
+				( sum, menu ) => sum + ( extractMenuBasePrice( menu ) ?? 0 ),
+				primaryPrice
+			);
+	}, [ currentMenu, bundleMenus, isBundle ] );
 
 	const basePrice = useMemo( () => {
 		if ( basePriceRaw === null ) {
@@ -892,7 +970,22 @@ export const ReservationApp = ( {
 		} );
 
 		const currencySymbol = providerSettings.currencySymbol || null;
+		const lineRows = isBundle
+			? bundleMenus.map( ( menu ) => {
+					const linePrice = applyTax( extractMenuBasePrice( menu ) );
+					return {
+						key: `line-${ menu.id }`,
+						label: getMenuTitle( menu ),
+						...withTaxLabel(
+							linePrice !== null
+								? formatCurrency( linePrice, currencySymbol )
+								: '—'
+						),
+					};
+			  } )
+			: [];
 		const rows = [
+			...lineRows,
 			{
 				key: 'base',
 				label: __( 'Service basic fee', 'vk-booking-manager' ),
@@ -915,7 +1008,7 @@ export const ReservationApp = ( {
 		];
 
 		if ( providerSettings.staffEnabled ) {
-			rows.splice( 1, 0, {
+			rows.splice( lineRows.length + 1, 0, {
 				key: 'nomination',
 				label: __( 'Nomination fee', 'vk-booking-manager' ),
 				value:
@@ -925,15 +1018,19 @@ export const ReservationApp = ( {
 							: '—'
 						: formatCurrency( staffNominationFee, currencySymbol ),
 				// staffNominationFee !== null : 指名料が設定されている場合は金額を表示するのでラベルを付ける
-			// || staffId               : 指名料未設定（null）でもスタッフ選択済みなら ¥0 表示になるのでラベルを付ける
-			// 両方 false = スタッフ未選択 = '—' 表示 のときはラベル不要
-			taxLabel: ( staffNominationFee !== null || staffId ) ? taxSuffix : '',
+				// || staffId               : 指名料未設定（null）でもスタッフ選択済みなら ¥0 表示になるのでラベルを付ける
+				// 両方 false = スタッフ未選択 = '—' 表示 のときはラベル不要
+				taxLabel:
+					staffNominationFee !== null || staffId ? taxSuffix : '',
 			} );
 		}
 
 		return rows;
 	}, [
+		applyTax,
 		basePrice,
+		bundleMenus,
+		isBundle,
 		staffNominationFee,
 		totalPrice,
 		providerSettings,
@@ -1035,6 +1132,7 @@ export const ReservationApp = ( {
 
 		const path = buildApiPath( '/vkbm/v1/calendar-meta', {
 			menu_id: menuId,
+			menu_ids: bundleMenuIdsParam,
 			resource_id: staffId || undefined,
 			year: monthCursor.year,
 			month: monthCursor.month,
@@ -1053,7 +1151,7 @@ export const ReservationApp = ( {
 			.finally( () => {
 				setCalendarLoading( false );
 			} );
-	}, [ menuId, staffId, monthCursor ] );
+	}, [ menuId, bundleMenuIdsParam, staffId, monthCursor ] );
 
 	useEffect( () => {
 		fetchCalendar();
@@ -1070,6 +1168,7 @@ export const ReservationApp = ( {
 
 		const path = buildApiPath( '/vkbm/v1/availabilities', {
 			menu_id: menuId,
+			menu_ids: bundleMenuIdsParam,
 			resource_id: staffId || undefined,
 			date: selectedDate,
 		} );
@@ -1115,11 +1214,11 @@ export const ReservationApp = ( {
 			.finally( () => {
 				setSlotLoading( false );
 			} );
-	}, [ menuId, staffId, selectedDate, currentStaff ] );
+	}, [ menuId, bundleMenuIdsParam, staffId, selectedDate, currentStaff ] );
 
 	useEffect( () => {
 		setSubmitError( '' );
-	}, [ selectedSlot, menuId, staffId ] );
+	}, [ selectedSlot, menuId, bundleMenuIdsParam, staffId ] );
 
 	useEffect( () => {
 		if ( selectedSlot && actionSectionRef.current ) {
@@ -1201,6 +1300,9 @@ export const ReservationApp = ( {
 		}
 
 		setMenuId( nextMenuId );
+		setAddonMenuIds( ( current ) =>
+			current.filter( ( id ) => id !== nextMenuId )
+		);
 		setSelectedDate( '' );
 		setSelectedSlot( null );
 		setMonthCursor( {
@@ -1209,6 +1311,15 @@ export const ReservationApp = ( {
 		} );
 	};
 
+	const handleAddonMenusChange = ( nextAddonMenuIds ) => {
+		setAddonMenuIds(
+			nextAddonMenuIds
+				.filter( ( id ) => id > 0 && id !== menuId )
+				.slice( 0, MAX_BUNDLE_MENUS - 1 )
+		);
+		setSelectedSlot( null );
+	};
+
 	const handleStaffChange = ( nextStaffId ) => {
 		setStaffId( nextStaffId );
 		setSelectedSlot( null );
@@ -1259,6 +1370,154 @@ export const ReservationApp = ( {
 
 	const canProceed = Boolean( menuId && selectedSlot );
 
+	// Save the reservation draft and move on to the confirmation step.
+	// 仮予約データを保存して確認画面へ遷移する.
+	const saveDraft = useCallback( ( payload ) => {
+		setIsSubmitting( true );
+		setSubmitError( '' );
+
+		return apiFetch( {
+			path: '/vkbm/v1/drafts',
+			method: 'POST',
+			data: payload,
+		} )
+			.then( ( response ) => {
+				const token = sanitizeDraftToken( response?.token );
+				const expiresIn = response?.expires_in || 1800;
+				if ( ! token ) {
+					throw new Error(
+						__(
+							'Temporary reservation data save failed.',
+							'vk-booking-manager'
+						)
+					);
+				}
+
+				storeDraftToken( token, expiresIn );
+
+				if ( typeof window !== 'undefined' ) {
+					const url = new URL( window.location.href );
+					url.searchParams.delete( 'vkbm_auth' );
+					url.searchParams.delete( 'vkbm_waitlist' );
+					url.searchParams.set( 'draft', token );
+					window.location.href = url.toString();
+				}
+			} )
+			.catch( ( error ) => {
+				setSubmitError(
+					error?.message ||
+						__(
+							'Failed to save reservation details. Please try again later.',
+							'vk-booking-manager'
+						)
+				);
+			} )
+			.finally( () => {
+				setIsSubmitting( false );
+			} );
+	}, [] );
+
+	// Open the draft for a slot offered from the waitlist email link.
+	// 空き待ちメールのリンクから案内された枠で仮予約データを作成する.
+	useEffect( () => {
+		if ( ! queryDefaults.waitlist || isEditor || confirmDraftToken ) {
+			return;
+		}
+
+		if ( ! isLoggedIn ) {
+			setSubmitError(
+				__(
+					'Please log in to reserve the slot offered from the waitlist.',
+					'vk-booking-manager'
+				)
+			);
+			return;
+		}
+
+		setIsSubmitting( true );
+		apiFetch( {
+			path: '/vkbm/v1/waitlist/claim',
+			method: 'POST',
+			data: { token: queryDefaults.waitlist },
+		} )
+			.then( ( response ) => {
+				if ( ! response?.draft ) {
+					throw new Error(
+						__(
+							'Failed to open the offered slot.',
+							'vk-booking-manager'
+						)
+					);
+				}
+
+				return saveDraft( {
+					...response.draft,
+					token: getDraftTokenFromCookie(),
+				} );
+			} )
+			.catch( ( error ) => {
+				setIsSubmitting( false );
+				setSubmitError(
+					error?.message ||
+						__(
+							'Failed to open the offered slot.',
+							'vk-booking-manager'
+						)
+				);
+			} );
+	}, [
+		confirmDraftToken,
+		isEditor,
+		isLoggedIn,
+		queryDefaults.waitlist,
+		saveDraft,
+	] );
+
+	const waitlistKey = `${ menuId }-${ staffId || 0 }-${ selectedDate }`;
+	const handleJoinWaitlist = useCallback( () => {
+		if ( ! menuId || ! selectedDate ) {
+			return;
+		}
+
+		setWaitlistState( {
+			key: waitlistKey,
+			status: 'loading',
+			message: '',
+		} );
+
+		apiFetch( {
+			path: '/vkbm/v1/waitlist',
+			method: 'POST',
+			data: {
+				menu_id: menuId,
+				resource_id: staffId || 0,
+				date: selectedDate,
+			},
+		} )
+			.then( () => {
+				setWaitlistState( {
+					key: waitlistKey,
+					status: 'joined',
+					message: __(
+						'You have joined the waitlist. We will email you if a slot opens up.',
+						'vk-booking-manager'
+					),
+				} );
+			} )
+			.catch( ( error ) => {
+				setWaitlistState( {
+					key: waitlistKey,
+					status: 'error',
+					message:
+						error?.message ||
+						__(
+							'Failed to join the waitlist.',
+							'vk-booking-manager'
+						),
+				} );
+			} );
+	}, [ menuId, selectedDate, staffId, waitlistKey ] );
+
 	const handleProceed = useCallback( () => {
 		if ( isEditor ) {
 			setSubmitError(
@@ -1280,18 +1539,12 @@ export const ReservationApp = ( {
 			return;
 		}
 
-		setIsSubmitting( true );
-		setSubmitError( '' );
-
 		const payload = {
 			token: getDraftTokenFromCookie(),
 			menu_id: menuId,
+			menu_ids: bundleMenuIds,
 			resource_id: staffId || 0,
-			menu_label:
-				currentMenu?.title?.rendered ??
-				currentMenu?.title ??
-				currentMenu?.name ??
-				'',
+			menu_label: bundleMenus.map( getMenuTitle ).join( ' + ' ),
 			staff_label: staffId
 				? currentStaff?.title?.rendered ??
 				  currentStaff?.title ??
@@ -1338,56 +1591,25 @@ export const ReservationApp = ( {
 							( ! selectedSlot.assignable_staff_ids ||
 								selectedSlot.assignable_staff_ids.length > 0 ) )
 				),
+				remaining: Number( selectedSlot.remaining ) || 1,
+				is_group_session: Boolean(
+					selectedSlot.flags?.is_group_session
+				),
 			},
 			meta: {
 				timezone: calendarData?.meta?.timezone || '',
 			},
 		};
 
-		apiFetch( {
-			path: '/vkbm/v1/drafts',
-			method: 'POST',
-			data: payload,
-		} )
-			.then( ( response ) => {
-				const token = sanitizeDraftToken( response?.token );
-				const expiresIn = response?.expires_in || 1800;
-				if ( ! token ) {
-					throw new Error(
-						__(
-							'Temporary reservation data save failed.',
-							'vk-booking-manager'
-						)
-					);
-				}
-
-				storeDraftToken( token, expiresIn );
-
-				if ( typeof window !== 'undefined' ) {
-					const url = new URL( window.location.href );
-					url.searchParams.delete( 'vkbm_auth' );
-					url.searchParams.set( 'draft', token );
-					window.location.href = url.toString();
-				}
-			} )
-			.catch( ( error ) => {
-				setSubmitError(
-					error?.message ||
-						__(
-							'Failed to save reservation details. Please try again later.',
-							'vk-booking-manager'
-						)
-				);
-			} )
-			.finally( () => {
-				setIsSubmitting( false );
-			} );
+		saveDraft( payload );
 	}, [
+		bundleMenuIds,
+		bundleMenus,
 		calendarData?.meta?.timezone,
-		currentMenu,
 		currentStaff,
 		isEditor,
 		menuId,
+		saveDraft,
 		selectedDate,
 		selectedSlot,
 		staffId,
@@ -1467,6 +1689,34 @@ export const ReservationApp = ( {
 		);
 	}
 
+	// Guests manage their reservation from the signed link in their email.
+	// ゲストはメールの署名付きリンクから予約を確認・キャンセルする.
+	if ( queryDefaults.manage && ! isEditor ) {
+		return (
+			<div className="vkbm-reservation">
+				<ReservationHeader
+					showBrand={ shouldShowBrand }
+					brandLinkHref={ brandLinkHref }
+					showLogo={ shouldShowLogo }
+					logoUrl={ providerSettings.providerLogoUrl }
+					logoAlt={ brandLogoAlt }
+					showName={ shouldShowName }
+					brandName={ providerSettings.providerName }
+				/>
+				<div className="vkbm-reservation-content">
+					<GuestBookingManage
+						token={ queryDefaults.manage }
+						formatDateTime={ formatBookingDateTimeParts }
+						resourceLabel={ providerSettings.resourceLabelSingular }
+						currencySymbol={
+							providerSettings.currencySymbol || null
+						}
+					/>
+				</div>
+			</div>
+		);
+	}
+
 	return (
 		<div className="vkbm-reservation" ref={ layoutRef }>
 			<ReservationHeader
@@ -1491,6 +1741,14 @@ export const ReservationApp = ( {
 								{ __( 'Loading…', 'vk-booking-manager' ) }
 							</p>
 						) }
+						{ authMode === 'bookings' && bookingsNotice && (
+							<p
+								className="vkbm-alert vkbm-alert__success"
+								role="status"
+							>
+								{ bookingsNotice }
+							</p>
+						) }
 						{ authMode === 'bookings' && bookingsError && (
 							<p
 								className="vkbm-alert vkbm-alert__danger vkbm-reservation-content__auth-error"
@@ -1608,8 +1866,51 @@ export const ReservationApp = ( {
 																  ) }
 														</button>
 													) }
+													{ booking?.can_cancel && (
+														<button
+															type="button"
+															className="vkbm-button vkbm-button__sm vkbm-button-outline vkbm-button-outline__primary vkbm-confirm__reschedule-button"
+															onClick={ () => {
+																setBookingsNotice(
+																	''
+																);
+																setReschedulingBookingId(
+																	reschedulingBookingId ===
+																		Number(
+																			booking?.id
+																		)
+																		? 0
+																		: Number(
+																				booking?.id
+																		  )
+																);
+															} }
+														>
+															{ __(
+																'Change date',
+																'vk-booking-manager'
+															) }
+														</button>
+													) }
 												</div>
 											) }
+											{ reschedulingBookingId ===
+												Number( booking?.id ) && (
+												<BookingRescheduleForm
+													booking={ booking }
+													onClose={ () =>
+														setReschedulingBookingId(
+															0
+														)
+													}
+													onRescheduled={
+														handleRescheduled
+													}
+													showStaffLabel={
+														providerSettings.staffEnabled
+													}
+												/>
+											) }
 											<BookingSummaryItems
 												booking={ booking }
 												resourceLabel={
@@ -1723,10 +2024,13 @@ export const ReservationApp = ( {
 					) : (
 						<SelectedPlanSummary
 							menuId={ menuId }
+							addonMenuIds={ addonMenuIds }
+							maxAddonMenus={ MAX_BUNDLE_MENUS - 1 }
 							staffId={ staffId }
 							menus={ menus }
 							staffOptions={ availableStaffOptions }
 							onMenuChange={ handleMenuChange }
+							onAddonMenusChange={ handleAddonMenusChange }
 							onStaffChange={ handleStaffChange }
 							allowStaffSelection={ staffSelectionEnabled }
 							showStaffField={ providerSettings.staffEnabled }
@@ -1767,6 +2071,25 @@ export const ReservationApp = ( {
 									showStaffLabel={
 										providerSettings.staffEnabled
 									}
+									canJoinWaitlist={
+										! isEditor &&
+										Boolean(
+											dayMetaMap[ selectedDate ]
+												?.is_fully_booked
+										)
+									}
+									isLoggedIn={ isLoggedIn }
+									onJoinWaitlist={ handleJoinWaitlist }
+									waitlistStatus={
+										waitlistState.key === waitlistKey
+											? waitlistState.status
+											: ''
+									}
+									waitlistMessage={
+										waitlistState.key === waitlistKey
+											? waitlistState.message
+											: ''
+									}
 									selectedStaffLabel={
 										staffId
 											? currentStaff?.title?.rendered ??
@@ -1,13 +1,17 @@
-import { __ } from '@wordpress/i18n';
+import { __, _n, sprintf } from '@wordpress/i18n';
 import { useCallback, useEffect, useMemo, useState } from '@wordpress/element';
 import apiFetch from '@wordpress/api-fetch';
 import { dateI18n, __experimentalGetSettings } from '@wordpress/date';
 import { formatCurrency, normalizePriceValue } from '../shared/pricing';
 import { resolveLoginState } from '../shared/auth';
 import { sanitizeDraftToken } from '../shared/draft-token';
+import { BookingPaymentStep } from './components/booking-payment-step';
 import { BookingSummaryItems } from './components/booking-summary-items';
 import { ReservationHeader } from './components/reservation-header';
 
+const MAX_REPEAT_INTERVAL_WEEKS = 8;
+const MAX_REPEAT_COUNT = 12;
+
 const getQueryParam = ( key ) => {
 	if ( typeof window === 'undefined' ) {
 		return '';
@@ -218,10 +222,12 @@ export const BookingConfirmApp = ( {
 	const draftToken = useMemo( () => getQueryParam( 'draft' ), [] );
 	const [ draft, setDraft ] = useState( null );
 	const [ menu, setMenu ] = useState( null );
+	const [ addonMenus, setAddonMenus ] = useState( [] );
 	const [ staff, setStaff ] = useState( null );
 	const [ loading, setLoading ] = useState( true );
 	const [ loadError, setLoadError ] = useState( '' );
 	const [ memo, setMemo ] = useState( '' );
+	const [ partySize, setPartySize ] = useState( 1 );
 	const [ agreeCancellationPolicy, setAgreeCancellationPolicy ] =
 		useState( false );
 	const [ agreeTermsOfService, setAgreeTermsOfService ] = useState( false );
@@ -231,6 +237,12 @@ export const BookingConfirmApp = ( {
 	const [ createdStatus, setCreatedStatus ] = useState( '' );
 	const [ customerName, setCustomerName ] = useState( '' );
 	const [ customerPhone, setCustomerPhone ] = useState( '' );
+	const [ customerEmail, setCustomerEmail ] = useState( '' );
+	const [ guestBookingEnabled, setGuestBookingEnabled ] = useState( false );
+	const [ smsEnabled, setSmsEnabled ] = useState( false );
+	const [ smsOptIn, setSmsOptIn ] = useState(
+		Boolean( userBootstrap?.smsOptIn )
+	);
 	const [ providerNote, setProviderNote ] = useState( '' );
 	const [ canManageReservations, setCanManageReservations ] = useState(
 		Boolean( userBootstrap?.canManageReservations )
@@ -270,6 +282,30 @@ export const BookingConfirmApp = ( {
 	const [ bookingsError, setBookingsError ] = useState( '' );
 	const [ bookings, setBookings ] = useState( [] );
 	const [ cancellingBookingId, setCancellingBookingId ] = useState( 0 );
+	const [ repeatEnabled, setRepeatEnabled ] = useState( false );
+	const [ repeatInterval, setRepeatInterval ] = useState( 4 );
+	const [ repeatCount, setRepeatCount ] = useState( 4 );
+	const [ repeatCheck, setRepeatCheck ] = useState( {
+		loading: false,
+		occurrences: [],
+		error: '',
+	} );
+	const [ createdSeries, setCreatedSeries ] = useState( null );
+	const [ onlinePaymentEnabled, setOnlinePaymentEnabled ] = useState( false );
+	const [ pendingPayment, setPendingPayment ] = useState( null );
+	// Matches the server: any menu of the bundle can require payment.
+	// サーバーと同じく、セット内のいずれかのメニューが決済必須なら決済が必要.
+	const paymentRequired =
+		onlinePaymentEnabled &&
+		! canManageReservations &&
+		[ menu, ...addonMenus ].some( ( item ) =>
+			[ 'full', 'deposit' ].includes( item?.meta?._vkbm_prepayment_mode )
+		);
+	// Guests reserve with their contact details instead of an account.
+	// Online payments are confirmed by the account holder, so they need a login.
+	// ゲスト予約ではアカウントの代わりに連絡先を入力する。オンライン決済はログインが必要.
+	const isGuestCheckout =
+		! isLoggedIn && guestBookingEnabled && ! paymentRequired;
 	const timezone = draft?.meta?.timezone || '';
 
 	const pricingSummary = useMemo( () => {
@@ -437,6 +473,13 @@ export const BookingConfirmApp = ( {
 						? response.currency_symbol
 						: ''
 				);
+				setOnlinePaymentEnabled(
+					Boolean( response?.online_payment_enabled )
+				);
+				setGuestBookingEnabled(
+					Boolean( response?.guest_booking_enabled )
+				);
+				setSmsEnabled( Boolean( response?.sms_enabled ) );
 				if (
 					! reservationPageUrl &&
 					typeof response?.reservation_page_url === 'string'
@@ -481,6 +524,29 @@ export const BookingConfirmApp = ( {
 			.catch( () => setMenu( null ) );
 	}, [ draft?.menu_id ] );
 
+	// Add-on menus of a bundle, read for their payment settings.
+	// セット予約の追加メニューも決済設定を確認するため取得する.
+	const addonMenuIds = (
+		Array.isArray( draft?.menu_ids ) ? draft.menu_ids : []
+	)
+		.map( Number )
+		.filter( ( id ) => id > 0 && id !== Number( draft?.menu_id ) )
+		.join( ',' );
+
+	useEffect( () => {
+		if ( ! addonMenuIds ) {
+			setAddonMenus( [] );
+			return;
+		}
+		apiFetch( {
+			path: `/wp/v2/vkbm_service_menu?include=${ addonMenuIds }&per_page=100&_fields=id,meta`,
+		} )
+			.then( ( response ) =>
+				setAddonMenus( Array.isArray( response ) ? response : [] )
+			)
+			.catch( () => setAddonMenus( [] ) );
+	}, [ addonMenuIds ] );
+
 	useEffect( () => {
 		if ( ! draft?.resource_id || ! staffEnabled ) {
 			setStaff( null );
@@ -727,20 +793,26 @@ export const BookingConfirmApp = ( {
 	}, [ authMode, isLoggedIn ] );
 
 	const handleCancelBooking = useCallback(
-		( bookingId ) => {
+		( bookingId, scope = 'booking' ) => {
 			const id = Number( bookingId ) || 0;
 			if ( ! id || cancellingBookingId ) {
 				return;
 			}
 
+			const confirmMessage =
+				scope === 'series'
+					? __(
+							'Do you want to cancel this and all later reservations in the series?',
+							'vk-booking-manager'
+					  )
+					: __(
+							'Do you want to cancel this reservation?',
+							'vk-booking-manager'
+					  );
+
 			if (
 				typeof window !== 'undefined' &&
-				! window.confirm(
-					__(
-						'Do you want to cancel this reservation?',
-						'vk-booking-manager'
-					)
-				)
+				! window.confirm( confirmMessage )
 			) {
 				return;
 			}
@@ -751,12 +823,19 @@ export const BookingConfirmApp = ( {
 			apiFetch( {
 				path: `/vkbm/v1/my-bookings/${ id }/cancel`,
 				method: 'POST',
+				data: { scope },
 			} )
-				.then( () => {
+				.then( ( response ) => {
+					const cancelledIds = Array.isArray( response?.booking_ids )
+						? response.booking_ids.map( Number )
+						: [ id ];
 					setBookings( ( current ) =>
 						Array.isArray( current )
 							? current.filter(
-									( booking ) => Number( booking?.id ) !== id
+									( booking ) =>
+										! cancelledIds.includes(
+											Number( booking?.id )
+										)
 							  )
 							: []
 					);
@@ -839,6 +918,98 @@ export const BookingConfirmApp = ( {
 		};
 	}, [ authMode, isLoggedIn ] );
 
+	useEffect( () => {
+		let isMounted = true;
+
+		if ( ! repeatEnabled || ! draftToken || ! isLoggedIn || success ) {
+			setRepeatCheck( { loading: false, occurrences: [], error: '' } );
+			return () => {
+				isMounted = false;
+			};
+		}
+
+		setRepeatCheck( ( current ) => ( {
+			...current,
+			loading: true,
+			error: '',
+		} ) );
+
+		apiFetch( {
+			path: '/vkbm/v1/bookings/recurrence',
+			method: 'POST',
+			data: {
+				token: draftToken,
+				interval_weeks: repeatInterval,
+				count: repeatCount,
+				party_size: partySize,
+			},
+		} )
+			.then( ( response ) => {
+				if ( ! isMounted ) {
+					return;
+				}
+
+				setRepeatCheck( {
+					loading: false,
+					occurrences: Array.isArray( response?.occurrences )
+						? response.occurrences
+						: [],
+					error: '',
+				} );
+			} )
+			.catch( ( error ) => {
+				if ( ! isMounted ) {
+					return;
+				}
+
+				setRepeatCheck( {
+					loading: false,
+					occurrences: [],
+					error:
+						error?.message ||
+						__(
+							'Could not check the repeat dates.',
+							'vk-booking-manager'
+						),
+				} );
+			} );
+
+		return () => {
+			isMounted = false;
+		};
+	}, [
+		repeatEnabled,
+		repeatInterval,
+		repeatCount,
+		partySize,
+		draftToken,
+		isLoggedIn,
+		success,
+	] );
+
+	const completeBooking = ( bookingId ) => {
+		setSuccess( true );
+		if ( redirectUrl ) {
+			const target = new URL(
+				redirectUrl,
+				typeof window !== 'undefined'
+					? window.location.origin
+					: undefined
+			);
+			if ( bookingId ) {
+				target.searchParams.set( 'booking_id', String( bookingId ) );
+			}
+			window.location.href = target.toString();
+		}
+	};
+
+	const handlePaymentCompleted = ( response ) => {
+		const bookingId = pendingPayment?.bookingId;
+		setPendingPayment( null );
+		setCreatedStatus( response?.status || '' );
+		completeBooking( bookingId );
+	};
+
 	const handleConfirm = () => {
 		if ( ! draftToken ) {
 			return;
@@ -890,6 +1061,7 @@ export const BookingConfirmApp = ( {
 		const payload = {
 			token: draftToken,
 			memo,
+			party_size: partySize,
 			agree_terms: agreedAll,
 			agree_cancellation_policy: requiresAgreements
 				? agreeCancellationPolicy
@@ -899,12 +1071,29 @@ export const BookingConfirmApp = ( {
 				: true,
 		};
 
+		if ( repeatEnabled ) {
+			payload.recurrence = {
+				interval_weeks: repeatInterval,
+				count: repeatCount,
+			};
+		}
+
 		if ( canManageReservations ) {
 			payload.customer_name = customerName;
 			payload.customer_phone = customerPhone;
 			payload.internal_note = providerNote;
 		}
 
+		if ( isGuestCheckout ) {
+			payload.customer_name = customerName;
+			payload.customer_email = customerEmail;
+			payload.customer_phone = customerPhone;
+		}
+
+		if ( smsEnabled ) {
+			payload.sms_opt_in = smsOptIn;
+		}
+
 		apiFetch( {
 			path: '/vkbm/v1/bookings',
 			method: 'POST',
@@ -957,22 +1146,16 @@ export const BookingConfirmApp = ( {
 				}
 
 				setCreatedStatus( parsed?.status || '' );
-				setSuccess( true );
-				if ( redirectUrl ) {
-					const target = new URL(
-						redirectUrl,
-						typeof window !== 'undefined'
-							? window.location.origin
-							: undefined
-					);
-					if ( parsed?.booking_id ) {
-						target.searchParams.set(
-							'booking_id',
-							String( parsed.booking_id )
-						);
-					}
-					window.location.href = target.toString();
+				setCreatedSeries( parsed?.series || null );
+				if ( parsed?.payment ) {
+					// The reservation is held until the payment completes.
+					setPendingPayment( {
+						bookingId: parsed.booking_id,
+						payment: parsed.payment,
+					} );
+					return;
 				}
+				completeBooking( parsed?.booking_id );
 			} )
 			.catch( ( error ) => {
 				const conflictMessage = __(
@@ -1051,6 +1234,10 @@ export const BookingConfirmApp = ( {
 					'vk-booking-manager'
 			  )
 			: successMessage;
+	const guestSuccessNote = __(
+		'We have sent a confirmation email with a link to view or cancel your reservation.',
+		'vk-booking-manager'
+	);
 
 	const menuName =
 		draft.menu_label ||
@@ -1074,6 +1261,14 @@ export const BookingConfirmApp = ( {
 			resolvedReservationPageUrl || reservationPageUrl
 		);
 	const showSuccessMessage = success && ! redirectUrl;
+	const paymentExpiresAt = Number( pendingPayment?.payment?.expires_at );
+	const paymentDeadline =
+		paymentExpiresAt > 0
+			? formatDateTime(
+					new Date( paymentExpiresAt * 1000 ).toISOString(),
+					timezone
+			  )
+			: '';
 
 	const renderMemoField = () => {
 		const commonTextarea = (
@@ -1102,6 +1297,276 @@ export const BookingConfirmApp = ( {
 		);
 	};
 
+	const seatsLeft = Math.max( 1, Number( draft?.slot?.remaining ) || 1 );
+
+	const renderPartySizeField = () => {
+		if ( ! draft?.slot?.is_group_session ) {
+			return null;
+		}
+
+		return (
+			<div className="vkbm-confirm__form vkbm-confirm__party-size">
+				<label htmlFor="vkbm-confirm-party-size">
+					{ __( 'Number of people', 'vk-booking-manager' ) }
+				</label>
+				<input
+					type="number"
+					id="vkbm-confirm-party-size"
+					min={ 1 }
+					max={ seatsLeft }
+					step={ 1 }
+					value={ partySize }
+					readOnly={ showSuccessMessage }
+					onChange={ ( event ) =>
+						setPartySize(
+							Math.min(
+								seatsLeft,
+								Math.max(
+									1,
+									parseInt( event.target.value, 10 ) || 1
+								)
+							)
+						)
+					}
+				/>
+				{ ! showSuccessMessage && (
+					<p className="vkbm-confirm__party-size-note">
+						{ sprintf(
+							/* translators: %d: Number of seats left. */
+							_n(
+								'%d seat left',
+								'%d seats left',
+								seatsLeft,
+								'vk-booking-manager'
+							),
+							seatsLeft
+						) }
+					</p>
+				) }
+			</div>
+		);
+	};
+
+	// Text message notifications are sent only to customers who ask for them.
+	// SMS 通知は希望した顧客にのみ送信する.
+	const renderSmsOptIn = () => {
+		if ( ! smsEnabled ) {
+			return null;
+		}
+
+		return (
+			<div className="vkbm-confirm__form vkbm-confirm__sms-opt-in">
+				<label htmlFor="vkbm-confirm-sms-opt-in">
+					<input
+						type="checkbox"
+						id="vkbm-confirm-sms-opt-in"
+						checked={ smsOptIn }
+						disabled={ showSuccessMessage }
+						onChange={ ( event ) =>
+							setSmsOptIn( event.target.checked )
+						}
+					/>
+					{ canManageReservations
+						? __(
+								'Send SMS notifications to the customer',
+								'vk-booking-manager'
+						  )
+						: __(
+								'Also send notifications to my phone number by SMS',
+								'vk-booking-manager'
+						  ) }
+				</label>
+			</div>
+		);
+	};
+
+	const renderRepeatOptions = () => {
+		if ( ! isLoggedIn || paymentRequired ) {
+			return null;
+		}
+
+		if ( showSuccessMessage ) {
+			const createdCount = Array.isArray( createdSeries?.booking_ids )
+				? createdSeries.booking_ids.length
+				: 0;
+			const skippedCount = Array.isArray( createdSeries?.skipped )
+				? createdSeries.skipped.length
+				: 0;
+
+			if ( ! createdCount ) {
+				return null;
+			}
+
+			return (
+				<p className="vkbm-alert vkbm-alert__info vkbm-confirm__repeat-result">
+					{ sprintf(
+						/* translators: %d: Number of reservations created. */
+						__(
+							'%d recurring reservations were created.',
+							'vk-booking-manager'
+						),
+						createdCount
+					) }
+					{ skippedCount > 0 &&
+						' ' +
+							sprintf(
+								/* translators: %d: Number of dates that could not be reserved. */
+								__(
+									'%d dates could not be reserved.',
+									'vk-booking-manager'
+								),
+								skippedCount
+							) }
+				</p>
+			);
+		}
+
+		const intervalOptions = Array.from(
+			{ length: MAX_REPEAT_INTERVAL_WEEKS },
+			( _, index ) => index + 1
+		);
+		const countOptions = Array.from(
+			{ length: MAX_REPEAT_COUNT - 1 },
+			( _, index ) => index + 2
+		);
+
+		return (
+			<div className="vkbm-confirm__repeat">
+				<div className="vkbm-confirm__repeat-toggle">
+					<input
+						type="checkbox"
+						checked={ repeatEnabled }
+						onChange={ ( event ) =>
+							setRepeatEnabled( event.target.checked )
+						}
+						id="vkbm-confirm-repeat"
+					/>
+					<label htmlFor="vkbm-confirm-repeat">
+						{ __(
+							'Repeat this reservation',
+							'vk-booking-manager'
+						) }
+					</label>
+				</div>
+				{ repeatEnabled && (
+					<>
+						<div className="vkbm-confirm__repeat-fields">
+							<label htmlFor="vkbm-confirm-repeat-interval">
+								{ __( 'Every', 'vk-booking-manager' ) }
+							</label>
+							<select
+								id="vkbm-confirm-repeat-interval"
+								value={ repeatInterval }
+								onChange={ ( event ) =>
+									setRepeatInterval(
+										Number( event.target.value )
+									)
+								}
+							>
+								{ intervalOptions.map( ( weeks ) => (
+									<option key={ weeks } value={ weeks }>
+										{ sprintf(
+											/* translators: %d: Number of weeks. */
+											__(
+												'%d weeks',
+												'vk-booking-manager'
+											),
+											weeks
+										) }
+									</option>
+								) ) }
+							</select>
+							<label htmlFor="vkbm-confirm-repeat-count">
+								{ __( 'Times', 'vk-booking-manager' ) }
+							</label>
+							<select
+								id="vkbm-confirm-repeat-count"
+								value={ repeatCount }
+								onChange={ ( event ) =>
+									setRepeatCount(
+										Number( event.target.value )
+									)
+								}
+							>
+								{ countOptions.map( ( count ) => (
+									<option key={ count } value={ count }>
+										{ count }
+									</option>
+								) ) }
+							</select>
+						</div>
+						{ repeatCheck.loading && (
+							<p
+								className="vkbm-alert vkbm-alert__info"
+								role="status"
+							>
+								{ __(
+									'Checking availability…',
+									'vk-booking-manager'
+								) }
+							</p>
+						) }
+						{ repeatCheck.error && (
+							<p
+								className="vkbm-alert vkbm-alert__danger"
+								role="alert"
+							>
+								{ repeatCheck.error }
+							</p>
+						) }
+						{ ! repeatCheck.loading &&
+							repeatCheck.occurrences.length > 0 && (
+								<ul className="vkbm-confirm__repeat-list">
+									{ repeatCheck.occurrences.map(
+										( occurrence ) => {
+											const parts =
+												formatBookingDateTimeParts(
+													occurrence.start_at,
+													occurrence.end_at,
+													timezone
+												);
+											return (
+												<li
+													key={ occurrence.index }
+													className={ [
+														'vkbm-confirm__repeat-item',
+														! occurrence.available &&
+															'vkbm-confirm__repeat-item--conflict',
+													]
+														.filter( Boolean )
+														.join( ' ' ) }
+												>
+													<span>{ `${ parts.date } ${ parts.time }` }</span>
+													<span>
+														{ occurrence.available
+															? __(
+																	'Available',
+																	'vk-booking-manager'
+															  )
+															: occurrence.message ||
+															  __(
+																	'Not available',
+																	'vk-booking-manager'
+															  ) }
+													</span>
+												</li>
+											);
+										}
+									) }
+								</ul>
+							) }
+						<p className="vkbm-confirm__repeat-note">
+							{ __(
+								'Dates that are not available will be skipped.',
+								'vk-booking-manager'
+							) }
+						</p>
+					</>
+				) }
+			</div>
+		);
+	};
+
 	const renderAgreements = () => {
 		if ( showSuccessMessage || canManageReservations ) {
 			return null;
@@ -1220,8 +1685,12 @@ export const BookingConfirmApp = ( {
 		providerPaymentMethod.trim() !== ''
 			? providerPaymentMethod
 			: '';
+	const hasGuestContact =
+		customerName.trim() !== '' &&
+		customerEmail.trim() !== '' &&
+		customerPhone.trim() !== '';
 	const canSubmit =
-		isLoggedIn &&
+		( isLoggedIn || ( isGuestCheckout && hasGuestContact ) ) &&
 		! submitting &&
 		( canManageReservations ||
 			! cancellationPolicyRequired ||
@@ -1396,6 +1865,18 @@ export const BookingConfirmApp = ( {
 															) }
 														</span>
 													) }
+													{ booking?.series_id && (
+														<span className="vkbm-confirm__status vkbm-confirm__status--series">
+															{ sprintf(
+																/* translators: %d: Position in the recurring series. */
+																__(
+																	'Recurring #%d',
+																	'vk-booking-manager'
+																),
+																booking.series_index
+															) }
+														</span>
+													) }
 													{ bookingDatetimeParts.date && (
 														<span className="vkbm-confirm__date">
 															{
@@ -1442,6 +1923,30 @@ export const BookingConfirmApp = ( {
 															  ) }
 													</button>
 												) }
+												{ booking?.can_cancel &&
+													booking?.series_id && (
+														<button
+															type="button"
+															className="vkbm-button vkbm-button__sm vkbm-button-outline vkbm-button-outline__primary vkbm-confirm__cancel-button"
+															onClick={ () =>
+																handleCancelBooking(
+																	booking?.id,
+																	'series'
+																)
+															}
+															disabled={
+																cancellingBookingId ===
+																Number(
+																	booking?.id
+																)
+															}
+														>
+															{ __(
+																'Cancel this and later',
+																'vk-booking-manager'
+															) }
+														</button>
+													) }
 											</div>
 										) }
 										<BookingSummaryItems
@@ -1494,6 +1999,15 @@ export const BookingConfirmApp = ( {
 							label={ __( 'Menu', 'vk-booking-manager' ) }
 							value={ menuName }
 						/>
+						{ Array.isArray( draft?.line_items ) &&
+							draft.line_items.length > 1 &&
+							draft.line_items.map( ( item ) => (
+								<SummaryRow
+									key={ item.menu_id }
+									label={ item.name }
+									value={ item.price_formatted }
+								/>
+							) ) }
 						{ staffEnabled && (
 							<SummaryRow
 								label={ resourceLabelSingular }
@@ -1549,10 +2063,15 @@ export const BookingConfirmApp = ( {
 					{ ! isLoggedIn && (
 						<div className="vkbm-confirm__auth">
 							<p className="vkbm-confirm__auth-label">
-								{ __(
-									'You must log in to confirm your reservation.',
-									'vk-booking-manager'
-								) }
+								{ isGuestCheckout
+									? __(
+											'Log in, or enter your contact details below to reserve as a guest.',
+											'vk-booking-manager'
+									  )
+									: __(
+											'You must log in to confirm your reservation.',
+											'vk-booking-manager'
+									  ) }
 							</p>
 							<div className="vkbm-buttons vkbm-buttons__center">
 								<button
@@ -1621,6 +2140,62 @@ export const BookingConfirmApp = ( {
 						</div>
 					) }
 
+					{ isGuestCheckout && ! authMode && (
+						<div className="vkbm-confirm__guest-fields">
+							<div className="vkbm-confirm__guest-field">
+								<label htmlFor="vkbm-confirm-guest-name">
+									{ __( 'Name', 'vk-booking-manager' ) }
+								</label>
+								<input
+									type="text"
+									id="vkbm-confirm-guest-name"
+									autoComplete="name"
+									required
+									value={ customerName }
+									onChange={ ( event ) =>
+										setCustomerName( event.target.value )
+									}
+								/>
+							</div>
+							<div className="vkbm-confirm__guest-field">
+								<label htmlFor="vkbm-confirm-guest-email">
+									{ __(
+										'Email address',
+										'vk-booking-manager'
+									) }
+								</label>
+								<input
+									type="email"
+									id="vkbm-confirm-guest-email"
+									autoComplete="email"
+									required
+									value={ customerEmail }
+									onChange={ ( event ) =>
+										setCustomerEmail( event.target.value )
+									}
+								/>
+							</div>
+							<div className="vkbm-confirm__guest-field">
+								<label htmlFor="vkbm-confirm-guest-phone">
+									{ __(
+										'Telephone number',
+										'vk-booking-manager'
+									) }
+								</label>
+								<input
+									type="tel"
+									id="vkbm-confirm-guest-phone"
+									autoComplete="tel"
+									required
+									value={ customerPhone }
+									onChange={ ( event ) =>
+										setCustomerPhone( event.target.value )
+									}
+								/>
+							</div>
+						</div>
+					) }
+
 					<div className="vkbm-confirm__form">
 						<label htmlFor="vkbm-confirm-memo">
 							{ __( 'Requests/Notes', 'vk-booking-manager' ) }
@@ -1628,6 +2203,12 @@ export const BookingConfirmApp = ( {
 						{ renderMemoField() }
 					</div>
 
+					{ renderPartySizeField() }
+
+					{ renderRepeatOptions() }
+
+					{ renderSmsOptIn() }
+
 					{ canManageReservations && (
 						<div className="vkbm-confirm__admin-fields">
 							<div className="vkbm-confirm__admin-field">
@@ -1695,7 +2276,27 @@ export const BookingConfirmApp = ( {
 					{ renderAgreements() }
 
 					<div className="vkbm-confirm__actions">
-						{ ! success && (
+						{ paymentRequired && ! pendingPayment && ! success && (
+							<p
+								className="vkbm-alert vkbm-alert__info"
+								role="status"
+							>
+								{ __(
+									'Online payment is required to complete this reservation.',
+									'vk-booking-manager'
+								) }
+							</p>
+						) }
+						{ pendingPayment && ! success && (
+							<BookingPaymentStep
+								bookingId={ pendingPayment.bookingId }
+								payment={ pendingPayment.payment }
+								currencySymbol={ currencySymbol }
+								deadline={ paymentDeadline }
+								onPaid={ handlePaymentCompleted }
+							/>
+						) }
+						{ ! success && ! pendingPayment && (
 							<button
 								type="button"
 								className="vkbm-confirm__button vkbm-button vkbm-button__md vkbm-button__primary"
@@ -1716,6 +2317,12 @@ export const BookingConfirmApp = ( {
 								role="status"
 							>
 								{ finalSuccessMessage }
+								{ isGuestCheckout && (
+									<>
+										<br />
+										{ guestSuccessNote }
+									</>
+								) }
 							</p>
 						) }
 						{ submitError && (
@@ -170,9 +170,14 @@ export const CalendarGrid = ( {
 						{ week.map( ( day ) => {
 							const meta = dayMetaMap[ day.iso ] || {};
 							const isSelected = selectedDate === day.iso;
+							// Fully booked days stay selectable so customers can join the waitlist.
+							const isFullyBooked =
+								Boolean( meta.is_fully_booked ) &&
+								day.iso >= todayIso;
 							const disabled =
 								! day.inMonth ||
-								Boolean( meta.is_disabled ) ||
+								( Boolean( meta.is_disabled ) &&
+									! isFullyBooked ) ||
 								day.iso < todayIso;
 
 							return (
@@ -187,15 +192,28 @@ export const CalendarGrid = ( {
 											'vkbm-calendar__day--selected',
 										meta.available_slots > 0 &&
 											'vkbm-calendar__day--available',
+										isFullyBooked &&
+											'vkbm-calendar__day--full',
+										meta.holiday_name &&
+											'vkbm-calendar__day--public-holiday',
 									]
 										.filter( Boolean )
 										.join( ' ' ) }
+									title={ meta.holiday_name || undefined }
 									onClick={ () => onSelectDate( day.iso ) }
 									disabled={ disabled }
 								>
 									<span className="vkbm-calendar__day-label">
 										{ day.label }
 									</span>
+									{ isFullyBooked && (
+										<span className="vkbm-calendar__status">
+											{ __(
+												'Fully booked',
+												'vk-booking-manager'
+											) }
+										</span>
+									) }
 									{ renderStatusLabel(
 										meta.shift_status
 									) && (
@@ -1,4 +1,4 @@
-import { __ } from '@wordpress/i18n';
+import { __, _n, sprintf } from '@wordpress/i18n';
 
 const formatDisplayTime = ( isoString ) => {
 	if ( ! isoString ) {
@@ -16,6 +16,11 @@ export const DailySlotList = ( {
 	error,
 	selectedStaffLabel = '',
 	showStaffLabel = true,
+	canJoinWaitlist = false,
+	isLoggedIn = false,
+	onJoinWaitlist,
+	waitlistStatus = '',
+	waitlistMessage = '',
 } ) => {
 	if ( error ) {
 		return (
@@ -61,6 +66,45 @@ export const DailySlotList = ( {
 					'There are no available reservation times for the selected criteria.',
 					'vk-booking-manager'
 				) }
+				{ canJoinWaitlist && (
+					<div className="vkbm-slot-list__waitlist">
+						{ isLoggedIn ? (
+							waitlistStatus !== 'joined' && (
+								<button
+									type="button"
+									className="vkbm-button vkbm-button__sm vkbm-button__secondary"
+									onClick={ onJoinWaitlist }
+									disabled={ waitlistStatus === 'loading' }
+								>
+									{ __(
+										'Join waitlist',
+										'vk-booking-manager'
+									) }
+								</button>
+							)
+						) : (
+							<p className="vkbm-slot-list__waitlist-note">
+								{ __(
+									'Log in to join the waitlist for this day.',
+									'vk-booking-manager'
+								) }
+							</p>
+						) }
+						{ waitlistMessage && (
+							<p
+								className={ [
+									'vkbm-alert vkbm-alert--compact',
+									waitlistStatus === 'error'
+										? 'vkbm-alert__danger'
+										: 'vkbm-alert__success',
+								].join( ' ' ) }
+								role="status"
+							>
+								{ waitlistMessage }
+							</p>
+						) }
+					</div>
+				) }
 			</div>
 		);
 	}
@@ -93,6 +137,20 @@ export const DailySlotList = ( {
 								__( 'No preference', 'vk-booking-manager' ) }
 						</div>
 					) }
+					{ slot.flags?.is_group_session && (
+						<div className="vkbm-slot-list__seats">
+							{ sprintf(
+								/* translators: %d: Number of seats left. */
+								_n(
+									'%d seat left',
+									'%d seats left',
+									slot.remaining,
+									'vk-booking-manager'
+								),
+								slot.remaining
+							) }
+						</div>
+					) }
 				</button>
 			) ) }
 		</div>
@@ -1,3 +1,4 @@
+import { useId } from '@wordpress/element';
 import { __, sprintf } from '@wordpress/i18n';
 
 const SelectField = ( {
@@ -7,23 +8,30 @@ const SelectField = ( {
 	onChange,
 	disabled,
 	placeholder,
-} ) => (
-	<label className="vkbm-plan-summary__field">
-		<span className="vkbm-plan-summary__label">{ label }</span>
-		<select
-			value={ value || '' }
-			onChange={ ( event ) => onChange( event.target.value ) }
-			disabled={ disabled }
-		>
-			<option value="">{ placeholder }</option>
-			{ options.map( ( option ) => (
-				<option key={ option.id } value={ option.id }>
-					{ option.name }
-				</option>
-			) ) }
-		</select>
-	</label>
-);
+} ) => {
+	const selectId = `vkbm-plan-summary-select-${ useId() }`;
+
+	return (
+		<div className="vkbm-plan-summary__field">
+			<label className="vkbm-plan-summary__label" htmlFor={ selectId }>
+				{ label }
+			</label>
+			<select
+				id={ selectId }
+				value={ value || '' }
+				onChange={ ( event ) => onChange( event.target.value ) }
+				disabled={ disabled }
+			>
+				<option value="">{ placeholder }</option>
+				{ options.map( ( option ) => (
+					<option key={ option.id } value={ option.id }>
+						{ option.name }
+					</option>
+				) ) }
+			</select>
+		</div>
+	);
+};
 
 const ReadOnlyField = ( { label, value, placeholder } ) => (
 	<div className="vkbm-plan-summary__field">
@@ -36,10 +44,13 @@ const ReadOnlyField = ( { label, value, placeholder } ) => (
 
 export const SelectedPlanSummary = ( {
 	menuId,
+	addonMenuIds = [],
+	maxAddonMenus = 0,
 	staffId,
 	menus,
 	staffOptions,
 	onMenuChange,
+	onAddonMenusChange,
 	onStaffChange,
 	allowStaffSelection,
 	showStaffField = true,
@@ -104,11 +115,71 @@ export const SelectedPlanSummary = ( {
 			name: menu.title?.rendered ?? menu.title,
 		} ) );
 
+	const addonItems = addonMenuIds
+		.map( ( id ) => menuOptions.find( ( option ) => option.id === id ) )
+		.filter( Boolean );
+	const addonCandidates = menuOptions.filter(
+		( option ) =>
+			option.id !== menuId && ! addonMenuIds.includes( option.id )
+	);
+	const canAddMenu =
+		Boolean( menuId ) &&
+		typeof onAddonMenusChange === 'function' &&
+		addonMenuIds.length < maxAddonMenus &&
+		addonCandidates.length > 0;
+
 	const staffItems = staffOptions.map( ( staff ) => ( {
 		id: staff.id,
 		name: staff.title?.rendered ?? staff.name ?? staff.title,
 	} ) );
 
+	let pricingSection = null;
+	if ( ! menuId ) {
+		pricingSection = (
+			<div className="vkbm-plan-summary__pricing vkbm-plan-summary__pricing--alert">
+				<p
+					className="vkbm-alert vkbm-alert__info vkbm-alert--compact"
+					role="status"
+				>
+					{ menuSelectionMessage }
+				</p>
+			</div>
+		);
+	} else if ( pricingRows?.length > 0 ) {
+		pricingSection = (
+			<div className="vkbm-plan-summary__pricing">
+				{ pricingRows.map( ( row ) => (
+					<div
+						key={ row.key }
+						className="vkbm-plan-summary__pricing-row"
+					>
+						<span className="vkbm-plan-summary__pricing-label">
+							{ row.label }
+						</span>
+						<strong
+							className={ [
+								'vkbm-plan-summary__pricing-value',
+								row.highlight &&
+									'vkbm-plan-summary__pricing-value--accent',
+							]
+								.filter( Boolean )
+								.join( ' ' ) }
+						>
+							<span className="vkbm-plan-summary__pricing-amount">
+								{ row.value ?? '—' }
+							</span>
+							{ row.taxLabel ? (
+								<span className="vkbm-plan-summary__pricing-tax">
+									{ row.taxLabel }
+								</span>
+							) : null }
+						</strong>
+					</div>
+				) ) }
+			</div>
+		);
+	}
+
 	return (
 		<div className="vkbm-plan-summary">
 			<div className="vkbm-plan-summary__selectors">
@@ -155,6 +226,61 @@ export const SelectedPlanSummary = ( {
 					) ) }
 			</div>
 
+			{ addonItems.length > 0 || canAddMenu ? (
+				<div className="vkbm-plan-summary__addons">
+					{ addonItems.length > 0 && (
+						<ul className="vkbm-plan-summary__addon-list">
+							{ addonItems.map( ( item ) => (
+								<li
+									key={ item.id }
+									className="vkbm-plan-summary__addon-item"
+								>
+									<span className="vkbm-plan-summary__addon-name">
+										{ item.name }
+									</span>
+									<button
+										type="button"
+										className="vkbm-button vkbm-button__sm vkbm-button__link"
+										onClick={ () =>
+											onAddonMenusChange(
+												addonMenuIds.filter(
+													( id ) => id !== item.id
+												)
+											)
+										}
+									>
+										{ __( 'Remove', 'vk-booking-manager' ) }
+									</button>
+								</li>
+							) ) }
+						</ul>
+					) }
+					{ canAddMenu && (
+						<SelectField
+							label={ __(
+								'Add another menu',
+								'vk-booking-manager'
+							) }
+							options={ addonCandidates }
+							value=""
+							onChange={ ( value ) => {
+								const nextId = Number( value ) || 0;
+								if ( nextId ) {
+									onAddonMenusChange( [
+										...addonMenuIds,
+										nextId,
+									] );
+								}
+							} }
+							placeholder={ __(
+								'Select menu',
+								'vk-booking-manager'
+							) }
+						/>
+					) }
+				</div>
+			) : null }
+
 			{ menuId ? (
 				<div className="vkbm-plan-summary__menu-preview vkbm-reservation__menu-preview">
 					{ menuPreviewLoading && (
@@ -183,49 +309,7 @@ export const SelectedPlanSummary = ( {
 				</div>
 			) : null }
 
-			{ menuId ? (
-				pricingRows?.length > 0 ? (
-					<div className="vkbm-plan-summary__pricing">
-						{ pricingRows.map( ( row ) => (
-							<div
-								key={ row.key }
-								className="vkbm-plan-summary__pricing-row"
-							>
-								<span className="vkbm-plan-summary__pricing-label">
-									{ row.label }
-								</span>
-								<strong
-									className={ [
-										'vkbm-plan-summary__pricing-value',
-										row.highlight &&
-											'vkbm-plan-summary__pricing-value--accent',
-									]
-										.filter( Boolean )
-										.join( ' ' ) }
-								>
-									<span className="vkbm-plan-summary__pricing-amount">
-										{ row.value ?? '—' }
-									</span>
-									{ row.taxLabel ? (
-										<span className="vkbm-plan-summary__pricing-tax">
-											{ row.taxLabel }
-										</span>
-									) : null }
-								</strong>
-							</div>
-						) ) }
-					</div>
-				) : null
-			) : (
-				<div className="vkbm-plan-summary__pricing vkbm-plan-summary__pricing--alert">
-					<p
-						className="vkbm-alert vkbm-alert__info vkbm-alert--compact"
-						role="status"
-					>
-						{ menuSelectionMessage }
-					</p>
-				</div>
-			) }
+			{ pricingSection }
 		</div>
 	);
 };
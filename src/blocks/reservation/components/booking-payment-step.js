@@ -0,0 +1,106 @@
+import { __, sprintf } from '@wordpress/i18n';
+import { useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { formatCurrency } from '../../shared/pricing';
+
+export const BookingPaymentStep = ( {
+	bookingId,
+	payment,
+	currencySymbol = '',
+	deadline = '',
+	onPaid,
+} ) => {
+	const [ paying, setPaying ] = useState( false );
+	const [ error, setError ] = useState( '' );
+	const redirectUrl =
+		typeof payment?.redirect_url === 'string' ? payment.redirect_url : '';
+
+	const handlePay = () => {
+		if ( paying ) {
+			return;
+		}
+
+		if ( redirectUrl ) {
+			window.location.assign( redirectUrl );
+			return;
+		}
+
+		setPaying( true );
+		setError( '' );
+
+		apiFetch( {
+			path: `/vkbm/v1/bookings/${ bookingId }/payment`,
+			method: 'POST',
+		} )
+			.then( ( response ) => {
+				if ( typeof onPaid === 'function' ) {
+					onPaid( response );
+				}
+			} )
+			.catch( ( paymentError ) => {
+				setError(
+					paymentError?.message ||
+						__(
+							'The payment could not be completed. Please try again.',
+							'vk-booking-manager'
+						)
+				);
+			} )
+			.finally( () => setPaying( false ) );
+	};
+
+	return (
+		<div className="vkbm-confirm__payment">
+			<p className="vkbm-confirm__payment-title">
+				{ __(
+					'Please complete the payment to finalize your reservation.',
+					'vk-booking-manager'
+				) }
+			</p>
+			<dl className="vkbm-confirm__payment-details">
+				<dt>{ __( 'Amount due', 'vk-booking-manager' ) }</dt>
+				<dd>
+					{ formatCurrency(
+						Number( payment?.amount ) || 0,
+						currencySymbol.trim() !== '' ? currencySymbol : null
+					) }
+				</dd>
+				{ payment?.gateway_label && (
+					<>
+						<dt>
+							{ __( 'Payment method', 'vk-booking-manager' ) }
+						</dt>
+						<dd>{ payment.gateway_label }</dd>
+					</>
+				) }
+			</dl>
+			{ deadline && (
+				<p className="vkbm-confirm__payment-note">
+					{ sprintf(
+						/* translators: %s: Payment deadline. */
+						__(
+							'If payment is not completed by %s, the reservation will be cancelled automatically.',
+							'vk-booking-manager'
+						),
+						deadline
+					) }
+				</p>
+			) }
+			{ error && (
+				<p className="vkbm-alert vkbm-alert__danger" role="alert">
+					{ error }
+				</p>
+			) }
+			<button
+				type="button"
+				className="vkbm-confirm__button vkbm-button vkbm-button__md vkbm-button__primary"
+				onClick={ handlePay }
+				disabled={ paying }
+			>
+				{ paying
+					? __( 'Processing…', 'vk-booking-manager' )
+					: __( 'Pay and confirm', 'vk-booking-manager' ) }
+			</button>
+		</div>
+	);
+};
@@ -0,0 +1,165 @@
+import { __ } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { DailySlotList } from '../booking-ui';
+
+const getTodayString = () => {
+	const now = new Date();
+	const pad = ( value ) => String( value ).padStart( 2, '0' );
+	return `${ now.getFullYear() }-${ pad( now.getMonth() + 1 ) }-${ pad(
+		now.getDate()
+	) }`;
+};
+
+export const BookingRescheduleForm = ( {
+	booking,
+	onClose,
+	onRescheduled,
+	showStaffLabel = true,
+} ) => {
+	const bookingId = Number( booking?.id ) || 0;
+	const [ date, setDate ] = useState(
+		String( booking?.start_at || '' ).slice( 0, 10 )
+	);
+	const [ slots, setSlots ] = useState( [] );
+	const [ slotsLoading, setSlotsLoading ] = useState( false );
+	const [ slotsError, setSlotsError ] = useState( '' );
+	const [ selectedSlot, setSelectedSlot ] = useState( null );
+	const [ submitting, setSubmitting ] = useState( false );
+	const [ submitError, setSubmitError ] = useState( '' );
+
+	useEffect( () => {
+		let isMounted = true;
+
+		setSelectedSlot( null );
+
+		if ( ! bookingId || ! date ) {
+			setSlots( [] );
+			return () => {
+				isMounted = false;
+			};
+		}
+
+		setSlotsLoading( true );
+		setSlotsError( '' );
+
+		apiFetch( {
+			path: `/vkbm/v1/my-bookings/${ bookingId }/slots?date=${ encodeURIComponent(
+				date
+			) }`,
+		} )
+			.then( ( response ) => {
+				if ( isMounted ) {
+					setSlots(
+						Array.isArray( response?.slots ) ? response.slots : []
+					);
+				}
+			} )
+			.catch( ( error ) => {
+				if ( isMounted ) {
+					setSlots( [] );
+					setSlotsError(
+						error?.message ||
+							__(
+								'Failed to read free space.',
+								'vk-booking-manager'
+							)
+					);
+				}
+			} )
+			.finally( () => {
+				if ( isMounted ) {
+					setSlotsLoading( false );
+				}
+			} );
+
+		return () => {
+			isMounted = false;
+		};
+	}, [ bookingId, date ] );
+
+	const handleSubmit = () => {
+		if ( ! selectedSlot || submitting ) {
+			return;
+		}
+
+		setSubmitting( true );
+		setSubmitError( '' );
+
+		apiFetch( {
+			path: `/vkbm/v1/my-bookings/${ bookingId }/reschedule`,
+			method: 'POST',
+			data: {
+				slot_id: selectedSlot.slot_id,
+				start_at: selectedSlot.start_at,
+				end_at: selectedSlot.end_at,
+			},
+		} )
+			.then( ( response ) => {
+				if ( typeof onRescheduled === 'function' ) {
+					onRescheduled( response );
+				}
+			} )
+			.catch( ( error ) => {
+				setSubmitError(
+					error?.message ||
+						__(
+							'The reservation could not be changed.',
+							'vk-booking-manager'
+						)
+				);
+			} )
+			.finally( () => setSubmitting( false ) );
+	};
+
+	return (
+		<div className="vkbm-reschedule">
+			<div className="vkbm-reschedule__date">
+				<label htmlFor={ `vkbm-reschedule-date-${ bookingId }` }>
+					{ __( 'New date', 'vk-booking-manager' ) }
+				</label>
+				<input
+					type="date"
+					id={ `vkbm-reschedule-date-${ bookingId }` }
+					value={ date }
+					min={ getTodayString() }
+					onChange={ ( event ) => setDate( event.target.value ) }
+				/>
+			</div>
+			<DailySlotList
+				slots={ slots }
+				selectedDate={ date }
+				onSelectSlot={ setSelectedSlot }
+				selectedSlotId={ selectedSlot?.slot_id || '' }
+				isLoading={ slotsLoading }
+				error={ slotsError }
+				showStaffLabel={ showStaffLabel }
+			/>
+			{ submitError && (
+				<p className="vkbm-alert vkbm-alert__danger" role="alert">
+					{ submitError }
+				</p>
+			) }
+			<div className="vkbm-buttons vkbm-reschedule__actions">
+				<button
+					type="button"
+					className="vkbm-button vkbm-button__sm vkbm-button__primary"
+					onClick={ handleSubmit }
+					disabled={ ! selectedSlot || submitting }
+				>
+					{ submitting
+						? __( 'Processing…', 'vk-booking-manager' )
+						: __( 'Change to this time', 'vk-booking-manager' ) }
+				</button>
+				<button
+					type="button"
+					className="vkbm-button vkbm-button__sm vkbm-button__secondary"
+					onClick={ onClose }
+					disabled={ submitting }
+				>
+					{ __( 'Close', 'vk-booking-manager' ) }
+				</button>
+			</div>
+		</div>
+	);
+};
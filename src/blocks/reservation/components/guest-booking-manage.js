@@ -0,0 +1,207 @@
+import { __ } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { BookingSummaryItems } from './booking-summary-items';
+
+// Reservation opened from the signed link in a guest's email.
+// ゲストがメールのリンクから開いた予約の確認・キャンセル画面.
+export const GuestBookingManage = ( {
+	token,
+	formatDateTime,
+	resourceLabel,
+	currencySymbol = null,
+} ) => {
+	const [ booking, setBooking ] = useState( null );
+	const [ loading, setLoading ] = useState( true );
+	const [ error, setError ] = useState( '' );
+	const [ cancelling, setCancelling ] = useState( false );
+	const [ notice, setNotice ] = useState( '' );
+
+	useEffect( () => {
+		let isMounted = true;
+
+		setLoading( true );
+		setError( '' );
+
+		apiFetch( { path: `/vkbm/v1/guest-bookings/${ token }` } )
+			.then( ( response ) => {
+				if ( isMounted ) {
+					setBooking( response || null );
+				}
+			} )
+			.catch( ( fetchError ) => {
+				if ( isMounted ) {
+					setBooking( null );
+					setError(
+						fetchError?.message ||
+							__(
+								'The reservation could not be loaded.',
+								'vk-booking-manager'
+							)
+					);
+				}
+			} )
+			.finally( () => {
+				if ( isMounted ) {
+					setLoading( false );
+				}
+			} );
+
+		return () => {
+			isMounted = false;
+		};
+	}, [ token ] );
+
+	const handleCancel = () => {
+		if (
+			cancelling ||
+			( typeof window !== 'undefined' &&
+				// eslint-disable-next-line no-alert
+				! window.confirm(
+					__(
+						'Do you want to cancel this reservation?',
+						'vk-booking-manager'
+					)
+				) )
+		) {
+			return;
+		}
+
+		setCancelling( true );
+		setError( '' );
+
+		apiFetch( {
+			path: `/vkbm/v1/guest-bookings/${ token }/cancel`,
+			method: 'POST',
+		} )
+			.then( () => {
+				setBooking( ( current ) =>
+					current
+						? { ...current, status: 'cancelled', can_cancel: false }
+						: current
+				);
+				setNotice(
+					__(
+						'Your reservation has been cancelled.',
+						'vk-booking-manager'
+					)
+				);
+			} )
+			.catch( ( cancelError ) => {
+				setError(
+					cancelError?.message ||
+						__(
+							'I was unable to cancel my reservation.',
+							'vk-booking-manager'
+						)
+				);
+			} )
+			.finally( () => {
+				setCancelling( false );
+			} );
+	};
+
+	if ( loading ) {
+		return (
+			<p className="vkbm-alert vkbm-alert__info" role="status">
+				{ __( 'Loading…', 'vk-booking-manager' ) }
+			</p>
+		);
+	}
+
+	const statusKey = String( booking?.status || '' ).toLowerCase();
+	const isPending = statusKey === 'pending';
+	const isCancelled = statusKey === 'cancelled';
+	const datetimeParts = booking
+		? formatDateTime( booking.start_at, booking.end_at )
+		: { date: '', time: '' };
+
+	return (
+		<div className="vkbm-confirm vkbm-guest-booking">
+			{ notice && (
+				<p className="vkbm-alert vkbm-alert__success" role="status">
+					{ notice }
+				</p>
+			) }
+			{ error && (
+				<p className="vkbm-alert vkbm-alert__danger" role="alert">
+					{ error }
+				</p>
+			) }
+			{ booking && (
+				<div
+					className={ [
+						'vkbm-confirm__summary',
+						isCancelled && 'vkbm-confirm__summary--cancelled',
+					]
+						.filter( Boolean )
+						.join( ' ' ) }
+				>
+					<div className="vkbm-confirm__summary-title">
+						<div className="vkbm-confirm__datetime">
+							{ isPending && (
+								<span className="vkbm-confirm__status vkbm-confirm__status--pending">
+									{ __( 'Pending', 'vk-booking-manager' ) }
+								</span>
+							) }
+							{ isCancelled && (
+								<span className="vkbm-confirm__status vkbm-confirm__status--cancelled">
+									{ __( 'Cancelled', 'vk-booking-manager' ) }
+								</span>
+							) }
+							{ datetimeParts.date && (
+								<span className="vkbm-confirm__date">
+									{ datetimeParts.date }
+								</span>
+							) }
+							{ datetimeParts.time && (
+								<span className="vkbm-confirm__time">
+									{ datetimeParts.date ? ' ' : '' }
+									{ datetimeParts.time }
+								</span>
+							) }
+						</div>
+						{ booking.can_cancel && (
+							<button
+								type="button"
+								className="vkbm-button vkbm-button__sm vkbm-button__secondary vkbm-confirm__cancel-button"
+								onClick={ handleCancel }
+								disabled={ cancelling }
+							>
+								{ cancelling
+									? __( 'Processing…', 'vk-booking-manager' )
+									: __(
+											'Cancel reservation',
+											'vk-booking-manager'
+									  ) }
+							</button>
+						) }
+					</div>
+					{ booking.customer_name && (
+						<dl className="vkbm-confirm__summary-item">
+							<dt className="vkbm-confirm__summary-item-title">
+								{ __( 'Reserved name', 'vk-booking-manager' ) }
+							</dt>
+							<dd className="vkbm-confirm__summary-item-value">
+								{ booking.customer_name }
+							</dd>
+						</dl>
+					) }
+					<BookingSummaryItems
+						booking={ booking }
+						resourceLabel={ resourceLabel }
+						currencySymbol={ currencySymbol }
+					/>
+				</div>
+			) }
+			{ booking && ! booking.can_cancel && ! isCancelled && (
+				<p className="vkbm-alert vkbm-alert__info" role="status">
+					{ __(
+						'This reservation can no longer be cancelled online. Please contact us directly.',
+						'vk-booking-manager'
+					) }
+				</p>
+			) }
+		</div>
+	);
+};
@@ -0,0 +1,654 @@
+<?php
+
+/**
+ * REST controller for managing bookings outside wp-admin.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Availability\Slot_Capacity;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Facilities\Facility_Availability;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_Error;
+use WP_Post;
+use WP_Query;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+use function __;
+use function absint;
+use function add_action;
+use function current_user_can;
+use function get_post;
+use function get_post_meta;
+use function get_the_title;
+use function is_wp_error;
+use function register_rest_route;
+use function rest_ensure_response;
+use function sanitize_text_field;
+use function wp_delete_post;
+use function wp_insert_post;
+
+/**
+ * Provides authenticated booking CRUD for front-desk apps and scripts.
+ *
+ * Writes go through Booking_Admin::save_booking(), so the same sanitization,
+ * staff conflict rules and notifications apply as on the edit screen.
+ * 保存処理は編集画面と共通のため、サニタイズ・スタッフ重複チェック・通知も同じ動作になります。
+ */
+class Admin_Bookings_Controller {
+	private const REST_NAMESPACE = 'vkbm/v1';
+
+	private const META_DATE_START         = '_vkbm_booking_service_start';
+	private const META_DATE_END           = '_vkbm_booking_service_end';
+	private const META_RESOURCE_ID        = '_vkbm_booking_resource_id';
+	private const META_SERVICE_ID         = '_vkbm_booking_service_id';
+	private const META_CUSTOMER           = '_vkbm_booking_customer_name';
+	private const META_CUSTOMER_TEL       = '_vkbm_booking_customer_tel';
+	private const META_CUSTOMER_MAIL      = '_vkbm_booking_customer_email';
+	private const META_ATTACHMENTS        = '_vkbm_booking_attachment_ids';
+	private const META_STATUS             = '_vkbm_booking_status';
+	private const META_NOTE               = '_vkbm_booking_note';
+	private const META_INTERNAL_NOTE      = '_vkbm_booking_internal_note';
+	private const META_BILLED_TOTAL_PRICE = '_vkbm_booking_billed_total_price';
+	private const META_IS_PREFERRED       = '_vkbm_booking_is_staff_preferred';
+
+	private const DEFAULT_PER_PAGE = 20;
+	private const MAX_PER_PAGE     = 100;
+
+	/**
+	 * REST field => Booking_Admin form field.
+	 */
+	private const FIELD_MAP = array(
+		'date'               => 'date',
+		'start_time'         => 'start_time',
+		'end_time'           => 'end_time',
+		'resource_id'        => 'resource_id',
+		'menu_id'            => 'service_id',
+		'customer_name'      => 'customer',
+		'customer_tel'       => 'customer_tel',
+		'customer_email'     => 'customer_email',
+		'billed_total_price' => 'billed_total_price',
+		'status'             => 'status',
+		'note'               => 'note',
+		'internal_note'      => 'internal_note',
+		'author_id'          => 'author_id',
+		'attachment_ids'     => 'attachment_ids',
+		'party_size'         => 'party_size',
+		'facility_id'        => 'facility_id',
+	);
+
+	/**
+	 * Booking admin (shared save logic).
+	 *
+	 * @var Booking_Admin
+	 */
+	private Booking_Admin $booking_admin;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Booking_Admin|null $booking_admin Booking admin.
+	 */
+	public function __construct( ?Booking_Admin $booking_admin = null ) {
+		$this->booking_admin = $booking_admin ?? new Booking_Admin();
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST routes.
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/bookings',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_bookings' ),
+					'permission_callback' => array( $this, 'can_view' ),
+					'args'                => $this->get_collection_args(),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_booking' ),
+					'permission_callback' => array( $this, 'can_manage' ),
+					'args'                => $this->get_booking_args( true ),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/bookings/conflicts',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'check_conflicts' ),
+				'permission_callback' => array( $this, 'can_manage' ),
+				'args'                => array_merge(
+					$this->get_booking_args( false ),
+					array(
+						'exclude_id' => array(
+							'type'    => 'integer',
+							'minimum' => 0,
+							'default' => 0,
+						),
+					)
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/bookings/(?P<id>\\d+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_booking' ),
+					'permission_callback' => array( $this, 'can_view' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_booking' ),
+					'permission_callback' => array( $this, 'can_manage' ),
+					'args'                => $this->get_booking_args( false ),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_booking' ),
+					'permission_callback' => array( $this, 'can_manage' ),
+					'args'                => array(
+						'force' => array(
+							'type'    => 'boolean',
+							'default' => false,
+						),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Permission check for reading bookings.
+	 *
+	 * @return bool
+	 */
+	public function can_view(): bool {
+		return current_user_can( Capabilities::VIEW_RESERVATIONS );
+	}
+
+	/**
+	 * Permission check for creating, updating and deleting bookings.
+	 *
+	 * @return bool
+	 */
+	public function can_manage(): bool {
+		return current_user_can( Capabilities::MANAGE_RESERVATIONS );
+	}
+
+	/**
+	 * List bookings.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response
+	 */
+	public function get_bookings( WP_REST_Request $request ): WP_REST_Response {
+		$per_page = min( self::MAX_PER_PAGE, max( 1, (int) $request['per_page'] ) );
+		$page     = max( 1, (int) $request['page'] );
+
+		$query = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => 'publish',
+				'posts_per_page' => $per_page,
+				'paged'          => $page,
+				'meta_key'       => self::META_DATE_START, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'orderby'        => 'meta_value',
+				'order'          => 'desc' === $request['order'] ? 'DESC' : 'ASC',
+				'meta_query'     => $this->build_meta_query( $request ), // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+			)
+		);
+
+		$items = array();
+		foreach ( $query->posts as $post ) {
+			if ( $post instanceof WP_Post ) {
+				$items[] = $this->prepare_booking( $post );
+			}
+		}
+
+		$response = rest_ensure_response( $items );
+		$response->header( 'X-WP-Total', (string) (int) $query->found_posts );
+		$response->header( 'X-WP-TotalPages', (string) (int) $query->max_num_pages );
+
+		return $response;
+	}
+
+	/**
+	 * Get a single booking.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_booking( WP_REST_Request $request ) {
+		$post = $this->find_booking( (int) $request['id'] );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		return rest_ensure_response( $this->prepare_booking( $post ) );
+	}
+
+	/**
+	 * Create a booking.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_booking( WP_REST_Request $request ) {
+		$booking_id = wp_insert_post(
+			array(
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			),
+			true
+		);
+
+		if ( is_wp_error( $booking_id ) ) {
+			return $booking_id;
+		}
+
+		$result = $this->booking_admin->save_booking( (int) $booking_id, $this->map_request_fields( $request, array() ) );
+		if ( is_wp_error( $result ) ) {
+			// Do not leave an empty booking behind. / 空の予約を残さない.
+			wp_delete_post( (int) $booking_id, true );
+			return $result;
+		}
+
+		return new WP_REST_Response( $this->prepare_write_response( (int) $booking_id, $result ), 201 );
+	}
+
+	/**
+	 * Update a booking. Omitted fields keep their current values.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_booking( WP_REST_Request $request ) {
+		$post = $this->find_booking( (int) $request['id'] );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$raw    = $this->map_request_fields( $request, $this->booking_admin->get_form_fields( $post ) );
+		$result = $this->booking_admin->save_booking( (int) $post->ID, $raw );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return rest_ensure_response( $this->prepare_write_response( (int) $post->ID, $result ) );
+	}
+
+	/**
+	 * Trash a booking, or delete it permanently with `force`.
+	 * Active bookings release their slot as when they are cancelled.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_booking( WP_REST_Request $request ) {
+		$post = $this->find_booking( (int) $request['id'] );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$previous = $this->prepare_booking( $post );
+		$force    = (bool) $request['force'];
+
+		if ( ! $force && 'trash' === $post->post_status ) {
+			return new WP_Error( 'booking_already_trashed', __( 'The reservation has already been moved to the trash.', 'vk-booking-manager' ), array( 'status' => 410 ) );
+		}
+
+		if ( ! $this->booking_admin->delete_booking( (int) $post->ID, $force ) ) {
+			return new WP_Error( 'booking_delete_failed', __( 'The reservation could not be deleted.', 'vk-booking-manager' ), array( 'status' => 500 ) );
+		}
+
+		return rest_ensure_response(
+			array(
+				'deleted'  => true,
+				'trashed'  => ! $force,
+				'previous' => $previous,
+			)
+		);
+	}
+
+	/**
+	 * Check a planned booking for staff double-booking before it is submitted.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response
+	 */
+	public function check_conflicts( WP_REST_Request $request ): WP_REST_Response {
+		$result = $this->booking_admin->check_staff_conflict( (int) $request['exclude_id'], $this->map_request_fields( $request, array() ) );
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Resolve a booking post by ID.
+	 *
+	 * @param int $booking_id Booking ID.
+	 * @return WP_Post|WP_Error
+	 */
+	private function find_booking( int $booking_id ) {
+		$post = $booking_id > 0 ? get_post( $booking_id ) : null;
+		if ( ! $post instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $post->post_type ) {
+			return new WP_Error( 'booking_not_found', __( 'Reservation not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		return $post;
+	}
+
+	/**
+	 * Build the meta query for the list filters.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return array<int|string, mixed>
+	 */
+	private function build_meta_query( WP_REST_Request $request ): array {
+		$meta_query = array( 'relation' => 'AND' );
+
+		if ( ! empty( $request['date_from'] ) ) {
+			$meta_query[] = array(
+				'key'     => self::META_DATE_START,
+				'value'   => sanitize_text_field( (string) $request['date_from'] ) . ' 00:00:00',
+				'compare' => '>=',
+				'type'    => 'DATETIME',
+			);
+		}
+
+		if ( ! empty( $request['date_to'] ) ) {
+			$meta_query[] = array(
+				'key'     => self::META_DATE_START,
+				'value'   => sanitize_text_field( (string) $request['date_to'] ) . ' 23:59:59',
+				'compare' => '<=',
+				'type'    => 'DATETIME',
+			);
+		}
+
+		if ( ! empty( $request['resource_id'] ) ) {
+			$meta_query[] = array(
+				'key'   => self::META_RESOURCE_ID,
+				'value' => absint( $request['resource_id'] ),
+			);
+		}
+
+		if ( ! empty( $request['menu_id'] ) ) {
+			$meta_query[] = array(
+				'key'   => self::META_SERVICE_ID,
+				'value' => absint( $request['menu_id'] ),
+			);
+		}
+
+		if ( ! empty( $request['status'] ) ) {
+			$meta_query[] = array(
+				'key'     => self::META_STATUS,
+				'value'   => array_map( 'sanitize_key', (array) $request['status'] ),
+				'compare' => 'IN',
+			);
+		}
+
+		$customer = isset( $request['customer'] ) ? sanitize_text_field( (string) $request['customer'] ) : '';
+		if ( '' !== $customer ) {
+			// Match name, email or phone number. / 氏名・メール・電話番号のいずれかに一致.
+			$meta_query[] = array(
+				'relation' => 'OR',
+				array(
+					'key'     => self::META_CUSTOMER,
+					'value'   => $customer,
+					'compare' => 'LIKE',
+				),
+				array(
+					'key'     => self::META_CUSTOMER_MAIL,
+					'value'   => $customer,
+					'compare' => 'LIKE',
+				),
+				array(
+					'key'     => self::META_CUSTOMER_TEL,
+					'value'   => $customer,
+					'compare' => 'LIKE',
+				),
+			);
+		}
+
+		return $meta_query;
+	}
+
+	/**
+	 * Overlay the request parameters on form fields.
+	 *
+	 * @param WP_REST_Request      $request Request.
+	 * @param array<string, mixed> $fields  Current form fields.
+	 * @return array<string, mixed>
+	 */
+	private function map_request_fields( WP_REST_Request $request, array $fields ): array {
+		$params = $request->get_params();
+
+		foreach ( self::FIELD_MAP as $param => $field ) {
+			if ( array_key_exists( $param, $params ) && null !== $params[ $param ] ) {
+				$fields[ $field ] = $params[ $param ];
+			}
+		}
+
+		if ( array_key_exists( 'is_staff_preferred', $params ) ) {
+			unset( $fields['is_staff_preferred'] );
+			if ( ! empty( $params['is_staff_preferred'] ) ) {
+				$fields['is_staff_preferred'] = '1';
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Booking data for a write response, with the allowed overlap flags.
+	 *
+	 * @param int                  $booking_id Booking ID.
+	 * @param array<string, mixed> $result     Booking_Admin::save_booking() result.
+	 * @return array<string, mixed>
+	 */
+	private function prepare_write_response( int $booking_id, array $result ): array {
+		$post = get_post( $booking_id );
+		$data = $post instanceof WP_Post ? $this->prepare_booking( $post ) : array( 'id' => $booking_id );
+
+		$data['has_staff_conflict']    = ! empty( $result['has_staff_conflict'] );
+		$data['has_facility_conflict'] = ! empty( $result['has_facility_conflict'] );
+
+		return $data;
+	}
+
+	/**
+	 * Prepare booking data for the response.
+	 *
+	 * @param WP_Post $post Booking post.
+	 * @return array<string, mixed>
+	 */
+	private function prepare_booking( WP_Post $post ): array {
+		$booking_id  = (int) $post->ID;
+		$start       = (string) get_post_meta( $booking_id, self::META_DATE_START, true );
+		$end         = (string) get_post_meta( $booking_id, self::META_DATE_END, true );
+		$resource_id = (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true );
+		$menu_id     = (int) get_post_meta( $booking_id, self::META_SERVICE_ID, true );
+		$billed      = get_post_meta( $booking_id, self::META_BILLED_TOTAL_PRICE, true );
+
+		return array(
+			'id'                 => $booking_id,
+			'title'              => (string) $post->post_title,
+			'post_status'        => (string) $post->post_status,
+			'status'             => (string) get_post_meta( $booking_id, self::META_STATUS, true ),
+			'start'              => $start,
+			'end'                => $end,
+			'date'               => '' !== $start ? substr( $start, 0, 10 ) : '',
+			'start_time'         => '' !== $start ? substr( $start, 11, 5 ) : '',
+			'end_time'           => '' !== $end ? substr( $end, 11, 5 ) : '',
+			'resource_id'        => $resource_id,
+			'resource_name'      => $resource_id > 0 ? (string) get_the_title( $resource_id ) : '',
+			'menu_id'            => $menu_id,
+			'menu_name'          => $menu_id > 0 ? (string) get_the_title( $menu_id ) : '',
+			'is_staff_preferred' => '1' === (string) get_post_meta( $booking_id, self::META_IS_PREFERRED, true ),
+			'customer_name'      => (string) get_post_meta( $booking_id, self::META_CUSTOMER, true ),
+			'customer_tel'       => (string) get_post_meta( $booking_id, self::META_CUSTOMER_TEL, true ),
+			'customer_email'     => (string) get_post_meta( $booking_id, self::META_CUSTOMER_MAIL, true ),
+			'author_id'          => (int) $post->post_author,
+			'party_size'         => Slot_Capacity::normalize_seats( get_post_meta( $booking_id, Slot_Capacity::BOOKING_META_PARTY_SIZE, true ) ),
+			'facility_id'        => (int) get_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, true ),
+			'billed_total_price' => '' !== $billed && is_numeric( $billed ) ? (int) $billed : null,
+			'note'               => (string) get_post_meta( $booking_id, self::META_NOTE, true ),
+			'internal_note'      => (string) get_post_meta( $booking_id, self::META_INTERNAL_NOTE, true ),
+			'attachment_ids'     => array_values( array_map( 'intval', (array) get_post_meta( $booking_id, self::META_ATTACHMENTS, true ) ) ),
+		);
+	}
+
+	/**
+	 * Arguments for the list endpoint.
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_collection_args(): array {
+		return array(
+			'date_from'   => array(
+				'type'    => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			),
+			'date_to'     => array(
+				'type'    => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			),
+			'resource_id' => array(
+				'type'    => 'integer',
+				'minimum' => 1,
+			),
+			'menu_id'     => array(
+				'type'    => 'integer',
+				'minimum' => 1,
+			),
+			'status'      => array(
+				'type'  => 'array',
+				'items' => array(
+					'type' => 'string',
+					'enum' => array_keys( $this->booking_admin->get_status_options() ),
+				),
+			),
+			'customer'    => array(
+				'type' => 'string',
+			),
+			'order'       => array(
+				'type'    => 'string',
+				'enum'    => array( 'asc', 'desc' ),
+				'default' => 'asc',
+			),
+			'page'        => array(
+				'type'    => 'integer',
+				'minimum' => 1,
+				'default' => 1,
+			),
+			'per_page'    => array(
+				'type'    => 'integer',
+				'minimum' => 1,
+				'maximum' => self::MAX_PER_PAGE,
+				'default' => self::DEFAULT_PER_PAGE,
+			),
+		);
+	}
+
+	/**
+	 * Arguments for creating and updating a booking.
+	 *
+	 * @param bool $is_create Whether the slot fields are required.
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_booking_args( bool $is_create ): array {
+		return array(
+			'date'               => array(
+				'type'     => 'string',
+				'pattern'  => '^\\d{4}-\\d{2}-\\d{2}$',
+				'required' => $is_create,
+			),
+			'start_time'         => array(
+				'type'     => 'string',
+				'pattern'  => '^\\d{2}:\\d{2}$',
+				'required' => $is_create,
+			),
+			'end_time'           => array(
+				'type'     => 'string',
+				'pattern'  => '^\\d{2}:\\d{2}$',
+				'required' => $is_create,
+			),
+			'resource_id'        => array(
+				'type'    => 'integer',
+				'minimum' => 0,
+			),
+			'menu_id'            => array(
+				'type'    => 'integer',
+				'minimum' => 0,
+			),
+			'status'             => array(
+				'type' => 'string',
+				'enum' => array_keys( $this->booking_admin->get_status_options() ),
+			),
+			'customer_name'      => array(
+				'type' => 'string',
+			),
+			'customer_tel'       => array(
+				'type' => 'string',
+			),
+			'customer_email'     => array(
+				'type' => 'string',
+			),
+			'billed_total_price' => array(
+				'type' => array( 'integer', 'string' ),
+			),
+			'note'               => array(
+				'type' => 'string',
+			),
+			'internal_note'      => array(
+				'type' => 'string',
+			),
+			'is_staff_preferred' => array(
+				'type' => 'boolean',
+			),
+			'author_id'          => array(
+				'type'    => 'integer',
+				'minimum' => 0,
+			),
+			'attachment_ids'     => array(
+				'type'  => 'array',
+				'items' => array(
+					'type' => 'integer',
+				),
+			),
+			'party_size'         => array(
+				'type'    => 'integer',
+				'minimum' => 1,
+			),
+			'facility_id'        => array(
+				'type'    => 'integer',
+				'minimum' => 0,
+			),
+		);
+	}
+}
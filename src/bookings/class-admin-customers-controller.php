@@ -0,0 +1,330 @@
+<?php
+
+/**
+ * REST controller for looking up and registering customers from the front desk.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Common\VKBM_Helper;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+use WP_User;
+use WP_User_Query;
+use function __;
+use function add_action;
+use function current_user_can;
+use function email_exists;
+use function get_user_meta;
+use function get_users;
+use function is_email;
+use function is_wp_error;
+use function register_rest_route;
+use function rest_ensure_response;
+use function sanitize_email;
+use function sanitize_text_field;
+use function sanitize_user;
+use function update_user_meta;
+use function username_exists;
+use function wp_generate_password;
+use function wp_insert_user;
+use function wp_new_user_notification;
+
+/**
+ * Customer search and on-the-fly account creation for phone and walk-in bookings.
+ */
+class Admin_Customers_Controller {
+	private const REST_NAMESPACE = 'vkbm/v1';
+
+	private const META_PHONE     = 'phone_number';
+	private const META_KANA      = 'vkbm_kana_name';
+	private const META_FULL_NAME = 'vkbm_full_name';
+
+	private const MIN_SEARCH_LENGTH = 2;
+	private const MIN_PHONE_DIGITS  = 3;
+	private const MAX_RESULTS       = 10;
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST routes.
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/admin/customers',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'search_customers' ),
+					'permission_callback' => array( $this, 'can_manage' ),
+					'args'                => array(
+						'search' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_customer' ),
+					'permission_callback' => array( $this, 'can_manage' ),
+					'args'                => array(
+						'name'        => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+						'kana_name'   => array(
+							'type' => 'string',
+						),
+						'email'       => array(
+							'type' => 'string',
+						),
+						'phone'       => array(
+							'type' => 'string',
+						),
+						'send_invite' => array(
+							'type'    => 'boolean',
+							'default' => false,
+						),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Permission check.
+	 *
+	 * @return bool
+	 */
+	public function can_manage(): bool {
+		return current_user_can( Capabilities::MANAGE_RESERVATIONS );
+	}
+
+	/**
+	 * Find customers by name, kana, phone number or email.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response
+	 */
+	public function search_customers( WP_REST_Request $request ): WP_REST_Response {
+		$search = trim( sanitize_text_field( (string) $request['search'] ) );
+		if ( mb_strlen( $search ) < self::MIN_SEARCH_LENGTH ) {
+			return rest_ensure_response( array() );
+		}
+
+		$meta_query = array(
+			'relation' => 'OR',
+			array(
+				'key'     => self::META_FULL_NAME,
+				'value'   => $search,
+				'compare' => 'LIKE',
+			),
+			array(
+				'key'     => self::META_KANA,
+				'value'   => $search,
+				'compare' => 'LIKE',
+			),
+			array(
+				'key'     => 'first_name',
+				'value'   => $search,
+				'compare' => 'LIKE',
+			),
+			array(
+				'key'     => 'last_name',
+				'value'   => $search,
+				'compare' => 'LIKE',
+			),
+		);
+
+		// Phone numbers are stored normalized. / 電話番号は正規化して保存されている.
+		$phone = VKBM_Helper::normalize_phone_number( $search );
+		if ( strlen( $phone ) >= self::MIN_PHONE_DIGITS ) {
+			$meta_query[] = array(
+				'key'     => self::META_PHONE,
+				'value'   => $phone,
+				'compare' => 'LIKE',
+			);
+		}
+
+		// WP_User_Query cannot OR a column search with meta, so run both. / 列検索とメタ検索は OR で結合できないため 2 回検索する.
+		$by_column = new WP_User_Query(
+			array(
+				'search'         => '*' . $search . '*',
+				'search_columns' => array( 'user_login', 'user_email', 'display_name' ),
+				'number'         => self::MAX_RESULTS,
+				'count_total'    => false,
+			)
+		);
+		$by_meta   = new WP_User_Query(
+			array(
+				'meta_query'  => $meta_query, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				'number'      => self::MAX_RESULTS,
+				'count_total' => false,
+			)
+		);
+
+		$customers = array();
+		foreach ( array_merge( $by_column->get_results(), $by_meta->get_results() ) as $user ) {
+			if ( $user instanceof WP_User && ! isset( $customers[ $user->ID ] ) ) {
+				$customers[ $user->ID ] = $this->prepare_customer( $user );
+			}
+		}
+
+		return rest_ensure_response( array_slice( array_values( $customers ), 0, self::MAX_RESULTS ) );
+	}
+
+	/**
+	 * Register a customer account on behalf of the customer.
+	 *
+	 * The account gets a random password; with `send_invite` the customer is
+	 * emailed a link to set their own.
+	 * ランダムなパスワードで登録し、send_invite 指定時はパスワード設定メールを送ります。
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_customer( WP_REST_Request $request ) {
+		$name  = trim( sanitize_text_field( (string) $request['name'] ) );
+		$kana  = trim( sanitize_text_field( (string) $request['kana_name'] ) );
+		$email = sanitize_email( (string) $request['email'] );
+		$phone = VKBM_Helper::normalize_phone_number( sanitize_text_field( (string) $request['phone'] ) );
+
+		if ( '' === $name ) {
+			return new WP_Error( 'customer_name_required', __( 'Please enter the customer name.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		if ( '' === $email && '' === $phone ) {
+			return new WP_Error( 'customer_contact_required', __( 'Please enter an email address or phone number.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		if ( '' !== $email && ! is_email( $email ) ) {
+			return new WP_Error( 'invalid_email', __( 'Please enter a valid email address.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		if ( '' !== $email && email_exists( $email ) ) {
+			return new WP_Error( 'customer_exists', __( 'A customer with this email address already exists.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+		}
+
+		// Bookings are matched to accounts by phone number, so keep it unique. / 予約は電話番号でアカウントと照合するため重複させない.
+		if ( '' !== $phone && $this->phone_exists( $phone ) ) {
+			return new WP_Error( 'customer_exists', __( 'A customer with this phone number already exists.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+		}
+
+		$user_id = wp_insert_user(
+			array(
+				'user_login'   => $this->generate_username( $email, $phone ),
+				'user_email'   => $email,
+				'user_pass'    => wp_generate_password( 24 ),
+				'display_name' => $name,
+			)
+		);
+
+		if ( is_wp_error( $user_id ) ) {
+			$user_id->add_data( array( 'status' => 400 ) );
+			return $user_id;
+		}
+
+		update_user_meta( $user_id, self::META_FULL_NAME, $name );
+		// Registered by staff, so no email verification is needed. / スタッフが登録するためメール認証は不要.
+		update_user_meta( $user_id, 'vkbm_email_verified', '1' );
+		if ( '' !== $kana ) {
+			update_user_meta( $user_id, self::META_KANA, $kana );
+		}
+		if ( '' !== $phone ) {
+			update_user_meta( $user_id, self::META_PHONE, $phone );
+		}
+
+		if ( '' !== $email && $request['send_invite'] ) {
+			wp_new_user_notification( $user_id, null, 'user' );
+		}
+
+		$user = new WP_User( $user_id );
+
+		return new WP_REST_Response( $this->prepare_customer( $user ), 201 );
+	}
+
+	/**
+	 * Whether an account already uses the phone number.
+	 *
+	 * @param string $phone Normalized phone number.
+	 * @return bool
+	 */
+	private function phone_exists( string $phone ): bool {
+		$users = get_users(
+			array(
+				'meta_key'    => self::META_PHONE, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'meta_value'  => $phone, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+				'number'      => 1,
+				'count_total' => false,
+				'fields'      => 'ID',
+			)
+		);
+
+		return ! empty( $users );
+	}
+
+	/**
+	 * Build a unique login name from the email local part or phone number.
+	 *
+	 * @param string $email Email.
+	 * @param string $phone Normalized phone number.
+	 * @return string
+	 */
+	private function generate_username( string $email, string $phone ): string {
+		$base = '' !== $email ? strstr( $email, '@', true ) : 'tel' . $phone;
+		$base = sanitize_user( (string) $base, true );
+		if ( '' === $base ) {
+			$base = 'customer';
+		}
+
+		$username = $base;
+		$suffix   = 2;
+		while ( username_exists( $username ) ) {
+			$username = $base . $suffix;
+			++$suffix;
+		}
+
+		return $username;
+	}
+
+	/**
+	 * Prepare customer data for the response.
+	 *
+	 * @param WP_User $user User.
+	 * @return array<string, mixed>
+	 */
+	private function prepare_customer( WP_User $user ): array {
+		$name      = VKBM_Helper::get_user_display_name( $user );
+		$full_name = trim( (string) get_user_meta( $user->ID, self::META_FULL_NAME, true ) );
+		if ( $name === $user->user_login && '' !== $full_name ) {
+			// Accounts created at the front desk only have a full name. / 受付で登録したアカウントは氏名のみを持つ.
+			$name = $full_name;
+		}
+
+		return array(
+			'id'        => (int) $user->ID,
+			'name'      => $name,
+			'kana_name' => (string) get_user_meta( $user->ID, self::META_KANA, true ),
+			'email'     => (string) $user->user_email,
+			'phone'     => (string) get_user_meta( $user->ID, self::META_PHONE, true ),
+		);
+	}
+}
@@ -15,14 +15,19 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use DateTimeImmutable;
+use VKBookingManager\Availability\Slot_Capacity;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\Facilities\Facility_Availability;
 use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Payments\Payment_Service;
 use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Facility_Post_Type;
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\PostTypes\Service_Menu_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use VKBookingManager\Staff\Staff_Editor;
+use WP_Error;
 use WP_Post;
 use WP_Query;
 use WP_User;
@@ -75,13 +80,31 @@ class Booking_Admin {
 	 */
 	private $notification_service;
 
+	/**
+	 * Waitlist service.
+	 *
+	 * @var Waitlist_Service|null
+	 */
+	private $waitlist_service;
+
+	/**
+	 * Payment service.
+	 *
+	 * @var Payment_Service|null
+	 */
+	private $payment_service;
+
 	/**
 	 * Constructor.
 	 *
 	 * @param Booking_Notification_Service|null $notification_service Notification handler.
+	 * @param Waitlist_Service|null             $waitlist_service     Waitlist handler.
+	 * @param Payment_Service|null              $payment_service      Payment handler.
 	 */
-	public function __construct( Booking_Notification_Service $notification_service = null ) {
+	public function __construct( Booking_Notification_Service $notification_service = null, ?Waitlist_Service $waitlist_service = null, ?Payment_Service $payment_service = null ) {
 		$this->notification_service = $notification_service;
+		$this->waitlist_service     = $waitlist_service;
+		$this->payment_service      = $payment_service;
 	}
 
 	/**
@@ -239,6 +262,8 @@ class Booking_Admin {
 		$customer                = (string) get_post_meta( $post->ID, self::META_CUSTOMER, true );
 		$customer_tel            = (string) get_post_meta( $post->ID, self::META_CUSTOMER_TEL, true );
 		$customer_mail           = (string) get_post_meta( $post->ID, self::META_CUSTOMER_MAIL, true );
+		$party_size              = Slot_Capacity::get_party_size( $post->ID );
+		$facility_id             = (int) get_post_meta( $post->ID, Facility_Availability::BOOKING_META_FACILITY, true );
 		$status                  = (string) get_post_meta( $post->ID, self::META_STATUS, true );
 		$note                    = (string) get_post_meta( $post->ID, self::META_NOTE, true );
 		$internal_note           = (string) get_post_meta( $post->ID, self::META_INTERNAL_NOTE, true );
@@ -256,6 +281,8 @@ class Booking_Admin {
 		$has_billed_total_price = metadata_exists( 'post', $post->ID, self::META_BILLED_TOTAL_PRICE );
 		$billed_total_price     = $has_billed_total_price ? (int) get_post_meta( $post->ID, self::META_BILLED_TOTAL_PRICE, true ) : '';
 		$is_preferred           = '1' === (string) get_post_meta( $post->ID, self::META_IS_PREFERRED, true );
+		$line_items             = Booking_Line_Items::get_for_booking( $post->ID );
+		$payment                = $this->payment_service ? $this->payment_service->get_summary( $post->ID ) : array();
 		$author_options         = $this->get_booking_author_options( $post );
 		$attachment_ids         = $this->normalize_attachment_ids( get_post_meta( $post->ID, self::META_ATTACHMENTS, true ) );
 		$attachment_ids_csv     = implode( ',', $attachment_ids );
@@ -266,6 +293,7 @@ class Booking_Admin {
 
 		$resources        = $this->get_resources();
 		$services         = $this->get_service_menus();
+		$facilities       = $this->get_facilities();
 		$base_price_label = '—';
 		if ( $has_base_price_snapshot || $service_id > 0 ) {
 			$base_price_label = VKBM_Helper::format_currency( (int) $service_base_price );
@@ -377,6 +405,24 @@ class Booking_Admin {
 							</select>
 						</td>
 					</tr>
+					<?php if ( ! empty( $facilities ) || $facility_id > 0 ) : ?>
+						<tr>
+							<th scope="row"><label for="vkbm-booking-facility"><?php esc_html_e( 'Facility', 'vk-booking-manager' ); ?></label></th>
+							<td>
+								<select id="vkbm-booking-facility" name="vkbm_booking[facility_id]">
+									<option value="0"><?php esc_html_e( 'No facility', 'vk-booking-manager' ); ?></option>
+									<?php foreach ( $facilities as $facility ) : ?>
+										<option value="<?php echo esc_attr( (string) $facility->ID ); ?>" <?php selected( $facility_id, $facility->ID ); ?>>
+											<?php echo esc_html( get_the_title( $facility ) ); ?>
+										</option>
+									<?php endforeach; ?>
+								</select>
+								<p class="description">
+									<?php esc_html_e( 'Room or equipment used for this reservation. Leave it as No facility to assign a free one automatically for menus that require a facility.', 'vk-booking-manager' ); ?>
+								</p>
+							</td>
+						</tr>
+					<?php endif; ?>
 					<tr>
 						<th scope="row"><?php esc_html_e( 'Nomination category', 'vk-booking-manager' ); ?></th>
 						<td>
@@ -441,6 +487,40 @@ class Booking_Admin {
 							</p>
 						</td>
 					</tr>
+					<?php if ( ! empty( $line_items ) ) : ?>
+						<tr>
+							<th scope="row"><?php esc_html_e( 'Menu details', 'vk-booking-manager' ); ?></th>
+							<td>
+								<ul class="vkbm-booking-meta__line-items">
+									<?php foreach ( $line_items as $line_item ) : ?>
+										<li>
+											<?php
+											printf(
+												/* translators: 1: Menu title, 2: Duration in minutes, 3: Price. */
+												esc_html__( '%1$s (%2$d minutes) %3$s', 'vk-booking-manager' ),
+												esc_html( $line_item['name'] ),
+												(int) $line_item['duration_minutes'],
+												esc_html( VKBM_Helper::format_currency( (int) $line_item['price'] ) )
+											);
+											?>
+										</li>
+									<?php endforeach; ?>
+								</ul>
+								<p class="description">
+									<?php esc_html_e( 'Menus booked together in one visit, in service order. (Cannot be edited)', 'vk-booking-manager' ); ?>
+								</p>
+							</td>
+						</tr>
+					<?php endif; ?>
+					<tr>
+						<th scope="row"><label for="vkbm-booking-party-size"><?php esc_html_e( 'Number of people', 'vk-booking-manager' ); ?></label></th>
+						<td>
+							<input type="number" id="vkbm-booking-party-size" name="vkbm_booking[party_size]" class="small-text" min="1" max="<?php echo esc_attr( (string) Slot_Capacity::MAX_CAPACITY ); ?>" step="1" value="<?php echo esc_attr( (string) $party_size ); ?>" />
+							<p class="description">
+								<?php esc_html_e( 'Seats this reservation takes in a group menu. Regular menus always take one slot.', 'vk-booking-manager' ); ?>
+							</p>
+						</td>
+					</tr>
 					<tr>
 						<th scope="row"><?php esc_html_e( 'Service basic fee', 'vk-booking-manager' ); ?></th>
 						<td>
@@ -501,6 +581,32 @@ class Booking_Admin {
 							</p>
 						</td>
 					</tr>
+					<?php if ( ! empty( $payment ) ) : ?>
+						<tr>
+							<th scope="row"><?php esc_html_e( 'Online payment', 'vk-booking-manager' ); ?></th>
+							<td>
+								<span class="vkbm-booking-meta__value"><?php echo esc_html( $this->get_payment_status_label( (string) $payment['status'] ) ); ?></span>
+								<?php echo esc_html( VKBM_Helper::format_currency( (int) $payment['amount'] ) ); ?>
+								<p class="description">
+									<?php echo esc_html( (string) $payment['gateway_label'] ); ?>
+									<?php if ( '' !== (string) $payment['reference'] ) : ?>
+										/ <code><?php echo esc_html( (string) $payment['reference'] ); ?></code>
+									<?php endif; ?>
+								</p>
+								<?php if ( Payment_Service::STATUS_AWAITING === $payment['status'] ) : ?>
+									<label>
+										<input type="checkbox" name="vkbm_booking[payment_action]" value="mark_paid" />
+										<?php esc_html_e( 'Record as paid (received outside online payment)', 'vk-booking-manager' ); ?>
+									</label>
+								<?php elseif ( Payment_Service::STATUS_PAID === $payment['status'] ) : ?>
+									<label>
+										<input type="checkbox" name="vkbm_booking[payment_action]" value="refund" />
+										<?php esc_html_e( 'Refund this payment when saving', 'vk-booking-manager' ); ?>
+									</label>
+								<?php endif; ?>
+							</td>
+						</tr>
+					<?php endif; ?>
 					<tr>
 						<th scope="row"><label for="vkbm-booking-customer"><?php esc_html_e( 'customer name', 'vk-booking-manager' ); ?></label></th>
 						<td>
@@ -605,9 +711,56 @@ class Booking_Admin {
 			return;
 		}
 
-		$raw  = isset( $_POST['vkbm_booking'] ) && is_array( $_POST['vkbm_booking'] ) ? wp_unslash( $_POST['vkbm_booking'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by sanitize_booking_post_data().
-		$data = $this->sanitize_booking_post_data( $raw );
+		$raw    = isset( $_POST['vkbm_booking'] ) && is_array( $_POST['vkbm_booking'] ) ? wp_unslash( $_POST['vkbm_booking'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by save_booking().
+		$result = $this->save_booking( $post_id, $raw );
+
+		if ( is_wp_error( $result ) ) {
+			$this->set_admin_notice( $post_id, $result->get_error_message(), self::ADMIN_NOTICE_TYPE_ERROR );
+			return;
+		}
+
+		$warnings = array();
+		if ( $result['has_staff_conflict'] ) {
+			$warnings[] = $this->get_staff_conflict_message( (int) $result['resource_id'], self::ADMIN_NOTICE_TYPE_WARNING );
+		}
+		if ( $result['has_facility_conflict'] ) {
+			$warnings[] = $this->get_facility_conflict_message( (int) $result['facility_id'], self::ADMIN_NOTICE_TYPE_WARNING );
+		}
+		if ( array() !== $warnings ) {
+			$this->set_admin_notice( $post_id, implode( ' ', $warnings ), self::ADMIN_NOTICE_TYPE_WARNING );
+		}
+
+		if ( $this->payment_service && 'mark_paid' === $result['payment_action'] ) {
+			$this->payment_service->mark_paid( $post_id );
+		} elseif ( $this->payment_service && 'refund' === $result['payment_action'] ) {
+			$refund = $this->payment_service->refund( $post_id );
+			if ( is_wp_error( $refund ) ) {
+				$this->set_admin_notice( $post_id, $refund->get_error_message(), self::ADMIN_NOTICE_TYPE_ERROR );
+			}
+		}
+	}
+
+	/**
+	 * Save booking fields with the same sanitization and staff conflict rules as the edit screen.
+	 *
+	 * Shared by the meta box and the admin bookings REST API. Field names follow the
+	 * meta box form (date, start_time, end_time, resource_id, service_id, customer, ...).
+	 * When no facility is selected and the menu requires one, a free facility is assigned;
+	 * facility overlaps follow the same setting as staff overlaps.
+	 * The payment action is returned for the caller to handle.
+	 * 編集画面と REST API で共通の保存処理です。施設が必要なメニューで未選択の場合は空き施設を割り当てます。
+	 *
+	 * @param int                  $post_id Booking post ID.
+	 * @param array<string, mixed> $raw     Unsanitized booking fields.
+	 * @return array<string, mixed>|WP_Error Sanitized data with `has_staff_conflict` and `has_facility_conflict` (allowed overlaps), or a 409 error when the staff or facility is double-booked and overlaps are not allowed.
+	 */
+	public function save_booking( int $post_id, array $raw ) {
+		$post = get_post( $post_id );
+		if ( ! $post instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $post->post_type ) {
+			return new WP_Error( 'booking_not_found', __( 'Reservation not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
 
+		$data            = $this->sanitize_booking_post_data( $raw );
 		$previous_status = (string) get_post_meta( $post_id, self::META_STATUS, true );
 
 		$date       = $data['date'];
@@ -632,19 +785,42 @@ class Booking_Admin {
 		$is_preferred         = $data['is_staff_preferred'];
 		$author_id            = $this->sanitize_author_id( $data['author_id'] );
 		$attachment_ids       = $data['attachment_ids'];
+		$party_size           = $data['party_size'];
+		$facility_id          = $data['facility_id'];
 
-		$has_conflict        = $this->has_staff_conflict( $post_id, $resource_id, $start, $end );
-		$settings            = ( new Settings_Repository() )->get_settings();
-		$allow_overlap_admin = ! empty( $settings['provider_allow_staff_overlap_admin'] );
+		$conflict     = $this->check_staff_conflict( $post_id, $raw );
+		$has_conflict = $conflict['has_conflict'];
 
-		if ( $has_conflict && ! $allow_overlap_admin ) {
-			$this->set_staff_conflict_notice( $post_id, $resource_id, self::ADMIN_NOTICE_TYPE_ERROR );
-			return;
+		if ( $conflict['blocked'] ) {
+			return new WP_Error(
+				'booking_staff_conflict',
+				$conflict['message'],
+				array(
+					'status'      => 409,
+					'resource_id' => $resource_id,
+				)
+			);
+		}
+
+		$facility = array(
+			'facility_id'  => $facility_id,
+			'has_conflict' => false,
+		);
+		if ( ! in_array( $status, array( self::STATUS_CANCELLED, self::STATUS_NO_SHOW ), true ) ) {
+			$facility = $this->resolve_facility( $post_id, $this->get_booking_menu_ids( $post_id, $service_id ), $start, $end, $facility_id );
 		}
 
-		if ( $has_conflict && $allow_overlap_admin ) {
-			$this->set_staff_conflict_notice( $post_id, $resource_id, self::ADMIN_NOTICE_TYPE_WARNING );
+		if ( $facility['has_conflict'] && $this->is_admin_overlap_blocked() ) {
+			return new WP_Error(
+				'booking_facility_conflict',
+				$this->get_facility_conflict_message( $facility_id, self::ADMIN_NOTICE_TYPE_ERROR ),
+				array(
+					'status'      => 409,
+					'facility_id' => $facility_id,
+				)
+			);
 		}
+		$facility_id = $facility['facility_id'];
 
 		// 基本料金は管理画面から編集させない（POST値は信頼しない）.
 		// 予約時点のスナップショットは後から更新しない（過去データで未保存の場合のみ補完する）.
@@ -696,12 +872,251 @@ class Booking_Admin {
 		$this->update_meta_value( $post_id, self::META_NOTE, $note );
 		$this->update_meta_value( $post_id, self::META_INTERNAL_NOTE, $internal_note );
 		$this->update_meta_value( $post_id, self::META_IS_PREFERRED, $is_preferred );
+		update_post_meta( $post_id, Slot_Capacity::BOOKING_META_PARTY_SIZE, $party_size );
+		$this->update_meta_value( $post_id, Facility_Availability::BOOKING_META_FACILITY, $facility_id );
 
 		$this->maybe_update_post_title( $post_id, $post, $customer, $start );
 
 		if ( $this->notification_service ) {
 			$this->notification_service->handle_status_transition( $post_id, $previous_status, $status );
 		}
+
+		$released_statuses = array( self::STATUS_CANCELLED, self::STATUS_NO_SHOW );
+		if ( $this->waitlist_service && in_array( $status, $released_statuses, true ) && ! in_array( $previous_status, $released_statuses, true ) ) {
+			// Offer the freed slot to waitlisted customers. / 空いた枠を空き待ちの顧客に案内する.
+			$this->waitlist_service->handle_slot_released( $post_id );
+		}
+
+		$data['service_id']            = $service_id;
+		$data['author_id']             = $author_id;
+		$data['facility_id']           = $facility_id;
+		$data['has_staff_conflict']    = $has_conflict;
+		$data['has_facility_conflict'] = $facility['has_conflict'];
+
+		return $data;
+	}
+
+	/**
+	 * Check a booking for staff double-booking without saving it.
+	 *
+	 * Uses the same rules as save_booking(), so a front-desk screen can warn before submitting.
+	 * 保存前に save_booking() と同じ基準でスタッフの重複予約を確認します。
+	 *
+	 * @param int                  $post_id Booking being edited (0 for a new booking).
+	 * @param array<string, mixed> $raw     Unsanitized booking fields.
+	 * @return array{has_conflict: bool, blocked: bool, message: string} `blocked` is true when overlaps are not allowed in the admin.
+	 */
+	public function check_staff_conflict( int $post_id, array $raw ): array {
+		$data       = $this->sanitize_booking_post_data( $raw );
+		$start      = ( $data['date'] && $data['start_time'] ) ? $this->combine_datetime( $data['date'], $data['start_time'] ) : '';
+		$end        = ( $data['date'] && $data['end_time'] ) ? $this->combine_datetime( $data['date'], $data['end_time'] ) : '';
+		$service_id = $data['allow_service_change'] ? $data['service_id_select'] : $data['service_id'];
+
+		$has_conflict = $this->has_staff_conflict( $post_id, $data['resource_id'], $start, $end, $service_id, $data['party_size'] );
+		if ( ! $has_conflict ) {
+			return array(
+				'has_conflict' => false,
+				'blocked'      => false,
+				'message'      => '',
+			);
+		}
+
+		$blocked = $this->is_admin_overlap_blocked();
+
+		return array(
+			'has_conflict' => true,
+			'blocked'      => $blocked,
+			'message'      => $this->get_staff_conflict_message( $data['resource_id'], $blocked ? self::ADMIN_NOTICE_TYPE_ERROR : self::ADMIN_NOTICE_TYPE_WARNING ),
+		);
+	}
+
+	/**
+	 * Read a stored booking in save_booking() field names.
+	 *
+	 * Callers overlay their changes on this so omitted fields keep their values.
+	 * 部分更新時に未指定の項目を維持するため、保存済みの値をフォーム項目名で返します。
+	 *
+	 * @param WP_Post $post Booking post.
+	 * @return array<string, mixed>
+	 */
+	public function get_form_fields( WP_Post $post ): array {
+		$booking_id = (int) $post->ID;
+		$start      = (string) get_post_meta( $booking_id, self::META_DATE_START, true );
+		$end        = (string) get_post_meta( $booking_id, self::META_DATE_END, true );
+		$fields     = array(
+			'date'               => '' !== $start ? substr( $start, 0, 10 ) : '',
+			'start_time'         => '' !== $start ? substr( $start, 11, 5 ) : '',
+			'end_time'           => '' !== $end ? substr( $end, 11, 5 ) : '',
+			'resource_id'        => (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true ),
+			'service_id'         => (int) get_post_meta( $booking_id, self::META_SERVICE_ID, true ),
+			'customer'           => (string) get_post_meta( $booking_id, self::META_CUSTOMER, true ),
+			'customer_tel'       => (string) get_post_meta( $booking_id, self::META_CUSTOMER_TEL, true ),
+			'customer_email'     => (string) get_post_meta( $booking_id, self::META_CUSTOMER_MAIL, true ),
+			'billed_total_price' => (string) get_post_meta( $booking_id, self::META_BILLED_TOTAL_PRICE, true ),
+			'status'             => (string) get_post_meta( $booking_id, self::META_STATUS, true ),
+			'note'               => (string) get_post_meta( $booking_id, self::META_NOTE, true ),
+			'internal_note'      => (string) get_post_meta( $booking_id, self::META_INTERNAL_NOTE, true ),
+			'author_id'          => (int) $post->post_author,
+			'attachment_ids'     => (array) get_post_meta( $booking_id, self::META_ATTACHMENTS, true ),
+			'party_size'         => get_post_meta( $booking_id, Slot_Capacity::BOOKING_META_PARTY_SIZE, true ),
+			'facility_id'        => (int) get_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, true ),
+		);
+
+		// The checkbox field is only present when checked. / チェックボックスはオンのときのみ送信される.
+		if ( '1' === (string) get_post_meta( $booking_id, self::META_IS_PREFERRED, true ) ) {
+			$fields['is_staff_preferred'] = '1';
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Trash or permanently delete a booking.
+	 *
+	 * An active booking frees its slot, so listeners are told it was cancelled
+	 * and the time is offered to waitlisted customers, as when it is cancelled.
+	 * 有効な予約の削除はキャンセルと同様に通知し、空いた枠を空き待ちの顧客に案内します。
+	 *
+	 * @param int  $post_id Booking post ID.
+	 * @param bool $force   Delete permanently instead of moving to the trash.
+	 * @return bool Whether the booking was removed.
+	 */
+	public function delete_booking( int $post_id, bool $force ): bool {
+		$status    = (string) get_post_meta( $post_id, self::META_STATUS, true );
+		$is_active = 'trash' !== get_post_status( $post_id ) && ! in_array( $status, array( self::STATUS_CANCELLED, self::STATUS_NO_SHOW ), true );
+		$start     = (string) get_post_meta( $post_id, self::META_DATE_START, true );
+		$staff_id  = (int) get_post_meta( $post_id, self::META_RESOURCE_ID, true );
+
+		// The payload is read before the booking is gone. / 削除前に予約データを通知する.
+		if ( $is_active && $this->notification_service ) {
+			$this->notification_service->handle_deletion( $post_id, $force );
+		}
+
+		$result = $force ? wp_delete_post( $post_id, true ) : wp_trash_post( $post_id );
+		if ( ! $result ) {
+			return false;
+		}
+
+		// Offer the freed slot once the booking no longer blocks it. / 予約が枠を占有しなくなってから空き待ちに案内する.
+		if ( $is_active && $this->waitlist_service && '' !== $start ) {
+			$this->waitlist_service->handle_time_released( $start, $staff_id );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Move a booking to another time or staff member, keeping its buffer time.
+	 *
+	 * Used by drag-and-drop on the shift dashboard. Staff overlaps follow the
+	 * same rules as save_booking(); shift hours are checked by the caller.
+	 * The facility is picked again for the new time, keeping the current one when free.
+	 * シフト表のドラッグ操作で予約の日時・担当を変更します。
+	 *
+	 * @param int    $post_id         Booking post ID.
+	 * @param string $start           New service start (Y-m-d H:i:s).
+	 * @param string $end             New service end (Y-m-d H:i:s).
+	 * @param int    $resource_id     New staff ID.
+	 * @param bool   $notify_customer Whether to send the change notification to the customer.
+	 * @return array{start: string, end: string, total_end: string, resource_id: int, facility_id: int, has_staff_conflict: bool}|WP_Error
+	 */
+	public function move_booking( int $post_id, string $start, string $end, int $resource_id, bool $notify_customer ) {
+		$post = get_post( $post_id );
+		if ( ! $post instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $post->post_type ) {
+			return new WP_Error( 'booking_not_found', __( 'The target reservation could not be retrieved.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		$status = (string) get_post_meta( $post_id, self::META_STATUS, true );
+		if ( in_array( $status, array( self::STATUS_CANCELLED, self::STATUS_NO_SHOW ), true ) ) {
+			return new WP_Error( 'booking_not_movable', __( 'Cancelled reservations cannot be moved.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+		}
+
+		$timezone = wp_timezone();
+		$start_dt = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start, $timezone );
+		$end_dt   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $end, $timezone );
+		if ( ! $start_dt || ! $end_dt || $end_dt <= $start_dt ) {
+			return new WP_Error( 'invalid_time_range', __( 'The end time must be later than the start time.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$resource_id = $this->sanitize_resource_id( $resource_id );
+		if ( $resource_id <= 0 ) {
+			return new WP_Error( 'invalid_resource', __( 'The selected staff member could not be found.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$previous_start = (string) get_post_meta( $post_id, self::META_DATE_START, true );
+		$previous_end   = (string) get_post_meta( $post_id, self::META_DATE_END, true );
+		$previous_staff = (int) get_post_meta( $post_id, self::META_RESOURCE_ID, true );
+
+		// Keep the cleanup buffer that followed the service. / 施術後のバッファ時間を維持する.
+		$buffer_seconds = 0;
+		$previous_total = (string) get_post_meta( $post_id, self::META_TOTAL_END, true );
+		if ( '' !== $previous_end && '' !== $previous_total ) {
+			$buffer_seconds = max( 0, (int) strtotime( $previous_total ) - (int) strtotime( $previous_end ) );
+		}
+		$total_end = $end_dt->modify( sprintf( '+%d seconds', $buffer_seconds ) )->format( 'Y-m-d H:i:s' );
+
+		$has_conflict = $this->has_staff_conflict(
+			$post_id,
+			$resource_id,
+			$start,
+			$total_end,
+			(int) get_post_meta( $post_id, self::META_SERVICE_ID, true ),
+			Slot_Capacity::get_party_size( $post_id )
+		);
+		if ( $has_conflict ) {
+			$settings = ( new Settings_Repository() )->get_settings();
+			if ( empty( $settings['provider_allow_staff_overlap_admin'] ) ) {
+				return new WP_Error(
+					'booking_staff_conflict',
+					$this->get_staff_conflict_message( $resource_id, self::ADMIN_NOTICE_TYPE_ERROR ),
+					array(
+						'status'      => 409,
+						'resource_id' => $resource_id,
+					)
+				);
+			}
+		}
+
+		// Keep the current facility when it is free at the new time. / 変更後も同じ施設が空いていれば引き継ぐ.
+		$facility_id = ( new Facility_Availability() )->pick_facility(
+			$this->get_booking_menu_ids( $post_id, (int) get_post_meta( $post_id, self::META_SERVICE_ID, true ) ),
+			$start,
+			$total_end,
+			$post_id,
+			(int) get_post_meta( $post_id, Facility_Availability::BOOKING_META_FACILITY, true )
+		);
+		if ( null === $facility_id ) {
+			return new WP_Error(
+				'facility_unavailable',
+				__( 'No room or equipment is available for the selected time. Please choose a different time.', 'vk-booking-manager' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		// The change notification shows the previous date and time. / 変更通知に変更前の日時を表示する.
+		update_post_meta( $post_id, '_vkbm_booking_previous_start', $previous_start );
+		update_post_meta( $post_id, '_vkbm_booking_previous_end', $previous_end );
+		update_post_meta( $post_id, self::META_DATE_START, $start );
+		update_post_meta( $post_id, self::META_DATE_END, $end );
+		update_post_meta( $post_id, self::META_TOTAL_END, $total_end );
+		update_post_meta( $post_id, self::META_RESOURCE_ID, $resource_id );
+		$this->update_meta_value( $post_id, Facility_Availability::BOOKING_META_FACILITY, $facility_id );
+
+		if ( $this->notification_service ) {
+			$this->notification_service->handle_reschedule( $post_id, $notify_customer );
+		}
+		if ( $this->waitlist_service && '' !== $previous_start ) {
+			$this->waitlist_service->handle_time_released( $previous_start, $previous_staff );
+		}
+
+		return array(
+			'start'              => $start,
+			'end'                => $end,
+			'total_end'          => $total_end,
+			'resource_id'        => $resource_id,
+			'facility_id'        => $facility_id,
+			'has_staff_conflict' => $has_conflict,
+		);
 	}
 
 	/**
@@ -922,7 +1337,7 @@ class Booking_Admin {
 	 * Sanitize raw booking POST data. All values are sanitized at read time.
 	 *
 	 * @param array<string, mixed> $raw Raw POST data.
-	 * @return array<string, mixed> Sanitized data with keys: date, start_time, end_time, resource_id, service_id, service_id_select, allow_service_change, customer, customer_tel, customer_email, billed_total_price, status, note, internal_note, is_staff_preferred, author_id, attachment_ids.
+	 * @return array<string, mixed> Sanitized data with keys: date, start_time, end_time, resource_id, service_id, service_id_select, allow_service_change, customer, customer_tel, customer_email, billed_total_price, status, note, internal_note, is_staff_preferred, author_id, attachment_ids, party_size, facility_id, payment_action.
 	 */
 	private function sanitize_booking_post_data( array $raw ): array {
 		$date                 = isset( $raw['date'] ) ? $this->sanitize_date( sanitize_text_field( (string) $raw['date'] ) ) : '';
@@ -942,6 +1357,9 @@ class Booking_Admin {
 		$is_staff_preferred   = isset( $raw['is_staff_preferred'] ) ? '1' : '';
 		$author_id            = isset( $raw['author_id'] ) ? absint( $raw['author_id'] ) : 0;
 		$attachment_ids       = isset( $raw['attachment_ids'] ) ? $this->normalize_attachment_ids( $raw['attachment_ids'] ) : array();
+		$party_size           = Slot_Capacity::normalize_seats( $raw['party_size'] ?? 1 );
+		$facility_id          = isset( $raw['facility_id'] ) ? $this->sanitize_facility_id( (int) $raw['facility_id'] ) : 0;
+		$payment_action       = isset( $raw['payment_action'] ) ? sanitize_key( (string) $raw['payment_action'] ) : '';
 
 		return array(
 			'date'                 => $date,
@@ -961,6 +1379,9 @@ class Booking_Admin {
 			'is_staff_preferred'   => $is_staff_preferred,
 			'author_id'            => $author_id,
 			'attachment_ids'       => $attachment_ids,
+			'party_size'           => $party_size,
+			'facility_id'          => $facility_id,
+			'payment_action'       => in_array( $payment_action, array( 'mark_paid', 'refund' ), true ) ? $payment_action : '',
 		);
 	}
 
@@ -1200,13 +1621,19 @@ class Booking_Admin {
 	/**
 	 * Determine if staff already has another booking overlapping the slot.
 	 *
-	 * @param int    $post_id   Current booking post ID.
-	 * @param int    $staff_id  Staff post ID.
-	 * @param string $start_at  Slot start (Y-m-d H:i:s).
-	 * @param string $end_at    Slot end (Y-m-d H:i:s).
+	 * Bookings of a group menu may share the same start time until the menu
+	 * capacity is reached.
+	 * グループメニューは定員に達するまで同じ開始時刻の予約を重ねられる.
+	 *
+	 * @param int    $post_id    Current booking post ID.
+	 * @param int    $staff_id   Staff post ID.
+	 * @param string $start_at   Slot start (Y-m-d H:i:s).
+	 * @param string $end_at     Slot end (Y-m-d H:i:s).
+	 * @param int    $menu_id    Menu of the current booking (0 = exclusive).
+	 * @param int    $party_size Seats the current booking takes.
 	 * @return bool
 	 */
-	protected function has_staff_conflict( int $post_id, int $staff_id, string $start_at, string $end_at ): bool {
+	protected function has_staff_conflict( int $post_id, int $staff_id, string $start_at, string $end_at, int $menu_id = 0, int $party_size = 1 ): bool {
 		if ( $staff_id <= 0 || '' === $start_at ) {
 			return false;
 		}
@@ -1220,7 +1647,7 @@ class Booking_Admin {
 			array(
 				'post_type'      => Booking_Post_Type::POST_TYPE,
 				'post_status'    => array( 'publish' ),
-				'posts_per_page' => 1,
+				'posts_per_page' => -1,
 				'no_found_rows'  => true,
 				'fields'         => 'ids',
 				'post__not_in'   => array( $post_id ),
@@ -1264,17 +1691,17 @@ class Booking_Admin {
 			)
 		);
 
-		return $query->have_posts();
+		return ! Slot_Capacity::can_join( array_map( 'intval', $query->posts ), $start_at, $menu_id, $party_size );
 	}
 
 	/**
-	 * Persist staff conflict notice and enqueue redirect flag.
+	 * Build the staff conflict message.
 	 *
-	 * @param int    $post_id     Booking post ID.
 	 * @param int    $staff_id    Selected staff ID.
-	 * @param string $notice_type Notice type.
+	 * @param string $notice_type Notice type (error = blocked, warning = allowed overlap).
+	 * @return string
 	 */
-	private function set_staff_conflict_notice( int $post_id, int $staff_id, string $notice_type ): void {
+	private function get_staff_conflict_message( int $staff_id, string $notice_type ): string {
 		$label = vkbm_get_resource_label_singular();
 		$name  = $staff_id > 0 ? (string) get_the_title( $staff_id ) : '';
 
@@ -1310,6 +1737,114 @@ class Booking_Admin {
 			}
 		}
 
+		return $message;
+	}
+
+	/**
+	 * Build the facility conflict message.
+	 *
+	 * @param int    $facility_id Selected facility ID (0 when none was free to assign).
+	 * @param string $notice_type Notice type (error = blocked, warning = allowed overlap).
+	 * @return string
+	 */
+	private function get_facility_conflict_message( int $facility_id, string $notice_type ): string {
+		$name = $facility_id > 0 ? (string) get_the_title( $facility_id ) : '';
+
+		if ( '' === $name ) {
+			return self::ADMIN_NOTICE_TYPE_WARNING === $notice_type
+				? __( 'No facility required by this menu is free in the same time slot, so none was assigned.', 'vk-booking-manager' )
+				: __( 'No facility required by this menu is free in the same time slot.', 'vk-booking-manager' );
+		}
+
+		if ( self::ADMIN_NOTICE_TYPE_WARNING === $notice_type ) {
+			/* translators: %s: facility name */
+			return sprintf( __( 'This facility (%s) has another reservation for the same time slot.', 'vk-booking-manager' ), $name );
+		}
+
+		/* translators: %s: facility name */
+		return sprintf( __( 'The selected facility (%s) cannot be specified because there is another reservation in the same time slot.', 'vk-booking-manager' ), $name );
+	}
+
+	/**
+	 * Whether staff and facility overlaps are refused in the admin.
+	 *
+	 * @return bool
+	 */
+	private function is_admin_overlap_blocked(): bool {
+		$settings = ( new Settings_Repository() )->get_settings();
+
+		return empty( $settings['provider_allow_staff_overlap_admin'] );
+	}
+
+	/**
+	 * Menus of a booking with the primary menu first.
+	 *
+	 * @param int $post_id    Booking post ID.
+	 * @param int $service_id Primary menu ID.
+	 * @return array<int>
+	 */
+	private function get_booking_menu_ids( int $post_id, int $service_id ): array {
+		$menu_ids = array();
+		foreach ( Booking_Line_Items::get_for_booking( $post_id ) as $line_item ) {
+			$menu_ids[] = (int) $line_item['menu_id'];
+		}
+
+		return Booking_Line_Items::normalize_menu_ids( $menu_ids, $service_id );
+	}
+
+	/**
+	 * Facility to save for a booking, and whether it overlaps another reservation.
+	 *
+	 * Without a selection, a free facility is assigned for menus that require one
+	 * (a conflict when none is free). A selected facility is kept and checked as is.
+	 * 未選択なら空き施設を割り当て、選択済みならその施設の空きを確認します。
+	 *
+	 * @param int        $post_id     Booking post ID.
+	 * @param array<int> $menu_ids    Booked menu IDs (primary first).
+	 * @param string     $start_at    Start (Y-m-d H:i:s).
+	 * @param string     $end_at      End including buffer (Y-m-d H:i:s).
+	 * @param int        $facility_id Selected facility (0 = none).
+	 * @return array{facility_id: int, has_conflict: bool}
+	 */
+	private function resolve_facility( int $post_id, array $menu_ids, string $start_at, string $end_at, int $facility_id ): array {
+		$availability = new Facility_Availability();
+
+		if ( '' === $start_at ) {
+			return array(
+				'facility_id'  => $facility_id,
+				'has_conflict' => false,
+			);
+		}
+
+		if ( $facility_id <= 0 ) {
+			$picked = $availability->pick_facility( $menu_ids, $start_at, $end_at, $post_id );
+
+			return array(
+				'facility_id'  => (int) $picked,
+				'has_conflict' => null === $picked,
+			);
+		}
+
+		$timezone = wp_timezone();
+		$start    = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start_at, $timezone );
+		$end      = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', '' !== $end_at ? $end_at : $start_at, $timezone );
+		$menu_id  = 1 === count( $menu_ids ) ? (int) $menu_ids[0] : 0;
+		$capacity = $menu_id > 0 ? Slot_Capacity::get_menu_capacity( $menu_id ) : 1;
+
+		return array(
+			'facility_id'  => $facility_id,
+			'has_conflict' => $start && $end && array() === $availability->find_free_facility_ids( array( $facility_id ), $start, $end, $menu_id, $capacity, $post_id ),
+		);
+	}
+
+	/**
+	 * Persist a notice for the booking edit screen and enqueue redirect flag.
+	 *
+	 * @param int    $post_id     Booking post ID.
+	 * @param string $message     Notice message.
+	 * @param string $notice_type Notice type.
+	 */
+	private function set_admin_notice( int $post_id, string $message, string $notice_type ): void {
 		$user_id = get_current_user_id();
 		$key     = self::ADMIN_NOTICE_TRANSIENT_PREFIX . $user_id . '_' . $post_id;
 		set_transient(
@@ -1511,6 +2046,21 @@ class Booking_Admin {
 		return ( $post && Service_Menu_Post_Type::POST_TYPE === $post->post_type ) ? $service_id : 0;
 	}
 
+	/**
+	 * Ensure facility ID is valid.
+	 *
+	 * @param int $facility_id Facility post ID.
+	 * @return int
+	 */
+	private function sanitize_facility_id( int $facility_id ): int {
+		if ( $facility_id <= 0 ) {
+			return 0;
+		}
+
+		$post = get_post( $facility_id );
+		return ( $post && Facility_Post_Type::POST_TYPE === $post->post_type ) ? $facility_id : 0;
+	}
+
 	/**
 	 * Sanitize booking status.
 	 *
@@ -1529,7 +2079,7 @@ class Booking_Admin {
 	 *
 	 * @return array<string, string>
 	 */
-	private function get_status_options(): array {
+	public function get_status_options(): array {
 		return array(
 			self::STATUS_CONFIRMED => __( 'Confirmed', 'vk-booking-manager' ),
 			self::STATUS_PENDING   => __( 'Pending', 'vk-booking-manager' ),
@@ -1538,6 +2088,23 @@ class Booking_Admin {
 		);
 	}
 
+	/**
+	 * Retrieve the label of an online payment status.
+	 *
+	 * @param string $status Payment status.
+	 * @return string
+	 */
+	private function get_payment_status_label( string $status ): string {
+		$labels = array(
+			Payment_Service::STATUS_AWAITING => __( 'Awaiting payment', 'vk-booking-manager' ),
+			Payment_Service::STATUS_PAID     => __( 'Paid', 'vk-booking-manager' ),
+			Payment_Service::STATUS_EXPIRED  => __( 'Payment expired', 'vk-booking-manager' ),
+			Payment_Service::STATUS_REFUNDED => __( 'Refunded', 'vk-booking-manager' ),
+		);
+
+		return $labels[ $status ] ?? $status;
+	}
+
 	/**
 	 * Fetch resource posts.
 	 *
@@ -1558,6 +2125,26 @@ class Booking_Admin {
 		);
 	}
 
+	/**
+	 * Fetch facility posts.
+	 *
+	 * @return array<int, WP_Post>
+	 */
+	private function get_facilities(): array {
+		return get_posts(
+			array(
+				'post_type'      => Facility_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'orderby'        => array(
+					'menu_order' => 'ASC',
+					'title'      => 'ASC',
+				),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+			)
+		);
+	}
+
 	/**
 	 * Fetch service menu posts.
 	 *
@@ -15,12 +15,16 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use DateTimeImmutable;
-use DateTimeZone;
-use Exception;
 use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Availability\Slot_Capacity;
+use VKBookingManager\Availability\Staff_Assignment_Strategy;
+use VKBookingManager\Calendar\External_Calendar_Sync;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\Facilities\Facility_Availability;
 use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Notifications\Sms_Channel;
+use VKBookingManager\Payments\Payment_Service;
 use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use VKBookingManager\Staff\Staff_Editor;
@@ -28,15 +32,21 @@ use WP_Error;
 use WP_REST_Request;
 use WP_REST_Response;
 use WP_REST_Server;
+use WP_Post;
 use WP_Query;
 use WP_User;
 use function __;
 use function delete_post_meta;
 use function delete_transient;
+use function get_post;
 use function get_post_meta;
+use function maybe_unserialize;
 use function get_transient;
+use function get_user_meta;
 use function get_users;
+use function is_email;
 use function is_user_logged_in;
+use function sanitize_email;
 use function sanitize_key;
 use function sanitize_text_field;
 use function sanitize_textarea_field;
@@ -44,10 +54,14 @@ use function current_user_can;
 use function get_current_user_id;
 use function vkbm_get_resource_label_singular;
 use function wp_get_current_user;
+use function wp_generate_uuid4;
+use function wp_delete_post;
 use function wp_insert_post;
 use function update_post_meta;
+use function update_user_meta;
 use function wp_date;
 use function strtotime;
+use function wp_timezone;
 use function wp_unslash;
 
 /**
@@ -77,6 +91,32 @@ class Booking_Confirmation_Controller {
 	private const BOOKING_STATUS_PENDING         = 'pending';
 	private const OWNER_COOKIE                   = 'vkbm_draft_owner';
 
+	/**
+	 * Booking meta copied from the first booking to the rest of a series.
+	 *
+	 * Payment, guest link and reschedule history stay with the first booking.
+	 * 決済・ゲスト用リンク・日時変更履歴は初回予約のみに残します。
+	 */
+	private const SERIES_COPY_META_KEYS = array(
+		self::META_RESOURCE_ID,
+		self::META_SERVICE_ID,
+		self::META_CUSTOMER,
+		self::META_CUSTOMER_TEL,
+		self::META_CUSTOMER_MAIL,
+		self::META_STATUS,
+		self::META_NOTE,
+		self::META_INTERNAL_NOTE,
+		self::META_IS_PREFERRED,
+		self::META_NOMINATION_FEE,
+		self::META_SERVICE_BASE_PRICE,
+		self::META_BASE_TOTAL_PRICE,
+		Booking_Line_Items::META_KEY,
+		Slot_Capacity::BOOKING_META_PARTY_SIZE,
+		Sms_Channel::META_OPT_IN,
+		'_vkbm_booking_agreed_cancellation_policy',
+		'_vkbm_booking_agreed_terms_of_service',
+	);
+
 	/**
 	 * Availability service.
 	 *
@@ -84,6 +124,13 @@ class Booking_Confirmation_Controller {
 	 */
 	private $availability_service;
 
+	/**
+	 * Slot validator.
+	 *
+	 * @var Booking_Slot_Validator
+	 */
+	private $slot_validator;
+
 	/**
 	 * Notification handler.
 	 *
@@ -98,21 +145,48 @@ class Booking_Confirmation_Controller {
 	 */
 	private $settings_repository;
 
+	/**
+	 * Payment service.
+	 *
+	 * @var Payment_Service|null
+	 */
+	private $payment_service;
+
+	/**
+	 * Facility free/busy lookups.
+	 *
+	 * @var Facility_Availability
+	 */
+	private $facility_availability;
+
+	/**
+	 * Auto-assignment ordering.
+	 *
+	 * @var Staff_Assignment_Strategy
+	 */
+	private $assignment_strategy;
+
 	/**
 	 * Constructor.
 	 *
 	 * @param Booking_Notification_Service $notification_service Notification handler.
 	 * @param Settings_Repository          $settings_repository  Provider settings repository.
 	 * @param Availability_Service|null    $availability_service Availability service.
+	 * @param Payment_Service|null         $payment_service      Payment service.
 	 */
 	public function __construct(
 		Booking_Notification_Service $notification_service,
 		Settings_Repository $settings_repository,
-		?Availability_Service $availability_service = null
+		?Availability_Service $availability_service = null,
+		?Payment_Service $payment_service = null
 	) {
-		$this->notification_service = $notification_service;
-		$this->settings_repository  = $settings_repository;
-		$this->availability_service = null !== $availability_service ? $availability_service : new Availability_Service( $settings_repository );
+		$this->notification_service  = $notification_service;
+		$this->settings_repository   = $settings_repository;
+		$this->availability_service  = null !== $availability_service ? $availability_service : new Availability_Service( $settings_repository );
+		$this->slot_validator        = new Booking_Slot_Validator( $this->availability_service );
+		$this->payment_service       = $payment_service;
+		$this->facility_availability = new Facility_Availability();
+		$this->assignment_strategy   = new Staff_Assignment_Strategy( $settings_repository );
 	}
 
 	/**
@@ -135,6 +209,39 @@ class Booking_Confirmation_Controller {
 				'permission_callback' => '__return_true',
 			)
 		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/bookings/recurrence',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'check_recurrence' ),
+				'permission_callback' => '__return_true',
+				'args'                => array(
+					'token'          => array(
+						'type'     => 'string',
+						'required' => true,
+					),
+					'interval_weeks' => array(
+						'type'     => 'integer',
+						'required' => true,
+						'minimum'  => 1,
+						'maximum'  => Booking_Series::MAX_INTERVAL_WEEKS,
+					),
+					'count'          => array(
+						'type'     => 'integer',
+						'required' => true,
+						'minimum'  => 2,
+						'maximum'  => Booking_Series::MAX_OCCURRENCES,
+					),
+					'party_size'     => array(
+						'type'    => 'integer',
+						'minimum' => 1,
+						'maximum' => Slot_Capacity::MAX_CAPACITY,
+					),
+				),
+			)
+		);
 	}
 
 	/**
@@ -144,7 +251,8 @@ class Booking_Confirmation_Controller {
 	 * @return WP_REST_Response|WP_Error
 	 */
 	public function create_booking( WP_REST_Request $request ) {
-		if ( ! is_user_logged_in() ) {
+		$is_guest = ! is_user_logged_in();
+		if ( $is_guest && ! $this->is_guest_booking_allowed() ) {
 			return new WP_Error( 'not_logged_in', __( 'Login required.', 'vk-booking-manager' ), array( 'status' => 401 ) );
 		}
 
@@ -157,26 +265,9 @@ class Booking_Confirmation_Controller {
 			);
 		}
 
-		$draft = get_transient( $this->build_transient_key( $token ) );
-		if ( false === $draft ) {
-			return new WP_Error( 'draft_not_found', __( 'Temporary reservation data not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
-		}
-
-		if ( ! is_array( $draft ) ) {
-			return new WP_Error(
-				'invalid_draft',
-				__( 'Temporary reservation data contents are incomplete.', 'vk-booking-manager' ),
-				array( 'status' => 400 )
-			);
-		}
-
-		$draft = $this->backfill_draft_owner( $token, $draft );
-		if ( ! $this->can_access_draft( $draft ) ) {
-			return new WP_Error(
-				'forbidden_draft',
-				__( 'You do not have permission to access this temporary reservation data.', 'vk-booking-manager' ),
-				array( 'status' => 403 )
-			);
+		$draft = $this->load_draft( $token );
+		if ( is_wp_error( $draft ) ) {
+			return $draft;
 		}
 
 		$menu_id  = isset( $draft['menu_id'] ) ? (int) $draft['menu_id'] : 0;
@@ -193,13 +284,26 @@ class Booking_Confirmation_Controller {
 			);
 		}
 
-		$reservation_day_type = (string) get_post_meta( $menu_id, self::MENU_META_RESERVATION_DAY_TYPE, true );
-		if ( '' !== $reservation_day_type && ! $this->is_reservation_day_allowed( $reservation_day_type, $start_at ) ) {
-			return new WP_Error(
-				'invalid_reservation_day',
-				__( 'The selected date cannot be reserved. Please choose another date.', 'vk-booking-manager' ),
-				array( 'status' => 400 )
-			);
+		$menu_ids   = Booking_Line_Items::normalize_menu_ids( $draft['menu_ids'] ?? array(), $menu_id );
+		$recurrence = Booking_Series::normalize_rule( $request['recurrence'] ?? null );
+		if ( $is_guest && null !== $recurrence ) {
+			return new WP_Error( 'not_logged_in', __( 'Please log in to make recurring reservations.', 'vk-booking-manager' ), array( 'status' => 401 ) );
+		}
+
+		$party_size = $this->resolve_party_size( $request['party_size'] ?? 1, $menu_ids );
+		if ( is_wp_error( $party_size ) ) {
+			return $party_size;
+		}
+
+		foreach ( $menu_ids as $bundle_menu_id ) {
+			$reservation_day_type = (string) get_post_meta( $bundle_menu_id, self::MENU_META_RESERVATION_DAY_TYPE, true );
+			if ( '' !== $reservation_day_type && ! $this->is_reservation_day_allowed( $reservation_day_type, $start_at ) ) {
+				return new WP_Error(
+					'invalid_reservation_day',
+					__( 'The selected date cannot be reserved. Please choose another date.', 'vk-booking-manager' ),
+					array( 'status' => 400 )
+				);
+			}
 		}
 
 		$timezone = '';
@@ -208,7 +312,7 @@ class Booking_Confirmation_Controller {
 		}
 
 		// Re-check availability for the selected slot before confirming. / 予約確定前に空きを再検証します.
-		$available_slot = $this->revalidate_draft_slot( $menu_id, $staff_id, $slot, $timezone );
+		$available_slot = $this->slot_validator->validate( $menu_id, $staff_id, $slot, $timezone, $menu_ids, 0, $party_size );
 		if ( is_wp_error( $available_slot ) ) {
 			return $available_slot;
 		}
@@ -226,9 +330,11 @@ class Booking_Confirmation_Controller {
 			$staff_id = (int) $slot['staff']['id'];
 		}
 
+		$is_auto_assigned = false;
 		if ( $staff_id <= 0 && ! empty( $assignable_staff ) ) {
-			$staff_id           = $this->select_auto_assigned_staff( $assignable_staff, $start_at, $end_at );
+			$staff_id           = $this->select_auto_assigned_staff( $assignable_staff, $start_at, $end_at, $menu_id, $party_size );
 			$is_staff_preferred = false;
+			$is_auto_assigned   = $staff_id > 0;
 		}
 
 		// 無料版では選択可能スタッフの制限を解除.
@@ -295,6 +401,24 @@ class Booking_Confirmation_Controller {
 			}
 		}
 
+		if ( $is_guest ) {
+			// Guests enter their contact details on the confirmation screen. / ゲスト予約は確認画面で入力された連絡先を使用します.
+			$guest_contact = $this->resolve_guest_contact( $request );
+			if ( is_wp_error( $guest_contact ) ) {
+				return $guest_contact;
+			}
+
+			$customer_name_value = $guest_contact['name'];
+			$customer_email      = $guest_contact['email'];
+			$customer_phone      = $guest_contact['phone'];
+			$booking_author_id   = 0;
+		}
+
+		// Members' last choice is the default when the form does not send one. / フォームに指定がなければ会員の前回の選択を使います.
+		$sms_opt_in = $request->has_param( 'sms_opt_in' )
+			? ! empty( $request['sms_opt_in'] )
+			: $booking_author_id > 0 && '1' === (string) get_user_meta( $booking_author_id, Sms_Channel::USER_META_OPT_IN, true );
+
 		$settings              = $this->settings_repository->get_settings();
 		$requires_cancellation = '' !== trim( (string) ( $settings['provider_cancellation_policy'] ?? '' ) );
 		$requires_tos          = '' !== trim( (string) ( $settings['provider_terms_of_service'] ?? '' ) );
@@ -307,6 +431,21 @@ class Booking_Confirmation_Controller {
 			$initial_status        = self::BOOKING_STATUS_CONFIRMED;
 		}
 
+		// Reservations entered by staff are paid at the store. / スタッフが代理入力した予約は店頭払いとします.
+		$requires_payment = ! $can_override_contact && $this->payment_service && $this->payment_service->requires_payment( $menu_ids );
+		if ( $requires_payment && null !== $recurrence ) {
+			return new WP_Error(
+				'recurrence_payment_unsupported',
+				__( 'Recurring reservations are not available for menus that require online payment.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Payments are confirmed by the booking owner, so guests cannot pay online. / 決済確認は予約者本人のみのため、ゲストはオンライン決済できません.
+		if ( $requires_payment && $is_guest ) {
+			return new WP_Error( 'not_logged_in', __( 'Please log in to reserve menus that require online payment.', 'vk-booking-manager' ), array( 'status' => 401 ) );
+		}
+
 		if ( $requires_cancellation && ! $agree_cancellation ) {
 			return new WP_Error(
 				'cancellation_policy_required',
@@ -323,7 +462,7 @@ class Booking_Confirmation_Controller {
 			);
 		}
 
-		if ( ! $can_override_contact && $this->has_user_conflict( (int) $user->ID, $start_at, $end_at ) ) {
+		if ( ! $can_override_contact && ! $is_guest && $this->has_user_conflict( (int) $user->ID, $start_at, $end_at ) ) {
 			return new WP_Error(
 				'booking_time_conflict',
 				__( 'A reservation for the same date and time already exists. Please change the date and time.', 'vk-booking-manager' ),
@@ -338,6 +477,16 @@ class Booking_Confirmation_Controller {
 			);
 		}
 
+		// Assign a free room/chair when the menu needs one. / 施設が必要なメニューは空いている施設を割り当てます.
+		$facility_id = $this->facility_availability->pick_facility( $menu_ids, $this->format_datetime_for_storage( $start_at ), $this->format_datetime_for_storage( $end_at ) );
+		if ( null === $facility_id ) {
+			return new WP_Error(
+				'facility_unavailable',
+				__( 'No room or equipment is available for the selected time. Please choose a different time.', 'vk-booking-manager' ),
+				array( 'status' => 409 )
+			);
+		}
+
 		$booking_id = wp_insert_post(
 			array(
 				'post_type'   => Booking_Post_Type::POST_TYPE,
@@ -369,10 +518,22 @@ class Booking_Confirmation_Controller {
 		}
 		if ( $staff_id > 0 ) {
 			update_post_meta( $booking_id, self::META_RESOURCE_ID, $staff_id );
+		}
+		if ( $is_auto_assigned ) {
+			$this->assignment_strategy->remember_assignment( $staff_id );
+		}
+		if ( $facility_id > 0 ) {
+			update_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, $facility_id );
 		}
 			update_post_meta( $booking_id, self::META_SERVICE_ID, $menu_id );
 			$service_base_price = (int) get_post_meta( $menu_id, '_vkbm_base_price', true );
 			$service_base_price = max( 0, $service_base_price );
+		if ( count( $menu_ids ) > 1 ) {
+			// Bundles keep one line per menu and bill the summed price. / セット予約はメニューごとの明細と合計金額を保存します.
+			$line_items         = Booking_Line_Items::build_for_menus( $menu_ids );
+			$service_base_price = Booking_Line_Items::sum_price( $line_items );
+			update_post_meta( $booking_id, Booking_Line_Items::META_KEY, $line_items );
+		}
 			update_post_meta( $booking_id, self::META_SERVICE_BASE_PRICE, $service_base_price );
 			update_post_meta( $booking_id, self::META_CUSTOMER, $customer_name_value );
 			update_post_meta( $booking_id, self::META_CUSTOMER_MAIL, $customer_email );
@@ -381,8 +542,16 @@ class Booking_Confirmation_Controller {
 		} else {
 			delete_post_meta( $booking_id, self::META_CUSTOMER_TEL );
 		}
+		update_post_meta( $booking_id, Sms_Channel::META_OPT_IN, $sms_opt_in ? '1' : '' );
+		if ( ! $is_guest && ! $can_override_contact && $request->has_param( 'sms_opt_in' ) ) {
+			update_user_meta( (int) $user->ID, Sms_Channel::USER_META_OPT_IN, $sms_opt_in ? '1' : '' );
+		}
+		if ( $is_guest ) {
+			Guest_Booking_Link::mark_as_guest( (int) $booking_id );
+		}
 		update_post_meta( $booking_id, self::META_STATUS, $initial_status );
 		update_post_meta( $booking_id, self::META_IS_PREFERRED, $is_staff_preferred ? '1' : '' );
+		update_post_meta( $booking_id, Slot_Capacity::BOOKING_META_PARTY_SIZE, $party_size );
 		update_post_meta( $booking_id, '_vkbm_booking_agreed_cancellation_policy', $agree_cancellation ? '1' : '' );
 		update_post_meta( $booking_id, '_vkbm_booking_agreed_terms_of_service', $agree_tos ? '1' : '' );
 		$nomination_fee = isset( $draft['nomination_fee'] ) ? (int) $draft['nomination_fee'] : 0;
@@ -414,37 +583,330 @@ class Booking_Confirmation_Controller {
 			delete_post_meta( $booking_id, self::META_INTERNAL_NOTE );
 		}
 
+		$payment    = array();
+		$amount_due = $requires_payment ? Payment_Service::calculate_amount_due( $menu_ids, $base_total_price ) : 0;
+		if ( $amount_due > 0 ) {
+			// Hold the slot as pending until the gateway confirms. / 決済完了まで仮予約として枠を確保します.
+			$initial_status = self::BOOKING_STATUS_PENDING;
+			update_post_meta( $booking_id, self::META_STATUS, $initial_status );
+
+			$payment = $this->payment_service->start( (int) $booking_id, $amount_due );
+			if ( is_wp_error( $payment ) ) {
+				wp_delete_post( (int) $booking_id, true );
+				return $payment;
+			}
+		}
+
 		delete_transient( $this->build_transient_key( $token ) );
 
+		// Emails for prepaid bookings are sent once the payment completes. / 事前決済の予約は決済完了時に通知します.
+		if ( ! empty( $payment ) ) {
+			return new WP_REST_Response(
+				array(
+					'booking_id' => $booking_id,
+					'status'     => $initial_status,
+					'payment'    => $payment,
+				)
+			);
+		}
+
 		if ( self::BOOKING_STATUS_CONFIRMED === $initial_status ) {
 			$this->notification_service->handle_confirmed_creation( (int) $booking_id );
 		} else {
 			$this->notification_service->handle_pending_creation( (int) $booking_id );
 		}
 
+		$response = array(
+			'booking_id' => $booking_id,
+			'status'     => $initial_status,
+		);
+
+		if ( null !== $recurrence ) {
+			$conflict_user_id = $can_override_contact ? $matched_user_id : (int) $user->ID;
+			$occurrences      = $this->evaluate_occurrences( $menu_id, $staff_id, $slot, $timezone, $menu_ids, $recurrence, $conflict_user_id, $party_size );
+
+			$response['series'] = $this->create_series( (int) $booking_id, $occurrences, $customer_name_value, $menu_ids );
+		}
+
+		return new WP_REST_Response( $response );
+	}
+
+	/**
+	 * Check which dates of a recurring booking are still available.
+	 *
+	 * 繰り返し予約の各回について空き状況を確認します。
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function check_recurrence( WP_REST_Request $request ) {
+		if ( ! is_user_logged_in() ) {
+			return new WP_Error( 'not_logged_in', __( 'Login required.', 'vk-booking-manager' ), array( 'status' => 401 ) );
+		}
+
+		$token = $this->sanitize_token( (string) ( $request['token'] ?? '' ) );
+		if ( '' === $token ) {
+			return new WP_Error(
+				'missing_token',
+				__( 'Temporary reservation data token not found.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$draft = $this->load_draft( $token );
+		if ( is_wp_error( $draft ) ) {
+			return $draft;
+		}
+
+		$rule = Booking_Series::normalize_rule(
+			array(
+				'interval_weeks' => $request['interval_weeks'],
+				'count'          => $request['count'],
+			)
+		);
+		if ( null === $rule ) {
+			return new WP_Error( 'invalid_recurrence', __( 'The repeat settings are invalid.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$menu_id  = isset( $draft['menu_id'] ) ? (int) $draft['menu_id'] : 0;
+		$staff_id = isset( $draft['resource_id'] ) ? (int) $draft['resource_id'] : 0;
+		$slot     = isset( $draft['slot'] ) && is_array( $draft['slot'] ) ? $draft['slot'] : array();
+		$timezone = '';
+		if ( isset( $draft['meta'] ) && is_array( $draft['meta'] ) ) {
+			$timezone = sanitize_text_field( (string) ( $draft['meta']['timezone'] ?? '' ) );
+		}
+
+		if ( $menu_id <= 0 || empty( $slot['start_at'] ) ) {
+			return new WP_Error(
+				'invalid_draft',
+				__( 'Temporary reservation data contents are incomplete.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( $staff_id <= 0 && isset( $slot['staff']['id'] ) ) {
+			$staff_id = (int) $slot['staff']['id'];
+		}
+
+		$menu_ids   = Booking_Line_Items::normalize_menu_ids( $draft['menu_ids'] ?? array(), $menu_id );
+		$party_size = $this->resolve_party_size( $request['party_size'] ?? 1, $menu_ids );
+		if ( is_wp_error( $party_size ) ) {
+			return $party_size;
+		}
+
+		$conflict_user_id = current_user_can( Capabilities::MANAGE_RESERVATIONS ) ? 0 : get_current_user_id();
+		$occurrences      = $this->evaluate_occurrences( $menu_id, $staff_id, $slot, $timezone, $menu_ids, $rule, $conflict_user_id, $party_size );
+
+		$items = array();
+		foreach ( $occurrences as $occurrence ) {
+			$items[] = array(
+				'index'     => $occurrence['index'],
+				'date'      => $this->slot_validator->extract_slot_date( (string) $occurrence['slot']['start_at'], $timezone ),
+				'start_at'  => (string) $occurrence['slot']['start_at'],
+				'end_at'    => (string) ( $occurrence['slot']['service_end_at'] ?? $occurrence['slot']['end_at'] ?? '' ),
+				'available' => $occurrence['available'],
+				'message'   => $occurrence['message'],
+			);
+		}
+
 		return new WP_REST_Response(
 			array(
-				'booking_id' => $booking_id,
-				'status'     => $initial_status,
+				'interval_weeks' => $rule['interval_weeks'],
+				'count'          => $rule['count'],
+				'occurrences'    => $items,
 			)
 		);
 	}
 
+	/**
+	 * Load a temporary reservation data payload the requester may access.
+	 *
+	 * @param string $token Temporary reservation data token.
+	 * @return array<string, mixed>|WP_Error
+	 */
+	private function load_draft( string $token ) {
+		$draft = get_transient( $this->build_transient_key( $token ) );
+		if ( false === $draft ) {
+			return new WP_Error( 'draft_not_found', __( 'Temporary reservation data not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		if ( ! is_array( $draft ) ) {
+			return new WP_Error(
+				'invalid_draft',
+				__( 'Temporary reservation data contents are incomplete.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$draft = $this->backfill_draft_owner( $token, $draft );
+		if ( ! $this->can_access_draft( $draft ) ) {
+			return new WP_Error(
+				'forbidden_draft',
+				__( 'You do not have permission to access this temporary reservation data.', 'vk-booking-manager' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return $draft;
+	}
+
+	/**
+	 * Check each following occurrence of a recurring booking.
+	 *
+	 * 2回目以降の各回について、同じスタッフ・同じ時刻で予約できるか確認します。
+	 *
+	 * @param int                                    $menu_id          Menu post ID.
+	 * @param int                                    $staff_id         Staff ID (0 for auto).
+	 * @param array<string, mixed>                   $slot             First slot.
+	 * @param string                                 $timezone         Timezone string.
+	 * @param array<int>                             $menu_ids         Bundle menu IDs including the primary menu.
+	 * @param array{interval_weeks: int, count: int} $rule             Normalized recurrence rule.
+	 * @param int                                    $conflict_user_id Customer to check double bookings for (0 = skip).
+	 * @param int                                    $party_size       Seats taken by each occurrence.
+	 * @return array<int, array{index: int, slot: array<string, mixed>, available: bool, message: string}>
+	 */
+	private function evaluate_occurrences( int $menu_id, int $staff_id, array $slot, string $timezone, array $menu_ids, array $rule, int $conflict_user_id, int $party_size = 1 ): array {
+		$results = array();
+
+		foreach ( Booking_Series::build_occurrence_slots( $slot, $rule, $timezone ) as $index => $occurrence_slot ) {
+			// Slot IDs encode the start time, so shifted dates are matched by start/end instead.
+			// 枠IDは開始時刻を含むため、別日の枠は開始・終了時刻で照合されます.
+			$available_slot = $this->slot_validator->validate( $menu_id, $staff_id, $occurrence_slot, $timezone, $menu_ids, 0, $party_size );
+			$message        = '';
+
+			if ( is_wp_error( $available_slot ) ) {
+				$message = $available_slot->get_error_message();
+			} elseif ( $conflict_user_id > 0 && $this->has_user_conflict( $conflict_user_id, (string) $occurrence_slot['start_at'], (string) ( $occurrence_slot['end_at'] ?? '' ) ) ) {
+				$message = __( 'A reservation for the same date and time already exists.', 'vk-booking-manager' );
+			}
+
+			$results[] = array(
+				'index'     => (int) $index,
+				'slot'      => $occurrence_slot,
+				'available' => '' === $message,
+				'message'   => $message,
+			);
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Create the following bookings of a series as copies of the first booking.
+	 *
+	 * Only the first booking sends notifications; the remaining dates are
+	 * listed in My Bookings so customers are not flooded with emails.
+	 * 通知は初回のみ送信し、2回目以降は予約一覧で確認できます。
+	 *
+	 * @param int                              $booking_id    First booking ID.
+	 * @param array<int, array<string, mixed>> $occurrences   Evaluated occurrences.
+	 * @param string                           $customer_name Customer name for the post title.
+	 * @param array<int>                       $menu_ids      Booked menu IDs (used to assign facilities).
+	 * @return array{id: string, booking_ids: array<int>, skipped: array<int, string>}
+	 */
+	private function create_series( int $booking_id, array $occurrences, string $customer_name, array $menu_ids = array() ): array {
+		$series_id   = wp_generate_uuid4();
+		$booking_ids = array( $booking_id );
+		$skipped     = array();
+		$source      = get_post( $booking_id );
+		$source_meta = get_post_meta( $booking_id );
+
+		update_post_meta( $booking_id, Booking_Series::META_SERIES_ID, $series_id );
+		update_post_meta( $booking_id, Booking_Series::META_SERIES_INDEX, 1 );
+
+		foreach ( $occurrences as $occurrence ) {
+			$start_at = (string) $occurrence['slot']['start_at'];
+
+			if ( ! $occurrence['available'] ) {
+				$skipped[] = $start_at;
+				continue;
+			}
+
+			$occurrence_id = wp_insert_post(
+				array(
+					'post_type'   => Booking_Post_Type::POST_TYPE,
+					'post_status' => 'publish',
+					'post_title'  => $this->generate_booking_title( $customer_name, $start_at ),
+					'post_author' => $source instanceof WP_Post ? (int) $source->post_author : 0,
+				)
+			);
+
+			if ( is_wp_error( $occurrence_id ) || 0 === $occurrence_id ) {
+				$skipped[] = $start_at;
+				continue;
+			}
+
+			foreach ( self::SERIES_COPY_META_KEYS as $key ) {
+				if ( ! isset( $source_meta[ $key ][0] ) ) {
+					continue;
+				}
+				update_post_meta( $occurrence_id, $key, maybe_unserialize( $source_meta[ $key ][0] ) );
+			}
+
+			// Guests get a separate link for each date. / ゲスト予約は各回ごとに別のリンクを発行します.
+			if ( Guest_Booking_Link::is_guest_booking( $booking_id ) ) {
+				Guest_Booking_Link::mark_as_guest( (int) $occurrence_id );
+			}
+
+			$end_at         = (string) ( $occurrence['slot']['end_at'] ?? '' );
+			$service_end_at = (string) ( $occurrence['slot']['service_end_at'] ?? $end_at );
+
+			update_post_meta( $occurrence_id, self::META_DATE_START, $this->format_datetime_for_storage( $start_at ) );
+			update_post_meta( $occurrence_id, self::META_DATE_END, $this->format_datetime_for_storage( $service_end_at ) );
+			update_post_meta( $occurrence_id, self::META_DATE_TOTAL_END, $this->format_datetime_for_storage( $end_at ) );
+			update_post_meta( $occurrence_id, Booking_Series::META_SERIES_ID, $series_id );
+			update_post_meta( $occurrence_id, Booking_Series::META_SERIES_INDEX, (int) $occurrence['index'] );
+
+			// Each date gets its own free facility. / 各回ごとに空いている施設を割り当て直します.
+			if ( isset( $source_meta[ Facility_Availability::BOOKING_META_FACILITY ] ) ) {
+				$facility_id = $this->facility_availability->pick_facility(
+					$menu_ids,
+					$this->format_datetime_for_storage( $start_at ),
+					$this->format_datetime_for_storage( $end_at ),
+					(int) $occurrence_id
+				);
+				if ( null === $facility_id ) {
+					wp_delete_post( (int) $occurrence_id, true );
+					$skipped[] = $start_at;
+					continue;
+				}
+				update_post_meta( $occurrence_id, Facility_Availability::BOOKING_META_FACILITY, $facility_id );
+			}
+
+			$booking_ids[] = (int) $occurrence_id;
+		}
+
+		return array(
+			'id'          => $series_id,
+			'booking_ids' => $booking_ids,
+			'skipped'     => $skipped,
+		);
+	}
+
 	/**
 	 * Select an available staff member from assignable candidates.
 	 *
 	 * @param array<int> $staff_ids Candidate staff IDs.
 	 * @param string     $start_at  Slot start (ISO8601).
 	 * @param string     $end_at    Slot end (ISO8601).
+	 * @param int        $menu_id   Menu being booked.
+	 * @param int        $seats     Party size.
 	 * @return int
 	 */
-	private function select_auto_assigned_staff( array $staff_ids, string $start_at, string $end_at ): int {
+	private function select_auto_assigned_staff( array $staff_ids, string $start_at, string $end_at, int $menu_id = 0, int $seats = 1 ): int {
+		$start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $this->format_datetime_for_storage( $start_at ), wp_timezone() );
+		$end   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $this->format_datetime_for_storage( $end_at ), wp_timezone() );
+		if ( $start && $end ) {
+			// Follow the provider's assignment strategy. / 設定された割り当て方式の順に候補を確認します.
+			$staff_ids = $this->assignment_strategy->order_staff_ids( $staff_ids, $start, $end );
+		}
+
 		foreach ( $staff_ids as $staff_id ) {
 			if ( $staff_id <= 0 ) {
 				continue;
 			}
 
-			if ( ! $this->has_staff_conflict( $staff_id, $start_at, $end_at ) ) {
+			if ( ! $this->has_staff_conflict( $staff_id, $start_at, $end_at, $menu_id, $seats ) ) {
 				return (int) $staff_id;
 			}
 		}
@@ -455,12 +917,17 @@ class Booking_Confirmation_Controller {
 	/**
 	 * Determine if the staff already has a booking overlapping the slot.
 	 *
+	 * Group menus accept overlapping bookings of the same session until the
+	 * capacity is reached. / グループメニューは定員まで同じ枠への予約を受け付けます.
+	 *
 	 * @param int    $staff_id Staff ID.
 	 * @param string $start_at Slot start (ISO8601).
 	 * @param string $end_at   Slot end (ISO8601).
+	 * @param int    $menu_id  Menu being booked (0 = exclusive).
+	 * @param int    $seats    Party size.
 	 * @return bool
 	 */
-	private function has_staff_conflict( int $staff_id, string $start_at, string $end_at ): bool {
+	private function has_staff_conflict( int $staff_id, string $start_at, string $end_at, int $menu_id = 0, int $seats = 1 ): bool {
 		if ( $staff_id <= 0 ) {
 			return true;
 		}
@@ -476,11 +943,17 @@ class Booking_Confirmation_Controller {
 			$end_for_storage = $start_for_storage;
 		}
 
+		$busy_start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start_for_storage, wp_timezone() );
+		$busy_end   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $end_for_storage, wp_timezone() );
+		if ( $busy_start && $busy_end && External_Calendar_Sync::is_busy( $staff_id, $busy_start, $busy_end ) ) {
+			return true;
+		}
+
 		$query = new WP_Query(
 			array(
 				'post_type'      => Booking_Post_Type::POST_TYPE,
 				'post_status'    => array( 'publish' ),
-				'posts_per_page' => 1,
+				'posts_per_page' => -1,
 				'no_found_rows'  => true,
 				'fields'         => 'ids',
 				'meta_query'     => array(
@@ -490,6 +963,12 @@ class Booking_Confirmation_Controller {
 						'value'   => $staff_id,
 						'compare' => '=',
 					),
+					array(
+						// Cancelled bookings release the slot. / キャンセル済みの予約は枠を占有しない.
+						'key'     => self::META_STATUS,
+						'value'   => array( self::BOOKING_STATUS_CONFIRMED, self::BOOKING_STATUS_PENDING ),
+						'compare' => 'IN',
+					),
 					array(
 						'key'     => self::META_DATE_START,
 						'value'   => $end_for_storage,
@@ -515,7 +994,34 @@ class Booking_Confirmation_Controller {
 			)
 		);
 
-		return $query->have_posts();
+		return ! Slot_Capacity::can_join( array_map( 'intval', $query->posts ), $start_for_storage, $menu_id, $seats );
+	}
+
+	/**
+	 * Validate the requested party size against the menu capacity.
+	 *
+	 * 人数指定がメニューの定員内か検証します。
+	 *
+	 * @param mixed      $raw      Requested party size.
+	 * @param array<int> $menu_ids Bundle menu IDs including the primary menu.
+	 * @return int|WP_Error
+	 */
+	private function resolve_party_size( $raw, array $menu_ids ) {
+		$party_size = Slot_Capacity::normalize_seats( $raw );
+		if ( 1 === $party_size ) {
+			return 1;
+		}
+
+		$capacity = 1 === count( $menu_ids ) ? Slot_Capacity::get_menu_capacity( (int) $menu_ids[0] ) : 1;
+		if ( $party_size > $capacity ) {
+			return new WP_Error(
+				'invalid_party_size',
+				__( 'The number of people exceeds the capacity of this menu.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $party_size;
 	}
 
 	/**
@@ -552,6 +1058,11 @@ class Booking_Confirmation_Controller {
 				'fields'         => 'ids',
 				'meta_query'     => array(
 					'relation' => 'AND',
+					array(
+						'key'     => self::META_STATUS,
+						'value'   => array( self::BOOKING_STATUS_CONFIRMED, self::BOOKING_STATUS_PENDING ),
+						'compare' => 'IN',
+					),
 					array(
 						'key'     => self::META_DATE_START,
 						'value'   => $end_for_storage,
@@ -751,6 +1262,51 @@ class Booking_Confirmation_Controller {
 		return $phone;
 	}
 
+	/**
+	 * Whether reservations without an account are enabled.
+	 *
+	 * @return bool
+	 */
+	private function is_guest_booking_allowed(): bool {
+		$settings = $this->settings_repository->get_settings();
+
+		return ! empty( $settings['provider_allow_guest_booking'] );
+	}
+
+	/**
+	 * Validate the contact details a guest entered.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return array{name:string,email:string,phone:string}|WP_Error
+	 */
+	private function resolve_guest_contact( WP_REST_Request $request ) {
+		$name  = sanitize_text_field( (string) ( $request['customer_name'] ?? '' ) );
+		$email = sanitize_email( (string) ( $request['customer_email'] ?? '' ) );
+		$phone = sanitize_text_field( (string) ( $request['customer_phone'] ?? '' ) );
+
+		if ( '' === $name || '' === $phone ) {
+			return new WP_Error(
+				'guest_contact_required',
+				__( 'Please enter your name and phone number.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( '' === $email || ! is_email( $email ) ) {
+			return new WP_Error(
+				'guest_email_invalid',
+				__( 'Please enter a valid email address.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return array(
+			'name'  => $name,
+			'email' => $email,
+			'phone' => $phone,
+		);
+	}
+
 	/**
 	 * Retrieve a user by normalized phone number.
 	 *
@@ -812,137 +1368,6 @@ class Booking_Confirmation_Controller {
 		return true;
 	}
 
-	/**
-	 * Revalidate temporary reservation data slot availability before booking confirmation.
-	 *
-	 * 予約確定前に予約一時データの枠がまだ空いているか再検証します。
-	 *
-	 * @param int                  $menu_id            Menu post ID.
-	 * @param int                  $preferred_staff_id Preferred staff ID (0 for auto).
-	 * @param array<string, mixed> $slot               Temporary reservation data slot payload.
-	 * @param string               $timezone           Timezone string (optional).
-	 * @return array<string, mixed>|WP_Error
-	 */
-	private function revalidate_draft_slot(
-		int $menu_id,
-		int $preferred_staff_id,
-		array $slot,
-		string $timezone
-	) {
-		$slot_id  = isset( $slot['slot_id'] ) ? sanitize_text_field( (string) $slot['slot_id'] ) : '';
-		$start_at = isset( $slot['start_at'] ) ? sanitize_text_field( (string) $slot['start_at'] ) : '';
-		$end_at   = isset( $slot['end_at'] ) ? sanitize_text_field( (string) $slot['end_at'] ) : '';
-
-		if ( '' === $slot_id || '' === $start_at ) {
-			return new WP_Error(
-				'invalid_slot',
-				__( 'Reservation slot information is incorrect.', 'vk-booking-manager' ),
-				array( 'status' => 400 )
-			);
-		}
-
-		// Resolve timezone from draft or slot data. / 予約一時データまたは枠情報からタイムゾーンを補正します.
-		$timezone = sanitize_text_field( $timezone );
-		if ( '' === $timezone ) {
-			$timezone = $this->extract_timezone_from_datetime( $start_at );
-		}
-
-		$date = $this->extract_slot_date( $start_at, $timezone );
-		if ( '' === $date ) {
-			return new WP_Error(
-				'invalid_slot',
-				__( 'Reservation slot information is incorrect.', 'vk-booking-manager' ),
-				array( 'status' => 400 )
-			);
-		}
-
-		$availability = $this->availability_service->get_daily_slots(
-			array(
-				'menu_id'     => $menu_id,
-				'resource_id' => $preferred_staff_id,
-				'date'        => $date,
-				'timezone'    => $timezone,
-			)
-		);
-
-		if ( is_wp_error( $availability ) ) {
-			return new WP_Error(
-				$availability->get_error_code(),
-				$availability->get_error_message(),
-				array( 'status' => 409 )
-			);
-		}
-
-		$slots = isset( $availability['slots'] ) && is_array( $availability['slots'] ) ? $availability['slots'] : array();
-		$match = $this->find_matching_available_slot( $slots, $slot_id, $start_at, $end_at );
-		if ( null === $match ) {
-			return new WP_Error(
-				'slot_unavailable',
-				__( 'The selected slot is no longer available. Please choose another slot.', 'vk-booking-manager' ),
-				array( 'status' => 409 )
-			);
-		}
-
-		if ( $preferred_staff_id > 0 ) {
-			$matched_staff_id = isset( $match['staff']['id'] ) ? (int) $match['staff']['id'] : 0;
-			if ( 0 === $matched_staff_id || $matched_staff_id !== $preferred_staff_id ) {
-				return new WP_Error(
-					'staff_unavailable',
-					__( 'The selected staff member is no longer available.', 'vk-booking-manager' ),
-					array( 'status' => 409 )
-				);
-			}
-		}
-
-		return $match;
-	}
-
-	/**
-	 * Extract slot date string from ISO datetime.
-	 *
-	 * ISO日時から営業日の文字列を取得します。
-	 *
-	 * @param string $start_at Slot start datetime.
-	 * @param string $timezone Timezone string (optional).
-	 * @return string
-	 */
-	private function extract_slot_date( string $start_at, string $timezone ): string {
-		try {
-			$datetime = new DateTimeImmutable( $start_at );
-		} catch ( Exception $e ) {
-			return '';
-		}
-
-		if ( '' !== $timezone ) {
-			try {
-				$datetime = $datetime->setTimezone( new DateTimeZone( $timezone ) );
-			} catch ( Exception $e ) {
-				// Ignore invalid timezone and use original. / タイムゾーンが不正な場合は元の値を使います.
-				// phpcs:ignore Squiz.Commenting.EmptyCatchComment -- Timezone error is intentionally ignored.
-			}
-		}
-
-		return $datetime->format( 'Y-m-d' );
-	}
-
-	/**
-	 * Extract timezone name from ISO datetime if possible.
-	 *
-	 * ISO日時からタイムゾーン名を抽出します。
-	 *
-	 * @param string $value ISO datetime.
-	 * @return string
-	 */
-	private function extract_timezone_from_datetime( string $value ): string {
-		try {
-			$datetime = new DateTimeImmutable( $value );
-		} catch ( Exception $e ) {
-			return '';
-		}
-
-		return $datetime->getTimezone()->getName();
-	}
-
 	/**
 	 * Normalize staff ID list to unique positive integers.
 	 *
@@ -966,43 +1391,4 @@ class Booking_Confirmation_Controller {
 
 		return $ids;
 	}
-
-	/**
-	 * Find matching slot from the availability snapshot.
-	 *
-	 * 空き一覧から一致する枠を取得します。
-	 *
-	 * @param array<int, array<string, mixed>> $slots   Available slots.
-	 * @param string                           $slot_id Temporary reservation data slot ID.
-	 * @param string                           $start_at Temporary reservation data start datetime.
-	 * @param string                           $end_at Temporary reservation data end datetime.
-	 * @return array<string, mixed>|null
-	 */
-	private function find_matching_available_slot( array $slots, string $slot_id, string $start_at, string $end_at ): ?array {
-		foreach ( $slots as $candidate ) {
-			if ( ! is_array( $candidate ) ) {
-				continue;
-			}
-
-			$candidate_id = isset( $candidate['slot_id'] ) ? (string) $candidate['slot_id'] : '';
-			if ( '' !== $slot_id && $candidate_id === $slot_id ) {
-				return $candidate;
-			}
-		}
-
-		foreach ( $slots as $candidate ) {
-			if ( ! is_array( $candidate ) ) {
-				continue;
-			}
-
-			$candidate_start = isset( $candidate['start_at'] ) ? (string) $candidate['start_at'] : '';
-			$candidate_end   = isset( $candidate['end_at'] ) ? (string) $candidate['end_at'] : '';
-
-			if ( $candidate_start === $start_at && ( '' === $end_at || $candidate_end === $end_at ) ) {
-				return $candidate;
-			}
-		}
-
-		return null;
-	}
 }
@@ -0,0 +1,268 @@
+<?php
+
+/**
+ * Exports bookings from the admin list table as CSV.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Availability\Slot_Capacity;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Facilities\Facility_Availability;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_Post;
+use function __;
+use function add_action;
+use function add_filter;
+use function check_admin_referer;
+use function current_user_can;
+use function esc_attr;
+use function esc_html__;
+use function get_post;
+use function get_post_meta;
+use function get_the_title;
+use function get_userdata;
+use function nocache_headers;
+use function sanitize_key;
+use function wp_date;
+use function wp_die;
+use function wp_edit_posts_query;
+use function wp_list_pluck;
+use function wp_unslash;
+
+/**
+ * Adds an "Export CSV" button to the booking list that downloads the filtered bookings.
+ *
+ * The column keys match Booking_Csv_Importer fields, so an export can be edited and imported again.
+ * 出力した CSV はそのまま取り込みにも使えるよう、列キーを取り込み項目と揃えています。
+ */
+class Booking_Csv_Exporter {
+	public const EXTERNAL_ID_META = '_vkbm_booking_external_id';
+
+	private const EXPORT_FIELD = 'vkbm_export_csv';
+
+	/**
+	 * First characters that make spreadsheet apps evaluate a cell.
+	 */
+	private const FORMULA_TRIGGERS = "=+-@\t\r";
+
+	private const META_DATE_START         = '_vkbm_booking_service_start';
+	private const META_DATE_END           = '_vkbm_booking_service_end';
+	private const META_RESOURCE_ID        = '_vkbm_booking_resource_id';
+	private const META_SERVICE_ID         = '_vkbm_booking_service_id';
+	private const META_CUSTOMER           = '_vkbm_booking_customer_name';
+	private const META_CUSTOMER_TEL       = '_vkbm_booking_customer_tel';
+	private const META_CUSTOMER_MAIL      = '_vkbm_booking_customer_email';
+	private const META_STATUS             = '_vkbm_booking_status';
+	private const META_NOTE               = '_vkbm_booking_note';
+	private const META_INTERNAL_NOTE      = '_vkbm_booking_internal_note';
+	private const META_SERVICE_BASE_PRICE = '_vkbm_booking_service_base_price';
+	private const META_NOMINATION_FEE     = '_vkbm_booking_nomination_fee';
+	private const META_BASE_TOTAL_PRICE   = '_vkbm_booking_base_total_price';
+	private const META_BILLED_TOTAL_PRICE = '_vkbm_booking_billed_total_price';
+	private const META_IS_PREFERRED       = '_vkbm_booking_is_staff_preferred';
+
+	/**
+	 * Register WordPress hooks.
+	 */
+	public function register(): void {
+		add_action( 'restrict_manage_posts', array( $this, 'render_export_button' ), 20, 2 );
+		add_action( 'load-edit.php', array( $this, 'maybe_export' ) );
+	}
+
+	/**
+	 * CSV columns: key => header label.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_columns(): array {
+		return array(
+			'booking_id'         => __( 'Booking ID', 'vk-booking-manager' ),
+			'external_id'        => __( 'External ID', 'vk-booking-manager' ),
+			'start'              => __( 'Start', 'vk-booking-manager' ),
+			'end'                => __( 'End', 'vk-booking-manager' ),
+			'status'             => __( 'Reservation status', 'vk-booking-manager' ),
+			'customer_name'      => __( 'Customer name', 'vk-booking-manager' ),
+			'customer_tel'       => __( 'Phone number', 'vk-booking-manager' ),
+			'customer_email'     => __( 'Email', 'vk-booking-manager' ),
+			'staff_id'           => __( 'Staff ID', 'vk-booking-manager' ),
+			'staff'              => __( 'Staff', 'vk-booking-manager' ),
+			'menu_id'            => __( 'Menu ID', 'vk-booking-manager' ),
+			'menu'               => __( 'Menu', 'vk-booking-manager' ),
+			'party_size'         => __( 'Party size', 'vk-booking-manager' ),
+			'facility'           => __( 'Facility', 'vk-booking-manager' ),
+			'is_staff_preferred' => __( 'Staff nominated', 'vk-booking-manager' ),
+			'service_base_price' => __( 'Menu price', 'vk-booking-manager' ),
+			'nomination_fee'     => __( 'Nomination fee', 'vk-booking-manager' ),
+			'base_total_price'   => __( 'Booked total', 'vk-booking-manager' ),
+			'billed_total_price' => __( 'Total billing amount', 'vk-booking-manager' ),
+			'note'               => __( 'Notes', 'vk-booking-manager' ),
+			'internal_note'      => __( 'Internal notes', 'vk-booking-manager' ),
+			'author'             => __( 'Booked by', 'vk-booking-manager' ),
+			'created'            => __( 'Created', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Render the export button next to the list table filters.
+	 *
+	 * The button submits the filter form, so the export uses the same filters as the list.
+	 *
+	 * @param string $post_type Current post type.
+	 * @param string $which     Table navigation position.
+	 */
+	public function render_export_button( string $post_type, string $which = 'top' ): void {
+		if ( Booking_Post_Type::POST_TYPE !== $post_type || 'top' !== $which || ! current_user_can( Capabilities::MANAGE_RESERVATIONS ) ) {
+			return;
+		}
+
+		printf(
+			'<button type="submit" class="button" name="%1$s" value="1">%2$s</button>',
+			esc_attr( self::EXPORT_FIELD ),
+			esc_html__( 'Export CSV', 'vk-booking-manager' )
+		);
+	}
+
+	/**
+	 * Stream the filtered bookings when the export button was used.
+	 */
+	public function maybe_export(): void {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Verified below.
+		$is_export = ! empty( $_GET[ self::EXPORT_FIELD ] );
+		$post_type = isset( $_GET['post_type'] ) ? sanitize_key( (string) wp_unslash( $_GET['post_type'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		if ( ! $is_export || Booking_Post_Type::POST_TYPE !== $post_type ) {
+			return;
+		}
+
+		if ( ! current_user_can( Capabilities::MANAGE_RESERVATIONS ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		// The list table filter form carries the bulk action nonce. / 一覧のフィルターフォームに含まれる nonce を検証する.
+		check_admin_referer( 'bulk-posts' );
+
+		// Run the list table query with every page at once. / 一覧と同じ条件で全件を取得する.
+		add_filter( 'edit_posts_per_page', static fn (): int => -1 );
+		wp_edit_posts_query();
+
+		global $wp_query;
+		$booking_ids = array_map( 'intval', wp_list_pluck( $wp_query->posts, 'ID' ) );
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=UTF-8' );
+		header( 'Content-Disposition: attachment; filename="vkbm-bookings-' . wp_date( 'Ymd-His' ) . '.csv"' );
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions -- Streaming to the response body.
+		$output = fopen( 'php://output', 'w' );
+		$this->write_csv( $booking_ids, $output );
+		fclose( $output );
+		// phpcs:enable WordPress.WP.AlternativeFunctions
+		exit;
+	}
+
+	/**
+	 * Write bookings to a stream as CSV with a header row.
+	 *
+	 * @param array<int, int> $booking_ids Booking IDs.
+	 * @param resource        $handle      Writable stream.
+	 */
+	public function write_csv( array $booking_ids, $handle ): void {
+		// BOM so spreadsheet apps detect UTF-8. / Excel で文字化けしないよう BOM を付ける.
+		fwrite( $handle, "\xEF\xBB\xBF" ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+		fputcsv( $handle, array_values( self::get_columns() ) );
+
+		foreach ( $booking_ids as $booking_id ) {
+			$row = $this->get_row( (int) $booking_id );
+			if ( null !== $row ) {
+				fputcsv( $handle, array_map( array( self::class, 'escape_cell' ), array_values( $row ) ) );
+			}
+		}
+	}
+
+	/**
+	 * Keep spreadsheet apps from running a cell as a formula.
+	 *
+	 * Values starting with a formula trigger get a leading quote (CSV injection).
+	 * 数式として解釈される先頭文字には ' を付けて無害化します.
+	 *
+	 * @param string $value Cell value.
+	 * @return string
+	 */
+	public static function escape_cell( string $value ): string {
+		return '' !== $value && false !== strpos( self::FORMULA_TRIGGERS, $value[0] ) ? "'" . $value : $value;
+	}
+
+	/**
+	 * Undo escape_cell() for a value read back from an exported file.
+	 *
+	 * @param string $value Cell value.
+	 * @return string
+	 */
+	public static function unescape_cell( string $value ): string {
+		return strlen( $value ) > 1 && "'" === $value[0] && false !== strpos( self::FORMULA_TRIGGERS, $value[1] ) ? substr( $value, 1 ) : $value;
+	}
+
+	/**
+	 * One booking as a CSV row keyed like get_columns().
+	 *
+	 * @param int $booking_id Booking ID.
+	 * @return array<string, string>|null Null when the post is not a booking.
+	 */
+	public function get_row( int $booking_id ): ?array {
+		$post = get_post( $booking_id );
+		if ( ! $post instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $post->post_type ) {
+			return null;
+		}
+
+		$staff_id    = (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true );
+		$menu_id     = (int) get_post_meta( $booking_id, self::META_SERVICE_ID, true );
+		$facility_id = (int) get_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, true );
+		$author      = $post->post_author ? get_userdata( (int) $post->post_author ) : false;
+
+		return array(
+			'booking_id'         => (string) $booking_id,
+			'external_id'        => (string) get_post_meta( $booking_id, self::EXTERNAL_ID_META, true ),
+			'start'              => $this->format_datetime( (string) get_post_meta( $booking_id, self::META_DATE_START, true ) ),
+			'end'                => $this->format_datetime( (string) get_post_meta( $booking_id, self::META_DATE_END, true ) ),
+			'status'             => (string) get_post_meta( $booking_id, self::META_STATUS, true ),
+			'customer_name'      => (string) get_post_meta( $booking_id, self::META_CUSTOMER, true ),
+			'customer_tel'       => (string) get_post_meta( $booking_id, self::META_CUSTOMER_TEL, true ),
+			'customer_email'     => (string) get_post_meta( $booking_id, self::META_CUSTOMER_MAIL, true ),
+			'staff_id'           => $staff_id > 0 ? (string) $staff_id : '',
+			'staff'              => $staff_id > 0 ? get_the_title( $staff_id ) : '',
+			'menu_id'            => $menu_id > 0 ? (string) $menu_id : '',
+			'menu'               => $menu_id > 0 ? get_the_title( $menu_id ) : '',
+			'party_size'         => (string) Slot_Capacity::get_party_size( $booking_id ),
+			'facility'           => $facility_id > 0 ? get_the_title( $facility_id ) : '',
+			'is_staff_preferred' => '1' === (string) get_post_meta( $booking_id, self::META_IS_PREFERRED, true ) ? '1' : '0',
+			'service_base_price' => (string) get_post_meta( $booking_id, self::META_SERVICE_BASE_PRICE, true ),
+			'nomination_fee'     => (string) get_post_meta( $booking_id, self::META_NOMINATION_FEE, true ),
+			'base_total_price'   => (string) get_post_meta( $booking_id, self::META_BASE_TOTAL_PRICE, true ),
+			'billed_total_price' => (string) get_post_meta( $booking_id, self::META_BILLED_TOTAL_PRICE, true ),
+			'note'               => (string) get_post_meta( $booking_id, self::META_NOTE, true ),
+			'internal_note'      => (string) get_post_meta( $booking_id, self::META_INTERNAL_NOTE, true ),
+			'author'             => $author ? (string) $author->user_login : '',
+			'created'            => (string) $post->post_date,
+		);
+	}
+
+	/**
+	 * Drop the seconds from stored datetimes (Y-m-d H:i:s → Y-m-d H:i).
+	 *
+	 * @param string $value Stored datetime.
+	 * @return string
+	 */
+	private function format_datetime( string $value ): string {
+		return '' !== $value ? substr( $value, 0, 16 ) : '';
+	}
+}
@@ -0,0 +1,583 @@
+<?php
+
+/**
+ * Imports bookings from CSV.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_Post;
+use function __;
+use function get_post;
+use function get_posts;
+use function is_wp_error;
+use function update_post_meta;
+use function wp_delete_post;
+use function wp_insert_post;
+use function wp_timezone;
+
+/**
+ * Validates and imports CSV rows as bookings.
+ *
+ * Rows are saved through Booking_Admin::save_booking(), so the edit screen's sanitization
+ * and staff conflict rules apply. Rows with an external ID update the booking imported
+ * with the same ID, so running the same file twice does not create duplicates.
+ * 外部 ID が一致する予約は更新するため、同じファイルを再度取り込んでも重複しません。
+ */
+class Booking_Csv_Importer {
+	public const MAX_ROWS = 2000;
+
+	private const ACTION_CREATE = 'create';
+	private const ACTION_UPDATE = 'update';
+	private const ACTION_SKIP   = 'skip';
+
+	private const META_BASE_TOTAL_PRICE = '_vkbm_booking_base_total_price';
+	private const META_NOMINATION_FEE   = '_vkbm_booking_nomination_fee';
+
+	/**
+	 * Accepted date/time formats for the start and end columns.
+	 *
+	 * @var array<int, string>
+	 */
+	private const DATETIME_FORMATS = array( 'Y-m-d H:i', 'Y-m-d H:i:s', 'Y/m/d H:i', 'Y/m/d H:i:s', 'Y/n/j G:i', 'Y/n/j G:i:s' );
+
+	/**
+	 * Booking admin (shared save logic).
+	 *
+	 * @var Booking_Admin
+	 */
+	private $booking_admin;
+
+	/**
+	 * Post ID lookups keyed by post type and CSV value.
+	 *
+	 * @var array<string, array<string, int>>
+	 */
+	private $lookup_cache = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * The default Booking_Admin has no notification service, so imported bookings
+	 * do not email customers.
+	 *
+	 * @param Booking_Admin|null $booking_admin Booking admin.
+	 */
+	public function __construct( ?Booking_Admin $booking_admin = null ) {
+		$this->booking_admin = $booking_admin ?? new Booking_Admin();
+	}
+
+	/**
+	 * Fields that CSV columns can be mapped to: key => label.
+	 *
+	 * Keys and labels match Booking_Csv_Exporter columns.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_fields(): array {
+		$columns = Booking_Csv_Exporter::get_columns();
+		$keys    = array( 'external_id', 'start', 'end', 'status', 'customer_name', 'customer_tel', 'customer_email', 'staff', 'menu', 'party_size', 'is_staff_preferred', 'nomination_fee', 'base_total_price', 'billed_total_price', 'note', 'internal_note' );
+
+		return array_intersect_key( $columns, array_flip( $keys ) );
+	}
+
+	/**
+	 * Split CSV contents into a header row and data rows.
+	 *
+	 * Shift_JIS files (as saved by Excel) are converted to UTF-8.
+	 *
+	 * @param string $contents Raw file contents.
+	 * @return array{headers: array<int, string>, rows: array<int, array<int, string>>}|WP_Error
+	 */
+	public function parse( string $contents ) {
+		if ( 0 === strpos( $contents, "\xEF\xBB\xBF" ) ) {
+			$contents = substr( $contents, 3 );
+		} elseif ( function_exists( 'mb_check_encoding' ) && ! mb_check_encoding( $contents, 'UTF-8' ) ) {
+			$contents = (string) mb_convert_encoding( $contents, 'UTF-8', 'SJIS-win' );
+		}
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions -- In-memory stream for fgetcsv().
+		$handle = fopen( 'php://temp', 'r+' );
+		fwrite( $handle, $contents );
+		rewind( $handle );
+
+		$headers = fgetcsv( $handle );
+		$rows    = array();
+		while ( false !== ( $row = fgetcsv( $handle ) ) ) { // phpcs:ignore Generic.CodeAnalysis.AssignmentInCondition.FoundInWhileCondition
+			if ( array( null ) === $row ) {
+				continue;
+			}
+
+			$rows[] = array_map( 'strval', $row );
+		}
+		fclose( $handle );
+		// phpcs:enable WordPress.WP.AlternativeFunctions
+
+		if ( ! is_array( $headers ) || array( null ) === $headers ) {
+			return new WP_Error( 'invalid_csv', __( 'The file does not have a header row.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		if ( count( $rows ) > self::MAX_ROWS ) {
+			return new WP_Error(
+				'too_many_rows',
+				/* translators: %d: maximum number of rows. */
+				sprintf( __( 'Up to %d rows can be imported at once. Please split the file.', 'vk-booking-manager' ), self::MAX_ROWS ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return array(
+			'headers' => array_map( 'trim', array_map( 'strval', $headers ) ),
+			'rows'    => $rows,
+		);
+	}
+
+	/**
+	 * Preselect a column for each field whose key or label matches a header.
+	 *
+	 * @param array<int, string> $headers Header row.
+	 * @return array<string, int> Column index keyed by field.
+	 */
+	public function guess_mapping( array $headers ): array {
+		$normalized = array_map( 'mb_strtolower', $headers );
+		$mapping    = array();
+
+		foreach ( self::get_fields() as $field => $label ) {
+			foreach ( array( $field, mb_strtolower( $label ) ) as $candidate ) {
+				$index = array_search( $candidate, $normalized, true );
+				if ( false !== $index ) {
+					$mapping[ $field ] = (int) $index;
+					break;
+				}
+			}
+		}
+
+		return $mapping;
+	}
+
+	/**
+	 * Validate rows and, unless this is a dry run, save the valid ones.
+	 *
+	 * Rows with errors are always skipped; warnings (such as an allowed staff overlap) do not block the row.
+	 *
+	 * @param array<int, array<int, string>> $rows    Data rows.
+	 * @param array<string, int>             $mapping Column index keyed by field.
+	 * @param bool                           $dry_run Validate only.
+	 * @return array{dry_run: bool, summary: array<string, int>, results: array<int, array<string, mixed>>}
+	 */
+	public function import( array $rows, array $mapping, bool $dry_run ): array {
+		$summary       = array(
+			self::ACTION_CREATE => 0,
+			self::ACTION_UPDATE => 0,
+			self::ACTION_SKIP   => 0,
+		);
+		$results       = array();
+		$seen_ids      = array();
+		$batch         = array();
+		$settings      = ( new Settings_Repository() )->get_settings();
+		$allow_overlap = ! empty( $settings['provider_allow_staff_overlap_admin'] );
+
+		foreach ( $rows as $index => $row ) {
+			// Spreadsheet row number: the header is row 1. / 表計算ソフトでの行番号（見出しが1行目）.
+			$line   = $index + 2;
+			$values = $this->map_row( $row, $mapping );
+			$parsed = $this->validate_row( $values );
+			$errors = $parsed['errors'];
+			$notes  = array();
+
+			$external_id = $values['external_id'] ?? '';
+			if ( '' !== $external_id ) {
+				if ( isset( $seen_ids[ $external_id ] ) ) {
+					/* translators: %d: row number. */
+					$errors[] = sprintf( __( 'The external ID is already used on row %d.', 'vk-booking-manager' ), $seen_ids[ $external_id ] );
+				} else {
+					$seen_ids[ $external_id ] = $line;
+				}
+			}
+
+			$existing_id = '' !== $external_id ? $this->find_by_external_id( $external_id ) : 0;
+			$fields      = $this->merge_stored_fields( $existing_id, $parsed['raw'] );
+			$resource_id = (int) ( $fields['resource_id'] ?? 0 );
+			$is_active   = ! in_array( (string) ( $fields['status'] ?? '' ), array( 'cancelled', 'no_show' ), true );
+
+			if ( array() === $errors && $is_active && $resource_id > 0 ) {
+				$conflict = $this->booking_admin->check_staff_conflict( $existing_id, $fields );
+				if ( $conflict['has_conflict'] ) {
+					if ( $conflict['blocked'] ) {
+						$errors[] = $conflict['message'];
+					} else {
+						$notes[] = $conflict['message'];
+					}
+				}
+
+				// Overlaps between rows of the same file. / ファイル内の行同士の重複.
+				foreach ( $batch[ $resource_id ] ?? array() as $other ) {
+					if ( $parsed['start'] < $other['end'] && $other['start'] < $parsed['end'] ) {
+						/* translators: %d: row number. */
+						$message = sprintf( __( 'The staff member is double-booked with row %d.', 'vk-booking-manager' ), $other['line'] );
+						if ( $allow_overlap ) {
+							$notes[] = $message;
+						} else {
+							$errors[] = $message;
+						}
+						break;
+					}
+				}
+			}
+
+			$action = self::ACTION_SKIP;
+			if ( array() === $errors ) {
+				$action = $existing_id > 0 ? self::ACTION_UPDATE : self::ACTION_CREATE;
+
+				if ( $is_active && $resource_id > 0 ) {
+					$batch[ $resource_id ][] = array(
+						'start' => $parsed['start'],
+						'end'   => $parsed['end'],
+						'line'  => $line,
+					);
+				}
+			}
+
+			if ( ! $dry_run && self::ACTION_SKIP !== $action ) {
+				$saved = $this->save_row( $existing_id, $external_id, $fields, $parsed['prices'] );
+				if ( is_wp_error( $saved ) ) {
+					$action   = self::ACTION_SKIP;
+					$errors[] = $saved->get_error_message();
+				}
+			}
+
+			++$summary[ $action ];
+			$results[] = array(
+				'line'     => $line,
+				'action'   => $action,
+				'errors'   => $errors,
+				'warnings' => $notes,
+			);
+		}
+
+		return array(
+			'dry_run' => $dry_run,
+			'summary' => $summary,
+			'results' => $results,
+		);
+	}
+
+	/**
+	 * Pick the mapped cells of a row.
+	 *
+	 * @param array<int, string> $row     Data row.
+	 * @param array<string, int> $mapping Column index keyed by field.
+	 * @return array<string, string> Trimmed values keyed by field (mapped fields only), with export escaping undone.
+	 */
+	private function map_row( array $row, array $mapping ): array {
+		$values = array();
+		foreach ( $mapping as $field => $index ) {
+			if ( isset( self::get_fields()[ $field ] ) ) {
+				$values[ $field ] = Booking_Csv_Exporter::unescape_cell( trim( (string) ( $row[ (int) $index ] ?? '' ) ) );
+			}
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Check a row and convert it to save_booking() fields.
+	 *
+	 * @param array<string, string> $values Values keyed by field.
+	 * @return array{errors: array<int, string>, raw: array<string, mixed>, prices: array<string, int>, start: ?DateTimeImmutable, end: ?DateTimeImmutable}
+	 */
+	private function validate_row( array $values ): array {
+		$errors = array();
+		$raw    = array();
+		$prices = array();
+
+		$start = $this->parse_datetime( $values['start'] ?? '' );
+		$end   = null;
+		if ( null === $start ) {
+			$errors[] = __( 'The start date and time is missing or not in YYYY-MM-DD HH:MM format.', 'vk-booking-manager' );
+		} else {
+			// The end may be a time on the start date. / 終了は時刻のみでも可（開始日と同日）.
+			$end_value = $values['end'] ?? '';
+			$end       = preg_match( '/^\d{1,2}:\d{2}$/', $end_value ) ? $this->parse_datetime( $start->format( 'Y-m-d' ) . ' ' . $end_value ) : $this->parse_datetime( $end_value );
+
+			if ( null === $end ) {
+				$errors[] = __( 'The end date and time is missing or not in YYYY-MM-DD HH:MM format.', 'vk-booking-manager' );
+			} elseif ( $end <= $start ) {
+				$errors[] = __( 'The end time must be later than the start time.', 'vk-booking-manager' );
+			} elseif ( $end->format( 'Y-m-d' ) !== $start->format( 'Y-m-d' ) ) {
+				$errors[] = __( 'The reservation must end on the same day it starts.', 'vk-booking-manager' );
+			}
+		}
+
+		if ( null !== $start && null !== $end ) {
+			$raw['date']       = $start->format( 'Y-m-d' );
+			$raw['start_time'] = $start->format( 'H:i' );
+			$raw['end_time']   = $end->format( 'H:i' );
+		}
+
+		if ( array_key_exists( 'staff', $values ) ) {
+			$raw['resource_id'] = '' !== $values['staff'] ? $this->find_post_id( Resource_Post_Type::POST_TYPE, $values['staff'] ) : 0;
+			if ( '' !== $values['staff'] && 0 === $raw['resource_id'] ) {
+				/* translators: %s: staff name or ID from the file. */
+				$errors[] = sprintf( __( 'Unknown staff: %s', 'vk-booking-manager' ), $values['staff'] );
+			}
+		}
+
+		if ( array_key_exists( 'menu', $values ) ) {
+			$raw['service_id'] = '' !== $values['menu'] ? $this->find_post_id( Service_Menu_Post_Type::POST_TYPE, $values['menu'] ) : 0;
+			if ( '' !== $values['menu'] && 0 === $raw['service_id'] ) {
+				/* translators: %s: menu name or ID from the file. */
+				$errors[] = sprintf( __( 'Unknown menu: %s', 'vk-booking-manager' ), $values['menu'] );
+			}
+		}
+
+		if ( array_key_exists( 'status', $values ) ) {
+			$raw['status'] = $this->parse_status( $values['status'] );
+			if ( '' === $raw['status'] ) {
+				/* translators: %s: status from the file. */
+				$errors[] = sprintf( __( 'Unknown reservation status: %s', 'vk-booking-manager' ), $values['status'] );
+			}
+		}
+
+		$party_size = $values['party_size'] ?? '';
+		if ( '' !== $party_size ) {
+			if ( ! ctype_digit( $party_size ) || (int) $party_size < 1 ) {
+				$errors[] = __( 'The party size must be a whole number of 1 or more.', 'vk-booking-manager' );
+			}
+			$raw['party_size'] = (int) $party_size;
+		}
+
+		$text_fields = array(
+			'customer_name'  => 'customer',
+			'customer_tel'   => 'customer_tel',
+			'customer_email' => 'customer_email',
+			'note'           => 'note',
+			'internal_note'  => 'internal_note',
+		);
+		foreach ( $text_fields as $field => $form_field ) {
+			if ( array_key_exists( $field, $values ) ) {
+				$raw[ $form_field ] = $values[ $field ];
+			}
+		}
+
+		if ( array_key_exists( 'is_staff_preferred', $values ) ) {
+			$raw['is_staff_preferred'] = in_array( mb_strtolower( $values['is_staff_preferred'] ), array( '1', 'yes', 'true', 'はい' ), true ) ? '1' : null;
+		}
+
+		foreach ( array( 'billed_total_price', 'base_total_price', 'nomination_fee' ) as $field ) {
+			if ( '' === ( $values[ $field ] ?? '' ) ) {
+				continue;
+			}
+
+			$amount = str_replace( array( ',', '¥', '￥', '円', ' ' ), '', $values[ $field ] );
+			if ( ! ctype_digit( $amount ) ) {
+				/* translators: %s: column label. */
+				$errors[] = sprintf( __( '%s must be a whole number.', 'vk-booking-manager' ), self::get_fields()[ $field ] );
+				continue;
+			}
+
+			$prices[ $field ] = (int) $amount;
+		}
+		if ( isset( $prices['billed_total_price'] ) ) {
+			$raw['billed_total_price'] = $prices['billed_total_price'];
+		}
+
+		return array(
+			'errors' => $errors,
+			'raw'    => $raw,
+			'prices' => $prices,
+			'start'  => $start,
+			'end'    => $end,
+		);
+	}
+
+	/**
+	 * Overlay a row on the stored fields of the booking it updates.
+	 *
+	 * @param int                  $existing_id Booking to update (0 when creating).
+	 * @param array<string, mixed> $raw         save_booking() fields from the row.
+	 * @return array<string, mixed>
+	 */
+	private function merge_stored_fields( int $existing_id, array $raw ): array {
+		$post = $existing_id > 0 ? get_post( $existing_id ) : null;
+		// Columns that are not in the file keep their stored values. / ファイルにない項目は保存済みの値を維持する.
+		$fields = $post instanceof WP_Post ? array_merge( $this->booking_admin->get_form_fields( $post ), $raw ) : $raw;
+
+		// The checkbox field is only present when checked. / チェックボックスはオンのときのみ渡す.
+		if ( array_key_exists( 'is_staff_preferred', $fields ) && null === $fields['is_staff_preferred'] ) {
+			unset( $fields['is_staff_preferred'] );
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Create or update the booking for a valid row.
+	 *
+	 * @param int                  $existing_id Booking to update (0 to create).
+	 * @param string               $external_id External ID.
+	 * @param array<string, mixed> $fields      save_booking() fields.
+	 * @param array<string, int>   $prices      Price columns present in the row.
+	 * @return int|WP_Error Booking ID.
+	 */
+	private function save_row( int $existing_id, string $external_id, array $fields, array $prices ) {
+		$booking_id = $existing_id;
+
+		if ( 0 === $booking_id ) {
+			$booking_id = wp_insert_post(
+				array(
+					'post_type'   => Booking_Post_Type::POST_TYPE,
+					'post_status' => 'publish',
+				),
+				true
+			);
+			if ( is_wp_error( $booking_id ) ) {
+				return $booking_id;
+			}
+		}
+
+		$result = $this->booking_admin->save_booking( (int) $booking_id, $fields );
+		if ( is_wp_error( $result ) ) {
+			if ( 0 === $existing_id ) {
+				// Do not leave an empty booking behind. / 空の予約を残さない.
+				wp_delete_post( (int) $booking_id, true );
+			}
+			return $result;
+		}
+
+		if ( '' !== $external_id ) {
+			update_post_meta( (int) $booking_id, Booking_Csv_Exporter::EXTERNAL_ID_META, $external_id );
+		}
+
+		// Keep the booked prices from the previous system instead of the current menu price. / 予約時の金額は移行元の値を使う.
+		$price_meta = array(
+			'base_total_price' => self::META_BASE_TOTAL_PRICE,
+			'nomination_fee'   => self::META_NOMINATION_FEE,
+		);
+		foreach ( $price_meta as $field => $meta_key ) {
+			if ( isset( $prices[ $field ] ) ) {
+				update_post_meta( (int) $booking_id, $meta_key, $prices[ $field ] );
+			}
+		}
+
+		return (int) $booking_id;
+	}
+
+	/**
+	 * Parse a date/time cell in the site timezone.
+	 *
+	 * @param string $value Cell value.
+	 * @return DateTimeImmutable|null
+	 */
+	private function parse_datetime( string $value ): ?DateTimeImmutable {
+		if ( '' === $value ) {
+			return null;
+		}
+
+		foreach ( self::DATETIME_FORMATS as $format ) {
+			$datetime = DateTimeImmutable::createFromFormat( '!' . $format, $value, wp_timezone() );
+			if ( $datetime instanceof DateTimeImmutable && $datetime->format( $format ) === $value ) {
+				return $datetime;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Status key from a key or a translated label; empty means confirmed.
+	 *
+	 * @param string $value Cell value.
+	 * @return string Status key, or '' when unknown.
+	 */
+	private function parse_status( string $value ): string {
+		if ( '' === $value ) {
+			return 'confirmed';
+		}
+
+		foreach ( $this->booking_admin->get_status_options() as $status => $label ) {
+			if ( mb_strtolower( $value ) === $status || $value === $label ) {
+				return $status;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Find a staff member or menu by post ID or exact title.
+	 *
+	 * @param string $post_type Post type.
+	 * @param string $value     ID or title from the file.
+	 * @return int Post ID, or 0 when not found.
+	 */
+	private function find_post_id( string $post_type, string $value ): int {
+		if ( isset( $this->lookup_cache[ $post_type ][ $value ] ) ) {
+			return $this->lookup_cache[ $post_type ][ $value ];
+		}
+
+		$post_id = 0;
+		if ( ctype_digit( $value ) ) {
+			$post    = get_post( (int) $value );
+			$post_id = $post instanceof WP_Post && $post_type === $post->post_type && 'trash' !== $post->post_status ? (int) $post->ID : 0;
+		}
+
+		if ( 0 === $post_id ) {
+			$ids     = get_posts(
+				array(
+					'post_type'      => $post_type,
+					'post_status'    => array( 'publish', 'private', 'draft' ),
+					'title'          => $value,
+					'posts_per_page' => 1,
+					'fields'         => 'ids',
+					'no_found_rows'  => true,
+				)
+			);
+			$post_id = array() !== $ids ? (int) $ids[0] : 0;
+		}
+
+		$this->lookup_cache[ $post_type ][ $value ] = $post_id;
+
+		return $post_id;
+	}
+
+	/**
+	 * Booking previously imported with the external ID.
+	 *
+	 * @param string $external_id External ID.
+	 * @return int Booking ID, or 0 when none.
+	 */
+	private function find_by_external_id( string $external_id ): int {
+		$ids = get_posts(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => 'any',
+				'posts_per_page' => 1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'meta_query'     => array(
+					array(
+						'key'   => Booking_Csv_Exporter::EXTERNAL_ID_META,
+						'value' => $external_id,
+					),
+				),
+			)
+		);
+
+		return array() !== $ids ? (int) $ids[0] : 0;
+	}
+}
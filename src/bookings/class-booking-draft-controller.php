@@ -106,6 +106,7 @@ class Booking_Draft_Controller {
 	public function save_draft( WP_REST_Request $request ) {
 		$params      = $request->get_json_params();
 		$menu_id     = isset( $params['menu_id'] ) ? (int) $params['menu_id'] : 0;
+		$menu_ids    = Booking_Line_Items::normalize_menu_ids( $params['menu_ids'] ?? array(), $menu_id );
 		$resource_id = isset( $params['resource_id'] ) ? max( 0, (int) $params['resource_id'] ) : 0;
 		$date        = isset( $params['date'] ) ? sanitize_text_field( (string) $params['date'] ) : '';
 
@@ -153,6 +154,10 @@ class Booking_Draft_Controller {
 		}
 
 		$auto_assign = isset( $slot['auto_assign'] ) ? (bool) $slot['auto_assign'] : false;
+		// Seats left are shown on the confirm screen only; availability is re-checked on booking.
+		// 残席は確認画面の表示用で、予約確定時に改めて検証します.
+		$remaining        = isset( $slot['remaining'] ) ? max( 1, (int) $slot['remaining'] ) : 1;
+		$is_group_session = ! empty( $slot['is_group_session'] );
 
 		if ( '' === $slot_id || '' === $start_at ) {
 			return new WP_Error( 'invalid_slot', __( 'Reservation slot information is incorrect.', 'vk-booking-manager' ) );
@@ -180,6 +185,7 @@ class Booking_Draft_Controller {
 
 		$payload = array(
 			'menu_id'                   => $menu_id,
+			'menu_ids'                  => $menu_ids,
 			'resource_id'               => $resource_id,
 			'date'                      => $date,
 			'slot'                      => array(
@@ -192,6 +198,8 @@ class Booking_Draft_Controller {
 				'staff_label'          => $effective_slot_staff_label,
 				'assignable_staff_ids' => $assignable_staff,
 				'auto_assign'          => $auto_assign || ( $resource_id <= 0 ),
+				'remaining'            => $remaining,
+				'is_group_session'     => $is_group_session,
 			),
 			'meta'                      => array(
 				'timezone' => $timezone,
@@ -250,8 +258,22 @@ class Booking_Draft_Controller {
 
 		unset( $payload['owner_user_id'], $payload['owner_key'] );
 
-		$price_snapshot = $this->build_menu_price_snapshot( isset( $payload['menu_id'] ) ? (int) $payload['menu_id'] : 0 );
-		$tax_enabled    = (bool) ( $price_snapshot['tax_enabled'] ?? false );
+		$menu_id  = isset( $payload['menu_id'] ) ? (int) $payload['menu_id'] : 0;
+		$menu_ids = Booking_Line_Items::normalize_menu_ids( $payload['menu_ids'] ?? array(), $menu_id );
+
+		if ( count( $menu_ids ) > 1 ) {
+			// Bundles are priced as the sum of every line. / セット予約は各明細の合計金額で表示します.
+			$line_items     = Booking_Line_Items::build_for_menus( $menu_ids );
+			$price_snapshot = $this->build_price_snapshot( Booking_Line_Items::sum_price( $line_items ) );
+
+			foreach ( $line_items as $index => $line_item ) {
+				$line_items[ $index ]['price_formatted'] = $this->format_currency_label( (int) $line_item['price'], true );
+			}
+			$payload['line_items'] = $line_items;
+		} else {
+			$price_snapshot = $this->build_menu_price_snapshot( $menu_id );
+		}
+		$tax_enabled = (bool) ( $price_snapshot['tax_enabled'] ?? false );
 
 		if ( empty( $price_snapshot ) ) {
 			$tax_enabled = true;
@@ -333,8 +355,16 @@ class Booking_Draft_Controller {
 			return array();
 		}
 
-		$base_price = max( 0, (int) $raw_price );
+		return $this->build_price_snapshot( max( 0, (int) $raw_price ) );
+	}
 
+	/**
+	 * Build a price snapshot for a base price.
+	 *
+	 * @param int $base_price Base price.
+	 * @return array<string, mixed>
+	 */
+	private function build_price_snapshot( int $base_price ): array {
 		$tax_enabled = true;
 		$tax_rate    = 0.0;
 
@@ -0,0 +1,173 @@
+<?php
+
+/**
+ * Line item helpers for multi-menu (bundle) bookings.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use function get_post_meta;
+use function get_the_title;
+use function sanitize_text_field;
+
+/**
+ * Builds and reads the per-menu line items stored on bundle bookings.
+ */
+class Booking_Line_Items {
+	public const META_KEY = '_vkbm_booking_line_items';
+
+	/**
+	 * Maximum number of menus that can be combined into one visit.
+	 */
+	public const MAX_MENUS = 5;
+
+	private const MENU_META_DURATION   = '_vkbm_duration_minutes';
+	private const MENU_META_BASE_PRICE = '_vkbm_base_price';
+
+	/**
+	 * Duration used for menus without one, matching the availability search.
+	 */
+	private const DEFAULT_DURATION_MINUTES = 60;
+
+	/**
+	 * Normalize a menu ID list with the primary menu first.
+	 *
+	 * 主メニューを先頭にしたメニューID一覧へ正規化します。
+	 *
+	 * @param mixed $raw             Menu IDs (array or comma separated string).
+	 * @param int   $primary_menu_id Primary menu ID.
+	 * @return array<int>
+	 */
+	public static function normalize_menu_ids( $raw, int $primary_menu_id = 0 ): array {
+		if ( is_string( $raw ) ) {
+			$raw = explode( ',', $raw );
+		}
+
+		$ids = array();
+		if ( $primary_menu_id > 0 ) {
+			$ids[] = $primary_menu_id;
+		}
+
+		if ( is_array( $raw ) ) {
+			foreach ( $raw as $candidate ) {
+				$candidate = (int) $candidate;
+				if ( $candidate > 0 && ! in_array( $candidate, $ids, true ) ) {
+					$ids[] = $candidate;
+				}
+			}
+		}
+
+		return array_slice( $ids, 0, self::MAX_MENUS );
+	}
+
+	/**
+	 * Build line items from the current menu settings.
+	 *
+	 * 現在のメニュー設定から明細を生成します。
+	 *
+	 * @param array<int> $menu_ids Menu IDs in service order.
+	 * @return array<int, array<string, mixed>>
+	 */
+	public static function build_for_menus( array $menu_ids ): array {
+		$items = array();
+
+		foreach ( $menu_ids as $menu_id ) {
+			$menu_id = (int) $menu_id;
+			if ( $menu_id <= 0 ) {
+				continue;
+			}
+
+			$duration = (int) get_post_meta( $menu_id, self::MENU_META_DURATION, true );
+			$items[]  = array(
+				'menu_id'          => $menu_id,
+				'name'             => (string) get_the_title( $menu_id ),
+				'duration_minutes' => $duration > 0 ? $duration : self::DEFAULT_DURATION_MINUTES,
+				'price'            => max( 0, (int) get_post_meta( $menu_id, self::MENU_META_BASE_PRICE, true ) ),
+			);
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Read stored line items for a booking.
+	 *
+	 * Single-menu bookings do not store line items, so an empty array is returned.
+	 * 単一メニューの予約には明細が保存されないため空配列を返します。
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return array<int, array<string, mixed>>
+	 */
+	public static function get_for_booking( int $booking_id ): array {
+		if ( $booking_id <= 0 ) {
+			return array();
+		}
+
+		$raw = get_post_meta( $booking_id, self::META_KEY, true );
+		if ( ! is_array( $raw ) ) {
+			return array();
+		}
+
+		$items = array();
+		foreach ( $raw as $item ) {
+			if ( ! is_array( $item ) ) {
+				continue;
+			}
+
+			$menu_id = isset( $item['menu_id'] ) ? (int) $item['menu_id'] : 0;
+			if ( $menu_id <= 0 ) {
+				continue;
+			}
+
+			$items[] = array(
+				'menu_id'          => $menu_id,
+				'name'             => sanitize_text_field( (string) ( $item['name'] ?? '' ) ),
+				'duration_minutes' => max( 0, (int) ( $item['duration_minutes'] ?? 0 ) ),
+				'price'            => max( 0, (int) ( $item['price'] ?? 0 ) ),
+			);
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Sum the price of line items.
+	 *
+	 * @param array<int, array<string, mixed>> $items Line items.
+	 * @return int
+	 */
+	public static function sum_price( array $items ): int {
+		$total = 0;
+		foreach ( $items as $item ) {
+			$total += max( 0, (int) ( $item['price'] ?? 0 ) );
+		}
+
+		return $total;
+	}
+
+	/**
+	 * Join line item names for compact labels (e.g. "Cut + Color").
+	 *
+	 * @param array<int, array<string, mixed>> $items Line items.
+	 * @return string
+	 */
+	public static function join_names( array $items ): string {
+		$names = array();
+		foreach ( $items as $item ) {
+			$name = trim( (string) ( $item['name'] ?? '' ) );
+			if ( '' !== $name ) {
+				$names[] = $name;
+			}
+		}
+
+		return implode( ' + ', $names );
+	}
+}
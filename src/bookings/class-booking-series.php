@@ -0,0 +1,177 @@
+<?php
+
+/**
+ * Helpers for recurring booking series.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_Query;
+use function get_post_meta;
+
+/**
+ * Builds occurrences for "repeat every N weeks" bookings and reads series links.
+ */
+class Booking_Series {
+	public const META_SERIES_ID    = '_vkbm_booking_series_id';
+	public const META_SERIES_INDEX = '_vkbm_booking_series_index';
+
+	/**
+	 * Maximum interval between occurrences in weeks.
+	 */
+	public const MAX_INTERVAL_WEEKS = 8;
+
+	/**
+	 * Maximum number of bookings in one series, including the first one.
+	 */
+	public const MAX_OCCURRENCES = 12;
+
+	/**
+	 * Normalize a recurrence rule from request input.
+	 *
+	 * 繰り返し指定を正規化します。2回未満の場合は null を返します。
+	 *
+	 * @param mixed $raw Raw rule ( interval_weeks, count ).
+	 * @return array{interval_weeks: int, count: int}|null
+	 */
+	public static function normalize_rule( $raw ): ?array {
+		if ( ! is_array( $raw ) ) {
+			return null;
+		}
+
+		$interval = (int) ( $raw['interval_weeks'] ?? 0 );
+		$count    = (int) ( $raw['count'] ?? 0 );
+
+		if ( $interval < 1 || $count < 2 ) {
+			return null;
+		}
+
+		return array(
+			'interval_weeks' => min( $interval, self::MAX_INTERVAL_WEEKS ),
+			'count'          => min( $count, self::MAX_OCCURRENCES ),
+		);
+	}
+
+	/**
+	 * Build the slots of the following occurrences from the first slot.
+	 *
+	 * Times are shifted on the local calendar so the visit keeps the same
+	 * wall-clock time across daylight saving changes.
+	 * 夏時間の切り替えがあっても同じ現地時刻になるよう、現地の暦で日付をずらします。
+	 *
+	 * @param array<string, mixed>                  $slot     First slot ( start_at, end_at, service_end_at ).
+	 * @param array{interval_weeks: int, count: int} $rule     Normalized rule.
+	 * @param string                                $timezone Timezone name (optional).
+	 * @return array<int, array<string, mixed>> Slots keyed by series index (2..count).
+	 */
+	public static function build_occurrence_slots( array $slot, array $rule, string $timezone = '' ): array {
+		$occurrences = array();
+
+		for ( $index = 2; $index <= $rule['count']; $index++ ) {
+			$weeks   = $rule['interval_weeks'] * ( $index - 1 );
+			$shifted = $slot;
+
+			foreach ( array( 'start_at', 'end_at', 'service_end_at' ) as $key ) {
+				if ( empty( $slot[ $key ] ) ) {
+					continue;
+				}
+
+				$value = self::shift_datetime( (string) $slot[ $key ], $weeks, $timezone );
+				if ( '' === $value ) {
+					return array();
+				}
+
+				$shifted[ $key ] = $value;
+			}
+
+			$occurrences[ $index ] = $shifted;
+		}
+
+		return $occurrences;
+	}
+
+	/**
+	 * Get the booking IDs in a series ordered by series index.
+	 *
+	 * @param string $series_id Series ID.
+	 * @param int    $author_id Limit to bookings of this user (0 = any).
+	 * @return array<int>
+	 */
+	public static function get_booking_ids( string $series_id, int $author_id = 0 ): array {
+		if ( '' === $series_id ) {
+			return array();
+		}
+
+		$args = array(
+			'post_type'              => Booking_Post_Type::POST_TYPE,
+			'post_status'            => 'any',
+			'posts_per_page'         => self::MAX_OCCURRENCES,
+			'fields'                 => 'ids',
+			'no_found_rows'          => true,
+			'update_post_term_cache' => false,
+			'meta_key'               => self::META_SERIES_INDEX, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+			'orderby'                => 'meta_value_num',
+			'order'                  => 'ASC',
+			'meta_query'             => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				array(
+					'key'   => self::META_SERIES_ID,
+					'value' => $series_id,
+				),
+			),
+		);
+
+		if ( $author_id > 0 ) {
+			$args['author'] = $author_id;
+		}
+
+		$query = new WP_Query( $args );
+
+		return array_map( 'intval', $query->posts );
+	}
+
+	/**
+	 * Read the series link stored on a booking.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return array{series_id: string, series_index: int}
+	 */
+	public static function get_for_booking( int $booking_id ): array {
+		return array(
+			'series_id'    => (string) get_post_meta( $booking_id, self::META_SERIES_ID, true ),
+			'series_index' => (int) get_post_meta( $booking_id, self::META_SERIES_INDEX, true ),
+		);
+	}
+
+	/**
+	 * Shift an ISO datetime by whole weeks.
+	 *
+	 * @param string $value    ISO8601 datetime.
+	 * @param int    $weeks    Number of weeks.
+	 * @param string $timezone Timezone name (optional).
+	 * @return string ISO8601 datetime, or empty string when invalid.
+	 */
+	private static function shift_datetime( string $value, int $weeks, string $timezone ): string {
+		try {
+			$datetime = new DateTimeImmutable( $value );
+			if ( '' !== $timezone ) {
+				$datetime = $datetime->setTimezone( new DateTimeZone( $timezone ) );
+			}
+		} catch ( Exception $e ) {
+			return '';
+		}
+
+		return $datetime->modify( sprintf( '+%d weeks', $weeks ) )->format( DATE_ATOM );
+	}
+}
@@ -0,0 +1,235 @@
+<?php
+
+/**
+ * Re-checks a requested slot against current availability.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
+use VKBookingManager\Availability\Availability_Service;
+use WP_Error;
+use function __;
+use function _n;
+use function sanitize_text_field;
+
+/**
+ * Validates that a slot chosen on the client is still bookable.
+ */
+class Booking_Slot_Validator {
+	/**
+	 * Availability service.
+	 *
+	 * @var Availability_Service
+	 */
+	private $availability_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Availability_Service $availability_service Availability service.
+	 */
+	public function __construct( Availability_Service $availability_service ) {
+		$this->availability_service = $availability_service;
+	}
+
+	/**
+	 * Check that a slot is still available before it is booked.
+	 *
+	 * 予約確定・日時変更の前に、枠がまだ空いているか再検証します。
+	 *
+	 * @param int                  $menu_id            Menu post ID.
+	 * @param int                  $preferred_staff_id Preferred staff ID (0 for auto).
+	 * @param array<string, mixed> $slot               Slot payload ( slot_id, start_at, end_at ).
+	 * @param string               $timezone           Timezone string (optional).
+	 * @param array<int>           $menu_ids           Bundle menu IDs including the primary menu.
+	 * @param int                  $exclude_booking_id Booking whose own time should not block the slot (0 = none).
+	 * @param int                  $seats              Seats the booking takes (group menus).
+	 * @return array<string, mixed>|WP_Error
+	 */
+	public function validate(
+		int $menu_id,
+		int $preferred_staff_id,
+		array $slot,
+		string $timezone,
+		array $menu_ids = array(),
+		int $exclude_booking_id = 0,
+		int $seats = 1
+	) {
+		$slot_id  = isset( $slot['slot_id'] ) ? sanitize_text_field( (string) $slot['slot_id'] ) : '';
+		$start_at = isset( $slot['start_at'] ) ? sanitize_text_field( (string) $slot['start_at'] ) : '';
+		$end_at   = isset( $slot['end_at'] ) ? sanitize_text_field( (string) $slot['end_at'] ) : '';
+
+		if ( '' === $slot_id || '' === $start_at ) {
+			return new WP_Error(
+				'invalid_slot',
+				__( 'Reservation slot information is incorrect.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Resolve timezone from draft or slot data. / 予約一時データまたは枠情報からタイムゾーンを補正します.
+		$timezone = sanitize_text_field( $timezone );
+		if ( '' === $timezone ) {
+			$timezone = $this->extract_timezone_from_datetime( $start_at );
+		}
+
+		$date = $this->extract_slot_date( $start_at, $timezone );
+		if ( '' === $date ) {
+			return new WP_Error(
+				'invalid_slot',
+				__( 'Reservation slot information is incorrect.', 'vk-booking-manager' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$availability = $this->availability_service->get_daily_slots(
+			array(
+				'menu_id'            => $menu_id,
+				'menu_ids'           => $menu_ids,
+				'resource_id'        => $preferred_staff_id,
+				'date'               => $date,
+				'timezone'           => $timezone,
+				'exclude_booking_id' => $exclude_booking_id,
+			)
+		);
+
+		if ( is_wp_error( $availability ) ) {
+			return new WP_Error(
+				$availability->get_error_code(),
+				$availability->get_error_message(),
+				array( 'status' => 409 )
+			);
+		}
+
+		$slots = isset( $availability['slots'] ) && is_array( $availability['slots'] ) ? $availability['slots'] : array();
+		$match = $this->find_matching_available_slot( $slots, $slot_id, $start_at, $end_at );
+		if ( null === $match ) {
+			return new WP_Error(
+				'slot_unavailable',
+				__( 'The selected slot is no longer available. Please choose another slot.', 'vk-booking-manager' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		if ( $seats > 1 && (int) ( $match['remaining'] ?? 1 ) < $seats ) {
+			return new WP_Error(
+				'not_enough_seats',
+				sprintf(
+					/* translators: %d: number of seats left */
+					_n( 'Only %d seat is left in this slot.', 'Only %d seats are left in this slot.', (int) ( $match['remaining'] ?? 1 ), 'vk-booking-manager' ),
+					(int) ( $match['remaining'] ?? 1 )
+				),
+				array( 'status' => 409 )
+			);
+		}
+
+		if ( $preferred_staff_id > 0 ) {
+			$matched_staff_id = isset( $match['staff']['id'] ) ? (int) $match['staff']['id'] : 0;
+			if ( 0 === $matched_staff_id || $matched_staff_id !== $preferred_staff_id ) {
+				return new WP_Error(
+					'staff_unavailable',
+					__( 'The selected staff member is no longer available.', 'vk-booking-manager' ),
+					array( 'status' => 409 )
+				);
+			}
+		}
+
+		return $match;
+	}
+
+	/**
+	 * Extract slot date string from ISO datetime.
+	 *
+	 * ISO日時から営業日の文字列を取得します。
+	 *
+	 * @param string $start_at Slot start datetime.
+	 * @param string $timezone Timezone string (optional).
+	 * @return string
+	 */
+	public function extract_slot_date( string $start_at, string $timezone ): string {
+		try {
+			$datetime = new DateTimeImmutable( $start_at );
+		} catch ( Exception $e ) {
+			return '';
+		}
+
+		if ( '' !== $timezone ) {
+			try {
+				$datetime = $datetime->setTimezone( new DateTimeZone( $timezone ) );
+			} catch ( Exception $e ) {
+				// Ignore invalid timezone and use original. / タイムゾーンが不正な場合は元の値を使います.
+				// phpcs:ignore Squiz.Commenting.EmptyCatchComment -- Timezone error is intentionally ignored.
+			}
+		}
+
+		return $datetime->format( 'Y-m-d' );
+	}
+
+	/**
+	 * Extract timezone name from ISO datetime if possible.
+	 *
+	 * ISO日時からタイムゾーン名を抽出します。
+	 *
+	 * @param string $value ISO datetime.
+	 * @return string
+	 */
+	private function extract_timezone_from_datetime( string $value ): string {
+		try {
+			$datetime = new DateTimeImmutable( $value );
+		} catch ( Exception $e ) {
+			return '';
+		}
+
+		return $datetime->getTimezone()->getName();
+	}
+
+	/**
+	 * Find matching slot from the availability snapshot.
+	 *
+	 * 空き一覧から一致する枠を取得します。
+	 *
+	 * @param array<int, array<string, mixed>> $slots   Available slots.
+	 * @param string                           $slot_id Temporary reservation data slot ID.
+	 * @param string                           $start_at Temporary reservation data start datetime.
+	 * @param string                           $end_at Temporary reservation data end datetime.
+	 * @return array<string, mixed>|null
+	 */
+	private function find_matching_available_slot( array $slots, string $slot_id, string $start_at, string $end_at ): ?array {
+		foreach ( $slots as $candidate ) {
+			if ( ! is_array( $candidate ) ) {
+				continue;
+			}
+
+			$candidate_id = isset( $candidate['slot_id'] ) ? (string) $candidate['slot_id'] : '';
+			if ( '' !== $slot_id && $candidate_id === $slot_id ) {
+				return $candidate;
+			}
+		}
+
+		foreach ( $slots as $candidate ) {
+			if ( ! is_array( $candidate ) ) {
+				continue;
+			}
+
+			$candidate_start = isset( $candidate['start_at'] ) ? (string) $candidate['start_at'] : '';
+			$candidate_end   = isset( $candidate['end_at'] ) ? (string) $candidate['end_at'] : '';
+
+			if ( $candidate_start === $start_at && ( '' === $end_at || $candidate_end === $end_at ) ) {
+				return $candidate;
+			}
+		}
+
+		return null;
+	}
+}
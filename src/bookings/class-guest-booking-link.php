@@ -0,0 +1,181 @@
+<?php
+
+/**
+ * Signed "manage my booking" links for guest reservations.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_Error;
+use WP_Post;
+use function __;
+use function add_query_arg;
+use function get_post;
+use function get_post_meta;
+use function home_url;
+use function update_post_meta;
+use function wp_generate_password;
+use function wp_salt;
+use function wp_timezone;
+
+/**
+ * Issues and verifies the links guests use to view or cancel a reservation.
+ *
+ * The token carries the booking ID and an expiry and is signed with a secret
+ * stored on the booking, so deleting the secret revokes every issued link.
+ * トークンには予約IDと有効期限を含め、予約ごとの秘密鍵で署名します。秘密鍵を削除すると発行済みのリンクは無効になります。
+ */
+class Guest_Booking_Link {
+	public const META_IS_GUEST = '_vkbm_booking_is_guest';
+	public const META_SECRET   = '_vkbm_booking_guest_secret';
+	public const QUERY_ARG     = 'vkbm_manage';
+
+	/**
+	 * Token pattern used by REST routes ("{booking_id}.{expires}.{signature}").
+	 */
+	public const TOKEN_PATTERN = '[0-9]+\\.[0-9]+\\.[a-f0-9]{64}';
+
+	/**
+	 * How long a link stays valid after the reservation starts.
+	 */
+	private const VALID_AFTER_START = DAY_IN_SECONDS;
+
+	/**
+	 * Flag a booking as made without an account and create its link secret.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 */
+	public static function mark_as_guest( int $booking_id ): void {
+		update_post_meta( $booking_id, self::META_IS_GUEST, '1' );
+		update_post_meta( $booking_id, self::META_SECRET, wp_generate_password( 32, false, false ) );
+	}
+
+	/**
+	 * Whether the booking was made by a guest.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return bool
+	 */
+	public static function is_guest_booking( int $booking_id ): bool {
+		return '1' === (string) get_post_meta( $booking_id, self::META_IS_GUEST, true );
+	}
+
+	/**
+	 * Create a signed token for the booking ('' when it is not a guest booking).
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return string
+	 */
+	public static function create_token( int $booking_id ): string {
+		$secret = self::get_secret( $booking_id );
+		if ( '' === $secret ) {
+			return '';
+		}
+
+		$expires = self::get_expiry( $booking_id );
+
+		return sprintf( '%d.%d.%s', $booking_id, $expires, self::sign( $booking_id, $expires, $secret ) );
+	}
+
+	/**
+	 * Build the manage link on the reservation page.
+	 *
+	 * @param int    $booking_id Booking post ID.
+	 * @param string $base_url   Reservation page URL (home URL when empty).
+	 * @return string '' when the booking is not a guest booking.
+	 */
+	public static function get_manage_url( int $booking_id, string $base_url = '' ): string {
+		$token = self::create_token( $booking_id );
+		if ( '' === $token ) {
+			return '';
+		}
+
+		return add_query_arg( self::QUERY_ARG, $token, '' !== $base_url ? $base_url : home_url( '/' ) );
+	}
+
+	/**
+	 * Resolve the booking a token points to.
+	 *
+	 * @param string   $token Token from the link.
+	 * @param int|null $now   Current Unix timestamp (for tests).
+	 * @return int|WP_Error Booking ID.
+	 */
+	public static function verify_token( string $token, ?int $now = null ) {
+		$invalid = new WP_Error( 'invalid_manage_link', __( 'This reservation link is invalid.', 'vk-booking-manager' ), array( 'status' => 403 ) );
+
+		if ( 1 !== preg_match( '/^' . self::TOKEN_PATTERN . '$/', $token ) ) {
+			return $invalid;
+		}
+
+		$parts      = explode( '.', $token );
+		$booking_id = (int) $parts[0];
+		$expires    = (int) $parts[1];
+		$signature  = $parts[2];
+
+		$post = get_post( $booking_id );
+		if ( ! $post instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $post->post_type ) {
+			return $invalid;
+		}
+
+		$secret = self::get_secret( $booking_id );
+		if ( '' === $secret || ! hash_equals( self::sign( $booking_id, $expires, $secret ), $signature ) ) {
+			return $invalid;
+		}
+
+		if ( $expires < ( null !== $now ? $now : time() ) ) {
+			return new WP_Error( 'manage_link_expired', __( 'This reservation link has expired.', 'vk-booking-manager' ), array( 'status' => 410 ) );
+		}
+
+		return $booking_id;
+	}
+
+	/**
+	 * Link secret of a guest booking.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return string
+	 */
+	private static function get_secret( int $booking_id ): string {
+		if ( ! self::is_guest_booking( $booking_id ) ) {
+			return '';
+		}
+
+		return (string) get_post_meta( $booking_id, self::META_SECRET, true );
+	}
+
+	/**
+	 * Expiry of new links: one day after the reservation starts.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return int Unix timestamp.
+	 */
+	private static function get_expiry( int $booking_id ): int {
+		$start_at = (string) get_post_meta( $booking_id, '_vkbm_booking_service_start', true );
+		$start    = '' !== $start_at ? DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start_at, wp_timezone() ) : false;
+		$start_ts = $start ? $start->getTimestamp() : time();
+
+		return $start_ts + self::VALID_AFTER_START;
+	}
+
+	/**
+	 * Signature of a token.
+	 *
+	 * @param int    $booking_id Booking post ID.
+	 * @param int    $expires    Expiry timestamp.
+	 * @param string $secret     Booking link secret.
+	 * @return string
+	 */
+	private static function sign( int $booking_id, int $expires, string $secret ): string {
+		return hash_hmac( 'sha256', $booking_id . '|' . $expires . '|' . $secret, wp_salt( 'auth' ) );
+	}
+}
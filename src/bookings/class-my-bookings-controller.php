@@ -14,6 +14,9 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
+use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Availability\Slot_Capacity;
+use VKBookingManager\Facilities\Facility_Availability;
 use VKBookingManager\Notifications\Booking_Notification_Service;
 use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
@@ -37,14 +40,18 @@ use function rest_ensure_response;
 use function sanitize_text_field;
 use function sanitize_textarea_field;
 use function update_post_meta;
+use function wp_date;
+use function wp_timezone;
+use function wp_update_post;
 
 /**
- * Provides current user's booking list.
+ * Provides current user's booking list and the guest manage-link endpoints.
  */
 class My_Bookings_Controller {
 	private const REST_NAMESPACE = 'vkbm/v1';
 
 	private const STATUS_CANCELLED = 'cancelled';
+	private const STATUS_NO_SHOW   = 'no_show';
 
 	private const META_SERVICE_ID         = '_vkbm_booking_service_id';
 	private const META_RESOURCE_ID        = '_vkbm_booking_resource_id';
@@ -56,6 +63,10 @@ class My_Bookings_Controller {
 	private const META_BASE_PRICE         = '_vkbm_booking_service_base_price';
 	private const META_BASE_TOTAL_PRICE   = '_vkbm_booking_base_total_price';
 	private const META_STATUS             = '_vkbm_booking_status';
+	private const META_TOTAL_END          = '_vkbm_booking_total_end';
+	private const META_CUSTOMER           = '_vkbm_booking_customer_name';
+	private const META_PREVIOUS_START     = '_vkbm_booking_previous_start';
+	private const META_PREVIOUS_END       = '_vkbm_booking_previous_end';
 
 	/**
 	 * Settings repository.
@@ -71,18 +82,46 @@ class My_Bookings_Controller {
 	 */
 	private ?Booking_Notification_Service $notification_service;
 
+	/**
+	 * Waitlist service.
+	 *
+	 * @var Waitlist_Service|null
+	 */
+	private ?Waitlist_Service $waitlist_service;
+
+	/**
+	 * Availability service.
+	 *
+	 * @var Availability_Service
+	 */
+	private Availability_Service $availability_service;
+
+	/**
+	 * Slot validator.
+	 *
+	 * @var Booking_Slot_Validator
+	 */
+	private Booking_Slot_Validator $slot_validator;
+
 	/**
 	 * Constructor.
 	 *
 	 * @param Settings_Repository|null          $settings_repository Provider settings repository.
 	 * @param Booking_Notification_Service|null $notification_service Notification handler.
+	 * @param Waitlist_Service|null             $waitlist_service Waitlist handler.
+	 * @param Availability_Service|null         $availability_service Availability service.
 	 */
 	public function __construct(
 		?Settings_Repository $settings_repository = null,
-		?Booking_Notification_Service $notification_service = null
+		?Booking_Notification_Service $notification_service = null,
+		?Waitlist_Service $waitlist_service = null,
+		?Availability_Service $availability_service = null
 	) {
 		$this->settings_repository  = $settings_repository ?? new Settings_Repository();
 		$this->notification_service = $notification_service;
+		$this->waitlist_service     = $waitlist_service;
+		$this->availability_service = $availability_service ?? new Availability_Service( $this->settings_repository );
+		$this->slot_validator       = new Booking_Slot_Validator( $this->availability_service );
 	}
 
 	/**
@@ -123,6 +162,79 @@ class My_Bookings_Controller {
 				'permission_callback' => static function () {
 					return is_user_logged_in();
 				},
+				'args'                => array(
+					'scope' => array(
+						'type'    => 'string',
+						'enum'    => array( 'booking', 'series' ),
+						'default' => 'booking',
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/my-bookings/(?P<id>\\d+)/slots',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_reschedule_slots' ),
+				'permission_callback' => static function () {
+					return is_user_logged_in();
+				},
+				'args'                => array(
+					'date' => array(
+						'type'     => 'string',
+						'required' => true,
+						'pattern'  => '^\\d{4}-\\d{2}-\\d{2}$',
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/my-bookings/(?P<id>\\d+)/reschedule',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'reschedule_booking' ),
+				'permission_callback' => static function () {
+					return is_user_logged_in();
+				},
+				'args'                => array(
+					'slot_id'  => array(
+						'type'     => 'string',
+						'required' => true,
+					),
+					'start_at' => array(
+						'type'     => 'string',
+						'required' => true,
+					),
+					'end_at'   => array(
+						'type'    => 'string',
+						'default' => '',
+					),
+				),
+			)
+		);
+
+		// Guests are identified by the signed link from their email. / ゲストはメールの署名付きリンクで本人確認します.
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/guest-bookings/(?P<token>' . Guest_Booking_Link::TOKEN_PATTERN . ')',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_guest_booking' ),
+				'permission_callback' => '__return_true',
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/guest-bookings/(?P<token>' . Guest_Booking_Link::TOKEN_PATTERN . ')/cancel',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'cancel_guest_booking' ),
+				'permission_callback' => '__return_true',
 			)
 		);
 	}
@@ -166,67 +278,16 @@ class My_Bookings_Controller {
 				continue;
 			}
 
-			$start_at = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_SERVICE_START, true ) );
-			if ( '' === $start_at ) {
-				continue;
-			}
-
-			$start_timestamp = strtotime( $start_at );
-			if ( false === $start_timestamp ) {
+			$item = $this->build_booking_item( $booking_id, $now, $cancel_mode, $cancel_hours );
+			if ( null === $item ) {
 				continue;
 			}
 
-			if ( $future_only && $start_timestamp < $now ) {
+			if ( $future_only && $item['start_ts'] < $now ) {
 				continue;
 			}
 
-			$menu_id     = (int) get_post_meta( $booking_id, self::META_SERVICE_ID, true );
-			$resource_id = (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true );
-
-			$menu_name     = $menu_id > 0 ? (string) get_the_title( $menu_id ) : '';
-			$resource_name = $resource_id > 0 ? (string) get_the_title( $resource_id ) : __( 'No preference', 'vk-booking-manager' );
-
-			$other_conditions = '';
-			if ( $menu_id > 0 ) {
-				$other_conditions = trim(
-					sanitize_textarea_field(
-						(string) get_post_meta( $menu_id, self::META_OTHER_CONDITIONS, true )
-					)
-				);
-			}
-
-			$end_at             = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_SERVICE_END, true ) );
-			$is_staff_preferred = '1' === (string) get_post_meta( $booking_id, self::META_IS_STAFF_PREFERRED, true );
-			$nomination_fee     = (int) get_post_meta( $booking_id, self::META_NOMINATION_FEE, true );
-			$base_price         = (int) get_post_meta( $booking_id, self::META_BASE_PRICE, true );
-			$has_base_total     = metadata_exists( 'post', $booking_id, self::META_BASE_TOTAL_PRICE );
-			$base_total         = $has_base_total ? (int) get_post_meta( $booking_id, self::META_BASE_TOTAL_PRICE, true ) : max( 0, $base_price + $nomination_fee );
-
-			if ( ! Staff_Editor::is_enabled() ) {
-				$nomination_fee = 0;
-				$base_total     = max( 0, $base_price );
-			}
-			$status = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_STATUS, true ) );
-
-			$can_cancel = $this->can_cancel_booking( $start_timestamp, $now, $status, $cancel_mode, $cancel_hours );
-
-			$items[] = array(
-				'id'                 => $booking_id,
-				'start_at'           => $start_at,
-				'end_at'             => $end_at,
-				'can_cancel'         => $can_cancel,
-				'is_staff_preferred' => $is_staff_preferred,
-				'other_conditions'   => $other_conditions,
-				'menu_id'            => $menu_id,
-				'menu_name'          => $menu_name,
-				'resource_id'        => $resource_id,
-				'resource_name'      => $resource_name,
-				'base_price'         => $base_price,
-				'nomination_fee'     => $nomination_fee,
-				'total_price'        => max( 0, $base_total ),
-				'status'             => $status,
-				'start_ts'           => $start_timestamp,
-			);
+			$items[] = $item;
 		}
 
 		usort(
@@ -244,13 +305,372 @@ class My_Bookings_Controller {
 		return rest_ensure_response( $items );
 	}
 
+	/**
+	 * Build the response item of one booking.
+	 *
+	 * @param int    $booking_id   Booking post ID.
+	 * @param int    $now          Current timestamp.
+	 * @param string $cancel_mode  Cancel mode ('hours'|'none').
+	 * @param int    $cancel_hours Cancel deadline hours.
+	 * @return array<string, mixed>|null Null when the booking has no valid start time.
+	 */
+	private function build_booking_item( int $booking_id, int $now, string $cancel_mode, int $cancel_hours ): ?array {
+		$start_at = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_SERVICE_START, true ) );
+		if ( '' === $start_at ) {
+			return null;
+		}
+
+		$start_timestamp = strtotime( $start_at );
+		if ( false === $start_timestamp ) {
+			return null;
+		}
+
+		$menu_id     = (int) get_post_meta( $booking_id, self::META_SERVICE_ID, true );
+		$resource_id = (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true );
+
+		$menu_name     = $menu_id > 0 ? (string) get_the_title( $menu_id ) : '';
+		$line_items    = Booking_Line_Items::get_for_booking( $booking_id );
+		if ( ! empty( $line_items ) ) {
+			$menu_name = Booking_Line_Items::join_names( $line_items );
+		}
+		$resource_name = $resource_id > 0 ? (string) get_the_title( $resource_id ) : __( 'No preference', 'vk-booking-manager' );
+
+		$other_conditions = '';
+		if ( $menu_id > 0 ) {
+			$other_conditions = trim(
+				sanitize_textarea_field(
+					(string) get_post_meta( $menu_id, self::META_OTHER_CONDITIONS, true )
+				)
+			);
+		}
+
+		$end_at             = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_SERVICE_END, true ) );
+		$is_staff_preferred = '1' === (string) get_post_meta( $booking_id, self::META_IS_STAFF_PREFERRED, true );
+		$nomination_fee     = (int) get_post_meta( $booking_id, self::META_NOMINATION_FEE, true );
+		$base_price         = (int) get_post_meta( $booking_id, self::META_BASE_PRICE, true );
+		$has_base_total     = metadata_exists( 'post', $booking_id, self::META_BASE_TOTAL_PRICE );
+		$base_total         = $has_base_total ? (int) get_post_meta( $booking_id, self::META_BASE_TOTAL_PRICE, true ) : max( 0, $base_price + $nomination_fee );
+
+		if ( ! Staff_Editor::is_enabled() ) {
+			$nomination_fee = 0;
+			$base_total     = max( 0, $base_price );
+		}
+		$status = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_STATUS, true ) );
+
+		$can_cancel = $this->can_cancel_booking( $start_timestamp, $now, $status, $cancel_mode, $cancel_hours );
+		$series     = Booking_Series::get_for_booking( $booking_id );
+
+		return array(
+			'id'                 => $booking_id,
+			'start_at'           => $start_at,
+			'end_at'             => $end_at,
+			'can_cancel'         => $can_cancel,
+			'is_staff_preferred' => $is_staff_preferred,
+			'other_conditions'   => $other_conditions,
+			'menu_id'            => $menu_id,
+			'menu_name'          => $menu_name,
+			'line_items'         => $line_items,
+			'resource_id'        => $resource_id,
+			'resource_name'      => $resource_name,
+			'base_price'         => $base_price,
+			'nomination_fee'     => $nomination_fee,
+			'total_price'        => max( 0, $base_total ),
+			'status'             => $status,
+			'series_id'          => $series['series_id'],
+			'series_index'       => $series['series_index'],
+			'start_ts'           => $start_timestamp,
+		);
+	}
+
 	/**
 	 * Cancel booking for the current user.
 	 *
+	 * With scope "series", this booking and every later booking of the same
+	 * recurring series that is still within the cancellation deadline are cancelled.
+	 * scope が "series" の場合、同じ繰り返し予約のうち以降のキャンセル可能な予約もまとめてキャンセルします。
+	 *
 	 * @param WP_REST_Request $request Request.
 	 * @return WP_REST_Response|WP_Error
 	 */
 	public function cancel_booking( WP_REST_Request $request ) {
+		$post = $this->get_owned_booking( $request, __( 'You do not have permission to cancel this reservation.', 'vk-booking-manager' ) );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$user_id    = (int) $post->post_author;
+		$booking_id = (int) $post->ID;
+
+		$result = $this->cancel_single_booking( $booking_id );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$cancelled_ids = array( $booking_id );
+		$series        = Booking_Series::get_for_booking( $booking_id );
+
+		if ( 'series' === (string) $request['scope'] && '' !== $series['series_id'] ) {
+			foreach ( Booking_Series::get_booking_ids( $series['series_id'], $user_id ) as $series_booking_id ) {
+				if ( $series_booking_id === $booking_id ) {
+					continue;
+				}
+
+				if ( (int) get_post_meta( $series_booking_id, Booking_Series::META_SERIES_INDEX, true ) < $series['series_index'] ) {
+					continue;
+				}
+
+				// Occurrences past the deadline are left for the provider to handle.
+				if ( true === $this->cancel_single_booking( $series_booking_id ) ) {
+					$cancelled_ids[] = $series_booking_id;
+				}
+			}
+		}
+
+		return new WP_REST_Response(
+			array(
+				'cancelled'   => true,
+				'booking_ids' => $cancelled_ids,
+			)
+		);
+	}
+
+	/**
+	 * Return the booking a guest manage link points to.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_guest_booking( WP_REST_Request $request ) {
+		$booking_id = Guest_Booking_Link::verify_token( (string) $request['token'] );
+		if ( is_wp_error( $booking_id ) ) {
+			return $booking_id;
+		}
+
+		$settings     = $this->settings_repository->get_settings();
+		$cancel_mode  = isset( $settings['provider_booking_cancel_mode'] ) ? (string) $settings['provider_booking_cancel_mode'] : 'hours';
+		$cancel_hours = isset( $settings['provider_booking_cancel_deadline_hours'] ) ? (int) $settings['provider_booking_cancel_deadline_hours'] : 24;
+
+		$item = $this->build_booking_item( $booking_id, (int) current_time( 'timestamp' ), $cancel_mode, $cancel_hours );
+		if ( null === $item ) {
+			return new WP_Error( 'invalid_booking', __( 'The reservation date and time is invalid.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		unset( $item['start_ts'] );
+		$item['customer_name'] = (string) get_post_meta( $booking_id, self::META_CUSTOMER, true );
+
+		return rest_ensure_response( $item );
+	}
+
+	/**
+	 * Cancel the booking a guest manage link points to.
+	 *
+	 * The same deadline as for members applies.
+	 * 会員と同じキャンセル期限が適用されます。
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel_guest_booking( WP_REST_Request $request ) {
+		$booking_id = Guest_Booking_Link::verify_token( (string) $request['token'] );
+		if ( is_wp_error( $booking_id ) ) {
+			return $booking_id;
+		}
+
+		$result = $this->cancel_single_booking( $booking_id );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'cancelled'   => true,
+				'booking_ids' => array( $booking_id ),
+			)
+		);
+	}
+
+	/**
+	 * Return open slots for moving a booking to another time.
+	 *
+	 * The booking itself does not block the result, so nearby times on the
+	 * same day are offered too.
+	 * 変更対象の予約自身は除外して空き枠を返すため、同日の近い時間にも変更できます。
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_reschedule_slots( WP_REST_Request $request ) {
+		$post = $this->get_owned_booking( $request, __( 'You do not have permission to change this reservation.', 'vk-booking-manager' ) );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$booking_id = (int) $post->ID;
+		$result     = $this->availability_service->get_daily_slots(
+			array(
+				'menu_id'            => (int) get_post_meta( $booking_id, self::META_SERVICE_ID, true ),
+				'menu_ids'           => $this->get_booking_menu_ids( $booking_id ),
+				'resource_id'        => $this->get_preferred_staff_id( $booking_id ),
+				'date'               => sanitize_text_field( (string) $request['date'] ),
+				'user_id'            => (int) $post->post_author,
+				'exclude_booking_id' => $booking_id,
+			)
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return rest_ensure_response(
+			array(
+				'date'  => (string) ( $result['date'] ?? '' ),
+				'slots' => isset( $result['slots'] ) && is_array( $result['slots'] ) ? $result['slots'] : array(),
+			)
+		);
+	}
+
+	/**
+	 * Move a booking to another slot for the current user.
+	 *
+	 * The slot is re-validated and the booking is updated in place, so the
+	 * customer never loses the original time before the new one is secured.
+	 * Changes follow the same deadline as cancellations.
+	 * 新しい枠を再検証したうえで予約を直接更新するため、変更中に元の枠を失うことはありません。
+	 * 変更期限はキャンセル期限の設定に従います。
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function reschedule_booking( WP_REST_Request $request ) {
+		$post = $this->get_owned_booking( $request, __( 'You do not have permission to change this reservation.', 'vk-booking-manager' ) );
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$booking_id = (int) $post->ID;
+		$status     = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_STATUS, true ) );
+		if ( in_array( $status, array( self::STATUS_CANCELLED, self::STATUS_NO_SHOW ), true ) ) {
+			return new WP_Error( 'booking_not_reschedulable', __( 'This reservation can no longer be changed.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+		}
+
+		$previous_start = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_SERVICE_START, true ) );
+		$previous_ts    = '' !== $previous_start ? strtotime( $previous_start ) : false;
+		if ( false === $previous_ts ) {
+			return new WP_Error( 'invalid_booking', __( 'The reservation date and time is invalid.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$settings     = $this->settings_repository->get_settings();
+		$cancel_mode  = isset( $settings['provider_booking_cancel_mode'] ) ? (string) $settings['provider_booking_cancel_mode'] : 'hours';
+		$cancel_hours = isset( $settings['provider_booking_cancel_deadline_hours'] ) ? (int) $settings['provider_booking_cancel_deadline_hours'] : 24;
+
+		if ( ! $this->can_cancel_booking( (int) $previous_ts, (int) current_time( 'timestamp' ), $status, $cancel_mode, $cancel_hours ) ) {
+			if ( 'none' === $cancel_mode ) {
+				return new WP_Error( 'reschedule_disabled', __( 'This reservation cannot be changed online.', 'vk-booking-manager' ), array( 'status' => 403 ) );
+			}
+			return new WP_Error( 'reschedule_deadline_passed', __( 'The deadline for changing this reservation has passed.', 'vk-booking-manager' ), array( 'status' => 403 ) );
+		}
+
+		$previous_staff_id = (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true );
+		$preferred_staff   = $this->get_preferred_staff_id( $booking_id );
+		$slot              = array(
+			'slot_id'  => sanitize_text_field( (string) $request['slot_id'] ),
+			'start_at' => sanitize_text_field( (string) $request['start_at'] ),
+			'end_at'   => sanitize_text_field( (string) $request['end_at'] ),
+		);
+
+		$matched = $this->slot_validator->validate(
+			(int) get_post_meta( $booking_id, self::META_SERVICE_ID, true ),
+			$preferred_staff,
+			$slot,
+			wp_timezone()->getName(),
+			$this->get_booking_menu_ids( $booking_id ),
+			$booking_id,
+			Slot_Capacity::get_party_size( $booking_id )
+		);
+		if ( is_wp_error( $matched ) ) {
+			return $matched;
+		}
+
+		$staff_id = isset( $matched['staff']['id'] ) ? (int) $matched['staff']['id'] : 0;
+		if ( $staff_id <= 0 && ! empty( $matched['assignable_staff_ids'] ) && is_array( $matched['assignable_staff_ids'] ) ) {
+			$assignable = array_map( 'intval', $matched['assignable_staff_ids'] );
+			// Keep the current staff when they are free at the new time. / 変更後も同じスタッフが空いていれば引き継ぐ.
+			$staff_id = in_array( $previous_staff_id, $assignable, true ) ? $previous_staff_id : (int) reset( $assignable );
+		}
+		if ( $staff_id <= 0 ) {
+			$staff_id = $previous_staff_id;
+		}
+
+		$start_at       = (string) $matched['start_at'];
+		$end_at         = (string) ( $matched['end_at'] ?? '' );
+		$service_end_at = (string) ( $matched['service_end_at'] ?? $end_at );
+
+		// Keep the current facility when it is free at the new time. / 変更後も同じ施設が空いていれば引き継ぐ.
+		$facility_id = ( new Facility_Availability() )->pick_facility(
+			$this->get_booking_menu_ids( $booking_id ),
+			$this->format_datetime_for_storage( $start_at ),
+			$this->format_datetime_for_storage( $end_at ),
+			$booking_id,
+			(int) get_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, true )
+		);
+		if ( null === $facility_id ) {
+			return new WP_Error(
+				'facility_unavailable',
+				__( 'No room or equipment is available for the selected time. Please choose a different time.', 'vk-booking-manager' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		update_post_meta( $booking_id, self::META_PREVIOUS_START, $previous_start );
+		update_post_meta( $booking_id, self::META_PREVIOUS_END, (string) get_post_meta( $booking_id, self::META_SERVICE_END, true ) );
+		update_post_meta( $booking_id, self::META_SERVICE_START, $this->format_datetime_for_storage( $start_at ) );
+		update_post_meta( $booking_id, self::META_SERVICE_END, $this->format_datetime_for_storage( $service_end_at ) );
+		update_post_meta( $booking_id, self::META_TOTAL_END, $this->format_datetime_for_storage( $end_at ) );
+		if ( $staff_id > 0 ) {
+			update_post_meta( $booking_id, self::META_RESOURCE_ID, $staff_id );
+		}
+		if ( $facility_id > 0 ) {
+			update_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, $facility_id );
+		}
+
+		$customer_name = (string) get_post_meta( $booking_id, self::META_CUSTOMER, true );
+		wp_update_post(
+			array(
+				'ID'         => $booking_id,
+				'post_title' => sprintf(
+					'%s / %s',
+					'' !== $customer_name ? $customer_name : __( 'Reservation', 'vk-booking-manager' ),
+					wp_date( 'Y.n.j H:i', (int) strtotime( $start_at ), wp_timezone() )
+				),
+			)
+		);
+
+		if ( $this->notification_service ) {
+			$this->notification_service->handle_reschedule( $booking_id );
+		}
+		if ( $this->waitlist_service ) {
+			$this->waitlist_service->handle_time_released( $previous_start, $previous_staff_id );
+		}
+
+		return new WP_REST_Response(
+			array(
+				'rescheduled' => true,
+				'booking_id'  => $booking_id,
+				'start_at'    => $this->format_datetime_for_storage( $start_at ),
+				'end_at'      => $this->format_datetime_for_storage( $service_end_at ),
+				'resource_id' => $staff_id,
+			)
+		);
+	}
+
+	/**
+	 * Load a booking owned by the current user from the request.
+	 *
+	 * @param WP_REST_Request $request           Request.
+	 * @param string          $forbidden_message Message when the booking belongs to someone else.
+	 * @return WP_Post|WP_Error
+	 */
+	private function get_owned_booking( WP_REST_Request $request, string $forbidden_message ) {
 		$user_id = get_current_user_id();
 		if ( $user_id <= 0 ) {
 			return new WP_Error( 'not_logged_in', __( 'Login required.', 'vk-booking-manager' ), array( 'status' => 401 ) );
@@ -267,9 +687,63 @@ class My_Bookings_Controller {
 		}
 
 		if ( (int) $post->post_author !== $user_id ) {
-			return new WP_Error( 'forbidden', __( 'You do not have permission to cancel this reservation.', 'vk-booking-manager' ), array( 'status' => 403 ) );
+			return new WP_Error( 'forbidden', $forbidden_message, array( 'status' => 403 ) );
 		}
 
+		return $post;
+	}
+
+	/**
+	 * Menu IDs of a booking, including bundle add-ons.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return array<int>
+	 */
+	private function get_booking_menu_ids( int $booking_id ): array {
+		$menu_ids = array();
+		foreach ( Booking_Line_Items::get_for_booking( $booking_id ) as $line_item ) {
+			$menu_ids[] = (int) $line_item['menu_id'];
+		}
+
+		return Booking_Line_Items::normalize_menu_ids( $menu_ids, (int) get_post_meta( $booking_id, self::META_SERVICE_ID, true ) );
+	}
+
+	/**
+	 * Staff to keep when moving a booking (0 when the customer had no preference).
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return int
+	 */
+	private function get_preferred_staff_id( int $booking_id ): int {
+		if ( '1' !== (string) get_post_meta( $booking_id, self::META_IS_STAFF_PREFERRED, true ) ) {
+			return 0;
+		}
+
+		return (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true );
+	}
+
+	/**
+	 * Convert ISO8601 datetime to site-local Y-m-d H:i:s string.
+	 *
+	 * @param string $value ISO8601 datetime.
+	 * @return string
+	 */
+	private function format_datetime_for_storage( string $value ): string {
+		$timestamp = '' !== $value ? strtotime( $value ) : false;
+		if ( false === $timestamp ) {
+			return '';
+		}
+
+		return wp_date( 'Y-m-d H:i:s', $timestamp, wp_timezone() );
+	}
+
+	/**
+	 * Cancel one booking after checking the deadline.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return true|WP_Error
+	 */
+	private function cancel_single_booking( int $booking_id ) {
 		$start_at = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_SERVICE_START, true ) );
 		$start_ts = $start_at ? strtotime( $start_at ) : false;
 		if ( false === $start_ts ) {
@@ -280,7 +754,7 @@ class My_Bookings_Controller {
 		$status = sanitize_text_field( (string) get_post_meta( $booking_id, self::META_STATUS, true ) );
 
 		if ( self::STATUS_CANCELLED === $status ) {
-			return new WP_REST_Response( array( 'cancelled' => true ) );
+			return true;
 		}
 
 		$settings     = $this->settings_repository->get_settings();
@@ -298,8 +772,11 @@ class My_Bookings_Controller {
 		if ( $this->notification_service ) {
 			$this->notification_service->handle_customer_cancellation( $booking_id );
 		}
+		if ( $this->waitlist_service ) {
+			$this->waitlist_service->handle_slot_released( $booking_id );
+		}
 
-		return new WP_REST_Response( array( 'cancelled' => true ) );
+		return true;
 	}
 
 	/**
@@ -0,0 +1,160 @@
+<?php
+
+/**
+ * REST controller for the booking waitlist.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+use function __;
+use function add_action;
+use function get_current_user_id;
+use function is_user_logged_in;
+use function register_rest_route;
+use function sanitize_text_field;
+
+/**
+ * Lets customers join the waitlist and claim offered slots.
+ */
+class Waitlist_Controller {
+	private const REST_NAMESPACE = 'vkbm/v1';
+
+	/**
+	 * Waitlist service.
+	 *
+	 * @var Waitlist_Service
+	 */
+	private $waitlist_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Waitlist_Service $waitlist_service Waitlist service.
+	 */
+	public function __construct( Waitlist_Service $waitlist_service ) {
+		$this->waitlist_service = $waitlist_service;
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST routes.
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/waitlist',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'join_waitlist' ),
+				'permission_callback' => static function () {
+					return is_user_logged_in();
+				},
+				'args'                => array(
+					'menu_id'     => array(
+						'type'     => 'integer',
+						'required' => true,
+						'minimum'  => 1,
+					),
+					'resource_id' => array(
+						'type'    => 'integer',
+						'default' => 0,
+						'minimum' => 0,
+					),
+					'date'        => array(
+						'type'     => 'string',
+						'required' => true,
+						'pattern'  => '^\\d{4}-\\d{2}-\\d{2}$',
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/waitlist/claim',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'claim_offer' ),
+				'permission_callback' => static function () {
+					return is_user_logged_in();
+				},
+				'args'                => array(
+					'token' => array(
+						'type'     => 'string',
+						'required' => true,
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Add the current user to the waitlist.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function join_waitlist( WP_REST_Request $request ) {
+		$user_id = get_current_user_id();
+		if ( $user_id <= 0 ) {
+			return new WP_Error( 'not_logged_in', __( 'Login required.', 'vk-booking-manager' ), array( 'status' => 401 ) );
+		}
+
+		$entry = $this->waitlist_service->join(
+			$user_id,
+			(int) $request['menu_id'],
+			(int) $request['resource_id'],
+			sanitize_text_field( (string) $request['date'] )
+		);
+
+		if ( is_wp_error( $entry ) ) {
+			return $entry;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'joined' => true,
+				'status' => (string) $entry['status'],
+				'date'   => (string) $entry['date'],
+			),
+			201
+		);
+	}
+
+	/**
+	 * Return the offered slot so the client can save it as a draft.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function claim_offer( WP_REST_Request $request ) {
+		$draft = $this->waitlist_service->claim(
+			sanitize_text_field( (string) $request['token'] ),
+			get_current_user_id()
+		);
+
+		if ( is_wp_error( $draft ) ) {
+			return $draft;
+		}
+
+		return new WP_REST_Response( array( 'draft' => $draft ) );
+	}
+}
@@ -0,0 +1,240 @@
+<?php
+
+/**
+ * Waitlist repository.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use function get_option;
+use function update_option;
+use function wp_generate_uuid4;
+
+/**
+ * Handles waitlist entry persistence.
+ */
+class Waitlist_Repository {
+	public const OPTION_KEY  = 'vkbm_waitlist_entries';
+	public const MAX_ENTRIES = 500;
+
+	public const STATUS_WAITING  = 'waiting';
+	public const STATUS_NOTIFIED = 'notified';
+	public const STATUS_CLAIMED  = 'claimed';
+	public const STATUS_EXPIRED  = 'expired';
+
+	/**
+	 * Add a waitlist entry.
+	 *
+	 * @param int    $user_id     Customer user ID.
+	 * @param int    $menu_id     Menu ID.
+	 * @param int    $resource_id Staff ID (0 = no preference).
+	 * @param string $date        Date (Y-m-d).
+	 * @return array<string, mixed>
+	 */
+	public function add( int $user_id, int $menu_id, int $resource_id, string $date ): array {
+		$entries = $this->get_entries();
+
+		$entry = array(
+			'id'               => wp_generate_uuid4(),
+			'user_id'          => $user_id,
+			'menu_id'          => $menu_id,
+			'resource_id'      => $resource_id,
+			'date'             => $date,
+			'status'           => self::STATUS_WAITING,
+			// Store UTC epoch seconds so queue order is stable across timezone changes.
+			'created_at'       => time(),
+			'token_hash'       => '',
+			'offer_start_at'   => '',
+			'offer_expires_at' => 0,
+		);
+
+		$entries[] = $entry;
+
+		// Keep the newest entries when the store grows too large.
+		$entries = array_slice( $entries, -self::MAX_ENTRIES );
+
+		update_option( self::OPTION_KEY, $entries, false );
+
+		return $entry;
+	}
+
+	/**
+	 * Get all entries in queue order.
+	 *
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function get_entries(): array {
+		$entries = get_option( self::OPTION_KEY, array() );
+
+		if ( ! is_array( $entries ) ) {
+			return array();
+		}
+
+		return array_values(
+			array_filter(
+				$entries,
+				static function ( $entry ): bool {
+					return is_array( $entry ) && ! empty( $entry['id'] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Find an entry by ID.
+	 *
+	 * @param string $id Entry ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get( string $id ): ?array {
+		foreach ( $this->get_entries() as $entry ) {
+			if ( $id === (string) $entry['id'] ) {
+				return $entry;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Find an entry by its offer token hash.
+	 *
+	 * @param string $token_hash Hashed offer token.
+	 * @return array<string, mixed>|null
+	 */
+	public function find_by_token_hash( string $token_hash ): ?array {
+		if ( '' === $token_hash ) {
+			return null;
+		}
+
+		foreach ( $this->get_entries() as $entry ) {
+			if ( hash_equals( (string) ( $entry['token_hash'] ?? '' ), $token_hash ) ) {
+				return $entry;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Find an active (waiting or notified) entry for the same request.
+	 *
+	 * @param int    $user_id     Customer user ID.
+	 * @param int    $menu_id     Menu ID.
+	 * @param int    $resource_id Staff ID.
+	 * @param string $date        Date (Y-m-d).
+	 * @return array<string, mixed>|null
+	 */
+	public function find_active( int $user_id, int $menu_id, int $resource_id, string $date ): ?array {
+		foreach ( $this->get_entries() as $entry ) {
+			if (
+				$user_id === (int) $entry['user_id']
+				&& $menu_id === (int) $entry['menu_id']
+				&& $resource_id === (int) $entry['resource_id']
+				&& $date === (string) $entry['date']
+				&& in_array( (string) $entry['status'], array( self::STATUS_WAITING, self::STATUS_NOTIFIED ), true )
+			) {
+				return $entry;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get entries for a date in queue order.
+	 *
+	 * When a staff ID is given, only entries for that staff or without
+	 * a staff preference are returned.
+	 * スタッフ指定時は、そのスタッフ宛てまたは指名なしの登録のみ返します。
+	 *
+	 * @param string $date        Date (Y-m-d).
+	 * @param int    $resource_id Staff ID (0 = any).
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function get_for_date( string $date, int $resource_id = 0 ): array {
+		$matched = array();
+
+		foreach ( $this->get_entries() as $entry ) {
+			if ( $date !== (string) $entry['date'] ) {
+				continue;
+			}
+
+			$entry_resource_id = (int) $entry['resource_id'];
+			if ( $resource_id > 0 && $entry_resource_id > 0 && $entry_resource_id !== $resource_id ) {
+				continue;
+			}
+
+			$matched[] = $entry;
+		}
+
+		usort(
+			$matched,
+			static function ( array $a, array $b ): int {
+				return (int) $a['created_at'] <=> (int) $b['created_at'];
+			}
+		);
+
+		return $matched;
+	}
+
+	/**
+	 * Update fields of an entry.
+	 *
+	 * @param string               $id      Entry ID.
+	 * @param array<string, mixed> $changes Fields to update.
+	 * @return array<string, mixed>|null Updated entry, or null if not found.
+	 */
+	public function update( string $id, array $changes ): ?array {
+		$entries = $this->get_entries();
+		$updated = null;
+
+		foreach ( $entries as $index => $entry ) {
+			if ( $id !== (string) $entry['id'] ) {
+				continue;
+			}
+
+			unset( $changes['id'] );
+			$entries[ $index ] = array_merge( $entry, $changes );
+			$updated           = $entries[ $index ];
+			break;
+		}
+
+		if ( null !== $updated ) {
+			update_option( self::OPTION_KEY, $entries, false );
+		}
+
+		return $updated;
+	}
+
+	/**
+	 * Remove entries for dates before the given date.
+	 *
+	 * @param string $today Date (Y-m-d).
+	 */
+	public function prune_before( string $today ): void {
+		$entries  = $this->get_entries();
+		$filtered = array_values(
+			array_filter(
+				$entries,
+				static function ( array $entry ) use ( $today ): bool {
+					return (string) $entry['date'] >= $today;
+				}
+			)
+		);
+
+		if ( count( $filtered ) === count( $entries ) ) {
+			return;
+		}
+
+		update_option( self::OPTION_KEY, $filtered, false );
+	}
+}
@@ -0,0 +1,457 @@
+<?php
+
+/**
+ * Waitlist service.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Bookings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_Post;
+use WP_Query;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function get_post;
+use function get_post_meta;
+use function get_the_title;
+use function home_url;
+use function wp_clear_scheduled_hook;
+use function wp_date;
+use function wp_generate_password;
+use function wp_hash;
+use function wp_schedule_single_event;
+use function wp_timezone;
+
+/**
+ * Queues customers for fully booked days and offers released slots in order.
+ */
+class Waitlist_Service {
+	public const EXPIRE_ACTION = 'vkbm_waitlist_offer_expired';
+
+	/**
+	 * How long a notified customer can claim the offered slot.
+	 */
+	public const OFFER_TTL = 2 * HOUR_IN_SECONDS;
+
+	private const META_SERVICE_START = '_vkbm_booking_service_start';
+	private const META_RESOURCE_ID   = '_vkbm_booking_resource_id';
+	private const META_STATUS        = '_vkbm_booking_status';
+
+	/**
+	 * Waitlist repository.
+	 *
+	 * @var Waitlist_Repository
+	 */
+	private $repository;
+
+	/**
+	 * Availability service.
+	 *
+	 * @var Availability_Service
+	 */
+	private $availability_service;
+
+	/**
+	 * Notification service.
+	 *
+	 * @var Booking_Notification_Service
+	 */
+	private $notification_service;
+
+	/**
+	 * Settings repository.
+	 *
+	 * @var Settings_Repository
+	 */
+	private $settings_repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Waitlist_Repository          $repository           Waitlist repository.
+	 * @param Availability_Service         $availability_service Availability service.
+	 * @param Booking_Notification_Service $notification_service Notification service.
+	 * @param Settings_Repository          $settings_repository  Settings repository.
+	 */
+	public function __construct(
+		Waitlist_Repository $repository,
+		Availability_Service $availability_service,
+		Booking_Notification_Service $notification_service,
+		Settings_Repository $settings_repository
+	) {
+		$this->repository           = $repository;
+		$this->availability_service = $availability_service;
+		$this->notification_service = $notification_service;
+		$this->settings_repository  = $settings_repository;
+	}
+
+	/**
+	 * Register cron hook listeners.
+	 */
+	public function register(): void {
+		add_action( self::EXPIRE_ACTION, array( $this, 'handle_offer_expired' ) );
+	}
+
+	/**
+	 * Add a customer to the waitlist of a fully booked day.
+	 *
+	 * 満席の日の空き待ちに顧客を登録します。
+	 *
+	 * @param int    $user_id     Customer user ID.
+	 * @param int    $menu_id     Menu ID.
+	 * @param int    $resource_id Staff ID (0 = no preference).
+	 * @param string $date        Date (Y-m-d).
+	 * @return array<string, mixed>|WP_Error
+	 */
+	public function join( int $user_id, int $menu_id, int $resource_id, string $date ) {
+		$today = wp_date( 'Y-m-d' );
+		if ( ! DateTimeImmutable::createFromFormat( 'Y-m-d', $date, wp_timezone() ) || $date < $today ) {
+			return new WP_Error( 'invalid_date', __( 'Date format is incorrect.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$existing = $this->repository->find_active( $user_id, $menu_id, $resource_id, $date );
+		if ( null !== $existing ) {
+			return $existing;
+		}
+
+		$slots = $this->get_slots( $menu_id, $resource_id, $date, $user_id );
+		if ( is_wp_error( $slots ) ) {
+			return $slots;
+		}
+
+		if ( ! empty( $slots ) ) {
+			return new WP_Error( 'waitlist_slots_available', __( 'There are still available slots on this date. Please select a time.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+		}
+
+		$this->repository->prune_before( $today );
+
+		return $this->repository->add( $user_id, $menu_id, $resource_id, $date );
+	}
+
+	/**
+	 * Offer the slot freed by a booking to the next waitlisted customer.
+	 *
+	 * Called when a booking is cancelled by the customer or an administrator.
+	 * 顧客または管理者が予約をキャンセルした際に呼び出されます。
+	 *
+	 * @param int $booking_id Booking post ID.
+	 */
+	public function handle_slot_released( int $booking_id ): void {
+		$booking = get_post( $booking_id );
+		if ( ! $booking instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $booking->post_type ) {
+			return;
+		}
+
+		$this->handle_time_released(
+			(string) get_post_meta( $booking_id, self::META_SERVICE_START, true ),
+			(int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true )
+		);
+	}
+
+	/**
+	 * Offer a freed time to the next waitlisted customer.
+	 *
+	 * Used when a booking is moved away from its original time.
+	 * 予約の日時変更で元の時間が空いた際に呼び出されます。
+	 *
+	 * @param string $start_at    Freed start time (site-local Y-m-d H:i:s).
+	 * @param int    $resource_id Staff whose time was freed.
+	 */
+	public function handle_time_released( string $start_at, int $resource_id ): void {
+		$start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start_at, wp_timezone() );
+		if ( ! $start ) {
+			return;
+		}
+
+		$this->process_queue( $start->format( 'Y-m-d' ), $resource_id, $start->format( DATE_ATOM ) );
+	}
+
+	/**
+	 * Cron callback when an offer was not claimed in time.
+	 *
+	 * A claimed offer that did not turn into a booking is also released, so an
+	 * abandoned claim does not hold up the rest of the queue.
+	 * 案内リンクを開いたまま予約されなかった場合も、次の顧客へ案内します。
+	 *
+	 * @param string $entry_id Waitlist entry ID.
+	 */
+	public function handle_offer_expired( string $entry_id ): void {
+		$entry = $this->repository->get( $entry_id );
+		if ( null === $entry || ! in_array( $entry['status'], array( Waitlist_Repository::STATUS_NOTIFIED, Waitlist_Repository::STATUS_CLAIMED ), true ) ) {
+			return;
+		}
+
+		if ( (int) $entry['offer_expires_at'] > time() ) {
+			return;
+		}
+
+		if ( Waitlist_Repository::STATUS_CLAIMED === $entry['status'] && $this->has_booking_for_offer( $entry ) ) {
+			return;
+		}
+
+		$this->repository->update( $entry_id, array( 'status' => Waitlist_Repository::STATUS_EXPIRED ) );
+		$this->process_queue( (string) $entry['date'], (int) $entry['resource_id'], (string) $entry['offer_start_at'] );
+	}
+
+	/**
+	 * Validate an offer token and return the slot to pre-fill as a draft.
+	 *
+	 * The offer stays scheduled to expire: when no booking is made by then, the
+	 * next customer is notified (see handle_offer_expired()).
+	 * 案内リンクのトークンを検証し、仮予約に使う枠情報を返します。
+	 *
+	 * @param string $token   Offer token from the email link.
+	 * @param int    $user_id Current user ID.
+	 * @return array<string, mixed>|WP_Error
+	 */
+	public function claim( string $token, int $user_id ) {
+		$entry = '' !== $token ? $this->repository->find_by_token_hash( wp_hash( $token ) ) : null;
+		if ( null === $entry ) {
+			return new WP_Error( 'waitlist_offer_not_found', __( 'This waitlist link is invalid.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		if ( (int) $entry['user_id'] !== $user_id ) {
+			return new WP_Error( 'forbidden_waitlist_offer', __( 'This waitlist link was issued to another account.', 'vk-booking-manager' ), array( 'status' => 403 ) );
+		}
+
+		if ( Waitlist_Repository::STATUS_NOTIFIED !== $entry['status'] || (int) $entry['offer_expires_at'] <= time() ) {
+			return new WP_Error( 'waitlist_offer_expired', __( 'This waitlist link has expired.', 'vk-booking-manager' ), array( 'status' => 410 ) );
+		}
+
+		$slots = $this->get_slots( (int) $entry['menu_id'], (int) $entry['resource_id'], (string) $entry['date'], $user_id );
+		$slot  = is_wp_error( $slots ) ? null : $this->pick_slot( $slots, (string) $entry['offer_start_at'] );
+		if ( null === $slot || (string) $slot['start_at'] !== (string) $entry['offer_start_at'] ) {
+			$this->release_offer( $entry );
+			return new WP_Error( 'waitlist_slot_taken', __( 'Sorry, this slot is no longer available.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+		}
+
+		$this->repository->update( (string) $entry['id'], array( 'status' => Waitlist_Repository::STATUS_CLAIMED ) );
+
+		$resource_id = (int) $entry['resource_id'];
+
+		return array(
+			'menu_id'            => (int) $entry['menu_id'],
+			'resource_id'        => $resource_id,
+			'menu_label'         => get_the_title( (int) $entry['menu_id'] ),
+			'staff_label'        => $resource_id > 0 ? get_the_title( $resource_id ) : __( 'No preference', 'vk-booking-manager' ),
+			'is_staff_preferred' => $resource_id > 0,
+			'date'               => (string) $entry['date'],
+			'slot'               => $slot,
+			'meta'               => array(
+				'timezone' => wp_timezone()->getName(),
+			),
+		);
+	}
+
+	/**
+	 * Offer a slot to the first waitlisted customer who can still book it.
+	 *
+	 * Only one offer per date is outstanding at a time so customers are
+	 * notified strictly in the order they joined.
+	 * 登録順を守るため、同じ日付の案内は同時に1件のみ送信します。
+	 *
+	 * @param string $date            Date (Y-m-d).
+	 * @param int    $resource_id     Staff whose time was released (0 = any).
+	 * @param string $preferred_start Slot start to offer first when available (ISO8601).
+	 */
+	private function process_queue( string $date, int $resource_id, string $preferred_start = '' ): void {
+		if ( $date < wp_date( 'Y-m-d' ) ) {
+			return;
+		}
+
+		$entries = $this->repository->get_for_date( $date, $resource_id );
+
+		foreach ( $entries as $entry ) {
+			if (
+				Waitlist_Repository::STATUS_NOTIFIED === $entry['status']
+				&& (int) $entry['offer_expires_at'] > time()
+			) {
+				return;
+			}
+		}
+
+		foreach ( $entries as $entry ) {
+			if ( Waitlist_Repository::STATUS_WAITING !== $entry['status'] ) {
+				continue;
+			}
+
+			$slots = $this->get_slots( (int) $entry['menu_id'], (int) $entry['resource_id'], $date, (int) $entry['user_id'] );
+			if ( is_wp_error( $slots ) || empty( $slots ) ) {
+				continue;
+			}
+
+			$this->send_offer( $entry, $this->pick_slot( $slots, $preferred_start ) );
+			return;
+		}
+	}
+
+	/**
+	 * Store the offer on the entry and email the customer.
+	 *
+	 * @param array<string, mixed> $entry Waitlist entry.
+	 * @param array<string, mixed> $slot  Offered slot.
+	 */
+	private function send_offer( array $entry, array $slot ): void {
+		$token      = wp_generate_password( 32, false, false );
+		$expires_at = time() + self::OFFER_TTL;
+
+		$this->repository->update(
+			(string) $entry['id'],
+			array(
+				'status'           => Waitlist_Repository::STATUS_NOTIFIED,
+				'token_hash'       => wp_hash( $token ),
+				'offer_start_at'   => (string) $slot['start_at'],
+				'offer_expires_at' => $expires_at,
+			)
+		);
+
+		wp_schedule_single_event( $expires_at, self::EXPIRE_ACTION, array( (string) $entry['id'] ) );
+
+		$this->notification_service->send_waitlist_offer(
+			(int) $entry['user_id'],
+			(int) $entry['menu_id'],
+			(int) $entry['resource_id'],
+			(string) $slot['start_at'],
+			(string) ( $slot['service_end_at'] ?? $slot['end_at'] ),
+			$this->build_claim_url( $entry, $token ),
+			$expires_at
+		);
+	}
+
+	/**
+	 * Expire an offer that can no longer be honoured and move to the next customer.
+	 *
+	 * @param array<string, mixed> $entry Waitlist entry.
+	 */
+	private function release_offer( array $entry ): void {
+		$this->repository->update( (string) $entry['id'], array( 'status' => Waitlist_Repository::STATUS_EXPIRED ) );
+		wp_clear_scheduled_hook( self::EXPIRE_ACTION, array( (string) $entry['id'] ) );
+		$this->process_queue( (string) $entry['date'], (int) $entry['resource_id'] );
+	}
+
+	/**
+	 * Whether the customer booked the offered slot.
+	 *
+	 * @param array<string, mixed> $entry Waitlist entry.
+	 * @return bool
+	 */
+	private function has_booking_for_offer( array $entry ): bool {
+		$start = DateTimeImmutable::createFromFormat( DATE_ATOM, (string) $entry['offer_start_at'] );
+		if ( ! $start ) {
+			return false;
+		}
+
+		$query = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'author'         => (int) $entry['user_id'],
+				'posts_per_page' => 1,
+				'no_found_rows'  => true,
+				'fields'         => 'ids',
+				'meta_query'     => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+					array(
+						'key'   => self::META_SERVICE_START,
+						'value' => $start->setTimezone( wp_timezone() )->format( 'Y-m-d H:i:s' ),
+					),
+					array(
+						'key'     => self::META_STATUS,
+						'value'   => array( 'confirmed', 'pending' ),
+						'compare' => 'IN',
+					),
+				),
+			)
+		);
+
+		return ! empty( $query->posts );
+	}
+
+	/**
+	 * Fetch available slots from the customer's point of view.
+	 *
+	 * @param int    $menu_id     Menu ID.
+	 * @param int    $resource_id Staff ID.
+	 * @param string $date        Date (Y-m-d).
+	 * @param int    $user_id     Customer user ID.
+	 * @return array<int, array<string, mixed>>|WP_Error
+	 */
+	private function get_slots( int $menu_id, int $resource_id, string $date, int $user_id ) {
+		$result = $this->availability_service->get_daily_slots(
+			array(
+				'menu_id'     => $menu_id,
+				'resource_id' => $resource_id,
+				'date'        => $date,
+				'user_id'     => $user_id,
+			)
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return isset( $result['slots'] ) && is_array( $result['slots'] ) ? $result['slots'] : array();
+	}
+
+	/**
+	 * Pick the slot starting at the preferred time, or the earliest slot.
+	 *
+	 * @param array<int, array<string, mixed>> $slots           Available slots.
+	 * @param string                           $preferred_start Preferred start (ISO8601).
+	 * @return array<string, mixed>|null
+	 */
+	private function pick_slot( array $slots, string $preferred_start ): ?array {
+		if ( empty( $slots ) ) {
+			return null;
+		}
+
+		foreach ( $slots as $slot ) {
+			if ( '' !== $preferred_start && (string) ( $slot['start_at'] ?? '' ) === $preferred_start ) {
+				return $slot;
+			}
+		}
+
+		return $slots[0];
+	}
+
+	/**
+	 * Build the reservation page link carried in the offer email.
+	 *
+	 * @param array<string, mixed> $entry Waitlist entry.
+	 * @param string               $token Offer token.
+	 * @return string
+	 */
+	private function build_claim_url( array $entry, string $token ): string {
+		$settings = $this->settings_repository->get_settings();
+		$base_url = function_exists( 'vkbm_normalize_reservation_page_url' )
+			? vkbm_normalize_reservation_page_url( (string) ( $settings['reservation_page_url'] ?? '' ) )
+			: '';
+
+		if ( '' === $base_url ) {
+			$base_url = home_url( '/' );
+		}
+
+		return add_query_arg(
+			array(
+				'menu_id'       => (int) $entry['menu_id'],
+				'resource_id'   => (int) $entry['resource_id'],
+				'date'          => (string) $entry['date'],
+				'vkbm_waitlist' => $token,
+			),
+			$base_url
+		);
+	}
+}
@@ -0,0 +1,503 @@
+<?php
+
+/**
+ * External calendar busy-time import for staff.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Calendar;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use WP_Error;
+use WP_Post;
+use function __;
+use function add_action;
+use function add_meta_box;
+use function current_user_can;
+use function delete_post_meta;
+use function esc_attr;
+use function esc_html;
+use function esc_html_e;
+use function esc_textarea;
+use function esc_url_raw;
+use function get_post_meta;
+use function get_posts;
+use function is_wp_error;
+use function sanitize_file_name;
+use function sanitize_text_field;
+use function sprintf;
+use function update_post_meta;
+use function wp_date;
+use function wp_http_validate_url;
+use function wp_next_scheduled;
+use function wp_nonce_field;
+use function wp_remote_retrieve_body;
+use function wp_remote_retrieve_response_code;
+use function wp_safe_remote_get;
+use function wp_schedule_event;
+use function wp_timezone;
+use function wp_unslash;
+use function wp_verify_nonce;
+
+/**
+ * Imports events from staff members' other calendars as busy blocks.
+ *
+ * Calendar URLs and uploaded .ics files are parsed by a cron job and the
+ * resulting periods are cached on the staff post. Availability and conflict
+ * checks only read the cache, so a slow or broken feed never delays booking.
+ * 外部カレンダーは cron で取り込んでキャッシュし、空き枠計算ではキャッシュのみを参照します。
+ */
+class External_Calendar_Sync {
+	public const SYNC_ACTION = 'vkbm_sync_external_calendars';
+
+	public const META_URLS      = '_vkbm_external_ical_urls';
+	public const META_FILES     = '_vkbm_external_ical_files';
+	public const META_BUSY      = '_vkbm_external_busy';
+	public const META_SYNCED_AT = '_vkbm_external_ical_synced_at';
+	public const META_ERRORS    = '_vkbm_external_ical_errors';
+
+	private const NONCE_ACTION = 'vkbm_external_ical_meta';
+	private const NONCE_NAME   = '_vkbm_external_ical_nonce';
+
+	/**
+	 * Days before today kept in the cache.
+	 */
+	private const PAST_DAYS = 1;
+
+	/**
+	 * Days after today kept in the cache.
+	 */
+	private const FUTURE_DAYS = 180;
+
+	/**
+	 * Request timeout in seconds.
+	 */
+	private const FETCH_TIMEOUT = 15;
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( self::SYNC_ACTION, array( $this, 'sync_all' ) );
+		add_action( 'init', array( $this, 'ensure_schedule' ) );
+		add_action( 'add_meta_boxes', array( $this, 'add_meta_box' ) );
+		add_action( 'post_edit_form_tag', array( $this, 'render_form_enctype' ) );
+		add_action( 'save_post_' . Resource_Post_Type::POST_TYPE, array( $this, 'save_post' ), 10, 2 );
+	}
+
+	/**
+	 * Ensure the hourly sync is scheduled.
+	 */
+	public function ensure_schedule(): void {
+		if ( ! wp_next_scheduled( self::SYNC_ACTION ) ) {
+			wp_schedule_event( time() + 300, 'hourly', self::SYNC_ACTION );
+		}
+	}
+
+	/**
+	 * Cron callback: refresh every staff member that has external calendars.
+	 */
+	public function sync_all(): void {
+		$staff_ids = get_posts(
+			array(
+				'post_type'      => Resource_Post_Type::POST_TYPE,
+				'post_status'    => 'publish',
+				'posts_per_page' => -1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'meta_query'     => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Runs in cron only.
+					'relation' => 'OR',
+					array(
+						'key'     => self::META_URLS,
+						'compare' => 'EXISTS',
+					),
+					array(
+						'key'     => self::META_FILES,
+						'compare' => 'EXISTS',
+					),
+				),
+			)
+		);
+
+		foreach ( $staff_ids as $staff_id ) {
+			$this->sync_staff( (int) $staff_id );
+		}
+	}
+
+	/**
+	 * Fetch and parse the external calendars of a staff member.
+	 *
+	 * When a URL cannot be fetched, the periods cached from it last time are
+	 * kept so that a temporary outage does not open up booked time.
+	 * 取得に失敗した URL は前回の結果を保持し、一時的な障害で枠が空かないようにします。
+	 *
+	 * @param int                    $staff_id Staff post ID.
+	 * @param DateTimeImmutable|null $now      Reference time.
+	 */
+	public function sync_staff( int $staff_id, ?DateTimeImmutable $now = null ): void {
+		$timezone = wp_timezone();
+		$now      = $now ?? new DateTimeImmutable( 'now', $timezone );
+		$from     = $now->setTime( 0, 0 )->modify( sprintf( '-%d days', self::PAST_DAYS ) );
+		$to       = $now->setTime( 0, 0 )->modify( sprintf( '+%d days', self::FUTURE_DAYS ) );
+
+		$previous = get_post_meta( $staff_id, self::META_BUSY, true );
+		$previous = is_array( $previous ) ? $previous : array();
+		$busy     = array();
+		$errors   = array();
+
+		foreach ( self::get_urls( $staff_id ) as $url ) {
+			$ics = $this->fetch( $url );
+			if ( is_wp_error( $ics ) ) {
+				$errors[]     = sprintf( '%s: %s', $url, $ics->get_error_message() );
+				$busy[ $url ] = $previous[ $url ] ?? array();
+				continue;
+			}
+			$busy[ $url ] = Ical_Parser::parse_busy_periods( $ics, $timezone, $from, $to );
+		}
+
+		foreach ( self::get_files( $staff_id ) as $file ) {
+			$busy[ 'file:' . $file['name'] ] = Ical_Parser::parse_busy_periods( $file['content'], $timezone, $from, $to );
+		}
+
+		update_post_meta( $staff_id, self::META_BUSY, $busy );
+		update_post_meta( $staff_id, self::META_SYNCED_AT, time() );
+		update_post_meta( $staff_id, self::META_ERRORS, $errors );
+	}
+
+	/**
+	 * Cached busy periods of a staff member overlapping a range.
+	 *
+	 * @param int               $staff_id Staff post ID.
+	 * @param DateTimeImmutable $from     Range start.
+	 * @param DateTimeImmutable $to       Range end.
+	 * @return array<int, array{start: DateTimeImmutable, end: DateTimeImmutable}>
+	 */
+	public static function get_busy_periods( int $staff_id, DateTimeImmutable $from, DateTimeImmutable $to ): array {
+		if ( $staff_id <= 0 ) {
+			return array();
+		}
+
+		$cached = get_post_meta( $staff_id, self::META_BUSY, true );
+		if ( ! is_array( $cached ) ) {
+			return array();
+		}
+
+		$timezone = wp_timezone();
+		$periods  = array();
+		foreach ( $cached as $source_periods ) {
+			foreach ( (array) $source_periods as $period ) {
+				$start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', (string) ( $period['start'] ?? '' ), $timezone );
+				$end   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', (string) ( $period['end'] ?? '' ), $timezone );
+				if ( ! $start || ! $end || $end <= $from || $start >= $to ) {
+					continue;
+				}
+
+				$periods[] = array(
+					'start' => $start,
+					'end'   => $end,
+				);
+			}
+		}
+
+		return $periods;
+	}
+
+	/**
+	 * Whether a period overlaps an external busy block.
+	 *
+	 * @param int               $staff_id Staff post ID.
+	 * @param DateTimeImmutable $start    Period start.
+	 * @param DateTimeImmutable $end      Period end.
+	 * @return bool
+	 */
+	public static function is_busy( int $staff_id, DateTimeImmutable $start, DateTimeImmutable $end ): bool {
+		return array() !== self::get_busy_periods( $staff_id, $start, $end );
+	}
+
+	/**
+	 * Calendar URLs of a staff member.
+	 *
+	 * @param int $staff_id Staff post ID.
+	 * @return array<int, string>
+	 */
+	public static function get_urls( int $staff_id ): array {
+		$urls = get_post_meta( $staff_id, self::META_URLS, true );
+
+		return is_array( $urls ) ? array_values( array_filter( array_map( 'strval', $urls ) ) ) : array();
+	}
+
+	/**
+	 * Uploaded calendar files of a staff member.
+	 *
+	 * @param int $staff_id Staff post ID.
+	 * @return array<int, array{name: string, content: string}>
+	 */
+	public static function get_files( int $staff_id ): array {
+		$files = get_post_meta( $staff_id, self::META_FILES, true );
+		if ( ! is_array( $files ) ) {
+			return array();
+		}
+
+		$normalized = array();
+		foreach ( $files as $file ) {
+			if ( is_array( $file ) && isset( $file['name'], $file['content'] ) ) {
+				$normalized[] = array(
+					'name'    => (string) $file['name'],
+					'content' => (string) $file['content'],
+				);
+			}
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Add the external calendar box to the staff edit screen.
+	 */
+	public function add_meta_box(): void {
+		add_meta_box(
+			'vkbm-external-ical',
+			__( 'External calendars', 'vk-booking-manager' ),
+			array( $this, 'render_meta_box' ),
+			Resource_Post_Type::POST_TYPE,
+			'normal',
+			'default'
+		);
+	}
+
+	/**
+	 * Allow file uploads from the staff edit form.
+	 *
+	 * @param WP_Post $post Post being edited.
+	 */
+	public function render_form_enctype( WP_Post $post ): void {
+		if ( Resource_Post_Type::POST_TYPE === $post->post_type ) {
+			echo ' enctype="multipart/form-data"';
+		}
+	}
+
+	/**
+	 * Render the external calendar box.
+	 *
+	 * @param WP_Post $post Staff post.
+	 */
+	public function render_meta_box( WP_Post $post ): void {
+		$urls      = self::get_urls( $post->ID );
+		$files     = self::get_files( $post->ID );
+		$synced_at = (int) get_post_meta( $post->ID, self::META_SYNCED_AT, true );
+		$errors    = get_post_meta( $post->ID, self::META_ERRORS, true );
+
+		wp_nonce_field( self::NONCE_ACTION, self::NONCE_NAME );
+		?>
+		<p class="description"><?php esc_html_e( 'Events in these calendars are treated as busy time and cannot be reserved.', 'vk-booking-manager' ); ?></p>
+		<table class="form-table vkbm-setting-table">
+			<tbody>
+				<tr>
+					<th scope="row"><label for="vkbm-external-ical-urls"><?php esc_html_e( 'Calendar URLs', 'vk-booking-manager' ); ?></label></th>
+					<td>
+						<textarea id="vkbm-external-ical-urls" name="vkbm_external_ical[urls]" rows="3" class="large-text code"><?php echo esc_textarea( implode( "\n", $urls ) ); ?></textarea>
+						<p class="description"><?php esc_html_e( 'Enter one iCal (.ics) URL per line.', 'vk-booking-manager' ); ?></p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><label for="vkbm-external-ical-files"><?php esc_html_e( 'Calendar files', 'vk-booking-manager' ); ?></label></th>
+					<td>
+						<?php foreach ( $files as $index => $file ) : ?>
+							<label style="display:block;">
+								<input type="checkbox" name="vkbm_external_ical[remove_files][]" value="<?php echo esc_attr( (string) $index ); ?>" />
+								<?php
+								/* translators: %s: File name. */
+								echo esc_html( sprintf( __( 'Remove %s', 'vk-booking-manager' ), $file['name'] ) );
+								?>
+							</label>
+						<?php endforeach; ?>
+						<input type="file" id="vkbm-external-ical-files" name="vkbm_external_ical_files[]" accept=".ics,text/calendar" multiple />
+					</td>
+				</tr>
+			</tbody>
+		</table>
+		<?php if ( $synced_at > 0 ) : ?>
+			<p class="description">
+				<?php
+				/* translators: %s: Date and time. */
+				echo esc_html( sprintf( __( 'Last synchronized: %s', 'vk-booking-manager' ), wp_date( 'Y-m-d H:i', $synced_at ) ) );
+				?>
+			</p>
+		<?php endif; ?>
+		<?php foreach ( is_array( $errors ) ? $errors : array() as $error ) : ?>
+			<div class="notice notice-error inline"><p><?php echo esc_html( (string) $error ); ?></p></div>
+		<?php endforeach; ?>
+		<?php
+	}
+
+	/**
+	 * Save handler.
+	 *
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 */
+	public function save_post( int $post_id, WP_Post $post ): void {
+		if ( ! isset( $_POST[ self::NONCE_NAME ] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST[ self::NONCE_NAME ] ) ), self::NONCE_ACTION ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Missing -- verified above.
+			return;
+		}
+
+		if ( defined( 'DOING_AUTOSAVE' ) && DOING_AUTOSAVE ) {
+			return;
+		}
+
+		if ( Resource_Post_Type::POST_TYPE !== $post->post_type ) {
+			return;
+		}
+
+		if ( ! current_user_can( Capabilities::MANAGE_STAFF, $post_id ) && ! current_user_can( 'edit_post', $post_id ) ) {
+			return;
+		}
+
+		$input = isset( $_POST['vkbm_external_ical'] ) && is_array( $_POST['vkbm_external_ical'] ) ? wp_unslash( $_POST['vkbm_external_ical'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized below.
+
+		$urls = array_values(
+			array_filter(
+				self::sanitize_urls( (string) ( $input['urls'] ?? '' ) ),
+				static function ( string $url ): bool {
+					return false !== wp_http_validate_url( $url );
+				}
+			)
+		);
+		if ( array() === $urls ) {
+			delete_post_meta( $post_id, self::META_URLS );
+		} else {
+			update_post_meta( $post_id, self::META_URLS, $urls );
+		}
+
+		$files  = self::get_files( $post_id );
+		$remove = array_map( 'intval', (array) ( $input['remove_files'] ?? array() ) );
+		$files  = array_values(
+			array_filter(
+				$files,
+				static function ( int $index ) use ( $remove ): bool {
+					return ! in_array( $index, $remove, true );
+				},
+				ARRAY_FILTER_USE_KEY
+			)
+		);
+		$files = array_merge( $files, $this->read_uploaded_files() );
+
+		if ( array() === $files ) {
+			delete_post_meta( $post_id, self::META_FILES );
+		} else {
+			update_post_meta( $post_id, self::META_FILES, $files );
+		}
+
+		if ( array() === $urls && array() === $files ) {
+			delete_post_meta( $post_id, self::META_BUSY );
+			delete_post_meta( $post_id, self::META_ERRORS );
+			return;
+		}
+
+		$this->sync_staff( $post_id );
+	}
+
+	/**
+	 * Normalize the URL list entered in the meta box.
+	 *
+	 * `webcal://` links are fetched over HTTPS.
+	 *
+	 * @param string $raw One URL per line.
+	 * @return array<int, string>
+	 */
+	public static function sanitize_urls( string $raw ): array {
+		$urls  = array();
+		$lines = preg_split( '/\r\n|\r|\n/', $raw );
+		foreach ( false === $lines ? array() : $lines as $line ) {
+			$line = trim( $line );
+			if ( 0 === stripos( $line, 'webcal://' ) ) {
+				$line = 'https://' . substr( $line, strlen( 'webcal://' ) );
+			}
+
+			$url = esc_url_raw( $line, array( 'http', 'https' ) );
+			if ( '' !== $url && ! in_array( $url, $urls, true ) ) {
+				$urls[] = $url;
+			}
+		}
+
+		return $urls;
+	}
+
+	/**
+	 * Read .ics files uploaded through the meta box.
+	 *
+	 * @return array<int, array{name: string, content: string}>
+	 */
+	private function read_uploaded_files(): array {
+		if ( empty( $_FILES['vkbm_external_ical_files']['tmp_name'] ) || ! is_array( $_FILES['vkbm_external_ical_files']['tmp_name'] ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in save_post().
+			return array();
+		}
+
+		$uploads = $_FILES['vkbm_external_ical_files']; // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in save_post(); contents are parsed, not stored as HTML.
+		$files   = array();
+
+		foreach ( $uploads['tmp_name'] as $index => $tmp_name ) {
+			if ( UPLOAD_ERR_OK !== (int) ( $uploads['error'][ $index ] ?? UPLOAD_ERR_NO_FILE ) || ! is_uploaded_file( (string) $tmp_name ) ) {
+				continue;
+			}
+
+			$name = sanitize_file_name( (string) ( $uploads['name'][ $index ] ?? '' ) );
+			if ( 'ics' !== strtolower( pathinfo( $name, PATHINFO_EXTENSION ) ) ) {
+				continue;
+			}
+
+			$content = file_get_contents( (string) $tmp_name ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Reading a local upload.
+			if ( false === $content || false === strpos( $content, 'BEGIN:VCALENDAR' ) ) {
+				continue;
+			}
+
+			$files[] = array(
+				'name'    => $name,
+				'content' => $content,
+			);
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Download a calendar.
+	 *
+	 * @param string $url Calendar URL.
+	 * @return string|WP_Error
+	 */
+	private function fetch( string $url ) {
+		// Staff-entered URLs must not reach internal hosts. / 内部ホストへのリクエストを拒否します.
+		$response = wp_safe_remote_get(
+			$url,
+			array(
+				'timeout'            => self::FETCH_TIMEOUT,
+				'reject_unsafe_urls' => true,
+			)
+		);
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$code = (int) wp_remote_retrieve_response_code( $response );
+		$body = (string) wp_remote_retrieve_body( $response );
+		if ( 200 !== $code || false === strpos( $body, 'BEGIN:VCALENDAR' ) ) {
+			return new WP_Error(
+				'invalid_calendar',
+				/* translators: %d: HTTP status code. */
+				sprintf( __( 'Could not read the calendar (HTTP %d).', 'vk-booking-manager' ), $code )
+			);
+		}
+
+		return $body;
+	}
+}
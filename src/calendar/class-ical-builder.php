@@ -0,0 +1,296 @@
+<?php
+
+/**
+ * iCalendar (RFC 5545) formatting helpers.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Calendar;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
+use VKBookingManager\Bookings\Booking_Line_Items;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_Post;
+use function get_post;
+use function get_post_meta;
+use function get_the_title;
+use function home_url;
+use function update_post_meta;
+use function wp_parse_url;
+use function wp_timezone;
+
+/**
+ * Builds calendar files for booking emails and staff feeds.
+ *
+ * Every booking keeps the same UID so calendar apps update or cancel the
+ * existing entry instead of adding a new one.
+ * 予約ごとに固定の UID を使い、カレンダーアプリ側で既存の予定を更新・取り消しできるようにします。
+ */
+class Ical_Builder {
+	public const META_SEQUENCE = '_vkbm_booking_ical_sequence';
+
+	private const PRODID    = '-//Vektor,Inc.//VK Booking Manager//EN';
+	private const LINE_END  = "\r\n";
+	private const MAX_OCTET = 75;
+
+	/**
+	 * Render a VCALENDAR document.
+	 *
+	 * Event keys: uid, start, end (DateTimeImmutable), all_day, summary,
+	 * description, location, status, sequence.
+	 *
+	 * @param array<int, array<string, mixed>> $events        Events.
+	 * @param string                           $calendar_name Calendar display name.
+	 * @return string
+	 */
+	public static function render( array $events, string $calendar_name = '' ): string {
+		$lines = array(
+			'BEGIN:VCALENDAR',
+			'VERSION:2.0',
+			'PRODID:' . self::PRODID,
+			'CALSCALE:GREGORIAN',
+			'METHOD:PUBLISH',
+		);
+
+		if ( '' !== $calendar_name ) {
+			$lines[] = 'X-WR-CALNAME:' . self::escape_text( $calendar_name );
+		}
+
+		$stamp = gmdate( 'Ymd\THis\Z' );
+		foreach ( $events as $event ) {
+			$lines = array_merge( $lines, self::render_event( $event, $stamp ) );
+		}
+
+		$lines[] = 'END:VCALENDAR';
+
+		return implode( self::LINE_END, array_map( array( self::class, 'fold_line' ), $lines ) ) . self::LINE_END;
+	}
+
+	/**
+	 * Build the event data of a booking.
+	 *
+	 * @param int    $booking_id Booking post ID.
+	 * @param string $summary    Event title. Defaults to the booked menus.
+	 * @param string $location   Event location.
+	 * @return array<string, mixed>|null Null when the booking has no valid time.
+	 */
+	public static function build_booking_event( int $booking_id, string $summary = '', string $location = '' ): ?array {
+		$booking = get_post( $booking_id );
+		if ( ! $booking instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $booking->post_type ) {
+			return null;
+		}
+
+		$start = self::parse_local_datetime( (string) get_post_meta( $booking_id, '_vkbm_booking_service_start', true ) );
+		$end   = self::parse_local_datetime( (string) get_post_meta( $booking_id, '_vkbm_booking_service_end', true ) );
+		if ( null === $start || null === $end || $end <= $start ) {
+			return null;
+		}
+
+		if ( '' === $summary ) {
+			$summary = self::get_menu_title( $booking_id );
+		}
+
+		return array(
+			'uid'      => self::get_booking_uid( $booking_id ),
+			'start'    => $start,
+			'end'      => $end,
+			'all_day'  => false,
+			'summary'  => $summary,
+			'location' => $location,
+			'status'   => self::map_status( (string) get_post_meta( $booking_id, '_vkbm_booking_status', true ) ),
+			'sequence' => (int) get_post_meta( $booking_id, self::META_SEQUENCE, true ),
+		);
+	}
+
+	/**
+	 * Stable UID of a booking event.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return string
+	 */
+	public static function get_booking_uid( int $booking_id ): string {
+		return sprintf( 'vkbm-booking-%d@%s', $booking_id, self::get_uid_domain() );
+	}
+
+	/**
+	 * Domain part used for every UID issued by this site.
+	 *
+	 * @return string
+	 */
+	public static function get_uid_domain(): string {
+		$host = wp_parse_url( home_url(), PHP_URL_HOST );
+
+		return is_string( $host ) && '' !== $host ? $host : 'localhost';
+	}
+
+	/**
+	 * Raise the revision number after the time or status of a booking changed.
+	 *
+	 * 日時・ステータス変更後に SEQUENCE を進め、カレンダー側に更新を認識させます。
+	 *
+	 * @param int $booking_id Booking post ID.
+	 */
+	public static function bump_sequence( int $booking_id ): void {
+		$sequence = (int) get_post_meta( $booking_id, self::META_SEQUENCE, true );
+		update_post_meta( $booking_id, self::META_SEQUENCE, $sequence + 1 );
+	}
+
+	/**
+	 * Escape a TEXT value.
+	 *
+	 * @param string $value Raw text.
+	 * @return string
+	 */
+	public static function escape_text( string $value ): string {
+		$value = str_replace( array( "\r\n", "\r" ), "\n", $value );
+
+		return str_replace(
+			array( '\\', ';', ',', "\n" ),
+			array( '\\\\', '\\;', '\\,', '\\n' ),
+			$value
+		);
+	}
+
+	/**
+	 * Fold a content line at 75 octets without splitting multibyte characters.
+	 *
+	 * 75 オクテットごとに折り返します（マルチバイト文字の途中では分割しません）。
+	 *
+	 * @param string $line Content line.
+	 * @return string
+	 */
+	public static function fold_line( string $line ): string {
+		if ( strlen( $line ) <= self::MAX_OCTET ) {
+			return $line;
+		}
+
+		$chars = preg_split( '//u', $line, -1, PREG_SPLIT_NO_EMPTY );
+		if ( false === $chars ) {
+			return $line;
+		}
+
+		$folded  = array();
+		$current = '';
+		$limit   = self::MAX_OCTET;
+		foreach ( $chars as $char ) {
+			if ( strlen( $current ) + strlen( $char ) > $limit ) {
+				$folded[] = $current;
+				$current  = '';
+				// Continuation lines start with a space that counts toward the limit.
+				$limit = self::MAX_OCTET - 1;
+			}
+			$current .= $char;
+		}
+		$folded[] = $current;
+
+		return implode( self::LINE_END . ' ', $folded );
+	}
+
+	/**
+	 * Render the lines of a VEVENT.
+	 *
+	 * @param array<string, mixed> $event Event data.
+	 * @param string               $stamp DTSTAMP value.
+	 * @return array<int, string>
+	 */
+	private static function render_event( array $event, string $stamp ): array {
+		$start = $event['start'] ?? null;
+		$end   = $event['end'] ?? null;
+		if ( ! $start instanceof DateTimeImmutable || ! $end instanceof DateTimeImmutable ) {
+			return array();
+		}
+
+		$lines = array(
+			'BEGIN:VEVENT',
+			'UID:' . (string) ( $event['uid'] ?? '' ),
+			'DTSTAMP:' . $stamp,
+		);
+
+		if ( ! empty( $event['all_day'] ) ) {
+			$lines[] = 'DTSTART;VALUE=DATE:' . $start->format( 'Ymd' );
+			$lines[] = 'DTEND;VALUE=DATE:' . $end->format( 'Ymd' );
+			$lines[] = 'TRANSP:TRANSPARENT';
+		} else {
+			$utc     = new DateTimeZone( 'UTC' );
+			$lines[] = 'DTSTART:' . $start->setTimezone( $utc )->format( 'Ymd\THis\Z' );
+			$lines[] = 'DTEND:' . $end->setTimezone( $utc )->format( 'Ymd\THis\Z' );
+		}
+
+		$lines[] = 'SEQUENCE:' . max( 0, (int) ( $event['sequence'] ?? 0 ) );
+		$lines[] = 'STATUS:' . (string) ( $event['status'] ?? 'CONFIRMED' );
+		$lines[] = 'SUMMARY:' . self::escape_text( (string) ( $event['summary'] ?? '' ) );
+
+		foreach ( array( 'description', 'location' ) as $key ) {
+			$value = trim( (string) ( $event[ $key ] ?? '' ) );
+			if ( '' !== $value ) {
+				$lines[] = strtoupper( $key ) . ':' . self::escape_text( $value );
+			}
+		}
+
+		$lines[] = 'END:VEVENT';
+
+		return $lines;
+	}
+
+	/**
+	 * Map a booking status to an iCalendar STATUS value.
+	 *
+	 * @param string $status Booking status.
+	 * @return string
+	 */
+	private static function map_status( string $status ): string {
+		switch ( $status ) {
+			case 'pending':
+				return 'TENTATIVE';
+			case 'cancelled':
+			case 'no_show':
+				return 'CANCELLED';
+			default:
+				return 'CONFIRMED';
+		}
+	}
+
+	/**
+	 * Menu names of a booking.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return string
+	 */
+	private static function get_menu_title( int $booking_id ): string {
+		$line_items = Booking_Line_Items::get_for_booking( $booking_id );
+		if ( ! empty( $line_items ) ) {
+			return Booking_Line_Items::join_names( $line_items );
+		}
+
+		$menu_id = (int) get_post_meta( $booking_id, '_vkbm_booking_service_id', true );
+
+		return $menu_id > 0 ? (string) get_the_title( $menu_id ) : '';
+	}
+
+	/**
+	 * Parse a site-local datetime stored in booking meta.
+	 *
+	 * @param string $value Datetime string.
+	 * @return DateTimeImmutable|null
+	 */
+	private static function parse_local_datetime( string $value ): ?DateTimeImmutable {
+		if ( '' === $value ) {
+			return null;
+		}
+
+		try {
+			return new DateTimeImmutable( $value, wp_timezone() );
+		} catch ( Exception $e ) {
+			return null;
+		}
+	}
+}
@@ -0,0 +1,446 @@
+<?php
+
+/**
+ * Minimal iCalendar (RFC 5545) reader for busy times.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Calendar;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateInterval;
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
+
+/**
+ * Extracts the busy periods of VEVENTs from an iCalendar document.
+ *
+ * Only the information needed to block time is read. Recurring events are
+ * expanded for FREQ=DAILY and FREQ=WEEKLY (with INTERVAL, COUNT, UNTIL,
+ * BYDAY and EXDATE); other recurrence rules only block the first occurrence.
+ * 予定をブロックするのに必要な情報だけを読み取ります。繰り返しは日次・週次のみ展開します。
+ */
+class Ical_Parser {
+	/**
+	 * Upper bound of days walked per recurring event (about 50 years).
+	 */
+	private const MAX_ITERATIONS = 20000;
+
+	private const WEEKDAYS = array(
+		'MO' => 1,
+		'TU' => 2,
+		'WE' => 3,
+		'TH' => 4,
+		'FR' => 5,
+		'SA' => 6,
+		'SU' => 7,
+	);
+
+	/**
+	 * Parse busy periods overlapping a range.
+	 *
+	 * @param string            $ics      iCalendar text.
+	 * @param DateTimeZone      $timezone Site timezone used for floating times and output.
+	 * @param DateTimeImmutable $from     Range start.
+	 * @param DateTimeImmutable $to       Range end.
+	 * @return array<int, array{start: string, end: string}> Site-local `Y-m-d H:i:s` values sorted by start.
+	 */
+	public static function parse_busy_periods( string $ics, DateTimeZone $timezone, DateTimeImmutable $from, DateTimeImmutable $to ): array {
+		$periods = array();
+
+		foreach ( self::read_events( $ics ) as $event ) {
+			if ( 'CANCELLED' === strtoupper( $event['STATUS']['value'] ?? '' ) ) {
+				continue;
+			}
+			if ( 'TRANSPARENT' === strtoupper( $event['TRANSP']['value'] ?? '' ) ) {
+				continue;
+			}
+
+			$start = isset( $event['DTSTART'] ) ? self::parse_date_property( $event['DTSTART'], $timezone ) : null;
+			if ( null === $start ) {
+				continue;
+			}
+
+			$end = self::resolve_end( $event, $start, $timezone );
+			if ( null === $end || $end <= $start ) {
+				continue;
+			}
+
+			$length = $end->getTimestamp() - $start->getTimestamp();
+			foreach ( self::expand_occurrences( $event, $start, $timezone, $to ) as $occurrence ) {
+				$occurrence_end = $occurrence->modify( sprintf( '+%d seconds', $length ) );
+				if ( $occurrence_end <= $from || $occurrence >= $to ) {
+					continue;
+				}
+
+				$periods[] = array(
+					'start' => $occurrence->setTimezone( $timezone )->format( 'Y-m-d H:i:s' ),
+					'end'   => $occurrence_end->setTimezone( $timezone )->format( 'Y-m-d H:i:s' ),
+				);
+			}
+		}
+
+		usort(
+			$periods,
+			static function ( array $a, array $b ): int {
+				return strcmp( $a['start'], $b['start'] );
+			}
+		);
+
+		return $periods;
+	}
+
+	/**
+	 * Read the calendar days covered by each event, with the event summary.
+	 *
+	 * Used to import holiday calendars, which are all-day events. Recurrence rules
+	 * are not expanded; only the first occurrence is read.
+	 * 祝日カレンダーの取り込み用です。繰り返しは展開しません。
+	 *
+	 * @param string       $ics      iCalendar text.
+	 * @param DateTimeZone $timezone Site timezone.
+	 * @return array<string, string> Summary keyed by site-local date (Y-m-d), sorted by date.
+	 */
+	public static function parse_event_days( string $ics, DateTimeZone $timezone ): array {
+		$days = array();
+
+		foreach ( self::read_events( $ics ) as $event ) {
+			if ( 'CANCELLED' === strtoupper( $event['STATUS']['value'] ?? '' ) ) {
+				continue;
+			}
+
+			$start = isset( $event['DTSTART'] ) ? self::parse_date_property( $event['DTSTART'], $timezone ) : null;
+			if ( null === $start ) {
+				continue;
+			}
+
+			$start   = $start->setTimezone( $timezone );
+			$end     = self::resolve_end( $event, $start, $timezone ) ?? $start;
+			$summary = str_replace( array( '\\n', '\\N', '\\,', '\\;', '\\\\' ), array( ' ', ' ', ',', ';', '\\' ), (string) ( $event['SUMMARY']['value'] ?? '' ) );
+
+			// An all-day event ends at midnight of the following day. / 終日予定の終了は翌日0時.
+			$day = $start->setTime( 0, 0 );
+			for ( $i = 0; $i < 366 && ( 0 === $i || $day < $end ); $i++ ) {
+				$days[ $day->format( 'Y-m-d' ) ] = trim( $summary );
+				$day                             = $day->modify( '+1 day' );
+			}
+		}
+
+		ksort( $days );
+
+		return $days;
+	}
+
+	/**
+	 * Split the document into VEVENT property maps.
+	 *
+	 * Multi-valued properties (EXDATE) are collected under `EXDATE_LIST`.
+	 *
+	 * @param string $ics iCalendar text.
+	 * @return array<int, array<string, mixed>>
+	 */
+	private static function read_events( string $ics ): array {
+		// Unfold continuation lines. / 折り返された行を結合する.
+		$ics   = (string) preg_replace( "/\r?\n[ \t]/", '', $ics );
+		$lines = preg_split( "/\r?\n/", $ics );
+		if ( false === $lines ) {
+			return array();
+		}
+
+		$events  = array();
+		$current = null;
+		$depth   = 0;
+
+		foreach ( $lines as $line ) {
+			if ( '' === trim( $line ) ) {
+				continue;
+			}
+
+			$property = self::parse_line( $line );
+			if ( null === $property ) {
+				continue;
+			}
+
+			if ( 'BEGIN' === $property['name'] ) {
+				if ( 'VEVENT' === strtoupper( $property['value'] ) && null === $current ) {
+					$current = array( 'EXDATE_LIST' => array() );
+					$depth   = 0;
+				} elseif ( null !== $current ) {
+					// Nested components such as VALARM. / VALARM などの入れ子は読み飛ばす.
+					++$depth;
+				}
+				continue;
+			}
+
+			if ( 'END' === $property['name'] ) {
+				if ( null !== $current && $depth > 0 ) {
+					--$depth;
+				} elseif ( null !== $current && 'VEVENT' === strtoupper( $property['value'] ) ) {
+					$events[] = $current;
+					$current  = null;
+				}
+				continue;
+			}
+
+			if ( null === $current || $depth > 0 ) {
+				continue;
+			}
+
+			if ( 'EXDATE' === $property['name'] ) {
+				$current['EXDATE_LIST'][] = $property;
+				continue;
+			}
+
+			if ( ! isset( $current[ $property['name'] ] ) ) {
+				$current[ $property['name'] ] = $property;
+			}
+		}
+
+		return $events;
+	}
+
+	/**
+	 * Parse a content line into name, parameters and value.
+	 *
+	 * @param string $line Unfolded content line.
+	 * @return array{name: string, params: array<string, string>, value: string}|null
+	 */
+	private static function parse_line( string $line ): ?array {
+		$colon = self::find_value_separator( $line );
+		if ( null === $colon ) {
+			return null;
+		}
+
+		$head   = substr( $line, 0, $colon );
+		$value  = substr( $line, $colon + 1 );
+		$parts  = explode( ';', $head );
+		$name   = strtoupper( trim( (string) array_shift( $parts ) ) );
+		$params = array();
+
+		foreach ( $parts as $part ) {
+			$pair = explode( '=', $part, 2 );
+			if ( 2 === count( $pair ) ) {
+				$params[ strtoupper( trim( $pair[0] ) ) ] = trim( $pair[1], " \t\"" );
+			}
+		}
+
+		return array(
+			'name'   => $name,
+			'params' => $params,
+			'value'  => trim( $value ),
+		);
+	}
+
+	/**
+	 * Position of the colon separating the value, ignoring quoted parameters.
+	 *
+	 * @param string $line Content line.
+	 * @return int|null
+	 */
+	private static function find_value_separator( string $line ): ?int {
+		$quoted = false;
+		$length = strlen( $line );
+
+		for ( $i = 0; $i < $length; $i++ ) {
+			if ( '"' === $line[ $i ] ) {
+				$quoted = ! $quoted;
+			} elseif ( ':' === $line[ $i ] && ! $quoted ) {
+				return $i;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Parse DTSTART / DTEND / EXDATE style values.
+	 *
+	 * @param array{params: array<string, string>, value: string} $property Property.
+	 * @param DateTimeZone                                        $timezone Fallback timezone.
+	 * @return DateTimeImmutable|null
+	 */
+	private static function parse_date_property( array $property, DateTimeZone $timezone ): ?DateTimeImmutable {
+		$values = explode( ',', $property['value'] );
+
+		return self::parse_date_value( trim( $values[0] ), $property['params'], $timezone );
+	}
+
+	/**
+	 * Parse a single DATE or DATE-TIME value.
+	 *
+	 * @param string                $value    Raw value.
+	 * @param array<string, string> $params   Property parameters.
+	 * @param DateTimeZone          $timezone Fallback timezone.
+	 * @return DateTimeImmutable|null
+	 */
+	private static function parse_date_value( string $value, array $params, DateTimeZone $timezone ): ?DateTimeImmutable {
+		$zone = $timezone;
+		if ( ! empty( $params['TZID'] ) ) {
+			try {
+				$zone = new DateTimeZone( $params['TZID'] );
+			} catch ( Exception $e ) {
+				$zone = $timezone;
+			}
+		}
+
+		if ( preg_match( '/^\d{8}$/', $value ) ) {
+			$date = DateTimeImmutable::createFromFormat( '!Ymd', $value, $timezone );
+			return $date ? $date : null;
+		}
+
+		if ( preg_match( '/^(\d{8}T\d{6})Z$/', $value, $matches ) ) {
+			$date = DateTimeImmutable::createFromFormat( 'Ymd\THis', $matches[1], new DateTimeZone( 'UTC' ) );
+			return $date ? $date : null;
+		}
+
+		if ( preg_match( '/^\d{8}T\d{6}$/', $value ) ) {
+			$date = DateTimeImmutable::createFromFormat( 'Ymd\THis', $value, $zone );
+			return $date ? $date : null;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Work out when an event ends.
+	 *
+	 * @param array<string, mixed> $event    Event properties.
+	 * @param DateTimeImmutable    $start    Event start.
+	 * @param DateTimeZone         $timezone Fallback timezone.
+	 * @return DateTimeImmutable|null
+	 */
+	private static function resolve_end( array $event, DateTimeImmutable $start, DateTimeZone $timezone ): ?DateTimeImmutable {
+		if ( isset( $event['DTEND'] ) ) {
+			return self::parse_date_property( $event['DTEND'], $timezone );
+		}
+
+		if ( isset( $event['DURATION'] ) ) {
+			$duration = strtoupper( ltrim( (string) $event['DURATION']['value'], '+' ) );
+			try {
+				return $start->add( new DateInterval( $duration ) );
+			} catch ( Exception $e ) {
+				return null;
+			}
+		}
+
+		// A DATE start without an end covers that whole day.
+		if ( preg_match( '/^\d{8}$/', (string) $event['DTSTART']['value'] ) ) {
+			return $start->modify( '+1 day' );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Start times of every occurrence up to the range end.
+	 *
+	 * @param array<string, mixed> $event    Event properties.
+	 * @param DateTimeImmutable    $start    First occurrence.
+	 * @param DateTimeZone         $timezone Fallback timezone.
+	 * @param DateTimeImmutable    $until    Range end.
+	 * @return array<int, DateTimeImmutable>
+	 */
+	private static function expand_occurrences( array $event, DateTimeImmutable $start, DateTimeZone $timezone, DateTimeImmutable $until ): array {
+		$rule = isset( $event['RRULE'] ) ? self::parse_rule( (string) $event['RRULE']['value'] ) : array();
+		$freq = $rule['FREQ'] ?? '';
+		if ( 'DAILY' !== $freq && 'WEEKLY' !== $freq ) {
+			return array( $start );
+		}
+
+		$interval  = max( 1, (int) ( $rule['INTERVAL'] ?? 1 ) );
+		$count     = isset( $rule['COUNT'] ) ? max( 1, (int) $rule['COUNT'] ) : null;
+		$rule_end  = isset( $rule['UNTIL'] ) ? self::parse_date_value( $rule['UNTIL'], array(), $timezone ) : null;
+		if ( null !== $rule_end && 8 === strlen( $rule['UNTIL'] ) ) {
+			// A DATE value includes the whole day. / 日付のみの UNTIL はその日を含む.
+			$rule_end = $rule_end->modify( '+1 day -1 second' );
+		}
+		$excluded  = self::collect_exdates( $event['EXDATE_LIST'] ?? array(), $timezone );
+		$weekdays  = array();
+		$by_day    = isset( $rule['BYDAY'] ) ? explode( ',', $rule['BYDAY'] ) : array();
+		$last_date = null !== $rule_end && $rule_end < $until ? $rule_end : $until;
+
+		foreach ( $by_day as $day ) {
+			$code = substr( strtoupper( trim( $day ) ), -2 );
+			if ( isset( self::WEEKDAYS[ $code ] ) ) {
+				$weekdays[] = self::WEEKDAYS[ $code ];
+			}
+		}
+		if ( 'WEEKLY' === $freq && empty( $weekdays ) ) {
+			$weekdays[] = (int) $start->format( 'N' );
+		}
+
+		$occurrences = array();
+		$generated   = 0;
+		$iterations  = 0;
+		$cursor      = $start;
+		$week_start  = $start->modify( sprintf( '-%d days', (int) $start->format( 'N' ) - 1 ) );
+
+		while ( $cursor <= $last_date && ++$iterations <= self::MAX_ITERATIONS ) {
+			$is_match = true;
+			if ( 'WEEKLY' === $freq ) {
+				$weeks    = intdiv( (int) $week_start->diff( $cursor )->days, 7 );
+				$is_match = 0 === $weeks % $interval && in_array( (int) $cursor->format( 'N' ), $weekdays, true );
+			}
+
+			if ( $is_match ) {
+				++$generated;
+				if ( ! in_array( $cursor->getTimestamp(), $excluded, true ) ) {
+					$occurrences[] = $cursor;
+				}
+				if ( null !== $count && $generated >= $count ) {
+					break;
+				}
+			}
+
+			$cursor = $cursor->modify( 'DAILY' === $freq ? sprintf( '+%d days', $interval ) : '+1 day' );
+		}
+
+		return $occurrences;
+	}
+
+	/**
+	 * Parse an RRULE value.
+	 *
+	 * @param string $value RRULE value.
+	 * @return array<string, string>
+	 */
+	private static function parse_rule( string $value ): array {
+		$rule = array();
+		foreach ( explode( ';', $value ) as $part ) {
+			$pair = explode( '=', $part, 2 );
+			if ( 2 === count( $pair ) ) {
+				$rule[ strtoupper( trim( $pair[0] ) ) ] = strtoupper( trim( $pair[1] ) );
+			}
+		}
+
+		return $rule;
+	}
+
+	/**
+	 * Timestamps listed in EXDATE properties.
+	 *
+	 * @param array<int, array{params: array<string, string>, value: string}> $properties EXDATE properties.
+	 * @param DateTimeZone                                                    $timezone   Fallback timezone.
+	 * @return array<int, int>
+	 */
+	private static function collect_exdates( array $properties, DateTimeZone $timezone ): array {
+		$timestamps = array();
+		foreach ( $properties as $property ) {
+			foreach ( explode( ',', $property['value'] ) as $value ) {
+				$date = self::parse_date_value( trim( $value ), $property['params'], $timezone );
+				if ( null !== $date ) {
+					$timestamps[] = $date->getTimestamp();
+				}
+			}
+		}
+
+		return $timestamps;
+	}
+}
@@ -0,0 +1,433 @@
+<?php
+
+/**
+ * Private iCal subscription feed for each staff member.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Calendar;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Post;
+use WP_Query;
+use function __;
+use function add_action;
+use function add_meta_box;
+use function add_query_arg;
+use function current_user_can;
+use function esc_attr;
+use function esc_html__;
+use function esc_html_e;
+use function get_post_meta;
+use function get_posts;
+use function get_the_title;
+use function home_url;
+use function nocache_headers;
+use function sanitize_text_field;
+use function sprintf;
+use function status_header;
+use function update_post_meta;
+use function wp_generate_password;
+use function wp_nonce_field;
+use function wp_timezone;
+use function wp_unslash;
+use function wp_verify_nonce;
+
+/**
+ * Publishes each staff member's confirmed bookings and days off as an iCal feed.
+ *
+ * The feed URL carries a random token instead of requiring a login so that
+ * calendar apps can subscribe to it. Regenerating the token revokes old URLs.
+ * カレンダーアプリから購読できるよう、ログインの代わりにランダムなトークンで認証します。
+ */
+class Staff_Ical_Feed {
+	public const QUERY_VAR  = 'vkbm_staff_ical';
+	public const META_TOKEN = '_vkbm_ical_token';
+
+	private const NONCE_ACTION = 'vkbm_staff_ical_meta';
+	private const NONCE_NAME   = '_vkbm_staff_ical_nonce';
+
+	/**
+	 * Days before today included in the feed.
+	 */
+	private const PAST_DAYS = 30;
+
+	/**
+	 * Days after today included in the feed.
+	 */
+	private const FUTURE_DAYS = 180;
+
+	private const SHIFT_META_RESOURCE = '_vkbm_shift_resource_id';
+	private const SHIFT_META_YEAR     = '_vkbm_shift_year';
+	private const SHIFT_META_MONTH    = '_vkbm_shift_month';
+	private const SHIFT_META_DAYS     = '_vkbm_shift_days';
+
+	private const CLOSED_DAY_STATUSES = array( 'regular_holiday', 'temporary_closed', 'unavailable' );
+
+	/**
+	 * Settings repository.
+	 *
+	 * @var Settings_Repository
+	 */
+	private $settings_repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Settings_Repository $settings_repository Settings repository.
+	 */
+	public function __construct( Settings_Repository $settings_repository ) {
+		$this->settings_repository = $settings_repository;
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'template_redirect', array( $this, 'serve_feed' ) );
+		add_action( 'add_meta_boxes', array( $this, 'add_meta_box' ) );
+		add_action( 'save_post_' . Resource_Post_Type::POST_TYPE, array( $this, 'save_post' ), 10, 2 );
+	}
+
+	/**
+	 * Output the feed when the subscription URL is requested.
+	 */
+	public function serve_feed(): void {
+		if ( empty( $_GET[ self::QUERY_VAR ] ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Calendar subscriptions use token-based authentication.
+			return;
+		}
+
+		$token    = sanitize_text_field( wp_unslash( $_GET[ self::QUERY_VAR ] ) ); // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Calendar subscriptions use token-based authentication.
+		$staff_id = $this->find_staff_by_token( $token );
+		if ( $staff_id <= 0 ) {
+			status_header( 404 );
+			nocache_headers();
+			exit;
+		}
+
+		nocache_headers();
+		header( 'Content-Type: text/calendar; charset=utf-8' );
+		header( sprintf( 'Content-Disposition: inline; filename="staff-%d.ics"', $staff_id ) );
+		echo $this->render_feed( $staff_id ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- iCalendar text is escaped by Ical_Builder.
+		exit;
+	}
+
+	/**
+	 * Build the feed of a staff member.
+	 *
+	 * Cancelled bookings stay in the feed with STATUS:CANCELLED so that
+	 * subscribed calendars remove the entry they already imported.
+	 * キャンセル済みの予約も STATUS:CANCELLED として出力し、購読側の予定を取り消します。
+	 *
+	 * @param int                    $staff_id Staff post ID.
+	 * @param DateTimeImmutable|null $now      Reference time.
+	 * @return string
+	 */
+	public function render_feed( int $staff_id, ?DateTimeImmutable $now = null ): string {
+		$now      = $now ?? new DateTimeImmutable( 'now', wp_timezone() );
+		$from     = $now->setTime( 0, 0 )->modify( sprintf( '-%d days', self::PAST_DAYS ) );
+		$to       = $now->setTime( 0, 0 )->modify( sprintf( '+%d days', self::FUTURE_DAYS ) );
+		$settings = $this->settings_repository->get_settings();
+		$location = (string) ( $settings['provider_address'] ?? '' );
+
+		$events = array();
+		foreach ( $this->get_booking_ids( $staff_id, $from, $to ) as $booking_id ) {
+			$customer = trim( (string) get_post_meta( $booking_id, '_vkbm_booking_customer_name', true ) );
+			$event    = Ical_Builder::build_booking_event( $booking_id, '', $location );
+			if ( null === $event ) {
+				continue;
+			}
+			if ( '' !== $customer ) {
+				/* translators: %1$s: Menu name, %2$s: Customer name. */
+				$event['summary'] = sprintf( __( '%1$s (%2$s)', 'vk-booking-manager' ), $event['summary'], $customer );
+			}
+			$events[] = $event;
+		}
+
+		$events = array_merge( $events, $this->get_day_off_events( $staff_id, $from, $to ) );
+
+		return Ical_Builder::render(
+			$events,
+			sprintf(
+				/* translators: %s: Staff name. */
+				__( 'Reservations: %s', 'vk-booking-manager' ),
+				get_the_title( $staff_id )
+			)
+		);
+	}
+
+	/**
+	 * Subscription URL of a staff member, issuing a token on first use.
+	 *
+	 * @param int $staff_id Staff post ID.
+	 * @return string
+	 */
+	public function get_feed_url( int $staff_id ): string {
+		$token = (string) get_post_meta( $staff_id, self::META_TOKEN, true );
+		if ( '' === $token ) {
+			$token = $this->regenerate_token( $staff_id );
+		}
+
+		return add_query_arg( self::QUERY_VAR, $token, home_url( '/' ) );
+	}
+
+	/**
+	 * Issue a new token, invalidating the previous URL.
+	 *
+	 * @param int $staff_id Staff post ID.
+	 * @return string
+	 */
+	public function regenerate_token( int $staff_id ): string {
+		$token = wp_generate_password( 32, false, false );
+		update_post_meta( $staff_id, self::META_TOKEN, $token );
+
+		return $token;
+	}
+
+	/**
+	 * Resolve the staff member that owns a token.
+	 *
+	 * @param string $token Feed token.
+	 * @return int Staff post ID, or 0 when not found.
+	 */
+	public function find_staff_by_token( string $token ): int {
+		if ( '' === $token ) {
+			return 0;
+		}
+
+		$ids = get_posts(
+			array(
+				'post_type'      => Resource_Post_Type::POST_TYPE,
+				'post_status'    => 'publish',
+				'posts_per_page' => 1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'meta_key'       => self::META_TOKEN, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- Token lookup.
+				'meta_value'     => $token, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value -- Token lookup.
+			)
+		);
+
+		return empty( $ids ) ? 0 : (int) $ids[0];
+	}
+
+	/**
+	 * Add the subscription URL box to the staff edit screen.
+	 */
+	public function add_meta_box(): void {
+		add_meta_box(
+			'vkbm-staff-ical',
+			__( 'Calendar subscription', 'vk-booking-manager' ),
+			array( $this, 'render_meta_box' ),
+			Resource_Post_Type::POST_TYPE,
+			'side',
+			'default'
+		);
+	}
+
+	/**
+	 * Render the subscription URL box.
+	 *
+	 * @param WP_Post $post Staff post.
+	 */
+	public function render_meta_box( WP_Post $post ): void {
+		if ( 'publish' !== $post->post_status ) {
+			echo '<p>' . esc_html__( 'The subscription URL is available after publishing.', 'vk-booking-manager' ) . '</p>';
+			return;
+		}
+
+		wp_nonce_field( self::NONCE_ACTION, self::NONCE_NAME );
+		?>
+		<p>
+			<label for="vkbm-staff-ical-url"><?php esc_html_e( 'Add this URL to a calendar app to see confirmed reservations and days off.', 'vk-booking-manager' ); ?></label>
+			<input type="text" id="vkbm-staff-ical-url" class="widefat" readonly value="<?php echo esc_attr( $this->get_feed_url( $post->ID ) ); ?>" onclick="this.select();" />
+		</p>
+		<p class="description"><?php esc_html_e( 'Anyone with this URL can view the calendar. Do not share it.', 'vk-booking-manager' ); ?></p>
+		<p>
+			<label>
+				<input type="checkbox" name="vkbm_staff_ical[regenerate]" value="1" />
+				<?php esc_html_e( 'Issue a new URL (the current URL stops working)', 'vk-booking-manager' ); ?>
+			</label>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Save handler.
+	 *
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 */
+	public function save_post( int $post_id, WP_Post $post ): void {
+		if ( ! isset( $_POST[ self::NONCE_NAME ] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST[ self::NONCE_NAME ] ) ), self::NONCE_ACTION ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Missing -- verified above.
+			return;
+		}
+
+		if ( defined( 'DOING_AUTOSAVE' ) && DOING_AUTOSAVE ) {
+			return;
+		}
+
+		if ( Resource_Post_Type::POST_TYPE !== $post->post_type ) {
+			return;
+		}
+
+		if ( ! current_user_can( Capabilities::MANAGE_STAFF, $post_id ) && ! current_user_can( 'edit_post', $post_id ) ) {
+			return;
+		}
+
+		if ( ! empty( $_POST['vkbm_staff_ical']['regenerate'] ) ) {
+			$this->regenerate_token( $post_id );
+		}
+	}
+
+	/**
+	 * Confirmed and cancelled bookings of a staff member within the range.
+	 *
+	 * @param int               $staff_id Staff post ID.
+	 * @param DateTimeImmutable $from     Range start.
+	 * @param DateTimeImmutable $to       Range end.
+	 * @return array<int, int>
+	 */
+	private function get_booking_ids( int $staff_id, DateTimeImmutable $from, DateTimeImmutable $to ): array {
+		$query = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'posts_per_page' => -1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'orderby'        => 'meta_value',
+				'meta_key'       => '_vkbm_booking_service_start', // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- Sort by start time.
+				'order'          => 'ASC',
+				'meta_query'     => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Staff schedule lookup.
+					array(
+						'key'   => '_vkbm_booking_resource_id',
+						'value' => $staff_id,
+					),
+					array(
+						'key'     => '_vkbm_booking_status',
+						'value'   => array( 'confirmed', 'cancelled' ),
+						'compare' => 'IN',
+					),
+					array(
+						'key'     => '_vkbm_booking_service_start',
+						'value'   => array( $from->format( 'Y-m-d H:i:s' ), $to->format( 'Y-m-d H:i:s' ) ),
+						'compare' => 'BETWEEN',
+						'type'    => 'DATETIME',
+					),
+				),
+			)
+		);
+
+		return array_map( 'intval', $query->posts );
+	}
+
+	/**
+	 * All-day events for the days the staff member does not work.
+	 *
+	 * @param int               $staff_id Staff post ID.
+	 * @param DateTimeImmutable $from     Range start.
+	 * @param DateTimeImmutable $to       Range end.
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function get_day_off_events( int $staff_id, DateTimeImmutable $from, DateTimeImmutable $to ): array {
+		$events = array();
+		$month  = $from->modify( 'first day of this month' );
+
+		while ( $month <= $to ) {
+			$year         = (int) $month->format( 'Y' );
+			$month_number = (int) $month->format( 'n' );
+			foreach ( $this->get_shift_days( $staff_id, $year, $month_number ) as $day => $entry ) {
+				if ( ! in_array( (string) ( $entry['status'] ?? '' ), self::CLOSED_DAY_STATUSES, true ) ) {
+					continue;
+				}
+
+				if ( ! checkdate( $month_number, (int) $day, $year ) ) {
+					continue;
+				}
+
+				$date = $month->setDate( $year, $month_number, (int) $day );
+				if ( $date < $from || $date > $to ) {
+					continue;
+				}
+
+				$events[] = array(
+					'uid'      => sprintf( 'vkbm-dayoff-%d-%s@%s', $staff_id, $date->format( 'Ymd' ), Ical_Builder::get_uid_domain() ),
+					'start'    => $date,
+					'end'      => $date->modify( '+1 day' ),
+					'all_day'  => true,
+					'summary'  => __( 'Day off', 'vk-booking-manager' ),
+					'status'   => 'CONFIRMED',
+					'sequence' => 0,
+				);
+			}
+
+			$month = $month->modify( '+1 month' );
+		}
+
+		return $events;
+	}
+
+	/**
+	 * Read the shift days stored for a staff member and month.
+	 *
+	 * @param int $staff_id Staff post ID.
+	 * @param int $year     Year.
+	 * @param int $month    Month.
+	 * @return array<int, array<string, mixed>> Keyed by day of month.
+	 */
+	private function get_shift_days( int $staff_id, int $year, int $month ): array {
+		$ids = get_posts(
+			array(
+				'post_type'      => Shift_Post_Type::POST_TYPE,
+				'post_status'    => 'publish',
+				'posts_per_page' => 1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'meta_query'     => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Shift lookup.
+					array(
+						'key'   => self::SHIFT_META_RESOURCE,
+						'value' => $staff_id,
+					),
+					array(
+						'key'   => self::SHIFT_META_YEAR,
+						'value' => $year,
+					),
+					array(
+						'key'   => self::SHIFT_META_MONTH,
+						'value' => $month,
+					),
+				),
+			)
+		);
+
+		if ( empty( $ids ) ) {
+			return array();
+		}
+
+		$days = get_post_meta( (int) $ids[0], self::SHIFT_META_DAYS, true );
+		if ( ! is_array( $days ) ) {
+			return array();
+		}
+
+		$normalized = array();
+		foreach ( $days as $index => $entry ) {
+			if ( (int) $index > 0 && is_array( $entry ) ) {
+				$normalized[ (int) $index ] = $entry;
+			}
+		}
+
+		return $normalized;
+	}
+}
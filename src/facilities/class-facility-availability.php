@@ -0,0 +1,255 @@
+<?php
+
+/**
+ * Free/busy lookups for shared facilities.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Facilities;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Availability\Slot_Capacity;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Facility_Post_Type;
+use WP_Query;
+use function get_post_meta;
+use function get_posts;
+use function get_the_title;
+use function wp_timezone;
+
+/**
+ * Checks which facilities (rooms, chairs, equipment) are free for a slot.
+ *
+ * A menu lists the facilities it can use; a booking of that menu needs one of
+ * them in addition to a staff member and records the facility it was given.
+ * メニューに紐づく施設のいずれかが空いている場合のみ予約でき、割り当てた施設を予約に記録します。
+ */
+class Facility_Availability {
+	public const MENU_META_FACILITY_IDS = '_vkbm_facility_ids';
+	public const BOOKING_META_FACILITY  = '_vkbm_booking_facility_id';
+
+	private const BOOKING_META_START     = '_vkbm_booking_service_start';
+	private const BOOKING_META_END       = '_vkbm_booking_service_end';
+	private const BOOKING_META_TOTAL_END = '_vkbm_booking_total_end';
+	private const BOOKING_META_STATUS    = '_vkbm_booking_status';
+	private const RELEASED_STATUSES      = array( 'cancelled', 'no_show' );
+
+	/**
+	 * Facility bookings cache keyed by facility set and date range.
+	 *
+	 * @var array<string, array<int, array<int, array<string, mixed>>>>
+	 */
+	private $booking_cache = array();
+
+	/**
+	 * Published facilities a booking of the given menus may use, in display order.
+	 *
+	 * @param array<int> $menu_ids Booked menu IDs.
+	 * @return array<int>
+	 */
+	public static function get_required_facility_ids( array $menu_ids ): array {
+		$linked = array();
+		foreach ( $menu_ids as $menu_id ) {
+			$linked = array_merge( $linked, self::get_menu_facility_ids( (int) $menu_id ) );
+		}
+
+		$linked = array_values( array_unique( $linked ) );
+		if ( empty( $linked ) ) {
+			return array();
+		}
+
+		$facilities = get_posts(
+			array(
+				'post_type'      => Facility_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'post__in'       => $linked,
+				'orderby'        => array(
+					'menu_order' => 'ASC',
+					'title'      => 'ASC',
+				),
+				'posts_per_page' => -1,
+				'fields'         => 'ids',
+			)
+		);
+
+		return array_map( 'intval', $facilities );
+	}
+
+	/**
+	 * Facilities linked to a menu.
+	 *
+	 * @param int $menu_id Menu post ID.
+	 * @return array<int>
+	 */
+	public static function get_menu_facility_ids( int $menu_id ): array {
+		$ids = get_post_meta( $menu_id, self::MENU_META_FACILITY_IDS, true );
+		if ( ! is_array( $ids ) ) {
+			return array();
+		}
+
+		return array_values( array_unique( array_filter( array_map( 'intval', $ids ) ) ) );
+	}
+
+	/**
+	 * Name of the facility assigned to a booking ('' when none).
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return string
+	 */
+	public static function get_booking_facility_name( int $booking_id ): string {
+		$facility_id = (int) get_post_meta( $booking_id, self::BOOKING_META_FACILITY, true );
+
+		return $facility_id > 0 ? (string) get_the_title( $facility_id ) : '';
+	}
+
+	/**
+	 * Filter facilities that are free for the candidate time.
+	 *
+	 * A facility already hosting the same group session still counts as free
+	 * while seats remain.
+	 * 同じグループ枠で使用中の施設は、残席がある間は空きとして扱います。
+	 *
+	 * @param array<int>        $facility_ids       Candidate facilities.
+	 * @param DateTimeImmutable $start              Slot start.
+	 * @param DateTimeImmutable $end                Slot end (including buffer).
+	 * @param int               $menu_id            Menu being booked.
+	 * @param int               $capacity           Seats per slot of the menu.
+	 * @param int               $exclude_booking_id Booking to ignore (0 = none).
+	 * @return array<int>
+	 */
+	public function find_free_facility_ids( array $facility_ids, DateTimeImmutable $start, DateTimeImmutable $end, int $menu_id = 0, int $capacity = 1, int $exclude_booking_id = 0 ): array {
+		if ( empty( $facility_ids ) ) {
+			return array();
+		}
+
+		$bookings = $this->get_facility_bookings( $facility_ids, $start, $end, $exclude_booking_id );
+		$free     = array();
+
+		foreach ( $facility_ids as $facility_id ) {
+			$entries = $bookings[ $facility_id ] ?? array();
+			if ( Slot_Capacity::count_remaining_seats( $start, $end, $menu_id, $capacity, $entries ) > 0 ) {
+				$free[] = (int) $facility_id;
+			}
+		}
+
+		return $free;
+	}
+
+	/**
+	 * Pick the facility a new booking should use.
+	 *
+	 * @param array<int> $menu_ids           Booked menu IDs (primary first).
+	 * @param string     $start_at           Start (Y-m-d H:i:s, site timezone).
+	 * @param string     $end_at             End including buffer (Y-m-d H:i:s, site timezone).
+	 * @param int        $exclude_booking_id Booking to ignore (0 = none).
+	 * @param int        $preferred_id       Facility to keep when it is still free (0 = none).
+	 * @return int|null Facility ID, 0 when the menus need no facility, null when every facility is taken.
+	 */
+	public function pick_facility( array $menu_ids, string $start_at, string $end_at, int $exclude_booking_id = 0, int $preferred_id = 0 ): ?int {
+		$required = self::get_required_facility_ids( $menu_ids );
+		if ( empty( $required ) ) {
+			return 0;
+		}
+
+		$start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start_at, wp_timezone() );
+		$end   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', '' !== $end_at ? $end_at : $start_at, wp_timezone() );
+		if ( ! $start || ! $end ) {
+			return null;
+		}
+
+		$menu_id  = 1 === count( $menu_ids ) ? (int) $menu_ids[0] : 0;
+		$capacity = $menu_id > 0 ? Slot_Capacity::get_menu_capacity( $menu_id ) : 1;
+		$free     = $this->find_free_facility_ids( $required, $start, $end, $menu_id, $capacity, $exclude_booking_id );
+
+		if ( empty( $free ) ) {
+			return null;
+		}
+
+		return in_array( $preferred_id, $free, true ) ? $preferred_id : $free[0];
+	}
+
+	/**
+	 * Load active bookings of the facilities around the candidate time.
+	 *
+	 * @param array<int>        $facility_ids       Facilities.
+	 * @param DateTimeImmutable $start              Slot start.
+	 * @param DateTimeImmutable $end                Slot end.
+	 * @param int               $exclude_booking_id Booking to ignore.
+	 * @return array<int, array<int, array<string, mixed>>> Entries keyed by facility ID.
+	 */
+	private function get_facility_bookings( array $facility_ids, DateTimeImmutable $start, DateTimeImmutable $end, int $exclude_booking_id ): array {
+		$timezone  = wp_timezone();
+		$day_start = $start->setTimezone( $timezone )->setTime( 0, 0, 0 );
+		$day_end   = $end->setTimezone( $timezone )->setTime( 23, 59, 59 );
+		$cache_key = implode( ',', $facility_ids ) . '|' . $day_start->format( 'Y-m-d' ) . '|' . $day_end->format( 'Y-m-d' ) . '|' . $exclude_booking_id;
+
+		if ( isset( $this->booking_cache[ $cache_key ] ) ) {
+			return $this->booking_cache[ $cache_key ];
+		}
+
+		$query = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+				'fields'         => 'ids',
+				'post__not_in'   => $exclude_booking_id > 0 ? array( $exclude_booking_id ) : array(),
+				'meta_query'     => array(
+					'relation' => 'AND',
+					array(
+						'key'     => self::BOOKING_META_FACILITY,
+						'value'   => array_map( 'intval', $facility_ids ),
+						'compare' => 'IN',
+					),
+					array(
+						'key'     => self::BOOKING_META_START,
+						'value'   => $day_end->format( 'Y-m-d H:i:s' ),
+						'compare' => '<',
+						'type'    => 'DATETIME',
+					),
+				),
+			)
+		);
+
+		$map = array();
+		foreach ( $query->posts as $post_id ) {
+			$post_id = (int) $post_id;
+			$status  = (string) get_post_meta( $post_id, self::BOOKING_META_STATUS, true );
+			if ( in_array( $status, self::RELEASED_STATUSES, true ) ) {
+				continue;
+			}
+
+			$start_raw = (string) get_post_meta( $post_id, self::BOOKING_META_START, true );
+			$end_raw   = (string) get_post_meta( $post_id, self::BOOKING_META_TOTAL_END, true );
+			if ( '' === $end_raw ) {
+				$end_raw = (string) get_post_meta( $post_id, self::BOOKING_META_END, true );
+			}
+
+			$booking_start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $start_raw, $timezone );
+			$booking_end   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $end_raw, $timezone );
+			if ( ! $booking_start || ! $booking_end || $booking_end <= $day_start ) {
+				continue;
+			}
+
+			$facility_id           = (int) get_post_meta( $post_id, self::BOOKING_META_FACILITY, true );
+			$map[ $facility_id ][] = array(
+				'start'   => $booking_start,
+				'end'     => $booking_end,
+				'menu_id' => Slot_Capacity::get_shared_menu_id( $post_id ),
+				'seats'   => Slot_Capacity::get_party_size( $post_id ),
+			);
+		}
+
+		$this->booking_cache[ $cache_key ] = $map;
+
+		return $map;
+	}
+}
@@ -0,0 +1,302 @@
+<?php
+
+/**
+ * Public holiday calendar.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Holidays;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Calendar\Ical_Parser;
+use function __;
+use function get_option;
+use function sanitize_key;
+use function sanitize_text_field;
+use function update_option;
+use function wp_timezone;
+
+/**
+ * Knows which dates are public holidays or closure days.
+ *
+ * Combines a bundled country dataset with custom days entered in the admin or imported
+ * from an .ics file. Custom days are either extra holidays (business hours for "Holiday"
+ * apply) or closures (no reservations at all).
+ * 国別の祝日データと、管理画面で登録した独自の休日・臨時休業日をまとめて扱います。
+ */
+class Holiday_Calendar {
+	public const OPTION_KEY = 'vkbm_holiday_calendar';
+
+	public const TYPE_HOLIDAY = 'holiday';
+	public const TYPE_CLOSED  = 'closed';
+
+	public const DAY_KEY_HOLIDAY     = 'holiday';
+	public const DAY_KEY_HOLIDAY_EVE = 'holiday_eve';
+
+	/**
+	 * Holidays per year, cached for the request.
+	 *
+	 * @var array<int, array<string, string>>
+	 */
+	private $year_cache = array();
+
+	/**
+	 * Bundled country datasets: code => label.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_countries(): array {
+		return array(
+			''   => __( 'None', 'vk-booking-manager' ),
+			'jp' => __( 'Japan', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Custom day types: type => label.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_type_labels(): array {
+		return array(
+			self::TYPE_HOLIDAY => __( 'Holiday', 'vk-booking-manager' ),
+			self::TYPE_CLOSED  => __( 'Closed', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Stored settings.
+	 *
+	 * @return array{country: string, close_on_holidays: bool, days: array<string, array{date: string, name: string, type: string}>}
+	 */
+	public function get_settings(): array {
+		$stored = get_option( self::OPTION_KEY, array() );
+		if ( ! is_array( $stored ) ) {
+			$stored = array();
+		}
+
+		$country = (string) ( $stored['country'] ?? '' );
+		$days    = array();
+		foreach ( (array) ( $stored['days'] ?? array() ) as $day ) {
+			if ( ! is_array( $day ) || ! $this->is_valid_date( (string) ( $day['date'] ?? '' ) ) ) {
+				continue;
+			}
+
+			$days[ (string) $day['date'] ] = array(
+				'date' => (string) $day['date'],
+				'name' => (string) ( $day['name'] ?? '' ),
+				'type' => self::TYPE_CLOSED === ( $day['type'] ?? '' ) ? self::TYPE_CLOSED : self::TYPE_HOLIDAY,
+			);
+		}
+		ksort( $days );
+
+		return array(
+			'country'           => isset( self::get_countries()[ $country ] ) ? $country : '',
+			'close_on_holidays' => ! empty( $stored['close_on_holidays'] ),
+			'days'              => $days,
+		);
+	}
+
+	/**
+	 * Save the country dataset and whether public holidays are closed.
+	 *
+	 * @param string $country           Country code ('' for none).
+	 * @param bool   $close_on_holidays Close on every public holiday.
+	 */
+	public function update_options( string $country, bool $close_on_holidays ): void {
+		$settings                      = $this->get_settings();
+		$country                       = sanitize_key( $country );
+		$settings['country']           = isset( self::get_countries()[ $country ] ) ? $country : '';
+		$settings['close_on_holidays'] = $close_on_holidays;
+
+		$this->save( $settings );
+	}
+
+	/**
+	 * Add or replace custom days.
+	 *
+	 * @param array<int, array{date: string, name: string, type: string}> $days Days to store.
+	 * @return int Number of days stored.
+	 */
+	public function add_days( array $days ): int {
+		$settings = $this->get_settings();
+		$count    = 0;
+
+		foreach ( $days as $day ) {
+			$date = (string) ( $day['date'] ?? '' );
+			if ( ! $this->is_valid_date( $date ) ) {
+				continue;
+			}
+
+			$settings['days'][ $date ] = array(
+				'date' => $date,
+				'name' => sanitize_text_field( (string) ( $day['name'] ?? '' ) ),
+				'type' => self::TYPE_CLOSED === ( $day['type'] ?? '' ) ? self::TYPE_CLOSED : self::TYPE_HOLIDAY,
+			);
+			++$count;
+		}
+
+		$this->save( $settings );
+
+		return $count;
+	}
+
+	/**
+	 * Remove custom days.
+	 *
+	 * @param array<int, string> $dates Dates (Y-m-d).
+	 */
+	public function delete_days( array $dates ): void {
+		$settings = $this->get_settings();
+		foreach ( $dates as $date ) {
+			unset( $settings['days'][ (string) $date ] );
+		}
+
+		$this->save( $settings );
+	}
+
+	/**
+	 * Read the days of an iCalendar file as custom days.
+	 *
+	 * @param string $ics  iCalendar text.
+	 * @param string $type Type given to every day.
+	 * @return array<int, array{date: string, name: string, type: string}>
+	 */
+	public function read_ics_days( string $ics, string $type ): array {
+		$days = array();
+		foreach ( Ical_Parser::parse_event_days( $ics, wp_timezone() ) as $date => $summary ) {
+			$days[] = array(
+				'date' => $date,
+				'name' => $summary,
+				'type' => $type,
+			);
+		}
+
+		return $days;
+	}
+
+	/**
+	 * Public holidays of a year: the country dataset plus custom holidays.
+	 *
+	 * Closure days are not included; see is_closed().
+	 *
+	 * @param int $year Year.
+	 * @return array<string, string> Holiday name keyed by date (Y-m-d).
+	 */
+	public function get_holidays( int $year ): array {
+		if ( isset( $this->year_cache[ $year ] ) ) {
+			return $this->year_cache[ $year ];
+		}
+
+		$settings = $this->get_settings();
+		$holidays = 'jp' === $settings['country'] ? Japan_Holidays::get_holidays( $year ) : array();
+
+		foreach ( $settings['days'] as $date => $day ) {
+			if ( self::TYPE_HOLIDAY === $day['type'] && 0 === strpos( $date, sprintf( '%04d-', $year ) ) ) {
+				$holidays[ $date ] = '' !== $day['name'] ? $day['name'] : __( 'Holiday', 'vk-booking-manager' );
+			}
+		}
+		ksort( $holidays );
+
+		$this->year_cache[ $year ] = $holidays;
+
+		return $holidays;
+	}
+
+	/**
+	 * Holiday name of a date, or '' when it is not a holiday.
+	 *
+	 * @param string $date Date (Y-m-d).
+	 * @return string
+	 */
+	public function get_holiday_name( string $date ): string {
+		if ( ! $this->is_valid_date( $date ) ) {
+			return '';
+		}
+
+		return $this->get_holidays( (int) substr( $date, 0, 4 ) )[ $date ] ?? '';
+	}
+
+	/**
+	 * Whether the date is a public or custom holiday.
+	 *
+	 * @param string $date Date (Y-m-d).
+	 * @return bool
+	 */
+	public function is_holiday( string $date ): bool {
+		return '' !== $this->get_holiday_name( $date );
+	}
+
+	/**
+	 * Whether the business is closed on the date.
+	 *
+	 * @param string $date Date (Y-m-d).
+	 * @return bool
+	 */
+	public function is_closed( string $date ): bool {
+		$settings = $this->get_settings();
+		if ( self::TYPE_CLOSED === ( $settings['days'][ $date ]['type'] ?? '' ) ) {
+			return true;
+		}
+
+		return $settings['close_on_holidays'] && $this->is_holiday( $date );
+	}
+
+	/**
+	 * Business hours keys that apply to the date, most specific first.
+	 *
+	 * Returns "holiday" on holidays and "holiday_eve" on the day before one; the caller
+	 * falls back to the weekday hours when none of them is configured.
+	 * 祝日は "holiday"、祝前日は "holiday_eve" を返します（該当しない日は空配列）。
+	 *
+	 * @param string $date Date (Y-m-d).
+	 * @return array<int, string>
+	 */
+	public function get_day_keys( string $date ): array {
+		if ( ! $this->is_valid_date( $date ) ) {
+			return array();
+		}
+
+		$keys = array();
+		if ( $this->is_holiday( $date ) ) {
+			$keys[] = self::DAY_KEY_HOLIDAY;
+		}
+
+		$next = ( new DateTimeImmutable( $date ) )->modify( '+1 day' )->format( 'Y-m-d' );
+		if ( $this->is_holiday( $next ) ) {
+			$keys[] = self::DAY_KEY_HOLIDAY_EVE;
+		}
+
+		return $keys;
+	}
+
+	/**
+	 * Persist settings and reset the cache.
+	 *
+	 * @param array<string, mixed> $settings Settings.
+	 */
+	private function save( array $settings ): void {
+		$settings['days'] = array_values( $settings['days'] );
+		update_option( self::OPTION_KEY, $settings, false );
+		$this->year_cache = array();
+	}
+
+	/**
+	 * Whether the value is a real Y-m-d date.
+	 *
+	 * @param string $date Value.
+	 * @return bool
+	 */
+	private function is_valid_date( string $date ): bool {
+		$parsed = DateTimeImmutable::createFromFormat( '!Y-m-d', $date );
+
+		return $parsed instanceof DateTimeImmutable && $parsed->format( 'Y-m-d' ) === $date;
+	}
+}
@@ -0,0 +1,177 @@
+<?php
+
+/**
+ * Japanese public holidays.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Holidays;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use DateTimeZone;
+use function __;
+
+/**
+ * Calculates Japanese national holidays, including substitute holidays and citizens' holidays.
+ *
+ * Rules follow the Act on National Holidays as amended up to 2018 (with the 2019-2021
+ * special dates), so years from 2007 onward are supported.
+ * 祝日法（2007年以降の規定）に基づき、振替休日と国民の休日を含めて算出します。
+ */
+class Japan_Holidays {
+	public const MIN_YEAR = 2007;
+	public const MAX_YEAR = 2099;
+
+	/**
+	 * Holidays of a year.
+	 *
+	 * @param int $year Year.
+	 * @return array<string, string> Holiday name keyed by date (Y-m-d), sorted by date.
+	 */
+	public static function get_holidays( int $year ): array {
+		if ( $year < self::MIN_YEAR || $year > self::MAX_YEAR ) {
+			return array();
+		}
+
+		$holidays = self::get_base_holidays( $year );
+		ksort( $holidays );
+
+		// A weekday between two holidays is a citizens' holiday. / 祝日に挟まれた平日は国民の休日.
+		foreach ( array_keys( $holidays ) as $date ) {
+			$next      = self::shift_date( $date, 1 );
+			$after     = self::shift_date( $date, 2 );
+			$is_sunday = '0' === self::create_date( $next )->format( 'w' );
+			if ( ! isset( $holidays[ $next ] ) && isset( $holidays[ $after ] ) && ! $is_sunday ) {
+				$holidays[ $next ] = __( "Citizens' Holiday", 'vk-booking-manager' );
+			}
+		}
+
+		// A holiday on Sunday moves to the next non-holiday. / 日曜日の祝日は次の平日に振り替える.
+		foreach ( array_keys( $holidays ) as $date ) {
+			if ( '0' !== self::create_date( $date )->format( 'w' ) ) {
+				continue;
+			}
+
+			$substitute = self::shift_date( $date, 1 );
+			while ( isset( $holidays[ $substitute ] ) ) {
+				$substitute = self::shift_date( $substitute, 1 );
+			}
+			$holidays[ $substitute ] = __( 'Substitute Holiday', 'vk-booking-manager' );
+		}
+
+		ksort( $holidays );
+
+		return $holidays;
+	}
+
+	/**
+	 * Holidays fixed by law, before substitute and citizens' holidays.
+	 *
+	 * @param int $year Year.
+	 * @return array<string, string>
+	 */
+	private static function get_base_holidays( int $year ): array {
+		$vernal_equinox   = sprintf( '%04d-03-%02d', $year, self::get_equinox_day( $year, 20.8431 ) );
+		$autumnal_equinox = sprintf( '%04d-09-%02d', $year, self::get_equinox_day( $year, 23.2488 ) );
+
+		$holidays = array(
+			sprintf( '%04d-01-01', $year )      => __( "New Year's Day", 'vk-booking-manager' ),
+			self::get_nth_monday( $year, 1, 2 ) => __( 'Coming of Age Day', 'vk-booking-manager' ),
+			sprintf( '%04d-02-11', $year )      => __( 'National Foundation Day', 'vk-booking-manager' ),
+			$vernal_equinox                     => __( 'Vernal Equinox Day', 'vk-booking-manager' ),
+			sprintf( '%04d-04-29', $year )      => __( 'Showa Day', 'vk-booking-manager' ),
+			sprintf( '%04d-05-03', $year )      => __( 'Constitution Memorial Day', 'vk-booking-manager' ),
+			sprintf( '%04d-05-04', $year )      => __( 'Greenery Day', 'vk-booking-manager' ),
+			sprintf( '%04d-05-05', $year )      => __( "Children's Day", 'vk-booking-manager' ),
+			self::get_nth_monday( $year, 9, 3 ) => __( 'Respect for the Aged Day', 'vk-booking-manager' ),
+			$autumnal_equinox                   => __( 'Autumnal Equinox Day', 'vk-booking-manager' ),
+			sprintf( '%04d-11-03', $year )      => __( 'Culture Day', 'vk-booking-manager' ),
+			sprintf( '%04d-11-23', $year )      => __( 'Labor Thanksgiving Day', 'vk-booking-manager' ),
+		);
+
+		// Dates moved for the Tokyo Olympics. / 東京五輪に伴う移動.
+		$special_dates = array(
+			2020 => array( '2020-07-23', '2020-07-24', '2020-08-10' ),
+			2021 => array( '2021-07-22', '2021-07-23', '2021-08-08' ),
+		);
+		if ( isset( $special_dates[ $year ] ) ) {
+			list( $marine_day, $sports_day, $mountain_day ) = $special_dates[ $year ];
+		} else {
+			$marine_day   = self::get_nth_monday( $year, 7, 3 );
+			$sports_day   = self::get_nth_monday( $year, 10, 2 );
+			$mountain_day = sprintf( '%04d-08-11', $year );
+		}
+
+		$holidays[ $marine_day ] = __( 'Marine Day', 'vk-booking-manager' );
+		$holidays[ $sports_day ] = $year >= 2020 ? __( 'Sports Day', 'vk-booking-manager' ) : __( 'Health and Sports Day', 'vk-booking-manager' );
+		if ( $year >= 2016 ) {
+			$holidays[ $mountain_day ] = __( 'Mountain Day', 'vk-booking-manager' );
+		}
+
+		if ( $year >= 2020 ) {
+			$holidays[ sprintf( '%04d-02-23', $year ) ] = __( "Emperor's Birthday", 'vk-booking-manager' );
+		} elseif ( $year <= 2018 ) {
+			$holidays[ sprintf( '%04d-12-23', $year ) ] = __( "Emperor's Birthday", 'vk-booking-manager' );
+		} else {
+			// The 2019 enthronement. / 2019年の即位関連の祝日.
+			$holidays['2019-05-01'] = __( 'Enthronement Day', 'vk-booking-manager' );
+			$holidays['2019-10-22'] = __( 'Enthronement Ceremony Day', 'vk-booking-manager' );
+		}
+
+		return $holidays;
+	}
+
+	/**
+	 * Day of March (vernal) or September (autumnal) of the equinox, valid for 1980-2099.
+	 *
+	 * @param int   $year Year.
+	 * @param float $base 20.8431 for March, 23.2488 for September.
+	 * @return int
+	 */
+	private static function get_equinox_day( int $year, float $base ): int {
+		return (int) floor( $base + 0.242194 * ( $year - 1980 ) - floor( ( $year - 1980 ) / 4 ) );
+	}
+
+	/**
+	 * Date of the nth Monday of a month.
+	 *
+	 * @param int $year  Year.
+	 * @param int $month Month.
+	 * @param int $nth   Occurrence (1-5).
+	 * @return string Y-m-d.
+	 */
+	private static function get_nth_monday( int $year, int $month, int $nth ): string {
+		$first  = self::create_date( sprintf( '%04d-%02d-01', $year, $month ) );
+		$offset = ( 8 - (int) $first->format( 'N' ) ) % 7;
+
+		return $first->modify( sprintf( '+%d days', $offset + ( $nth - 1 ) * 7 ) )->format( 'Y-m-d' );
+	}
+
+	/**
+	 * Add days to a Y-m-d date.
+	 *
+	 * @param string $date Y-m-d.
+	 * @param int    $days Days to add.
+	 * @return string
+	 */
+	private static function shift_date( string $date, int $days ): string {
+		return self::create_date( $date )->modify( sprintf( '+%d days', $days ) )->format( 'Y-m-d' );
+	}
+
+	/**
+	 * Parse a Y-m-d date at midnight UTC (only the calendar date matters).
+	 *
+	 * @param string $date Y-m-d.
+	 * @return DateTimeImmutable
+	 */
+	private static function create_date( string $date ): DateTimeImmutable {
+		return new DateTimeImmutable( $date, new DateTimeZone( 'UTC' ) );
+	}
+}
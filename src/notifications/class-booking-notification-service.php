@@ -15,46 +15,65 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use DateTimeImmutable;
+use VKBookingManager\Admin\Email_Log_Repository;
+use VKBookingManager\Bookings\Booking_Line_Items;
+use VKBookingManager\Bookings\Guest_Booking_Link;
+use VKBookingManager\Calendar\Ical_Builder;
 use VKBookingManager\Common\VKBM_Helper;
 use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use VKBookingManager\Staff\Staff_Editor;
+use WP_Error;
 use WP_Post;
 use WP_User;
 use function absint;
 use function add_action;
 use function add_filter;
+use function apply_filters;
 use function __;
 use function current_time;
+use function do_action;
 use function get_user_by;
+use function get_user_meta;
 use function get_option;
 use function get_post;
 use function get_post_meta;
 use function get_the_title;
+use function has_action;
 use function get_bloginfo;
 use function home_url;
 use function is_email;
 use function number_format_i18n;
 use function sanitize_email;
-use function sanitize_text_field;
 use function sprintf;
 use function strtotime;
-use function remove_filter;
 use function wp_date;
 use function wp_next_scheduled;
 use function wp_schedule_event;
 use function wp_schedule_single_event;
 use function wp_timezone;
 use function wp_clear_scheduled_hook;
+use function wp_get_attachment_image_url;
 use function wp_specialchars_decode;
 use function wp_strip_all_tags;
-use function wp_mail;
 use function update_post_meta;
 
 /**
- * Handles booking-related email notifications.
+ * Builds booking notifications and delivers them on each notification channel.
  */
 class Booking_Notification_Service {
+	/**
+	 * Action fired for booking lifecycle events: ( string $event, int $booking_id, array $payload ).
+	 */
+	public const EVENT_ACTION = 'vkbm_booking_event';
+
+	public const EVENT_CREATED_PENDING   = 'booking.pending';
+	public const EVENT_CREATED_CONFIRMED = 'booking.confirmed';
+	public const EVENT_STATUS_CHANGED    = 'booking.status_changed';
+	public const EVENT_CANCELLED         = 'booking.cancelled';
+	public const EVENT_RESCHEDULED       = 'booking.rescheduled';
+	public const EVENT_REMINDER_SENT     = 'booking.reminder_sent';
+
 	private const RETRY_ACTION            = 'vkbm_retry_booking_email';
 	private const RETRY_DELAY             = 300;
 	private const MAX_ATTEMPTS            = 3;
@@ -71,6 +90,9 @@ class Booking_Notification_Service {
 	private const TYPE_CANCELLED_CUSTOMER = 'cancelled_customer';
 	private const TYPE_CANCELLED_PROVIDER = 'cancelled_provider';
 	private const TYPE_REMINDER_CUSTOMER  = 'reminder_customer';
+	private const TYPE_WAITLIST_CUSTOMER  = 'waitlist_customer';
+	private const TYPE_CHANGED_CUSTOMER   = 'changed_customer';
+	private const TYPE_CHANGED_PROVIDER   = 'changed_provider';
 
 	/**
 	 * Settings store.
@@ -79,20 +101,38 @@ class Booking_Notification_Service {
 	 */
 	private $settings_repository;
 
+	/**
+	 * Email log store.
+	 *
+	 * @var Email_Log_Repository
+	 */
+	private $log_repository;
+
+	/**
+	 * Delivery channels keyed by ID (resolved lazily).
+	 *
+	 * @var array<string, Notification_Channel>|null
+	 */
+	private $channels;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param Settings_Repository $settings_repository Settings store.
+	 * @param Settings_Repository                      $settings_repository Settings store.
+	 * @param array<string, Notification_Channel>|null $channels            Channels to use instead of the filtered defaults.
+	 * @param Email_Log_Repository|null                $log_repository      Email log store.
 	 */
-	public function __construct( Settings_Repository $settings_repository ) {
+	public function __construct( Settings_Repository $settings_repository, ?array $channels = null, ?Email_Log_Repository $log_repository = null ) {
 		$this->settings_repository = $settings_repository;
+		$this->channels            = $channels;
+		$this->log_repository      = $log_repository ?? new Email_Log_Repository();
 	}
 
 	/**
 	 * Register cron hook listeners.
 	 */
 	public function register(): void {
-		add_action( self::RETRY_ACTION, array( $this, 'handle_retry' ), 10, 3 );
+		add_action( self::RETRY_ACTION, array( $this, 'handle_retry' ), 10, 4 );
 		add_action( self::REMINDER_ACTION, array( $this, 'handle_reminders' ) );
 		add_action( 'init', array( $this, 'ensure_reminder_schedule' ) );
 		add_filter( 'cron_schedules', array( $this, 'register_cron_schedules' ) );
@@ -106,6 +146,7 @@ class Booking_Notification_Service {
 	public function handle_pending_creation( int $booking_id ): void {
 		$this->dispatch_notification( self::TYPE_PENDING_CUSTOMER, $booking_id, 1 );
 		$this->dispatch_notification( self::TYPE_PENDING_PROVIDER, $booking_id, 1 );
+		$this->fire_event( self::EVENT_CREATED_PENDING, $booking_id );
 	}
 
 	/**
@@ -116,6 +157,7 @@ class Booking_Notification_Service {
 	public function handle_confirmed_creation( int $booking_id ): void {
 		$this->dispatch_notification( self::TYPE_CONFIRMED_CUSTOMER, $booking_id, 1 );
 		$this->dispatch_notification( self::TYPE_CONFIRMED_PROVIDER, $booking_id, 1 );
+		$this->fire_event( self::EVENT_CREATED_CONFIRMED, $booking_id );
 	}
 
 	/**
@@ -125,8 +167,47 @@ class Booking_Notification_Service {
 	 * @param int $booking_id Booking post ID.
 	 */
 	public function handle_customer_cancellation( int $booking_id ): void {
+		Ical_Builder::bump_sequence( $booking_id );
 		$this->dispatch_notification( self::TYPE_CANCELLED_CUSTOMER, $booking_id, 1 );
 		$this->dispatch_notification( self::TYPE_CANCELLED_PROVIDER, $booking_id, 1 );
+		$this->fire_event( self::EVENT_CANCELLED, $booking_id );
+	}
+
+	/**
+	 * Triggered before staff trash or delete an active booking.
+	 *
+	 * Listeners such as webhooks receive it as a cancellation; no email is sent.
+	 * 管理者による予約の削除をキャンセルとして通知します（メールは送信しません）。
+	 *
+	 * @param int  $booking_id Booking post ID.
+	 * @param bool $force      Whether the booking is deleted permanently instead of trashed.
+	 */
+	public function handle_deletion( int $booking_id, bool $force ): void {
+		Ical_Builder::bump_sequence( $booking_id );
+		$this->fire_event(
+			self::EVENT_CANCELLED,
+			$booking_id,
+			array(
+				'deleted' => true,
+				'trashed' => ! $force,
+			)
+		);
+	}
+
+	/**
+	 * Triggered when a booking is moved to another date or time.
+	 * 予約日時が変更された際に通知を送信します。
+	 *
+	 * @param int  $booking_id      Booking post ID.
+	 * @param bool $notify_customer Whether to email the customer (staff may move a booking silently).
+	 */
+	public function handle_reschedule( int $booking_id, bool $notify_customer = true ): void {
+		Ical_Builder::bump_sequence( $booking_id );
+		if ( $notify_customer ) {
+			$this->dispatch_notification( self::TYPE_CHANGED_CUSTOMER, $booking_id, 1 );
+		}
+		$this->dispatch_notification( self::TYPE_CHANGED_PROVIDER, $booking_id, 1 );
+		$this->fire_event( self::EVENT_RESCHEDULED, $booking_id );
 	}
 
 	/**
@@ -137,9 +218,94 @@ class Booking_Notification_Service {
 	 * @param string $new_status   Updated status.
 	 */
 	public function handle_status_transition( int $booking_id, string $old_status, string $new_status ): void {
+		if ( $old_status !== $new_status ) {
+			Ical_Builder::bump_sequence( $booking_id );
+		}
+
 		if ( 'confirmed' === $new_status && 'confirmed' !== $old_status ) {
 			$this->dispatch_notification( self::TYPE_CONFIRMED_CUSTOMER, $booking_id, 1 );
 		}
+
+		if ( $old_status !== $new_status ) {
+			$this->fire_event( self::EVENT_STATUS_CHANGED, $booking_id, array( 'previous_status' => $old_status ) );
+		}
+	}
+
+	/**
+	 * Announce a booking lifecycle event to listeners such as webhooks.
+	 *
+	 * The payload is only built when something listens to the action.
+	 * 購読者がいる場合のみ予約データを生成します。
+	 *
+	 * @param string               $event      Event name (EVENT_* constant).
+	 * @param int                  $booking_id Booking ID.
+	 * @param array<string, mixed> $extra      Event specific values merged into the payload.
+	 */
+	private function fire_event( string $event, int $booking_id, array $extra = array() ): void {
+		if ( ! has_action( self::EVENT_ACTION ) ) {
+			return;
+		}
+
+		$payload = $this->build_booking_payload( $booking_id );
+		if ( array() === $payload ) {
+			return;
+		}
+
+		do_action( self::EVENT_ACTION, $event, $booking_id, array_merge( $payload, $extra ) );
+	}
+
+	/**
+	 * Email a waitlisted customer that a slot has opened up.
+	 * 空き待ち登録者に空き枠の案内メールを送信します。
+	 *
+	 * @param int    $user_id     Customer user ID.
+	 * @param int    $menu_id     Menu ID.
+	 * @param int    $resource_id Staff ID (0 = no preference).
+	 * @param string $start_at    Slot start (ISO8601).
+	 * @param string $end_at      Slot end (ISO8601).
+	 * @param string $claim_url   Link that pre-fills the reservation.
+	 * @param int    $expires_at  Offer expiry (UTC epoch seconds).
+	 * @return bool
+	 */
+	public function send_waitlist_offer( int $user_id, int $menu_id, int $resource_id, string $start_at, string $end_at, string $claim_url, int $expires_at ): bool {
+		$user = get_user_by( 'id', $user_id );
+		if ( ! $user instanceof WP_User || ! is_email( $user->user_email ) ) {
+			return false;
+		}
+
+		$start_timestamp = strtotime( $start_at );
+		$end_timestamp   = strtotime( $end_at );
+		if ( false === $start_timestamp || false === $end_timestamp ) {
+			return false;
+		}
+
+		$settings       = $this->settings_repository->get_settings();
+		$staff_title    = $resource_id > 0 ? get_the_title( $resource_id ) : '';
+		$resource_label = isset( $settings['resource_label_singular'] ) ? trim( (string) $settings['resource_label_singular'] ) : '';
+		if ( '' === $resource_label ) {
+			$resource_label = __( 'Staff', 'vk-booking-manager' );
+		}
+
+		$payload = array_merge(
+			$this->build_provider_payload( $settings ),
+			array(
+				'customer_name'           => VKBM_Helper::get_user_display_name( $user ),
+				'customer_email'          => sanitize_email( $user->user_email ),
+				'customer_tel'            => (string) get_user_meta( $user_id, 'phone_number', true ),
+				'sms_opt_in'              => '1' === (string) get_user_meta( $user_id, Sms_Channel::USER_META_OPT_IN, true ),
+				'menu_title'              => $menu_id > 0 ? get_the_title( $menu_id ) : '',
+				'staff_title'             => '' !== $staff_title ? $staff_title : __( 'No preference', 'vk-booking-manager' ),
+				'resource_label_singular' => $resource_label,
+				'reservation_datetime'    => $this->format_reservation_datetime_range(
+					wp_date( 'Y-m-d H:i:s', $start_timestamp ),
+					wp_date( 'Y-m-d H:i:s', $end_timestamp )
+				),
+				'claim_url'               => $claim_url,
+				'expires_label'           => $this->format_datetime( wp_date( 'Y-m-d H:i:s', $expires_at ) ),
+			)
+		);
+
+		return $this->deliver_to_all_channels( self::TYPE_WAITLIST_CUSTOMER, $payload );
 	}
 
 	/**
@@ -148,9 +314,10 @@ class Booking_Notification_Service {
 	 * @param string $type        Notification type.
 	 * @param int    $booking_id  Booking ID.
 	 * @param int    $attempt     Attempt counter.
+	 * @param string $channel_id  Channel to retry. Events scheduled before channels existed are email retries.
 	 */
-	public function handle_retry( string $type, int $booking_id, int $attempt ): void {
-		$this->dispatch_notification( $type, $booking_id, $attempt );
+	public function handle_retry( string $type, int $booking_id, int $attempt, string $channel_id = Email_Channel::ID ): void {
+		$this->dispatch_notification( $type, $booking_id, $attempt, $channel_id );
 	}
 
 	/**
@@ -271,13 +438,17 @@ class Booking_Notification_Service {
 	}
 
 	/**
-	 * Dispatch a notification and schedule retries on failure.
+	 * Dispatch a notification on every channel and schedule retries on failure.
+	 *
+	 * Each channel retries on its own, so a failed SMS does not resend the email.
+	 * チャネルごとに再送するため、SMS の失敗でメールが二重送信されることはありません。
 	 *
 	 * @param string $type       Notification type.
 	 * @param int    $booking_id Booking ID.
 	 * @param int    $attempt    Current attempt count.
+	 * @param string $channel_id Only send on this channel (retries). Empty for all channels.
 	 */
-	private function dispatch_notification( string $type, int $booking_id, int $attempt ): void {
+	private function dispatch_notification( string $type, int $booking_id, int $attempt, string $channel_id = '' ): void {
 		if ( $attempt > self::MAX_ATTEMPTS ) {
 			// Notification abandoned after max attempts.
 			return;
@@ -289,38 +460,121 @@ class Booking_Notification_Service {
 			return;
 		}
 
-		$message = $this->build_message( $type, $payload );
+		foreach ( $this->get_channels() as $channel ) {
+			if ( '' !== $channel_id && $channel->get_id() !== $channel_id ) {
+				continue;
+			}
 
-		if ( empty( $message['to'] ) || '' === trim( $message['body'] ?? '' ) ) {
-			return;
+			$sent = $this->deliver( $channel, $type, $payload );
+
+			if ( false !== $sent ) {
+				continue;
+			}
+
+			if ( $attempt >= self::MAX_ATTEMPTS ) {
+				// Notification failed after max attempts.
+				continue;
+			}
+
+			wp_schedule_single_event(
+				time() + self::RETRY_DELAY,
+				self::RETRY_ACTION,
+				array(
+					$type,
+					$booking_id,
+					$attempt + 1,
+					$channel->get_id(),
+				)
+			);
 		}
+	}
 
-		$sent = $this->send_mail(
-			(string) $message['to'],
-			(string) $message['subject'],
-			(string) $message['body'],
-			$type,
-			$payload
-		);
+	/**
+	 * Send a notification on every channel without retries.
+	 *
+	 * @param string               $type    Notification type.
+	 * @param array<string, mixed> $payload Notification payload.
+	 * @return bool True when at least one channel delivered the message.
+	 */
+	private function deliver_to_all_channels( string $type, array $payload ): bool {
+		$delivered = false;
 
-		if ( $sent ) {
-			return;
+		foreach ( $this->get_channels() as $channel ) {
+			if ( true === $this->deliver( $channel, $type, $payload ) ) {
+				$delivered = true;
+			}
 		}
 
-		if ( $attempt >= self::MAX_ATTEMPTS ) {
-			// Notification failed after max attempts.
-			return;
+		return $delivered;
+	}
+
+	/**
+	 * Build and send a notification on one channel, recording the attempt in the email log.
+	 *
+	 * @param Notification_Channel $channel Channel.
+	 * @param string               $type    Notification type.
+	 * @param array<string, mixed> $payload Notification payload.
+	 * @return bool|null Null when the channel has nothing to send (no recipient, opted out or switched off).
+	 */
+	private function deliver( Notification_Channel $channel, string $type, array $payload ): ?bool {
+		$recipient = $channel->get_recipient( $type, $payload );
+		if ( '' === $recipient ) {
+			return null;
 		}
 
-		wp_schedule_single_event(
-			time() + self::RETRY_DELAY,
-			self::RETRY_ACTION,
-			array(
-				$type,
-				$booking_id,
-				$attempt + 1,
-			)
-		);
+		$message = $channel->build_message( $type, $this->build_message( $type, $payload ), $this->build_template_tokens( $payload ) );
+
+		// Disabled in the channel's template settings. / チャネルのテンプレート設定で送信しない種別.
+		if ( null === $message || '' === trim( (string) ( $message['body'] ?? '' ) ) ) {
+			return null;
+		}
+
+		$result = $channel->send( $recipient, $message, $type, $payload );
+		$sent   = true === $result;
+
+		$settings = $this->settings_repository->get_settings();
+		if ( ! empty( $settings['email_log_enabled'] ) ) {
+			$this->log_repository->add_log(
+				$recipient,
+				(string) ( $message['subject'] ?? '' ),
+				$sent,
+				$result instanceof WP_Error ? $result->get_error_message() : '',
+				$channel->get_id()
+			);
+		}
+
+		return $sent;
+	}
+
+	/**
+	 * Channels notifications are delivered on.
+	 *
+	 * @return array<string, Notification_Channel>
+	 */
+	public function get_channels(): array {
+		if ( null === $this->channels ) {
+			/**
+			 * Filter the notification channels.
+			 *
+			 * @param array<string, Notification_Channel> $channels Channels keyed by ID.
+			 */
+			$this->channels = apply_filters(
+				'vkbm_notification_channels',
+				array(
+					Email_Channel::ID => new Email_Channel( $this->settings_repository ),
+					Sms_Channel::ID   => new Sms_Channel( $this->settings_repository ),
+				)
+			);
+		}
+
+		$channels = array();
+		foreach ( is_array( $this->channels ) ? $this->channels : array() as $channel ) {
+			if ( $channel instanceof Notification_Channel ) {
+				$channels[ $channel->get_id() ] = $channel;
+			}
+		}
+
+		return $channels;
 	}
 
 	/**
@@ -414,7 +668,7 @@ class Booking_Notification_Service {
 	}
 
 	/**
-	 * Send a reminder email to the booking customer.
+	 * Send a reminder to the booking customer on every channel.
 	 *
 	 * @param int $booking_id Booking ID.
 	 * @param int $hours_before Hours before reservation.
@@ -426,163 +680,17 @@ class Booking_Notification_Service {
 			return false;
 		}
 
-		$to = $payload['customer_email'];
-		if ( '' === trim( (string) $to ) || ! is_email( $to ) ) {
-			return false;
-		}
-
-		$subject = sprintf(
-			/* translators: %1$s: Provider name, %2$d: Hours before reservation. */
-			__( '[%1$s] Reservation reminder (%2$d hours before)', 'vk-booking-manager' ),
-			$payload['provider_name'],
-			$hours_before
-		);
-		$lead = sprintf(
-			/* translators: %d: Hours before reservation. */
-			__( 'This is a reminder for your reservation in %d hours.', 'vk-booking-manager' ),
-			$hours_before
-		);
-
-		$body = $this->render_customer_body( $payload, $lead );
-
-		return $this->send_mail(
-			(string) $to,
-			(string) $subject,
-			(string) $body,
-			self::TYPE_REMINDER_CUSTOMER,
-			$payload
-		);
-	}
-
-	/**
-	 * 通知タイプに応じた送信者情報を適用してメールを送信します。
-	 *
-	 * @param string               $to      送信先メールアドレス。
-	 * @param string               $subject 件名。
-	 * @param string               $body    本文。
-	 * @param string               $type    通知タイプ。
-	 * @param array<string, mixed> $payload 通知本文・送信先の生成に使う予約データ。
-	 * @return bool
-	 */
-	private function send_mail( string $to, string $subject, string $body, string $type, array $payload ): bool {
-		$mail_header = $this->get_mail_header( $type, $payload );
-		$from_name   = $this->sanitize_mail_header_name( (string) $mail_header['name'] );
-		$headers     = $this->build_headers( (string) $mail_header['reply_to'] );
-
-		// WordPress 標準の from / from_name フィルターで送信者情報を設定する。
-		$from_mail_filter = static function () use ( $mail_header ) {
-			return (string) $mail_header['mail'];
-		};
-		$from_name_filter = static function () use ( $from_name ) {
-			return $from_name;
-		};
-
-		add_filter( 'wp_mail_from', $from_mail_filter );
-		add_filter( 'wp_mail_from_name', $from_name_filter );
-
-		try {
-			return (bool) wp_mail( $to, $subject, $body, $headers );
-		} finally {
-			remove_filter( 'wp_mail_from', $from_mail_filter );
-			remove_filter( 'wp_mail_from_name', $from_name_filter );
-		}
-	}
-
-	/**
-	 * メールヘッダー用の表示名を安全な文字列に整形します。
-	 *
-	 * @param string $name 表示名。
-	 * @return string
-	 */
-	private function sanitize_mail_header_name( string $name ): string {
-		// 一般的なテキスト入力として正規化し、危険な文字列を除去する。
-		$sanitized_name = sanitize_text_field( $name );
-
-		// ヘッダーインジェクション対策として CR/LF を除去する。
-		$sanitized_name = str_replace( array( "\r", "\n" ), '', $sanitized_name );
-
-		return trim( $sanitized_name );
-	}
-
-	/**
-	 * 送信ヘッダー文字列を組み立てます。
-	 *
-	 * @param string $reply_to Reply-To に設定するメールアドレス。
-	 * @return array<int,string>
-	 */
-	private function build_headers( string $reply_to ): array {
-		$headers = array(
-			'Content-Type: text/plain; charset=UTF-8',
-		);
-
-		// 施設向け通知など Reply-To が必要なケースのみ付与する。
-		if ( '' !== $reply_to ) {
-			$headers[] = sprintf( 'Reply-To: %s', $reply_to );
-		}
-
-		return $headers;
-	}
-
-	/**
-	 * 通知タイプに応じた送信者情報を返します。
-	 *
-	 * @param string               $type    通知タイプ。
-	 * @param array<string, mixed> $payload 通知本文・送信先の生成に使う予約データ。
-	 * @return array{name:string,mail:string,reply_to:string}
-	 */
-	private function get_mail_header( string $type, array $payload ): array {
-		$from_mail = sanitize_email( (string) get_option( 'admin_email' ) );
-
-		$provider_name = trim( (string) ( $payload['provider_name'] ?? '' ) );
-		$site_name     = trim( (string) ( $payload['site_name'] ?? '' ) );
-		$default_name  = '' !== $provider_name ? $provider_name : $site_name;
-
-		$header = array(
-			'name'     => $default_name,
-			'mail'     => $from_mail,
-			'reply_to' => '',
-		);
+		$payload['hours_before'] = $hours_before;
 
-		if ( ! $this->is_provider_notification_type( $type ) ) {
-			// ユーザー向け通知は店舗メールアドレスを Reply-To に設定する。
-			$provider_mail = sanitize_email( (string) ( $payload['provider_email'] ?? '' ) );
-			if ( is_email( $provider_mail ) ) {
-				$header['reply_to'] = $provider_mail;
-			}
-			return $header;
-		}
-
-		// 施設向け通知は予約投稿者名を優先して From 名に利用する。
-		$author_name = trim( (string) ( $payload['booking_author_name'] ?? '' ) );
-		if ( '' !== $author_name ) {
-			$header['name'] = $author_name;
+		if ( ! $this->deliver_to_all_channels( self::TYPE_REMINDER_CUSTOMER, $payload ) ) {
+			return false;
 		}
 
-		// 施設側が返信しやすいように Reply-To に予約者メールを設定する。
-		$customer_mail = sanitize_email( (string) ( $payload['customer_email'] ?? '' ) );
-		if ( is_email( $customer_mail ) ) {
-			$header['reply_to'] = $customer_mail;
+		if ( has_action( self::EVENT_ACTION ) ) {
+			do_action( self::EVENT_ACTION, self::EVENT_REMINDER_SENT, $booking_id, $payload );
 		}
 
-		return $header;
-	}
-
-	/**
-	 * 通知タイプが施設向け通知かどうかを判定します。
-	 *
-	 * @param string $type 通知タイプ。
-	 * @return bool
-	 */
-	private function is_provider_notification_type( string $type ): bool {
-		return in_array(
-			$type,
-			array(
-				self::TYPE_PENDING_PROVIDER,
-				self::TYPE_CONFIRMED_PROVIDER,
-				self::TYPE_CANCELLED_PROVIDER,
-			),
-			true
-		);
+		return true;
 	}
 
 	/**
@@ -609,6 +717,8 @@ class Booking_Notification_Service {
 		$customer_tel       = (string) get_post_meta( $booking_id, '_vkbm_booking_customer_tel', true );
 		$memo               = wp_strip_all_tags( (string) get_post_meta( $booking_id, '_vkbm_booking_note', true ) );
 		$status             = (string) get_post_meta( $booking_id, '_vkbm_booking_status', true );
+		$previous_start     = (string) get_post_meta( $booking_id, '_vkbm_booking_previous_start', true );
+		$previous_end       = (string) get_post_meta( $booking_id, '_vkbm_booking_previous_end', true );
 		$nomination_fee     = (int) get_post_meta( $booking_id, '_vkbm_booking_nomination_fee', true );
 		if ( ! Staff_Editor::is_enabled() ) {
 			$nomination_fee = 0;
@@ -629,6 +739,13 @@ class Booking_Notification_Service {
 		}
 		$duration    = $this->get_menu_duration( $menu_id );
 		$price_label = $this->get_menu_price_label( $base_price, $nomination_fee, $settings );
+		$line_items  = Booking_Line_Items::get_for_booking( $booking_id );
+		if ( ! empty( $line_items ) ) {
+			$menu_title     = Booking_Line_Items::join_names( $line_items );
+			$total_duration = (int) array_sum( array_column( $line_items, 'duration_minutes' ) );
+			/* translators: %d: duration in minutes */
+			$duration = $total_duration > 0 ? sprintf( __( '%d minutes', 'vk-booking-manager' ), $total_duration ) : '';
+		}
 		$resource_label_singular = isset( $settings['resource_label_singular'] ) ? trim( (string) $settings['resource_label_singular'] ) : '';
 		if ( '' === $resource_label_singular ) {
 			$resource_label_singular = __( 'Staff', 'vk-booking-manager' );
@@ -645,28 +762,65 @@ class Booking_Notification_Service {
 			$edit_url = admin_url( sprintf( 'post.php?post=%d&action=edit', $booking_id ) );
 		}
 
+		return array_merge(
+			$this->build_provider_payload( $settings ),
+			array(
+				'booking_id'                   => $booking_id,
+				'menu_title'                   => '' !== $menu_title ? $menu_title : __( 'Not set', 'vk-booking-manager' ),
+				'line_items'                   => $line_items,
+				'staff_title'                  => '' !== $staff_title ? $staff_title : __( 'TBD', 'vk-booking-manager' ),
+				'start_datetime'               => $this->format_datetime_with_weekday( $start ),
+				'reservation_datetime'         => $this->format_reservation_datetime_range( $start, $end ),
+				'previous_datetime'            => '' !== $previous_start ? $this->format_reservation_datetime_range( $previous_start, $previous_end ) : '',
+				'duration_label'               => $duration,
+				'price_label'                  => $price_label,
+				'customer_name'                => '' !== $customer_name ? $customer_name : __( 'Customer', 'vk-booking-manager' ),
+				'booking_author_name'          => $booking_author_name,
+				'customer_email'               => $customer_email,
+				'customer_tel'                 => $customer_tel,
+				'sms_opt_in'                   => '1' === (string) get_post_meta( $booking_id, Sms_Channel::META_OPT_IN, true ),
+				'memo'                         => '' !== $memo ? $memo : __( '(none)', 'vk-booking-manager' ),
+				'status'                       => $status,
+				'resource_label_singular'      => $resource_label_singular,
+				'edit_url'                     => $edit_url,
+				'manage_url'                   => Guest_Booking_Link::get_manage_url( $booking_id, $this->get_reservation_page_url( $settings ) ),
+			)
+		);
+	}
+
+	/**
+	 * Reservation page URL from the settings ('' when not configured).
+	 *
+	 * @param array<string,mixed> $settings Provider settings.
+	 * @return string
+	 */
+	private function get_reservation_page_url( array $settings ): string {
+		if ( ! function_exists( 'vkbm_normalize_reservation_page_url' ) ) {
+			return '';
+		}
+
+		return vkbm_normalize_reservation_page_url( (string) ( $settings['reservation_page_url'] ?? '' ) );
+	}
+
+	/**
+	 * Build provider and site fields shared by every notification.
+	 *
+	 * @param array<string,mixed> $settings Provider settings.
+	 * @return array<string,mixed>
+	 */
+	private function build_provider_payload( array $settings ): array {
+		$logo_id  = (int) ( $settings['provider_logo_id'] ?? 0 );
+		$logo_url = $logo_id > 0 ? wp_get_attachment_image_url( $logo_id, 'medium' ) : '';
+
 		return array(
-			'booking_id'                   => $booking_id,
-			'menu_title'                   => '' !== $menu_title ? $menu_title : __( 'Not set', 'vk-booking-manager' ),
-			'staff_title'                  => '' !== $staff_title ? $staff_title : __( 'TBD', 'vk-booking-manager' ),
-			'reservation_datetime'         => $this->format_reservation_datetime_range( $start, $end ),
-			'duration_label'               => $duration,
-			'price_label'                  => $price_label,
-			'customer_name'                => '' !== $customer_name ? $customer_name : __( 'Customer', 'vk-booking-manager' ),
-			'booking_author_name'          => $booking_author_name,
-			'customer_email'               => $customer_email,
-			'customer_tel'                 => $customer_tel,
-			'memo'                         => '' !== $memo ? $memo : __( '(none)', 'vk-booking-manager' ),
-			'status'                       => $status,
 			'provider_email'               => sanitize_email( (string) ( $settings['provider_email'] ?? '' ) ),
 			'provider_name'                => isset( $settings['provider_name'] ) && '' !== $settings['provider_name'] ? $settings['provider_name'] : wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
 			'provider_phone'               => $settings['provider_phone'] ?? '',
 			'provider_address'             => $settings['provider_address'] ?? '',
 			'provider_site'                => isset( $settings['provider_website_url'] ) && '' !== $settings['provider_website_url'] ? $settings['provider_website_url'] : home_url(),
 			'provider_cancellation_policy' => isset( $settings['provider_cancellation_policy'] ) ? (string) $settings['provider_cancellation_policy'] : '',
-			'resource_label_singular'      => $resource_label_singular,
+			'provider_logo_url'            => is_string( $logo_url ) ? $logo_url : '',
 			'site_name'                    => wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
-			'edit_url'                     => $edit_url,
 		);
 	}
 
@@ -695,7 +849,7 @@ class Booking_Notification_Service {
 	 *
 	 * @param string               $type    Notification type.
 	 * @param array<string, mixed> $payload Booking payload.
-	 * @return array{to:string,subject:string,body:string}
+	 * @return array{to:string,subject:string,body:string,ics?:string}
 	 */
 	private function build_message( string $type, array $payload ): array {
 		switch ( $type ) {
@@ -721,6 +875,7 @@ class Booking_Notification_Service {
 					/* translators: %s: Provider name. */
 					'subject' => sprintf( __( '[ %s ] Your reservation has been confirmed', 'vk-booking-manager' ), $payload['provider_name'] ),
 					'body'    => $this->render_customer_body( $payload, __( 'Your reservation has been confirmed.', 'vk-booking-manager' ) ),
+					'ics'     => $this->build_calendar_attachment( $payload ),
 				);
 
 			case self::TYPE_CANCELLED_CUSTOMER:
@@ -729,6 +884,7 @@ class Booking_Notification_Service {
 					/* translators: %s: Provider name. */
 					'subject' => sprintf( __( '[ %s ] Your reservation has been canceled', 'vk-booking-manager' ), $payload['provider_name'] ),
 					'body'    => $this->render_customer_body( $payload, __( 'Your reservation has been cancelled.', 'vk-booking-manager' ) ),
+					'ics'     => $this->build_calendar_attachment( $payload ),
 				);
 
 			case self::TYPE_CANCELLED_PROVIDER:
@@ -739,6 +895,53 @@ class Booking_Notification_Service {
 					'body'    => $this->render_provider_body( $payload, __( 'Cancelled', 'vk-booking-manager' ) ),
 				);
 
+			case self::TYPE_CHANGED_CUSTOMER:
+				return array(
+					'to'      => $payload['customer_email'],
+					/* translators: %s: Provider name. */
+					'subject' => sprintf( __( '[ %s ] Your reservation has been changed', 'vk-booking-manager' ), $payload['provider_name'] ),
+					'body'    => $this->render_customer_body(
+						$payload,
+						/* translators: %s: Previous reservation datetime range. */
+						sprintf( __( 'Your reservation has been changed. (Previous date and time: %s)', 'vk-booking-manager' ), $payload['previous_datetime'] )
+					),
+					'ics'     => $this->build_calendar_attachment( $payload ),
+				);
+
+			case self::TYPE_CHANGED_PROVIDER:
+				return array(
+					'to'      => $payload['provider_email'],
+					/* translators: %s: Provider name. */
+					'subject' => sprintf( __( '[ %s ] Reservation changed', 'vk-booking-manager' ), $payload['provider_name'] ),
+					'body'    => $this->render_provider_body( $payload, __( 'Changed', 'vk-booking-manager' ) ),
+				);
+
+			case self::TYPE_REMINDER_CUSTOMER:
+				$hours_before = (int) ( $payload['hours_before'] ?? 0 );
+				return array(
+					'to'      => $payload['customer_email'],
+					'subject' => sprintf(
+						/* translators: %1$s: Provider name, %2$d: Hours before reservation. */
+						__( '[%1$s] Reservation reminder (%2$d hours before)', 'vk-booking-manager' ),
+						$payload['provider_name'],
+						$hours_before
+					),
+					'body'    => $this->render_customer_body(
+						$payload,
+						/* translators: %d: Hours before reservation. */
+						sprintf( __( 'This is a reminder for your reservation in %d hours.', 'vk-booking-manager' ), $hours_before )
+					),
+					'ics'     => $this->build_calendar_attachment( $payload ),
+				);
+
+			case self::TYPE_WAITLIST_CUSTOMER:
+				return array(
+					'to'      => $payload['customer_email'],
+					/* translators: %s: Provider name. */
+					'subject' => sprintf( __( '[ %s ] A slot you were waiting for is now available', 'vk-booking-manager' ), $payload['provider_name'] ),
+					'body'    => $this->render_waitlist_offer_body( $payload ),
+				);
+
 			case self::TYPE_PENDING_CUSTOMER:
 			default:
 				return array(
@@ -750,6 +953,124 @@ class Booking_Notification_Service {
 		}
 	}
 
+	/**
+	 * Values for the template placeholders.
+	 *
+	 * @param array<string, mixed> $payload Booking or waitlist payload.
+	 * @return array<string, string>
+	 */
+	private function build_template_tokens( array $payload ): array {
+		$has_booking = ! empty( $payload['booking_id'] );
+
+		return array(
+			'customer_name'        => (string) ( $payload['customer_name'] ?? '' ),
+			'customer_email'       => (string) ( $payload['customer_email'] ?? '' ),
+			'customer_tel'         => (string) ( $payload['customer_tel'] ?? '' ),
+			'booking_id'           => $has_booking ? (string) $payload['booking_id'] : '',
+			'menu_title'           => (string) ( $payload['menu_title'] ?? '' ),
+			'staff_title'          => (string) ( $payload['staff_title'] ?? '' ),
+			'start_datetime'       => (string) ( $payload['start_datetime'] ?? '' ),
+			'reservation_datetime' => (string) ( $payload['reservation_datetime'] ?? '' ),
+			'previous_datetime'    => (string) ( $payload['previous_datetime'] ?? '' ),
+			'duration'             => (string) ( $payload['duration_label'] ?? '' ),
+			'price'                => (string) ( $payload['price_label'] ?? '' ),
+			'memo'                 => (string) ( $payload['memo'] ?? '' ),
+			'reservation_details'  => $has_booking ? implode( "\n", $this->get_reservation_information_lines( $payload ) ) : '',
+			'manage_url'           => (string) ( $payload['manage_url'] ?? '' ),
+			'edit_url'             => (string) ( $payload['edit_url'] ?? '' ),
+			'hours_before'         => isset( $payload['hours_before'] ) ? (string) $payload['hours_before'] : '',
+			'claim_url'            => (string) ( $payload['claim_url'] ?? '' ),
+			'expires_at'           => (string) ( $payload['expires_label'] ?? '' ),
+			'provider_name'        => (string) ( $payload['provider_name'] ?? '' ),
+			'provider_email'       => (string) ( $payload['provider_email'] ?? '' ),
+			'provider_phone'       => (string) ( $payload['provider_phone'] ?? '' ),
+			'provider_address'     => (string) ( $payload['provider_address'] ?? '' ),
+			'provider_site'        => (string) ( $payload['provider_site'] ?? '' ),
+			'cancellation_policy'  => (string) ( $payload['provider_cancellation_policy'] ?? '' ),
+			'site_name'            => (string) ( $payload['site_name'] ?? '' ),
+		);
+	}
+
+	/**
+	 * Render a notification for the template editor without sending it.
+	 *
+	 * Unsaved subject and body from the form are used as-is; empty values fall back
+	 * to the built-in text just like real emails.
+	 * フォームの未保存の件名・本文でメールを生成します。空欄の場合は実際の送信と同じく標準文面になります。
+	 *
+	 * @param string $type       Notification type.
+	 * @param int    $booking_id Booking used to fill in the placeholders.
+	 * @param string $subject    Subject template.
+	 * @param string $body       Body template.
+	 * @param bool   $html       Whether to render the HTML layout.
+	 * @return array{subject:string,body:string,html:bool}|null Null when the booking does not exist.
+	 */
+	public function preview_message( string $type, int $booking_id, string $subject, string $body, bool $html ): ?array {
+		$payload = $this->build_booking_payload( $booking_id );
+		if ( array() === $payload ) {
+			return null;
+		}
+
+		if ( self::TYPE_REMINDER_CUSTOMER === $type ) {
+			$hours                   = $this->get_reminder_hours();
+			$payload['hours_before'] = array() !== $hours ? (int) $hours[0] : 24;
+		} elseif ( self::TYPE_WAITLIST_CUSTOMER === $type ) {
+			$claim_url                = $this->get_reservation_page_url( $this->settings_repository->get_settings() );
+			$payload['claim_url']     = '' !== $claim_url ? $claim_url : home_url( '/' );
+			$payload['expires_label'] = $this->format_datetime( wp_date( 'Y-m-d H:i:s', time() + HOUR_IN_SECONDS ) );
+		}
+
+		$message = Email_Channel::apply_template(
+			array(
+				'enabled' => true,
+				'subject' => $subject,
+				'body'    => $body,
+			),
+			$this->build_message( $type, $payload ),
+			$this->build_template_tokens( $payload )
+		);
+
+		return array(
+			'subject' => (string) $message['subject'],
+			'body'    => $html ? Email_Channel::render_html_layout( (string) $message['subject'], (string) $message['body'], $payload ) : (string) $message['body'],
+			'html'    => $html,
+		);
+	}
+
+	/**
+	 * Build the .ics attachment for a customer email.
+	 *
+	 * The UID is fixed per booking, so a later change or cancellation email
+	 * updates the entry the customer already added to their calendar.
+	 * 予約ごとに UID を固定し、変更・キャンセル時は既存の予定が更新されるようにします。
+	 *
+	 * @param array<string, mixed> $payload Booking payload.
+	 * @return string Empty when the booking has no valid time.
+	 */
+	private function build_calendar_attachment( array $payload ): string {
+		$event = Ical_Builder::build_booking_event(
+			(int) ( $payload['booking_id'] ?? 0 ),
+			'',
+			(string) ( $payload['provider_address'] ?? '' )
+		);
+		if ( null === $event ) {
+			return '';
+		}
+
+		$event['summary']     = sprintf( '%s - %s', (string) $payload['provider_name'], (string) $event['summary'] );
+		$event['description'] = implode(
+			"\n",
+			array_filter(
+				array(
+					(string) ( $payload['provider_phone'] ?? '' ),
+					(string) ( $payload['provider_site'] ?? '' ),
+				)
+			)
+		);
+
+		return Ical_Builder::render( array( $event ), (string) $payload['provider_name'] );
+	}
+
 	/**
 	 * Build shared reservation information lines.
 	 *
@@ -766,8 +1087,22 @@ class Booking_Notification_Service {
 			/* translators: %s: Booking status label. */
 			$lines[] = sprintf( __( 'Status: %s', 'vk-booking-manager' ), $status_label );
 		}
-		/* translators: %s: Menu title. */
-		$lines[] = sprintf( __( 'Menu: %s', 'vk-booking-manager' ), $payload['menu_title'] );
+		if ( ! empty( $payload['line_items'] ) ) {
+			// List each menu of a bundle on its own line. / セット予約はメニューごとに1行ずつ記載します.
+			$lines[] = __( 'Menu:', 'vk-booking-manager' );
+			foreach ( $payload['line_items'] as $line_item ) {
+				$lines[] = sprintf(
+					/* translators: 1: Menu title, 2: Duration in minutes, 3: Price. */
+					__( '- %1$s (%2$d minutes) %3$s', 'vk-booking-manager' ),
+					$line_item['name'],
+					$line_item['duration_minutes'],
+					VKBM_Helper::format_currency( (int) $line_item['price'] )
+				);
+			}
+		} else {
+			/* translators: %s: Menu title. */
+			$lines[] = sprintf( __( 'Menu: %s', 'vk-booking-manager' ), $payload['menu_title'] );
+		}
 		/* translators: 1: Resource label, 2: Staff name. */
 		$lines[] = sprintf( __( '%1$s: %2$s', 'vk-booking-manager' ), $payload['resource_label_singular'], $payload['staff_title'] );
 		/* translators: %s: Reservation datetime range. */
@@ -811,6 +1146,12 @@ class Booking_Notification_Service {
 		$lines[]      = __( 'Request contents/memo:', 'vk-booking-manager' );
 		$lines[]      = $payload['memo'];
 		$lines[]      = '';
+		if ( ! empty( $payload['manage_url'] ) && 'cancelled' !== (string) ( $payload['status'] ?? '' ) ) {
+			// Guests have no account, so the link is their way back to the reservation. / ゲストはアカウントがないため、リンクから予約を確認・キャンセルします.
+			$lines[] = __( 'You can view or cancel your reservation from the link below.', 'vk-booking-manager' );
+			$lines[] = $payload['manage_url'];
+			$lines[] = '';
+		}
 		if ( '' !== $cancellation_policy ) {
 			$lines[] = '';
 			$lines[] = __( '--- Cancellation Policy ---', 'vk-booking-manager' );
@@ -834,6 +1175,47 @@ class Booking_Notification_Service {
 		return implode( "\n", $lines );
 	}
 
+	/**
+	 * Format the waitlist offer body for customers.
+	 *
+	 * @param array<string,mixed> $payload Waitlist payload.
+	 * @return string
+	 */
+	private function render_waitlist_offer_body( array $payload ): string {
+		$lines = array();
+
+		/* translators: %s: Customer name. */
+		$lines[] = sprintf( __( 'Dear %s', 'vk-booking-manager' ), $payload['customer_name'] );
+		$lines[] = '';
+		$lines[] = __( 'A slot has opened up on the date you joined the waitlist for.', 'vk-booking-manager' );
+		$lines[] = '';
+		$lines[] = __( '--- Available slot ---', 'vk-booking-manager' );
+		/* translators: %s: Menu title. */
+		$lines[] = sprintf( __( 'Menu: %s', 'vk-booking-manager' ), $payload['menu_title'] );
+		/* translators: 1: Resource label, 2: Staff name. */
+		$lines[] = sprintf( __( '%1$s: %2$s', 'vk-booking-manager' ), $payload['resource_label_singular'], $payload['staff_title'] );
+		/* translators: %s: Reservation datetime range. */
+		$lines[] = sprintf( __( 'Reservation date and time: %s', 'vk-booking-manager' ), $payload['reservation_datetime'] );
+		$lines[] = '';
+		/* translators: %s: Offer expiry datetime. */
+		$lines[] = sprintf( __( 'To reserve this slot, open the link below by %s.', 'vk-booking-manager' ), $payload['expires_label'] );
+		$lines[] = $payload['claim_url'];
+		$lines[] = __( 'After that, the slot will be offered to the next person on the waitlist.', 'vk-booking-manager' );
+		$lines[] = '';
+		$lines[] = '===========';
+		$lines[] = $payload['provider_name'];
+		if ( $payload['provider_phone'] ) {
+			/* translators: %s: Provider phone number. */
+			$lines[] = sprintf( __( 'TEL: %s', 'vk-booking-manager' ), $payload['provider_phone'] );
+		}
+		if ( $payload['provider_site'] ) {
+			$lines[] = $payload['provider_site'];
+		}
+		$lines[] = __( 'If you do not recognize this email, please discard it.', 'vk-booking-manager' );
+
+		return implode( "\n", $lines );
+	}
+
 	/**
 	 * Format message body for providers.
 	 *
@@ -849,6 +1231,9 @@ class Booking_Notification_Service {
 			// Use a clearer lead for cancellation notifications.
 			// キャンセル通知では自然な表現に置き換える.
 			$lines[] = __( 'Your reservation has been cancelled.', 'vk-booking-manager' );
+		} elseif ( __( 'Changed', 'vk-booking-manager' ) === $status_label ) {
+			/* translators: %s: Previous reservation datetime range. */
+			$lines[] = sprintf( __( 'A reservation has been moved from %s by the customer.', 'vk-booking-manager' ), $payload['previous_datetime'] );
 		} else {
 			/* translators: %s: Booking status label. */
 			$lines[] = sprintf( __( 'A new %s has been registered.', 'vk-booking-manager' ), $status_label );
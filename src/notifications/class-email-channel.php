@@ -0,0 +1,312 @@
+<?php
+
+/**
+ * Email notification channel.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use function __;
+use function add_action;
+use function add_filter;
+use function esc_attr;
+use function esc_html;
+use function esc_url;
+use function get_option;
+use function is_email;
+use function make_clickable;
+use function remove_action;
+use function remove_filter;
+use function sanitize_email;
+use function sanitize_text_field;
+use function sprintf;
+use function wp_mail;
+
+/**
+ * Sends notifications with wp_mail().
+ *
+ * Applies the provider's email templates, the optional HTML layout and the
+ * .ics attachment, and reports PHPMailer errors so failed sends can be retried.
+ * メールテンプレート・HTML レイアウト・.ics 添付を適用し、送信失敗時はエラー内容を返します。
+ */
+class Email_Channel implements Notification_Channel {
+	public const ID = 'email';
+
+	/**
+	 * Settings store.
+	 *
+	 * @var Settings_Repository
+	 */
+	private $settings_repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Settings_Repository $settings_repository Settings store.
+	 */
+	public function __construct( Settings_Repository $settings_repository ) {
+		$this->settings_repository = $settings_repository;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_id(): string {
+		return self::ID;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_label(): string {
+		return __( 'Email', 'vk-booking-manager' );
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_recipient( string $type, array $payload ): string {
+		$key   = str_ends_with( $type, '_provider' ) ? 'provider_email' : 'customer_email';
+		$email = sanitize_email( (string) ( $payload[ $key ] ?? '' ) );
+
+		return is_email( $email ) ? $email : '';
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function build_message( string $type, array $message, array $tokens ): ?array {
+		return self::apply_template(
+			Email_Templates::get_template( $this->settings_repository->get_settings(), $type ),
+			$message,
+			$tokens
+		);
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function send( string $recipient, array $message, string $type, array $payload ) {
+		$subject     = (string) ( $message['subject'] ?? '' );
+		$body        = (string) ( $message['body'] ?? '' );
+		$ics         = (string) ( $message['ics'] ?? '' );
+		$mail_header = $this->get_mail_header( $type, $payload );
+		$from_name   = $this->sanitize_mail_header_name( (string) $mail_header['name'] );
+		$is_html     = $this->is_html_layout_enabled();
+		$headers     = $this->build_headers( (string) $mail_header['reply_to'], $is_html );
+		$mail_error  = null;
+
+		if ( $is_html ) {
+			$body = self::render_html_layout( $subject, $body, $payload );
+		}
+
+		// WordPress 標準の from / from_name フィルターで送信者情報を設定する。
+		$from_mail_filter = static function () use ( $mail_header ) {
+			return (string) $mail_header['mail'];
+		};
+		$from_name_filter = static function () use ( $from_name ) {
+			return $from_name;
+		};
+
+		// wp_mail() はファイルパスしか添付できないため、PHPMailer に直接文字列を添付する。
+		$attachment_action = static function ( $phpmailer ) use ( $ics ) {
+			$phpmailer->addStringAttachment( $ics, 'reservation.ics', 'base64', 'text/calendar; charset=utf-8; method=PUBLISH' );
+		};
+
+		// 失敗理由をメールログと再送判定に使うため保持する。
+		$failed_action = static function ( $error ) use ( &$mail_error ) {
+			$mail_error = $error;
+		};
+
+		add_filter( 'wp_mail_from', $from_mail_filter );
+		add_filter( 'wp_mail_from_name', $from_name_filter );
+		add_action( 'wp_mail_failed', $failed_action );
+		if ( '' !== $ics ) {
+			add_action( 'phpmailer_init', $attachment_action );
+		}
+
+		try {
+			$sent = (bool) wp_mail( $recipient, $subject, $body, $headers );
+		} finally {
+			remove_filter( 'wp_mail_from', $from_mail_filter );
+			remove_filter( 'wp_mail_from_name', $from_name_filter );
+			remove_action( 'wp_mail_failed', $failed_action );
+			remove_action( 'phpmailer_init', $attachment_action );
+		}
+
+		if ( $sent ) {
+			return true;
+		}
+
+		return $mail_error instanceof WP_Error
+			? $mail_error
+			: new WP_Error( 'email_send_failed', __( 'The email could not be sent.', 'vk-booking-manager' ) );
+	}
+
+	/**
+	 * Apply an email template to a built message.
+	 *
+	 * @param array{enabled:bool,subject:string,body:string} $template Template from Email_Templates::get_template().
+	 * @param array<string, mixed>                           $message  Built-in message.
+	 * @param array<string, string>                          $tokens   Placeholder values.
+	 * @return array<string, mixed>|null Null when the type is switched off.
+	 */
+	public static function apply_template( array $template, array $message, array $tokens ): ?array {
+		if ( empty( $template['enabled'] ) ) {
+			return null;
+		}
+
+		if ( '' !== $template['subject'] ) {
+			// Tokens such as {memo} may contain line breaks, which are not allowed in a subject.
+			// {memo} などは改行を含む場合があるため、件名では空白に置き換える.
+			$message['subject'] = trim( str_replace( array( "\r\n", "\r", "\n" ), ' ', Email_Templates::replace_tokens( $template['subject'], $tokens ) ) );
+		}
+		if ( '' !== $template['body'] ) {
+			$message['body'] = Email_Templates::replace_tokens( $template['body'], $tokens );
+		}
+
+		return $message;
+	}
+
+	/**
+	 * Wrap a plain-text body in the HTML layout with the store logo.
+	 *
+	 * @param string               $subject Email subject.
+	 * @param string               $body    Plain-text body.
+	 * @param array<string, mixed> $payload Booking payload.
+	 * @return string
+	 */
+	public static function render_html_layout( string $subject, string $body, array $payload ): string {
+		$provider_name = (string) ( $payload['provider_name'] ?? '' );
+		$logo_url      = (string) ( $payload['provider_logo_url'] ?? '' );
+		$header        = '' !== $logo_url
+			? sprintf( '<img src="%1$s" alt="%2$s" style="max-width:200px;height:auto;border:0;" />', esc_url( $logo_url ), esc_attr( $provider_name ) )
+			: sprintf( '<strong style="font-size:18px;">%s</strong>', esc_html( $provider_name ) );
+
+		return '<!DOCTYPE html><html><head><meta charset="UTF-8" /><title>' . esc_html( $subject ) . '</title></head>'
+			. '<body style="margin:0;padding:24px 12px;background:#f3f4f6;font-family:sans-serif;color:#1f2937;">'
+			. '<div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;overflow:hidden;">'
+			. '<div style="padding:20px 24px;border-bottom:1px solid #e5e7eb;">' . $header . '</div>'
+			. '<div style="padding:24px;font-size:14px;line-height:1.7;">' . nl2br( make_clickable( esc_html( $body ) ) ) . '</div>'
+			. '</div></body></html>';
+	}
+
+	/**
+	 * Whether emails are sent with the HTML layout.
+	 *
+	 * @return bool
+	 */
+	private function is_html_layout_enabled(): bool {
+		$settings = $this->settings_repository->get_settings();
+
+		return ! empty( $settings[ Email_Templates::HTML_LAYOUT_KEY ] );
+	}
+
+	/**
+	 * メールヘッダー用の表示名を安全な文字列に整形します。
+	 *
+	 * @param string $name 表示名。
+	 * @return string
+	 */
+	private function sanitize_mail_header_name( string $name ): string {
+		// 一般的なテキスト入力として正規化し、危険な文字列を除去する。
+		$sanitized_name = sanitize_text_field( $name );
+
+		// ヘッダーインジェクション対策として CR/LF を除去する。
+		$sanitized_name = str_replace( array( "\r", "\n" ), '', $sanitized_name );
+
+		return trim( $sanitized_name );
+	}
+
+	/**
+	 * 送信ヘッダー文字列を組み立てます。
+	 *
+	 * @param string $reply_to Reply-To に設定するメールアドレス。
+	 * @param bool   $is_html  HTML レイアウトで送信する場合は true。
+	 * @return array<int,string>
+	 */
+	private function build_headers( string $reply_to, bool $is_html = false ): array {
+		$headers = array(
+			$is_html ? 'Content-Type: text/html; charset=UTF-8' : 'Content-Type: text/plain; charset=UTF-8',
+		);
+
+		// 施設向け通知など Reply-To が必要なケースのみ付与する。
+		if ( '' !== $reply_to ) {
+			$headers[] = sprintf( 'Reply-To: %s', $reply_to );
+		}
+
+		return $headers;
+	}
+
+	/**
+	 * 通知タイプに応じた送信者情報を返します。
+	 *
+	 * @param string               $type    通知タイプ。
+	 * @param array<string, mixed> $payload 通知本文・送信先の生成に使う予約データ。
+	 * @return array{name:string,mail:string,reply_to:string}
+	 */
+	private function get_mail_header( string $type, array $payload ): array {
+		$from_mail = sanitize_email( (string) get_option( 'admin_email' ) );
+
+		$provider_name = trim( (string) ( $payload['provider_name'] ?? '' ) );
+		$site_name     = trim( (string) ( $payload['site_name'] ?? '' ) );
+		$default_name  = '' !== $provider_name ? $provider_name : $site_name;
+
+		$header = array(
+			'name'     => $default_name,
+			'mail'     => $from_mail,
+			'reply_to' => '',
+		);
+
+		if ( ! $this->is_provider_notification_type( $type ) ) {
+			// ユーザー向け通知は店舗メールアドレスを Reply-To に設定する。
+			$provider_mail = sanitize_email( (string) ( $payload['provider_email'] ?? '' ) );
+			if ( is_email( $provider_mail ) ) {
+				$header['reply_to'] = $provider_mail;
+			}
+			return $header;
+		}
+
+		// 施設向け通知は予約投稿者名を優先して From 名に利用する。
+		$author_name = trim( (string) ( $payload['booking_author_name'] ?? '' ) );
+		if ( '' !== $author_name ) {
+			$header['name'] = $author_name;
+		}
+
+		// 施設側が返信しやすいように Reply-To に予約者メールを設定する。
+		$customer_mail = sanitize_email( (string) ( $payload['customer_email'] ?? '' ) );
+		if ( is_email( $customer_mail ) ) {
+			$header['reply_to'] = $customer_mail;
+		}
+
+		return $header;
+	}
+
+	/**
+	 * 通知タイプが施設向け通知かどうかを判定します。
+	 *
+	 * @param string $type 通知タイプ。
+	 * @return bool
+	 */
+	private function is_provider_notification_type( string $type ): bool {
+		return in_array(
+			$type,
+			array(
+				'pending_provider',
+				'confirmed_provider',
+				'cancelled_provider',
+			),
+			true
+		);
+	}
+}
@@ -0,0 +1,151 @@
+<?php
+
+/**
+ * Editable notification email templates.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use function __;
+use function sanitize_key;
+use function sanitize_text_field;
+use function sanitize_textarea_field;
+
+/**
+ * Stores per-type overrides for the notification emails and fills in their placeholders.
+ *
+ * An empty subject or body keeps the built-in text, so only the parts the provider
+ * actually changed are stored.
+ * 件名・本文が空の場合は標準の文面を使うため、変更した部分だけが保存されます。
+ */
+class Email_Templates {
+	public const SETTING_KEY     = 'email_templates';
+	public const HTML_LAYOUT_KEY = 'email_html_layout';
+
+	/**
+	 * Notification types that can be customised.
+	 *
+	 * @return array<string, string> Type => label.
+	 */
+	public static function get_type_labels(): array {
+		return array(
+			'pending_customer'   => __( 'Pending reservation (customer)', 'vk-booking-manager' ),
+			'pending_provider'   => __( 'Pending reservation (store)', 'vk-booking-manager' ),
+			'confirmed_customer' => __( 'Confirmed reservation (customer)', 'vk-booking-manager' ),
+			'confirmed_provider' => __( 'Confirmed reservation (store)', 'vk-booking-manager' ),
+			'changed_customer'   => __( 'Changed reservation (customer)', 'vk-booking-manager' ),
+			'changed_provider'   => __( 'Changed reservation (store)', 'vk-booking-manager' ),
+			'cancelled_customer' => __( 'Cancelled reservation (customer)', 'vk-booking-manager' ),
+			'cancelled_provider' => __( 'Cancelled reservation (store)', 'vk-booking-manager' ),
+			'reminder_customer'  => __( 'Reservation reminder (customer)', 'vk-booking-manager' ),
+			'waitlist_customer'  => __( 'Waitlist slot available (customer)', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Placeholders available in subjects and bodies.
+	 *
+	 * @return array<string, string> Token name (without braces) => description.
+	 */
+	public static function get_token_labels(): array {
+		return array(
+			'customer_name'        => __( 'Customer name', 'vk-booking-manager' ),
+			'customer_email'       => __( 'Customer email address', 'vk-booking-manager' ),
+			'customer_tel'         => __( 'Customer phone number', 'vk-booking-manager' ),
+			'booking_id'           => __( 'Reservation number', 'vk-booking-manager' ),
+			'menu_title'           => __( 'Menu', 'vk-booking-manager' ),
+			'staff_title'          => __( 'Staff name', 'vk-booking-manager' ),
+			'start_datetime'       => __( 'Start date and time', 'vk-booking-manager' ),
+			'reservation_datetime' => __( 'Reservation date and time (start to end)', 'vk-booking-manager' ),
+			'previous_datetime'    => __( 'Date and time before the change', 'vk-booking-manager' ),
+			'duration'             => __( 'Time required', 'vk-booking-manager' ),
+			'price'                => __( 'Price guide', 'vk-booking-manager' ),
+			'memo'                 => __( 'Request contents/memo', 'vk-booking-manager' ),
+			'reservation_details'  => __( 'Reservation information block', 'vk-booking-manager' ),
+			'manage_url'           => __( 'Manage link for guest reservations', 'vk-booking-manager' ),
+			'edit_url'             => __( 'Admin edit link (store emails)', 'vk-booking-manager' ),
+			'hours_before'         => __( 'Hours before the reservation (reminders)', 'vk-booking-manager' ),
+			'claim_url'            => __( 'Reservation link (waitlist)', 'vk-booking-manager' ),
+			'expires_at'           => __( 'Offer deadline (waitlist)', 'vk-booking-manager' ),
+			'provider_name'        => __( 'Store name', 'vk-booking-manager' ),
+			'provider_email'       => __( 'Store email address', 'vk-booking-manager' ),
+			'provider_phone'       => __( 'Store phone number', 'vk-booking-manager' ),
+			'provider_address'     => __( 'Store address', 'vk-booking-manager' ),
+			'provider_site'        => __( 'Store website', 'vk-booking-manager' ),
+			'cancellation_policy'  => __( 'Cancellation policy', 'vk-booking-manager' ),
+			'site_name'            => __( 'Site name', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Template for a type, with defaults filled in.
+	 *
+	 * @param array<string, mixed> $settings Provider settings.
+	 * @param string               $type     Notification type.
+	 * @return array{enabled:bool,subject:string,body:string}
+	 */
+	public static function get_template( array $settings, string $type ): array {
+		$templates = is_array( $settings[ self::SETTING_KEY ] ?? null ) ? $settings[ self::SETTING_KEY ] : array();
+		$template  = is_array( $templates[ $type ] ?? null ) ? $templates[ $type ] : array();
+
+		return array(
+			'enabled' => ! array_key_exists( 'enabled', $template ) || ! empty( $template['enabled'] ),
+			'subject' => (string) ( $template['subject'] ?? '' ),
+			'body'    => (string) ( $template['body'] ?? '' ),
+		);
+	}
+
+	/**
+	 * Sanitize submitted templates, dropping unknown types.
+	 *
+	 * @param mixed $raw Raw templates keyed by type.
+	 * @return array<string, array{enabled:bool,subject:string,body:string}>
+	 */
+	public static function sanitize( $raw ): array {
+		if ( ! is_array( $raw ) ) {
+			return array();
+		}
+
+		$types     = self::get_type_labels();
+		$templates = array();
+
+		foreach ( $raw as $type => $template ) {
+			$type = sanitize_key( (string) $type );
+			if ( ! isset( $types[ $type ] ) || ! is_array( $template ) ) {
+				continue;
+			}
+
+			$templates[ $type ] = array(
+				'enabled' => ! empty( $template['enabled'] ),
+				'subject' => sanitize_text_field( (string) ( $template['subject'] ?? '' ) ),
+				'body'    => trim( sanitize_textarea_field( (string) ( $template['body'] ?? '' ) ) ),
+			);
+		}
+
+		return $templates;
+	}
+
+	/**
+	 * Replace {token} placeholders. Unknown placeholders are left as typed.
+	 *
+	 * @param string                $template Subject or body template.
+	 * @param array<string, string> $tokens   Token name => value.
+	 * @return string
+	 */
+	public static function replace_tokens( string $template, array $tokens ): string {
+		$pairs = array();
+		foreach ( $tokens as $name => $value ) {
+			$pairs[ '{' . $name . '}' ] = (string) $value;
+		}
+
+		return strtr( $template, $pairs );
+	}
+}
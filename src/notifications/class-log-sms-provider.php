@@ -0,0 +1,159 @@
+<?php
+
+/**
+ * Local SMS driver that writes messages to a log file.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Bookings\Guest_Booking_Link;
+use WP_Error;
+use function __;
+use function get_option;
+use function gmdate;
+use function sprintf;
+use function trailingslashit;
+use function update_option;
+use function wp_generate_password;
+use function wp_mkdir_p;
+use function wp_upload_dir;
+
+/**
+ * Stands in for a real SMS service by appending each message to a file.
+ *
+ * Useful for trying out SMS notifications before signing up with a provider, and only
+ * offered while WP_DEBUG is on. The file is written to `uploads/vkbm-logs/` under a random
+ * name, the directory is closed to web access, and manage / claim tokens are redacted.
+ * 実際の送信は行わず、`uploads/vkbm-logs/` 内のランダムな名前のファイルにメッセージを追記します。
+ * ディレクトリへの直接アクセスを拒否し、URL のトークンは伏せて記録します。
+ */
+class Log_Sms_Provider implements Sms_Provider {
+	public const ID = 'log';
+
+	/**
+	 * Option holding the random part of the default log file name.
+	 */
+	public const FILE_KEY_OPTION = 'vkbm_sms_log_file_key';
+
+	/**
+	 * Query arguments carrying secrets that must not be written to the log.
+	 */
+	private const REDACTED_QUERY_ARGS = array( Guest_Booking_Link::QUERY_ARG, 'vkbm_waitlist' );
+
+	/**
+	 * Log file path (uploads directory when empty).
+	 *
+	 * @var string
+	 */
+	private $file;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string $file Log file path.
+	 */
+	public function __construct( string $file = '' ) {
+		$this->file = $file;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_id(): string {
+		return self::ID;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_label(): string {
+		return __( 'Log file (no actual sending)', 'vk-booking-manager' );
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function send( string $phone, string $message ) {
+		$file = $this->get_file();
+		if ( '' === $file || ! wp_mkdir_p( dirname( $file ) ) ) {
+			return new WP_Error( 'sms_log_unwritable', __( 'The SMS log file could not be written.', 'vk-booking-manager' ) );
+		}
+
+		if ( '' === $this->file ) {
+			$this->protect_directory( dirname( $file ) );
+		}
+
+		$line = sprintf( "[%s] %s\n%s\n\n", gmdate( 'Y-m-d H:i:s' ), $phone, $this->redact( $message ) );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Append-only local log.
+		if ( false === file_put_contents( $file, $line, FILE_APPEND | LOCK_EX ) ) {
+			return new WP_Error( 'sms_log_unwritable', __( 'The SMS log file could not be written.', 'vk-booking-manager' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Resolve the log file path.
+	 *
+	 * @return string
+	 */
+	public function get_file(): string {
+		if ( '' !== $this->file ) {
+			return $this->file;
+		}
+
+		$uploads = wp_upload_dir( null, false );
+		if ( ! empty( $uploads['error'] ) || empty( $uploads['basedir'] ) ) {
+			return '';
+		}
+
+		$key = (string) get_option( self::FILE_KEY_OPTION, '' );
+		if ( '' === $key ) {
+			$key = wp_generate_password( 20, false );
+			update_option( self::FILE_KEY_OPTION, $key, false );
+		}
+
+		return trailingslashit( (string) $uploads['basedir'] ) . 'vkbm-logs/sms-' . $key . '.log';
+	}
+
+	/**
+	 * Replace secret token values in links with a placeholder.
+	 *
+	 * @param string $message Message body.
+	 * @return string
+	 */
+	private function redact( string $message ): string {
+		$pattern = '/([?&](?:' . implode( '|', array_map( 'preg_quote', self::REDACTED_QUERY_ARGS ) ) . ')=)[^&#\s]+/';
+
+		return (string) preg_replace( $pattern, '$1[redacted]', $message );
+	}
+
+	/**
+	 * Keep the log directory from being listed or served.
+	 *
+	 * @param string $dir Log directory.
+	 */
+	private function protect_directory( string $dir ): void {
+		$files = array(
+			'index.php' => "<?php\n// Silence is golden.\n",
+			'.htaccess' => "<IfModule mod_authz_core.c>\n\tRequire all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\n\tDeny from all\n</IfModule>\n",
+		);
+
+		foreach ( $files as $name => $content ) {
+			$path = trailingslashit( $dir ) . $name;
+			if ( ! file_exists( $path ) ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Small guard file next to the log.
+				file_put_contents( $path, $content );
+			}
+		}
+	}
+}
@@ -0,0 +1,121 @@
+<?php
+
+/**
+ * SMS notification channel.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use function __;
+
+/**
+ * Sends customer notifications as text messages through the configured Sms_Provider.
+ *
+ * Messages go only to customers who opted in when booking, to the phone number
+ * stored on the reservation.
+ * 予約時に SMS 通知を希望した顧客にのみ、予約に保存された電話番号へ送信します。
+ */
+class Sms_Channel implements Notification_Channel {
+	public const ID = 'sms';
+
+	/**
+	 * Booking meta: the customer asked for SMS notifications.
+	 */
+	public const META_OPT_IN = '_vkbm_booking_sms_opt_in';
+
+	/**
+	 * User meta: remembered choice for the next reservation.
+	 */
+	public const USER_META_OPT_IN = 'vkbm_sms_opt_in';
+
+	/**
+	 * Settings store.
+	 *
+	 * @var Settings_Repository
+	 */
+	private $settings_repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Settings_Repository $settings_repository Settings store.
+	 */
+	public function __construct( Settings_Repository $settings_repository ) {
+		$this->settings_repository = $settings_repository;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_id(): string {
+		return self::ID;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_label(): string {
+		return __( 'SMS', 'vk-booking-manager' );
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_recipient( string $type, array $payload ): string {
+		$settings = $this->settings_repository->get_settings();
+
+		if ( empty( $settings['sms_enabled'] ) || empty( $payload['sms_opt_in'] ) ) {
+			return '';
+		}
+
+		if ( ! array_key_exists( $type, Sms_Templates::get_type_labels() ) ) {
+			return '';
+		}
+
+		return VKBM_Helper::normalize_phone_number( (string) ( $payload['customer_tel'] ?? '' ) );
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function build_message( string $type, array $message, array $tokens ): ?array {
+		$template = Sms_Templates::get_template( $this->settings_repository->get_settings(), $type );
+		if ( ! $template['enabled'] ) {
+			return null;
+		}
+
+		$body = '' !== $template['body'] ? $template['body'] : Sms_Templates::get_default_body( $type );
+		$body = Email_Templates::replace_tokens( $body, $tokens );
+
+		return array(
+			// SMS has no subject; the type label identifies the message in the log. / SMS には件名がないため、ログには通知種別を表示します.
+			'subject' => (string) ( Sms_Templates::get_type_labels()[ $type ] ?? $type ),
+			'body'    => trim( (string) preg_replace( '/[ \t]+/', ' ', $body ) ),
+		);
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function send( string $recipient, array $message, string $type, array $payload ) {
+		$settings = $this->settings_repository->get_settings();
+		$provider = Sms_Providers::get( (string) ( $settings['sms_provider'] ?? '' ) );
+
+		if ( null === $provider ) {
+			return new WP_Error( 'sms_provider_missing', __( 'No SMS service is configured.', 'vk-booking-manager' ) );
+		}
+
+		return $provider->send( $recipient, (string) ( $message['body'] ?? '' ) );
+	}
+}
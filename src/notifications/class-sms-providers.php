@@ -0,0 +1,81 @@
+<?php
+
+/**
+ * Registry of available SMS drivers.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use function apply_filters;
+
+/**
+ * Collects SMS drivers registered by this plugin and add-ons.
+ */
+class Sms_Providers {
+	public const FILTER = 'vkbm_sms_providers';
+
+	/**
+	 * Get all registered drivers keyed by ID.
+	 *
+	 * Add-ons append their own Sms_Provider instances through the filter.
+	 * The log file driver is only offered while WP_DEBUG is on.
+	 * アドオンはフィルターで独自の Sms_Provider を追加できます。ログ出力ドライバーは WP_DEBUG 有効時のみ使えます。
+	 *
+	 * @return array<string, Sms_Provider>
+	 */
+	public static function get_all(): array {
+		$defaults = array();
+		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+			$defaults[ Log_Sms_Provider::ID ] = new Log_Sms_Provider();
+		}
+
+		$providers = apply_filters( self::FILTER, $defaults );
+
+		$registered = array();
+		foreach ( (array) $providers as $provider ) {
+			if ( $provider instanceof Sms_Provider && '' !== $provider->get_id() ) {
+				$registered[ $provider->get_id() ] = $provider;
+			}
+		}
+
+		return $registered;
+	}
+
+	/**
+	 * Find a driver by ID.
+	 *
+	 * @param string $id Driver ID.
+	 * @return Sms_Provider|null
+	 */
+	public static function get( string $id ): ?Sms_Provider {
+		if ( '' === $id ) {
+			return null;
+		}
+
+		$providers = self::get_all();
+
+		return $providers[ $id ] ?? null;
+	}
+
+	/**
+	 * Driver labels for select boxes.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_labels(): array {
+		$labels = array();
+		foreach ( self::get_all() as $id => $provider ) {
+			$labels[ $id ] = $provider->get_label();
+		}
+
+		return $labels;
+	}
+}
@@ -0,0 +1,117 @@
+<?php
+
+/**
+ * Editable SMS notification templates.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use function __;
+use function sanitize_key;
+use function sanitize_textarea_field;
+
+/**
+ * Per-type text message bodies. Only customer notifications are sent by SMS.
+ *
+ * The built-in bodies are templates too, so they use the same placeholders as
+ * Email_Templates and stay short enough for a single message.
+ * 標準の文面もテンプレートとして定義し、メールと同じプレースホルダーを使います。
+ */
+class Sms_Templates {
+	public const SETTING_KEY = 'sms_templates';
+
+	/**
+	 * Notification types that can be sent by SMS.
+	 *
+	 * @return array<string, string> Type => label.
+	 */
+	public static function get_type_labels(): array {
+		$labels = Email_Templates::get_type_labels();
+
+		return array_filter(
+			$labels,
+			static function ( string $type ): bool {
+				return str_ends_with( $type, '_customer' );
+			},
+			ARRAY_FILTER_USE_KEY
+		);
+	}
+
+	/**
+	 * Built-in body for a type.
+	 *
+	 * @param string $type Notification type.
+	 * @return string
+	 */
+	public static function get_default_body( string $type ): string {
+		switch ( $type ) {
+			case 'confirmed_customer':
+				return __( '[{provider_name}] Your reservation for {start_datetime} is confirmed. {manage_url}', 'vk-booking-manager' );
+			case 'changed_customer':
+				return __( '[{provider_name}] Your reservation has been moved to {start_datetime}. {manage_url}', 'vk-booking-manager' );
+			case 'cancelled_customer':
+				return __( '[{provider_name}] Your reservation for {start_datetime} has been cancelled.', 'vk-booking-manager' );
+			case 'reminder_customer':
+				return __( '[{provider_name}] Reminder: your reservation is at {start_datetime}. {manage_url}', 'vk-booking-manager' );
+			case 'waitlist_customer':
+				return __( '[{provider_name}] A slot you were waiting for is available: {reservation_datetime}. Reserve by {expires_at}: {claim_url}', 'vk-booking-manager' );
+			case 'pending_customer':
+			default:
+				return __( '[{provider_name}] We have received your reservation request for {start_datetime}. We will contact you once it is confirmed.', 'vk-booking-manager' );
+		}
+	}
+
+	/**
+	 * Template for a type, with defaults filled in.
+	 *
+	 * @param array<string, mixed> $settings Provider settings.
+	 * @param string               $type     Notification type.
+	 * @return array{enabled:bool,body:string}
+	 */
+	public static function get_template( array $settings, string $type ): array {
+		$templates = is_array( $settings[ self::SETTING_KEY ] ?? null ) ? $settings[ self::SETTING_KEY ] : array();
+		$template  = is_array( $templates[ $type ] ?? null ) ? $templates[ $type ] : array();
+
+		return array(
+			'enabled' => ! array_key_exists( 'enabled', $template ) || ! empty( $template['enabled'] ),
+			'body'    => (string) ( $template['body'] ?? '' ),
+		);
+	}
+
+	/**
+	 * Sanitize submitted templates, dropping unknown types.
+	 *
+	 * @param mixed $raw Raw templates keyed by type.
+	 * @return array<string, array{enabled:bool,body:string}>
+	 */
+	public static function sanitize( $raw ): array {
+		if ( ! is_array( $raw ) ) {
+			return array();
+		}
+
+		$types     = self::get_type_labels();
+		$templates = array();
+
+		foreach ( $raw as $type => $template ) {
+			$type = sanitize_key( (string) $type );
+			if ( ! isset( $types[ $type ] ) || ! is_array( $template ) ) {
+				continue;
+			}
+
+			$templates[ $type ] = array(
+				'enabled' => ! empty( $template['enabled'] ),
+				'body'    => trim( sanitize_textarea_field( (string) ( $template['body'] ?? '' ) ) ),
+			);
+		}
+
+		return $templates;
+	}
+}
@@ -0,0 +1,71 @@
+<?php
+
+/**
+ * Contract for booking notification channels.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use WP_Error;
+
+/**
+ * A way of delivering booking notifications (email, SMS, ...).
+ *
+ * Channels are registered through the `vkbm_notification_channels` filter.
+ * Booking_Notification_Service builds the payload once and asks each channel
+ * for its recipient and message.
+ * チャネルは `vkbm_notification_channels` フィルターで登録します。予約データは通知サービスが共通で生成します。
+ */
+interface Notification_Channel {
+	/**
+	 * Unique channel ID stored with retries and log entries.
+	 *
+	 * @return string
+	 */
+	public function get_id(): string;
+
+	/**
+	 * Human readable channel name.
+	 *
+	 * @return string
+	 */
+	public function get_label(): string;
+
+	/**
+	 * Address the notification goes to on this channel.
+	 *
+	 * @param string               $type    Notification type.
+	 * @param array<string, mixed> $payload Booking payload.
+	 * @return string Empty when this channel does not send the type or the recipient has not opted in.
+	 */
+	public function get_recipient( string $type, array $payload ): string;
+
+	/**
+	 * Build the channel's message.
+	 *
+	 * @param string                $type    Notification type.
+	 * @param array<string, mixed>  $message Built-in message ( subject, body, ics ).
+	 * @param array<string, string> $tokens  Template placeholder values.
+	 * @return array<string, mixed>|null Message with at least subject and body, or null when the type is switched off.
+	 */
+	public function build_message( string $type, array $message, array $tokens ): ?array;
+
+	/**
+	 * Deliver a message.
+	 *
+	 * @param string               $recipient Recipient from get_recipient().
+	 * @param array<string, mixed> $message   Message from build_message().
+	 * @param string               $type      Notification type.
+	 * @param array<string, mixed> $payload   Booking payload.
+	 * @return true|WP_Error
+	 */
+	public function send( string $recipient, array $message, string $type, array $payload );
+}
@@ -0,0 +1,48 @@
+<?php
+
+/**
+ * Contract for SMS delivery drivers.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Notifications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use WP_Error;
+
+/**
+ * A service that delivers text messages.
+ *
+ * Drivers are registered through the `vkbm_sms_providers` filter.
+ * SMS ドライバーは `vkbm_sms_providers` フィルターで登録します。
+ */
+interface Sms_Provider {
+	/**
+	 * Unique driver ID stored in settings.
+	 *
+	 * @return string
+	 */
+	public function get_id(): string;
+
+	/**
+	 * Human readable driver name.
+	 *
+	 * @return string
+	 */
+	public function get_label(): string;
+
+	/**
+	 * Send a text message.
+	 *
+	 * @param string $phone   Phone number (digits only, as normalized by VKBM_Helper::normalize_phone_number()).
+	 * @param string $message Message text.
+	 * @return true|WP_Error
+	 */
+	public function send( string $phone, string $message );
+}
@@ -0,0 +1,80 @@
+<?php
+
+/**
+ * Local payment driver for testing.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Payments;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use WP_Error;
+use function __;
+use function sanitize_key;
+use function wp_generate_password;
+
+/**
+ * Accepts every payment without contacting a provider.
+ *
+ * Send `outcome=decline` when confirming to simulate a declined card.
+ * 実際の決済は行いません。確認時に `outcome=decline` を送ると決済失敗を再現できます。
+ */
+class Mock_Payment_Gateway implements Payment_Gateway {
+	public const ID = 'mock';
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_id(): string {
+		return self::ID;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_label(): string {
+		return __( 'Test payment (no actual charge)', 'vk-booking-manager' );
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function create_payment( int $booking_id, int $amount, array $context ) {
+		if ( $amount <= 0 ) {
+			return new WP_Error( 'invalid_payment_amount', __( 'The payment amount is invalid.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		return array(
+			'reference'    => sprintf( 'mock_%d_%s', $booking_id, wp_generate_password( 12, false ) ),
+			'redirect_url' => '',
+		);
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function confirm_payment( string $reference, array $params ) {
+		if ( 0 !== strpos( $reference, 'mock_' ) ) {
+			return new WP_Error( 'payment_not_found', __( 'Payment information not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		return 'decline' !== sanitize_key( (string) ( $params['outcome'] ?? '' ) );
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function refund( string $reference, int $amount ) {
+		if ( 0 !== strpos( $reference, 'mock_' ) ) {
+			return new WP_Error( 'payment_not_found', __( 'Payment information not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		return true;
+	}
+}
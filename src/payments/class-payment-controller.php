@@ -0,0 +1,156 @@
+<?php
+
+/**
+ * REST controller for booking payments.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Payments;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_Error;
+use WP_Post;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+use function __;
+use function absint;
+use function add_action;
+use function get_current_user_id;
+use function get_post;
+use function get_post_meta;
+use function is_user_logged_in;
+use function register_rest_route;
+use function sanitize_key;
+use function sanitize_text_field;
+
+/**
+ * Receives payment results from the reservation screen and from providers.
+ */
+class Payment_Controller {
+	private const REST_NAMESPACE = 'vkbm/v1';
+
+	/**
+	 * Payment service.
+	 *
+	 * @var Payment_Service
+	 */
+	private $payment_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Payment_Service $payment_service Payment service.
+	 */
+	public function __construct( Payment_Service $payment_service ) {
+		$this->payment_service = $payment_service;
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST routes.
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/bookings/(?P<id>\d+)/payment',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'confirm_payment' ),
+				'permission_callback' => static function () {
+					return is_user_logged_in();
+				},
+				'args'                => array(
+					'outcome' => array(
+						'type'    => 'string',
+						'default' => '',
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/payments/(?P<gateway>[a-z0-9_-]+)/notify',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'handle_gateway_notification' ),
+				// Providers call this without a session; drivers verify the payload. / 決済事業者からの通知はドライバー側で検証します.
+				'permission_callback' => '__return_true',
+				'args'                => array(
+					'reference' => array(
+						'type'     => 'string',
+						'required' => true,
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Complete the payment of the current user's booking.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function confirm_payment( WP_REST_Request $request ) {
+		$booking_id = absint( $request['id'] ?? 0 );
+		$post       = $booking_id > 0 ? get_post( $booking_id ) : null;
+		if ( ! $post instanceof WP_Post || Booking_Post_Type::POST_TYPE !== $post->post_type ) {
+			return new WP_Error( 'booking_not_found', __( 'No reservations found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		if ( (int) $post->post_author !== get_current_user_id() ) {
+			return new WP_Error( 'forbidden', __( 'You do not have permission to pay for this reservation.', 'vk-booking-manager' ), array( 'status' => 403 ) );
+		}
+
+		$payment = $this->payment_service->confirm( $booking_id, $request->get_params() );
+		if ( is_wp_error( $payment ) ) {
+			return $payment;
+		}
+
+		return new WP_REST_Response(
+			array(
+				'booking_id' => $booking_id,
+				'status'     => (string) get_post_meta( $booking_id, '_vkbm_booking_status', true ),
+				'payment'    => $payment,
+			)
+		);
+	}
+
+	/**
+	 * Apply a payment result sent by a provider.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function handle_gateway_notification( WP_REST_Request $request ) {
+		$booking_id = $this->payment_service->find_booking_id(
+			sanitize_key( (string) $request['gateway'] ),
+			sanitize_text_field( (string) $request['reference'] )
+		);
+		if ( $booking_id <= 0 ) {
+			return new WP_Error( 'payment_not_found', __( 'Payment information not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		$payment = $this->payment_service->confirm( $booking_id, $request->get_params() );
+		if ( is_wp_error( $payment ) ) {
+			return $payment;
+		}
+
+		return new WP_REST_Response( array( 'received' => true ) );
+	}
+}
@@ -0,0 +1,81 @@
+<?php
+
+/**
+ * Registry of available payment drivers.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Payments;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use function apply_filters;
+
+/**
+ * Collects payment drivers registered by this plugin and add-ons.
+ */
+class Payment_Gateways {
+	public const FILTER = 'vkbm_payment_gateways';
+
+	/**
+	 * Get all registered drivers keyed by ID.
+	 *
+	 * Add-ons append their own Payment_Gateway instances through the filter.
+	 * The test driver, which accepts every payment, is only offered while WP_DEBUG is on.
+	 * アドオンはフィルターで独自の Payment_Gateway を追加できます。テスト用ドライバーは WP_DEBUG 有効時のみ使えます。
+	 *
+	 * @return array<string, Payment_Gateway>
+	 */
+	public static function get_all(): array {
+		$defaults = array();
+		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+			$defaults[ Mock_Payment_Gateway::ID ] = new Mock_Payment_Gateway();
+		}
+
+		$gateways = apply_filters( self::FILTER, $defaults );
+
+		$registered = array();
+		foreach ( (array) $gateways as $gateway ) {
+			if ( $gateway instanceof Payment_Gateway && '' !== $gateway->get_id() ) {
+				$registered[ $gateway->get_id() ] = $gateway;
+			}
+		}
+
+		return $registered;
+	}
+
+	/**
+	 * Find a driver by ID.
+	 *
+	 * @param string $id Driver ID.
+	 * @return Payment_Gateway|null
+	 */
+	public static function get( string $id ): ?Payment_Gateway {
+		if ( '' === $id ) {
+			return null;
+		}
+
+		$gateways = self::get_all();
+
+		return $gateways[ $id ] ?? null;
+	}
+
+	/**
+	 * Driver labels for select boxes.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_labels(): array {
+		$labels = array();
+		foreach ( self::get_all() as $id => $gateway ) {
+			$labels[ $id ] = $gateway->get_label();
+		}
+
+		return $labels;
+	}
+}
@@ -0,0 +1,432 @@
+<?php
+
+/**
+ * Booking prepayment service.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Payments;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Bookings\Waitlist_Service;
+use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_Query;
+use function __;
+use function add_action;
+use function get_post_meta;
+use function get_the_title;
+use function update_post_meta;
+use function wp_clear_scheduled_hook;
+use function wp_schedule_single_event;
+
+/**
+ * Takes prepayments and deposits for bookings and releases unpaid ones.
+ *
+ * A booking that needs payment stays pending until the gateway confirms it,
+ * and is cancelled automatically when the payment window closes.
+ * 決済が必要な予約は決済完了まで仮予約のままとなり、期限内に支払われなければ自動でキャンセルされます。
+ */
+class Payment_Service {
+	public const EXPIRE_ACTION = 'vkbm_payment_expired';
+
+	public const META_STATUS      = '_vkbm_booking_payment_status';
+	public const META_AMOUNT      = '_vkbm_booking_payment_amount';
+	public const META_GATEWAY     = '_vkbm_booking_payment_gateway';
+	public const META_REFERENCE   = '_vkbm_booking_payment_reference';
+	public const META_EXPIRES_AT  = '_vkbm_booking_payment_expires_at';
+	public const META_PAID_AT     = '_vkbm_booking_paid_at';
+	public const META_REFUNDED_AT = '_vkbm_booking_refunded_at';
+
+	public const STATUS_AWAITING = 'awaiting';
+	public const STATUS_PAID     = 'paid';
+	public const STATUS_EXPIRED  = 'expired';
+	public const STATUS_REFUNDED = 'refunded';
+
+	public const MENU_META_MODE    = '_vkbm_prepayment_mode';
+	public const MENU_META_DEPOSIT = '_vkbm_deposit_amount';
+	public const MODE_FULL         = 'full';
+	public const MODE_DEPOSIT      = 'deposit';
+
+	/**
+	 * Minutes a customer has to finish paying when not configured.
+	 */
+	public const DEFAULT_TIMEOUT_MINUTES = 30;
+
+	private const META_BOOKING_STATUS = '_vkbm_booking_status';
+	private const META_CUSTOMER_MAIL  = '_vkbm_booking_customer_email';
+	private const STATUS_CONFIRMED    = 'confirmed';
+	private const STATUS_PENDING      = 'pending';
+	private const STATUS_CANCELLED    = 'cancelled';
+
+	/**
+	 * Settings repository.
+	 *
+	 * @var Settings_Repository
+	 */
+	private $settings_repository;
+
+	/**
+	 * Notification service.
+	 *
+	 * @var Booking_Notification_Service
+	 */
+	private $notification_service;
+
+	/**
+	 * Waitlist service.
+	 *
+	 * @var Waitlist_Service|null
+	 */
+	private $waitlist_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Settings_Repository          $settings_repository  Settings repository.
+	 * @param Booking_Notification_Service $notification_service Notification service.
+	 * @param Waitlist_Service|null        $waitlist_service     Waitlist handler.
+	 */
+	public function __construct(
+		Settings_Repository $settings_repository,
+		Booking_Notification_Service $notification_service,
+		?Waitlist_Service $waitlist_service = null
+	) {
+		$this->settings_repository  = $settings_repository;
+		$this->notification_service = $notification_service;
+		$this->waitlist_service     = $waitlist_service;
+	}
+
+	/**
+	 * Register cron hook listeners.
+	 */
+	public function register(): void {
+		add_action( self::EXPIRE_ACTION, array( $this, 'handle_expired' ) );
+	}
+
+	/**
+	 * Get the driver selected in provider settings.
+	 *
+	 * @return Payment_Gateway|null
+	 */
+	public function get_active_gateway(): ?Payment_Gateway {
+		$settings = $this->settings_repository->get_settings();
+
+		return Payment_Gateways::get( (string) ( $settings['provider_payment_gateway'] ?? '' ) );
+	}
+
+	/**
+	 * Whether any of the menus needs online payment with the current settings.
+	 *
+	 * @param array<int> $menu_ids Booked menu IDs.
+	 * @return bool
+	 */
+	public function requires_payment( array $menu_ids ): bool {
+		if ( null === $this->get_active_gateway() ) {
+			return false;
+		}
+
+		foreach ( $menu_ids as $menu_id ) {
+			if ( '' !== self::get_menu_mode( (int) $menu_id ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Calculate how much must be paid online when booking.
+	 *
+	 * A menu requiring full prepayment makes the whole total due; otherwise
+	 * the deposits of the menus are added up. The result never exceeds the total.
+	 * 全額前払いのメニューがあれば合計金額を、それ以外は各メニューの予約金の合計を返します。
+	 *
+	 * @param array<int> $menu_ids    Booked menu IDs.
+	 * @param int        $total_price Booking total including the nomination fee.
+	 * @return int
+	 */
+	public static function calculate_amount_due( array $menu_ids, int $total_price ): int {
+		$total_price = max( 0, $total_price );
+		$deposit     = 0;
+
+		foreach ( $menu_ids as $menu_id ) {
+			$mode = self::get_menu_mode( (int) $menu_id );
+			if ( self::MODE_FULL === $mode ) {
+				return $total_price;
+			}
+			if ( self::MODE_DEPOSIT === $mode ) {
+				$deposit += max( 0, (int) get_post_meta( (int) $menu_id, self::MENU_META_DEPOSIT, true ) );
+			}
+		}
+
+		return min( $deposit, $total_price );
+	}
+
+	/**
+	 * Read the prepayment mode of a menu.
+	 *
+	 * @param int $menu_id Menu post ID.
+	 * @return string 'full', 'deposit' or '' when paid at the store.
+	 */
+	public static function get_menu_mode( int $menu_id ): string {
+		$mode = (string) get_post_meta( $menu_id, self::MENU_META_MODE, true );
+
+		return in_array( $mode, array( self::MODE_FULL, self::MODE_DEPOSIT ), true ) ? $mode : '';
+	}
+
+	/**
+	 * Open a payment for a new booking and schedule its release.
+	 *
+	 * 予約の決済を開始し、期限切れ時の自動キャンセルを予約します。
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @param int $amount     Amount to charge.
+	 * @return array<string, mixed>|WP_Error Payment summary with redirect_url.
+	 */
+	public function start( int $booking_id, int $amount ) {
+		$gateway = $this->get_active_gateway();
+		if ( null === $gateway ) {
+			return new WP_Error( 'payment_unavailable', __( 'Online payment is not available at the moment.', 'vk-booking-manager' ), array( 'status' => 503 ) );
+		}
+
+		$result = $gateway->create_payment(
+			$booking_id,
+			$amount,
+			array(
+				'currency_symbol' => VKBM_Helper::get_currency_symbol(),
+				'customer_email'  => (string) get_post_meta( $booking_id, self::META_CUSTOMER_MAIL, true ),
+				'description'     => (string) get_the_title( $booking_id ),
+			)
+		);
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$expires_at = time() + $this->get_timeout_minutes() * MINUTE_IN_SECONDS;
+
+		update_post_meta( $booking_id, self::META_STATUS, self::STATUS_AWAITING );
+		update_post_meta( $booking_id, self::META_AMOUNT, $amount );
+		update_post_meta( $booking_id, self::META_GATEWAY, $gateway->get_id() );
+		update_post_meta( $booking_id, self::META_REFERENCE, (string) $result['reference'] );
+		update_post_meta( $booking_id, self::META_EXPIRES_AT, $expires_at );
+
+		wp_schedule_single_event( $expires_at, self::EXPIRE_ACTION, array( $booking_id ) );
+
+		return array_merge(
+			$this->get_summary( $booking_id ),
+			array( 'redirect_url' => (string) ( $result['redirect_url'] ?? '' ) )
+		);
+	}
+
+	/**
+	 * Complete a payment reported by the client or the provider.
+	 *
+	 * The booking moves to the status configured for new reservations and the
+	 * usual creation emails are sent at this point.
+	 * 決済完了後に予約ステータスを設定どおりに更新し、予約完了メールを送信します。
+	 *
+	 * @param int                  $booking_id Booking post ID.
+	 * @param array<string, mixed> $params     Parameters passed to the gateway.
+	 * @return array<string, mixed>|WP_Error Payment summary.
+	 */
+	public function confirm( int $booking_id, array $params ) {
+		$status = (string) get_post_meta( $booking_id, self::META_STATUS, true );
+		if ( self::STATUS_PAID === $status ) {
+			return $this->get_summary( $booking_id );
+		}
+
+		if ( self::STATUS_AWAITING !== $status ) {
+			return new WP_Error( 'payment_expired', __( 'The payment period has expired. Please make a reservation again.', 'vk-booking-manager' ), array( 'status' => 410 ) );
+		}
+
+		if ( (int) get_post_meta( $booking_id, self::META_EXPIRES_AT, true ) < time() ) {
+			$this->handle_expired( $booking_id );
+			return new WP_Error( 'payment_expired', __( 'The payment period has expired. Please make a reservation again.', 'vk-booking-manager' ), array( 'status' => 410 ) );
+		}
+
+		$gateway = Payment_Gateways::get( (string) get_post_meta( $booking_id, self::META_GATEWAY, true ) );
+		if ( null === $gateway ) {
+			return new WP_Error( 'payment_unavailable', __( 'Online payment is not available at the moment.', 'vk-booking-manager' ), array( 'status' => 503 ) );
+		}
+
+		$result = $gateway->confirm_payment( (string) get_post_meta( $booking_id, self::META_REFERENCE, true ), $params );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		if ( true !== $result ) {
+			return new WP_Error( 'payment_declined', __( 'The payment was declined. Please try again or use a different payment method.', 'vk-booking-manager' ), array( 'status' => 402 ) );
+		}
+
+		$this->mark_paid( $booking_id );
+
+		if ( self::STATUS_PENDING === (string) get_post_meta( $booking_id, self::META_BOOKING_STATUS, true ) ) {
+			$settings   = $this->settings_repository->get_settings();
+			$new_status = self::STATUS_PENDING === ( $settings['provider_booking_status_mode'] ?? '' ) ? self::STATUS_PENDING : self::STATUS_CONFIRMED;
+
+			update_post_meta( $booking_id, self::META_BOOKING_STATUS, $new_status );
+			if ( self::STATUS_CONFIRMED === $new_status ) {
+				$this->notification_service->handle_confirmed_creation( $booking_id );
+			} else {
+				$this->notification_service->handle_pending_creation( $booking_id );
+			}
+		}
+
+		return $this->get_summary( $booking_id );
+	}
+
+	/**
+	 * Record a payment as received without changing the booking status.
+	 *
+	 * Also used from the booking screen when the customer paid another way.
+	 * 店頭などゲートウェイ以外で受け取った場合にも管理画面から使用します。
+	 *
+	 * @param int $booking_id Booking post ID.
+	 */
+	public function mark_paid( int $booking_id ): void {
+		update_post_meta( $booking_id, self::META_STATUS, self::STATUS_PAID );
+		update_post_meta( $booking_id, self::META_PAID_AT, time() );
+		wp_clear_scheduled_hook( self::EXPIRE_ACTION, array( $booking_id ) );
+	}
+
+	/**
+	 * Refund a paid booking through its gateway.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return true|WP_Error
+	 */
+	public function refund( int $booking_id ) {
+		if ( self::STATUS_PAID !== (string) get_post_meta( $booking_id, self::META_STATUS, true ) ) {
+			return new WP_Error( 'payment_not_refundable', __( 'This payment cannot be refunded.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+		}
+
+		$gateway = Payment_Gateways::get( (string) get_post_meta( $booking_id, self::META_GATEWAY, true ) );
+		if ( null === $gateway ) {
+			return new WP_Error( 'payment_unavailable', __( 'Online payment is not available at the moment.', 'vk-booking-manager' ), array( 'status' => 503 ) );
+		}
+
+		$result = $gateway->refund(
+			(string) get_post_meta( $booking_id, self::META_REFERENCE, true ),
+			(int) get_post_meta( $booking_id, self::META_AMOUNT, true )
+		);
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		update_post_meta( $booking_id, self::META_STATUS, self::STATUS_REFUNDED );
+		update_post_meta( $booking_id, self::META_REFUNDED_AT, time() );
+
+		return true;
+	}
+
+	/**
+	 * Release a booking whose payment was not completed in time.
+	 *
+	 * 期限内に決済されなかった予約をキャンセルし、枠を解放します。
+	 *
+	 * @param int $booking_id Booking post ID.
+	 */
+	public function handle_expired( int $booking_id ): void {
+		if ( self::STATUS_AWAITING !== (string) get_post_meta( $booking_id, self::META_STATUS, true ) ) {
+			return;
+		}
+
+		if ( (int) get_post_meta( $booking_id, self::META_EXPIRES_AT, true ) > time() ) {
+			return;
+		}
+
+		update_post_meta( $booking_id, self::META_STATUS, self::STATUS_EXPIRED );
+
+		if ( self::STATUS_PENDING !== (string) get_post_meta( $booking_id, self::META_BOOKING_STATUS, true ) ) {
+			return;
+		}
+
+		update_post_meta( $booking_id, self::META_BOOKING_STATUS, self::STATUS_CANCELLED );
+		if ( $this->waitlist_service ) {
+			$this->waitlist_service->handle_slot_released( $booking_id );
+		}
+	}
+
+	/**
+	 * Payment details of a booking for API responses and the admin screen.
+	 *
+	 * @param int $booking_id Booking post ID.
+	 * @return array<string, mixed> Empty when the booking has no online payment.
+	 */
+	public function get_summary( int $booking_id ): array {
+		$status = (string) get_post_meta( $booking_id, self::META_STATUS, true );
+		if ( '' === $status ) {
+			return array();
+		}
+
+		$gateway_id = (string) get_post_meta( $booking_id, self::META_GATEWAY, true );
+		$gateway    = Payment_Gateways::get( $gateway_id );
+
+		return array(
+			'status'        => $status,
+			'amount'        => (int) get_post_meta( $booking_id, self::META_AMOUNT, true ),
+			'gateway'       => $gateway_id,
+			'gateway_label' => null !== $gateway ? $gateway->get_label() : $gateway_id,
+			'reference'     => (string) get_post_meta( $booking_id, self::META_REFERENCE, true ),
+			'expires_at'    => (int) get_post_meta( $booking_id, self::META_EXPIRES_AT, true ),
+		);
+	}
+
+	/**
+	 * Find the booking that owns a payment reference.
+	 *
+	 * @param string $gateway_id Driver ID.
+	 * @param string $reference  Payment reference.
+	 * @return int Booking post ID, or 0 when not found.
+	 */
+	public function find_booking_id( string $gateway_id, string $reference ): int {
+		if ( '' === $gateway_id || '' === $reference ) {
+			return 0;
+		}
+
+		$query = new WP_Query(
+			array(
+				'post_type'              => Booking_Post_Type::POST_TYPE,
+				'post_status'            => 'any',
+				'posts_per_page'         => 1,
+				'fields'                 => 'ids',
+				'no_found_rows'          => true,
+				'update_post_term_cache' => false,
+				'meta_query'             => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+					array(
+						'key'   => self::META_GATEWAY,
+						'value' => $gateway_id,
+					),
+					array(
+						'key'   => self::META_REFERENCE,
+						'value' => $reference,
+					),
+				),
+			)
+		);
+
+		return empty( $query->posts ) ? 0 : (int) $query->posts[0];
+	}
+
+	/**
+	 * Minutes allowed to complete a payment.
+	 *
+	 * @return int
+	 */
+	private function get_timeout_minutes(): int {
+		$settings = $this->settings_repository->get_settings();
+		$minutes  = (int) ( $settings['provider_payment_timeout_minutes'] ?? self::DEFAULT_TIMEOUT_MINUTES );
+
+		return $minutes > 0 ? $minutes : self::DEFAULT_TIMEOUT_MINUTES;
+	}
+}
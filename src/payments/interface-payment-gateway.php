@@ -0,0 +1,67 @@
+<?php
+
+/**
+ * Contract for online payment drivers.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Payments;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use WP_Error;
+
+/**
+ * A payment provider that can take and refund booking prepayments.
+ *
+ * Drivers are registered through the `vkbm_payment_gateways` filter.
+ * 決済ドライバーは `vkbm_payment_gateways` フィルターで登録します。
+ */
+interface Payment_Gateway {
+	/**
+	 * Unique driver ID stored in settings and booking meta.
+	 *
+	 * @return string
+	 */
+	public function get_id(): string;
+
+	/**
+	 * Human readable driver name.
+	 *
+	 * @return string
+	 */
+	public function get_label(): string;
+
+	/**
+	 * Open a payment for a booking.
+	 *
+	 * @param int                  $booking_id Booking post ID.
+	 * @param int                  $amount     Amount to charge in the shop currency (same unit as menu prices).
+	 * @param array<string, mixed> $context    Extra data ( currency_symbol, customer_email, description ).
+	 * @return array{reference: string, redirect_url: string}|WP_Error Empty redirect_url means the payment is confirmed in place.
+	 */
+	public function create_payment( int $booking_id, int $amount, array $context );
+
+	/**
+	 * Resolve the result of a payment.
+	 *
+	 * @param string               $reference Payment reference returned by create_payment().
+	 * @param array<string, mixed> $params    Parameters sent back by the client or the provider.
+	 * @return bool|WP_Error True when the payment succeeded, false when it was declined.
+	 */
+	public function confirm_payment( string $reference, array $params );
+
+	/**
+	 * Refund a completed payment.
+	 *
+	 * @param string $reference Payment reference.
+	 * @param int    $amount    Amount to refund.
+	 * @return true|WP_Error
+	 */
+	public function refund( string $reference, int $amount );
+}
@@ -0,0 +1,105 @@
+<?php
+
+/**
+ * Registers the Facility custom post type.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\PostTypes;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Capabilities\Capabilities;
+
+/**
+ * Registers the Facility (部屋・設備) custom post type.
+ *
+ * Facilities are shared physical resources such as treatment rooms, chairs or
+ * equipment. Menus that require one are only bookable while a facility is free.
+ * 施術室・設備など、スタッフとは別に空きを確認する共有リソースです。
+ */
+class Facility_Post_Type {
+	public const POST_TYPE = 'vkbm_facility';
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( 'init', array( $this, 'register_post_type' ) );
+	}
+
+	/**
+	 * Register the facility post type.
+	 */
+	public function register_post_type(): void {
+		if ( post_type_exists( self::POST_TYPE ) ) {
+			return;
+		}
+
+		$labels = array(
+			'name'               => __( 'Facilities', 'vk-booking-manager' ),
+			'singular_name'      => __( 'Facility', 'vk-booking-manager' ),
+			'menu_name'          => __( 'BM Facilities', 'vk-booking-manager' ),
+			'name_admin_bar'     => __( 'Facility', 'vk-booking-manager' ),
+			'add_new'            => __( 'Add New', 'vk-booking-manager' ),
+			'add_new_item'       => __( 'Add Facility', 'vk-booking-manager' ),
+			'edit_item'          => __( 'Edit Facility', 'vk-booking-manager' ),
+			'new_item'           => __( 'New Facility', 'vk-booking-manager' ),
+			'view_item'          => __( 'Show Facility', 'vk-booking-manager' ),
+			'search_items'       => __( 'Search Facilities', 'vk-booking-manager' ),
+			'not_found'          => __( 'Facility not found.', 'vk-booking-manager' ),
+			'not_found_in_trash' => __( 'There are no facilities in the trash.', 'vk-booking-manager' ),
+			'all_items'          => __( 'All Facilities', 'vk-booking-manager' ),
+			'attributes'         => __( 'Facility Attribute', 'vk-booking-manager' ),
+		);
+
+		$args = array(
+			'labels'            => $labels,
+			'public'            => false,
+			'show_ui'           => true,
+			'show_in_menu'      => true,
+			'show_in_admin_bar' => false,
+			'show_in_nav_menus' => false,
+			'show_in_rest'      => false,
+			'supports'          => array( 'title' ),
+			'has_archive'       => false,
+			'hierarchical'      => false,
+			'rewrite'           => false,
+			'menu_position'     => 29,
+			'menu_icon'         => 'dashicons-building',
+			'capabilities'      => $this->get_capabilities(),
+			'map_meta_cap'      => false,
+		);
+
+		register_post_type( self::POST_TYPE, $args );
+	}
+
+	/**
+	 * Capability map for the post type.
+	 *
+	 * @return array<string, string>
+	 */
+	private function get_capabilities(): array {
+		return array(
+			'edit_post'              => Capabilities::MANAGE_SERVICE_MENUS,
+			'read_post'              => Capabilities::MANAGE_SERVICE_MENUS,
+			'delete_post'            => Capabilities::MANAGE_SERVICE_MENUS,
+			'edit_posts'             => Capabilities::MANAGE_SERVICE_MENUS,
+			'edit_others_posts'      => Capabilities::MANAGE_SERVICE_MENUS,
+			'publish_posts'          => Capabilities::MANAGE_SERVICE_MENUS,
+			'read_private_posts'     => Capabilities::MANAGE_SERVICE_MENUS,
+			'delete_posts'           => Capabilities::MANAGE_SERVICE_MENUS,
+			'delete_private_posts'   => Capabilities::MANAGE_SERVICE_MENUS,
+			'delete_published_posts' => Capabilities::MANAGE_SERVICE_MENUS,
+			'delete_others_posts'    => Capabilities::MANAGE_SERVICE_MENUS,
+			'edit_private_posts'     => Capabilities::MANAGE_SERVICE_MENUS,
+			'edit_published_posts'   => Capabilities::MANAGE_SERVICE_MENUS,
+			'create_posts'           => Capabilities::MANAGE_SERVICE_MENUS,
+		);
+	}
+}
@@ -15,8 +15,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use VKBookingManager\Assets\Common_Styles;
+use VKBookingManager\Availability\Slot_Capacity;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\Payments\Payment_Service;
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use VKBookingManager\Staff\Staff_Editor;
@@ -932,6 +934,48 @@ class Service_Menu_Post_Type {
 			)
 		);
 
+		register_post_meta(
+			self::POST_TYPE,
+			Payment_Service::MENU_META_MODE,
+			array(
+				'type'              => 'string',
+				'single'            => true,
+				'default'           => '',
+				'show_in_rest'      => true,
+				'sanitize_callback' => static function ( $value ): string {
+					$value = sanitize_key( (string) $value );
+					return in_array( $value, array( Payment_Service::MODE_FULL, Payment_Service::MODE_DEPOSIT ), true ) ? $value : '';
+				},
+				'auth_callback'     => '__return_true',
+			)
+		);
+
+		register_post_meta(
+			self::POST_TYPE,
+			Payment_Service::MENU_META_DEPOSIT,
+			array(
+				'type'              => 'integer',
+				'single'            => true,
+				'default'           => 0,
+				'show_in_rest'      => true,
+				'sanitize_callback' => array( $this, 'sanitize_price_meta' ),
+				'auth_callback'     => '__return_true',
+			)
+		);
+
+		register_post_meta(
+			self::POST_TYPE,
+			Slot_Capacity::MENU_META_CAPACITY,
+			array(
+				'type'              => 'integer',
+				'single'            => true,
+				'default'           => 1,
+				'show_in_rest'      => true,
+				'sanitize_callback' => array( Slot_Capacity::class, 'normalize_seats' ),
+				'auth_callback'     => '__return_true',
+			)
+		);
+
 		register_post_meta(
 			self::POST_TYPE,
 			self::META_STAFF_IDS,
@@ -72,9 +72,14 @@ You can use cash, credit cards, and transportation ICs.',
 			'provider_booking_cancel_mode'               => 'hours',
 			'provider_booking_cancel_deadline_hours'     => 24,
 			'provider_allow_staff_overlap_admin'         => false,
+			'provider_auto_assign_strategy'              => 'list_order',
+			'provider_allow_guest_booking'               => false,
+			'provider_payment_gateway'                   => '',
+			'provider_payment_timeout_minutes'           => 30,
 			'provider_website_url'                       => '',
 			'provider_email'                             => '',
 			'shift_alert_months'                         => 1,
+			'shift_auto_generate_months'                 => 0,
 			'booking_reminder_hours'                     => array(),
 			'design_primary_color'                       => '',
 			'design_reservation_button_color'            => '',
@@ -172,6 +177,11 @@ Contact us: Please contact our store.",
 			'auth_rate_limit_login_max'                  => 10,
 			'email_log_enabled'                          => false,
 			'email_log_retention_days'                   => 1,
+			'email_templates'                            => array(),
+			'email_html_layout'                          => false,
+			'sms_enabled'                                => false,
+			'sms_provider'                               => 'log',
+			'sms_templates'                              => array(),
 		);
 	}
 
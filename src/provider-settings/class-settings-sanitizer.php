@@ -14,6 +14,13 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
+use VKBookingManager\Availability\Staff_Assignment_Strategy;
+use VKBookingManager\Notifications\Email_Templates;
+use VKBookingManager\Notifications\Sms_Providers;
+use VKBookingManager\Notifications\Sms_Templates;
+use VKBookingManager\Payments\Payment_Gateways;
+use VKBookingManager\Shifts\Shift_Auto_Generator;
+
 /**
  * Sanitizes provider settings form submissions.
  */
@@ -101,6 +108,16 @@ class Settings_Sanitizer {
 			$input['provider_booking_cancel_deadline_hours'] ?? ( $data['provider_booking_cancel_deadline_hours'] ?? 24 )
 		);
 		$data['provider_allow_staff_overlap_admin']     = ! empty( $input['provider_allow_staff_overlap_admin'] );
+		$data['provider_auto_assign_strategy']          = Staff_Assignment_Strategy::sanitize_strategy(
+			$input['provider_auto_assign_strategy'] ?? ( $data['provider_auto_assign_strategy'] ?? '' )
+		);
+		$data['provider_allow_guest_booking']           = ! empty( $input['provider_allow_guest_booking'] );
+		$payment_gateway                                = sanitize_key( (string) ( $input['provider_payment_gateway'] ?? ( $data['provider_payment_gateway'] ?? '' ) ) );
+		$data['provider_payment_gateway']               = null !== Payment_Gateways::get( $payment_gateway ) ? $payment_gateway : '';
+		$data['provider_payment_timeout_minutes']       = max(
+			1,
+			$this->sanitize_non_negative_int( $input['provider_payment_timeout_minutes'] ?? ( $data['provider_payment_timeout_minutes'] ?? 30 ) )
+		);
 			$data['provider_website_url']               = $this->sanitize_url( $data['provider_website_url'] );
 			$data['reservation_page_url']               = $this->sanitize_url( $data['reservation_page_url'] );
 		$data['reservation_show_menu_list']             = ! empty( $input['reservation_show_menu_list'] );
@@ -122,6 +139,10 @@ class Settings_Sanitizer {
 			$input['shift_alert_months'] ?? ( $data['shift_alert_months'] ?? 1 )
 		);
 		$data['shift_alert_months']              = min( 4, max( 1, $shift_alert_months ) );
+		$data['shift_auto_generate_months']      = min(
+			Shift_Auto_Generator::MAX_MONTHS,
+			$this->sanitize_non_negative_int( $input['shift_auto_generate_months'] ?? ( $data['shift_auto_generate_months'] ?? 0 ) )
+		);
 		$data['booking_reminder_hours']          = $this->sanitize_reminder_hours(
 			$input['booking_reminder_hours'] ?? ( $data['booking_reminder_hours'] ?? array() )
 		);
@@ -180,6 +201,18 @@ class Settings_Sanitizer {
 		}
 		$data['email_log_retention_days'] = max( 1, $this->sanitize_non_negative_int( $retention_raw ) );
 
+		$data[ Email_Templates::SETTING_KEY ]     = Email_Templates::sanitize(
+			$input[ Email_Templates::SETTING_KEY ] ?? ( $data[ Email_Templates::SETTING_KEY ] ?? array() )
+		);
+		$data[ Email_Templates::HTML_LAYOUT_KEY ] = ! empty( $input[ Email_Templates::HTML_LAYOUT_KEY ] );
+
+		$sms_provider                       = sanitize_key( (string) ( $input['sms_provider'] ?? ( $data['sms_provider'] ?? '' ) ) );
+		$data['sms_enabled']                = ! empty( $input['sms_enabled'] );
+		$data['sms_provider']               = null !== Sms_Providers::get( $sms_provider ) ? $sms_provider : (string) ( $defaults['sms_provider'] ?? '' );
+		$data[ Sms_Templates::SETTING_KEY ] = Sms_Templates::sanitize(
+			$input[ Sms_Templates::SETTING_KEY ] ?? ( $data[ Sms_Templates::SETTING_KEY ] ?? array() )
+		);
+
 		return $data;
 	}
 
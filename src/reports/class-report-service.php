@@ -0,0 +1,760 @@
+<?php
+
+/**
+ * Aggregates bookings and shifts into report tables.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Reports;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use WP_Query;
+use function __;
+use function _n;
+use function _x;
+use function get_post_meta;
+use function get_posts;
+use function get_the_title;
+use function metadata_exists;
+use function wp_date;
+use function wp_timezone;
+
+/**
+ * Builds the tables shown on the reports page and exported as CSV.
+ *
+ * Every table has the same shape so the page and the CSV export share one code path:
+ * array{title: string, columns: array<string, array{label: string, type: string}>, rows: array<int, array<string, mixed>>}
+ *
+ * レポート画面と CSV 出力で共通の表データを組み立てます。
+ */
+class Report_Service {
+	public const GROUP_DAY   = 'day';
+	public const GROUP_WEEK  = 'week';
+	public const GROUP_MONTH = 'month';
+
+	/**
+	 * Longest range (in days) a single report may cover.
+	 */
+	public const MAX_RANGE_DAYS = 366;
+
+	private const META_BOOKING_START       = '_vkbm_booking_service_start';
+	private const META_BOOKING_END         = '_vkbm_booking_service_end';
+	private const META_BOOKING_RESOURCE    = '_vkbm_booking_resource_id';
+	private const META_BOOKING_SERVICE     = '_vkbm_booking_service_id';
+	private const META_BOOKING_STATUS      = '_vkbm_booking_status';
+	private const META_BASE_TOTAL_PRICE    = '_vkbm_booking_base_total_price';
+	private const META_NOMINATION_FEE      = '_vkbm_booking_nomination_fee';
+	private const META_BILLED_TOTAL_PRICE  = '_vkbm_booking_billed_total_price';
+	private const META_SHIFT_RESOURCE      = '_vkbm_shift_resource_id';
+	private const META_SHIFT_YEAR          = '_vkbm_shift_year';
+	private const META_SHIFT_MONTH         = '_vkbm_shift_month';
+	private const META_SHIFT_DAYS          = '_vkbm_shift_days';
+	private const BOOKING_STATUS_CONFIRMED = 'confirmed';
+	private const BOOKING_STATUS_PENDING   = 'pending';
+	private const BOOKING_STATUS_CANCELLED = 'cancelled';
+	private const BOOKING_STATUS_NO_SHOW   = 'no_show';
+
+	/**
+	 * Shift statuses that represent a non-working day.
+	 *
+	 * @var array<int, string>
+	 */
+	private const CLOSED_SHIFT_STATUSES = array( 'regular_holiday', 'temporary_closed', 'unavailable' );
+
+	/**
+	 * Upper bounds (in days, inclusive) of the lead time buckets; the last bucket is open-ended.
+	 *
+	 * @var array<int, int>
+	 */
+	private const LEAD_TIME_BUCKETS = array( 0, 1, 3, 7, 14, 30 );
+
+	/**
+	 * Supported table IDs in display order.
+	 *
+	 * @return array<int, string>
+	 */
+	public static function get_table_ids(): array {
+		return array( 'timeline', 'staff', 'menus', 'statuses', 'utilization', 'lead_time', 'heatmap' );
+	}
+
+	/**
+	 * Supported grouping labels.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_group_labels(): array {
+		return array(
+			self::GROUP_DAY   => __( 'Daily', 'vk-booking-manager' ),
+			self::GROUP_WEEK  => __( 'Weekly', 'vk-booking-manager' ),
+			self::GROUP_MONTH => __( 'Monthly', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Build every report table for a date range.
+	 *
+	 * @param DateTimeImmutable $from     First day (inclusive).
+	 * @param DateTimeImmutable $to       Last day (inclusive).
+	 * @param string            $group_by Timeline grouping (day/week/month).
+	 * @return array<string, array<string, mixed>> Tables keyed by table ID.
+	 */
+	public function build_report( DateTimeImmutable $from, DateTimeImmutable $to, string $group_by ): array {
+		$from     = $from->setTime( 0, 0 );
+		$end      = $to->setTime( 0, 0 )->modify( '+1 day' );
+		$bookings = $this->get_bookings( $from, $end );
+
+		return array(
+			'timeline'    => $this->build_timeline_table( $bookings, $from, $end, $group_by ),
+			'staff'       => $this->build_staff_table( $bookings ),
+			'menus'       => $this->build_menu_table( $bookings ),
+			'statuses'    => $this->build_status_table( $bookings ),
+			'utilization' => $this->build_utilization_table( $bookings, $from, $end ),
+			'lead_time'   => $this->build_lead_time_table( $bookings ),
+			'heatmap'     => $this->build_heatmap_table( $bookings ),
+		);
+	}
+
+	/**
+	 * Load bookings whose service starts within the range.
+	 *
+	 * @param DateTimeImmutable $from Range start (inclusive).
+	 * @param DateTimeImmutable $end  Range end (exclusive).
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function get_bookings( DateTimeImmutable $from, DateTimeImmutable $end ): array {
+		$timezone = wp_timezone();
+		$query    = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+				'meta_key'       => self::META_BOOKING_START,
+				'orderby'        => 'meta_value',
+				'order'          => 'ASC',
+				'meta_query'     => array(
+					array(
+						'key'     => self::META_BOOKING_START,
+						'value'   => array(
+							$from->format( 'Y-m-d H:i:s' ),
+							$end->modify( '-1 second' )->format( 'Y-m-d H:i:s' ),
+						),
+						'compare' => 'BETWEEN',
+						'type'    => 'DATETIME',
+					),
+				),
+			)
+		);
+
+		$bookings = array();
+		foreach ( $query->posts as $post ) {
+			$start = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', (string) get_post_meta( $post->ID, self::META_BOOKING_START, true ), $timezone );
+			$end   = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', (string) get_post_meta( $post->ID, self::META_BOOKING_END, true ), $timezone );
+
+			if ( ! $start ) {
+				continue;
+			}
+
+			$status  = (string) get_post_meta( $post->ID, self::META_BOOKING_STATUS, true );
+			$status  = '' !== $status ? $status : self::BOOKING_STATUS_CONFIRMED;
+			$created = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', (string) $post->post_date, $timezone );
+
+			// The billed total is the staff-corrected amount; fall back to the booked total. / 請求額が未入力なら予約時の合計額を使う.
+			$revenue = metadata_exists( 'post', $post->ID, self::META_BILLED_TOTAL_PRICE )
+				? (int) get_post_meta( $post->ID, self::META_BILLED_TOTAL_PRICE, true )
+				: (int) get_post_meta( $post->ID, self::META_BASE_TOTAL_PRICE, true );
+
+			$bookings[] = array(
+				'id'             => (int) $post->ID,
+				'start'          => $start,
+				'minutes'        => $end && $end > $start ? intdiv( $end->getTimestamp() - $start->getTimestamp(), MINUTE_IN_SECONDS ) : 0,
+				'created'        => $created ? $created : $start,
+				'status'         => $status,
+				'is_active'      => ! in_array( $status, array( self::BOOKING_STATUS_CANCELLED, self::BOOKING_STATUS_NO_SHOW ), true ),
+				'resource_id'    => (int) get_post_meta( $post->ID, self::META_BOOKING_RESOURCE, true ),
+				'service_id'     => (int) get_post_meta( $post->ID, self::META_BOOKING_SERVICE, true ),
+				'revenue'        => max( 0, $revenue ),
+				'nomination_fee' => max( 0, (int) get_post_meta( $post->ID, self::META_NOMINATION_FEE, true ) ),
+			);
+		}
+
+		return $bookings;
+	}
+
+	/**
+	 * Bookings and revenue per day, week or month.
+	 *
+	 * Empty periods are kept so the chart shows gaps.
+	 *
+	 * @param array<int, array<string, mixed>> $bookings Bookings.
+	 * @param DateTimeImmutable                $from     Range start.
+	 * @param DateTimeImmutable                $end      Range end (exclusive).
+	 * @param string                           $group_by Grouping.
+	 * @return array<string, mixed>
+	 */
+	private function build_timeline_table( array $bookings, DateTimeImmutable $from, DateTimeImmutable $end, string $group_by ): array {
+		$rows   = array();
+		$cursor = $this->get_period_start( $from, $group_by );
+		$step   = self::GROUP_DAY === $group_by ? '+1 day' : ( self::GROUP_WEEK === $group_by ? '+1 week' : '+1 month' );
+
+		while ( $cursor < $end ) {
+			$rows[ $cursor->format( 'Y-m-d' ) ] = array(
+				'period'    => $this->get_period_label( $cursor, $group_by ),
+				'bookings'  => 0,
+				'cancelled' => 0,
+				'no_show'   => 0,
+				'revenue'   => 0,
+			);
+
+			$cursor = $cursor->modify( $step );
+		}
+
+		foreach ( $bookings as $booking ) {
+			$key = $this->get_period_start( $booking['start'], $group_by )->format( 'Y-m-d' );
+			if ( ! isset( $rows[ $key ] ) ) {
+				continue;
+			}
+
+			$this->add_booking_counts( $rows[ $key ], $booking );
+		}
+
+		return array(
+			'title'   => __( 'Bookings and revenue by period', 'vk-booking-manager' ),
+			'columns' => array(
+				'period'    => $this->column( __( 'Period', 'vk-booking-manager' ), 'text' ),
+				'bookings'  => $this->column( __( 'Bookings', 'vk-booking-manager' ), 'int' ),
+				'cancelled' => $this->column( __( 'Cancelled', 'vk-booking-manager' ), 'int' ),
+				'no_show'   => $this->column( __( 'No-show', 'vk-booking-manager' ), 'int' ),
+				'revenue'   => $this->column( __( 'Revenue', 'vk-booking-manager' ), 'money' ),
+			),
+			'rows'    => array_values( $rows ),
+		);
+	}
+
+	/**
+	 * Bookings, revenue and nomination fees per staff member.
+	 *
+	 * @param array<int, array<string, mixed>> $bookings Bookings.
+	 * @return array<string, mixed>
+	 */
+	private function build_staff_table( array $bookings ): array {
+		$rows = array();
+
+		foreach ( $bookings as $booking ) {
+			$resource_id = (int) $booking['resource_id'];
+			if ( ! isset( $rows[ $resource_id ] ) ) {
+				$rows[ $resource_id ] = array(
+					'name'           => $this->get_post_label( $resource_id, __( 'Unassigned', 'vk-booking-manager' ) ),
+					'bookings'       => 0,
+					'cancelled'      => 0,
+					'no_show'        => 0,
+					'revenue'        => 0,
+					'nomination_fee' => 0,
+				);
+			}
+
+			$this->add_booking_counts( $rows[ $resource_id ], $booking );
+			if ( $booking['is_active'] ) {
+				$rows[ $resource_id ]['nomination_fee'] += (int) $booking['nomination_fee'];
+			}
+		}
+
+		return array(
+			'title'   => __( 'By staff', 'vk-booking-manager' ),
+			'columns' => array(
+				'name'           => $this->column( __( 'Staff', 'vk-booking-manager' ), 'text' ),
+				'bookings'       => $this->column( __( 'Bookings', 'vk-booking-manager' ), 'int' ),
+				'cancelled'      => $this->column( __( 'Cancelled', 'vk-booking-manager' ), 'int' ),
+				'no_show'        => $this->column( __( 'No-show', 'vk-booking-manager' ), 'int' ),
+				'revenue'        => $this->column( __( 'Revenue', 'vk-booking-manager' ), 'money' ),
+				'nomination_fee' => $this->column( __( 'Nomination fees', 'vk-booking-manager' ), 'money' ),
+			),
+			'rows'    => $this->sort_rows_by_revenue( $rows ),
+		);
+	}
+
+	/**
+	 * Bookings and revenue per menu.
+	 *
+	 * @param array<int, array<string, mixed>> $bookings Bookings.
+	 * @return array<string, mixed>
+	 */
+	private function build_menu_table( array $bookings ): array {
+		$rows = array();
+
+		foreach ( $bookings as $booking ) {
+			$service_id = (int) $booking['service_id'];
+			if ( ! isset( $rows[ $service_id ] ) ) {
+				$rows[ $service_id ] = array(
+					'name'      => $this->get_post_label( $service_id, __( '(No menu)', 'vk-booking-manager' ) ),
+					'bookings'  => 0,
+					'cancelled' => 0,
+					'no_show'   => 0,
+					'revenue'   => 0,
+				);
+			}
+
+			$this->add_booking_counts( $rows[ $service_id ], $booking );
+		}
+
+		foreach ( $rows as $service_id => $row ) {
+			$completed                              = $row['bookings'] - $row['cancelled'] - $row['no_show'];
+			$rows[ $service_id ]['average_revenue'] = $completed > 0 ? (int) round( $row['revenue'] / $completed ) : 0;
+		}
+
+		return array(
+			'title'   => __( 'By menu', 'vk-booking-manager' ),
+			'columns' => array(
+				'name'            => $this->column( __( 'Menu', 'vk-booking-manager' ), 'text' ),
+				'bookings'        => $this->column( __( 'Bookings', 'vk-booking-manager' ), 'int' ),
+				'cancelled'       => $this->column( __( 'Cancelled', 'vk-booking-manager' ), 'int' ),
+				'no_show'         => $this->column( __( 'No-show', 'vk-booking-manager' ), 'int' ),
+				'revenue'         => $this->column( __( 'Revenue', 'vk-booking-manager' ), 'money' ),
+				'average_revenue' => $this->column( __( 'Average per booking', 'vk-booking-manager' ), 'money' ),
+			),
+			'rows'    => $this->sort_rows_by_revenue( $rows ),
+		);
+	}
+
+	/**
+	 * Count and share of each booking status (cancellation and no-show rates).
+	 *
+	 * @param array<int, array<string, mixed>> $bookings Bookings.
+	 * @return array<string, mixed>
+	 */
+	private function build_status_table( array $bookings ): array {
+		$labels = array(
+			self::BOOKING_STATUS_CONFIRMED => __( 'Confirmed', 'vk-booking-manager' ),
+			self::BOOKING_STATUS_PENDING   => __( 'Pending', 'vk-booking-manager' ),
+			self::BOOKING_STATUS_CANCELLED => __( 'Cancelled', 'vk-booking-manager' ),
+			self::BOOKING_STATUS_NO_SHOW   => __( 'No-show', 'vk-booking-manager' ),
+		);
+		$counts = array_fill_keys( array_keys( $labels ), 0 );
+
+		foreach ( $bookings as $booking ) {
+			$counts[ $booking['status'] ] = ( $counts[ $booking['status'] ] ?? 0 ) + 1;
+		}
+
+		$total = count( $bookings );
+		$rows  = array();
+		foreach ( $counts as $status => $count ) {
+			$rows[] = array(
+				'status'   => $labels[ $status ] ?? $status,
+				'bookings' => $count,
+				'rate'     => $this->calculate_rate( $count, $total ),
+			);
+		}
+
+		return array(
+			'title'   => __( 'Cancellation and no-show rates', 'vk-booking-manager' ),
+			'columns' => array(
+				'status'   => $this->column( __( 'Status', 'vk-booking-manager' ), 'text' ),
+				'bookings' => $this->column( __( 'Bookings', 'vk-booking-manager' ), 'int' ),
+				'rate'     => $this->column( __( 'Rate', 'vk-booking-manager' ), 'percent' ),
+			),
+			'rows'    => $rows,
+		);
+	}
+
+	/**
+	 * Booked service minutes against shift minutes per staff member.
+	 *
+	 * @param array<int, array<string, mixed>> $bookings Bookings.
+	 * @param DateTimeImmutable                $from     Range start.
+	 * @param DateTimeImmutable                $end      Range end (exclusive).
+	 * @return array<string, mixed>
+	 */
+	private function build_utilization_table( array $bookings, DateTimeImmutable $from, DateTimeImmutable $end ): array {
+		$shift_minutes = $this->get_shift_minutes( $from, $end );
+		$rows          = array();
+
+		$resources = get_posts(
+			array(
+				'post_type'      => Resource_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'posts_per_page' => -1,
+				'orderby'        => array(
+					'menu_order' => 'ASC',
+					'title'      => 'ASC',
+				),
+				'no_found_rows'  => true,
+			)
+		);
+
+		foreach ( $resources as $resource ) {
+			$rows[ (int) $resource->ID ] = array(
+				'name'           => get_the_title( $resource ),
+				'shift_minutes'  => $shift_minutes[ (int) $resource->ID ] ?? 0,
+				'booked_minutes' => 0,
+			);
+		}
+
+		foreach ( $bookings as $booking ) {
+			if ( $booking['is_active'] && isset( $rows[ $booking['resource_id'] ] ) ) {
+				$rows[ $booking['resource_id'] ]['booked_minutes'] += (int) $booking['minutes'];
+			}
+		}
+
+		foreach ( $rows as $resource_id => $row ) {
+			$rows[ $resource_id ]['utilization'] = $this->calculate_rate( $row['booked_minutes'], $row['shift_minutes'] );
+		}
+
+		return array(
+			'title'   => __( 'Shift utilization', 'vk-booking-manager' ),
+			'columns' => array(
+				'name'           => $this->column( __( 'Staff', 'vk-booking-manager' ), 'text' ),
+				'shift_minutes'  => $this->column( __( 'Shift time (min)', 'vk-booking-manager' ), 'int' ),
+				'booked_minutes' => $this->column( __( 'Booked time (min)', 'vk-booking-manager' ), 'int' ),
+				'utilization'    => $this->column( __( 'Utilization', 'vk-booking-manager' ), 'percent' ),
+			),
+			'rows'    => array_values( $rows ),
+		);
+	}
+
+	/**
+	 * Days between the booking being made and the visit.
+	 *
+	 * @param array<int, array<string, mixed>> $bookings Bookings.
+	 * @return array<string, mixed>
+	 */
+	private function build_lead_time_table( array $bookings ): array {
+		$rows  = array();
+		$lower = 0;
+		foreach ( self::LEAD_TIME_BUCKETS as $upper ) {
+			$rows[ $upper ] = array(
+				'lead_time' => $this->get_lead_time_label( $lower, $upper ),
+				'bookings'  => 0,
+			);
+
+			$lower = $upper + 1;
+		}
+		$rows[ PHP_INT_MAX ] = array(
+			/* translators: %d: number of days. */
+			'lead_time' => sprintf( __( '%d days or more', 'vk-booking-manager' ), $lower ),
+			'bookings'  => 0,
+		);
+
+		foreach ( $bookings as $booking ) {
+			// Compare calendar days so an evening booking for the next morning counts as 1 day. / 日付単位で比較する.
+			$days = (int) $booking['created']->setTime( 0, 0 )->diff( $booking['start']->setTime( 0, 0 ) )->format( '%r%a' );
+			$days = max( 0, $days );
+
+			foreach ( array_keys( $rows ) as $upper ) {
+				if ( $days <= $upper ) {
+					++$rows[ $upper ]['bookings'];
+					break;
+				}
+			}
+		}
+
+		$total = count( $bookings );
+		foreach ( $rows as $upper => $row ) {
+			$rows[ $upper ]['rate'] = $this->calculate_rate( $row['bookings'], $total );
+		}
+
+		return array(
+			'title'   => __( 'Lead time', 'vk-booking-manager' ),
+			'columns' => array(
+				'lead_time' => $this->column( __( 'Booked in advance', 'vk-booking-manager' ), 'text' ),
+				'bookings'  => $this->column( __( 'Bookings', 'vk-booking-manager' ), 'int' ),
+				'rate'      => $this->column( __( 'Rate', 'vk-booking-manager' ), 'percent' ),
+			),
+			'rows'    => array_values( $rows ),
+		);
+	}
+
+	/**
+	 * Booking starts per weekday and hour.
+	 *
+	 * Only hours that have at least one booking are listed.
+	 *
+	 * @param array<int, array<string, mixed>> $bookings Bookings.
+	 * @return array<string, mixed>
+	 */
+	private function build_heatmap_table( array $bookings ): array {
+		$counts = array();
+		foreach ( $bookings as $booking ) {
+			if ( ! $booking['is_active'] ) {
+				continue;
+			}
+
+			$hour    = (int) $booking['start']->format( 'G' );
+			$weekday = (int) $booking['start']->format( 'N' );
+
+			$counts[ $hour ][ $weekday ] = ( $counts[ $hour ][ $weekday ] ?? 0 ) + 1;
+		}
+
+		$columns = array( 'hour' => $this->column( __( 'Time', 'vk-booking-manager' ), 'text' ) );
+		$monday  = new DateTimeImmutable( 'monday this week', wp_timezone() );
+		for ( $weekday = 1; $weekday <= 7; $weekday++ ) {
+			$columns[ 'day_' . $weekday ] = $this->column(
+				wp_date( _x( 'D', 'report heatmap weekday', 'vk-booking-manager' ), $monday->modify( sprintf( '+%d days', $weekday - 1 ) )->getTimestamp() ),
+				'heat'
+			);
+		}
+
+		$rows = array();
+		if ( array() !== $counts ) {
+			for ( $hour = min( array_keys( $counts ) ); $hour <= max( array_keys( $counts ) ); $hour++ ) {
+				$row = array( 'hour' => sprintf( '%02d:00', $hour ) );
+				for ( $weekday = 1; $weekday <= 7; $weekday++ ) {
+					$row[ 'day_' . $weekday ] = $counts[ $hour ][ $weekday ] ?? 0;
+				}
+				$rows[] = $row;
+			}
+		}
+
+		return array(
+			'title'   => __( 'Popular times', 'vk-booking-manager' ),
+			'columns' => $columns,
+			'rows'    => $rows,
+		);
+	}
+
+	/**
+	 * Sum open shift minutes per staff member within the range.
+	 *
+	 * @param DateTimeImmutable $from Range start.
+	 * @param DateTimeImmutable $end  Range end (exclusive).
+	 * @return array<int, int> Minutes keyed by resource ID.
+	 */
+	private function get_shift_minutes( DateTimeImmutable $from, DateTimeImmutable $end ): array {
+		$minutes = array();
+		$month   = $from->modify( 'first day of this month' );
+
+		while ( $month < $end ) {
+			$shift_posts = get_posts(
+				array(
+					'post_type'      => Shift_Post_Type::POST_TYPE,
+					'post_status'    => array( 'publish' ),
+					'posts_per_page' => -1,
+					'no_found_rows'  => true,
+					'meta_query'     => array(
+						array(
+							'key'   => self::META_SHIFT_YEAR,
+							'value' => (int) $month->format( 'Y' ),
+						),
+						array(
+							'key'   => self::META_SHIFT_MONTH,
+							'value' => (int) $month->format( 'n' ),
+						),
+					),
+				)
+			);
+
+			foreach ( $shift_posts as $shift_post ) {
+				$resource_id = (int) get_post_meta( $shift_post->ID, self::META_SHIFT_RESOURCE, true );
+				$days        = get_post_meta( $shift_post->ID, self::META_SHIFT_DAYS, true );
+
+				if ( $resource_id <= 0 || ! is_array( $days ) ) {
+					continue;
+				}
+
+				foreach ( $days as $day => $entry ) {
+					$date = $month->setDate( (int) $month->format( 'Y' ), (int) $month->format( 'n' ), (int) $day );
+					if ( (int) $day < 1 || (int) $date->format( 'n' ) !== (int) $month->format( 'n' ) || $date < $from || $date >= $end ) {
+						continue;
+					}
+
+					$minutes[ $resource_id ] = ( $minutes[ $resource_id ] ?? 0 ) + $this->get_day_shift_minutes( $entry );
+				}
+			}
+
+			$month = $month->modify( '+1 month' );
+		}
+
+		return $minutes;
+	}
+
+	/**
+	 * Working minutes of one stored shift day.
+	 *
+	 * @param mixed $entry Day entry from `_vkbm_shift_days`.
+	 * @return int
+	 */
+	private function get_day_shift_minutes( $entry ): int {
+		if ( ! is_array( $entry ) || in_array( (string) ( $entry['status'] ?? '' ), self::CLOSED_SHIFT_STATUSES, true ) ) {
+			return 0;
+		}
+
+		$total = 0;
+		foreach ( (array) ( $entry['slots'] ?? array() ) as $slot ) {
+			if ( ! is_array( $slot ) ) {
+				continue;
+			}
+
+			$start = $this->time_to_minutes( (string) ( $slot['start'] ?? '' ) );
+			$end   = $this->time_to_minutes( (string) ( $slot['end'] ?? '' ) );
+
+			if ( null !== $start && null !== $end && $end > $start ) {
+				$total += $end - $start;
+			}
+		}
+
+		return $total;
+	}
+
+	/**
+	 * Convert "HH:MM" to minutes after midnight.
+	 *
+	 * @param string $time Time string.
+	 * @return int|null
+	 */
+	private function time_to_minutes( string $time ): ?int {
+		if ( ! preg_match( '/^(\d{1,2}):(\d{2})$/', $time, $matches ) ) {
+			return null;
+		}
+
+		return (int) $matches[1] * 60 + (int) $matches[2];
+	}
+
+	/**
+	 * Add one booking to a row's counters.
+	 *
+	 * @param array<string, mixed> $row     Row with bookings/cancelled/no_show/revenue keys.
+	 * @param array<string, mixed> $booking Booking.
+	 */
+	private function add_booking_counts( array &$row, array $booking ): void {
+		++$row['bookings'];
+
+		if ( self::BOOKING_STATUS_CANCELLED === $booking['status'] ) {
+			++$row['cancelled'];
+		} elseif ( self::BOOKING_STATUS_NO_SHOW === $booking['status'] ) {
+			++$row['no_show'];
+		} else {
+			$row['revenue'] += (int) $booking['revenue'];
+		}
+	}
+
+	/**
+	 * First day of the period containing the date.
+	 *
+	 * @param DateTimeImmutable $date     Date.
+	 * @param string            $group_by Grouping.
+	 * @return DateTimeImmutable
+	 */
+	private function get_period_start( DateTimeImmutable $date, string $group_by ): DateTimeImmutable {
+		$date = $date->setTime( 0, 0 );
+
+		if ( self::GROUP_WEEK === $group_by ) {
+			// Weeks start on Monday, matching the shift dashboard. / 週は月曜始まり.
+			return $date->modify( sprintf( '-%d days', (int) $date->format( 'N' ) - 1 ) );
+		}
+
+		if ( self::GROUP_MONTH === $group_by ) {
+			return $date->modify( 'first day of this month' );
+		}
+
+		return $date;
+	}
+
+	/**
+	 * Human-readable period label.
+	 *
+	 * @param DateTimeImmutable $period_start First day of the period.
+	 * @param string            $group_by     Grouping.
+	 * @return string
+	 */
+	private function get_period_label( DateTimeImmutable $period_start, string $group_by ): string {
+		if ( self::GROUP_MONTH === $group_by ) {
+			return $period_start->format( 'Y-m' );
+		}
+
+		if ( self::GROUP_WEEK === $group_by ) {
+			/* translators: %s: first day of the week (Y-m-d). */
+			return sprintf( __( 'Week of %s', 'vk-booking-manager' ), $period_start->format( 'Y-m-d' ) );
+		}
+
+		return $period_start->format( 'Y-m-d' );
+	}
+
+	/**
+	 * Label for a lead time bucket.
+	 *
+	 * @param int $lower Lower bound in days.
+	 * @param int $upper Upper bound in days.
+	 * @return string
+	 */
+	private function get_lead_time_label( int $lower, int $upper ): string {
+		if ( 0 === $upper ) {
+			return __( 'Same day', 'vk-booking-manager' );
+		}
+
+		if ( $lower === $upper ) {
+			/* translators: %d: number of days. */
+			return sprintf( _n( '%d day', '%d days', $upper, 'vk-booking-manager' ), $upper );
+		}
+
+		/* translators: 1: minimum days, 2: maximum days. */
+		return sprintf( __( '%1$d-%2$d days', 'vk-booking-manager' ), $lower, $upper );
+	}
+
+	/**
+	 * Title of a staff or menu post with a fallback for unset IDs.
+	 *
+	 * @param int    $post_id  Post ID.
+	 * @param string $fallback Label for 0 or deleted posts.
+	 * @return string
+	 */
+	private function get_post_label( int $post_id, string $fallback ): string {
+		$title = $post_id > 0 ? get_the_title( $post_id ) : '';
+
+		return '' !== $title ? $title : $fallback;
+	}
+
+	/**
+	 * Sort aggregated rows by revenue, then bookings.
+	 *
+	 * @param array<int, array<string, mixed>> $rows Rows.
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function sort_rows_by_revenue( array $rows ): array {
+		usort(
+			$rows,
+			static function ( array $a, array $b ): int {
+				return array( $b['revenue'], $b['bookings'] ) <=> array( $a['revenue'], $a['bookings'] );
+			}
+		);
+
+		return $rows;
+	}
+
+	/**
+	 * Share as a percentage with one decimal.
+	 *
+	 * @param int $count Count.
+	 * @param int $total Total.
+	 * @return float|null Null when the total is zero.
+	 */
+	private function calculate_rate( int $count, int $total ): ?float {
+		if ( $total <= 0 ) {
+			return null;
+		}
+
+		return round( $count / $total * 100, 1 );
+	}
+
+	/**
+	 * Column definition.
+	 *
+	 * @param string $label Column label.
+	 * @param string $type  Value type (text/int/money/percent/heat).
+	 * @return array{label: string, type: string}
+	 */
+	private function column( string $label, string $type ): array {
+		return array(
+			'label' => $label,
+			'type'  => $type,
+		);
+	}
+}
@@ -71,6 +71,15 @@ class Resource_Schedule_Meta_Box {
 		);
 	}
 
+	/**
+	 * Returns the weekday labels breaks can repeat on.
+	 *
+	 * @return array<string, string>
+	 */
+	private function get_weekday_labels(): array {
+		return array_slice( $this->get_day_labels(), 0, 7, true );
+	}
+
 	/**
 	 * Add the meta box to the resource edit screen.
 	 */
@@ -181,6 +190,79 @@ class Resource_Schedule_Meta_Box {
 			);
 			?>
 		</script>
+
+		<h4><?php esc_html_e( 'Breaks', 'vk-booking-manager' ); ?></h4>
+		<p class="description"><?php esc_html_e( 'Breaks such as lunch are added to the shifts created from this template and are not bookable.', 'vk-booking-manager' ); ?></p>
+		<div class="vkbm-resource-schedule-breaks" id="vkbm-resource-schedule-breaks" data-next-index="<?php echo esc_attr( (string) count( $template['breaks'] ) ); ?>">
+			<?php foreach ( array_values( $template['breaks'] ) as $break_index => $break ) : ?>
+				<?php $this->render_break_row( (string) $break_index, is_array( $break ) ? $break : array() ); ?>
+			<?php endforeach; ?>
+		</div>
+		<button type="button" class="button vkbm-resource-schedule-add-break">
+			<?php esc_html_e( 'Add break', 'vk-booking-manager' ); ?>
+		</button>
+
+		<script type="text/template" id="vkbm-resource-schedule-break-template">
+			<?php
+			$this->render_break_row(
+				'__INDEX__',
+				array(
+					'days' => array( 'mon', 'tue', 'wed', 'thu', 'fri' ),
+				)
+			);
+			?>
+		</script>
+		<?php
+	}
+
+	/**
+	 * Render a break row.
+	 *
+	 * @param string               $index Break index.
+	 * @param array<string, mixed> $break Break definition.
+	 */
+	private function render_break_row( string $index, array $break ): void {
+		$name_prefix = sprintf( 'vkbm_resource_schedule[breaks][%s]', $index );
+		$break_days  = is_array( $break['days'] ?? null ) ? $break['days'] : array();
+		?>
+		<div class="vkbm-resource-schedule-break vkbm-schedule-slot">
+			<div class="vkbm-schedule-time-range">
+				<input
+					type="text"
+					class="vkbm-resource-schedule-break-label"
+					name="<?php echo esc_attr( $name_prefix . '[label]' ); ?>"
+					value="<?php echo esc_attr( (string) ( $break['label'] ?? '' ) ); ?>"
+					placeholder="<?php esc_attr_e( 'Lunch', 'vk-booking-manager' ); ?>"
+					aria-label="<?php esc_attr_e( 'Break name', 'vk-booking-manager' ); ?>"
+				/>
+				<input
+					type="time"
+					step="600"
+					name="<?php echo esc_attr( $name_prefix . '[start]' ); ?>"
+					value="<?php echo esc_attr( (string) ( $break['start'] ?? '' ) ); ?>"
+					aria-label="<?php esc_attr_e( 'Break start time', 'vk-booking-manager' ); ?>"
+				/>
+				<span class="vkbm-schedule-range-delimiter">〜</span>
+				<input
+					type="time"
+					step="600"
+					name="<?php echo esc_attr( $name_prefix . '[end]' ); ?>"
+					value="<?php echo esc_attr( (string) ( $break['end'] ?? '' ) ); ?>"
+					aria-label="<?php esc_attr_e( 'Break end time', 'vk-booking-manager' ); ?>"
+				/>
+				<button type="button" class="button-link-delete vkbm-resource-schedule-remove-break" aria-label="<?php esc_attr_e( 'Remove break', 'vk-booking-manager' ); ?>">
+					<?php esc_html_e( 'delete', 'vk-booking-manager' ); ?>
+				</button>
+			</div>
+			<div class="vkbm-resource-schedule-break-days">
+				<?php foreach ( $this->get_weekday_labels() as $day_key => $day_label ) : ?>
+					<label>
+						<input type="checkbox" name="<?php echo esc_attr( $name_prefix . '[days][]' ); ?>" value="<?php echo esc_attr( $day_key ); ?>" <?php checked( in_array( $day_key, $break_days, true ) ); ?> />
+						<?php echo esc_html( $day_label ); ?>
+					</label>
+				<?php endforeach; ?>
+			</div>
+		</div>
 		<?php
 	}
 
@@ -502,9 +584,44 @@ class Resource_Schedule_Meta_Box {
 		return array(
 			'use_provider_hours' => $use_provider_hours,
 			'days'               => $sanitized_days,
+			'breaks'             => $this->sanitize_breaks( is_array( $payload['breaks'] ?? null ) ? $payload['breaks'] : array() ),
 		);
 	}
 
+	/**
+	 * Sanitize break definitions, dropping rows without a valid time range or weekday.
+	 *
+	 * @param array $breaks Raw breaks.
+	 * @return array<int, array{label:string,start:string,end:string,days:array<int, string>}>
+	 */
+	private function sanitize_breaks( array $breaks ): array {
+		$sanitized    = array();
+		$weekday_keys = array_keys( $this->get_weekday_labels() );
+
+		foreach ( $breaks as $break ) {
+			if ( ! is_array( $break ) ) {
+				continue;
+			}
+
+			$start = $this->sanitize_time( (string) ( $break['start'] ?? '' ) );
+			$end   = $this->sanitize_time( (string) ( $break['end'] ?? '' ) );
+			$days  = array_values( array_intersect( $weekday_keys, is_array( $break['days'] ?? null ) ? array_map( 'strval', $break['days'] ) : array() ) );
+
+			if ( '' === $start || '24:00' === $start || '' === $end || strcmp( $end, $start ) <= 0 || empty( $days ) ) {
+				continue;
+			}
+
+			$sanitized[] = array(
+				'label' => sanitize_text_field( (string) ( $break['label'] ?? '' ) ),
+				'start' => $start,
+				'end'   => $end,
+				'days'  => $days,
+			);
+		}
+
+		return $sanitized;
+	}
+
 	/**
 	 * Normalize raw slot collection to start/end pairs.
 	 *
@@ -38,6 +38,7 @@ class Resource_Schedule_Template_Repository {
 			array(
 				'use_provider_hours' => ! empty( $stored['use_provider_hours'] ),
 				'days'               => is_array( $stored['days'] ?? null ) ? $stored['days'] : array(),
+				'breaks'             => is_array( $stored['breaks'] ?? null ) ? $stored['breaks'] : array(),
 			)
 		);
 	}
@@ -70,6 +71,8 @@ class Resource_Schedule_Template_Repository {
 		return array(
 			'use_provider_hours' => true,
 			'days'               => array(),
+			// Recurring breaks: list of {label, start, end, days}. / 休憩: {label, start, end, days} の配列.
+			'breaks'             => array(),
 		);
 	}
 }
@@ -87,6 +87,7 @@ class Availability_Controller {
 		$data = $this->service->get_calendar_meta(
 			array(
 				'menu_id'     => (int) $request['menu_id'],
+				'menu_ids'    => (array) $request['menu_ids'],
 				'resource_id' => isset( $request['resource_id'] ) ? (int) $request['resource_id'] : null,
 				'year'        => (int) $request['year'],
 				'month'       => (int) $request['month'],
@@ -111,6 +112,7 @@ class Availability_Controller {
 		$data = $this->service->get_daily_slots(
 			array(
 				'menu_id'     => (int) $request['menu_id'],
+				'menu_ids'    => (array) $request['menu_ids'],
 				'resource_id' => isset( $request['resource_id'] ) ? (int) $request['resource_id'] : null,
 				'date'        => (string) $request['date'],
 				'timezone'    => (string) $request['timezone'],
@@ -137,6 +139,15 @@ class Availability_Controller {
 				'description'       => __( 'Service menu post ID', 'vk-booking-manager' ),
 				'validate_callback' => 'rest_validate_request_arg',
 			),
+			'menu_ids'    => array(
+				'required'    => false,
+				'type'        => 'array',
+				'items'       => array(
+					'type' => 'integer',
+				),
+				'description' => __( 'Menu IDs booked together in one visit, in service order (optional)', 'vk-booking-manager' ),
+				'default'     => array(),
+			),
 			'resource_id' => array(
 				'required'          => false,
 				'type'              => 'integer',
@@ -174,6 +185,7 @@ class Availability_Controller {
 	private function get_daily_args(): array {
 		return array(
 			'menu_id'     => $this->get_calendar_args()['menu_id'],
+			'menu_ids'    => $this->get_calendar_args()['menu_ids'],
 			'resource_id' => $this->get_calendar_args()['resource_id'],
 			'date'        => array(
 				'required'    => true,
@@ -16,6 +16,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\Common\VKBM_Helper;
+use VKBookingManager\Payments\Payment_Gateways;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use VKBookingManager\Staff\Staff_Editor;
 use WP_REST_Response;
@@ -108,6 +109,7 @@ class Provider_Settings_Controller {
 		$terms_of_service    = isset( $settings['provider_terms_of_service'] ) ? (string) $settings['provider_terms_of_service'] : '';
 		$payment_method      = isset( $settings['provider_payment_method'] ) ? (string) $settings['provider_payment_method'] : '';
 		$staff_enabled       = Staff_Editor::is_enabled();
+		$payment_enabled     = null !== Payment_Gateways::get( (string) ( $settings['provider_payment_gateway'] ?? '' ) );
 
 		// 無料版ではデフォルトスタッフのIDを取得する.
 		$default_staff_id = 0;
@@ -135,6 +137,9 @@ class Provider_Settings_Controller {
 				'cancellation_policy'                => $cancellation_policy,
 				'terms_of_service'                   => $terms_of_service,
 				'payment_method'                     => $payment_method,
+				'online_payment_enabled'             => $payment_enabled,
+				'guest_booking_enabled'              => ! empty( $settings['provider_allow_guest_booking'] ),
+				'sms_enabled'                        => ! empty( $settings['sms_enabled'] ),
 			)
 		);
 	}
@@ -0,0 +1,369 @@
+<?php
+
+/**
+ * Provider-wide schedule exceptions.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Shifts;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use WP_Error;
+use WP_Query;
+use function __;
+use function get_option;
+use function get_post_meta;
+use function sanitize_key;
+use function sanitize_text_field;
+use function update_option;
+use function update_post_meta;
+use function wp_generate_uuid4;
+
+/**
+ * Stores date ranges that override every staff shift: closures and special business hours.
+ *
+ * Exceptions are applied when availability is computed, so they take effect without touching
+ * the monthly shift posts. When several exceptions cover the same day, the one added last wins.
+ * 全スタッフのシフトに優先する臨時休業・特別営業時間を期間単位で管理します。
+ */
+class Schedule_Exception_Repository {
+	public const OPTION_KEY = 'vkbm_schedule_exceptions';
+
+	public const TYPE_CLOSED = 'closed';
+	public const TYPE_HOURS  = 'hours';
+
+	public const MAX_DAYS = 366;
+
+	private const META_DAYS = '_vkbm_shift_days';
+
+	private const DAY_STATUS_OPEN             = 'open';
+	private const DAY_STATUS_TEMPORARY_OPEN   = 'temporary_open';
+	private const DAY_STATUS_TEMPORARY_CLOSED = 'temporary_closed';
+	private const DAY_STATUS_UNAVAILABLE      = 'unavailable';
+
+	/**
+	 * Exception types: type => label.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_type_labels(): array {
+		return array(
+			self::TYPE_CLOSED => __( 'Closed', 'vk-booking-manager' ),
+			self::TYPE_HOURS  => __( 'Special hours', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Get all exceptions keyed by ID, in the order they were added.
+	 *
+	 * @return array<string, array{id:string,start_date:string,end_date:string,type:string,slots:array<int, array{start:string,end:string}>,note:string,created_at:int}>
+	 */
+	public function get_exceptions(): array {
+		$stored = get_option( self::OPTION_KEY, array() );
+		if ( ! is_array( $stored ) ) {
+			return array();
+		}
+
+		$normalized = array();
+		foreach ( $stored as $exception ) {
+			if ( ! is_array( $exception ) || empty( $exception['id'] ) ) {
+				continue;
+			}
+
+			$normalized[ (string) $exception['id'] ] = array(
+				'id'         => (string) $exception['id'],
+				'start_date' => (string) ( $exception['start_date'] ?? '' ),
+				'end_date'   => (string) ( $exception['end_date'] ?? '' ),
+				'type'       => self::TYPE_HOURS === ( $exception['type'] ?? '' ) ? self::TYPE_HOURS : self::TYPE_CLOSED,
+				'slots'      => $this->normalize_slots( (array) ( $exception['slots'] ?? array() ) ),
+				'note'       => (string) ( $exception['note'] ?? '' ),
+				'created_at' => (int) ( $exception['created_at'] ?? 0 ),
+			);
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Find an exception.
+	 *
+	 * @param string $id Exception ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_exception( string $id ): ?array {
+		return $this->get_exceptions()[ $id ] ?? null;
+	}
+
+	/**
+	 * Validate and store a new exception.
+	 *
+	 * @param array<string, mixed> $input start_date, end_date (defaults to start_date), type, slots and note.
+	 * @return array<string, mixed>|WP_Error The stored exception.
+	 */
+	public function add_exception( array $input ) {
+		$start_date = (string) ( $input['start_date'] ?? '' );
+		$end_date   = '' !== (string) ( $input['end_date'] ?? '' ) ? (string) $input['end_date'] : $start_date;
+		$type       = sanitize_key( (string) ( $input['type'] ?? self::TYPE_CLOSED ) );
+		$slots      = $this->normalize_slots( (array) ( $input['slots'] ?? array() ) );
+
+		$start = $this->create_date( $start_date );
+		$end   = $this->create_date( $end_date );
+		if ( null === $start || null === $end || $end < $start ) {
+			return new WP_Error( 'invalid_period', __( 'Please enter a valid period.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		if ( $start->diff( $end )->days >= self::MAX_DAYS ) {
+			/* translators: %d: maximum number of days. */
+			return new WP_Error( 'period_too_long', sprintf( __( 'A period can span at most %d days.', 'vk-booking-manager' ), self::MAX_DAYS ), array( 'status' => 400 ) );
+		}
+
+		if ( ! isset( self::get_type_labels()[ $type ] ) ) {
+			return new WP_Error( 'invalid_type', __( 'The exception type is invalid.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		if ( self::TYPE_HOURS === $type && array() === $slots ) {
+			return new WP_Error( 'invalid_hours', __( 'Please enter business hours with the end after the start.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$exception = array(
+			'id'         => wp_generate_uuid4(),
+			'start_date' => $start_date,
+			'end_date'   => $end_date,
+			'type'       => $type,
+			'slots'      => self::TYPE_HOURS === $type ? $slots : array(),
+			'note'       => sanitize_text_field( (string) ( $input['note'] ?? '' ) ),
+			'created_at' => time(),
+		);
+
+		$exceptions                     = $this->get_exceptions();
+		$exceptions[ $exception['id'] ] = $exception;
+		update_option( self::OPTION_KEY, $exceptions, false );
+
+		return $exception;
+	}
+
+	/**
+	 * Remove an exception. Shift posts it was applied to are left as they are.
+	 *
+	 * @param string $id Exception ID.
+	 */
+	public function delete_exception( string $id ): void {
+		$exceptions = $this->get_exceptions();
+		unset( $exceptions[ $id ] );
+		update_option( self::OPTION_KEY, $exceptions, false );
+	}
+
+	/**
+	 * Exception in effect on a date.
+	 *
+	 * @param string $date Date (Y-m-d).
+	 * @return array<string, mixed>|null
+	 */
+	public function get_exception_for_date( string $date ): ?array {
+		$found = null;
+		foreach ( $this->get_exceptions() as $exception ) {
+			if ( $exception['start_date'] <= $date && $date <= $exception['end_date'] ) {
+				$found = $exception;
+			}
+		}
+
+		return $found;
+	}
+
+	/**
+	 * Override the shift days of a month with the exceptions that cover it.
+	 *
+	 * Closures close every day they cover. Special hours replace the hours of staff who work
+	 * that day (including regular holidays), while days the staff is unavailable stay off.
+	 * 休業は全日を休みに、特別営業時間は出勤予定のスタッフの営業時間を置き換えます。
+	 *
+	 * @param int                              $year  Year.
+	 * @param int                              $month Month (1-12).
+	 * @param array<int, array<string, mixed>> $days  Shift day entries keyed by day of month.
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function apply_to_month( int $year, int $month, array $days ): array {
+		foreach ( $this->get_exceptions() as $exception ) {
+			$days = $this->apply_exception_to_month( $exception, $year, $month, $days );
+		}
+
+		return $days;
+	}
+
+	/**
+	 * Write an exception into the shift posts of the months it covers.
+	 *
+	 * @param string $id Exception ID.
+	 * @return int Number of shift posts updated.
+	 */
+	public function apply_to_shift_posts( string $id ): int {
+		$exception = $this->get_exception( $id );
+		if ( null === $exception ) {
+			return 0;
+		}
+
+		$updated = 0;
+		$month   = $this->create_date( substr( $exception['start_date'], 0, 7 ) . '-01' );
+		$last    = $this->create_date( substr( $exception['end_date'], 0, 7 ) . '-01' );
+
+		while ( null !== $month && null !== $last && $month <= $last ) {
+			$year_number  = (int) $month->format( 'Y' );
+			$month_number = (int) $month->format( 'n' );
+
+			foreach ( $this->get_shift_post_ids( $year_number, $month_number ) as $post_id ) {
+				$days    = get_post_meta( $post_id, self::META_DAYS, true );
+				$days    = is_array( $days ) ? $days : array();
+				$changed = $this->apply_exception_to_month( $exception, $year_number, $month_number, $days );
+
+				if ( $changed !== $days ) {
+					update_post_meta( $post_id, self::META_DAYS, $changed );
+					++$updated;
+				}
+			}
+
+			$month = $month->modify( '+1 month' );
+		}
+
+		return $updated;
+	}
+
+	/**
+	 * Override the days of a month covered by a single exception.
+	 *
+	 * @param array<string, mixed>             $exception Exception.
+	 * @param int                              $year      Year.
+	 * @param int                              $month     Month (1-12).
+	 * @param array<int, array<string, mixed>> $days      Shift day entries.
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function apply_exception_to_month( array $exception, int $year, int $month, array $days ): array {
+		$days_in_month = (int) gmdate( 't', gmmktime( 0, 0, 0, $month, 1, $year ) );
+		for ( $day = 1; $day <= $days_in_month; $day++ ) {
+			$date = sprintf( '%04d-%02d-%02d', $year, $month, $day );
+			if ( $exception['start_date'] > $date || $date > $exception['end_date'] ) {
+				continue;
+			}
+
+			$entry = $this->apply_to_day( $exception, $days[ $day ] ?? null );
+			if ( null !== $entry ) {
+				$days[ $day ] = $entry;
+			}
+		}
+
+		ksort( $days );
+
+		return $days;
+	}
+
+	/**
+	 * Day entry after applying an exception, or null to leave the day as it is.
+	 *
+	 * @param array<string, mixed>      $exception Exception.
+	 * @param array<string, mixed>|null $entry     Current day entry, null when the staff has none.
+	 * @return array<string, mixed>|null
+	 */
+	private function apply_to_day( array $exception, ?array $entry ): ?array {
+		if ( self::TYPE_CLOSED === $exception['type'] ) {
+			return array(
+				'status' => self::DAY_STATUS_TEMPORARY_CLOSED,
+				'slots'  => array(),
+			);
+		}
+
+		$status = (string) ( $entry['status'] ?? '' );
+		if ( null === $entry || self::DAY_STATUS_UNAVAILABLE === $status ) {
+			return null;
+		}
+
+		// Breaks and other day data stay; only the hours change. / 休憩などは残し、営業時間のみ置き換える.
+		return array_merge(
+			$entry,
+			array(
+				'status' => self::DAY_STATUS_OPEN === $status ? self::DAY_STATUS_OPEN : self::DAY_STATUS_TEMPORARY_OPEN,
+				'slots'  => $exception['slots'],
+			)
+		);
+	}
+
+	/**
+	 * Shift posts of a month.
+	 *
+	 * @param int $year  Year.
+	 * @param int $month Month (1-12).
+	 * @return array<int, int>
+	 */
+	private function get_shift_post_ids( int $year, int $month ): array {
+		$query = new WP_Query(
+			array(
+				'post_type'      => Shift_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish', 'draft', 'pending', 'future', 'private' ),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+				'fields'         => 'ids',
+				'meta_query'     => array(
+					array(
+						'key'   => Shift_Editor::META_YEAR,
+						'value' => $year,
+					),
+					array(
+						'key'   => Shift_Editor::META_MONTH,
+						'value' => $month,
+					),
+				),
+			)
+		);
+
+		return array_map( 'intval', $query->posts );
+	}
+
+	/**
+	 * Keep the valid HH:MM slots with the end after the start.
+	 *
+	 * @param array<int, mixed> $slots Raw slots.
+	 * @return array<int, array{start:string,end:string}>
+	 */
+	private function normalize_slots( array $slots ): array {
+		$normalized = array();
+		foreach ( $slots as $slot ) {
+			$start = is_array( $slot ) ? (string) ( $slot['start'] ?? '' ) : '';
+			$end   = is_array( $slot ) ? (string) ( $slot['end'] ?? '' ) : '';
+			if ( ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $start ) || ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/', $end ) || $end <= $start ) {
+				continue;
+			}
+
+			$normalized[] = array(
+				'start' => $start,
+				'end'   => $end,
+			);
+		}
+
+		usort(
+			$normalized,
+			static function ( array $a, array $b ): int {
+				return strcmp( $a['start'], $b['start'] );
+			}
+		);
+
+		return $normalized;
+	}
+
+	/**
+	 * Parse a real Y-m-d date.
+	 *
+	 * @param string $date Value.
+	 * @return DateTimeImmutable|null
+	 */
+	private function create_date( string $date ): ?DateTimeImmutable {
+		$parsed = DateTimeImmutable::createFromFormat( '!Y-m-d', $date );
+
+		return $parsed instanceof DateTimeImmutable && $parsed->format( 'Y-m-d' ) === $date ? $parsed : null;
+	}
+}
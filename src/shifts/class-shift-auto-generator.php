@@ -0,0 +1,261 @@
+<?php
+
+/**
+ * Scheduled shift generation.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Shifts;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use function __;
+use function add_action;
+use function add_query_arg;
+use function admin_url;
+use function check_admin_referer;
+use function current_action;
+use function current_user_can;
+use function delete_option;
+use function esc_html;
+use function esc_html__;
+use function esc_html_e;
+use function esc_url;
+use function get_current_screen;
+use function get_edit_post_link;
+use function get_option;
+use function get_the_title;
+use function update_option;
+use function update_post_meta;
+use function wp_clear_scheduled_hook;
+use function wp_die;
+use function wp_get_referer;
+use function wp_next_scheduled;
+use function wp_nonce_url;
+use function wp_safe_redirect;
+use function wp_schedule_event;
+use function wp_timezone;
+
+/**
+ * Keeps the shifts of the coming months generated from the staff schedule templates.
+ *
+ * Opt-in through the "shift_auto_generate_months" provider setting. Only missing shifts are
+ * created, so shifts edited by hand are never overwritten. What was created is collected in
+ * a digest shown to administrators until they dismiss it.
+ * 指定した月数先までのシフトをテンプレートから自動作成し、作成結果を管理画面に表示します。
+ */
+class Shift_Auto_Generator {
+	public const CRON_ACTION         = 'vkbm_shift_auto_generate';
+	public const DIGEST_OPTION       = 'vkbm_shift_auto_generate_digest';
+	public const META_AUTO_GENERATED = '_vkbm_shift_auto_generated';
+	public const MAX_MONTHS          = 6;
+
+	private const DISMISS_ACTION = 'vkbm_dismiss_shift_digest';
+	private const MAX_DIGEST     = 100;
+
+	/**
+	 * Shift editor used to derive and create the shifts.
+	 *
+	 * @var Shift_Editor
+	 */
+	private $shift_editor;
+
+	/**
+	 * Provider settings repository.
+	 *
+	 * @var Settings_Repository
+	 */
+	private $settings_repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Shift_Editor             $shift_editor        Shift editor used to derive and create the shifts.
+	 * @param Settings_Repository|null $settings_repository Provider settings repository.
+	 */
+	public function __construct( Shift_Editor $shift_editor, ?Settings_Repository $settings_repository = null ) {
+		$this->shift_editor        = $shift_editor;
+		$this->settings_repository = $settings_repository ?? new Settings_Repository();
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( self::CRON_ACTION, array( $this, 'run' ) );
+		add_action( 'init', array( $this, 'ensure_schedule' ) );
+		add_action( 'admin_notices', array( $this, 'render_digest_notice' ) );
+		add_action( 'vkbm_shift_dashboard_notices', array( $this, 'render_digest_notice' ) );
+		add_action( 'admin_post_' . self::DISMISS_ACTION, array( $this, 'handle_dismiss' ) );
+	}
+
+	/**
+	 * Number of months generated ahead of the current month (0 when disabled).
+	 *
+	 * @return int
+	 */
+	public function get_months_ahead(): int {
+		$settings = $this->settings_repository->get_settings();
+		$months   = isset( $settings['shift_auto_generate_months'] ) ? (int) $settings['shift_auto_generate_months'] : 0;
+
+		return min( self::MAX_MONTHS, max( 0, $months ) );
+	}
+
+	/**
+	 * Schedule the daily run while enabled, and remove it otherwise.
+	 */
+	public function ensure_schedule(): void {
+		$next_scheduled = wp_next_scheduled( self::CRON_ACTION );
+
+		if ( 0 === $this->get_months_ahead() ) {
+			if ( $next_scheduled ) {
+				wp_clear_scheduled_hook( self::CRON_ACTION );
+			}
+			return;
+		}
+
+		if ( ! $next_scheduled ) {
+			wp_schedule_event( time() + 300, 'daily', self::CRON_ACTION );
+		}
+	}
+
+	/**
+	 * Cron callback: create the missing shifts from the current month to the configured month.
+	 *
+	 * @return array<int, int> IDs of the created shift posts.
+	 */
+	public function run(): array {
+		$months_ahead = $this->get_months_ahead();
+		if ( 0 === $months_ahead ) {
+			return array();
+		}
+
+		$now     = new DateTimeImmutable( 'now', wp_timezone() );
+		$current = $now->setDate( (int) $now->format( 'Y' ), (int) $now->format( 'n' ), 1 );
+		$created = array();
+
+		for ( $offset = 0; $offset <= $months_ahead; $offset++ ) {
+			$target = $current->modify( sprintf( '+%d months', $offset ) );
+			$result = $this->shift_editor->create_missing_shifts( (int) $target->format( 'Y' ), (int) $target->format( 'n' ), 'publish' );
+
+			foreach ( $result['created'] as $post_id ) {
+				update_post_meta( $post_id, self::META_AUTO_GENERATED, time() );
+				$created[] = $post_id;
+			}
+		}
+
+		if ( array() !== $created ) {
+			$this->add_to_digest( $created );
+		}
+
+		return $created;
+	}
+
+	/**
+	 * Shifts created since the digest was last dismissed, oldest first.
+	 *
+	 * @return array<int, array{post_id:int,title:string,created_at:int}>
+	 */
+	public function get_digest(): array {
+		$digest = get_option( self::DIGEST_OPTION, array() );
+
+		return is_array( $digest ) ? array_values( array_filter( $digest, 'is_array' ) ) : array();
+	}
+
+	/**
+	 * Show the digest on the shift list and the shift dashboard.
+	 */
+	public function render_digest_notice(): void {
+		if ( 'admin_notices' === current_action() && ! $this->is_shift_list_screen() ) {
+			return;
+		}
+
+		$digest = $this->get_digest();
+		if ( array() === $digest || ! current_user_can( Capabilities::MANAGE_STAFF ) ) {
+			return;
+		}
+
+		$dismiss_url = wp_nonce_url( add_query_arg( 'action', self::DISMISS_ACTION, admin_url( 'admin-post.php' ) ), self::DISMISS_ACTION );
+		?>
+		<div class="notice notice-info">
+			<p>
+				<?php
+				echo esc_html(
+					sprintf(
+						/* translators: %d: number of shifts. */
+						__( 'Automatic shift generation created %d shifts. Please review them.', 'vk-booking-manager' ),
+						count( $digest )
+					)
+				);
+				?>
+			</p>
+			<ul>
+				<?php foreach ( $digest as $item ) : ?>
+					<?php $edit_link = get_edit_post_link( (int) $item['post_id'] ); ?>
+					<li>
+						<?php if ( $edit_link ) : ?>
+							<a href="<?php echo esc_url( $edit_link ); ?>"><?php echo esc_html( (string) $item['title'] ); ?></a>
+						<?php else : ?>
+							<?php echo esc_html( (string) $item['title'] ); ?>
+						<?php endif; ?>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+			<p><a class="button" href="<?php echo esc_url( $dismiss_url ); ?>"><?php esc_html_e( 'Dismiss', 'vk-booking-manager' ); ?></a></p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Clear the digest.
+	 */
+	public function handle_dismiss(): void {
+		if ( ! current_user_can( Capabilities::MANAGE_STAFF ) ) {
+			wp_die( esc_html__( 'You do not have permission to access this page.', 'vk-booking-manager' ) );
+		}
+
+		check_admin_referer( self::DISMISS_ACTION );
+		delete_option( self::DIGEST_OPTION );
+
+		wp_safe_redirect( wp_get_referer() ? wp_get_referer() : admin_url( 'edit.php?post_type=' . Shift_Post_Type::POST_TYPE ) );
+		exit;
+	}
+
+	/**
+	 * Append created shifts to the digest, keeping the most recent ones.
+	 *
+	 * @param array<int, int> $post_ids Created shift post IDs.
+	 */
+	private function add_to_digest( array $post_ids ): void {
+		$digest = $this->get_digest();
+		foreach ( $post_ids as $post_id ) {
+			$digest[] = array(
+				'post_id'    => $post_id,
+				'title'      => get_the_title( $post_id ),
+				'created_at' => time(),
+			);
+		}
+
+		update_option( self::DIGEST_OPTION, array_slice( $digest, -self::MAX_DIGEST ), false );
+	}
+
+	/**
+	 * Whether the current screen is the shift list.
+	 *
+	 * @return bool
+	 */
+	private function is_shift_list_screen(): bool {
+		$screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
+
+		return null !== $screen && 'edit-' . Shift_Post_Type::POST_TYPE === $screen->id;
+	}
+}
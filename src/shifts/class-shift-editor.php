@@ -16,6 +16,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use VKBookingManager\Assets\Common_Styles;
 use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Holidays\Holiday_Calendar;
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\PostTypes\Shift_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
@@ -55,6 +56,40 @@ class Shift_Editor {
 		self::DAY_STATUS_UNAVAILABLE,
 	);
 
+	/**
+	 * Public holiday calendar.
+	 *
+	 * @var Holiday_Calendar
+	 */
+	private $holiday_calendar;
+
+	/**
+	 * Provider-wide closures and special hours.
+	 *
+	 * @var Schedule_Exception_Repository
+	 */
+	private $schedule_exceptions;
+
+	/**
+	 * Staff time-off requests.
+	 *
+	 * @var Time_Off_Repository
+	 */
+	private $time_off;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Holiday_Calendar|null              $holiday_calendar    Public holiday calendar.
+	 * @param Schedule_Exception_Repository|null $schedule_exceptions Provider-wide closures and special hours.
+	 * @param Time_Off_Repository|null           $time_off            Staff time-off requests.
+	 */
+	public function __construct( ?Holiday_Calendar $holiday_calendar = null, ?Schedule_Exception_Repository $schedule_exceptions = null, ?Time_Off_Repository $time_off = null ) {
+		$this->holiday_calendar    = $holiday_calendar ?? new Holiday_Calendar();
+		$this->schedule_exceptions = $schedule_exceptions ?? new Schedule_Exception_Repository();
+		$this->time_off            = $time_off ?? new Time_Off_Repository();
+	}
+
 	/**
 	 * Register hooks.
 	 */
@@ -81,7 +116,16 @@ class Shift_Editor {
 		$year        = $this->sanitize_year( $year );
 		$month       = $this->sanitize_month( $month );
 
-		return $this->derive_days_from_template( $resource_id, $year, $month );
+		$days = $this->derive_days_from_template( $resource_id, $year, $month );
+		if ( $year <= 0 || $month <= 0 ) {
+			return $days;
+		}
+
+		// Provider-wide closures and special hours. / 臨時休業・特別営業時間を反映.
+		$days = $this->schedule_exceptions->apply_to_month( $year, $month, $days );
+
+		// Approved time off of the staff. / 承認済みの休暇を反映.
+		return $this->time_off->apply_to_month( $resource_id, $year, $month, $days );
 	}
 
 	/**
@@ -370,6 +414,7 @@ class Shift_Editor {
 					'noResource'    => __( 'Please select staff (resources).', 'vk-booking-manager' ),
 					'statusLabel'   => __( 'Operational status', 'vk-booking-manager' ),
 					'closedMessage' => __( 'You cannot set the time zone in this status.', 'vk-booking-manager' ),
+					'breakLabel'    => __( 'Break', 'vk-booking-manager' ),
 					'weekdayShort'  => array(
 						'sun' => __( 'Sun', 'vk-booking-manager' ),
 						'mon' => __( 'Mon', 'vk-booking-manager' ),
@@ -516,7 +561,35 @@ class Shift_Editor {
 			exit;
 		}
 
-		$created = 0;
+		$result = $this->create_missing_shifts( $year, $month );
+
+		$redirect_url = add_query_arg(
+			array(
+				'vkbm_shift_bulk_created' => (string) count( $result['created'] ),
+				'vkbm_shift_bulk_skipped' => (string) $result['skipped'],
+				'vkbm_shift_bulk_year'    => (string) $year,
+				'vkbm_shift_bulk_month'   => (string) $month,
+			),
+			$redirect_base
+		);
+
+		wp_safe_redirect( $redirect_url );
+		exit;
+	}
+
+	/**
+	 * Create the shifts of a month for every published staff member that has none yet.
+	 *
+	 * Existing shifts are never touched, whatever their status.
+	 * 既存のシフトは状態にかかわらず変更しません。
+	 *
+	 * @param int    $year        Year.
+	 * @param int    $month       Month (1-12).
+	 * @param string $post_status Status of the created shift posts.
+	 * @return array{created: array<int, int>, skipped: int} Created post IDs and the number of staff skipped.
+	 */
+	public function create_missing_shifts( int $year, int $month, string $post_status = 'draft' ): array {
+		$created = array();
 		$skipped = 0;
 
 		$resources = $this->get_resource_posts();
@@ -543,7 +616,7 @@ class Shift_Editor {
 			$post_id = wp_insert_post(
 				array(
 					'post_type'   => Shift_Post_Type::POST_TYPE,
-					'post_status' => 'draft',
+					'post_status' => $post_status,
 					'post_title'  => $title,
 				),
 				true
@@ -562,21 +635,13 @@ class Shift_Editor {
 				update_post_meta( (int) $post_id, self::META_DEFAULT_STAFF_FLAG, 1 );
 			}
 
-			++$created;
+			$created[] = (int) $post_id;
 		}
 
-		$redirect_url = add_query_arg(
-			array(
-				'vkbm_shift_bulk_created' => (string) $created,
-				'vkbm_shift_bulk_skipped' => (string) $skipped,
-				'vkbm_shift_bulk_year'    => (string) $year,
-				'vkbm_shift_bulk_month'   => (string) $month,
-			),
-			$redirect_base
+		return array(
+			'created' => $created,
+			'skipped' => $skipped,
 		);
-
-		wp_safe_redirect( $redirect_url );
-		exit;
 	}
 
 	/**
@@ -943,16 +1008,10 @@ class Shift_Editor {
 				}
 			}
 
-			$slots = $this->normalize_slot_collection( $slots_input );
-
-			if ( $this->is_closed_status( $status ) ) {
-				$slots = array();
-			}
+			$slots  = $this->normalize_slot_collection( $slots_input );
+			$breaks = is_array( $entry ) && isset( $entry['breaks'] ) && is_array( $entry['breaks'] ) ? $entry['breaks'] : array();
 
-			$normalized[ $day_number ] = array(
-				'status' => $status,
-				'slots'  => $slots,
-			);
+			$normalized[ $day_number ] = $this->build_day_entry( $status, $slots, $this->normalize_break_collection( $breaks ) );
 		}
 
 		return $normalized;
@@ -1009,32 +1068,66 @@ class Shift_Editor {
 
 		$days_in_month      = (int) wp_date( 't', gmmktime( 0, 0, 0, $month, 1, $year ) );
 		$template_days      = is_array( $template['days'] ?? null ) ? $template['days'] : array();
+		$template_breaks    = is_array( $template['breaks'] ?? null ) ? $template['breaks'] : array();
 		$use_provider_hours = ! empty( $template['use_provider_hours'] );
 		$provider_settings  = $use_provider_hours ? $this->get_provider_settings() : array();
 		$derived            = array();
 
 		for ( $day = 1; $day <= $days_in_month; $day++ ) {
 			$weekday_key    = $this->get_weekday_key( (int) gmdate( 'w', gmmktime( 0, 0, 0, $month, $day, $year ) ) );
-			$template_slots = $this->normalize_slot_collection( $template_days[ $weekday_key ] ?? array() );
+			$date           = sprintf( '%04d-%02d-%02d', $year, $month, $day );
+			$template_slots = $this->get_template_day_slots( $template_days, $weekday_key, $date );
 
 			if ( empty( $template_slots ) && $use_provider_hours ) {
-				$template_slots = $this->get_provider_day_slots( $provider_settings, $weekday_key );
+				$template_slots = $this->get_provider_slots_for_date( $provider_settings, $weekday_key, $date );
 			}
 
 			$status = $this->determine_default_day_status( $weekday_key, $year, $month, $day, $holiday_rules );
 
-			if ( ! empty( $template_slots ) && $this->is_closed_status( $status ) && self::DAY_STATUS_REGULAR_HOLIDAY !== $status ) {
+			if ( ! empty( $template_slots ) && $this->is_closed_status( $status ) && ! in_array( $status, array( self::DAY_STATUS_REGULAR_HOLIDAY, self::DAY_STATUS_TEMPORARY_CLOSED ), true ) ) {
 				$status = self::DAY_STATUS_TEMPORARY_OPEN;
 			}
 
 			if ( ! empty( $template_slots ) || $this->is_closed_status( $status ) ) {
-				$derived[ $day ] = $this->build_day_entry( $status, $template_slots );
+				$derived[ $day ] = $this->build_day_entry( $status, $template_slots, $this->get_template_day_breaks( $template_breaks, $weekday_key, $template_slots ) );
 			}
 		}
 
 		return $derived;
 	}
 
+	/**
+	 * Get the template breaks repeating on a weekday that fall within the day's working hours.
+	 *
+	 * @param array<int, mixed>                 $template_breaks Template break definitions.
+	 * @param string                            $weekday_key     Weekday key (sun, mon, ...).
+	 * @param array<int, array<string, string>> $slots           Working slots of the day.
+	 * @return array<int, array<string, string>>
+	 */
+	private function get_template_day_breaks( array $template_breaks, string $weekday_key, array $slots ): array {
+		$repeating = array_filter(
+			$template_breaks,
+			static function ( $definition ) use ( $weekday_key ): bool {
+				return is_array( $definition ) && in_array( $weekday_key, (array) ( $definition['days'] ?? array() ), true );
+			}
+		);
+
+		return array_values(
+			array_filter(
+				$this->normalize_break_collection( $repeating ),
+				static function ( array $day_break ) use ( $slots ): bool {
+					foreach ( $slots as $slot ) {
+						if ( $day_break['start'] < $slot['end'] && $slot['start'] < $day_break['end'] ) {
+							return true;
+						}
+					}
+
+					return false;
+				}
+			)
+		);
+	}
+
 	/**
 	 * Derive days from provider settings (basic + weekly hours).
 	 *
@@ -1050,7 +1143,7 @@ class Shift_Editor {
 
 		for ( $day = 1; $day <= $days_in_month; $day++ ) {
 			$weekday_key = $this->get_weekday_key( (int) gmdate( 'w', gmmktime( 0, 0, 0, $month, $day, $year ) ) );
-			$day_slots   = $this->get_provider_day_slots( $provider_settings, $weekday_key );
+			$day_slots   = $this->get_provider_slots_for_date( $provider_settings, $weekday_key, sprintf( '%04d-%02d-%02d', $year, $month, $day ) );
 			$status      = $this->determine_default_day_status( $weekday_key, $year, $month, $day, $holiday_rules );
 
 			if ( ! empty( $day_slots ) || $this->is_closed_status( $status ) ) {
@@ -1062,7 +1155,7 @@ class Shift_Editor {
 	}
 
 	/**
-	 * Determine the default day status based on provider holiday rules.
+	 * Determine the default day status based on provider holiday rules and closure days.
 	 *
 	 * @param string                            $weekday_key Weekday key (sun, mon, ...).
 	 * @param int                               $year        Year.
@@ -1072,9 +1165,16 @@ class Shift_Editor {
 	 * @return string
 	 */
 	private function determine_default_day_status( string $weekday_key, int $year, int $month, int $day, array $holiday_rules ): string {
-		return $this->is_regular_holiday_date( $weekday_key, $year, $month, $day, $holiday_rules )
-			? self::DAY_STATUS_REGULAR_HOLIDAY
-			: self::DAY_STATUS_OPEN;
+		if ( $this->is_regular_holiday_date( $weekday_key, $year, $month, $day, $holiday_rules ) ) {
+			return self::DAY_STATUS_REGULAR_HOLIDAY;
+		}
+
+		// Closure days from the holiday calendar. / 休日カレンダーの休業日.
+		if ( $this->holiday_calendar->is_closed( sprintf( '%04d-%02d-%02d', $year, $month, $day ) ) ) {
+			return self::DAY_STATUS_TEMPORARY_CLOSED;
+		}
+
+		return self::DAY_STATUS_OPEN;
 	}
 
 	/**
@@ -1181,6 +1281,58 @@ class Shift_Editor {
 		return $this->normalize_slot_collection( $slots );
 	}
 
+	/**
+	 * Get provider slots for a date, using the holiday hours on and before public holidays.
+	 *
+	 * Falls back to the weekday hours when the holiday hours are not set.
+	 * 祝日・祝前日の営業時間が未設定の場合は曜日の営業時間を使います。
+	 *
+	 * @param array<string, mixed> $provider_settings Provider settings array.
+	 * @param string               $weekday_key       Weekday key (sun, mon, ...).
+	 * @param string               $date              Date (Y-m-d).
+	 * @return array<int, array<string, string>>
+	 */
+	private function get_provider_slots_for_date( array $provider_settings, string $weekday_key, string $date ): array {
+		$weekly = isset( $provider_settings['provider_business_hours_weekly'] ) && is_array( $provider_settings['provider_business_hours_weekly'] )
+			? $provider_settings['provider_business_hours_weekly']
+			: array();
+
+		foreach ( $this->holiday_calendar->get_day_keys( $date ) as $day_key ) {
+			if ( empty( $weekly[ $day_key ]['use_custom'] ) ) {
+				continue;
+			}
+
+			$slots = $this->normalize_slot_collection( $weekly[ $day_key ]['time_slots'] ?? array() );
+			if ( ! empty( $slots ) ) {
+				return $slots;
+			}
+		}
+
+		return $this->get_provider_day_slots( $provider_settings, $weekday_key );
+	}
+
+	/**
+	 * Get resource template slots for a date, preferring the holiday entries on and before public holidays.
+	 *
+	 * @param array<string, mixed> $template_days Template slots keyed by day key.
+	 * @param string               $weekday_key   Weekday key (sun, mon, ...).
+	 * @param string               $date          Date (Y-m-d).
+	 * @return array<int, array<string, string>>
+	 */
+	private function get_template_day_slots( array $template_days, string $weekday_key, string $date ): array {
+		$day_keys   = $this->holiday_calendar->get_day_keys( $date );
+		$day_keys[] = $weekday_key;
+
+		foreach ( $day_keys as $day_key ) {
+			$slots = $this->normalize_slot_collection( $template_days[ $day_key ] ?? array() );
+			if ( ! empty( $slots ) ) {
+				return $slots;
+			}
+		}
+
+		return array();
+	}
+
 	/**
 	 * Normalize raw slot data to start/end pairs.
 	 *
@@ -1219,22 +1371,62 @@ class Shift_Editor {
 		return $normalized;
 	}
 
+	/**
+	 * Normalize raw break data to start/end pairs with an optional label.
+	 *
+	 * @param array<int, mixed> $breaks Raw break definition.
+	 * @return array<int, array<string, string>>
+	 */
+	private function normalize_break_collection( array $breaks ): array {
+		$normalized = array();
+
+		foreach ( $breaks as $day_break ) {
+			if ( ! is_array( $day_break ) ) {
+				continue;
+			}
+
+			$slot = $this->normalize_slot_collection( array( $day_break ) );
+			if ( empty( $slot ) ) {
+				continue;
+			}
+
+			$normalized[] = array_merge(
+				$slot[0],
+				array( 'label' => sanitize_text_field( (string) ( $day_break['label'] ?? '' ) ) )
+			);
+		}
+
+		return $normalized;
+	}
+
 	/**
 	 * Build a normalized day entry.
 	 *
+	 * Breaks are stored apart from the slots so the working hours stay whole; the key is
+	 * only present when the day has breaks.
+	 * 休憩は勤務枠とは別に保持し、休憩がある日のみキーを持たせる.
+	 *
 	 * @param string                            $status Status value.
-	 * @param array<int, array<string, string>> $slots Slot collection.
+	 * @param array<int, array<string, string>> $slots  Slot collection.
+	 * @param array<int, array<string, string>> $breaks Break collection.
 	 * @return array<string, mixed>
 	 */
-	private function build_day_entry( string $status, array $slots ): array {
+	private function build_day_entry( string $status, array $slots, array $breaks = array() ): array {
 		if ( $this->is_closed_status( $status ) ) {
-			$slots = array();
+			$slots  = array();
+			$breaks = array();
 		}
 
-		return array(
+		$entry = array(
 			'status' => $status,
 			'slots'  => $slots,
 		);
+
+		if ( ! empty( $breaks ) ) {
+			$entry['breaks'] = $breaks;
+		}
+
+		return $entry;
 	}
 
 	/**
@@ -0,0 +1,618 @@
+<?php
+
+/**
+ * Staff time-off requests.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Shifts;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use DateTimeImmutable;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use WP_Error;
+use WP_Query;
+use function __;
+use function get_option;
+use function get_post_meta;
+use function get_post_type;
+use function get_user_meta;
+use function sanitize_text_field;
+use function update_option;
+use function update_post_meta;
+use function wp_generate_uuid4;
+use function wp_timezone;
+
+/**
+ * Stores time-off requests submitted by staff and applies the approved ones to their shifts.
+ *
+ * A request covers whole days, or a time range of a single day (partial day off).
+ * Approving a request closes the covered days of the staff's existing shift posts and
+ * keeps affecting shifts created later for those months.
+ * スタッフの休暇申請を管理し、承認された申請をシフトに反映します。
+ */
+class Time_Off_Repository {
+	public const OPTION_KEY  = 'vkbm_time_off_requests';
+	public const MAX_ENTRIES = 500;
+	public const MAX_DAYS    = 31;
+
+	/**
+	 * User meta linking a WordPress user to the staff (resource post) they work as.
+	 */
+	public const USER_META_RESOURCE = 'vkbm_staff_resource_id';
+
+	public const STATUS_PENDING   = 'pending';
+	public const STATUS_APPROVED  = 'approved';
+	public const STATUS_REJECTED  = 'rejected';
+	public const STATUS_CANCELLED = 'cancelled';
+
+	private const META_DAYS = '_vkbm_shift_days';
+
+	private const DAY_STATUS_UNAVAILABLE = 'unavailable';
+	private const CLOSED_DAY_STATUSES    = array( 'regular_holiday', 'temporary_closed', 'unavailable' );
+
+	private const META_BOOKING_START     = '_vkbm_booking_service_start';
+	private const META_BOOKING_END       = '_vkbm_booking_service_end';
+	private const META_BOOKING_TOTAL_END = '_vkbm_booking_total_end';
+	private const META_BOOKING_RESOURCE  = '_vkbm_booking_resource_id';
+	private const META_BOOKING_STATUS    = '_vkbm_booking_status';
+
+	/**
+	 * Request statuses: status => label.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_status_labels(): array {
+		return array(
+			self::STATUS_PENDING   => __( 'Pending', 'vk-booking-manager' ),
+			self::STATUS_APPROVED  => __( 'Approved', 'vk-booking-manager' ),
+			self::STATUS_REJECTED  => __( 'Rejected', 'vk-booking-manager' ),
+			self::STATUS_CANCELLED => __( 'Cancelled', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Staff (resource post) the user is linked to, 0 when none.
+	 *
+	 * @param int $user_id User ID.
+	 * @return int
+	 */
+	public function get_resource_id_for_user( int $user_id ): int {
+		if ( $user_id <= 0 ) {
+			return 0;
+		}
+
+		$resource_id = (int) get_user_meta( $user_id, self::USER_META_RESOURCE, true );
+
+		return $resource_id > 0 && Resource_Post_Type::POST_TYPE === get_post_type( $resource_id ) ? $resource_id : 0;
+	}
+
+	/**
+	 * Get all requests, oldest first.
+	 *
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function get_requests(): array {
+		$requests = get_option( self::OPTION_KEY, array() );
+
+		if ( ! is_array( $requests ) ) {
+			return array();
+		}
+
+		return array_values(
+			array_filter(
+				$requests,
+				static function ( $request ): bool {
+					return is_array( $request ) && ! empty( $request['id'] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Find a request by ID.
+	 *
+	 * @param string $id Request ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_request( string $id ): ?array {
+		foreach ( $this->get_requests() as $request ) {
+			if ( $id === (string) $request['id'] ) {
+				return $request;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Requests with the given status, optionally limited to one staff.
+	 *
+	 * @param string $status      Request status.
+	 * @param int    $resource_id Staff ID (0 = all).
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function get_requests_by_status( string $status, int $resource_id = 0 ): array {
+		return array_values(
+			array_filter(
+				$this->get_requests(),
+				static function ( array $request ) use ( $status, $resource_id ): bool {
+					return $status === (string) $request['status']
+						&& ( 0 === $resource_id || $resource_id === (int) $request['resource_id'] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Requests of one staff, newest first.
+	 *
+	 * @param int $resource_id Staff ID.
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function get_requests_for_resource( int $resource_id ): array {
+		$requests = array_values(
+			array_filter(
+				$this->get_requests(),
+				static function ( array $request ) use ( $resource_id ): bool {
+					return $resource_id === (int) $request['resource_id'];
+				}
+			)
+		);
+
+		return array_reverse( $requests );
+	}
+
+	/**
+	 * Validate and store a new pending request.
+	 *
+	 * @param array<string, mixed> $data Request fields: resource_id, user_id, start_date, end_date, start_time, end_time, reason.
+	 * @return array<string, mixed>|WP_Error
+	 */
+	public function add_request( array $data ) {
+		$resource_id = (int) ( $data['resource_id'] ?? 0 );
+		if ( $resource_id <= 0 || Resource_Post_Type::POST_TYPE !== get_post_type( $resource_id ) ) {
+			return new WP_Error( 'invalid_staff', __( 'Your account is not linked to a staff member.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$start_date = trim( (string) ( $data['start_date'] ?? '' ) );
+		$end_date   = trim( (string) ( $data['end_date'] ?? '' ) );
+		$end_date   = '' === $end_date ? $start_date : $end_date;
+		$start      = $this->create_date( $start_date );
+		$end        = $this->create_date( $end_date );
+
+		if ( null === $start || null === $end || $end < $start ) {
+			return new WP_Error( 'invalid_period', __( 'Please enter a valid period.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		if ( (int) $start->diff( $end )->days + 1 > self::MAX_DAYS ) {
+			return new WP_Error(
+				'period_too_long',
+				/* translators: %d: maximum number of days. */
+				sprintf( __( 'A request can span at most %d days.', 'vk-booking-manager' ), self::MAX_DAYS ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$today = ( new DateTimeImmutable( 'now', wp_timezone() ) )->format( 'Y-m-d' );
+		if ( $start_date < $today ) {
+			return new WP_Error( 'past_period', __( 'Time off cannot be requested for past days.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+		}
+
+		$start_time = trim( (string) ( $data['start_time'] ?? '' ) );
+		$end_time   = trim( (string) ( $data['end_time'] ?? '' ) );
+		if ( '' !== $start_time || '' !== $end_time ) {
+			if (
+				! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $start_time )
+				|| ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/', $end_time )
+				|| $end_time <= $start_time
+			) {
+				return new WP_Error( 'invalid_hours', __( 'Please enter hours with the end after the start.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+			}
+
+			if ( $start_date !== $end_date ) {
+				return new WP_Error( 'partial_multiple_days', __( 'A partial day off can only cover a single day.', 'vk-booking-manager' ), array( 'status' => 400 ) );
+			}
+		}
+
+		$request = array(
+			'id'            => wp_generate_uuid4(),
+			'resource_id'   => $resource_id,
+			'user_id'       => (int) ( $data['user_id'] ?? 0 ),
+			'start_date'    => $start_date,
+			'end_date'      => $end_date,
+			'start_time'    => $start_time,
+			'end_time'      => $end_time,
+			'reason'        => sanitize_text_field( (string) ( $data['reason'] ?? '' ) ),
+			'status'        => self::STATUS_PENDING,
+			'created_at'    => time(),
+			'decided_by'    => 0,
+			'decided_at'    => 0,
+			'decision_note' => '',
+		);
+
+		$requests   = $this->get_requests();
+		$requests[] = $request;
+
+		// Keep the newest requests when the store grows too large.
+		update_option( self::OPTION_KEY, array_slice( $requests, -self::MAX_ENTRIES ), false );
+
+		return $request;
+	}
+
+	/**
+	 * Approve a pending request and close the covered days of the staff's shifts.
+	 *
+	 * @param string $id      Request ID.
+	 * @param int    $user_id Approving user ID.
+	 * @return array<string, mixed>|WP_Error Updated request.
+	 */
+	public function approve( string $id, int $user_id ) {
+		$request = $this->decide( $id, self::STATUS_APPROVED, $user_id, '' );
+		if ( $request instanceof WP_Error ) {
+			return $request;
+		}
+
+		$this->apply_to_shift_posts( $request );
+
+		return $request;
+	}
+
+	/**
+	 * Reject a pending request.
+	 *
+	 * @param string $id      Request ID.
+	 * @param int    $user_id Rejecting user ID.
+	 * @param string $note    Reason shown to the staff.
+	 * @return array<string, mixed>|WP_Error Updated request.
+	 */
+	public function reject( string $id, int $user_id, string $note = '' ) {
+		return $this->decide( $id, self::STATUS_REJECTED, $user_id, sanitize_text_field( $note ) );
+	}
+
+	/**
+	 * Withdraw a pending request.
+	 *
+	 * @param string $id      Request ID.
+	 * @param int    $user_id User withdrawing the request.
+	 * @return array<string, mixed>|WP_Error Updated request.
+	 */
+	public function cancel( string $id, int $user_id ) {
+		return $this->decide( $id, self::STATUS_CANCELLED, $user_id, '' );
+	}
+
+	/**
+	 * Close the days of a month covered by the approved requests of a staff.
+	 *
+	 * @param int                              $resource_id Staff ID.
+	 * @param int                              $year        Year.
+	 * @param int                              $month       Month (1-12).
+	 * @param array<int, array<string, mixed>> $days        Shift day entries.
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function apply_to_month( int $resource_id, int $year, int $month, array $days ): array {
+		if ( $resource_id <= 0 ) {
+			return $days;
+		}
+
+		foreach ( $this->get_requests_by_status( self::STATUS_APPROVED, $resource_id ) as $request ) {
+			$days = $this->apply_request_to_month( $request, $year, $month, $days );
+		}
+
+		return $days;
+	}
+
+	/**
+	 * Write an approved request into the existing shift posts of its staff.
+	 *
+	 * @param array<string, mixed> $request Request.
+	 * @return int Number of updated shift posts.
+	 */
+	public function apply_to_shift_posts( array $request ): int {
+		$updated = 0;
+		$month   = $this->create_date( substr( (string) $request['start_date'], 0, 7 ) . '-01' );
+		$last    = $this->create_date( substr( (string) $request['end_date'], 0, 7 ) . '-01' );
+
+		while ( null !== $month && null !== $last && $month <= $last ) {
+			$year_number  = (int) $month->format( 'Y' );
+			$month_number = (int) $month->format( 'n' );
+
+			foreach ( $this->get_shift_post_ids( (int) $request['resource_id'], $year_number, $month_number ) as $post_id ) {
+				$days    = get_post_meta( $post_id, self::META_DAYS, true );
+				$days    = is_array( $days ) ? $days : array();
+				$changed = $this->apply_request_to_month( $request, $year_number, $month_number, $days );
+
+				if ( $changed !== $days ) {
+					update_post_meta( $post_id, self::META_DAYS, $changed );
+					++$updated;
+				}
+			}
+
+			$month = $month->modify( '+1 month' );
+		}
+
+		return $updated;
+	}
+
+	/**
+	 * Confirmed and pending bookings of the staff that overlap the requested time off.
+	 *
+	 * @param array<string, mixed> $request Request.
+	 * @return array<int, int> Booking post IDs ordered by start.
+	 */
+	public function find_conflicting_bookings( array $request ): array {
+		$range = $this->get_request_range( $request );
+		if ( null === $range ) {
+			return array();
+		}
+
+		$query = new WP_Query(
+			array(
+				'post_type'      => Booking_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish' ),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+				'fields'         => 'ids',
+				'meta_key'       => self::META_BOOKING_START,
+				'orderby'        => 'meta_value',
+				'order'          => 'ASC',
+				'meta_query'     => array(
+					'relation' => 'AND',
+					array(
+						'key'   => self::META_BOOKING_RESOURCE,
+						'value' => (int) $request['resource_id'],
+					),
+					array(
+						'key'     => self::META_BOOKING_STATUS,
+						'value'   => array( 'confirmed', 'pending' ),
+						'compare' => 'IN',
+					),
+					array(
+						'key'     => self::META_BOOKING_START,
+						'value'   => $range['end'],
+						'compare' => '<',
+						'type'    => 'DATETIME',
+					),
+					array(
+						'relation' => 'OR',
+						array(
+							'key'     => self::META_BOOKING_TOTAL_END,
+							'value'   => $range['start'],
+							'compare' => '>',
+							'type'    => 'DATETIME',
+						),
+						array(
+							'key'     => self::META_BOOKING_END,
+							'value'   => $range['start'],
+							'compare' => '>',
+							'type'    => 'DATETIME',
+						),
+					),
+				),
+			)
+		);
+
+		return array_map( 'intval', $query->posts );
+	}
+
+	/**
+	 * Update the status of a pending request.
+	 *
+	 * @param string $id      Request ID.
+	 * @param string $status  New status.
+	 * @param int    $user_id Deciding user ID.
+	 * @param string $note    Decision note.
+	 * @return array<string, mixed>|WP_Error Updated request.
+	 */
+	private function decide( string $id, string $status, int $user_id, string $note ) {
+		$requests = $this->get_requests();
+
+		foreach ( $requests as $index => $request ) {
+			if ( $id !== (string) $request['id'] ) {
+				continue;
+			}
+
+			if ( self::STATUS_PENDING !== (string) $request['status'] ) {
+				return new WP_Error( 'not_pending', __( 'This request has already been processed.', 'vk-booking-manager' ), array( 'status' => 409 ) );
+			}
+
+			$requests[ $index ] = array_merge(
+				$request,
+				array(
+					'status'        => $status,
+					'decided_by'    => $user_id,
+					'decided_at'    => time(),
+					'decision_note' => $note,
+				)
+			);
+			update_option( self::OPTION_KEY, $requests, false );
+
+			return $requests[ $index ];
+		}
+
+		return new WP_Error( 'not_found', __( 'The request was not found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+	}
+
+	/**
+	 * Close the days of a month covered by a single request.
+	 *
+	 * @param array<string, mixed>             $request Request.
+	 * @param int                              $year    Year.
+	 * @param int                              $month   Month (1-12).
+	 * @param array<int, array<string, mixed>> $days    Shift day entries.
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function apply_request_to_month( array $request, int $year, int $month, array $days ): array {
+		$days_in_month = (int) gmdate( 't', gmmktime( 0, 0, 0, $month, 1, $year ) );
+		for ( $day = 1; $day <= $days_in_month; $day++ ) {
+			$date = sprintf( '%04d-%02d-%02d', $year, $month, $day );
+			if ( (string) $request['start_date'] > $date || $date > (string) $request['end_date'] ) {
+				continue;
+			}
+
+			$entry = $this->apply_to_day( $request, $days[ $day ] ?? null );
+			if ( null !== $entry ) {
+				$days[ $day ] = $entry;
+			}
+		}
+
+		ksort( $days );
+
+		return $days;
+	}
+
+	/**
+	 * Day entry after applying a request, or null to leave the day as it is.
+	 *
+	 * A full day off makes the day unavailable. A partial day off removes the requested
+	 * hours from the slots, and makes the day unavailable when no hours remain.
+	 * 終日休暇は勤務不可に、時間休は該当時間を勤務枠から除きます。
+	 *
+	 * @param array<string, mixed>      $request Request.
+	 * @param array<string, mixed>|null $entry   Current day entry, null when the staff has none.
+	 * @return array<string, mixed>|null
+	 */
+	private function apply_to_day( array $request, ?array $entry ): ?array {
+		$closed = array(
+			'status' => self::DAY_STATUS_UNAVAILABLE,
+			'slots'  => array(),
+		);
+
+		if ( '' === (string) $request['start_time'] ) {
+			return $closed;
+		}
+
+		if ( null === $entry || in_array( (string) ( $entry['status'] ?? '' ), self::CLOSED_DAY_STATUSES, true ) ) {
+			return null;
+		}
+
+		$off_start = (string) $request['start_time'];
+		$off_end   = (string) $request['end_time'];
+		$slots     = array();
+
+		foreach ( (array) ( $entry['slots'] ?? array() ) as $slot ) {
+			$start = is_array( $slot ) ? (string) ( $slot['start'] ?? '' ) : '';
+			$end   = is_array( $slot ) ? (string) ( $slot['end'] ?? '' ) : '';
+			if ( '' === $start || '' === $end ) {
+				continue;
+			}
+
+			if ( $end <= $off_start || $start >= $off_end ) {
+				$slots[] = array(
+					'start' => $start,
+					'end'   => $end,
+				);
+				continue;
+			}
+
+			if ( $start < $off_start ) {
+				$slots[] = array(
+					'start' => $start,
+					'end'   => $off_start,
+				);
+			}
+			if ( $off_end < $end ) {
+				$slots[] = array(
+					'start' => $off_end,
+					'end'   => $end,
+				);
+			}
+		}
+
+		if ( array() === $slots ) {
+			return $closed;
+		}
+
+		return array_merge(
+			$entry,
+			array(
+				'status' => (string) $entry['status'],
+				'slots'  => $slots,
+			)
+		);
+	}
+
+	/**
+	 * Start and end (Y-m-d H:i:s) of the time off.
+	 *
+	 * @param array<string, mixed> $request Request.
+	 * @return array{start:string,end:string}|null
+	 */
+	private function get_request_range( array $request ): ?array {
+		$start = $this->create_date( (string) $request['start_date'] );
+		$end   = $this->create_date( (string) $request['end_date'] );
+		if ( null === $start || null === $end ) {
+			return null;
+		}
+
+		if ( '' === (string) $request['start_time'] ) {
+			return array(
+				'start' => $start->format( 'Y-m-d 00:00:00' ),
+				'end'   => $end->modify( '+1 day' )->format( 'Y-m-d 00:00:00' ),
+			);
+		}
+
+		$end_time = (string) $request['end_time'];
+
+		return array(
+			'start' => $start->format( 'Y-m-d ' ) . $request['start_time'] . ':00',
+			'end'   => '24:00' === $end_time ? $start->modify( '+1 day' )->format( 'Y-m-d 00:00:00' ) : $start->format( 'Y-m-d ' ) . $end_time . ':00',
+		);
+	}
+
+	/**
+	 * IDs of the staff's shift posts for a month, in any status.
+	 *
+	 * @param int $resource_id Staff ID.
+	 * @param int $year        Year.
+	 * @param int $month       Month (1-12).
+	 * @return array<int, int>
+	 */
+	private function get_shift_post_ids( int $resource_id, int $year, int $month ): array {
+		$query = new WP_Query(
+			array(
+				'post_type'      => Shift_Post_Type::POST_TYPE,
+				'post_status'    => array( 'publish', 'draft', 'pending', 'future', 'private' ),
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+				'fields'         => 'ids',
+				'meta_query'     => array(
+					array(
+						'key'   => Shift_Editor::META_RESOURCE,
+						'value' => $resource_id,
+					),
+					array(
+						'key'   => Shift_Editor::META_YEAR,
+						'value' => $year,
+					),
+					array(
+						'key'   => Shift_Editor::META_MONTH,
+						'value' => $month,
+					),
+				),
+			)
+		);
+
+		return array_map( 'intval', $query->posts );
+	}
+
+	/**
+	 * Parse a real Y-m-d date.
+	 *
+	 * @param string $date Value.
+	 * @return DateTimeImmutable|null
+	 */
+	private function create_date( string $date ): ?DateTimeImmutable {
+		$parsed = DateTimeImmutable::createFromFormat( '!Y-m-d', $date );
+
+		return $parsed instanceof DateTimeImmutable && $parsed->format( 'Y-m-d' ) === $date ? $parsed : null;
+	}
+}
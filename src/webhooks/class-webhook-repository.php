@@ -0,0 +1,212 @@
+<?php
+
+/**
+ * Webhook endpoint and delivery log persistence.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Webhooks;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use function delete_option;
+use function get_option;
+use function update_option;
+use function wp_generate_password;
+use function wp_generate_uuid4;
+
+/**
+ * Stores registered webhook endpoints and their delivery log in options.
+ */
+class Webhook_Repository {
+	public const OPTION_KEY          = 'vkbm_webhooks';
+	public const DELIVERY_OPTION_KEY = 'vkbm_webhook_deliveries';
+	public const MAX_DELIVERIES      = 100;
+
+	/**
+	 * Get all registered endpoints keyed by ID.
+	 *
+	 * @return array<string, array{id:string,url:string,events:array<int,string>,secret:string,active:bool,created_at:int}>
+	 */
+	public function get_webhooks(): array {
+		$webhooks = get_option( self::OPTION_KEY, array() );
+		if ( ! is_array( $webhooks ) ) {
+			return array();
+		}
+
+		$normalized = array();
+		foreach ( $webhooks as $webhook ) {
+			if ( ! is_array( $webhook ) || empty( $webhook['id'] ) ) {
+				continue;
+			}
+
+			$normalized[ (string) $webhook['id'] ] = array(
+				'id'         => (string) $webhook['id'],
+				'url'        => (string) ( $webhook['url'] ?? '' ),
+				'events'     => array_values( array_map( 'strval', (array) ( $webhook['events'] ?? array() ) ) ),
+				'secret'     => (string) ( $webhook['secret'] ?? '' ),
+				'active'     => ! empty( $webhook['active'] ),
+				'created_at' => (int) ( $webhook['created_at'] ?? 0 ),
+			);
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Find an endpoint.
+	 *
+	 * @param string $id Webhook ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_webhook( string $id ): ?array {
+		return $this->get_webhooks()[ $id ] ?? null;
+	}
+
+	/**
+	 * Register a new endpoint with a freshly generated signing secret.
+	 *
+	 * @param string             $url    Endpoint URL.
+	 * @param array<int, string> $events Subscribed events.
+	 * @return array<string, mixed> The stored endpoint.
+	 */
+	public function add_webhook( string $url, array $events ): array {
+		$webhook = array(
+			'id'         => wp_generate_uuid4(),
+			'url'        => $url,
+			'events'     => array_values( $events ),
+			'secret'     => wp_generate_password( 32, false, false ),
+			'active'     => true,
+			'created_at' => time(),
+		);
+
+		$webhooks                   = $this->get_webhooks();
+		$webhooks[ $webhook['id'] ] = $webhook;
+		update_option( self::OPTION_KEY, $webhooks, false );
+
+		return $webhook;
+	}
+
+	/**
+	 * Update the URL, events or active flag of an endpoint.
+	 *
+	 * @param string               $id      Webhook ID.
+	 * @param array<string, mixed> $changes Fields to overwrite (url, events, active).
+	 * @return bool False when the endpoint does not exist.
+	 */
+	public function update_webhook( string $id, array $changes ): bool {
+		$webhooks = $this->get_webhooks();
+		if ( ! isset( $webhooks[ $id ] ) ) {
+			return false;
+		}
+
+		foreach ( array( 'url', 'events', 'active' ) as $field ) {
+			if ( array_key_exists( $field, $changes ) ) {
+				$webhooks[ $id ][ $field ] = $changes[ $field ];
+			}
+		}
+		update_option( self::OPTION_KEY, $webhooks, false );
+
+		return true;
+	}
+
+	/**
+	 * Remove an endpoint. Its delivery log entries are kept.
+	 *
+	 * @param string $id Webhook ID.
+	 */
+	public function delete_webhook( string $id ): void {
+		$webhooks = $this->get_webhooks();
+		unset( $webhooks[ $id ] );
+		update_option( self::OPTION_KEY, $webhooks, false );
+	}
+
+	/**
+	 * Get the delivery log, newest first.
+	 *
+	 * @return array<int, array<string, mixed>>
+	 */
+	public function get_deliveries(): array {
+		$deliveries = get_option( self::DELIVERY_OPTION_KEY, array() );
+
+		return is_array( $deliveries ) ? array_values( array_filter( $deliveries, 'is_array' ) ) : array();
+	}
+
+	/**
+	 * Find a delivery.
+	 *
+	 * @param string $id Delivery ID.
+	 * @return array<string, mixed>|null
+	 */
+	public function get_delivery( string $id ): ?array {
+		foreach ( $this->get_deliveries() as $delivery ) {
+			if ( ( $delivery['id'] ?? '' ) === $id ) {
+				return $delivery;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Queue a delivery in the log.
+	 *
+	 * @param string $webhook_id Webhook ID.
+	 * @param string $event      Event name.
+	 * @param string $body       JSON request body.
+	 * @return array<string, mixed> The stored delivery.
+	 */
+	public function add_delivery( string $webhook_id, string $event, string $body ): array {
+		$delivery = array(
+			'id'            => wp_generate_uuid4(),
+			'webhook_id'    => $webhook_id,
+			'event'         => $event,
+			'body'          => $body,
+			'status'        => 'pending',
+			'attempts'      => 0,
+			'response_code' => 0,
+			'error'         => '',
+			'created_at'    => time(),
+			'updated_at'    => time(),
+		);
+
+		$deliveries = $this->get_deliveries();
+		array_unshift( $deliveries, $delivery );
+
+		// Keep only the most recent deliveries.
+		update_option( self::DELIVERY_OPTION_KEY, array_slice( $deliveries, 0, self::MAX_DELIVERIES ), false );
+
+		return $delivery;
+	}
+
+	/**
+	 * Record the outcome of a delivery attempt.
+	 *
+	 * @param string               $id      Delivery ID.
+	 * @param array<string, mixed> $changes Fields to overwrite.
+	 */
+	public function update_delivery( string $id, array $changes ): void {
+		$deliveries = $this->get_deliveries();
+		foreach ( $deliveries as $index => $delivery ) {
+			if ( ( $delivery['id'] ?? '' ) !== $id ) {
+				continue;
+			}
+
+			$deliveries[ $index ] = array_merge( $delivery, $changes, array( 'updated_at' => time() ) );
+			update_option( self::DELIVERY_OPTION_KEY, $deliveries, false );
+			return;
+		}
+	}
+
+	/**
+	 * Clear the delivery log.
+	 */
+	public function clear_deliveries(): void {
+		delete_option( self::DELIVERY_OPTION_KEY );
+	}
+}
@@ -0,0 +1,255 @@
+<?php
+
+/**
+ * Outgoing webhooks for booking lifecycle events.
+ *
+ * @package VKBookingManager
+ */
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Webhooks;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use WP_Error;
+use function __;
+use function add_action;
+use function gmdate;
+use function hash_hmac;
+use function is_wp_error;
+use function sprintf;
+use function wp_json_encode;
+use function wp_remote_retrieve_response_code;
+use function wp_safe_remote_post;
+use function wp_schedule_single_event;
+
+/**
+ * Sends booking events to registered URLs.
+ *
+ * Events are queued as WP-Cron jobs so a slow endpoint never delays a reservation.
+ * Failed deliveries are retried with exponential backoff (1, 2, 4, 8 minutes).
+ * Each request is signed with the endpoint's secret:
+ * `X-VKBM-Signature: sha256=<hex HMAC-SHA256 of the raw body>`.
+ * 配信は WP-Cron で非同期に行い、失敗時は間隔を倍にしながら再送します。
+ */
+class Webhook_Service {
+	public const DELIVER_ACTION   = 'vkbm_deliver_webhook';
+	public const MAX_ATTEMPTS     = 5;
+	public const RETRY_BASE_DELAY = 60;
+	public const SIGNATURE_HEADER = 'X-VKBM-Signature';
+
+	/**
+	 * Request timeout in seconds.
+	 */
+	private const TIMEOUT = 10;
+
+	/**
+	 * Endpoint and delivery store.
+	 *
+	 * @var Webhook_Repository
+	 */
+	private $repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Webhook_Repository|null $repository Endpoint and delivery store.
+	 */
+	public function __construct( ?Webhook_Repository $repository = null ) {
+		$this->repository = $repository ?? new Webhook_Repository();
+	}
+
+	/**
+	 * Register hooks.
+	 */
+	public function register(): void {
+		add_action( Booking_Notification_Service::EVENT_ACTION, array( $this, 'handle_event' ), 10, 3 );
+		add_action( self::DELIVER_ACTION, array( $this, 'deliver' ), 10, 2 );
+	}
+
+	/**
+	 * Events endpoints can subscribe to.
+	 *
+	 * @return array<string, string> Event => label.
+	 */
+	public static function get_event_labels(): array {
+		return array(
+			Booking_Notification_Service::EVENT_CREATED_PENDING   => __( 'Reservation created (pending)', 'vk-booking-manager' ),
+			Booking_Notification_Service::EVENT_CREATED_CONFIRMED => __( 'Reservation created (confirmed)', 'vk-booking-manager' ),
+			Booking_Notification_Service::EVENT_STATUS_CHANGED    => __( 'Status changed', 'vk-booking-manager' ),
+			Booking_Notification_Service::EVENT_CANCELLED         => __( 'Cancelled by customer', 'vk-booking-manager' ),
+			Booking_Notification_Service::EVENT_RESCHEDULED       => __( 'Rescheduled', 'vk-booking-manager' ),
+			Booking_Notification_Service::EVENT_REMINDER_SENT     => __( 'Reminder sent', 'vk-booking-manager' ),
+		);
+	}
+
+	/**
+	 * Queue a delivery for every active endpoint subscribed to the event.
+	 *
+	 * @param string               $event      Event name.
+	 * @param int                  $booking_id Booking ID.
+	 * @param array<string, mixed> $payload    Booking payload.
+	 */
+	public function handle_event( string $event, int $booking_id, array $payload ): void {
+		foreach ( $this->repository->get_webhooks() as $webhook ) {
+			if ( ! $webhook['active'] || ! in_array( $event, $webhook['events'], true ) ) {
+				continue;
+			}
+
+			$body = $this->build_body( $event, $booking_id, $payload );
+			if ( '' === $body ) {
+				continue;
+			}
+
+			$delivery = $this->repository->add_delivery( $webhook['id'], $event, $body );
+			wp_schedule_single_event( time(), self::DELIVER_ACTION, array( $delivery['id'], 1 ) );
+		}
+	}
+
+	/**
+	 * Send a logged delivery again, as a new delivery with the same body.
+	 *
+	 * @param string $delivery_id Delivery ID.
+	 * @return array<string, mixed>|WP_Error The new delivery.
+	 */
+	public function redeliver( string $delivery_id ) {
+		$delivery = $this->repository->get_delivery( $delivery_id );
+		if ( null === $delivery ) {
+			return new WP_Error( 'webhook_delivery_not_found', __( 'The delivery could not be found.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		if ( null === $this->repository->get_webhook( (string) $delivery['webhook_id'] ) ) {
+			return new WP_Error( 'webhook_not_found', __( 'The webhook for this delivery has been deleted.', 'vk-booking-manager' ), array( 'status' => 404 ) );
+		}
+
+		$copy = $this->repository->add_delivery( (string) $delivery['webhook_id'], (string) $delivery['event'], (string) $delivery['body'] );
+		wp_schedule_single_event( time(), self::DELIVER_ACTION, array( $copy['id'], 1 ) );
+
+		return $copy;
+	}
+
+	/**
+	 * Cron callback: POST a delivery and schedule a retry when it fails.
+	 *
+	 * The host is checked again on every delivery, so a URL that now resolves
+	 * to a local address is refused. / 送信のたびに宛先を再検証し、内部アドレスへの送信を防ぎます。
+	 *
+	 * @param string $delivery_id Delivery ID.
+	 * @param int    $attempt     Attempt counter (1-based).
+	 * @return bool Whether the endpoint accepted the delivery.
+	 */
+	public function deliver( string $delivery_id, int $attempt = 1 ): bool {
+		$delivery = $this->repository->get_delivery( $delivery_id );
+		if ( null === $delivery ) {
+			return false;
+		}
+
+		$webhook = $this->repository->get_webhook( (string) $delivery['webhook_id'] );
+		if ( null === $webhook ) {
+			$this->repository->update_delivery(
+				$delivery_id,
+				array(
+					'status' => 'failed',
+					'error'  => __( 'The webhook has been deleted.', 'vk-booking-manager' ),
+				)
+			);
+			return false;
+		}
+
+		$body     = (string) $delivery['body'];
+		$response = wp_safe_remote_post(
+			$webhook['url'],
+			array(
+				'timeout'     => self::TIMEOUT,
+				'redirection' => 0,
+				'headers'     => array(
+					'Content-Type'         => 'application/json; charset=utf-8',
+					'X-VKBM-Event'         => (string) $delivery['event'],
+					'X-VKBM-Delivery'      => $delivery_id,
+					self::SIGNATURE_HEADER => self::sign( $body, $webhook['secret'] ),
+				),
+				'body'        => $body,
+			)
+		);
+
+		$code  = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+		$error = '';
+		if ( is_wp_error( $response ) ) {
+			$error = $response->get_error_message();
+		} elseif ( $code < 200 || $code >= 300 ) {
+			/* translators: %d: HTTP status code */
+			$error = sprintf( __( 'The endpoint responded with HTTP %d.', 'vk-booking-manager' ), $code );
+		}
+
+		$delivered = '' === $error;
+		$retry     = ! $delivered && $attempt < self::MAX_ATTEMPTS;
+		$status    = 'failed';
+		if ( $delivered ) {
+			$status = 'delivered';
+		} elseif ( $retry ) {
+			$status = 'retrying';
+		}
+
+		$this->repository->update_delivery(
+			$delivery_id,
+			array(
+				'status'        => $status,
+				'attempts'      => $attempt,
+				'response_code' => $code,
+				'error'         => $error,
+			)
+		);
+
+		if ( $retry ) {
+			wp_schedule_single_event( time() + self::get_retry_delay( $attempt ), self::DELIVER_ACTION, array( $delivery_id, $attempt + 1 ) );
+		}
+
+		return $delivered;
+	}
+
+	/**
+	 * Seconds to wait before the next attempt.
+	 *
+	 * @param int $attempt Attempt that just failed (1-based).
+	 * @return int
+	 */
+	public static function get_retry_delay( int $attempt ): int {
+		return self::RETRY_BASE_DELAY * ( 2 ** max( 0, $attempt - 1 ) );
+	}
+
+	/**
+	 * Signature header value for a body.
+	 *
+	 * @param string $body   Raw request body.
+	 * @param string $secret Endpoint secret.
+	 * @return string
+	 */
+	public static function sign( string $body, string $secret ): string {
+		return 'sha256=' . hash_hmac( 'sha256', $body, $secret );
+	}
+
+	/**
+	 * JSON request body for an event.
+	 *
+	 * @param string               $event      Event name.
+	 * @param int                  $booking_id Booking ID.
+	 * @param array<string, mixed> $payload    Booking payload.
+	 * @return string
+	 */
+	private function build_body( string $event, int $booking_id, array $payload ): string {
+		$body = wp_json_encode(
+			array(
+				'event'      => $event,
+				'booking_id' => $booking_id,
+				'sent_at'    => gmdate( 'c' ),
+				'data'       => $payload,
+			)
+		);
+
+		return is_string( $body ) ? $body : '';
+	}
+}
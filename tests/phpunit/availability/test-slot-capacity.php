@@ -0,0 +1,261 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Availability;
+
+use DateTimeImmutable;
+use ReflectionMethod;
+use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Availability\Slot_Capacity;
+use VKBookingManager\Bookings\Booking_Line_Items;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use WP_UnitTestCase;
+use function update_post_meta;
+use function wp_timezone;
+
+/**
+ * @group availability
+ */
+class Slot_Capacity_Test extends WP_UnitTestCase {
+	public function test_menu_capacity_defaults_to_one(): void {
+		$menu_id = $this->create_menu( null );
+
+		$this->assertSame( 1, Slot_Capacity::get_menu_capacity( $menu_id ) );
+		$this->assertSame( 1, Slot_Capacity::get_menu_capacity( 0 ) );
+
+		update_post_meta( $menu_id, Slot_Capacity::MENU_META_CAPACITY, 8 );
+		$this->assertSame( 8, Slot_Capacity::get_menu_capacity( $menu_id ) );
+	}
+
+	public function test_count_remaining_seats_cases(): void {
+		$start = $this->datetime( '2030-04-01 10:00' );
+		$end   = $this->datetime( '2030-04-01 11:00' );
+
+		$test_cases = [
+			[
+				'name'     => 'empty_slot',
+				'capacity' => 5,
+				'bookings' => [],
+				'expected' => 5,
+			],
+			[
+				'name'     => 'same_session_counts_party_size',
+				'capacity' => 5,
+				'bookings' => [
+					$this->entry( '10:00', '11:00', 10, 1 ),
+					$this->entry( '10:00', '11:00', 10, 2 ),
+				],
+				'expected' => 2,
+			],
+			[
+				'name'     => 'full_session',
+				'capacity' => 3,
+				'bookings' => [ $this->entry( '10:00', '11:00', 10, 3 ) ],
+				'expected' => 0,
+			],
+			[
+				'name'     => 'other_menu_blocks',
+				'capacity' => 5,
+				'bookings' => [ $this->entry( '10:00', '11:00', 20, 1 ) ],
+				'expected' => 0,
+			],
+			[
+				'name'     => 'different_start_blocks',
+				'capacity' => 5,
+				'bookings' => [ $this->entry( '10:30', '11:30', 10, 1 ) ],
+				'expected' => 0,
+			],
+			[
+				'name'     => 'external_event_blocks',
+				'capacity' => 5,
+				'bookings' => [
+					[
+						'start' => $this->datetime( '2030-04-01 10:00' ),
+						'end'   => $this->datetime( '2030-04-01 11:00' ),
+					],
+				],
+				'expected' => 0,
+			],
+			[
+				'name'     => 'regular_menu_is_exclusive',
+				'capacity' => 1,
+				'bookings' => [ $this->entry( '10:00', '11:00', 10, 1 ) ],
+				'expected' => 0,
+			],
+			[
+				'name'     => 'no_overlap',
+				'capacity' => 1,
+				'bookings' => [ $this->entry( '11:00', '12:00', 20, 1 ) ],
+				'expected' => 1,
+			],
+		];
+
+		foreach ( $test_cases as $case ) {
+			$this->assertSame(
+				$case['expected'],
+				Slot_Capacity::count_remaining_seats( $start, $end, 10, $case['capacity'], $case['bookings'] ),
+				$case['name']
+			);
+		}
+	}
+
+	public function test_can_join_cases(): void {
+		$group_menu   = $this->create_menu( 4 );
+		$regular_menu = $this->create_menu( null );
+
+		$booking_a = $this->create_booking( $group_menu, '2030-04-01 10:00:00', 2 );
+		$booking_b = $this->create_booking( $group_menu, '2030-04-01 10:00:00', 1 );
+		$regular   = $this->create_booking( $regular_menu, '2030-04-01 10:00:00', 1 );
+		$later     = $this->create_booking( $group_menu, '2030-04-01 10:30:00', 1 );
+		$bundle    = $this->create_booking( $group_menu, '2030-04-01 10:00:00', 1 );
+		update_post_meta(
+			$bundle,
+			Booking_Line_Items::META_KEY,
+			[
+				[ 'menu_id' => $group_menu ],
+				[ 'menu_id' => $regular_menu ],
+			]
+		);
+
+		$test_cases = [
+			[
+				'name'     => 'no_overlapping_bookings',
+				'ids'      => [],
+				'menu'     => $regular_menu,
+				'seats'    => 1,
+				'expected' => true,
+			],
+			[
+				'name'     => 'seat_left',
+				'ids'      => [ $booking_a, $booking_b ],
+				'menu'     => $group_menu,
+				'seats'    => 1,
+				'expected' => true,
+			],
+			[
+				'name'     => 'party_too_large',
+				'ids'      => [ $booking_a, $booking_b ],
+				'menu'     => $group_menu,
+				'seats'    => 2,
+				'expected' => false,
+			],
+			[
+				'name'     => 'regular_menu_overlap',
+				'ids'      => [ $regular ],
+				'menu'     => $regular_menu,
+				'seats'    => 1,
+				'expected' => false,
+			],
+			[
+				'name'     => 'other_menu_in_slot',
+				'ids'      => [ $booking_a, $regular ],
+				'menu'     => $group_menu,
+				'seats'    => 1,
+				'expected' => false,
+			],
+			[
+				'name'     => 'different_start',
+				'ids'      => [ $later ],
+				'menu'     => $group_menu,
+				'seats'    => 1,
+				'expected' => false,
+			],
+			[
+				'name'     => 'bundle_booking_is_exclusive',
+				'ids'      => [ $bundle ],
+				'menu'     => $group_menu,
+				'seats'    => 1,
+				'expected' => false,
+			],
+		];
+
+		foreach ( $test_cases as $case ) {
+			$this->assertSame(
+				$case['expected'],
+				Slot_Capacity::can_join( $case['ids'], '2030-04-01 10:00:00', $case['menu'], $case['seats'] ),
+				$case['name']
+			);
+		}
+	}
+
+	public function test_auto_assignment_slot_uses_most_free_seats_of_one_staff(): void {
+		$method = new ReflectionMethod( Availability_Service::class, 'collapse_slots_for_auto_assignment' );
+		$method->setAccessible( true );
+
+		$slots = [
+			$this->slot( 11, 5, 2 ),
+			$this->slot( 12, 5, 3 ),
+		];
+
+		$collapsed = $method->invoke( new Availability_Service(), $slots, 10 );
+
+		$this->assertCount( 1, $collapsed );
+		$this->assertEqualsCanonicalizing( [ 11, 12 ], $collapsed[0]['assignable_staff_ids'] );
+		// Two staff with 2 and 3 free seats cannot seat a party of 5. / 2 席と 3 席のスタッフでは 5 名を受けられない.
+		$this->assertSame( 5, $collapsed[0]['capacity'] );
+		$this->assertSame( 3, $collapsed[0]['remaining'] );
+	}
+
+	private function create_menu( ?int $capacity ): int {
+		$menu_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		if ( null !== $capacity ) {
+			update_post_meta( $menu_id, Slot_Capacity::MENU_META_CAPACITY, $capacity );
+		}
+
+		return $menu_id;
+	}
+
+	private function create_booking( int $menu_id, string $start_at, int $party_size ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_service_id', $menu_id );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start_at );
+		update_post_meta( $booking_id, Slot_Capacity::BOOKING_META_PARTY_SIZE, $party_size );
+
+		return $booking_id;
+	}
+
+	/**
+	 * @return array<string, mixed>
+	 */
+	private function slot( int $staff_id, int $capacity, int $remaining ): array {
+		return [
+			'start_at'         => '2030-04-01T10:00:00+09:00',
+			'end_at'           => '2030-04-01T11:00:00+09:00',
+			'duration_minutes' => 60,
+			'staff'            => [ 'id' => $staff_id ],
+			'capacity'         => $capacity,
+			'remaining'        => $remaining,
+			'flags'            => [ 'is_group_session' => true ],
+		];
+	}
+
+	/**
+	 * @return array<string, mixed>
+	 */
+	private function entry( string $start, string $end, int $menu_id, int $seats ): array {
+		return [
+			'start'   => $this->datetime( '2030-04-01 ' . $start ),
+			'end'     => $this->datetime( '2030-04-01 ' . $end ),
+			'menu_id' => $menu_id,
+			'seats'   => $seats,
+		];
+	}
+
+	private function datetime( string $value ): DateTimeImmutable {
+		return new DateTimeImmutable( $value, wp_timezone() );
+	}
+}
@@ -0,0 +1,144 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Availability;
+
+use DateTimeImmutable;
+use VKBookingManager\Availability\Staff_Assignment_Strategy;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_UnitTestCase;
+use function update_option;
+use function update_post_meta;
+use function wp_timezone;
+
+/**
+ * @group availability
+ */
+class Staff_Assignment_Strategy_Test extends WP_UnitTestCase {
+	public function test_sanitize_strategy_falls_back_to_list_order(): void {
+		$this->assertSame( Staff_Assignment_Strategy::STRATEGY_ROUND_ROBIN, Staff_Assignment_Strategy::sanitize_strategy( 'round_robin' ) );
+		$this->assertSame( Staff_Assignment_Strategy::STRATEGY_LIST_ORDER, Staff_Assignment_Strategy::sanitize_strategy( 'random' ) );
+		$this->assertSame( Staff_Assignment_Strategy::STRATEGY_LIST_ORDER, Staff_Assignment_Strategy::sanitize_strategy( null ) );
+	}
+
+	public function test_order_staff_ids_cases(): void {
+		update_option( 'start_of_week', 1 );
+
+		$staff_a = $this->create_staff();
+		$staff_b = $this->create_staff();
+		$staff_c = $this->create_staff();
+		$staff   = [ $staff_a, $staff_b, $staff_c ];
+
+		// Wednesday 2030-07-03: A has two bookings, B one, C none. / 水曜: A は2件、B は1件、C は0件.
+		$this->create_booking( $staff_a, '2030-07-03 09:00:00', '2030-07-03 10:00:00' );
+		$this->create_booking( $staff_a, '2030-07-03 15:00:00', '2030-07-03 16:00:00' );
+		$this->create_booking( $staff_b, '2030-07-03 12:00:00', '2030-07-03 13:00:00' );
+		$this->create_booking( $staff_c, '2030-07-03 11:00:00', '2030-07-03 12:00:00', 'cancelled' );
+		// Earlier in the same week C was busy. / 同じ週の月曜は C が多忙.
+		$this->create_booking( $staff_c, '2030-07-01 09:00:00', '2030-07-01 10:00:00' );
+		$this->create_booking( $staff_c, '2030-07-01 10:00:00', '2030-07-01 11:00:00' );
+		$this->create_booking( $staff_c, '2030-07-01 11:00:00', '2030-07-01 12:00:00' );
+
+		update_post_meta( $staff_a, Staff_Assignment_Strategy::META_WEIGHT, 4 );
+
+		$test_cases = [
+			[
+				'name'     => 'list_order_keeps_display_order',
+				'strategy' => Staff_Assignment_Strategy::STRATEGY_LIST_ORDER,
+				'expected' => [ $staff_a, $staff_b, $staff_c ],
+			],
+			[
+				'name'     => 'least_booked_day',
+				'strategy' => Staff_Assignment_Strategy::STRATEGY_LEAST_DAY,
+				'expected' => [ $staff_c, $staff_b, $staff_a ],
+			],
+			[
+				'name'     => 'least_booked_week',
+				'strategy' => Staff_Assignment_Strategy::STRATEGY_LEAST_WEEK,
+				'expected' => [ $staff_b, $staff_a, $staff_c ],
+			],
+			[
+				'name'     => 'weighted_priority',
+				'strategy' => Staff_Assignment_Strategy::STRATEGY_WEIGHTED,
+				'expected' => [ $staff_a, $staff_b, $staff_c ],
+			],
+			[
+				'name'     => 'nearest_booking',
+				'strategy' => Staff_Assignment_Strategy::STRATEGY_NEAREST,
+				'expected' => [ $staff_b, $staff_a, $staff_c ],
+			],
+		];
+
+		foreach ( $test_cases as $case ) {
+			$strategy = $this->create_strategy( $case['strategy'] );
+			$this->assertSame(
+				$case['expected'],
+				$strategy->order_staff_ids( $staff, $this->datetime( '2030-07-03 13:00' ), $this->datetime( '2030-07-03 14:00' ) ),
+				$case['name']
+			);
+		}
+	}
+
+	public function test_round_robin_rotates_after_last_assignment(): void {
+		$staff    = [ 11, 12, 13 ];
+		$strategy = $this->create_strategy( Staff_Assignment_Strategy::STRATEGY_ROUND_ROBIN );
+		$start    = $this->datetime( '2030-07-03 13:00' );
+		$end      = $this->datetime( '2030-07-03 14:00' );
+
+		$this->assertSame( [ 11, 12, 13 ], $strategy->order_staff_ids( $staff, $start, $end ) );
+
+		$strategy->remember_assignment( 11 );
+		$this->assertSame( [ 12, 13, 11 ], $strategy->order_staff_ids( $staff, $start, $end ) );
+
+		$strategy->remember_assignment( 13 );
+		$this->assertSame( [ 11, 12, 13 ], $strategy->order_staff_ids( $staff, $start, $end ) );
+
+		// Other strategies do not touch the round-robin pointer. / 他の方式では記録しない.
+		$this->create_strategy( Staff_Assignment_Strategy::STRATEGY_LIST_ORDER )->remember_assignment( 12 );
+		$this->assertSame( [ 11, 12, 13 ], $strategy->order_staff_ids( $staff, $start, $end ) );
+	}
+
+	private function create_strategy( string $strategy ): Staff_Assignment_Strategy {
+		update_option(
+			'vkbm_test_assignment_settings',
+			[
+				Staff_Assignment_Strategy::SETTING_KEY => $strategy,
+			]
+		);
+
+		return new Staff_Assignment_Strategy( new Settings_Repository( 'vkbm_test_assignment_settings' ) );
+	}
+
+	private function create_staff(): int {
+		return (int) $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+	}
+
+	private function create_booking( int $staff_id, string $start_at, string $end_at, string $status = 'confirmed' ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', $staff_id );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start_at );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', $end_at );
+		update_post_meta( $booking_id, '_vkbm_booking_total_end', $end_at );
+		update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+
+		return $booking_id;
+	}
+
+	private function datetime( string $value ): DateTimeImmutable {
+		return new DateTimeImmutable( $value, wp_timezone() );
+	}
+}
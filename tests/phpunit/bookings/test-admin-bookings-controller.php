@@ -0,0 +1,359 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Admin_Bookings_Controller;
+use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Bookings\Booking_Admin;
+use VKBookingManager\Bookings\Waitlist_Repository;
+use VKBookingManager\Bookings\Waitlist_Service;
+use VKBookingManager\Capabilities\Capabilities;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+use WP_UnitTestCase;
+use function get_post;
+use function get_post_meta;
+use function get_user_by;
+use function update_option;
+use function wp_set_current_user;
+
+/**
+ * @group bookings
+ */
+class Admin_Bookings_Controller_Test extends WP_UnitTestCase {
+	/** @var int */
+	private $menu_id = 0;
+
+	/** @var int */
+	private $staff_id = 0;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		global $wp_rest_server;
+		$wp_rest_server = new WP_REST_Server();
+		$controller     = new Admin_Bookings_Controller( new Booking_Admin() );
+		add_action( 'rest_api_init', [ $controller, 'register_routes' ] );
+		do_action( 'rest_api_init', $wp_rest_server );
+
+		$this->menu_id  = $this->create_post( Service_Menu_Post_Type::POST_TYPE );
+		$this->staff_id = $this->create_post( Resource_Post_Type::POST_TYPE );
+		wp_set_current_user( $this->create_user( [ Capabilities::MANAGE_RESERVATIONS, Capabilities::VIEW_RESERVATIONS ] ) );
+	}
+
+	protected function tearDown(): void {
+		global $wp_rest_server;
+		$wp_rest_server = null;
+		delete_option( 'vkbm_provider_settings' );
+		wp_set_current_user( 0 );
+
+		parent::tearDown();
+	}
+
+	public function test_create_get_and_filter_bookings(): void {
+		$created = $this->request(
+			'POST',
+			'/vkbm/v1/admin/bookings',
+			[
+				'date'           => '2030-01-10',
+				'start_time'     => '10:00',
+				'end_time'       => '11:00',
+				'resource_id'    => $this->staff_id,
+				'menu_id'        => $this->menu_id,
+				'customer_name'  => 'Hanako Yamada',
+				'customer_email' => 'hanako@example.com',
+				'status'         => 'pending',
+			]
+		);
+
+		$this->assertSame( 201, $created->get_status() );
+		$data = $created->get_data();
+		$this->assertSame( '2030-01-10 10:00:00', $data['start'] );
+		$this->assertSame( '2030-01-10 11:00:00', get_post_meta( $data['id'], '_vkbm_booking_total_end', true ) );
+		$this->assertSame( 'pending', $data['status'] );
+		$this->assertSame( $this->menu_id, $data['menu_id'] );
+		$this->assertFalse( $data['has_staff_conflict'] );
+
+		$this->request(
+			'POST',
+			'/vkbm/v1/admin/bookings',
+			[
+				'date'          => '2030-01-12',
+				'start_time'    => '10:00',
+				'end_time'      => '11:00',
+				'customer_name' => 'Taro Suzuki',
+			]
+		);
+
+		$fetched = $this->request( 'GET', '/vkbm/v1/admin/bookings/' . $data['id'] );
+		$this->assertSame( 'Hanako Yamada', $fetched->get_data()['customer_name'] );
+
+		$by_customer = $this->request( 'GET', '/vkbm/v1/admin/bookings', [ 'customer' => 'hanako@' ] );
+		$this->assertSame( [ $data['id'] ], wp_list_pluck( $by_customer->get_data(), 'id' ) );
+
+		$by_date = $this->request(
+			'GET',
+			'/vkbm/v1/admin/bookings',
+			[
+				'date_from' => '2030-01-11',
+				'date_to'   => '2030-01-12',
+			]
+		);
+		$this->assertSame( [ 'Taro Suzuki' ], wp_list_pluck( $by_date->get_data(), 'customer_name' ) );
+		$this->assertSame( '1', (string) $by_date->get_headers()['X-WP-Total'] );
+
+		$by_staff_and_status = $this->request(
+			'GET',
+			'/vkbm/v1/admin/bookings',
+			[
+				'resource_id' => $this->staff_id,
+				'menu_id'     => $this->menu_id,
+				'status'      => [ 'pending' ],
+			]
+		);
+		$this->assertCount( 1, $by_staff_and_status->get_data() );
+
+		$confirmed_only = $this->request( 'GET', '/vkbm/v1/admin/bookings', [ 'status' => [ 'confirmed' ] ] );
+		$this->assertSame( [ 'Taro Suzuki' ], wp_list_pluck( $confirmed_only->get_data(), 'customer_name' ) );
+	}
+
+	public function test_staff_conflict_blocks_create_unless_admin_overlap_allowed(): void {
+		$params = [
+			'date'        => '2030-01-10',
+			'start_time'  => '10:00',
+			'end_time'    => '11:00',
+			'resource_id' => $this->staff_id,
+		];
+		$this->request( 'POST', '/vkbm/v1/admin/bookings', $params );
+
+		$conflict = $this->request( 'POST', '/vkbm/v1/admin/bookings', [ 'start_time' => '10:30' ] + $params );
+		$this->assertSame( 409, $conflict->get_status() );
+		$this->assertSame( 'booking_staff_conflict', $conflict->get_data()['code'] );
+		// The rejected booking is not left behind. / 拒否された予約は残さない.
+		$this->assertCount( 1, $this->request( 'GET', '/vkbm/v1/admin/bookings' )->get_data() );
+
+		update_option( 'vkbm_provider_settings', [ 'provider_allow_staff_overlap_admin' => true ] );
+
+		$overlap = $this->request( 'POST', '/vkbm/v1/admin/bookings', [ 'start_time' => '10:30' ] + $params );
+		$this->assertSame( 201, $overlap->get_status() );
+		$this->assertTrue( $overlap->get_data()['has_staff_conflict'] );
+	}
+
+	public function test_conflicts_endpoint_reports_overlap_before_saving(): void {
+		$params  = [
+			'date'        => '2030-01-10',
+			'start_time'  => '10:00',
+			'end_time'    => '11:00',
+			'resource_id' => $this->staff_id,
+		];
+		$created = $this->request( 'POST', '/vkbm/v1/admin/bookings', $params )->get_data();
+
+		$clear = $this->request(
+			'GET',
+			'/vkbm/v1/admin/bookings/conflicts',
+			[
+				'start_time' => '11:00',
+				'end_time'   => '12:00',
+			] + $params
+		);
+		$this->assertFalse( $clear->get_data()['has_conflict'] );
+
+		$overlap = $this->request( 'GET', '/vkbm/v1/admin/bookings/conflicts', [ 'start_time' => '10:30' ] + $params );
+		$this->assertTrue( $overlap->get_data()['has_conflict'] );
+		$this->assertTrue( $overlap->get_data()['blocked'] );
+		$this->assertNotSame( '', $overlap->get_data()['message'] );
+
+		// The booking being edited does not conflict with itself. / 編集中の予約自身とは重複としない.
+		$self = $this->request( 'GET', '/vkbm/v1/admin/bookings/conflicts', [ 'exclude_id' => $created['id'] ] + $params );
+		$this->assertFalse( $self->get_data()['has_conflict'] );
+
+		update_option( 'vkbm_provider_settings', [ 'provider_allow_staff_overlap_admin' => true ] );
+
+		$allowed = $this->request( 'GET', '/vkbm/v1/admin/bookings/conflicts', [ 'start_time' => '10:30' ] + $params );
+		$this->assertTrue( $allowed->get_data()['has_conflict'] );
+		$this->assertFalse( $allowed->get_data()['blocked'] );
+	}
+
+	public function test_patch_keeps_omitted_fields(): void {
+		$created = $this->request(
+			'POST',
+			'/vkbm/v1/admin/bookings',
+			[
+				'date'               => '2030-01-10',
+				'start_time'         => '10:00',
+				'end_time'           => '11:00',
+				'resource_id'        => $this->staff_id,
+				'customer_name'      => 'Hanako Yamada',
+				'is_staff_preferred' => true,
+				'party_size'         => 2,
+			]
+		)->get_data();
+
+		$updated = $this->request(
+			'PATCH',
+			'/vkbm/v1/admin/bookings/' . $created['id'],
+			[
+				'start_time' => '13:00',
+				'end_time'   => '14:00',
+				'status'     => 'no_show',
+			]
+		);
+
+		$this->assertSame( 200, $updated->get_status() );
+		$data = $updated->get_data();
+		$this->assertSame( '2030-01-10 13:00:00', $data['start'] );
+		$this->assertSame( 'no_show', $data['status'] );
+		$this->assertSame( 'Hanako Yamada', $data['customer_name'] );
+		$this->assertSame( $this->staff_id, $data['resource_id'] );
+		$this->assertTrue( $data['is_staff_preferred'] );
+		$this->assertSame( 2, $data['party_size'] );
+
+		$invalid = $this->request( 'PATCH', '/vkbm/v1/admin/bookings/' . $created['id'], [ 'status' => 'unknown' ] );
+		$this->assertSame( 400, $invalid->get_status() );
+	}
+
+	public function test_delete_trashes_then_force_deletes(): void {
+		$created = $this->request(
+			'POST',
+			'/vkbm/v1/admin/bookings',
+			[
+				'date'       => '2030-01-10',
+				'start_time' => '10:00',
+				'end_time'   => '11:00',
+			]
+		)->get_data();
+		$path    = '/vkbm/v1/admin/bookings/' . $created['id'];
+
+		$trashed = $this->request( 'DELETE', $path );
+		$this->assertTrue( $trashed->get_data()['trashed'] );
+		$this->assertSame( 'trash', get_post( $created['id'] )->post_status );
+		$this->assertSame( 410, $this->request( 'DELETE', $path )->get_status() );
+
+		$deleted = $this->request( 'DELETE', $path, [ 'force' => true ] );
+		$this->assertFalse( $deleted->get_data()['trashed'] );
+		$this->assertNull( get_post( $created['id'] ) );
+		$this->assertSame( 404, $this->request( 'GET', $path )->get_status() );
+	}
+
+	public function test_delete_releases_slot_of_active_booking(): void {
+		$notifications = new Delete_Notification_Service_Test_Double();
+		$waitlist      = new Delete_Waitlist_Service_Test_Double( $notifications );
+		$controller    = new Admin_Bookings_Controller( new Booking_Admin( $notifications, $waitlist ) );
+
+		$active    = $this->request(
+			'POST',
+			'/vkbm/v1/admin/bookings',
+			[
+				'date'        => '2030-01-10',
+				'start_time'  => '10:00',
+				'end_time'    => '11:00',
+				'resource_id' => $this->staff_id,
+			]
+		)->get_data();
+		$cancelled = $this->request(
+			'POST',
+			'/vkbm/v1/admin/bookings',
+			[
+				'date'        => '2030-01-10',
+				'start_time'  => '13:00',
+				'end_time'    => '14:00',
+				'resource_id' => $this->staff_id,
+				'status'      => 'cancelled',
+			]
+		)->get_data();
+
+		$request = new WP_REST_Request( 'DELETE', '/vkbm/v1/admin/bookings/' . $active['id'] );
+		$request->set_param( 'id', $active['id'] );
+		$this->assertInstanceOf( WP_REST_Response::class, $controller->delete_booking( $request ) );
+
+		$request = new WP_REST_Request( 'DELETE', '/vkbm/v1/admin/bookings/' . $cancelled['id'] );
+		$request->set_param( 'id', $cancelled['id'] );
+		$request->set_param( 'force', true );
+		$this->assertInstanceOf( WP_REST_Response::class, $controller->delete_booking( $request ) );
+
+		$this->assertSame( [ [ $active['id'], false ] ], $notifications->deleted );
+		$this->assertSame( [ [ '2030-01-10 10:00:00', $this->staff_id ] ], $waitlist->released );
+	}
+
+	public function test_view_capability_is_read_only(): void {
+		wp_set_current_user( $this->create_user( [ Capabilities::VIEW_RESERVATIONS ] ) );
+
+		$this->assertSame( 200, $this->request( 'GET', '/vkbm/v1/admin/bookings' )->get_status() );
+		$this->assertSame(
+			403,
+			$this->request(
+				'POST',
+				'/vkbm/v1/admin/bookings',
+				[
+					'date'       => '2030-01-10',
+					'start_time' => '10:00',
+					'end_time'   => '11:00',
+				]
+			)->get_status()
+		);
+
+		wp_set_current_user( 0 );
+		$this->assertSame( 401, $this->request( 'GET', '/vkbm/v1/admin/bookings' )->get_status() );
+	}
+
+	private function request( string $method, string $path, array $params = [] ): WP_REST_Response {
+		$request = new WP_REST_Request( $method, $path );
+		foreach ( $params as $key => $value ) {
+			$request->set_param( $key, $value );
+		}
+
+		return rest_get_server()->dispatch( $request );
+	}
+
+	private function create_post( string $post_type ): int {
+		return (int) $this->factory()->post->create(
+			[
+				'post_type'   => $post_type,
+				'post_status' => 'publish',
+			]
+		);
+	}
+
+	private function create_user( array $caps ): int {
+		$user_id = $this->factory()->user->create( [ 'role' => 'subscriber' ] );
+		$user    = get_user_by( 'id', $user_id );
+		foreach ( $caps as $cap ) {
+			$user->add_cap( $cap );
+		}
+
+		return (int) $user_id;
+	}
+}
+
+class Delete_Notification_Service_Test_Double extends Booking_Notification_Service {
+	/** @var array<int, array{0: int, 1: bool}> */
+	public array $deleted = [];
+
+	public function __construct() {
+		parent::__construct( new Settings_Repository() );
+	}
+
+	public function handle_deletion( int $booking_id, bool $force ): void {
+		$this->deleted[] = [ $booking_id, $force ];
+	}
+}
+
+class Delete_Waitlist_Service_Test_Double extends Waitlist_Service {
+	/** @var array<int, array{0: string, 1: int}> */
+	public array $released = [];
+
+	public function __construct( Booking_Notification_Service $notification_service ) {
+		parent::__construct( new Waitlist_Repository(), new Availability_Service(), $notification_service, new Settings_Repository() );
+	}
+
+	public function handle_time_released( string $start_at, int $resource_id ): void {
+		$this->released[] = [ $start_at, $resource_id ];
+	}
+}
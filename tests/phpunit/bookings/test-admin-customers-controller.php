@@ -0,0 +1,135 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Admin_Customers_Controller;
+use VKBookingManager\Capabilities\Capabilities;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+use WP_UnitTestCase;
+use function get_user_by;
+use function get_user_meta;
+use function update_user_meta;
+use function wp_set_current_user;
+
+/**
+ * @group bookings
+ */
+class Admin_Customers_Controller_Test extends WP_UnitTestCase {
+	protected function setUp(): void {
+		parent::setUp();
+
+		global $wp_rest_server;
+		$wp_rest_server = new WP_REST_Server();
+		$controller     = new Admin_Customers_Controller();
+		add_action( 'rest_api_init', [ $controller, 'register_routes' ] );
+		do_action( 'rest_api_init', $wp_rest_server );
+
+		$manager_id = $this->factory()->user->create( [ 'role' => 'subscriber' ] );
+		get_user_by( 'id', $manager_id )->add_cap( Capabilities::MANAGE_RESERVATIONS );
+		wp_set_current_user( $manager_id );
+	}
+
+	protected function tearDown(): void {
+		global $wp_rest_server;
+		$wp_rest_server = null;
+		wp_set_current_user( 0 );
+
+		parent::tearDown();
+	}
+
+	public function test_search_matches_name_phone_and_email(): void {
+		$customer_id = $this->factory()->user->create(
+			[
+				'user_login'   => 'hanako',
+				'user_email'   => 'hanako@example.com',
+				'display_name' => 'Hanako Yamada',
+			]
+		);
+		update_user_meta( $customer_id, 'vkbm_kana_name', 'ヤマダハナコ' );
+		update_user_meta( $customer_id, 'phone_number', '09012345678' );
+		$this->factory()->user->create(
+			[
+				'user_login' => 'taro',
+				'user_email' => 'taro@example.com',
+			]
+		);
+
+		foreach ( [ 'Yamada', 'ヤマダ', '090-1234', 'hanako@example' ] as $search ) {
+			$response = $this->request( 'GET', '/vkbm/v1/admin/customers', [ 'search' => $search ] );
+			$this->assertSame( [ $customer_id ], wp_list_pluck( $response->get_data(), 'id' ), $search );
+		}
+
+		$result = $this->request( 'GET', '/vkbm/v1/admin/customers', [ 'search' => 'Yamada' ] )->get_data()[0];
+		$this->assertSame( 'Hanako Yamada', $result['name'] );
+		$this->assertSame( '09012345678', $result['phone'] );
+
+		$this->assertSame( [], $this->request( 'GET', '/vkbm/v1/admin/customers', [ 'search' => 'h' ] )->get_data() );
+	}
+
+	public function test_create_customer_registers_verified_account(): void {
+		$response = $this->request(
+			'POST',
+			'/vkbm/v1/admin/customers',
+			[
+				'name'      => 'Jiro Sato',
+				'kana_name' => 'サトウジロウ',
+				'phone'     => '080-1111-2222',
+			]
+		);
+
+		$this->assertSame( 201, $response->get_status() );
+		$data = $response->get_data();
+		$this->assertSame( 'Jiro Sato', $data['name'] );
+		$this->assertSame( '08011112222', $data['phone'] );
+		$this->assertSame( 'tel08011112222', get_user_by( 'id', $data['id'] )->user_login );
+		$this->assertSame( '1', get_user_meta( $data['id'], 'vkbm_email_verified', true ) );
+		$this->assertSame( 'サトウジロウ', get_user_meta( $data['id'], 'vkbm_kana_name', true ) );
+
+		$duplicate = $this->request(
+			'POST',
+			'/vkbm/v1/admin/customers',
+			[
+				'name'  => 'Someone Else',
+				'phone' => '08011112222',
+			]
+		);
+		$this->assertSame( 409, $duplicate->get_status() );
+	}
+
+	public function test_create_customer_validates_contact_details(): void {
+		$no_contact = $this->request( 'POST', '/vkbm/v1/admin/customers', [ 'name' => 'Jiro Sato' ] );
+		$this->assertSame( 'customer_contact_required', $no_contact->get_data()['code'] );
+
+		$this->factory()->user->create( [ 'user_email' => 'taken@example.com' ] );
+		$taken = $this->request(
+			'POST',
+			'/vkbm/v1/admin/customers',
+			[
+				'name'  => 'Jiro Sato',
+				'email' => 'taken@example.com',
+			]
+		);
+		$this->assertSame( 409, $taken->get_status() );
+	}
+
+	public function test_requires_manage_capability(): void {
+		$staff_id = $this->factory()->user->create( [ 'role' => 'subscriber' ] );
+		get_user_by( 'id', $staff_id )->add_cap( Capabilities::VIEW_RESERVATIONS );
+		wp_set_current_user( $staff_id );
+
+		$this->assertSame( 403, $this->request( 'GET', '/vkbm/v1/admin/customers', [ 'search' => 'Yamada' ] )->get_status() );
+	}
+
+	private function request( string $method, string $path, array $params = [] ): WP_REST_Response {
+		$request = new WP_REST_Request( $method, $path );
+		foreach ( $params as $key => $value ) {
+			$request->set_param( $key, $value );
+		}
+
+		return rest_get_server()->dispatch( $request );
+	}
+}
@@ -0,0 +1,150 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Booking_Admin;
+use VKBookingManager\Facilities\Facility_Availability;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Facility_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use WP_Error;
+use WP_UnitTestCase;
+use function delete_option;
+use function get_post_meta;
+use function update_option;
+use function update_post_meta;
+
+/**
+ * @group bookings
+ */
+class Booking_Admin_Facility_Test extends WP_UnitTestCase {
+	private int $room_a;
+	private int $room_b;
+	private int $menu_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->room_a  = $this->create_facility( 'Room A', 1 );
+		$this->room_b  = $this->create_facility( 'Room B', 2 );
+		$this->menu_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $this->menu_id, Facility_Availability::MENU_META_FACILITY_IDS, [ $this->room_a, $this->room_b ] );
+	}
+
+	protected function tearDown(): void {
+		delete_option( 'vkbm_provider_settings' );
+		parent::tearDown();
+	}
+
+	public function test_save_booking_assigns_a_free_facility(): void {
+		$this->create_booking( $this->room_a, '2030-06-01 10:00:00', '2030-06-01 11:00:00' );
+		$booking_id = $this->create_booking( 0, '2030-06-01 15:00:00', '2030-06-01 16:00:00' );
+
+		$result = ( new Booking_Admin() )->save_booking( $booking_id, $this->fields( '10:30', '11:30', 0 ) );
+
+		$this->assertIsArray( $result );
+		$this->assertFalse( $result['has_facility_conflict'] );
+		$this->assertSame( $this->room_b, (int) get_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, true ) );
+	}
+
+	public function test_save_booking_blocks_busy_facility_unless_overlap_allowed(): void {
+		$this->create_booking( $this->room_a, '2030-06-01 10:00:00', '2030-06-01 11:00:00' );
+		$this->create_booking( $this->room_b, '2030-06-01 10:00:00', '2030-06-01 11:00:00' );
+		$booking_id = $this->create_booking( 0, '2030-06-01 15:00:00', '2030-06-01 16:00:00' );
+		$admin      = new Booking_Admin();
+
+		$selected = $admin->save_booking( $booking_id, $this->fields( '10:30', '11:30', $this->room_a ) );
+		$this->assertInstanceOf( WP_Error::class, $selected );
+		$this->assertSame( 'booking_facility_conflict', $selected->get_error_code() );
+
+		$automatic = $admin->save_booking( $booking_id, $this->fields( '10:30', '11:30', 0 ) );
+		$this->assertInstanceOf( WP_Error::class, $automatic );
+		$this->assertSame( '2030-06-01 15:00:00', get_post_meta( $booking_id, '_vkbm_booking_service_start', true ) );
+
+		update_option( 'vkbm_provider_settings', [ 'provider_allow_staff_overlap_admin' => true ] );
+
+		$allowed = $admin->save_booking( $booking_id, $this->fields( '10:30', '11:30', $this->room_a ) );
+		$this->assertIsArray( $allowed );
+		$this->assertTrue( $allowed['has_facility_conflict'] );
+		$this->assertSame( $this->room_a, (int) get_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, true ) );
+	}
+
+	public function test_move_booking_picks_facility_again(): void {
+		$admin      = new Booking_Admin();
+		$booking_id = $this->create_booking( $this->room_a, '2030-06-01 15:00:00', '2030-06-01 16:00:00' );
+		$staff_id   = (int) get_post_meta( $booking_id, '_vkbm_booking_resource_id', true );
+		$this->create_booking( $this->room_a, '2030-06-01 10:00:00', '2030-06-01 11:00:00' );
+
+		$moved = $admin->move_booking( $booking_id, '2030-06-01 10:00:00', '2030-06-01 11:00:00', $staff_id, false );
+		$this->assertIsArray( $moved );
+		$this->assertSame( $this->room_b, $moved['facility_id'] );
+		$this->assertSame( $this->room_b, (int) get_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, true ) );
+
+		$this->create_booking( $this->room_a, '2030-06-01 13:00:00', '2030-06-01 14:00:00' );
+		$this->create_booking( $this->room_b, '2030-06-01 13:00:00', '2030-06-01 14:00:00' );
+
+		$blocked = $admin->move_booking( $booking_id, '2030-06-01 13:00:00', '2030-06-01 14:00:00', $staff_id, false );
+		$this->assertInstanceOf( WP_Error::class, $blocked );
+		$this->assertSame( 'facility_unavailable', $blocked->get_error_code() );
+		$this->assertSame( '2030-06-01 10:00:00', get_post_meta( $booking_id, '_vkbm_booking_service_start', true ) );
+	}
+
+	private function fields(string $start_time, string $end_time, int $facility_id ): array {
+		return [
+			'date'        => '2030-06-01',
+			'start_time'  => $start_time,
+			'end_time'    => $end_time,
+			'resource_id' => $this->create_staff(),
+			'service_id'  => $this->menu_id,
+			'status'      => 'confirmed',
+			'facility_id' => $facility_id,
+		];
+	}
+
+	private function create_facility( string $title, int $order ): int {
+		return (int) $this->factory()->post->create(
+			[
+				'post_type'   => Facility_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => $title,
+				'menu_order'  => $order,
+			]
+		);
+	}
+
+	private function create_staff(): int {
+		return (int) $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+	}
+
+	private function create_booking( int $facility_id, string $start_at, string $end_at ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_service_id', $this->menu_id );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start_at );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', $end_at );
+		update_post_meta( $booking_id, '_vkbm_booking_total_end', $end_at );
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', $this->create_staff() );
+		update_post_meta( $booking_id, '_vkbm_booking_status', 'confirmed' );
+		update_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, $facility_id );
+
+		return $booking_id;
+	}
+}
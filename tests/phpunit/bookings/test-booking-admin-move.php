@@ -0,0 +1,120 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Booking_Admin;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_UnitTestCase;
+use function delete_option;
+use function get_post_meta;
+use function update_option;
+use function update_post_meta;
+
+/**
+ * @group bookings
+ */
+class Booking_Admin_Move_Test extends WP_UnitTestCase {
+	private const META_DATE_START  = '_vkbm_booking_service_start';
+	private const META_DATE_END    = '_vkbm_booking_service_end';
+	private const META_TOTAL_END   = '_vkbm_booking_total_end';
+	private const META_RESOURCE_ID = '_vkbm_booking_resource_id';
+	private const META_STATUS      = '_vkbm_booking_status';
+
+	protected function tearDown(): void {
+		delete_option( 'vkbm_provider_settings' );
+		parent::tearDown();
+	}
+
+	public function test_move_keeps_buffer_and_records_previous_time(): void {
+		$staff_a      = $this->create_staff();
+		$staff_b      = $this->create_staff();
+		$notification = new Move_Notification_Service_Test_Double();
+		$admin        = new Booking_Admin( $notification );
+		$booking_id   = $this->create_booking( $staff_a, '2030-01-10 10:00:00', '2030-01-10 11:00:00', '2030-01-10 11:15:00' );
+
+		$result = $admin->move_booking( $booking_id, '2030-01-10 13:00:00', '2030-01-10 14:30:00', $staff_b, false );
+
+		$this->assertIsArray( $result );
+		$this->assertSame( '2030-01-10 14:45:00', $result['total_end'] );
+		$this->assertSame( '2030-01-10 13:00:00', get_post_meta( $booking_id, self::META_DATE_START, true ) );
+		$this->assertSame( '2030-01-10 14:30:00', get_post_meta( $booking_id, self::META_DATE_END, true ) );
+		$this->assertSame( '2030-01-10 14:45:00', get_post_meta( $booking_id, self::META_TOTAL_END, true ) );
+		$this->assertSame( $staff_b, (int) get_post_meta( $booking_id, self::META_RESOURCE_ID, true ) );
+		$this->assertSame( '2030-01-10 10:00:00', get_post_meta( $booking_id, '_vkbm_booking_previous_start', true ) );
+		$this->assertSame( [ [ $booking_id, false ] ], $notification->rescheduled );
+	}
+
+	public function test_move_into_buffer_of_other_booking_is_blocked_unless_overlap_allowed(): void {
+		$staff_id = $this->create_staff();
+		$admin    = new Booking_Admin();
+		$this->create_booking( $staff_id, '2030-01-10 10:00:00', '2030-01-10 11:00:00', '2030-01-10 11:30:00' );
+		$booking_id = $this->create_booking( $staff_id, '2030-01-10 14:00:00', '2030-01-10 15:00:00', '2030-01-10 15:00:00' );
+
+		$blocked = $admin->move_booking( $booking_id, '2030-01-10 11:15:00', '2030-01-10 12:15:00', $staff_id, false );
+		$this->assertInstanceOf( WP_Error::class, $blocked );
+		$this->assertSame( 'booking_staff_conflict', $blocked->get_error_code() );
+		$this->assertSame( '2030-01-10 14:00:00', get_post_meta( $booking_id, self::META_DATE_START, true ) );
+
+		update_option( 'vkbm_provider_settings', [ 'provider_allow_staff_overlap_admin' => true ] );
+
+		$allowed = $admin->move_booking( $booking_id, '2030-01-10 11:15:00', '2030-01-10 12:15:00', $staff_id, false );
+		$this->assertIsArray( $allowed );
+		$this->assertTrue( $allowed['has_staff_conflict'] );
+	}
+
+	public function test_cancelled_booking_cannot_be_moved(): void {
+		$staff_id   = $this->create_staff();
+		$booking_id = $this->create_booking( $staff_id, '2030-01-10 10:00:00', '2030-01-10 11:00:00', '2030-01-10 11:00:00' );
+		update_post_meta( $booking_id, self::META_STATUS, 'cancelled' );
+
+		$result = ( new Booking_Admin() )->move_booking( $booking_id, '2030-01-10 12:00:00', '2030-01-10 13:00:00', $staff_id, false );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'booking_not_movable', $result->get_error_code() );
+	}
+
+	private function create_staff(): int {
+		return (int) $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+	}
+
+	private function create_booking( int $staff_id, string $start_at, string $end_at, string $total_end ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, self::META_DATE_START, $start_at );
+		update_post_meta( $booking_id, self::META_DATE_END, $end_at );
+		update_post_meta( $booking_id, self::META_TOTAL_END, $total_end );
+		update_post_meta( $booking_id, self::META_RESOURCE_ID, $staff_id );
+		update_post_meta( $booking_id, self::META_STATUS, 'confirmed' );
+
+		return $booking_id;
+	}
+}
+
+class Move_Notification_Service_Test_Double extends Booking_Notification_Service {
+	/** @var array<int, array{0: int, 1: bool}> */
+	public array $rescheduled = [];
+
+	public function __construct() {
+		parent::__construct( new Settings_Repository() );
+	}
+
+	public function handle_reschedule( int $booking_id, bool $notify_customer = true ): void {
+		$this->rescheduled[] = [ $booking_id, $notify_customer ];
+	}
+}
@@ -4,10 +4,12 @@ declare( strict_types=1 );
 
 namespace VKBookingManager\Tests\Bookings;
 
+use VKBookingManager\Availability\Slot_Capacity;
 use VKBookingManager\Bookings\Booking_Admin;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use WP_UnitTestCase;
 use function get_user_by;
@@ -88,6 +90,29 @@ class Booking_Admin_Staff_Conflict_Test extends WP_UnitTestCase {
 		}
 	}
 
+	public function test_has_staff_conflict_respects_group_capacity(): void {
+		$menu_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $menu_id, Slot_Capacity::MENU_META_CAPACITY, 3 );
+
+		$staff_id = $this->create_staff( 'Group instructor' );
+		$existing = $this->create_booking( $staff_id, '2024-02-01 10:00:00', '2024-02-01 11:00:00', 'confirmed' );
+		update_post_meta( $existing, '_vkbm_booking_service_id', $menu_id );
+		update_post_meta( $existing, Slot_Capacity::BOOKING_META_PARTY_SIZE, 2 );
+
+		$booking_id = $this->create_booking( $this->create_staff( 'Other staff' ), '2024-02-01 09:00:00', '2024-02-01 09:30:00', 'confirmed' );
+		$admin      = new Booking_Admin_Test_Double();
+
+		$this->assertFalse( $admin->has_staff_conflict_public( $booking_id, $staff_id, '2024-02-01 10:00:00', '2024-02-01 11:00:00', $menu_id, 1 ) );
+		$this->assertTrue( $admin->has_staff_conflict_public( $booking_id, $staff_id, '2024-02-01 10:00:00', '2024-02-01 11:00:00', $menu_id, 2 ) );
+		$this->assertTrue( $admin->has_staff_conflict_public( $booking_id, $staff_id, '2024-02-01 10:30:00', '2024-02-01 11:30:00', $menu_id, 1 ) );
+		$this->assertTrue( $admin->has_staff_conflict_public( $booking_id, $staff_id, '2024-02-01 10:00:00', '2024-02-01 11:00:00' ) );
+	}
+
 	public function test_save_post_staff_conflict_setting_cases(): void {
 		$test_cases = [
 			[
@@ -219,7 +244,7 @@ class Booking_Admin_Staff_Conflict_Test extends WP_UnitTestCase {
 }
 
 class Booking_Admin_Test_Double extends Booking_Admin {
-	public function has_staff_conflict_public( int $post_id, int $staff_id, string $start_at, string $end_at ): bool {
-		return $this->has_staff_conflict( $post_id, $staff_id, $start_at, $end_at );
+	public function has_staff_conflict_public( int $post_id, int $staff_id, string $start_at, string $end_at, int $menu_id = 0, int $party_size = 1 ): bool {
+		return $this->has_staff_conflict( $post_id, $staff_id, $start_at, $end_at, $menu_id, $party_size );
 	}
 }
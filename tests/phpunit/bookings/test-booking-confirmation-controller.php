@@ -4,10 +4,15 @@ declare( strict_types=1 );
 
 namespace VKBookingManager\Tests\Bookings;
 
+use ReflectionMethod;
 use VKBookingManager\Availability\Availability_Service;
 use VKBookingManager\Bookings\Booking_Confirmation_Controller;
+use VKBookingManager\Bookings\Guest_Booking_Link;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Payments\Mock_Payment_Gateway;
+use VKBookingManager\Payments\Payment_Gateways;
+use VKBookingManager\Payments\Payment_Service;
 use VKBookingManager\PostTypes\Booking_Post_Type;
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\PostTypes\Service_Menu_Post_Type;
@@ -17,11 +22,16 @@ use WP_Error;
 use WP_REST_Request;
 use WP_REST_Response;
 use WP_UnitTestCase;
+use function add_filter;
+use function delete_option;
 use function delete_transient;
 use function get_post;
 use function get_user_by;
 use function get_post_meta;
+use function get_posts;
+use function remove_filter;
 use function set_transient;
+use function update_option;
 use function update_post_meta;
 use function update_user_meta;
 use function wp_generate_password;
@@ -52,9 +62,17 @@ class Booking_Confirmation_Controller_Test extends WP_UnitTestCase {
 		$this->tokens = [];
 		$_COOKIE      = $this->cookie_backup;
 		wp_set_current_user( 0 );
+		remove_filter( Payment_Gateways::FILTER, [ $this, 'register_mock_gateway' ] );
+		delete_option( Settings_Repository::OPTION_KEY );
 		parent::tearDown();
 	}
 
+	public function register_mock_gateway( array $gateways ): array {
+		$gateways[ Mock_Payment_Gateway::ID ] = new Mock_Payment_Gateway();
+
+		return $gateways;
+	}
+
 	public function test_admin_booking_conflict_when_phone_matches_user(): void {
 		$menu_id  = $this->create_menu();
 		$staff_id = $this->create_staff();
@@ -230,6 +248,110 @@ class Booking_Confirmation_Controller_Test extends WP_UnitTestCase {
 		$this->assertSame( 'forbidden_draft', $response->get_error_code() );
 	}
 
+	public function test_guest_cannot_book_menu_requiring_online_payment(): void {
+		add_filter( Payment_Gateways::FILTER, [ $this, 'register_mock_gateway' ] );
+		update_option(
+			Settings_Repository::OPTION_KEY,
+			[
+				'provider_allow_guest_booking' => true,
+				'provider_payment_gateway'     => Mock_Payment_Gateway::ID,
+			]
+		);
+
+		$menu_id  = $this->create_menu();
+		$staff_id = $this->create_staff();
+		update_post_meta( $menu_id, Payment_Service::MENU_META_MODE, Payment_Service::MODE_FULL );
+
+		$_COOKIE[ self::OWNER_COOKIE ] = 'guest123';
+		$token                         = $this->store_temporary_reservation_data(
+			$menu_id,
+			$staff_id,
+			'2024-02-06T10:00:00+09:00',
+			'2024-02-06T10:30:00+09:00',
+			'guest123'
+		);
+
+		$controller = new Booking_Confirmation_Controller(
+			new Booking_Notification_Service_Test_Double(),
+			new Settings_Repository(),
+			new Availability_Service_Test_Double(
+				[
+					'slot_id'              => 'slot-1',
+					'start_at'             => '2024-02-06T10:00:00+09:00',
+					'end_at'               => '2024-02-06T10:30:00+09:00',
+					'service_end_at'       => '2024-02-06T10:30:00+09:00',
+					'staff'                => [
+						'id' => $staff_id,
+					],
+					'assignable_staff_ids' => [ $staff_id ],
+				]
+			),
+			new Payment_Service( new Settings_Repository(), new Booking_Notification_Service_Test_Double() )
+		);
+
+		$request = new WP_REST_Request( 'POST', '/vkbm/v1/bookings' );
+		$request->set_param( 'token', $token );
+		$request->set_param( 'agree_terms', true );
+		$request->set_param( 'customer_name', 'Guest' );
+		$request->set_param( 'customer_email', 'guest@example.com' );
+		$request->set_param( 'customer_phone', '090-1234-5678' );
+
+		$response = $controller->create_booking( $request );
+		$this->assertInstanceOf( WP_Error::class, $response );
+		$this->assertSame( 'not_logged_in', $response->get_error_code() );
+		$this->assertSame( [], get_posts( [ 'post_type' => Booking_Post_Type::POST_TYPE, 'post_status' => 'any', 'fields' => 'ids' ] ) );
+	}
+
+	public function test_series_copies_only_booking_details(): void {
+		$staff_id   = $this->create_staff();
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', $staff_id );
+		update_post_meta( $booking_id, '_vkbm_booking_customer_name', 'Hanako' );
+		update_post_meta( $booking_id, '_vkbm_booking_status', 'confirmed' );
+		update_post_meta( $booking_id, '_vkbm_booking_payment_status', 'paid' );
+		update_post_meta( $booking_id, '_vkbm_booking_previous_start', '2030-01-01 09:00:00' );
+		Guest_Booking_Link::mark_as_guest( $booking_id );
+
+		$controller = $this->build_controller( $staff_id, '2030-01-10T10:00:00+09:00', '2030-01-10T11:00:00+09:00' );
+		$method     = new ReflectionMethod( Booking_Confirmation_Controller::class, 'create_series' );
+		$method->setAccessible( true );
+
+		$series = $method->invoke(
+			$controller,
+			$booking_id,
+			[
+				[
+					'index'     => 2,
+					'slot'      => [
+						'start_at' => '2030-01-17T10:00:00+09:00',
+						'end_at'   => '2030-01-17T11:00:00+09:00',
+					],
+					'available' => true,
+				],
+			],
+			'Hanako'
+		);
+
+		$this->assertCount( 2, $series['booking_ids'] );
+		$occurrence_id = $series['booking_ids'][1];
+
+		$this->assertSame( (string) $staff_id, get_post_meta( $occurrence_id, '_vkbm_booking_resource_id', true ) );
+		$this->assertSame( 'Hanako', get_post_meta( $occurrence_id, '_vkbm_booking_customer_name', true ) );
+		$this->assertSame( 'confirmed', get_post_meta( $occurrence_id, '_vkbm_booking_status', true ) );
+		$this->assertSame( '', get_post_meta( $occurrence_id, '_vkbm_booking_payment_status', true ) );
+		$this->assertSame( '', get_post_meta( $occurrence_id, '_vkbm_booking_previous_start', true ) );
+		$this->assertTrue( Guest_Booking_Link::is_guest_booking( $occurrence_id ) );
+		$this->assertNotSame(
+			get_post_meta( $booking_id, Guest_Booking_Link::META_SECRET, true ),
+			get_post_meta( $occurrence_id, Guest_Booking_Link::META_SECRET, true )
+		);
+	}
+
 	private function build_controller( int $staff_id, string $start_at, string $end_at ): Booking_Confirmation_Controller {
 		$notification_service = new Booking_Notification_Service_Test_Double();
 		$settings_repository  = new Settings_Repository();
@@ -305,7 +427,8 @@ class Booking_Confirmation_Controller_Test extends WP_UnitTestCase {
 		int $menu_id,
 		int $staff_id,
 		string $start_at,
-		string $end_at
+		string $end_at,
+		string $owner_key = ''
 	): string {
 		$token = 'token_' . strtolower( wp_generate_password( 8, false, false ) );
 		$payload = [
@@ -322,6 +445,10 @@ class Booking_Confirmation_Controller_Test extends WP_UnitTestCase {
 			],
 		];
 
+		if ( '' !== $owner_key ) {
+			$payload['owner_key'] = $owner_key;
+		}
+
 		set_transient( self::TRANSIENT_PREFIX . $token, $payload );
 		$this->tokens[] = $token;
 
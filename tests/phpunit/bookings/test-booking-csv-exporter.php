@@ -0,0 +1,131 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Booking_Csv_Exporter;
+use VKBookingManager\Bookings\Booking_Csv_Importer;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use WP_UnitTestCase;
+use function get_posts;
+use function update_post_meta;
+use function wp_set_current_user;
+
+/**
+ * @group bookings
+ */
+class Booking_Csv_Exporter_Test extends WP_UnitTestCase {
+	private Booking_Csv_Exporter $exporter;
+	private int $staff_id;
+	private int $menu_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'administrator' ] ) );
+
+		$this->exporter = new Booking_Csv_Exporter();
+		$this->staff_id = (int) self::factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Staff A',
+			]
+		);
+		$this->menu_id  = (int) self::factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Cut',
+			]
+		);
+	}
+
+	public function test_get_row_includes_booking_meta(): void {
+		$booking_id = $this->create_booking();
+
+		$row = $this->exporter->get_row( $booking_id );
+
+		$this->assertSame( array_keys( Booking_Csv_Exporter::get_columns() ), array_keys( $row ) );
+		$this->assertSame( '2024-05-02 10:00', $row['start'] );
+		$this->assertSame( '2024-05-02 11:00', $row['end'] );
+		$this->assertSame( 'Hanako', $row['customer_name'] );
+		$this->assertSame( 'Staff A', $row['staff'] );
+		$this->assertSame( 'Cut', $row['menu'] );
+		$this->assertSame( '1', $row['is_staff_preferred'] );
+		$this->assertSame( '5500', $row['base_total_price'] );
+		$this->assertSame( 'Allergic to dye', $row['internal_note'] );
+		$this->assertNull( $this->exporter->get_row( $this->staff_id ) );
+	}
+
+	public function test_exported_file_can_be_imported_again_without_duplicates(): void {
+		$booking_id = $this->create_booking();
+		update_post_meta( $booking_id, Booking_Csv_Exporter::EXTERNAL_ID_META, 'EXT-1' );
+
+		$handle = fopen( 'php://temp', 'r+' );
+		$this->exporter->write_csv( [ $booking_id ], $handle );
+		rewind( $handle );
+		$contents = stream_get_contents( $handle );
+		fclose( $handle );
+
+		$importer = new Booking_Csv_Importer();
+		$parsed   = $importer->parse( $contents );
+		$mapping  = $importer->guess_mapping( $parsed['headers'] );
+
+		$this->assertSame( array_keys( Booking_Csv_Importer::get_fields() ), array_keys( $mapping ) );
+
+		$report = $importer->import( $parsed['rows'], $mapping, false );
+
+		$this->assertSame( [ 'create' => 0, 'update' => 1, 'skip' => 0 ], $report['summary'] );
+		$this->assertCount( 1, get_posts( [ 'post_type' => Booking_Post_Type::POST_TYPE, 'post_status' => 'any', 'fields' => 'ids' ] ) );
+		$this->assertSame( 'Hanako', $this->exporter->get_row( $booking_id )['customer_name'] );
+	}
+
+	public function test_write_csv_escapes_formula_cells(): void {
+		$booking_id = $this->create_booking();
+		update_post_meta( $booking_id, '_vkbm_booking_customer_name', '=HYPERLINK("https://example.com","x")' );
+		update_post_meta( $booking_id, '_vkbm_booking_customer_tel', '+81 90 1234 5678' );
+		update_post_meta( $booking_id, '_vkbm_booking_note', '@SUM(A1)' );
+
+		$handle = fopen( 'php://temp', 'r+' );
+		$this->exporter->write_csv( [ $booking_id ], $handle );
+		rewind( $handle );
+		fgets( $handle ); // BOM and header row.
+		$row = array_combine( array_keys( Booking_Csv_Exporter::get_columns() ), fgetcsv( $handle ) );
+		fclose( $handle );
+
+		$this->assertSame( '\'=HYPERLINK("https://example.com","x")', $row['customer_name'] );
+		$this->assertSame( "'+81 90 1234 5678", $row['customer_tel'] );
+		$this->assertSame( "'@SUM(A1)", $row['note'] );
+		$this->assertSame( "'-1", Booking_Csv_Exporter::escape_cell( '-1' ) );
+		$this->assertSame( "'\tx", Booking_Csv_Exporter::escape_cell( "\tx" ) );
+		$this->assertSame( 'Hanako', Booking_Csv_Exporter::escape_cell( 'Hanako' ) );
+		$this->assertSame( '=1', Booking_Csv_Exporter::unescape_cell( "'=1" ) );
+		$this->assertSame( "'quoted", Booking_Csv_Exporter::unescape_cell( "'quoted" ) );
+	}
+
+	private function create_booking(): int {
+		$booking_id = (int) self::factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', '2024-05-02 10:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', '2024-05-02 11:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_total_end', '2024-05-02 11:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', $this->staff_id );
+		update_post_meta( $booking_id, '_vkbm_booking_service_id', $this->menu_id );
+		update_post_meta( $booking_id, '_vkbm_booking_status', 'confirmed' );
+		update_post_meta( $booking_id, '_vkbm_booking_customer_name', 'Hanako' );
+		update_post_meta( $booking_id, '_vkbm_booking_is_staff_preferred', '1' );
+		update_post_meta( $booking_id, '_vkbm_booking_base_total_price', 5500 );
+		update_post_meta( $booking_id, '_vkbm_booking_internal_note', 'Allergic to dye' );
+
+		return $booking_id;
+	}
+}
@@ -0,0 +1,150 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Booking_Csv_Exporter;
+use VKBookingManager\Bookings\Booking_Csv_Importer;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_UnitTestCase;
+use function get_post_meta;
+use function get_posts;
+use function update_option;
+use function update_post_meta;
+use function wp_set_current_user;
+
+/**
+ * @group bookings
+ */
+class Booking_Csv_Importer_Test extends WP_UnitTestCase {
+	private const HEADERS = [ 'external_id', 'start', 'end', 'status', 'customer_name', 'staff', 'menu', 'billed_total_price' ];
+
+	private Booking_Csv_Importer $importer;
+	private int $staff_id;
+	private int $menu_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'administrator' ] ) );
+		update_option( Settings_Repository::OPTION_KEY, [ 'provider_allow_staff_overlap_admin' => false ] );
+
+		$this->importer = new Booking_Csv_Importer();
+		$this->staff_id = (int) self::factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Staff A',
+			]
+		);
+		$this->menu_id  = (int) self::factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Cut',
+			]
+		);
+	}
+
+	public function test_parse_strips_bom_and_converts_shift_jis(): void {
+		$parsed = $this->importer->parse( "\xEF\xBB\xBFexternal_id,Customer name\r\nA-1,山田\r\n\r\n" );
+
+		$this->assertSame( [ 'external_id', 'Customer name' ], $parsed['headers'] );
+		$this->assertSame( [ [ 'A-1', '山田' ] ], $parsed['rows'] );
+		$this->assertSame( [ 'external_id' => 0, 'customer_name' => 1 ], $this->importer->guess_mapping( $parsed['headers'] ) );
+
+		$sjis = $this->importer->parse( mb_convert_encoding( "Customer name\n佐藤\n", 'SJIS-win', 'UTF-8' ) );
+		$this->assertSame( '佐藤', $sjis['rows'][0][0] );
+
+		$this->assertInstanceOf( WP_Error::class, $this->importer->parse( '' ) );
+	}
+
+	public function test_dry_run_reports_errors_without_saving(): void {
+		$existing = (int) self::factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $existing, '_vkbm_booking_service_start', '2024-05-01 10:00:00' );
+		update_post_meta( $existing, '_vkbm_booking_service_end', '2024-05-01 11:00:00' );
+		update_post_meta( $existing, '_vkbm_booking_total_end', '2024-05-01 11:00:00' );
+		update_post_meta( $existing, '_vkbm_booking_resource_id', $this->staff_id );
+		update_post_meta( $existing, '_vkbm_booking_status', 'confirmed' );
+
+		$rows = [
+			[ 'A-1', '2024-05-02 10:00', '11:00', 'confirmed', 'Valid', 'Staff A', 'Cut', '' ],
+			[ 'A-2', '2024-05-02 10:00', '2024-05-02 11:00', '', 'Unknown', 'Nobody', 'Perm', '' ],
+			[ 'A-3', '2024-13-01 10:00', '11:00', '', 'Bad date', 'Staff A', 'Cut', '' ],
+			[ 'A-4', '2024-05-01 10:30', '11:30', '', 'Conflict', 'Staff A', 'Cut', '' ],
+			[ 'A-5', '2024-05-02 10:30', '11:30', '', 'Same file', 'Staff A', 'Cut', '' ],
+			[ 'A-1', '2024-05-03 10:00', '11:00', '', 'Duplicate', '', '', '¥1,000' ],
+		];
+
+		$report  = $this->importer->import( $rows, $this->mapping(), true );
+		$results = $report['results'];
+
+		$this->assertTrue( $report['dry_run'] );
+		$this->assertSame( [ 'create' => 1, 'update' => 0, 'skip' => 5 ], $report['summary'] );
+		$this->assertSame( 2, $results[0]['line'] );
+		$this->assertSame( [], $results[0]['errors'] );
+		$this->assertSame( [ 'Unknown staff: Nobody', 'Unknown menu: Perm' ], $results[1]['errors'] );
+		$this->assertStringContainsString( 'start date and time', $results[2]['errors'][0] );
+		$this->assertCount( 1, $results[3]['errors'] );
+		$this->assertSame( [ 'The staff member is double-booked with row 2.' ], $results[4]['errors'] );
+		$this->assertSame( [ 'The external ID is already used on row 2.' ], $results[5]['errors'] );
+
+		$this->assertCount( 1, get_posts( [ 'post_type' => Booking_Post_Type::POST_TYPE, 'post_status' => 'any', 'fields' => 'ids' ] ) );
+	}
+
+	public function test_reimport_with_same_external_id_updates_instead_of_duplicating(): void {
+		$row = [ 'EXT-1', '2024-05-02 10:00', '11:00', 'confirmed', 'Hanako', 'Staff A', (string) $this->menu_id, '5000' ];
+
+		$first = $this->importer->import( [ $row ], $this->mapping(), false );
+		$this->assertSame( 1, $first['summary']['create'] );
+
+		$row[1] = '2024-05-02 14:00';
+		$row[2] = '15:00';
+		$row[3] = 'Pending';
+		$second = $this->importer->import( [ $row ], $this->mapping(), false );
+		$this->assertSame( 1, $second['summary']['update'] );
+
+		$ids = get_posts( [ 'post_type' => Booking_Post_Type::POST_TYPE, 'post_status' => 'any', 'fields' => 'ids' ] );
+		$this->assertCount( 1, $ids );
+		$this->assertSame( 'EXT-1', get_post_meta( $ids[0], Booking_Csv_Exporter::EXTERNAL_ID_META, true ) );
+		$this->assertSame( '2024-05-02 14:00:00', get_post_meta( $ids[0], '_vkbm_booking_service_start', true ) );
+		$this->assertSame( 'pending', get_post_meta( $ids[0], '_vkbm_booking_status', true ) );
+		$this->assertSame( $this->staff_id, (int) get_post_meta( $ids[0], '_vkbm_booking_resource_id', true ) );
+		$this->assertSame( $this->menu_id, (int) get_post_meta( $ids[0], '_vkbm_booking_service_id', true ) );
+		$this->assertSame( 5000, (int) get_post_meta( $ids[0], '_vkbm_booking_billed_total_price', true ) );
+	}
+
+	public function test_unmapped_columns_keep_stored_values_on_update(): void {
+		$this->importer->import( [ [ 'EXT-2', '2024-05-02 10:00', '11:00', '', 'Taro', 'Staff A', 'Cut', '' ] ], $this->mapping(), false );
+
+		$report = $this->importer->import(
+			[ [ 'EXT-2', '2024-05-03 10:00', '11:00' ] ],
+			[
+				'external_id' => 0,
+				'start'       => 1,
+				'end'         => 2,
+			],
+			false
+		);
+
+		$ids = get_posts( [ 'post_type' => Booking_Post_Type::POST_TYPE, 'post_status' => 'any', 'fields' => 'ids' ] );
+		$this->assertSame( 1, $report['summary']['update'] );
+		$this->assertSame( 'Taro', get_post_meta( $ids[0], '_vkbm_booking_customer_name', true ) );
+		$this->assertSame( $this->staff_id, (int) get_post_meta( $ids[0], '_vkbm_booking_resource_id', true ) );
+		$this->assertSame( '2024-05-03 10:00:00', get_post_meta( $ids[0], '_vkbm_booking_service_start', true ) );
+	}
+
+	private function mapping(): array {
+		return array_flip( self::HEADERS );
+	}
+}
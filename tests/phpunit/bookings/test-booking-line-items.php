@@ -0,0 +1,117 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Booking_Line_Items;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use WP_UnitTestCase;
+use function update_post_meta;
+
+/**
+ * @group bookings
+ */
+class Booking_Line_Items_Test extends WP_UnitTestCase {
+	public function test_normalize_menu_ids_cases(): void {
+		$test_cases = [
+			[
+				'name'     => 'puts_primary_first_and_dedupes',
+				'raw'      => [ 3, 5, 3, 7 ],
+				'primary'  => 5,
+				'expected' => [ 5, 3, 7 ],
+			],
+			[
+				'name'     => 'accepts_comma_separated_string',
+				'raw'      => '4,0,-2, 9',
+				'primary'  => 0,
+				'expected' => [ 4, 9 ],
+			],
+			[
+				'name'     => 'caps_to_max_menus',
+				'raw'      => [ 2, 3, 4, 5, 6, 7 ],
+				'primary'  => 1,
+				'expected' => [ 1, 2, 3, 4, 5 ],
+			],
+			[
+				'name'     => 'ignores_invalid_input',
+				'raw'      => null,
+				'primary'  => 8,
+				'expected' => [ 8 ],
+			],
+		];
+
+		foreach ( $test_cases as $case ) {
+			$actual = Booking_Line_Items::normalize_menu_ids( $case['raw'], $case['primary'] );
+			$this->assertSame( $case['expected'], $actual, $case['name'] );
+		}
+	}
+
+	public function test_build_for_menus_reads_menu_settings(): void {
+		$cut_id   = $this->create_menu( 'Cut', 30, 4000 );
+		$color_id = $this->create_menu( 'Color', 60, 6500 );
+
+		$items = Booking_Line_Items::build_for_menus( [ $cut_id, $color_id ] );
+
+		$this->assertCount( 2, $items );
+		$this->assertSame( $cut_id, $items[0]['menu_id'] );
+		$this->assertSame( 30, $items[0]['duration_minutes'] );
+		$this->assertSame( 6500, $items[1]['price'] );
+		$this->assertSame( 10500, Booking_Line_Items::sum_price( $items ) );
+		$this->assertSame( 'Cut + Color', Booking_Line_Items::join_names( $items ) );
+
+		// Menus without a duration take 60 minutes like in the availability search.
+		$this->assertSame( 60, Booking_Line_Items::build_for_menus( [ $this->create_menu( 'Consultation', 0, 0 ) ] )[0]['duration_minutes'] );
+	}
+
+	public function test_get_for_booking_skips_invalid_rows(): void {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		$this->assertSame( [], Booking_Line_Items::get_for_booking( $booking_id ) );
+
+		update_post_meta(
+			$booking_id,
+			Booking_Line_Items::META_KEY,
+			[
+				[
+					'menu_id'          => 12,
+					'name'             => 'Cut',
+					'duration_minutes' => '30',
+					'price'            => '4000',
+				],
+				[
+					'menu_id' => 0,
+					'name'    => 'Broken',
+				],
+				'invalid',
+			]
+		);
+
+		$items = Booking_Line_Items::get_for_booking( $booking_id );
+
+		$this->assertCount( 1, $items );
+		$this->assertSame( 30, $items[0]['duration_minutes'] );
+		$this->assertSame( 4000, $items[0]['price'] );
+	}
+
+	private function create_menu( string $title, int $duration, int $price ): int {
+		$menu_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => $title,
+			]
+		);
+
+		update_post_meta( $menu_id, '_vkbm_duration_minutes', $duration );
+		update_post_meta( $menu_id, '_vkbm_base_price', $price );
+
+		return $menu_id;
+	}
+}
@@ -0,0 +1,127 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Booking_Series;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_UnitTestCase;
+use function update_post_meta;
+
+/**
+ * @group bookings
+ */
+class Booking_Series_Test extends WP_UnitTestCase {
+	public function test_normalize_rule_cases(): void {
+		$test_cases = [
+			[
+				'name'     => 'valid_rule',
+				'raw'      => [
+					'interval_weeks' => '4',
+					'count'          => '3',
+				],
+				'expected' => [
+					'interval_weeks' => 4,
+					'count'          => 3,
+				],
+			],
+			[
+				'name'     => 'caps_to_limits',
+				'raw'      => [
+					'interval_weeks' => 20,
+					'count'          => 50,
+				],
+				'expected' => [
+					'interval_weeks' => Booking_Series::MAX_INTERVAL_WEEKS,
+					'count'          => Booking_Series::MAX_OCCURRENCES,
+				],
+			],
+			[
+				'name'     => 'single_occurrence_is_not_a_series',
+				'raw'      => [
+					'interval_weeks' => 4,
+					'count'          => 1,
+				],
+				'expected' => null,
+			],
+			[
+				'name'     => 'ignores_invalid_input',
+				'raw'      => 'weekly',
+				'expected' => null,
+			],
+		];
+
+		foreach ( $test_cases as $case ) {
+			$this->assertSame( $case['expected'], Booking_Series::normalize_rule( $case['raw'] ), $case['name'] );
+		}
+	}
+
+	public function test_build_occurrence_slots_shifts_by_interval(): void {
+		$slots = Booking_Series::build_occurrence_slots(
+			[
+				'slot_id'        => '5-20240201010000',
+				'start_at'       => '2024-02-01T10:00:00+09:00',
+				'end_at'         => '2024-02-01T10:45:00+09:00',
+				'service_end_at' => '2024-02-01T10:30:00+09:00',
+			],
+			[
+				'interval_weeks' => 4,
+				'count'          => 3,
+			],
+			'Asia/Tokyo'
+		);
+
+		$this->assertSame( [ 2, 3 ], array_keys( $slots ) );
+		$this->assertSame( '2024-02-29T10:00:00+09:00', $slots[2]['start_at'] );
+		$this->assertSame( '2024-02-29T10:45:00+09:00', $slots[2]['end_at'] );
+		$this->assertSame( '2024-03-28T10:30:00+09:00', $slots[3]['service_end_at'] );
+	}
+
+	public function test_build_occurrence_slots_keeps_local_time_across_dst(): void {
+		$slots = Booking_Series::build_occurrence_slots(
+			[
+				'start_at' => '2024-03-01T10:00:00-05:00',
+				'end_at'   => '2024-03-01T11:00:00-05:00',
+			],
+			[
+				'interval_weeks' => 2,
+				'count'          => 2,
+			],
+			'America/New_York'
+		);
+
+		$this->assertSame( '2024-03-15T10:00:00-04:00', $slots[2]['start_at'] );
+	}
+
+	public function test_get_booking_ids_orders_by_series_index(): void {
+		$third  = $this->create_series_booking( 'series-a', 3 );
+		$first  = $this->create_series_booking( 'series-a', 1 );
+		$second = $this->create_series_booking( 'series-a', 2 );
+		$this->create_series_booking( 'series-b', 1 );
+
+		$this->assertSame( [ $first, $second, $third ], Booking_Series::get_booking_ids( 'series-a' ) );
+		$this->assertSame( [], Booking_Series::get_booking_ids( '' ) );
+		$this->assertSame(
+			[
+				'series_id'    => 'series-a',
+				'series_index' => 2,
+			],
+			Booking_Series::get_for_booking( $second )
+		);
+	}
+
+	private function create_series_booking( string $series_id, int $index ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, Booking_Series::META_SERIES_ID, $series_id );
+		update_post_meta( $booking_id, Booking_Series::META_SERIES_INDEX, $index );
+
+		return $booking_id;
+	}
+}
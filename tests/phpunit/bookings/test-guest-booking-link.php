@@ -0,0 +1,89 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use VKBookingManager\Bookings\Guest_Booking_Link;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_Error;
+use WP_UnitTestCase;
+use function update_post_meta;
+
+/**
+ * @group bookings
+ */
+class Guest_Booking_Link_Test extends WP_UnitTestCase {
+	private function create_booking( string $start_at ): int {
+		$booking_id = self::factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_author' => 0,
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start_at );
+
+		return $booking_id;
+	}
+
+	public function test_member_booking_has_no_manage_link(): void {
+		$booking_id = $this->create_booking( '2030-01-10 10:00:00' );
+
+		$this->assertFalse( Guest_Booking_Link::is_guest_booking( $booking_id ) );
+		$this->assertSame( '', Guest_Booking_Link::create_token( $booking_id ) );
+		$this->assertSame( '', Guest_Booking_Link::get_manage_url( $booking_id, 'https://example.com/reserve/' ) );
+	}
+
+	public function test_token_round_trip(): void {
+		$booking_id = $this->create_booking( '2030-01-10 10:00:00' );
+		Guest_Booking_Link::mark_as_guest( $booking_id );
+
+		$token = Guest_Booking_Link::create_token( $booking_id );
+		$url   = Guest_Booking_Link::get_manage_url( $booking_id, 'https://example.com/reserve/' );
+
+		$this->assertMatchesRegularExpression( '/^' . Guest_Booking_Link::TOKEN_PATTERN . '$/', $token );
+		$this->assertStringStartsWith( 'https://example.com/reserve/?' . Guest_Booking_Link::QUERY_ARG . '=', $url );
+		$this->assertSame( $booking_id, Guest_Booking_Link::verify_token( $token ) );
+	}
+
+	public function test_rejects_tampered_and_revoked_tokens(): void {
+		$booking_id = $this->create_booking( '2030-01-10 10:00:00' );
+		$other_id   = $this->create_booking( '2030-01-11 10:00:00' );
+		Guest_Booking_Link::mark_as_guest( $booking_id );
+		Guest_Booking_Link::mark_as_guest( $other_id );
+
+		$parts    = explode( '.', Guest_Booking_Link::create_token( $booking_id ) );
+		$tampered = [
+			'other_booking'   => implode( '.', [ $other_id, $parts[1], $parts[2] ] ),
+			'longer_validity' => implode( '.', [ $parts[0], (int) $parts[1] + DAY_IN_SECONDS, $parts[2] ] ),
+			'malformed'       => 'abc',
+		];
+
+		foreach ( $tampered as $name => $token ) {
+			$result = Guest_Booking_Link::verify_token( $token );
+			$this->assertInstanceOf( WP_Error::class, $result, $name );
+			$this->assertSame( 'invalid_manage_link', $result->get_error_code(), $name );
+		}
+
+		$token = Guest_Booking_Link::create_token( $booking_id );
+		// Issuing a new secret revokes links sent earlier. / 秘密鍵を再発行すると以前のリンクは無効になる.
+		Guest_Booking_Link::mark_as_guest( $booking_id );
+		$this->assertInstanceOf( WP_Error::class, Guest_Booking_Link::verify_token( $token ) );
+	}
+
+	public function test_token_expires_one_day_after_start(): void {
+		$booking_id = $this->create_booking( '2030-01-10 10:00:00' );
+		Guest_Booking_Link::mark_as_guest( $booking_id );
+
+		$token   = Guest_Booking_Link::create_token( $booking_id );
+		$expires = (int) explode( '.', $token )[1];
+
+		$this->assertSame( $booking_id, Guest_Booking_Link::verify_token( $token, $expires ) );
+
+		$result = Guest_Booking_Link::verify_token( $token, $expires + 1 );
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'manage_link_expired', $result->get_error_code() );
+		$this->assertSame( 410, $result->get_error_data()['status'] );
+	}
+}
@@ -0,0 +1,200 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use DateTimeImmutable;
+use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Bookings\My_Bookings_Controller;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_UnitTestCase;
+use function get_post_meta;
+use function update_post_meta;
+use function wp_set_current_user;
+use function wp_timezone;
+
+/**
+ * @group bookings
+ */
+class My_Bookings_Reschedule_Test extends WP_UnitTestCase {
+	private Reschedule_Availability_Service_Test_Double $availability;
+
+	private Reschedule_Notification_Service_Test_Double $notifications;
+
+	private My_Bookings_Controller $controller;
+
+	private int $user_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->availability  = new Reschedule_Availability_Service_Test_Double();
+		$this->notifications = new Reschedule_Notification_Service_Test_Double();
+		$this->controller    = new My_Bookings_Controller(
+			new Settings_Repository(),
+			$this->notifications,
+			null,
+			$this->availability
+		);
+		$this->user_id       = $this->factory()->user->create();
+		wp_set_current_user( $this->user_id );
+	}
+
+	protected function tearDown(): void {
+		wp_set_current_user( 0 );
+		parent::tearDown();
+	}
+
+	public function test_reschedule_moves_booking_and_keeps_previous_time(): void {
+		$old_start  = $this->days_from_now( 7, '10:00' );
+		$new_start  = $this->days_from_now( 8, '14:00' );
+		$booking_id = $this->create_booking( $this->user_id, $old_start );
+
+		$this->availability->slots = [ $this->build_slot( $new_start, 5 ) ];
+
+		$response = $this->controller->reschedule_booking( $this->build_request( $booking_id, $new_start ) );
+
+		$this->assertInstanceOf( WP_REST_Response::class, $response );
+		$this->assertTrue( $response->get_data()['rescheduled'] );
+		$this->assertSame( $new_start->format( 'Y-m-d H:i:s' ), get_post_meta( $booking_id, '_vkbm_booking_service_start', true ) );
+		$this->assertSame( $old_start->format( 'Y-m-d H:i:s' ), get_post_meta( $booking_id, '_vkbm_booking_previous_start', true ) );
+		$this->assertSame( 'confirmed', get_post_meta( $booking_id, '_vkbm_booking_status', true ) );
+		$this->assertSame( $booking_id, $this->availability->last_args['exclude_booking_id'] );
+		$this->assertSame( [ $booking_id ], $this->notifications->rescheduled );
+	}
+
+	public function test_reschedule_rejects_taken_slot(): void {
+		$booking_id = $this->create_booking( $this->user_id, $this->days_from_now( 7, '10:00' ) );
+		$new_start  = $this->days_from_now( 8, '14:00' );
+
+		$this->availability->slots = [];
+
+		$response = $this->controller->reschedule_booking( $this->build_request( $booking_id, $new_start ) );
+
+		$this->assertInstanceOf( WP_Error::class, $response );
+		$this->assertSame( 'slot_unavailable', $response->get_error_code() );
+		$this->assertSame( [], $this->notifications->rescheduled );
+	}
+
+	public function test_reschedule_rejection_cases(): void {
+		$other_user = $this->factory()->user->create();
+		$new_start  = $this->days_from_now( 8, '14:00' );
+
+		$test_cases = [
+			[
+				'name'     => 'cancelled_booking',
+				'booking'  => $this->create_booking( $this->user_id, $this->days_from_now( 7, '10:00' ), 'cancelled' ),
+				'expected' => 'booking_not_reschedulable',
+			],
+			[
+				'name'     => 'deadline_passed',
+				'booking'  => $this->create_booking( $this->user_id, new DateTimeImmutable( '+1 hour', wp_timezone() ) ),
+				'expected' => 'reschedule_deadline_passed',
+			],
+			[
+				'name'     => 'other_users_booking',
+				'booking'  => $this->create_booking( $other_user, $this->days_from_now( 7, '10:00' ) ),
+				'expected' => 'forbidden',
+			],
+		];
+
+		$this->availability->slots = [ $this->build_slot( $new_start, 5 ) ];
+
+		foreach ( $test_cases as $case ) {
+			$response = $this->controller->reschedule_booking( $this->build_request( $case['booking'], $new_start ) );
+
+			$this->assertInstanceOf( WP_Error::class, $response, $case['name'] );
+			$this->assertSame( $case['expected'], $response->get_error_code(), $case['name'] );
+		}
+
+		$this->assertSame( [], $this->notifications->rescheduled );
+	}
+
+	private function days_from_now( int $days, string $time ): DateTimeImmutable {
+		$date = ( new DateTimeImmutable( 'now', wp_timezone() ) )->modify( '+' . $days . ' days' )->format( 'Y-m-d' );
+
+		return new DateTimeImmutable( $date . ' ' . $time . ':00', wp_timezone() );
+	}
+
+	/**
+	 * @return array<string, mixed>
+	 */
+	private function build_slot( DateTimeImmutable $start, int $staff_id ): array {
+		$end = $start->modify( '+30 minutes' );
+
+		return [
+			'slot_id'        => 'slot-' . $start->format( 'YmdHi' ),
+			'start_at'       => $start->format( DATE_ATOM ),
+			'end_at'         => $end->format( DATE_ATOM ),
+			'service_end_at' => $end->format( DATE_ATOM ),
+			'staff'          => [ 'id' => $staff_id ],
+		];
+	}
+
+	private function build_request( int $booking_id, DateTimeImmutable $start ): WP_REST_Request {
+		$slot    = $this->build_slot( $start, 5 );
+		$request = new WP_REST_Request( 'POST', '/vkbm/v1/my-bookings/' . $booking_id . '/reschedule' );
+		$request->set_param( 'id', $booking_id );
+		$request->set_param( 'slot_id', $slot['slot_id'] );
+		$request->set_param( 'start_at', $slot['start_at'] );
+		$request->set_param( 'end_at', $slot['end_at'] );
+
+		return $request;
+	}
+
+	private function create_booking( int $author_id, DateTimeImmutable $start, string $status = 'confirmed' ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_author' => $author_id,
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_service_id', 10 );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start->format( 'Y-m-d H:i:s' ) );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', $start->modify( '+30 minutes' )->format( 'Y-m-d H:i:s' ) );
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', 5 );
+		update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+
+		return $booking_id;
+	}
+}
+
+class Reschedule_Availability_Service_Test_Double extends Availability_Service {
+	/** @var array<int, array<string, mixed>> */
+	public array $slots = [];
+
+	/** @var array<string, mixed> */
+	public array $last_args = [];
+
+	public function __construct() {
+	}
+
+	public function get_daily_slots( array $args ) {
+		$this->last_args = $args;
+
+		return [
+			'slots' => $this->slots,
+		];
+	}
+}
+
+class Reschedule_Notification_Service_Test_Double extends Booking_Notification_Service {
+	/** @var array<int> */
+	public array $rescheduled = [];
+
+	public function __construct() {
+		parent::__construct( new Settings_Repository() );
+	}
+
+	public function handle_reschedule( int $booking_id, bool $notify_customer = true ): void {
+		$this->rescheduled[] = $booking_id;
+	}
+}
@@ -0,0 +1,272 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Bookings;
+
+use DateTimeImmutable;
+use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Bookings\Waitlist_Repository;
+use VKBookingManager\Bookings\Waitlist_Service;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_UnitTestCase;
+use function delete_option;
+use function update_post_meta;
+use function wp_date;
+use function wp_timezone;
+use function wp_update_post;
+
+/**
+ * @group bookings
+ */
+class Waitlist_Service_Test extends WP_UnitTestCase {
+	private Waitlist_Repository $repository;
+
+	private Waitlist_Availability_Service_Test_Double $availability;
+
+	private Waitlist_Notification_Service_Test_Double $notifications;
+
+	private Waitlist_Service $service;
+
+	private string $date;
+
+	protected function setUp(): void {
+		parent::setUp();
+		delete_option( Waitlist_Repository::OPTION_KEY );
+
+		$this->repository    = new Waitlist_Repository();
+		$this->availability  = new Waitlist_Availability_Service_Test_Double();
+		$this->notifications = new Waitlist_Notification_Service_Test_Double();
+		$this->service       = new Waitlist_Service(
+			$this->repository,
+			$this->availability,
+			$this->notifications,
+			new Settings_Repository()
+		);
+		$this->date          = wp_date( 'Y-m-d', time() + 7 * DAY_IN_SECONDS );
+	}
+
+	protected function tearDown(): void {
+		delete_option( Waitlist_Repository::OPTION_KEY );
+		parent::tearDown();
+	}
+
+	public function test_join_rejects_day_with_available_slots(): void {
+		$this->availability->slots = [ $this->build_slot( '10:00' ) ];
+
+		$result = $this->service->join( 1, 10, 0, $this->date );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'waitlist_slots_available', $result->get_error_code() );
+	}
+
+	public function test_join_does_not_duplicate_active_entry(): void {
+		$first  = $this->service->join( 1, 10, 0, $this->date );
+		$second = $this->service->join( 1, 10, 0, $this->date );
+
+		$this->assertIsArray( $first );
+		$this->assertSame( $first['id'], $second['id'] );
+		$this->assertCount( 1, $this->repository->get_entries() );
+	}
+
+	public function test_released_slot_is_offered_in_join_order(): void {
+		$first_user  = $this->factory()->user->create();
+		$second_user = $this->factory()->user->create();
+
+		$first  = $this->service->join( $first_user, 10, 0, $this->date );
+		$second = $this->service->join( $second_user, 10, 0, $this->date );
+		$this->repository->update( $first['id'], [ 'created_at' => 100 ] );
+		$this->repository->update( $second['id'], [ 'created_at' => 200 ] );
+
+		$this->availability->slots = [ $this->build_slot( '10:00' ) ];
+		$this->service->handle_slot_released( $this->create_cancelled_booking( '10:00:00' ) );
+
+		$this->assertCount( 1, $this->notifications->offers );
+		$this->assertSame( $first_user, $this->notifications->offers[0]['user_id'] );
+		$this->assertSame( Waitlist_Repository::STATUS_NOTIFIED, $this->repository->get( $first['id'] )['status'] );
+		$this->assertSame( Waitlist_Repository::STATUS_WAITING, $this->repository->get( $second['id'] )['status'] );
+
+		// A second release must not skip ahead while the first offer is outstanding.
+		$this->service->handle_slot_released( $this->create_cancelled_booking( '10:00:00' ) );
+		$this->assertCount( 1, $this->notifications->offers );
+	}
+
+	public function test_expired_offer_moves_to_next_customer(): void {
+		$first_user  = $this->factory()->user->create();
+		$second_user = $this->factory()->user->create();
+
+		$first  = $this->service->join( $first_user, 10, 0, $this->date );
+		$second = $this->service->join( $second_user, 10, 0, $this->date );
+		$this->repository->update( $first['id'], [ 'created_at' => 100 ] );
+		$this->repository->update( $second['id'], [ 'created_at' => 200 ] );
+
+		$this->availability->slots = [ $this->build_slot( '10:00' ) ];
+		$this->service->handle_slot_released( $this->create_cancelled_booking( '10:00:00' ) );
+
+		$this->repository->update( $first['id'], [ 'offer_expires_at' => time() - 1 ] );
+		$this->service->handle_offer_expired( $first['id'] );
+
+		$this->assertSame( Waitlist_Repository::STATUS_EXPIRED, $this->repository->get( $first['id'] )['status'] );
+		$this->assertCount( 2, $this->notifications->offers );
+		$this->assertSame( $second_user, $this->notifications->offers[1]['user_id'] );
+	}
+
+	public function test_claim_returns_draft_for_offered_slot(): void {
+		$user_id = $this->factory()->user->create();
+		$entry   = $this->service->join( $user_id, 10, 0, $this->date );
+
+		$this->availability->slots = [ $this->build_slot( '09:00' ), $this->build_slot( '10:00' ) ];
+		$this->service->handle_slot_released( $this->create_cancelled_booking( '10:00:00' ) );
+
+		$token = $this->extract_token( $this->notifications->offers[0]['claim_url'] );
+
+		$forbidden = $this->service->claim( $token, $user_id + 1 );
+		$this->assertInstanceOf( WP_Error::class, $forbidden );
+		$this->assertSame( 'forbidden_waitlist_offer', $forbidden->get_error_code() );
+
+		$draft = $this->service->claim( $token, $user_id );
+		$this->assertIsArray( $draft );
+		$this->assertSame( 10, $draft['menu_id'] );
+		$this->assertSame( $this->date, $draft['date'] );
+		$this->assertSame( $this->build_slot( '10:00' )['start_at'], $draft['slot']['start_at'] );
+		$this->assertSame( Waitlist_Repository::STATUS_CLAIMED, $this->repository->get( $entry['id'] )['status'] );
+
+		$reused = $this->service->claim( $token, $user_id );
+		$this->assertInstanceOf( WP_Error::class, $reused );
+		$this->assertSame( 'waitlist_offer_expired', $reused->get_error_code() );
+	}
+
+	public function test_claim_without_booking_moves_to_next_customer_on_expiry(): void {
+		$first_user  = $this->factory()->user->create();
+		$second_user = $this->factory()->user->create();
+
+		$first  = $this->service->join( $first_user, 10, 0, $this->date );
+		$second = $this->service->join( $second_user, 10, 0, $this->date );
+		$this->repository->update( $first['id'], [ 'created_at' => 100 ] );
+		$this->repository->update( $second['id'], [ 'created_at' => 200 ] );
+
+		$this->availability->slots = [ $this->build_slot( '10:00' ) ];
+		$this->service->handle_slot_released( $this->create_cancelled_booking( '10:00:00' ) );
+		$this->service->claim( $this->extract_token( $this->notifications->offers[0]['claim_url'] ), $first_user );
+
+		$this->repository->update( $first['id'], [ 'offer_expires_at' => time() - 1 ] );
+		$this->service->handle_offer_expired( $first['id'] );
+
+		$this->assertSame( Waitlist_Repository::STATUS_EXPIRED, $this->repository->get( $first['id'] )['status'] );
+		$this->assertCount( 2, $this->notifications->offers );
+		$this->assertSame( $second_user, $this->notifications->offers[1]['user_id'] );
+	}
+
+	public function test_claim_turned_into_booking_is_kept_on_expiry(): void {
+		$user_id = $this->factory()->user->create();
+		$entry   = $this->service->join( $user_id, 10, 0, $this->date );
+
+		$this->availability->slots = [ $this->build_slot( '10:00' ) ];
+		$this->service->handle_slot_released( $this->create_cancelled_booking( '10:00:00' ) );
+		$this->service->claim( $this->extract_token( $this->notifications->offers[0]['claim_url'] ), $user_id );
+
+		$booking_id = $this->create_cancelled_booking( '10:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_status', 'confirmed' );
+		wp_update_post(
+			[
+				'ID'          => $booking_id,
+				'post_author' => $user_id,
+			]
+		);
+
+		$this->repository->update( $entry['id'], [ 'offer_expires_at' => time() - 1 ] );
+		$this->service->handle_offer_expired( $entry['id'] );
+
+		$this->assertSame( Waitlist_Repository::STATUS_CLAIMED, $this->repository->get( $entry['id'] )['status'] );
+		$this->assertCount( 1, $this->notifications->offers );
+	}
+
+	public function test_claim_fails_when_slot_was_taken(): void {
+		$user_id = $this->factory()->user->create();
+		$entry   = $this->service->join( $user_id, 10, 0, $this->date );
+
+		$this->availability->slots = [ $this->build_slot( '10:00' ) ];
+		$this->service->handle_slot_released( $this->create_cancelled_booking( '10:00:00' ) );
+		$token = $this->extract_token( $this->notifications->offers[0]['claim_url'] );
+
+		$this->availability->slots = [];
+		$result                    = $this->service->claim( $token, $user_id );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'waitlist_slot_taken', $result->get_error_code() );
+		$this->assertSame( Waitlist_Repository::STATUS_EXPIRED, $this->repository->get( $entry['id'] )['status'] );
+	}
+
+	/**
+	 * @return array<string, mixed>
+	 */
+	private function build_slot( string $time ): array {
+		$start = new DateTimeImmutable( $this->date . ' ' . $time . ':00', wp_timezone() );
+		$end   = $start->modify( '+30 minutes' );
+
+		return [
+			'slot_id'        => 'slot-' . $time,
+			'start_at'       => $start->format( DATE_ATOM ),
+			'end_at'         => $end->format( DATE_ATOM ),
+			'service_end_at' => $end->format( DATE_ATOM ),
+		];
+	}
+
+	private function create_cancelled_booking( string $time ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $this->date . ' ' . $time );
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', 5 );
+		update_post_meta( $booking_id, '_vkbm_booking_status', 'cancelled' );
+
+		return $booking_id;
+	}
+
+	private function extract_token( string $url ): string {
+		$query = [];
+		parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $query );
+
+		return (string) ( $query['vkbm_waitlist'] ?? '' );
+	}
+}
+
+class Waitlist_Availability_Service_Test_Double extends Availability_Service {
+	/** @var array<int, array<string, mixed>> */
+	public array $slots = [];
+
+	public function __construct() {
+	}
+
+	public function get_daily_slots( array $args ) {
+		return [
+			'slots' => $this->slots,
+		];
+	}
+}
+
+class Waitlist_Notification_Service_Test_Double extends Booking_Notification_Service {
+	/** @var array<int, array<string, mixed>> */
+	public array $offers = [];
+
+	public function __construct() {
+		parent::__construct( new Settings_Repository() );
+	}
+
+	public function send_waitlist_offer( int $user_id, int $menu_id, int $resource_id, string $start_at, string $end_at, string $claim_url, int $expires_at ): bool {
+		$this->offers[] = [
+			'user_id'   => $user_id,
+			'menu_id'   => $menu_id,
+			'claim_url' => $claim_url,
+		];
+
+		return true;
+	}
+}
@@ -0,0 +1,137 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Calendar;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use VKBookingManager\Calendar\External_Calendar_Sync;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use WP_Error;
+use WP_UnitTestCase;
+use function add_filter;
+use function get_post_meta;
+use function remove_all_filters;
+use function update_option;
+use function update_post_meta;
+
+/**
+ * @group calendar
+ */
+class External_Calendar_Sync_Test extends WP_UnitTestCase {
+	private const FEED_URL = 'https://calendar.example.com/staff.ics';
+
+	private External_Calendar_Sync $sync;
+
+	private int $staff_id;
+
+	/**
+	 * Response returned for FEED_URL.
+	 *
+	 * @var array|WP_Error
+	 */
+	private $response;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		update_option( 'timezone_string', 'Asia/Tokyo' );
+		$this->sync     = new External_Calendar_Sync();
+		$this->staff_id = $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		add_filter(
+			'pre_http_request',
+			function ( $preempt, $args, $url ) {
+				return self::FEED_URL === $url ? $this->response : $preempt;
+			},
+			10,
+			3
+		);
+	}
+
+	protected function tearDown(): void {
+		remove_all_filters( 'pre_http_request' );
+		parent::tearDown();
+	}
+
+	public function test_sync_caches_url_and_file_events(): void {
+		update_post_meta( $this->staff_id, External_Calendar_Sync::META_URLS, [ self::FEED_URL ] );
+		update_post_meta(
+			$this->staff_id,
+			External_Calendar_Sync::META_FILES,
+			[
+				[
+					'name'    => 'clinic.ics',
+					'content' => $this->calendar( '20300311T130000', '20300311T140000' ),
+				],
+			]
+		);
+		$this->response = $this->http_response( 200, $this->calendar( '20300310T100000', '20300310T113000' ) );
+
+		$this->sync->sync_staff( $this->staff_id, $this->now() );
+
+		$this->assertSame( [], get_post_meta( $this->staff_id, External_Calendar_Sync::META_ERRORS, true ) );
+		$this->assertTrue( External_Calendar_Sync::is_busy( $this->staff_id, $this->at( '2030-03-10 11:00' ), $this->at( '2030-03-10 12:00' ) ) );
+		$this->assertTrue( External_Calendar_Sync::is_busy( $this->staff_id, $this->at( '2030-03-11 13:30' ), $this->at( '2030-03-11 14:30' ) ) );
+		$this->assertFalse( External_Calendar_Sync::is_busy( $this->staff_id, $this->at( '2030-03-10 11:30' ), $this->at( '2030-03-10 12:30' ) ) );
+
+		$periods = External_Calendar_Sync::get_busy_periods( $this->staff_id, $this->at( '2030-03-10 00:00' ), $this->at( '2030-03-11 00:00' ) );
+		$this->assertCount( 1, $periods );
+		$this->assertSame( '2030-03-10 10:00', $periods[0]['start']->format( 'Y-m-d H:i' ) );
+		$this->assertSame( '2030-03-10 11:30', $periods[0]['end']->format( 'Y-m-d H:i' ) );
+	}
+
+	public function test_failed_fetch_keeps_previous_events(): void {
+		update_post_meta( $this->staff_id, External_Calendar_Sync::META_URLS, [ self::FEED_URL ] );
+		$this->response = $this->http_response( 200, $this->calendar( '20300310T100000', '20300310T113000' ) );
+		$this->sync->sync_staff( $this->staff_id, $this->now() );
+
+		$this->response = new WP_Error( 'http_request_failed', 'timeout' );
+		$this->sync->sync_staff( $this->staff_id, $this->now() );
+
+		$this->assertTrue( External_Calendar_Sync::is_busy( $this->staff_id, $this->at( '2030-03-10 10:00' ), $this->at( '2030-03-10 10:30' ) ) );
+		$this->assertCount( 1, get_post_meta( $this->staff_id, External_Calendar_Sync::META_ERRORS, true ) );
+
+		$this->response = $this->http_response( 404, 'Not found' );
+		$this->sync->sync_staff( $this->staff_id, $this->now() );
+
+		$this->assertTrue( External_Calendar_Sync::is_busy( $this->staff_id, $this->at( '2030-03-10 10:00' ), $this->at( '2030-03-10 10:30' ) ) );
+	}
+
+	public function test_sanitize_urls(): void {
+		$this->assertSame(
+			[ 'https://example.com/a.ics', 'http://example.com/b.ics' ],
+			External_Calendar_Sync::sanitize_urls( "webcal://example.com/a.ics\r\n\r\nhttp://example.com/b.ics\njavascript:alert(1)\nhttps://example.com/a.ics" )
+		);
+	}
+
+	private function now(): DateTimeImmutable {
+		return $this->at( '2030-03-01 09:00' );
+	}
+
+	private function at( string $datetime ): DateTimeImmutable {
+		return new DateTimeImmutable( $datetime, new DateTimeZone( 'Asia/Tokyo' ) );
+	}
+
+	private function calendar( string $start, string $end ): string {
+		return "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VEVENT\r\nUID:busy@example.com\r\nDTSTART:{$start}\r\nDTEND:{$end}\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n";
+	}
+
+	private function http_response( int $code, string $body ): array {
+		return [
+			'headers'  => [],
+			'body'     => $body,
+			'response' => [
+				'code'    => $code,
+				'message' => '',
+			],
+			'cookies'  => [],
+		];
+	}
+}
@@ -0,0 +1,107 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Calendar;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use VKBookingManager\Calendar\Ical_Builder;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use WP_UnitTestCase;
+use function update_option;
+use function update_post_meta;
+
+/**
+ * @group calendar
+ */
+class Ical_Builder_Test extends WP_UnitTestCase {
+	protected function setUp(): void {
+		parent::setUp();
+		update_option( 'timezone_string', 'Asia/Tokyo' );
+	}
+
+	public function test_escape_text(): void {
+		$this->assertSame( 'a\\, b\; c\\\\d\\ne', Ical_Builder::escape_text( "a, b; c\\d\r\ne" ) );
+	}
+
+	public function test_fold_line_keeps_multibyte_characters(): void {
+		$line   = 'SUMMARY:' . str_repeat( 'カット', 20 );
+		$folded = Ical_Builder::fold_line( $line );
+		$parts  = explode( "\r\n ", $folded );
+
+		$this->assertGreaterThan( 1, count( $parts ) );
+		$this->assertSame( $line, implode( '', $parts ) );
+		foreach ( $parts as $index => $part ) {
+			$this->assertLessThanOrEqual( 0 === $index ? 75 : 74, strlen( $part ) );
+			$this->assertTrue( mb_check_encoding( $part, 'UTF-8' ) );
+		}
+	}
+
+	public function test_booking_event_uses_stable_uid_and_utc_times(): void {
+		$booking_id = $this->create_booking( 'confirmed' );
+
+		$event = Ical_Builder::build_booking_event( $booking_id, 'Cut', 'Tokyo' );
+		$ics   = Ical_Builder::render( [ $event ] );
+
+		$this->assertStringContainsString( 'UID:' . Ical_Builder::get_booking_uid( $booking_id ), $ics );
+		$this->assertStringContainsString( "DTSTART:20300301T010000Z\r\n", $ics );
+		$this->assertStringContainsString( "DTEND:20300301T020000Z\r\n", $ics );
+		$this->assertStringContainsString( "STATUS:CONFIRMED\r\n", $ics );
+		$this->assertStringContainsString( "SEQUENCE:0\r\n", $ics );
+		$this->assertStringContainsString( "LOCATION:Tokyo\r\n", $ics );
+		$this->assertStringStartsWith( "BEGIN:VCALENDAR\r\n", $ics );
+		$this->assertStringEndsWith( "END:VCALENDAR\r\n", $ics );
+	}
+
+	public function test_cancelled_booking_keeps_uid_and_raises_sequence(): void {
+		$booking_id = $this->create_booking( 'confirmed' );
+		$before     = Ical_Builder::build_booking_event( $booking_id );
+
+		update_post_meta( $booking_id, '_vkbm_booking_status', 'cancelled' );
+		Ical_Builder::bump_sequence( $booking_id );
+		$after = Ical_Builder::build_booking_event( $booking_id );
+
+		$this->assertSame( $before['uid'], $after['uid'] );
+		$this->assertSame( 'CANCELLED', $after['status'] );
+		$this->assertSame( 1, $after['sequence'] );
+	}
+
+	public function test_all_day_event_uses_date_values(): void {
+		$date = new DateTimeImmutable( '2030-03-05', new DateTimeZone( 'Asia/Tokyo' ) );
+		$ics  = Ical_Builder::render(
+			[
+				[
+					'uid'     => 'dayoff@example.com',
+					'start'   => $date,
+					'end'     => $date->modify( '+1 day' ),
+					'all_day' => true,
+					'summary' => 'Day off',
+				],
+			]
+		);
+
+		$this->assertStringContainsString( "DTSTART;VALUE=DATE:20300305\r\n", $ics );
+		$this->assertStringContainsString( "DTEND;VALUE=DATE:20300306\r\n", $ics );
+	}
+
+	public function test_booking_without_time_has_no_event(): void {
+		$booking_id = $this->factory()->post->create( [ 'post_type' => Booking_Post_Type::POST_TYPE ] );
+
+		$this->assertNull( Ical_Builder::build_booking_event( $booking_id ) );
+	}
+
+	private function create_booking( string $status ): int {
+		$booking_id = $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', '2030-03-01 10:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', '2030-03-01 11:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+
+		return $booking_id;
+	}
+}
@@ -0,0 +1,124 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Calendar;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use VKBookingManager\Calendar\Ical_Parser;
+use WP_UnitTestCase;
+
+/**
+ * @group calendar
+ */
+class Ical_Parser_Test extends WP_UnitTestCase {
+	private DateTimeZone $timezone;
+
+	protected function setUp(): void {
+		parent::setUp();
+		$this->timezone = new DateTimeZone( 'Asia/Tokyo' );
+	}
+
+	public function test_reads_utc_tzid_floating_and_all_day_events(): void {
+		$ics = $this->calendar(
+			[
+				"DTSTART:20300301T010000Z\r\nDTEND:20300301T020000Z",
+				"DTSTART;TZID=America/New_York:20300301T090000\r\nDURATION:PT30M",
+				"DTSTART:20300302T150000\r\nDTEND:20300302T160000",
+				'DTSTART;VALUE=DATE:20300303',
+			]
+		);
+
+		$this->assertSame(
+			[
+				[
+					'start' => '2030-03-01 10:00:00',
+					'end'   => '2030-03-01 11:00:00',
+				],
+				[
+					'start' => '2030-03-01 23:00:00',
+					'end'   => '2030-03-01 23:30:00',
+				],
+				[
+					'start' => '2030-03-02 15:00:00',
+					'end'   => '2030-03-02 16:00:00',
+				],
+				[
+					'start' => '2030-03-03 00:00:00',
+					'end'   => '2030-03-04 00:00:00',
+				],
+			],
+			$this->parse( $ics )
+		);
+	}
+
+	public function test_skips_cancelled_and_free_events_and_alarms(): void {
+		$ics = $this->calendar(
+			[
+				"DTSTART:20300301T100000\r\nDTEND:20300301T110000\r\nSTATUS:CANCELLED",
+				"DTSTART:20300301T120000\r\nDTEND:20300301T130000\r\nTRANSP:TRANSPARENT",
+				"DTSTART:20300301T140000\r\nDTEND:20300301T150000\r\nBEGIN:VALARM\r\nTRIGGER:-PT15M\r\nDTSTART:20300301T000000\r\nEND:VALARM",
+			]
+		);
+
+		$this->assertSame(
+			[
+				[
+					'start' => '2030-03-01 14:00:00',
+					'end'   => '2030-03-01 15:00:00',
+				],
+			],
+			$this->parse( $ics )
+		);
+	}
+
+	public function test_expands_weekly_rule_with_exdate_and_count(): void {
+		$ics = $this->calendar(
+			[
+				"DTSTART:20300304T100000\r\nDTEND:20300304T110000\r\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4\r\nEXDATE:20300306T100000",
+			]
+		);
+
+		$starts = array_column( $this->parse( $ics ), 'start' );
+
+		// 2030-03-04 is a Monday; the Wednesday 6th is excluded but still counted.
+		$this->assertSame( [ '2030-03-04 10:00:00', '2030-03-11 10:00:00', '2030-03-13 10:00:00' ], $starts );
+	}
+
+	public function test_expands_daily_rule_until_date_and_clips_to_range(): void {
+		$ics = $this->calendar(
+			[
+				"DTSTART:20300220T090000\r\nDTEND:20300220T100000\r\nRRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20300305",
+			]
+		);
+
+		$starts = array_column( $this->parse( $ics ), 'start' );
+
+		$this->assertSame( [ '2030-03-02 09:00:00', '2030-03-04 09:00:00' ], $starts );
+	}
+
+	public function test_unfolds_continuation_lines(): void {
+		$ics = $this->calendar( [ "DTSTART:20300301T1\r\n 00000\r\nDTEND:20300301T110000" ] );
+
+		$this->assertCount( 1, $this->parse( $ics ) );
+	}
+
+	private function calendar( array $events ): string {
+		$body = '';
+		foreach ( $events as $index => $event ) {
+			$body .= "BEGIN:VEVENT\r\nUID:event-{$index}@example.com\r\n{$event}\r\nEND:VEVENT\r\n";
+		}
+
+		return "BEGIN:VCALENDAR\r\nVERSION:2.0\r\n{$body}END:VCALENDAR\r\n";
+	}
+
+	private function parse( string $ics ): array {
+		return Ical_Parser::parse_busy_periods(
+			$ics,
+			$this->timezone,
+			new DateTimeImmutable( '2030-03-01 00:00:00', $this->timezone ),
+			new DateTimeImmutable( '2030-04-01 00:00:00', $this->timezone )
+		);
+	}
+}
@@ -0,0 +1,132 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Calendar;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use VKBookingManager\Calendar\Ical_Builder;
+use VKBookingManager\Calendar\Staff_Ical_Feed;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_UnitTestCase;
+use function update_option;
+use function update_post_meta;
+
+/**
+ * @group calendar
+ */
+class Staff_Ical_Feed_Test extends WP_UnitTestCase {
+	private Staff_Ical_Feed $feed;
+
+	private int $staff_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		update_option( 'timezone_string', 'Asia/Tokyo' );
+		$this->feed     = new Staff_Ical_Feed( new Settings_Repository() );
+		$this->staff_id = $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Hanako',
+			]
+		);
+	}
+
+	public function test_token_resolves_staff_and_regeneration_revokes_it(): void {
+		$url = $this->feed->get_feed_url( $this->staff_id );
+		parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $query );
+		$token = $query[ Staff_Ical_Feed::QUERY_VAR ];
+
+		$this->assertSame( $this->staff_id, $this->feed->find_staff_by_token( $token ) );
+		$this->assertSame( $url, $this->feed->get_feed_url( $this->staff_id ) );
+
+		$new_token = $this->feed->regenerate_token( $this->staff_id );
+
+		$this->assertSame( 0, $this->feed->find_staff_by_token( $token ) );
+		$this->assertSame( $this->staff_id, $this->feed->find_staff_by_token( $new_token ) );
+		$this->assertSame( 0, $this->feed->find_staff_by_token( '' ) );
+	}
+
+	public function test_feed_lists_confirmed_and_cancelled_bookings_of_the_staff(): void {
+		$confirmed   = $this->create_booking( $this->staff_id, '2030-03-10 10:00:00', 'confirmed' );
+		$cancelled   = $this->create_booking( $this->staff_id, '2030-03-11 10:00:00', 'cancelled' );
+		$pending     = $this->create_booking( $this->staff_id, '2030-03-12 10:00:00', 'pending' );
+		$other_staff = $this->create_booking( $this->staff_id + 1000, '2030-03-10 10:00:00', 'confirmed' );
+		$too_far     = $this->create_booking( $this->staff_id, '2031-03-10 10:00:00', 'confirmed' );
+
+		$ics = $this->feed->render_feed( $this->staff_id, $this->now() );
+
+		$this->assertStringContainsString( 'UID:' . Ical_Builder::get_booking_uid( $confirmed ), $ics );
+		$this->assertStringContainsString( 'UID:' . Ical_Builder::get_booking_uid( $cancelled ), $ics );
+		$this->assertStringContainsString( "STATUS:CANCELLED\r\n", $ics );
+		$this->assertStringContainsString( 'SUMMARY:Cut (Taro)', $ics );
+		$this->assertStringNotContainsString( Ical_Builder::get_booking_uid( $pending ), $ics );
+		$this->assertStringNotContainsString( Ical_Builder::get_booking_uid( $other_staff ), $ics );
+		$this->assertStringNotContainsString( Ical_Builder::get_booking_uid( $too_far ), $ics );
+	}
+
+	public function test_feed_lists_closed_shift_days(): void {
+		$shift_id = $this->factory()->post->create(
+			[
+				'post_type'   => Shift_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $shift_id, '_vkbm_shift_resource_id', $this->staff_id );
+		update_post_meta( $shift_id, '_vkbm_shift_year', 2030 );
+		update_post_meta( $shift_id, '_vkbm_shift_month', 3 );
+		update_post_meta(
+			$shift_id,
+			'_vkbm_shift_days',
+			[
+				5  => [ 'status' => 'regular_holiday' ],
+				6  => [
+					'status' => 'open',
+					'slots'  => [
+						[
+							'start' => '10:00',
+							'end'   => '18:00',
+						],
+					],
+				],
+				7  => [ 'status' => 'temporary_closed' ],
+				31 => [ 'status' => 'unavailable' ],
+			]
+		);
+
+		$ics = $this->feed->render_feed( $this->staff_id, $this->now() );
+
+		$this->assertStringContainsString( "DTSTART;VALUE=DATE:20300305\r\n", $ics );
+		$this->assertStringContainsString( "DTSTART;VALUE=DATE:20300307\r\n", $ics );
+		$this->assertStringContainsString( "DTSTART;VALUE=DATE:20300331\r\n", $ics );
+		$this->assertStringNotContainsString( 'DTSTART;VALUE=DATE:20300306', $ics );
+	}
+
+	private function now(): DateTimeImmutable {
+		return new DateTimeImmutable( '2030-03-01 09:00:00', new DateTimeZone( 'Asia/Tokyo' ) );
+	}
+
+	private function create_booking( int $staff_id, string $start, string $status ): int {
+		$menu_id    = $this->factory()->post->create( [ 'post_title' => 'Cut' ] );
+		$booking_id = $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_service_id', $menu_id );
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', $staff_id );
+		update_post_meta( $booking_id, '_vkbm_booking_customer_name', 'Taro' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', ( new DateTimeImmutable( $start ) )->modify( '+1 hour' )->format( 'Y-m-d H:i:s' ) );
+		update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+
+		return $booking_id;
+	}
+}
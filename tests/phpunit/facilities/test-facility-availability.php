@@ -0,0 +1,181 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Facilities;
+
+use DateTimeImmutable;
+use VKBookingManager\Availability\Slot_Capacity;
+use VKBookingManager\Facilities\Facility_Availability;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Facility_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use WP_UnitTestCase;
+use function update_post_meta;
+use function wp_timezone;
+
+/**
+ * @group facilities
+ */
+class Facility_Availability_Test extends WP_UnitTestCase {
+	public function test_required_facilities_merge_bundle_menus_and_skip_drafts(): void {
+		$room_a  = $this->create_facility( 'Room A', 1 );
+		$room_b  = $this->create_facility( 'Room B', 2 );
+		$draft   = $this->create_facility( 'Room C', 3, 'draft' );
+		$menu_a  = $this->create_menu( [ $room_b ] );
+		$menu_b  = $this->create_menu( [ $room_a, $draft ] );
+		$no_room = $this->create_menu( [] );
+
+		$this->assertSame( [ $room_a, $room_b ], Facility_Availability::get_required_facility_ids( [ $menu_a, $menu_b ] ) );
+		$this->assertSame( [], Facility_Availability::get_required_facility_ids( [ $no_room ] ) );
+	}
+
+	public function test_find_free_facility_ids_cases(): void {
+		$room_a     = $this->create_facility( 'Room A', 1 );
+		$room_b     = $this->create_facility( 'Room B', 2 );
+		$menu       = $this->create_menu( [ $room_a, $room_b ] );
+		$group_menu = $this->create_menu( [ $room_a ] );
+		update_post_meta( $group_menu, Slot_Capacity::MENU_META_CAPACITY, 3 );
+
+		$busy = $this->create_booking( $menu, $room_a, '2030-05-01 10:00:00', '2030-05-01 11:00:00' );
+		// Cancelled bookings release the room. / キャンセル済みの予約は施設を占有しない.
+		$this->create_booking( $menu, $room_b, '2030-05-01 10:00:00', '2030-05-01 11:00:00', 'cancelled' );
+		$this->create_booking( $group_menu, $room_a, '2030-05-02 10:00:00', '2030-05-02 11:00:00' );
+
+		$test_cases = [
+			[
+				'name'     => 'busy_room_is_skipped',
+				'start'    => '2030-05-01 10:30',
+				'end'      => '2030-05-01 11:30',
+				'menu'     => $menu,
+				'capacity' => 1,
+				'exclude'  => 0,
+				'expected' => [ $room_b ],
+			],
+			[
+				'name'     => 'after_booking_both_free',
+				'start'    => '2030-05-01 11:00',
+				'end'      => '2030-05-01 12:00',
+				'menu'     => $menu,
+				'capacity' => 1,
+				'exclude'  => 0,
+				'expected' => [ $room_a, $room_b ],
+			],
+			[
+				'name'     => 'excluded_booking_frees_room',
+				'start'    => '2030-05-01 10:00',
+				'end'      => '2030-05-01 11:00',
+				'menu'     => $menu,
+				'capacity' => 1,
+				'exclude'  => $busy,
+				'expected' => [ $room_a, $room_b ],
+			],
+			[
+				'name'     => 'group_session_shares_room',
+				'start'    => '2030-05-02 10:00',
+				'end'      => '2030-05-02 11:00',
+				'menu'     => $group_menu,
+				'capacity' => 3,
+				'exclude'  => 0,
+				'expected' => [ $room_a, $room_b ],
+			],
+			[
+				'name'     => 'other_menu_cannot_join_group_room',
+				'start'    => '2030-05-02 10:00',
+				'end'      => '2030-05-02 11:00',
+				'menu'     => $menu,
+				'capacity' => 1,
+				'exclude'  => 0,
+				'expected' => [ $room_b ],
+			],
+		];
+
+		foreach ( $test_cases as $case ) {
+			$availability = new Facility_Availability();
+			$this->assertSame(
+				$case['expected'],
+				$availability->find_free_facility_ids(
+					[ $room_a, $room_b ],
+					$this->datetime( $case['start'] ),
+					$this->datetime( $case['end'] ),
+					$case['menu'],
+					$case['capacity'],
+					$case['exclude']
+				),
+				$case['name']
+			);
+		}
+
+	}
+
+	public function test_pick_facility(): void {
+		$room_a       = $this->create_facility( 'Room A', 1 );
+		$room_b       = $this->create_facility( 'Room B', 2 );
+		$menu         = $this->create_menu( [ $room_a, $room_b ] );
+		$no_room      = $this->create_menu( [] );
+		$availability = new Facility_Availability();
+
+		$this->assertSame( 0, $availability->pick_facility( [ $no_room ], '2030-06-01 10:00:00', '2030-06-01 11:00:00' ) );
+		$this->assertSame( $room_a, $availability->pick_facility( [ $menu ], '2030-06-01 10:00:00', '2030-06-01 11:00:00' ) );
+
+		$first = $this->create_booking( $menu, $room_a, '2030-06-02 10:00:00', '2030-06-02 11:00:00' );
+		$this->assertSame( $room_b, ( new Facility_Availability() )->pick_facility( [ $menu ], '2030-06-02 10:00:00', '2030-06-02 11:00:00' ) );
+
+		$this->create_booking( $menu, $room_b, '2030-06-02 10:00:00', '2030-06-02 11:00:00' );
+		$this->assertNull( ( new Facility_Availability() )->pick_facility( [ $menu ], '2030-06-02 10:00:00', '2030-06-02 11:00:00' ) );
+
+		// Rescheduling keeps the current room when it is free. / 変更時は現在の施設を優先する.
+		$this->assertSame(
+			$room_a,
+			( new Facility_Availability() )->pick_facility( [ $menu ], '2030-06-02 10:30:00', '2030-06-02 11:30:00', $first, $room_a )
+		);
+	}
+
+	private function create_facility( string $title, int $order, string $status = 'publish' ): int {
+		return (int) $this->factory()->post->create(
+			[
+				'post_type'   => Facility_Post_Type::POST_TYPE,
+				'post_status' => $status,
+				'post_title'  => $title,
+				'menu_order'  => $order,
+			]
+		);
+	}
+
+	private function create_menu( array $facility_ids ): int {
+		$menu_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		if ( ! empty( $facility_ids ) ) {
+			update_post_meta( $menu_id, Facility_Availability::MENU_META_FACILITY_IDS, $facility_ids );
+		}
+
+		return $menu_id;
+	}
+
+	private function create_booking( int $menu_id, int $facility_id, string $start_at, string $end_at, string $status = 'confirmed' ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_service_id', $menu_id );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start_at );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', $end_at );
+		update_post_meta( $booking_id, '_vkbm_booking_total_end', $end_at );
+		update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+		update_post_meta( $booking_id, Facility_Availability::BOOKING_META_FACILITY, $facility_id );
+
+		return $booking_id;
+	}
+
+	private function datetime( string $value ): DateTimeImmutable {
+		return new DateTimeImmutable( $value, wp_timezone() );
+	}
+}
@@ -0,0 +1,143 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Holidays;
+
+use VKBookingManager\Holidays\Holiday_Calendar;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use VKBookingManager\Shifts\Shift_Editor;
+use WP_UnitTestCase;
+use function update_option;
+
+/**
+ * @group holidays
+ */
+class Holiday_Calendar_Test extends WP_UnitTestCase {
+	private Holiday_Calendar $calendar;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->calendar = new Holiday_Calendar();
+		$this->calendar->update_options( 'jp', false );
+	}
+
+	public function test_custom_days_and_day_keys(): void {
+		$this->calendar->add_days(
+			[
+				[
+					'date' => '2024-06-10',
+					'name' => 'Founding day',
+					'type' => Holiday_Calendar::TYPE_HOLIDAY,
+				],
+				[
+					'date' => '2024-06-20',
+					'name' => 'Inventory',
+					'type' => Holiday_Calendar::TYPE_CLOSED,
+				],
+				[
+					'date' => '2024-02-30',
+					'name' => 'Invalid',
+					'type' => Holiday_Calendar::TYPE_CLOSED,
+				],
+			]
+		);
+
+		$this->assertCount( 2, $this->calendar->get_settings()['days'] );
+		$this->assertSame( 'Founding day', $this->calendar->get_holiday_name( '2024-06-10' ) );
+		$this->assertSame( "Children's Day", $this->calendar->get_holiday_name( '2024-05-05' ) );
+		$this->assertFalse( $this->calendar->is_holiday( '2024-06-20' ) );
+		$this->assertTrue( $this->calendar->is_closed( '2024-06-20' ) );
+		$this->assertFalse( $this->calendar->is_closed( '2024-05-05' ) );
+
+		$this->assertSame( [ 'holiday_eve' ], $this->calendar->get_day_keys( '2024-06-09' ) );
+		$this->assertSame( [ 'holiday', 'holiday_eve' ], $this->calendar->get_day_keys( '2024-05-04' ) );
+		$this->assertSame( [], $this->calendar->get_day_keys( '2024-06-11' ) );
+
+		$this->calendar->update_options( '', true );
+		$this->assertSame( '', $this->calendar->get_holiday_name( '2024-05-05' ) );
+		$this->assertTrue( $this->calendar->is_closed( '2024-06-10' ) );
+
+		$this->calendar->delete_days( [ '2024-06-10' ] );
+		$this->assertFalse( $this->calendar->is_holiday( '2024-06-10' ) );
+	}
+
+	public function test_read_ics_days_covers_multi_day_events(): void {
+		$ics = implode(
+			"\r\n",
+			[
+				'BEGIN:VCALENDAR',
+				'BEGIN:VEVENT',
+				'DTSTART;VALUE=DATE:20241230',
+				'DTEND;VALUE=DATE:20250104',
+				'SUMMARY:Year-end\, New Year break',
+				'END:VEVENT',
+				'BEGIN:VEVENT',
+				'DTSTART;VALUE=DATE:20240812',
+				'SUMMARY:Obon',
+				'END:VEVENT',
+				'END:VCALENDAR',
+			]
+		);
+
+		$days = $this->calendar->read_ics_days( $ics, Holiday_Calendar::TYPE_CLOSED );
+
+		$this->assertSame( [ '2024-08-12', '2024-12-30', '2024-12-31', '2025-01-01', '2025-01-02', '2025-01-03' ], array_column( $days, 'date' ) );
+		$this->assertSame( 'Year-end, New Year break', $days[1]['name'] );
+		$this->assertSame( Holiday_Calendar::TYPE_CLOSED, $days[0]['type'] );
+	}
+
+	public function test_shift_defaults_use_holiday_hours_and_closures(): void {
+		update_option(
+			Settings_Repository::OPTION_KEY,
+			[
+				'provider_regular_holidays'      => [],
+				'provider_business_hours_basic'  => [
+					[
+						'start' => '10:00',
+						'end'   => '18:00',
+					],
+				],
+				'provider_business_hours_weekly' => [
+					'holiday'     => [
+						'use_custom' => true,
+						'time_slots' => [
+							[
+								'start' => '11:00',
+								'end'   => '15:00',
+							],
+						],
+					],
+					'holiday_eve' => [
+						'use_custom' => true,
+						'time_slots' => [
+							[
+								'start' => '10:00',
+								'end'   => '20:00',
+							],
+						],
+					],
+				],
+			]
+		);
+		$this->calendar->add_days(
+			[
+				[
+					'date' => '2024-05-08',
+					'name' => 'Staff training',
+					'type' => Holiday_Calendar::TYPE_CLOSED,
+				],
+			]
+		);
+
+		$days = ( new Shift_Editor( $this->calendar ) )->derive_default_days( 0, 2024, 5 );
+
+		$this->assertSame( '20:00', $days[2]['slots'][0]['end'] );
+		$this->assertSame( '15:00', $days[3]['slots'][0]['end'] );
+		$this->assertSame( '15:00', $days[6]['slots'][0]['end'] );
+		$this->assertSame( '18:00', $days[7]['slots'][0]['end'] );
+		$this->assertSame( 'temporary_closed', $days[8]['status'] );
+		$this->assertSame( [], $days[8]['slots'] );
+	}
+}
@@ -0,0 +1,66 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Holidays;
+
+use VKBookingManager\Holidays\Japan_Holidays;
+use WP_UnitTestCase;
+
+/**
+ * @group holidays
+ */
+class Japan_Holidays_Test extends WP_UnitTestCase {
+	public function test_2024_includes_substitute_holidays(): void {
+		$this->assertSame(
+			[
+				'2024-01-01',
+				'2024-01-08',
+				'2024-02-11',
+				'2024-02-12',
+				'2024-02-23',
+				'2024-03-20',
+				'2024-04-29',
+				'2024-05-03',
+				'2024-05-04',
+				'2024-05-05',
+				'2024-05-06',
+				'2024-07-15',
+				'2024-08-11',
+				'2024-08-12',
+				'2024-09-16',
+				'2024-09-22',
+				'2024-09-23',
+				'2024-10-14',
+				'2024-11-03',
+				'2024-11-04',
+				'2024-11-23',
+			],
+			array_keys( Japan_Holidays::get_holidays( 2024 ) )
+		);
+		$this->assertSame( 'Substitute Holiday', Japan_Holidays::get_holidays( 2024 )['2024-05-06'] );
+	}
+
+	public function test_citizens_holidays_between_two_holidays(): void {
+		$holidays_2026 = Japan_Holidays::get_holidays( 2026 );
+		$this->assertSame( "Citizens' Holiday", $holidays_2026['2026-09-22'] );
+		$this->assertSame( 'Substitute Holiday', $holidays_2026['2026-05-06'] );
+
+		$holidays_2019 = Japan_Holidays::get_holidays( 2019 );
+		$this->assertSame( "Citizens' Holiday", $holidays_2019['2019-04-30'] );
+		$this->assertSame( 'Enthronement Day', $holidays_2019['2019-05-01'] );
+		$this->assertSame( "Citizens' Holiday", $holidays_2019['2019-05-02'] );
+		$this->assertArrayNotHasKey( '2019-12-23', $holidays_2019 );
+	}
+
+	public function test_olympic_year_moves_and_unsupported_years(): void {
+		$holidays = Japan_Holidays::get_holidays( 2021 );
+		$this->assertSame( 'Marine Day', $holidays['2021-07-22'] );
+		$this->assertSame( 'Sports Day', $holidays['2021-07-23'] );
+		$this->assertSame( 'Mountain Day', $holidays['2021-08-08'] );
+		$this->assertSame( 'Substitute Holiday', $holidays['2021-08-09'] );
+		$this->assertArrayNotHasKey( '2021-10-11', $holidays );
+
+		$this->assertSame( [], Japan_Holidays::get_holidays( 2006 ) );
+	}
+}
@@ -6,6 +6,7 @@ namespace VKBookingManager\Tests\Notifications;
 
 use ReflectionMethod;
 use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Notifications\Email_Channel;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use WP_UnitTestCase;
 
@@ -183,8 +184,8 @@ class Booking_Notification_Service_Test extends WP_UnitTestCase {
 	 * 通知タイプごとの送信者ヘッダー情報が期待どおりに返ることを検証します。
 	 */
 	public function test_get_mail_header(): void {
-		$service = new Booking_Notification_Service( new Settings_Repository() );
-		$method  = new ReflectionMethod( Booking_Notification_Service::class, 'get_mail_header' );
+		$service = new Email_Channel( new Settings_Repository() );
+		$method  = new ReflectionMethod( Email_Channel::class, 'get_mail_header' );
 		$method->setAccessible( true );
 
 		$test_cases = array(
@@ -303,8 +304,8 @@ class Booking_Notification_Service_Test extends WP_UnitTestCase {
 	 * メールヘッダー表示名の CR/LF が除去されることを検証します。
 	 */
 	public function test_sanitize_mail_header_name(): void {
-		$service = new Booking_Notification_Service( new Settings_Repository() );
-		$method  = new ReflectionMethod( Booking_Notification_Service::class, 'sanitize_mail_header_name' );
+		$service = new Email_Channel( new Settings_Repository() );
+		$method  = new ReflectionMethod( Email_Channel::class, 'sanitize_mail_header_name' );
 		$method->setAccessible( true );
 
 		$actual = (string) $method->invoke( $service, "Sample Name\r\nBcc: attacker@example.com" );
@@ -0,0 +1,111 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Notifications;
+
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Notifications\Email_Templates;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_UnitTestCase;
+
+/**
+ * @group notifications
+ */
+class Email_Templates_Test extends WP_UnitTestCase {
+	protected function tearDown(): void {
+		delete_option( 'vkbm_provider_settings' );
+
+		parent::tearDown();
+	}
+
+	public function test_sanitize_drops_unknown_types_and_markup(): void {
+		$templates = Email_Templates::sanitize(
+			[
+				'confirmed_customer' => [
+					'enabled' => '1',
+					'subject' => "Booked <b>{menu_title}</b>\n",
+					'body'    => "<p>Hello {customer_name}</p>\n\n",
+				],
+				'pending_provider'   => [
+					'subject' => '',
+					'body'    => '',
+				],
+				'unknown_type'       => [
+					'enabled' => '1',
+					'subject' => 'x',
+				],
+			]
+		);
+
+		$this->assertSame( [ 'confirmed_customer', 'pending_provider' ], array_keys( $templates ) );
+		$this->assertSame(
+			[
+				'enabled' => true,
+				'subject' => 'Booked {menu_title}',
+				'body'    => 'Hello {customer_name}',
+			],
+			$templates['confirmed_customer']
+		);
+		// An unchecked box is not posted, so the type is switched off. / 未チェックのチェックボックスは送信されないため無効になる.
+		$this->assertFalse( $templates['pending_provider']['enabled'] );
+		$this->assertSame( [], Email_Templates::sanitize( 'invalid' ) );
+	}
+
+	public function test_get_template_defaults_to_enabled_builtin_text(): void {
+		$this->assertSame(
+			[
+				'enabled' => true,
+				'subject' => '',
+				'body'    => '',
+			],
+			Email_Templates::get_template( [], 'pending_customer' )
+		);
+	}
+
+	public function test_replace_tokens_keeps_unknown_placeholders(): void {
+		$this->assertSame(
+			'Hi Taro, see you at {unknown}.',
+			Email_Templates::replace_tokens( 'Hi {customer_name}, see you at {unknown}.', [ 'customer_name' => 'Taro' ] )
+		);
+	}
+
+	public function test_preview_uses_custom_template_with_booking_values(): void {
+		update_option(
+			'vkbm_provider_settings',
+			[
+				'provider_name' => 'Test Salon',
+			]
+		);
+
+		$booking_id = self::factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_customer_name', 'Hanako' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', '2030-01-10 10:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', '2030-01-10 11:00:00' );
+
+		$service = new Booking_Notification_Service( new Settings_Repository() );
+		$preview = $service->preview_message(
+			'confirmed_customer',
+			$booking_id,
+			"{provider_name}: {customer_name}\n#{booking_id}",
+			'Dear {customer_name}, reservation #{booking_id} at {provider_name}.',
+			false
+		);
+
+		$this->assertSame( 'Test Salon: Hanako #' . $booking_id, $preview['subject'] );
+		$this->assertSame( 'Dear Hanako, reservation #' . $booking_id . ' at Test Salon.', $preview['body'] );
+
+		$builtin = $service->preview_message( 'confirmed_customer', $booking_id, '', '', true );
+		$this->assertTrue( $builtin['html'] );
+		$this->assertStringContainsString( 'Dear Hanako', $builtin['body'] );
+		$this->assertStringContainsString( '<!DOCTYPE html>', $builtin['body'] );
+
+		$this->assertNull( $service->preview_message( 'confirmed_customer', 999999, '', '', false ) );
+	}
+}
@@ -0,0 +1,152 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Notifications;
+
+use VKBookingManager\Admin\Email_Log_Repository;
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Notifications\Log_Sms_Provider;
+use VKBookingManager\Notifications\Sms_Channel;
+use VKBookingManager\Notifications\Sms_Providers;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_UnitTestCase;
+
+/**
+ * @group notifications
+ */
+class Sms_Channel_Test extends WP_UnitTestCase {
+	/** @var string */
+	private $log_file = '';
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->log_file = wp_tempnam( 'vkbm-sms' );
+		add_filter( Sms_Providers::FILTER, [ $this, 'use_temp_log_provider' ] );
+	}
+
+	protected function tearDown(): void {
+		remove_filter( Sms_Providers::FILTER, [ $this, 'use_temp_log_provider' ] );
+		if ( file_exists( $this->log_file ) ) {
+			unlink( $this->log_file );
+		}
+		delete_option( 'vkbm_provider_settings' );
+		delete_option( Email_Log_Repository::OPTION_KEY );
+
+		parent::tearDown();
+	}
+
+	public function use_temp_log_provider( array $providers ): array {
+		$providers[ Log_Sms_Provider::ID ] = new Log_Sms_Provider( $this->log_file );
+
+		return $providers;
+	}
+
+	private function create_booking( bool $opt_in ): int {
+		$booking_id = self::factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_customer_name', 'Hanako' );
+		update_post_meta( $booking_id, '_vkbm_booking_customer_tel', '090-1234-5678' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', '2030-01-10 10:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', '2030-01-10 11:00:00' );
+		update_post_meta( $booking_id, Sms_Channel::META_OPT_IN, $opt_in ? '1' : '' );
+
+		return $booking_id;
+	}
+
+	public function test_recipient_requires_setting_opt_in_and_customer_type(): void {
+		$channel = new Sms_Channel( new Settings_Repository() );
+		$payload = [
+			'customer_tel' => '０９０-1234-5678',
+			'sms_opt_in'   => true,
+		];
+
+		// SMS is switched off by default. / 初期状態では SMS は無効.
+		$this->assertSame( '', $channel->get_recipient( 'confirmed_customer', $payload ) );
+
+		update_option( 'vkbm_provider_settings', [ 'sms_enabled' => true ] );
+
+		$this->assertSame( '09012345678', $channel->get_recipient( 'confirmed_customer', $payload ) );
+		$this->assertSame( '', $channel->get_recipient( 'confirmed_provider', $payload ) );
+		$this->assertSame( '', $channel->get_recipient( 'confirmed_customer', [ 'sms_opt_in' => false ] + $payload ) );
+	}
+
+	public function test_build_message_uses_default_or_custom_body(): void {
+		$tokens = [
+			'provider_name'  => 'Test Salon',
+			'start_datetime' => '2030/01/10 10:00',
+			'manage_url'     => '',
+		];
+
+		$channel = new Sms_Channel( new Settings_Repository() );
+		$message = $channel->build_message( 'cancelled_customer', [], $tokens );
+		$this->assertSame( '[Test Salon] Your reservation for 2030/01/10 10:00 has been cancelled.', $message['body'] );
+
+		update_option(
+			'vkbm_provider_settings',
+			[
+				'sms_templates' => [
+					'confirmed_customer' => [
+						'enabled' => true,
+						'body'    => 'See you at {start_datetime}. {manage_url}',
+					],
+					'cancelled_customer' => [
+						'enabled' => false,
+						'body'    => '',
+					],
+				],
+			]
+		);
+
+		$message = $channel->build_message( 'confirmed_customer', [], $tokens );
+		$this->assertSame( 'See you at 2030/01/10 10:00.', $message['body'] );
+		$this->assertNull( $channel->build_message( 'cancelled_customer', [], $tokens ) );
+	}
+
+	public function test_retry_sends_on_sms_channel_and_logs_attempt(): void {
+		update_option(
+			'vkbm_provider_settings',
+			[
+				'provider_name'     => 'Test Salon',
+				'sms_enabled'       => true,
+				'sms_provider'      => Log_Sms_Provider::ID,
+				'email_log_enabled' => true,
+			]
+		);
+
+		$booking_id = $this->create_booking( true );
+		$skipped_id = $this->create_booking( false );
+		$service    = new Booking_Notification_Service( new Settings_Repository() );
+
+		$service->handle_retry( 'confirmed_customer', $booking_id, 2, Sms_Channel::ID );
+		$service->handle_retry( 'confirmed_customer', $skipped_id, 2, Sms_Channel::ID );
+
+		$contents = (string) file_get_contents( $this->log_file );
+		$this->assertSame( 1, substr_count( $contents, '09012345678' ) );
+		$this->assertStringContainsString( '[Test Salon] Your reservation for', $contents );
+
+		$logs = ( new Email_Log_Repository() )->get_logs();
+		$this->assertCount( 1, $logs );
+		$this->assertSame( Sms_Channel::ID, $logs[0]['channel'] );
+		$this->assertSame( '09012345678', $logs[0]['email'] );
+		$this->assertTrue( $logs[0]['success'] );
+	}
+
+	public function test_log_provider_redacts_link_tokens(): void {
+		$provider = new Log_Sms_Provider( $this->log_file );
+
+		$this->assertTrue( $provider->send( '09012345678', 'Manage: https://example.com/?vkbm_manage=12.34.abcdef Claim: https://example.com/?menu_id=3&vkbm_waitlist=secret&date=2030-01-10' ) );
+
+		$contents = (string) file_get_contents( $this->log_file );
+		$this->assertStringContainsString( '?vkbm_manage=[redacted] ', $contents );
+		$this->assertStringContainsString( '&vkbm_waitlist=[redacted]&date=2030-01-10', $contents );
+		$this->assertStringNotContainsString( 'secret', $contents );
+		$this->assertStringNotContainsString( 'abcdef', $contents );
+	}
+}
@@ -0,0 +1,202 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Payments;
+
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\Payments\Mock_Payment_Gateway;
+use VKBookingManager\Payments\Payment_Gateways;
+use VKBookingManager\Payments\Payment_Service;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use WP_Error;
+use WP_UnitTestCase;
+use function add_filter;
+use function delete_option;
+use function get_post_meta;
+use function remove_filter;
+use function update_option;
+use function update_post_meta;
+use function wp_next_scheduled;
+
+/**
+ * @group payments
+ */
+class Payment_Service_Test extends WP_UnitTestCase {
+	private Payment_Notification_Service_Test_Double $notifications;
+
+	private Payment_Service $service;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		add_filter( Payment_Gateways::FILTER, [ $this, 'register_mock_gateway' ] );
+		$this->set_provider_settings(
+			[
+				'provider_payment_gateway'     => 'mock',
+				'provider_booking_status_mode' => 'confirmed',
+			]
+		);
+
+		$this->notifications = new Payment_Notification_Service_Test_Double();
+		$this->service       = new Payment_Service( new Settings_Repository(), $this->notifications );
+	}
+
+	protected function tearDown(): void {
+		remove_filter( Payment_Gateways::FILTER, [ $this, 'register_mock_gateway' ] );
+		delete_option( Settings_Repository::OPTION_KEY );
+		parent::tearDown();
+	}
+
+	public function register_mock_gateway( array $gateways ): array {
+		$gateways[ Mock_Payment_Gateway::ID ] = new Mock_Payment_Gateway();
+
+		return $gateways;
+	}
+
+	public function test_calculate_amount_due(): void {
+		$full      = $this->create_menu( Payment_Service::MODE_FULL );
+		$deposit_a = $this->create_menu( Payment_Service::MODE_DEPOSIT, 1000 );
+		$deposit_b = $this->create_menu( Payment_Service::MODE_DEPOSIT, 2500 );
+		$at_store  = $this->create_menu( '' );
+
+		$test_cases = [
+			'full prepayment'         => [ [ $full, $deposit_a ], 8000, 8000 ],
+			'deposits are added up'   => [ [ $deposit_a, $deposit_b ], 8000, 3500 ],
+			'deposit capped at total' => [ [ $deposit_b ], 2000, 2000 ],
+			'paid at the store'       => [ [ $at_store ], 8000, 0 ],
+		];
+
+		foreach ( $test_cases as $label => [ $menu_ids, $total, $expected ] ) {
+			$this->assertSame( $expected, Payment_Service::calculate_amount_due( $menu_ids, $total ), $label );
+		}
+	}
+
+	public function test_requires_payment_needs_active_gateway(): void {
+		$menu_id = $this->create_menu( Payment_Service::MODE_FULL );
+
+		$this->assertTrue( $this->service->requires_payment( [ $menu_id ] ) );
+
+		$this->set_provider_settings( [ 'provider_payment_gateway' => '' ] );
+		$this->assertFalse( $this->service->requires_payment( [ $menu_id ] ) );
+	}
+
+	public function test_confirm_marks_booking_paid_and_confirmed(): void {
+		$booking_id = $this->create_booking();
+		$payment    = $this->service->start( $booking_id, 3000 );
+
+		$this->assertIsArray( $payment );
+		$this->assertSame( Payment_Service::STATUS_AWAITING, $payment['status'] );
+		$this->assertSame( 3000, $payment['amount'] );
+		$this->assertNotFalse( wp_next_scheduled( Payment_Service::EXPIRE_ACTION, [ $booking_id ] ) );
+
+		$result = $this->service->confirm( $booking_id, [] );
+
+		$this->assertIsArray( $result );
+		$this->assertSame( Payment_Service::STATUS_PAID, $result['status'] );
+		$this->assertSame( 'confirmed', get_post_meta( $booking_id, '_vkbm_booking_status', true ) );
+		$this->assertSame( [ $booking_id ], $this->notifications->confirmed );
+		$this->assertFalse( wp_next_scheduled( Payment_Service::EXPIRE_ACTION, [ $booking_id ] ) );
+
+		// A second notification from the provider changes nothing.
+		$this->service->confirm( $booking_id, [] );
+		$this->assertSame( [ $booking_id ], $this->notifications->confirmed );
+	}
+
+	public function test_confirm_reports_declined_payment(): void {
+		$booking_id = $this->create_booking();
+		$this->service->start( $booking_id, 3000 );
+
+		$result = $this->service->confirm( $booking_id, [ 'outcome' => 'decline' ] );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'payment_declined', $result->get_error_code() );
+		$this->assertSame( 'pending', get_post_meta( $booking_id, '_vkbm_booking_status', true ) );
+		$this->assertSame( [], $this->notifications->confirmed );
+	}
+
+	public function test_expired_payment_cancels_pending_booking(): void {
+		$booking_id = $this->create_booking();
+		$this->service->start( $booking_id, 3000 );
+
+		// Not expired yet.
+		$this->service->handle_expired( $booking_id );
+		$this->assertSame( 'pending', get_post_meta( $booking_id, '_vkbm_booking_status', true ) );
+
+		update_post_meta( $booking_id, Payment_Service::META_EXPIRES_AT, time() - 60 );
+		$this->service->handle_expired( $booking_id );
+
+		$this->assertSame( 'cancelled', get_post_meta( $booking_id, '_vkbm_booking_status', true ) );
+		$this->assertSame( Payment_Service::STATUS_EXPIRED, get_post_meta( $booking_id, Payment_Service::META_STATUS, true ) );
+
+		$result = $this->service->confirm( $booking_id, [] );
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'payment_expired', $result->get_error_code() );
+	}
+
+	public function test_refund_requires_paid_booking(): void {
+		$booking_id = $this->create_booking();
+		$this->service->start( $booking_id, 3000 );
+
+		$result = $this->service->refund( $booking_id );
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'payment_not_refundable', $result->get_error_code() );
+
+		$this->service->confirm( $booking_id, [] );
+
+		$this->assertTrue( $this->service->refund( $booking_id ) );
+		$this->assertSame( Payment_Service::STATUS_REFUNDED, get_post_meta( $booking_id, Payment_Service::META_STATUS, true ) );
+	}
+
+	private function create_menu( string $mode, int $deposit = 0 ): int {
+		$menu_id = $this->factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $menu_id, Payment_Service::MENU_META_MODE, $mode );
+		update_post_meta( $menu_id, Payment_Service::MENU_META_DEPOSIT, $deposit );
+
+		return $menu_id;
+	}
+
+	private function create_booking(): int {
+		$booking_id = $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_status', 'pending' );
+
+		return $booking_id;
+	}
+
+	private function set_provider_settings( array $overrides ): void {
+		$settings = ( new Settings_Repository() )->get_default_settings();
+		update_option( Settings_Repository::OPTION_KEY, array_merge( $settings, $overrides ) );
+	}
+}
+
+class Payment_Notification_Service_Test_Double extends Booking_Notification_Service {
+	/** @var array<int> */
+	public array $confirmed = [];
+
+	/** @var array<int> */
+	public array $pending = [];
+
+	public function __construct() {
+		parent::__construct( new Settings_Repository() );
+	}
+
+	public function handle_confirmed_creation( int $booking_id ): void {
+		$this->confirmed[] = $booking_id;
+	}
+
+	public function handle_pending_creation( int $booking_id ): void {
+		$this->pending[] = $booking_id;
+	}
+}
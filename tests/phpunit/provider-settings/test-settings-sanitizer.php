@@ -193,6 +193,16 @@ class Settings_Sanitizer_Test extends WP_UnitTestCase {
 		}
 	}
 
+	public function test_sanitize_clamps_shift_auto_generate_months(): void {
+		$sanitizer = new Settings_Sanitizer();
+		$defaults  = ( new Settings_Repository() )->get_default_settings();
+
+		$this->assertSame( 0, $defaults['shift_auto_generate_months'] );
+		$this->assertSame( 3, $sanitizer->sanitize( [ 'shift_auto_generate_months' => '3' ], $defaults )['shift_auto_generate_months'] );
+		$this->assertSame( 6, $sanitizer->sanitize( [ 'shift_auto_generate_months' => '24' ], $defaults )['shift_auto_generate_months'] );
+		$this->assertSame( 0, $sanitizer->sanitize( [ 'shift_auto_generate_months' => '-1' ], $defaults )['shift_auto_generate_months'] );
+	}
+
 	public function test_sanitize_discards_invalid_email(): void {
 		$sanitizer = new Settings_Sanitizer();
 		$defaults  = ( new Settings_Repository() )->get_default_settings();
@@ -13,6 +13,9 @@ namespace VKBookingManager\Tests\Admin;
 
 use VKBookingManager\Admin\Provider_Settings_Page;
 use VKBookingManager\Admin\Shift_Dashboard_Page;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
 use VKBookingManager\ProviderSettings\Settings_Repository;
 use VKBookingManager\ProviderSettings\Settings_Sanitizer;
 use VKBookingManager\ProviderSettings\Settings_Service;
@@ -69,6 +72,80 @@ class Admin_Page_Rendering_Test extends WP_UnitTestCase {
 		$this->assertNoFatalOutput( $output );
 	}
 
+	/**
+	 * 週表示にシフト時間・予約時間・稼働率が表示されることを確認する。
+	 */
+	public function test_shift_dashboard_week_view_shows_utilization(): void {
+		// 2030-01-07 は月曜日なので週の先頭になる.
+		$staff_id = $this->factory()->post->create(
+			array(
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Week Staff',
+			)
+		);
+		$shift_id = $this->factory()->post->create(
+			array(
+				'post_type'   => Shift_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			)
+		);
+		update_post_meta( $shift_id, '_vkbm_shift_resource_id', $staff_id );
+		update_post_meta( $shift_id, '_vkbm_shift_year', 2030 );
+		update_post_meta( $shift_id, '_vkbm_shift_month', 1 );
+		update_post_meta(
+			$shift_id,
+			'_vkbm_shift_days',
+			array(
+				8 => array(
+					'status' => 'open',
+					'slots'  => array(
+						array(
+							'start' => '09:00',
+							'end'   => '17:00',
+						),
+					),
+				),
+				9 => array(
+					'status' => 'regular_holiday',
+					'slots'  => array(),
+				),
+			)
+		);
+
+		// 8時間のシフトに2時間の予約 (キャンセル分は数えない).
+		foreach ( array( 'confirmed', 'cancelled' ) as $status ) {
+			$booking_id = $this->factory()->post->create(
+				array(
+					'post_type'   => Booking_Post_Type::POST_TYPE,
+					'post_status' => 'publish',
+				)
+			);
+			update_post_meta( $booking_id, '_vkbm_booking_service_start', '2030-01-08 10:00:00' );
+			update_post_meta( $booking_id, '_vkbm_booking_service_end', '2030-01-08 12:00:00' );
+			update_post_meta( $booking_id, '_vkbm_booking_resource_id', $staff_id );
+			update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+		}
+
+		$_GET['vkbm_view'] = 'week';
+		$_GET['vkbm_date'] = '2030-01-10';
+
+		$page   = new Shift_Dashboard_Page();
+		$output = $this->capture_render_output(
+			static function () use ( $page ): void {
+				$page->render_page();
+			}
+		);
+
+		unset( $_GET['vkbm_view'], $_GET['vkbm_date'] );
+
+		$this->assertStringContainsString( 'data-vkbm-week="2030-01-07"', $output );
+		$this->assertStringContainsString( '09:00 - 17:00', $output );
+		$this->assertStringContainsString( '2:00 / 8:00', $output );
+		$this->assertStringContainsString( '25%', $output );
+		$this->assertNoFatalOutput( $output );
+	}
+
 	/**
 	 * 基本設定ページの描画が落ちないことを確認する。
 	 */
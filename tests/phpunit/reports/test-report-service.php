@@ -0,0 +1,166 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Reports;
+
+use DateTimeImmutable;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Service_Menu_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use VKBookingManager\Reports\Report_Service;
+use WP_UnitTestCase;
+use function update_post_meta;
+use function wp_timezone;
+
+/**
+ * @group reports
+ */
+class Report_Service_Test extends WP_UnitTestCase {
+	private Report_Service $service;
+	private int $staff_id;
+	private int $menu_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->service  = new Report_Service();
+		$this->staff_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Staff A',
+			]
+		);
+		$this->menu_id  = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Service_Menu_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Cut',
+			]
+		);
+	}
+
+	public function test_revenue_excludes_cancellations_and_prefers_billed_total(): void {
+		$billed = $this->create_booking( '2024-03-04 10:00:00', '2024-03-04 11:00:00', 'confirmed', 5000 );
+		update_post_meta( $billed, '_vkbm_booking_billed_total_price', 4500 );
+		$this->create_booking( '2024-03-05 10:00:00', '2024-03-05 11:00:00', 'confirmed', 3000 );
+		$this->create_booking( '2024-03-05 13:00:00', '2024-03-05 14:00:00', 'cancelled', 3000 );
+		$this->create_booking( '2024-03-12 13:00:00', '2024-03-12 14:00:00', 'no_show', 3000 );
+
+		$report = $this->service->build_report( $this->date( '2024-03-01' ), $this->date( '2024-03-31' ), Report_Service::GROUP_WEEK );
+
+		$this->assertSame( 'Week of 2024-02-26', $report['timeline']['rows'][0]['period'] );
+		$this->assertSame( 0, $report['timeline']['rows'][0]['bookings'] );
+		$this->assertSame( 3, $report['timeline']['rows'][1]['bookings'] );
+		$this->assertSame( 1, $report['timeline']['rows'][1]['cancelled'] );
+		$this->assertSame( 7500, $report['timeline']['rows'][1]['revenue'] );
+
+		$this->assertSame( 'Staff A', $report['staff']['rows'][0]['name'] );
+		$this->assertSame( 4, $report['staff']['rows'][0]['bookings'] );
+		$this->assertSame( 7500, $report['staff']['rows'][0]['revenue'] );
+
+		$this->assertSame( 'Cut', $report['menus']['rows'][0]['name'] );
+		$this->assertSame( 3750, $report['menus']['rows'][0]['average_revenue'] );
+
+		$rates = array_column( $report['statuses']['rows'], 'rate', 'status' );
+		$this->assertSame( 25.0, $rates['Cancelled'] );
+		$this->assertSame( 25.0, $rates['No-show'] );
+	}
+
+	public function test_utilization_compares_booked_minutes_with_open_shift_minutes(): void {
+		$shift_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Shift_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $shift_id, '_vkbm_shift_resource_id', $this->staff_id );
+		update_post_meta( $shift_id, '_vkbm_shift_year', 2024 );
+		update_post_meta( $shift_id, '_vkbm_shift_month', 3 );
+		update_post_meta(
+			$shift_id,
+			'_vkbm_shift_days',
+			[
+				4  => [
+					'status' => 'open',
+					'slots'  => [
+						[
+							'start' => '10:00',
+							'end'   => '12:00',
+						],
+						[
+							'start' => '13:00',
+							'end'   => '15:00',
+						],
+					],
+				],
+				5  => [ 'status' => 'regular_holiday' ],
+				20 => [
+					'status' => 'open',
+					'slots'  => [
+						[
+							'start' => '10:00',
+							'end'   => '18:00',
+						],
+					],
+				],
+			]
+		);
+		$this->create_booking( '2024-03-04 10:00:00', '2024-03-04 11:00:00', 'confirmed', 0 );
+		$this->create_booking( '2024-03-04 13:00:00', '2024-03-04 14:00:00', 'cancelled', 0 );
+
+		$report = $this->service->build_report( $this->date( '2024-03-01' ), $this->date( '2024-03-10' ), Report_Service::GROUP_DAY );
+		$row    = $report['utilization']['rows'][0];
+
+		$this->assertSame( 240, $row['shift_minutes'] );
+		$this->assertSame( 60, $row['booked_minutes'] );
+		$this->assertSame( 25.0, $row['utilization'] );
+		$this->assertCount( 10, $report['timeline']['rows'] );
+	}
+
+	public function test_lead_time_and_heatmap_buckets(): void {
+		$this->create_booking( '2024-03-04 10:00:00', '2024-03-04 11:00:00', 'confirmed', 0, '2024-03-04 08:00:00' );
+		$this->create_booking( '2024-03-06 10:30:00', '2024-03-06 11:00:00', 'confirmed', 0, '2024-03-04 21:00:00' );
+		$this->create_booking( '2024-03-29 12:00:00', '2024-03-29 13:00:00', 'confirmed', 0, '2024-01-10 09:00:00' );
+
+		$report    = $this->service->build_report( $this->date( '2024-03-01' ), $this->date( '2024-03-31' ), Report_Service::GROUP_MONTH );
+		$lead_time = array_column( $report['lead_time']['rows'], 'bookings', 'lead_time' );
+
+		$this->assertSame( 1, $lead_time['Same day'] );
+		$this->assertSame( 1, $lead_time['2-3 days'] );
+		$this->assertSame( 1, $lead_time['31 days or more'] );
+
+		$heatmap = $report['heatmap']['rows'];
+		$this->assertSame( [ '10:00', '11:00', '12:00' ], array_column( $heatmap, 'hour' ) );
+		$this->assertSame( 1, $heatmap[0]['day_1'] );
+		$this->assertSame( 1, $heatmap[0]['day_3'] );
+		$this->assertSame( 1, $heatmap[2]['day_5'] );
+		$this->assertSame( 0, $heatmap[1]['day_1'] );
+	}
+
+	// Past dates only: WordPress schedules future-dated posts instead of publishing them.
+	private function create_booking( string $start, string $end, string $status, int $base_total, string $created = '2024-02-01 09:00:00' ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_date'   => $created,
+			]
+		);
+
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', $end );
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', $this->staff_id );
+		update_post_meta( $booking_id, '_vkbm_booking_service_id', $this->menu_id );
+		update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+		update_post_meta( $booking_id, '_vkbm_booking_base_total_price', $base_total );
+
+		return $booking_id;
+	}
+
+	private function date( string $date ): DateTimeImmutable {
+		return new DateTimeImmutable( $date, wp_timezone() );
+	}
+}
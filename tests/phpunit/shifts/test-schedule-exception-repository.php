@@ -0,0 +1,124 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Shifts;
+
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use VKBookingManager\Shifts\Schedule_Exception_Repository;
+use WP_Error;
+use WP_UnitTestCase;
+use function delete_option;
+use function get_post_meta;
+use function update_post_meta;
+
+/**
+ * @group shifts
+ */
+class Schedule_Exception_Repository_Test extends WP_UnitTestCase {
+	private Schedule_Exception_Repository $repository;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		delete_option( Schedule_Exception_Repository::OPTION_KEY );
+		$this->repository = new Schedule_Exception_Repository();
+	}
+
+	public function test_add_exception_validates_input(): void {
+		$this->assertSame( 'invalid_period', $this->error_code( [ 'start_date' => '2024-12-29', 'end_date' => '2024-12-28' ] ) );
+		$this->assertSame( 'invalid_period', $this->error_code( [ 'start_date' => '2024-02-30' ] ) );
+		$this->assertSame( 'period_too_long', $this->error_code( [ 'start_date' => '2024-01-01', 'end_date' => '2025-01-01' ] ) );
+		$this->assertSame( 'invalid_type', $this->error_code( [ 'start_date' => '2024-12-28', 'type' => 'maybe' ] ) );
+		$this->assertSame(
+			'invalid_hours',
+			$this->error_code(
+				[
+					'start_date' => '2024-12-28',
+					'type'       => Schedule_Exception_Repository::TYPE_HOURS,
+					'slots'      => [ [ 'start' => '14:00', 'end' => '10:00' ] ],
+				]
+			)
+		);
+
+		$exception = $this->repository->add_exception( [ 'start_date' => '2024-12-28' ] );
+
+		$this->assertSame( '2024-12-28', $exception['end_date'] );
+		$this->assertSame( Schedule_Exception_Repository::TYPE_CLOSED, $exception['type'] );
+		$this->assertSame( [], $exception['slots'] );
+	}
+
+	public function test_apply_to_month_closes_and_replaces_hours(): void {
+		$this->repository->add_exception(
+			[
+				'start_date' => '2024-12-29',
+				'end_date'   => '2025-01-03',
+				'note'       => 'Year-end break',
+			]
+		);
+		$this->repository->add_exception(
+			[
+				'start_date' => '2024-12-27',
+				'end_date'   => '2024-12-28',
+				'type'       => Schedule_Exception_Repository::TYPE_HOURS,
+				'slots'      => [ [ 'start' => '10:00', 'end' => '14:00' ] ],
+			]
+		);
+
+		$open    = [ 'status' => 'open', 'slots' => [ [ 'start' => '09:00', 'end' => '18:00' ] ] ];
+		$holiday = [ 'status' => 'regular_holiday', 'slots' => [] ];
+		$off     = [ 'status' => 'unavailable', 'slots' => [] ];
+
+		$days = $this->repository->apply_to_month( 2024, 12, [ 26 => $open, 27 => $off, 28 => $holiday, 30 => $open ] );
+
+		$this->assertSame( $open, $days[26] );
+		$this->assertSame( $off, $days[27] );
+		$this->assertSame( [ 'status' => 'temporary_open', 'slots' => [ [ 'start' => '10:00', 'end' => '14:00' ] ] ], $days[28] );
+		$this->assertSame( [ 29, 30, 31 ], array_slice( array_keys( $days ), 3 ) );
+		$this->assertSame( 'temporary_closed', $days[29]['status'] );
+		$this->assertSame( [], $days[30]['slots'] );
+		$this->assertSame( 'Year-end break', $this->repository->get_exception_for_date( '2025-01-03' )['note'] );
+		$this->assertNull( $this->repository->get_exception_for_date( '2025-01-04' ) );
+	}
+
+	public function test_apply_to_shift_posts_rewrites_days_of_covered_months(): void {
+		$december = $this->create_shift( 2024, 12, [ 28 => [ 'status' => 'open', 'slots' => [ [ 'start' => '09:00', 'end' => '18:00' ] ] ] ] );
+		$january  = $this->create_shift( 2025, 1, [] );
+		$february = $this->create_shift( 2025, 2, [] );
+
+		$exception = $this->repository->add_exception(
+			[
+				'start_date' => '2024-12-31',
+				'end_date'   => '2025-01-02',
+			]
+		);
+
+		$this->assertSame( 2, $this->repository->apply_to_shift_posts( $exception['id'] ) );
+		$this->assertSame( 'open', get_post_meta( $december, '_vkbm_shift_days', true )[28]['status'] );
+		$this->assertSame( 'temporary_closed', get_post_meta( $december, '_vkbm_shift_days', true )[31]['status'] );
+		$this->assertSame( [ 1, 2 ], array_keys( get_post_meta( $january, '_vkbm_shift_days', true ) ) );
+		$this->assertSame( [], get_post_meta( $february, '_vkbm_shift_days', true ) );
+		$this->assertSame( 0, $this->repository->apply_to_shift_posts( $exception['id'] ) );
+	}
+
+	private function error_code( array $input ): string {
+		$result = $this->repository->add_exception( $input );
+
+		return $result instanceof WP_Error ? $result->get_error_code() : '';
+	}
+
+	private function create_shift( int $year, int $month, array $days ): int {
+		$shift_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Shift_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $shift_id, '_vkbm_shift_resource_id', 1 );
+		update_post_meta( $shift_id, '_vkbm_shift_year', $year );
+		update_post_meta( $shift_id, '_vkbm_shift_month', $month );
+		update_post_meta( $shift_id, '_vkbm_shift_days', $days );
+
+		return $shift_id;
+	}
+}
@@ -0,0 +1,82 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Shifts;
+
+use DateTimeImmutable;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use VKBookingManager\Shifts\Shift_Auto_Generator;
+use VKBookingManager\Shifts\Shift_Editor;
+use WP_UnitTestCase;
+use function delete_option;
+use function get_post_meta;
+use function get_post_status;
+use function update_option;
+use function update_post_meta;
+use function wp_timezone;
+
+/**
+ * @group shifts
+ */
+class Shift_Auto_Generator_Test extends WP_UnitTestCase {
+	private Shift_Auto_Generator $generator;
+	private int $staff_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		delete_option( Shift_Auto_Generator::DIGEST_OPTION );
+		$this->generator = new Shift_Auto_Generator( new Shift_Editor() );
+		$this->staff_id  = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+				'post_title'  => 'Staff A',
+			]
+		);
+	}
+
+	public function test_run_does_nothing_while_disabled(): void {
+		update_option( Settings_Repository::OPTION_KEY, [ 'shift_auto_generate_months' => 0 ] );
+
+		$this->assertSame( [], $this->generator->run() );
+		$this->assertSame( [], $this->generator->get_digest() );
+	}
+
+	public function test_run_creates_only_missing_months_and_records_digest(): void {
+		update_option( Settings_Repository::OPTION_KEY, [ 'shift_auto_generate_months' => 1 ] );
+
+		$now         = new DateTimeImmutable( 'first day of this month', wp_timezone() );
+		$next        = $now->modify( '+1 month' );
+		$edited_days = [ 3 => [ 'status' => 'temporary_closed', 'slots' => [] ] ];
+		$existing    = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Shift_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $existing, Shift_Editor::META_RESOURCE, $this->staff_id );
+		update_post_meta( $existing, Shift_Editor::META_YEAR, (int) $now->format( 'Y' ) );
+		update_post_meta( $existing, Shift_Editor::META_MONTH, (int) $now->format( 'n' ) );
+		update_post_meta( $existing, '_vkbm_shift_days', $edited_days );
+
+		$created = $this->generator->run();
+
+		$this->assertCount( 1, $created );
+		$this->assertSame( 'publish', get_post_status( $created[0] ) );
+		$this->assertSame( $this->staff_id, (int) get_post_meta( $created[0], Shift_Editor::META_RESOURCE, true ) );
+		$this->assertSame( (int) $next->format( 'n' ), (int) get_post_meta( $created[0], Shift_Editor::META_MONTH, true ) );
+		$this->assertNotEmpty( get_post_meta( $created[0], Shift_Auto_Generator::META_AUTO_GENERATED, true ) );
+		$this->assertSame( $edited_days, get_post_meta( $existing, '_vkbm_shift_days', true ) );
+
+		$digest = $this->generator->get_digest();
+		$this->assertCount( 1, $digest );
+		$this->assertSame( $created[0], $digest[0]['post_id'] );
+
+		$this->assertSame( [], $this->generator->run() );
+		$this->assertCount( 1, $this->generator->get_digest() );
+	}
+}
@@ -0,0 +1,123 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Shifts;
+
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\Resources\Resource_Schedule_Template_Repository;
+use VKBookingManager\Shifts\Schedule_Exception_Repository;
+use VKBookingManager\Shifts\Shift_Editor;
+use WP_UnitTestCase;
+use function delete_option;
+
+/**
+ * @group shifts
+ */
+class Shift_Editor_Breaks_Test extends WP_UnitTestCase {
+	private Resource_Schedule_Template_Repository $templates;
+
+	private int $staff_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->templates = new Resource_Schedule_Template_Repository();
+		$this->staff_id  = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+	}
+
+	protected function tearDown(): void {
+		delete_option( Schedule_Exception_Repository::OPTION_KEY );
+		parent::tearDown();
+	}
+
+	public function test_template_defaults_to_no_breaks(): void {
+		$this->assertSame( [], $this->templates->get_template( $this->staff_id )['breaks'] );
+
+		$this->templates->save_template( $this->staff_id, [ 'days' => [] ] );
+		$this->assertSame( [], $this->templates->get_template( $this->staff_id )['breaks'] );
+	}
+
+	public function test_derive_default_days_carries_breaks_on_matching_weekdays(): void {
+		$slots = [ [ 'start' => '09:00', 'end' => '18:00' ] ];
+		$this->templates->save_template(
+			$this->staff_id,
+			[
+				'use_provider_hours' => false,
+				'days'               => [
+					'mon' => $slots,
+					'sat' => $slots,
+				],
+				'breaks'             => [
+					[
+						'label' => 'Lunch',
+						'start' => '12:00',
+						'end'   => '13:00',
+						'days'  => [ 'mon', 'tue', 'wed', 'thu', 'fri' ],
+					],
+					[
+						'label' => 'Evening',
+						'start' => '19:00',
+						'end'   => '20:00',
+						'days'  => [ 'mon' ],
+					],
+				],
+			]
+		);
+
+		// 2099-06-01 is a Monday and 2099-06-06 a Saturday.
+		$days = ( new Shift_Editor() )->derive_default_days( $this->staff_id, 2099, 6 );
+
+		$this->assertSame( $slots, $days[1]['slots'] );
+		$this->assertSame(
+			[
+				[
+					'start' => '12:00',
+					'end'   => '13:00',
+					'label' => 'Lunch',
+				],
+			],
+			$days[1]['breaks']
+		);
+		$this->assertSame( $slots, $days[6]['slots'] );
+		$this->assertArrayNotHasKey( 'breaks', $days[6] );
+	}
+
+	public function test_special_hours_keep_breaks(): void {
+		$this->templates->save_template(
+			$this->staff_id,
+			[
+				'use_provider_hours' => false,
+				'days'               => [
+					'mon' => [ [ 'start' => '09:00', 'end' => '18:00' ] ],
+				],
+				'breaks'             => [
+					[
+						'label' => 'Lunch',
+						'start' => '12:00',
+						'end'   => '13:00',
+						'days'  => [ 'mon' ],
+					],
+				],
+			]
+		);
+		( new Schedule_Exception_Repository() )->add_exception(
+			[
+				'start_date' => '2099-06-01',
+				'type'       => Schedule_Exception_Repository::TYPE_HOURS,
+				'slots'      => [ [ 'start' => '10:00', 'end' => '15:00' ] ],
+			]
+		);
+
+		$days = ( new Shift_Editor() )->derive_default_days( $this->staff_id, 2099, 6 );
+
+		$this->assertSame( [ [ 'start' => '10:00', 'end' => '15:00' ] ], $days[1]['slots'] );
+		$this->assertSame( 'Lunch', $days[1]['breaks'][0]['label'] );
+		$this->assertSame( '12:00', $days[1]['breaks'][0]['start'] );
+	}
+}
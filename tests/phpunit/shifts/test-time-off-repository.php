@@ -0,0 +1,207 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Shifts;
+
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Resource_Post_Type;
+use VKBookingManager\PostTypes\Shift_Post_Type;
+use VKBookingManager\Shifts\Shift_Editor;
+use VKBookingManager\Shifts\Time_Off_Repository;
+use WP_Error;
+use WP_UnitTestCase;
+use function delete_option;
+use function get_post_meta;
+use function update_post_meta;
+use function update_user_meta;
+
+/**
+ * @group shifts
+ */
+class Time_Off_Repository_Test extends WP_UnitTestCase {
+	private Time_Off_Repository $repository;
+
+	private int $staff_id;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		delete_option( Time_Off_Repository::OPTION_KEY );
+		$this->repository = new Time_Off_Repository();
+		$this->staff_id   = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Resource_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+	}
+
+	public function test_add_request_validates_input(): void {
+		$this->assertSame( 'invalid_staff', $this->error_code( [ 'resource_id' => 0, 'start_date' => '2099-05-01' ] ) );
+		$this->assertSame( 'invalid_period', $this->error_code( [ 'start_date' => '2099-05-02', 'end_date' => '2099-05-01' ] ) );
+		$this->assertSame( 'period_too_long', $this->error_code( [ 'start_date' => '2099-05-01', 'end_date' => '2099-06-30' ] ) );
+		$this->assertSame( 'past_period', $this->error_code( [ 'start_date' => '2000-05-01' ] ) );
+		$this->assertSame( 'invalid_hours', $this->error_code( [ 'start_date' => '2099-05-01', 'start_time' => '15:00', 'end_time' => '12:00' ] ) );
+		$this->assertSame(
+			'partial_multiple_days',
+			$this->error_code(
+				[
+					'start_date' => '2099-05-01',
+					'end_date'   => '2099-05-02',
+					'start_time' => '12:00',
+					'end_time'   => '15:00',
+				]
+			)
+		);
+
+		$request = $this->repository->add_request( [ 'resource_id' => $this->staff_id, 'start_date' => '2099-05-01' ] );
+
+		$this->assertSame( '2099-05-01', $request['end_date'] );
+		$this->assertSame( Time_Off_Repository::STATUS_PENDING, $request['status'] );
+		$this->assertSame( [ $request ], $this->repository->get_requests_by_status( Time_Off_Repository::STATUS_PENDING, $this->staff_id ) );
+	}
+
+	public function test_resource_id_for_user_requires_a_staff_post(): void {
+		$user_id = (int) $this->factory()->user->create();
+
+		$this->assertSame( 0, $this->repository->get_resource_id_for_user( $user_id ) );
+
+		update_user_meta( $user_id, Time_Off_Repository::USER_META_RESOURCE, $this->staff_id );
+		$this->assertSame( $this->staff_id, $this->repository->get_resource_id_for_user( $user_id ) );
+
+		update_user_meta( $user_id, Time_Off_Repository::USER_META_RESOURCE, (int) $this->factory()->post->create() );
+		$this->assertSame( 0, $this->repository->get_resource_id_for_user( $user_id ) );
+	}
+
+	public function test_approve_closes_days_of_existing_shifts(): void {
+		$open     = [ 'status' => 'open', 'slots' => [ [ 'start' => '09:00', 'end' => '18:00' ] ] ];
+		$shift_id = $this->create_shift( $this->staff_id, 2099, 5, [ 1 => $open, 2 => $open, 3 => $open ] );
+		$other_id = $this->create_shift( $this->staff_id + 1000, 2099, 5, [ 1 => $open ] );
+
+		$full    = $this->repository->add_request( [ 'resource_id' => $this->staff_id, 'start_date' => '2099-05-01', 'end_date' => '2099-05-02' ] );
+		$partial = $this->repository->add_request(
+			[
+				'resource_id' => $this->staff_id,
+				'start_date'  => '2099-05-03',
+				'start_time'  => '12:00',
+				'end_time'    => '13:30',
+			]
+		);
+
+		$this->assertSame( Time_Off_Repository::STATUS_APPROVED, $this->repository->approve( $full['id'], 1 )['status'] );
+		$this->repository->approve( $partial['id'], 1 );
+
+		$days = get_post_meta( $shift_id, '_vkbm_shift_days', true );
+		$this->assertSame( [ 'status' => 'unavailable', 'slots' => [] ], $days[1] );
+		$this->assertSame( [ 'status' => 'unavailable', 'slots' => [] ], $days[2] );
+		$this->assertSame(
+			[
+				'status' => 'open',
+				'slots'  => [
+					[ 'start' => '09:00', 'end' => '12:00' ],
+					[ 'start' => '13:30', 'end' => '18:00' ],
+				],
+			],
+			$days[3]
+		);
+		$this->assertSame( $open, get_post_meta( $other_id, '_vkbm_shift_days', true )[1] );
+
+		$this->assertSame( 'not_pending', $this->repository->reject( $full['id'], 1 )->get_error_code() );
+		$this->assertSame( 'not_found', $this->repository->approve( 'missing', 1 )->get_error_code() );
+	}
+
+	public function test_partial_day_off_covering_all_hours_closes_the_day(): void {
+		$days = [ 4 => [ 'status' => 'temporary_open', 'slots' => [ [ 'start' => '10:00', 'end' => '12:00' ] ] ] ];
+
+		$request = $this->repository->add_request(
+			[
+				'resource_id' => $this->staff_id,
+				'start_date'  => '2099-05-04',
+				'start_time'  => '09:00',
+				'end_time'    => '13:00',
+			]
+		);
+		$this->repository->approve( $request['id'], 1 );
+
+		$this->assertSame( [ 'status' => 'unavailable', 'slots' => [] ], $this->repository->apply_to_month( $this->staff_id, 2099, 5, $days )[4] );
+		$this->assertSame( $days, $this->repository->apply_to_month( $this->staff_id, 2099, 6, $days ) );
+		$this->assertSame( $days, $this->repository->apply_to_month( 0, 2099, 5, $days ) );
+	}
+
+	public function test_rejected_and_cancelled_requests_leave_shifts_alone(): void {
+		$rejected  = $this->repository->add_request( [ 'resource_id' => $this->staff_id, 'start_date' => '2099-05-01' ] );
+		$cancelled = $this->repository->add_request( [ 'resource_id' => $this->staff_id, 'start_date' => '2099-05-02' ] );
+
+		$this->assertSame( 'Busy', $this->repository->reject( $rejected['id'], 1, 'Busy' )['decision_note'] );
+		$this->assertSame( Time_Off_Repository::STATUS_CANCELLED, $this->repository->cancel( $cancelled['id'], 2 )['status'] );
+		$this->assertSame( [], $this->repository->apply_to_month( $this->staff_id, 2099, 5, [] ) );
+	}
+
+	public function test_derive_default_days_applies_approved_time_off(): void {
+		$request = $this->repository->add_request( [ 'resource_id' => $this->staff_id, 'start_date' => '2099-05-10' ] );
+		$this->repository->approve( $request['id'], 1 );
+
+		$days = ( new Shift_Editor( null, null, $this->repository ) )->derive_default_days( $this->staff_id, 2099, 5 );
+
+		$this->assertSame( 'unavailable', $days[10]['status'] );
+	}
+
+	public function test_find_conflicting_bookings_matches_overlapping_active_bookings(): void {
+		$overlap   = $this->create_booking( $this->staff_id, '2099-05-03 12:30:00', '2099-05-03 13:30:00', 'confirmed' );
+		$pending   = $this->create_booking( $this->staff_id, '2099-05-03 11:00:00', '2099-05-03 12:30:00', 'pending' );
+		$before    = $this->create_booking( $this->staff_id, '2099-05-03 10:00:00', '2099-05-03 12:00:00', 'confirmed' );
+		$cancelled = $this->create_booking( $this->staff_id, '2099-05-03 12:00:00', '2099-05-03 13:00:00', 'cancelled' );
+		$other     = $this->create_booking( $this->staff_id + 1000, '2099-05-03 12:00:00', '2099-05-03 13:00:00', 'confirmed' );
+
+		$request = $this->repository->add_request(
+			[
+				'resource_id' => $this->staff_id,
+				'start_date'  => '2099-05-03',
+				'start_time'  => '12:00',
+				'end_time'    => '14:00',
+			]
+		);
+
+		$this->assertSame( [ $pending, $overlap ], $this->repository->find_conflicting_bookings( $request ) );
+		$this->assertNotContains( $before, $this->repository->find_conflicting_bookings( $request ) );
+		$this->assertNotContains( $cancelled, $this->repository->find_conflicting_bookings( $request ) );
+		$this->assertNotContains( $other, $this->repository->find_conflicting_bookings( $request ) );
+	}
+
+	private function error_code( array $input ): string {
+		$result = $this->repository->add_request( array_merge( [ 'resource_id' => $this->staff_id ], $input ) );
+
+		return $result instanceof WP_Error ? $result->get_error_code() : '';
+	}
+
+	private function create_shift( int $resource_id, int $year, int $month, array $days ): int {
+		$shift_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Shift_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $shift_id, '_vkbm_shift_resource_id', $resource_id );
+		update_post_meta( $shift_id, '_vkbm_shift_year', $year );
+		update_post_meta( $shift_id, '_vkbm_shift_month', $month );
+		update_post_meta( $shift_id, '_vkbm_shift_days', $days );
+
+		return $shift_id;
+	}
+
+	private function create_booking( int $resource_id, string $start, string $end, string $status ): int {
+		$booking_id = (int) $this->factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_resource_id', $resource_id );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', $start );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', $end );
+		update_post_meta( $booking_id, '_vkbm_booking_status', $status );
+
+		return $booking_id;
+	}
+}
@@ -0,0 +1,173 @@
+<?php
+
+declare( strict_types=1 );
+
+namespace VKBookingManager\Tests\Webhooks;
+
+use VKBookingManager\Notifications\Booking_Notification_Service;
+use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\ProviderSettings\Settings_Repository;
+use VKBookingManager\Webhooks\Webhook_Repository;
+use VKBookingManager\Webhooks\Webhook_Service;
+use WP_Error;
+use WP_UnitTestCase;
+
+/**
+ * @group webhooks
+ */
+class Webhook_Service_Test extends WP_UnitTestCase {
+	/** @var array<int, array{url:string,args:array}> */
+	private $requests = [];
+
+	/** @var int */
+	private $response_code = 200;
+
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->requests      = [];
+		$this->response_code = 200;
+		add_filter( 'pre_http_request', [ $this, 'capture_request' ], 10, 3 );
+	}
+
+	protected function tearDown(): void {
+		remove_filter( 'pre_http_request', [ $this, 'capture_request' ], 10 );
+		delete_option( Webhook_Repository::OPTION_KEY );
+		delete_option( Webhook_Repository::DELIVERY_OPTION_KEY );
+		wp_clear_scheduled_hook( Webhook_Service::DELIVER_ACTION );
+
+		parent::tearDown();
+	}
+
+	public function capture_request( $preempt, array $args, string $url ) {
+		$this->requests[] = [
+			'url'  => $url,
+			'args' => $args,
+		];
+
+		return [
+			'headers'  => [],
+			'body'     => '',
+			'response' => [
+				'code'    => $this->response_code,
+				'message' => '',
+			],
+			'cookies'  => [],
+		];
+	}
+
+	public function test_event_is_queued_only_for_subscribed_active_webhooks(): void {
+		$repository = new Webhook_Repository();
+		$service    = new Webhook_Service( $repository );
+		$subscribed = $repository->add_webhook( 'https://example.com/hook', [ Booking_Notification_Service::EVENT_CANCELLED ] );
+		$paused     = $repository->add_webhook( 'https://example.com/paused', [ Booking_Notification_Service::EVENT_CANCELLED ] );
+		$repository->add_webhook( 'https://example.com/other', [ Booking_Notification_Service::EVENT_RESCHEDULED ] );
+		$repository->update_webhook( $paused['id'], [ 'active' => false ] );
+
+		$service->handle_event( Booking_Notification_Service::EVENT_CANCELLED, 12, [ 'customer_name' => 'Hanako' ] );
+
+		$deliveries = $repository->get_deliveries();
+		$this->assertCount( 1, $deliveries );
+		$this->assertSame( $subscribed['id'], $deliveries[0]['webhook_id'] );
+		$this->assertSame( 'pending', $deliveries[0]['status'] );
+		$this->assertNotFalse( wp_next_scheduled( Webhook_Service::DELIVER_ACTION, [ $deliveries[0]['id'], 1 ] ) );
+
+		$body = json_decode( $deliveries[0]['body'], true );
+		$this->assertSame( Booking_Notification_Service::EVENT_CANCELLED, $body['event'] );
+		$this->assertSame( 12, $body['booking_id'] );
+		$this->assertSame( 'Hanako', $body['data']['customer_name'] );
+		// Nothing is sent until cron runs. / cron が実行されるまで送信しない.
+		$this->assertSame( [], $this->requests );
+	}
+
+	public function test_deliver_signs_body_and_records_success(): void {
+		$repository = new Webhook_Repository();
+		$service    = new Webhook_Service( $repository );
+		$webhook    = $repository->add_webhook( 'https://example.com/hook', [ Booking_Notification_Service::EVENT_CANCELLED ] );
+		$delivery   = $repository->add_delivery( $webhook['id'], Booking_Notification_Service::EVENT_CANCELLED, '{"event":"booking.cancelled"}' );
+
+		$this->assertTrue( $service->deliver( $delivery['id'], 1 ) );
+
+		$this->assertCount( 1, $this->requests );
+		$this->assertSame( 'https://example.com/hook', $this->requests[0]['url'] );
+		$this->assertSame( '{"event":"booking.cancelled"}', $this->requests[0]['args']['body'] );
+		$this->assertTrue( $this->requests[0]['args']['reject_unsafe_urls'] );
+		$this->assertSame(
+			'sha256=' . hash_hmac( 'sha256', '{"event":"booking.cancelled"}', $webhook['secret'] ),
+			$this->requests[0]['args']['headers'][ Webhook_Service::SIGNATURE_HEADER ]
+		);
+
+		$stored = $repository->get_delivery( $delivery['id'] );
+		$this->assertSame( 'delivered', $stored['status'] );
+		$this->assertSame( 200, $stored['response_code'] );
+		$this->assertSame( 1, $stored['attempts'] );
+	}
+
+	public function test_failed_delivery_retries_with_backoff_then_gives_up(): void {
+		$this->response_code = 500;
+
+		$repository = new Webhook_Repository();
+		$service    = new Webhook_Service( $repository );
+		$webhook    = $repository->add_webhook( 'https://example.com/hook', [ Booking_Notification_Service::EVENT_CANCELLED ] );
+		$delivery   = $repository->add_delivery( $webhook['id'], Booking_Notification_Service::EVENT_CANCELLED, '{}' );
+
+		$before = time();
+		$this->assertFalse( $service->deliver( $delivery['id'], 2 ) );
+
+		$this->assertSame( 'retrying', $repository->get_delivery( $delivery['id'] )['status'] );
+		$next = wp_next_scheduled( Webhook_Service::DELIVER_ACTION, [ $delivery['id'], 3 ] );
+		$this->assertGreaterThanOrEqual( $before + 120, $next );
+		$this->assertSame( [ 60, 120, 240, 480 ], array_map( [ Webhook_Service::class, 'get_retry_delay' ], [ 1, 2, 3, 4 ] ) );
+
+		wp_clear_scheduled_hook( Webhook_Service::DELIVER_ACTION );
+		$this->assertFalse( $service->deliver( $delivery['id'], Webhook_Service::MAX_ATTEMPTS ) );
+
+		$stored = $repository->get_delivery( $delivery['id'] );
+		$this->assertSame( 'failed', $stored['status'] );
+		$this->assertSame( 500, $stored['response_code'] );
+		$this->assertFalse( wp_next_scheduled( Webhook_Service::DELIVER_ACTION, [ $delivery['id'], Webhook_Service::MAX_ATTEMPTS + 1 ] ) );
+	}
+
+	public function test_redeliver_queues_a_copy(): void {
+		$repository = new Webhook_Repository();
+		$service    = new Webhook_Service( $repository );
+		$webhook    = $repository->add_webhook( 'https://example.com/hook', [ Booking_Notification_Service::EVENT_CANCELLED ] );
+		$delivery   = $repository->add_delivery( $webhook['id'], Booking_Notification_Service::EVENT_CANCELLED, '{"a":1}' );
+
+		$copy = $service->redeliver( $delivery['id'] );
+
+		$this->assertIsArray( $copy );
+		$this->assertNotSame( $delivery['id'], $copy['id'] );
+		$this->assertSame( '{"a":1}', $copy['body'] );
+		$this->assertCount( 2, $repository->get_deliveries() );
+
+		$repository->delete_webhook( $webhook['id'] );
+		$this->assertInstanceOf( WP_Error::class, $service->redeliver( $delivery['id'] ) );
+	}
+
+	public function test_notification_service_fires_booking_event(): void {
+		$booking_id = self::factory()->post->create(
+			[
+				'post_type'   => Booking_Post_Type::POST_TYPE,
+				'post_status' => 'publish',
+			]
+		);
+		update_post_meta( $booking_id, '_vkbm_booking_customer_name', 'Hanako' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_start', '2030-01-10 10:00:00' );
+		update_post_meta( $booking_id, '_vkbm_booking_service_end', '2030-01-10 11:00:00' );
+
+		$events   = [];
+		$listener = static function ( string $event, int $id, array $payload ) use ( &$events ): void {
+			$events[] = [ $event, $id, $payload['customer_name'], $payload['previous_status'] ?? null ];
+		};
+		add_action( Booking_Notification_Service::EVENT_ACTION, $listener, 10, 3 );
+
+		$service = new Booking_Notification_Service( new Settings_Repository(), [] );
+		$service->handle_status_transition( $booking_id, 'pending', 'confirmed' );
+		$service->handle_status_transition( $booking_id, 'confirmed', 'confirmed' );
+
+		remove_action( Booking_Notification_Service::EVENT_ACTION, $listener, 10 );
+
+		$this->assertSame( [ [ Booking_Notification_Service::EVENT_STATUS_CHANGED, $booking_id, 'Hanako', 'pending' ] ], $events );
+	}
+}
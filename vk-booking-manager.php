@@ -55,14 +55,43 @@ if ( file_exists( __DIR__ . '/vendor/autoload.php' ) ) {
 
 require_once __DIR__ . '/src/post-types/class-booking-post-type.php';
 require_once __DIR__ . '/src/bookings/class-booking-admin.php';
+require_once __DIR__ . '/src/bookings/class-admin-bookings-controller.php';
+require_once __DIR__ . '/src/bookings/class-admin-customers-controller.php';
+require_once __DIR__ . '/src/bookings/class-booking-csv-exporter.php';
+require_once __DIR__ . '/src/bookings/class-booking-csv-importer.php';
 require_once __DIR__ . '/src/bookings/class-booking-draft-controller.php';
+require_once __DIR__ . '/src/bookings/class-booking-line-items.php';
+require_once __DIR__ . '/src/bookings/class-booking-series.php';
+require_once __DIR__ . '/src/bookings/class-guest-booking-link.php';
+require_once __DIR__ . '/src/bookings/class-booking-slot-validator.php';
 require_once __DIR__ . '/src/bookings/class-my-bookings-controller.php';
+require_once __DIR__ . '/src/bookings/class-waitlist-repository.php';
+require_once __DIR__ . '/src/bookings/class-waitlist-service.php';
+require_once __DIR__ . '/src/bookings/class-waitlist-controller.php';
+require_once __DIR__ . '/src/payments/interface-payment-gateway.php';
+require_once __DIR__ . '/src/payments/class-mock-payment-gateway.php';
+require_once __DIR__ . '/src/payments/class-payment-gateways.php';
+require_once __DIR__ . '/src/payments/class-payment-service.php';
+require_once __DIR__ . '/src/payments/class-payment-controller.php';
+require_once __DIR__ . '/src/calendar/class-ical-builder.php';
+require_once __DIR__ . '/src/calendar/class-staff-ical-feed.php';
+require_once __DIR__ . '/src/calendar/class-ical-parser.php';
+require_once __DIR__ . '/src/calendar/class-external-calendar-sync.php';
+require_once __DIR__ . '/src/holidays/class-japan-holidays.php';
+require_once __DIR__ . '/src/holidays/class-holiday-calendar.php';
+require_once __DIR__ . '/src/shifts/class-schedule-exception-repository.php';
+require_once __DIR__ . '/src/shifts/class-shift-auto-generator.php';
+require_once __DIR__ . '/src/shifts/class-time-off-repository.php';
 require_once __DIR__ . '/src/common/class-vkbm-helpers.php';
 require_once __DIR__ . '/src/assets/class-common-styles.php';
 require_once __DIR__ . '/src/term-order/class-term-order-manager.php';
 require_once __DIR__ . '/src/blocks/class-menu-search-block.php';
 require_once __DIR__ . '/src/blocks/class-menu-loop-block.php';
 require_once __DIR__ . '/src/blocks/class-reservation-block.php';
+require_once __DIR__ . '/src/availability/class-slot-capacity.php';
+require_once __DIR__ . '/src/availability/class-staff-assignment-strategy.php';
+require_once __DIR__ . '/src/post-types/class-facility-post-type.php';
+require_once __DIR__ . '/src/facilities/class-facility-availability.php';
 require_once __DIR__ . '/src/availability/class-availability-service.php';
 require_once __DIR__ . '/src/rest/class-availability-controller.php';
 require_once __DIR__ . '/src/rest/class-menu-preview-controller.php';
@@ -71,6 +100,14 @@ require_once __DIR__ . '/src/rest/class-provider-settings-controller.php';
 require_once __DIR__ . '/src/rest/class-current-user-controller.php';
 require_once __DIR__ . '/src/bookings/class-booking-confirmation-controller.php';
 require_once __DIR__ . '/src/staff/class-staff-editor.php';
+require_once __DIR__ . '/src/notifications/class-email-templates.php';
+require_once __DIR__ . '/src/notifications/interface-notification-channel.php';
+require_once __DIR__ . '/src/notifications/class-email-channel.php';
+require_once __DIR__ . '/src/notifications/interface-sms-provider.php';
+require_once __DIR__ . '/src/notifications/class-log-sms-provider.php';
+require_once __DIR__ . '/src/notifications/class-sms-providers.php';
+require_once __DIR__ . '/src/notifications/class-sms-templates.php';
+require_once __DIR__ . '/src/notifications/class-sms-channel.php';
 require_once __DIR__ . '/src/notifications/class-booking-notification-service.php';
 require_once __DIR__ . '/src/auth/class-auth-shortcodes.php';
 require_once __DIR__ . '/src/post-order/class-post-order-manager.php';
@@ -80,40 +117,70 @@ require_once __DIR__ . '/src/admin/class-setup-notices.php';
 require_once __DIR__ . '/src/admin/class-user-profile-fields.php';
 require_once __DIR__ . '/src/admin/class-email-log-repository.php';
 require_once __DIR__ . '/src/admin/class-email-log-page.php';
+require_once __DIR__ . '/src/webhooks/class-webhook-repository.php';
+require_once __DIR__ . '/src/webhooks/class-webhook-service.php';
+require_once __DIR__ . '/src/admin/class-webhooks-page.php';
+require_once __DIR__ . '/src/admin/class-new-reservation-page.php';
+require_once __DIR__ . '/src/reports/class-report-service.php';
+require_once __DIR__ . '/src/admin/class-reports-page.php';
+require_once __DIR__ . '/src/admin/class-booking-import-page.php';
+require_once __DIR__ . '/src/admin/class-holidays-page.php';
+require_once __DIR__ . '/src/admin/class-schedule-exceptions-page.php';
+require_once __DIR__ . '/src/admin/class-time-off-page.php';
 require_once __DIR__ . '/src/oembed/class-oembed-override.php';
 require_once __DIR__ . '/src/resources/resource-labels.php';
 require_once __DIR__ . '/src/provider-settings/class-settings-repository.php';
 require_once __DIR__ . '/src/provider-settings/class-settings-sanitizer.php';
 require_once __DIR__ . '/src/provider-settings/class-settings-service.php';
 
+use VKBookingManager\Admin\Booking_Import_Page;
 use VKBookingManager\Admin\Email_Log_Page;
+use VKBookingManager\Admin\Holidays_Page;
+use VKBookingManager\Admin\Schedule_Exceptions_Page;
+use VKBookingManager\Admin\New_Reservation_Page;
 use VKBookingManager\Admin\Provider_Settings_Page;
+use VKBookingManager\Admin\Reports_Page;
 use VKBookingManager\Admin\Owner_Admin_Menu_Filter;
 use VKBookingManager\Admin\Service_Menu_Editor;
 use VKBookingManager\Admin\Shift_Dashboard_Page;
 use VKBookingManager\Admin\Style_Guide_Page;
+use VKBookingManager\Admin\Time_Off_Page;
 use VKBookingManager\Admin\Setup_Notices;
 use VKBookingManager\Admin\User_Profile_Fields;
+use VKBookingManager\Admin\Webhooks_Page;
 use VKBookingManager\Assets\Common_Styles;
 use VKBookingManager\Auth\Auth_Shortcodes;
 use VKBookingManager\Availability\Availability_Service;
+use VKBookingManager\Availability\Staff_Assignment_Strategy;
 use VKBookingManager\REST\Auth_Form_Controller;
 use VKBookingManager\REST\Current_User_Controller;
+use VKBookingManager\Bookings\Admin_Bookings_Controller;
+use VKBookingManager\Bookings\Admin_Customers_Controller;
 use VKBookingManager\Bookings\Booking_Admin;
+use VKBookingManager\Bookings\Booking_Csv_Exporter;
 use VKBookingManager\Bookings\Booking_Draft_Controller;
 use VKBookingManager\Bookings\Booking_Confirmation_Controller;
 use VKBookingManager\Bookings\My_Bookings_Controller;
+use VKBookingManager\Bookings\Waitlist_Controller;
+use VKBookingManager\Bookings\Waitlist_Repository;
+use VKBookingManager\Bookings\Waitlist_Service;
 use VKBookingManager\Blocks\Menu_Loop_Block;
 use VKBookingManager\Blocks\Menu_Search_Block;
 use VKBookingManager\Blocks\Reservation_Block;
+use VKBookingManager\Calendar\External_Calendar_Sync;
+use VKBookingManager\Calendar\Staff_Ical_Feed;
 use VKBookingManager\Capabilities\Capabilities;
 use VKBookingManager\Capabilities\Roles_Manager;
+use VKBookingManager\Holidays\Holiday_Calendar;
 use VKBookingManager\Notifications\Booking_Notification_Service;
 use VKBookingManager\OEmbed\OEmbed_Override;
+use VKBookingManager\Payments\Payment_Controller;
+use VKBookingManager\Payments\Payment_Service;
 use VKBookingManager\PostOrder\Post_Order_Manager;
 use VKBookingManager\TermOrder\Term_Order_Manager;
 use VKBookingManager\Plugin;
 use VKBookingManager\PostTypes\Booking_Post_Type;
+use VKBookingManager\PostTypes\Facility_Post_Type;
 use VKBookingManager\PostTypes\Resource_Post_Type;
 use VKBookingManager\PostTypes\Shift_Post_Type;
 use VKBookingManager\PostTypes\Service_Menu_Post_Type;
@@ -125,8 +192,12 @@ use VKBookingManager\REST\Menu_Preview_Controller;
 use VKBookingManager\REST\Provider_Settings_Controller;
 use VKBookingManager\Resources\Resource_Schedule_Meta_Box;
 use VKBookingManager\Resources\Resource_Schedule_Template_Repository;
+use VKBookingManager\Shifts\Schedule_Exception_Repository;
+use VKBookingManager\Shifts\Shift_Auto_Generator;
 use VKBookingManager\Shifts\Shift_Editor;
+use VKBookingManager\Shifts\Time_Off_Repository;
 use VKBookingManager\Staff\Staff_Editor;
+use VKBookingManager\Webhooks\Webhook_Service;
 
 /**
  * Builds the plugin instance.
@@ -149,18 +220,27 @@ if ( ! function_exists( 'vkbm_plugin' ) ) {
 	$settings_sanitizer  = new Settings_Sanitizer();
 	$settings_service    = new Settings_Service( $settings_repository, $settings_sanitizer );
 
-	$common_styles          = new Common_Styles();
-	$roles_manager          = new Roles_Manager();
-	$shift_dashboard_page   = new Shift_Dashboard_Page( Capabilities::MANAGE_PROVIDER_SETTINGS );
-	$provider_settings_page = new Provider_Settings_Page( $settings_service, Capabilities::MANAGE_PROVIDER_SETTINGS, '' );
-	$email_log_page         = new Email_Log_Page( 'vkbm-provider-settings', Capabilities::MANAGE_PROVIDER_SETTINGS );
+	$common_styles                = new Common_Styles();
+	$roles_manager                = new Roles_Manager();
+	$booking_notification_service = new Booking_Notification_Service( $settings_repository );
+	$provider_settings_page       = new Provider_Settings_Page( $settings_service, Capabilities::MANAGE_PROVIDER_SETTINGS, '', $booking_notification_service );
+	$email_log_page               = new Email_Log_Page( 'vkbm-provider-settings', Capabilities::MANAGE_PROVIDER_SETTINGS );
+	$webhook_service              = new Webhook_Service();
+	$webhooks_page                = new Webhooks_Page( $webhook_service, 'vkbm-provider-settings', Capabilities::MANAGE_PROVIDER_SETTINGS );
+	$holiday_calendar             = new Holiday_Calendar();
+	$holidays_page                = new Holidays_Page( 'vkbm-provider-settings', Capabilities::MANAGE_PROVIDER_SETTINGS, $holiday_calendar );
+	$schedule_exceptions          = new Schedule_Exception_Repository();
+	$schedule_exceptions_page     = new Schedule_Exceptions_Page( 'vkbm-provider-settings', Capabilities::MANAGE_PROVIDER_SETTINGS, $schedule_exceptions );
+	$time_off_repository          = new Time_Off_Repository();
+	$time_off_page                = new Time_Off_Page( $time_off_repository );
 	// Development-only: keep access permissive (file presence is the main gate).
 	$style_guide_page                = new Style_Guide_Page( 'read' );
 	$setup_notices                   = new Setup_Notices();
 	$user_profile_fields             = new User_Profile_Fields();
 	$resource_schedule_repository    = new Resource_Schedule_Template_Repository();
 	$resource_schedule_meta_box      = new Resource_Schedule_Meta_Box( $resource_schedule_repository );
-	$shift_editor                    = new Shift_Editor();
+	$shift_editor                    = new Shift_Editor( $holiday_calendar, $schedule_exceptions, $time_off_repository );
+	$shift_auto_generator            = new Shift_Auto_Generator( $shift_editor, $settings_repository );
 	$staff_editor                    = new Staff_Editor();
 	$service_menu_editor             = new Service_Menu_Editor();
 	$resource_post_type              = new Resource_Post_Type();
@@ -168,13 +248,27 @@ if ( ! function_exists( 'vkbm_plugin' ) ) {
 	$shift_post_type                 = new Shift_Post_Type();
 	$service_menu_post_type          = new Service_Menu_Post_Type();
 	$booking_post_type               = new Booking_Post_Type();
-	$booking_notification_service    = new Booking_Notification_Service( $settings_repository );
+	$facility_post_type              = new Facility_Post_Type();
 	$oembed_override                 = new OEmbed_Override();
-	$booking_admin                   = new Booking_Admin( $booking_notification_service );
 	$booking_draft_controller        = new Booking_Draft_Controller( $settings_repository );
-	$availability_service            = new Availability_Service( $settings_repository );
-	$booking_confirmation_controller = new Booking_Confirmation_Controller( $booking_notification_service, $settings_repository, $availability_service );
-	$my_bookings_controller          = new My_Bookings_Controller( $settings_repository, $booking_notification_service );
+	$staff_assignment_strategy       = new Staff_Assignment_Strategy( $settings_repository );
+	$availability_service            = new Availability_Service( $settings_repository, null, $staff_assignment_strategy, $holiday_calendar, $schedule_exceptions );
+	$waitlist_service                = new Waitlist_Service( new Waitlist_Repository(), $availability_service, $booking_notification_service, $settings_repository );
+	$waitlist_controller             = new Waitlist_Controller( $waitlist_service );
+	$payment_service                 = new Payment_Service( $settings_repository, $booking_notification_service, $waitlist_service );
+	$payment_controller              = new Payment_Controller( $payment_service );
+	$staff_ical_feed                 = new Staff_Ical_Feed( $settings_repository );
+	$external_calendar_sync          = new External_Calendar_Sync();
+	$booking_admin                   = new Booking_Admin( $booking_notification_service, $waitlist_service, $payment_service );
+	$shift_dashboard_page            = new Shift_Dashboard_Page( Capabilities::MANAGE_PROVIDER_SETTINGS, $booking_admin );
+	$admin_bookings_controller       = new Admin_Bookings_Controller( $booking_admin );
+	$admin_customers_controller      = new Admin_Customers_Controller();
+	$new_reservation_page            = new New_Reservation_Page( $booking_admin, Capabilities::MANAGE_RESERVATIONS );
+	$reports_page                    = new Reports_Page( 'vkbm-shift-dashboard', Capabilities::MANAGE_PROVIDER_SETTINGS );
+	$booking_csv_exporter            = new Booking_Csv_Exporter();
+	$booking_import_page             = new Booking_Import_Page( Capabilities::MANAGE_RESERVATIONS );
+	$booking_confirmation_controller = new Booking_Confirmation_Controller( $booking_notification_service, $settings_repository, $availability_service, $payment_service );
+	$my_bookings_controller          = new My_Bookings_Controller( $settings_repository, $booking_notification_service, $waitlist_service, $availability_service );
 	$menu_search_block               = new Menu_Search_Block();
 	$menu_loop_block                 = new Menu_Loop_Block();
 	$reservation_block               = new Reservation_Block();
@@ -188,6 +282,7 @@ if ( ! function_exists( 'vkbm_plugin' ) ) {
 		array(
 			Resource_Post_Type::POST_TYPE,
 			Service_Menu_Post_Type::POST_TYPE,
+			Facility_Post_Type::POST_TYPE,
 		)
 	);
 	$term_order_manager              = new Term_Order_Manager(
@@ -201,6 +296,26 @@ if ( ! function_exists( 'vkbm_plugin' ) ) {
 	$style_guide_page->register();
 	$setup_notices->register();
 	$email_log_page->register();
+	$webhook_service->register();
+	$webhooks_page->register();
+	$holidays_page->register();
+	$schedule_exceptions_page->register();
+	$shift_auto_generator->register();
+	$time_off_page->register();
+	$waitlist_service->register();
+	$waitlist_controller->register();
+	$payment_service->register();
+	$payment_controller->register();
+	$admin_bookings_controller->register();
+	$admin_customers_controller->register();
+	$new_reservation_page->register();
+	$reports_page->register();
+	$booking_csv_exporter->register();
+	$booking_import_page->register();
+	$staff_ical_feed->register();
+	$external_calendar_sync->register();
+	$facility_post_type->register();
+	$staff_assignment_strategy->register();
 	$plugin = new Plugin(
 		$common_styles,
 		$provider_settings_page,
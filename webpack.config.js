@@ -0,0 +1,10 @@
+const defaultConfig = require( '@wordpress/scripts/config/webpack.config' );
+
+// Blocks are discovered from block.json; admin apps are listed here.
+module.exports = {
+	...defaultConfig,
+	entry: () => ( {
+		...defaultConfig.entry(),
+		'admin/new-reservation': './src/admin/new-reservation/index.js',
+	} ),
+};